@@ -0,0 +1,67 @@
+-- iCalendar export and subscribable feeds
+-- Each user can create a secret feed token; /api/calendar/feed?token=... serves their confirmed event
+-- registrations and mentorship sessions as an iCal feed. Calendar clients only apply an update when
+-- SEQUENCE grows, so the rows below carry a counter that is bumped whenever the calendar-relevant
+-- fields (time, place, title, status) change, including cancellations and reschedules.
+
+CREATE TABLE calendar_feed_tokens (
+  user_id UUID PRIMARY KEY REFERENCES profiles(id) ON DELETE CASCADE,
+  token TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_accessed_at TIMESTAMP WITH TIME ZONE
+);
+
+ALTER TABLE calendar_feed_tokens ENABLE ROW LEVEL SECURITY;
+
+-- The feed route itself reads tokens with the service role
+CREATE POLICY "Users manage their calendar feed token" ON calendar_feed_tokens
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+ALTER TABLE events ADD COLUMN ical_sequence INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE event_registrations ADD COLUMN ical_sequence INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE mentorship_sessions ADD COLUMN ical_sequence INTEGER NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION bump_event_ical_sequence()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (NEW.title, NEW.start_date, NEW.end_date, NEW.location, NEW.status)
+     IS DISTINCT FROM (OLD.title, OLD.start_date, OLD.end_date, OLD.location, OLD.status) THEN
+    NEW.ical_sequence = OLD.ical_sequence + 1;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- A registration leaving or re-entering 'confirmed' changes whether the attendee's copy is cancelled
+CREATE OR REPLACE FUNCTION bump_registration_ical_sequence()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status IS DISTINCT FROM OLD.status THEN
+    NEW.ical_sequence = OLD.ical_sequence + 1;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION bump_session_ical_sequence()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (NEW.scheduled_at, NEW.ends_at, NEW.status)
+     IS DISTINCT FROM (OLD.scheduled_at, OLD.ends_at, OLD.status) THEN
+    NEW.ical_sequence = OLD.ical_sequence + 1;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER bump_events_ical_sequence
+  BEFORE UPDATE ON events
+  FOR EACH ROW EXECUTE FUNCTION bump_event_ical_sequence();
+
+CREATE TRIGGER bump_event_registrations_ical_sequence
+  BEFORE UPDATE ON event_registrations
+  FOR EACH ROW EXECUTE FUNCTION bump_registration_ical_sequence();
+
+CREATE TRIGGER bump_mentorship_sessions_ical_sequence
+  BEFORE UPDATE ON mentorship_sessions
+  FOR EACH ROW EXECUTE FUNCTION bump_session_ical_sequence();
@@ -0,0 +1,106 @@
+-- Due-diligence data room for startups
+-- Founders upload documents into folders in the private `data-room` bucket and grant access per investor.
+-- Investors only get short-lived signed URLs from /api/data-room/link, which logs every view/download
+-- for the founder before signing; investors have no direct access to the bucket or the log.
+-- Object paths are `<startup user id>/<folder id>/<file name>`.
+
+-- Private storage bucket
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('data-room', 'data-room', false)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE TABLE data_room_folders (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  startup_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  category TEXT DEFAULT 'other' CHECK (category IN ('financials', 'cap_table', 'legal', 'product', 'team', 'other')),
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(startup_id, name)
+);
+
+CREATE TABLE data_room_documents (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  startup_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  folder_id UUID REFERENCES data_room_folders(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  file_path TEXT NOT NULL UNIQUE,
+  file_size BIGINT,
+  mime_type TEXT,
+  uploaded_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Per-investor access; a grant is active while not revoked and not expired
+CREATE TABLE data_room_grants (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  startup_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  investor_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  granted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE(startup_id, investor_id)
+);
+
+CREATE TABLE data_room_access_logs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  startup_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  document_id UUID REFERENCES data_room_documents(id) ON DELETE CASCADE,
+  viewer_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  action TEXT NOT NULL CHECK (action IN ('view', 'download')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Add indexes for better performance
+CREATE INDEX idx_data_room_folders_startup_id ON data_room_folders(startup_id, position);
+CREATE INDEX idx_data_room_documents_folder_id ON data_room_documents(folder_id);
+CREATE INDEX idx_data_room_documents_startup_id ON data_room_documents(startup_id);
+CREATE INDEX idx_data_room_grants_investor_id ON data_room_grants(investor_id);
+CREATE INDEX idx_data_room_access_logs_startup_id ON data_room_access_logs(startup_id, created_at DESC);
+
+-- Whether the current user holds an active grant to a startup's data room
+CREATE OR REPLACE FUNCTION has_data_room_access(room_startup_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM data_room_grants g
+    WHERE g.startup_id = room_startup_id
+      AND g.investor_id = auth.uid()
+      AND g.revoked_at IS NULL
+      AND (g.expires_at IS NULL OR g.expires_at > NOW())
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Enable RLS for new tables
+ALTER TABLE data_room_folders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE data_room_documents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE data_room_grants ENABLE ROW LEVEL SECURITY;
+ALTER TABLE data_room_access_logs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Founders manage their data room folders" ON data_room_folders
+  FOR ALL USING (auth.uid() = startup_id) WITH CHECK (auth.uid() = startup_id);
+
+CREATE POLICY "Granted investors can view data room folders" ON data_room_folders
+  FOR SELECT USING (has_data_room_access(startup_id));
+
+CREATE POLICY "Founders manage their data room documents" ON data_room_documents
+  FOR ALL USING (auth.uid() = startup_id) WITH CHECK (auth.uid() = startup_id);
+
+CREATE POLICY "Granted investors can view data room documents" ON data_room_documents
+  FOR SELECT USING (has_data_room_access(startup_id));
+
+CREATE POLICY "Founders manage data room grants" ON data_room_grants
+  FOR ALL USING (auth.uid() = startup_id) WITH CHECK (auth.uid() = startup_id);
+
+CREATE POLICY "Investors can view their data room grants" ON data_room_grants
+  FOR SELECT USING (auth.uid() = investor_id);
+
+CREATE POLICY "Founders can view data room access logs" ON data_room_access_logs
+  FOR SELECT USING (auth.uid() = startup_id);
+
+-- Storage policies: founders own their prefix; investor links are signed with the service role
+CREATE POLICY "Founders manage their data room files" ON storage.objects
+  FOR ALL USING (
+    bucket_id = 'data-room' AND (storage.foldername(name))[1] = auth.uid()::text
+  ) WITH CHECK (
+    bucket_id = 'data-room' AND (storage.foldername(name))[1] = auth.uid()::text
+  );
@@ -0,0 +1,323 @@
+-- Investor deal-flow pipeline built on investment requests
+-- Every investment request an investor receives becomes a deal that moves through the investor's
+-- pipeline stages (sourced → first call → due diligence → term sheet → invested / passed by default).
+-- Deals, notes and stage history are private to the investor and the deal owner; startups only see
+-- the coarse review_stage on investment_requests.
+
+-- Coarse, startup-visible progress of an investment request
+ALTER TABLE investment_requests
+ADD COLUMN review_stage TEXT DEFAULT 'submitted' CHECK (review_stage IN ('submitted', 'in_review', 'closed'));
+
+-- Per-investor pipeline configuration (investors without rows use the default pipeline)
+CREATE TABLE deal_pipeline_stages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  investor_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  stage_key TEXT NOT NULL,
+  name TEXT NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  stage_type TEXT NOT NULL DEFAULT 'open' CHECK (stage_type IN ('open', 'won', 'lost')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(investor_id, stage_key)
+);
+
+-- One deal per investment request
+CREATE TABLE investment_deals (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  investment_request_id UUID REFERENCES investment_requests(id) ON DELETE CASCADE UNIQUE,
+  investor_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  startup_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  owner_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  stage_key TEXT NOT NULL DEFAULT 'sourced',
+  position INTEGER NOT NULL DEFAULT 0, -- order within the stage column
+  stage_entered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  stage_timestamps JSONB NOT NULL DEFAULT '{}'::jsonb, -- stage_key → first time the deal entered it
+  closed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Private notes on a deal
+CREATE TABLE deal_notes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  deal_id UUID REFERENCES investment_deals(id) ON DELETE CASCADE,
+  author_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  content TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Every stage change (and owner change) of a deal
+CREATE TABLE deal_stage_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  deal_id UUID REFERENCES investment_deals(id) ON DELETE CASCADE,
+  from_stage TEXT,
+  to_stage TEXT,
+  changed_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  note TEXT,
+  changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Add indexes for better performance
+CREATE INDEX idx_deal_pipeline_stages_investor_id ON deal_pipeline_stages(investor_id, position);
+CREATE INDEX idx_investment_deals_investor_stage ON investment_deals(investor_id, stage_key, position);
+CREATE INDEX idx_investment_deals_owner_id ON investment_deals(owner_id);
+CREATE INDEX idx_deal_notes_deal_id ON deal_notes(deal_id, created_at);
+CREATE INDEX idx_deal_stage_history_deal_id ON deal_stage_history(deal_id, changed_at);
+
+-- Enable RLS for new tables
+ALTER TABLE deal_pipeline_stages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE investment_deals ENABLE ROW LEVEL SECURITY;
+ALTER TABLE deal_notes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE deal_stage_history ENABLE ROW LEVEL SECURITY;
+
+-- Investors manage their own pipeline configuration
+CREATE POLICY "Investors can manage their pipeline stages" ON deal_pipeline_stages
+  FOR ALL USING (auth.uid() = investor_id) WITH CHECK (auth.uid() = investor_id);
+
+-- Deal owners need the investor's stages to move deals
+CREATE POLICY "Deal owners can view pipeline stages" ON deal_pipeline_stages
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM investment_deals d
+      WHERE d.investor_id = deal_pipeline_stages.investor_id AND d.owner_id = auth.uid()
+    )
+  );
+
+-- Deals are visible to the investor and the assigned owner, never to the startup
+CREATE POLICY "Investors and owners can view deals" ON investment_deals
+  FOR SELECT USING (auth.uid() = investor_id OR auth.uid() = owner_id);
+
+CREATE POLICY "Investors can create deals for their requests" ON investment_deals
+  FOR INSERT WITH CHECK (
+    auth.uid() = investor_id AND
+    EXISTS (
+      SELECT 1 FROM investment_requests r
+      WHERE r.id = investment_request_id AND r.investor_id = auth.uid()
+    )
+  );
+
+-- Direct updates may only reassign the owner (see guard_investment_deal_update)
+CREATE POLICY "Investors and owners can update deals" ON investment_deals
+  FOR UPDATE USING (auth.uid() = investor_id OR auth.uid() = owner_id);
+
+-- Stage and board position only change through move_deal, which renumbers the columns and records the
+-- history, and only the investor reassigns the owner. Not SECURITY DEFINER: current_user is the API
+-- role for direct updates, and the function owner inside move_deal.
+CREATE OR REPLACE FUNCTION guard_investment_deal_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF current_user NOT IN ('anon', 'authenticated') THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.stage_key IS DISTINCT FROM OLD.stage_key
+    OR NEW.position IS DISTINCT FROM OLD.position
+    OR NEW.stage_entered_at IS DISTINCT FROM OLD.stage_entered_at
+    OR NEW.stage_timestamps IS DISTINCT FROM OLD.stage_timestamps
+    OR NEW.closed_at IS DISTINCT FROM OLD.closed_at
+    OR NEW.investor_id IS DISTINCT FROM OLD.investor_id
+    OR NEW.startup_id IS DISTINCT FROM OLD.startup_id
+    OR NEW.investment_request_id IS DISTINCT FROM OLD.investment_request_id
+  THEN
+    RAISE EXCEPTION 'Deals can only be moved with move_deal' USING ERRCODE = '42501';
+  END IF;
+
+  IF NEW.owner_id IS DISTINCT FROM OLD.owner_id AND auth.uid() IS DISTINCT FROM OLD.investor_id THEN
+    RAISE EXCEPTION 'Only the investor can reassign a deal' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER investment_deals_guard_update
+  BEFORE UPDATE ON investment_deals
+  FOR EACH ROW EXECUTE FUNCTION guard_investment_deal_update();
+
+CREATE POLICY "Deal members can view notes" ON deal_notes
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM investment_deals d
+      WHERE d.id = deal_id AND (d.investor_id = auth.uid() OR d.owner_id = auth.uid())
+    )
+  );
+
+CREATE POLICY "Deal members can add notes" ON deal_notes
+  FOR INSERT WITH CHECK (
+    auth.uid() = author_id AND
+    EXISTS (
+      SELECT 1 FROM investment_deals d
+      WHERE d.id = deal_id AND (d.investor_id = auth.uid() OR d.owner_id = auth.uid())
+    )
+  );
+
+CREATE POLICY "Authors can delete their notes" ON deal_notes
+  FOR DELETE USING (auth.uid() = author_id);
+
+CREATE POLICY "Deal members can view stage history" ON deal_stage_history
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM investment_deals d
+      WHERE d.id = deal_id AND (d.investor_id = auth.uid() OR d.owner_id = auth.uid())
+    )
+  );
+
+CREATE POLICY "Deal members can record stage history" ON deal_stage_history
+  FOR INSERT WITH CHECK (
+    auth.uid() = changed_by AND
+    EXISTS (
+      SELECT 1 FROM investment_deals d
+      WHERE d.id = deal_id AND (d.investor_id = auth.uid() OR d.owner_id = auth.uid())
+    )
+  );
+
+CREATE TRIGGER update_investment_deals_updated_at
+  BEFORE UPDATE ON investment_deals
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Moves a deal, keeps both stage columns numbered 0..n-1 and records the stage change, then mirrors it
+-- onto the investment request as a coarse status. Deal owners other than the investor aren't a party to
+-- the request, so this runs as the definer. Investors without their own stages use the default pipeline
+-- (DEFAULT_PIPELINE_STAGES in src/lib/api/dealPipeline.js). Returns the request before and after the move.
+CREATE OR REPLACE FUNCTION move_deal(
+  target_deal_id UUID,
+  to_stage_key TEXT,
+  target_position INTEGER DEFAULT 0,
+  stage_note TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  deal investment_deals;
+  request investment_requests;
+  target_type TEXT;
+  first_stage_key TEXT;
+  stage_changed BOOLEAN;
+  new_position INTEGER;
+  next_status TEXT;
+  next_review_stage TEXT;
+BEGIN
+  SELECT * INTO deal FROM investment_deals WHERE id = target_deal_id FOR UPDATE;
+
+  IF NOT FOUND OR NOT COALESCE(auth.uid() IN (deal.investor_id, deal.owner_id), FALSE) THEN
+    RAISE EXCEPTION 'Deal not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM deal_pipeline_stages s WHERE s.investor_id = deal.investor_id) THEN
+    SELECT s.stage_type INTO target_type
+    FROM deal_pipeline_stages s
+    WHERE s.investor_id = deal.investor_id AND s.stage_key = to_stage_key;
+
+    SELECT s.stage_key INTO first_stage_key
+    FROM deal_pipeline_stages s
+    WHERE s.investor_id = deal.investor_id
+    ORDER BY s.stage_type <> 'open', s.position
+    LIMIT 1;
+  ELSIF to_stage_key IN ('sourced', 'first_call', 'due_diligence', 'term_sheet', 'invested', 'passed') THEN
+    target_type := CASE to_stage_key WHEN 'invested' THEN 'won' WHEN 'passed' THEN 'lost' ELSE 'open' END;
+    first_stage_key := 'sourced';
+  END IF;
+
+  IF target_type IS NULL THEN
+    RAISE EXCEPTION 'Unknown pipeline stage' USING ERRCODE = '22023';
+  END IF;
+
+  stage_changed := deal.stage_key <> to_stage_key;
+
+  SELECT LEAST(GREATEST(COALESCE(target_position, 0), 0), COUNT(*)) INTO new_position
+  FROM investment_deals d
+  WHERE d.investor_id = deal.investor_id AND d.stage_key = to_stage_key AND d.id <> deal.id;
+
+  -- Renumber the rest of both columns in board order, leaving a slot for the moved deal
+  WITH ordered AS (
+    SELECT
+      d.id,
+      d.stage_key,
+      ROW_NUMBER() OVER (PARTITION BY d.stage_key ORDER BY d.position, d.created_at DESC) - 1 AS rank
+    FROM investment_deals d
+    WHERE d.investor_id = deal.investor_id
+      AND d.stage_key IN (deal.stage_key, to_stage_key)
+      AND d.id <> deal.id
+  ), renumbered AS (
+    SELECT o.id, o.rank + CASE WHEN o.stage_key = to_stage_key AND o.rank >= new_position THEN 1 ELSE 0 END AS new_rank
+    FROM ordered o
+  )
+  UPDATE investment_deals d
+  SET position = r.new_rank
+  FROM renumbered r
+  WHERE d.id = r.id AND d.position <> r.new_rank;
+
+  UPDATE investment_deals
+  SET position = new_position,
+      stage_key = to_stage_key,
+      stage_entered_at = CASE WHEN stage_changed THEN NOW() ELSE stage_entered_at END,
+      stage_timestamps = CASE
+        WHEN stage_changed AND NOT stage_timestamps ? to_stage_key
+        THEN stage_timestamps || jsonb_build_object(to_stage_key, NOW())
+        ELSE stage_timestamps
+      END,
+      closed_at = CASE
+        WHEN NOT stage_changed THEN closed_at
+        WHEN target_type = 'open' THEN NULL
+        ELSE NOW()
+      END
+  WHERE id = deal.id;
+
+  IF NOT stage_changed THEN
+    RETURN jsonb_build_object('stage_changed', FALSE);
+  END IF;
+
+  INSERT INTO deal_stage_history (deal_id, from_stage, to_stage, changed_by, note)
+  VALUES (deal.id, deal.stage_key, to_stage_key, auth.uid(), stage_note);
+
+  SELECT * INTO request FROM investment_requests WHERE id = deal.investment_request_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('stage_changed', TRUE, 'from_stage', deal.stage_key);
+  END IF;
+
+  -- Only closing stages change the request status, and only while it is still pending
+  next_status := request.status;
+  IF target_type = 'open' THEN
+    next_review_stage := CASE WHEN to_stage_key = first_stage_key THEN 'submitted' ELSE 'in_review' END;
+  ELSE
+    next_review_stage := 'closed';
+    IF request.status = 'pending' THEN
+      next_status := CASE WHEN target_type = 'won' THEN 'accepted' ELSE 'rejected' END;
+    END IF;
+  END IF;
+
+  IF next_review_stage IS DISTINCT FROM request.review_stage OR next_status IS DISTINCT FROM request.status THEN
+    UPDATE investment_requests
+    SET review_stage = next_review_stage,
+        status = next_status,
+        responded_at = CASE WHEN next_status IS DISTINCT FROM request.status THEN NOW() ELSE responded_at END
+    WHERE id = request.id;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'stage_changed', TRUE,
+    'from_stage', deal.stage_key,
+    'request', jsonb_build_object('id', request.id, 'status', request.status, 'review_stage', request.review_stage),
+    'updated_request', jsonb_build_object('id', request.id, 'status', next_status, 'review_stage', next_review_stage)
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Backfill deals for existing, non-cancelled requests
+INSERT INTO investment_deals (investment_request_id, investor_id, startup_id, owner_id, stage_key, stage_timestamps, created_at)
+SELECT
+  r.id,
+  r.investor_id,
+  r.startup_id,
+  r.investor_id,
+  CASE r.status WHEN 'accepted' THEN 'first_call' WHEN 'rejected' THEN 'passed' ELSE 'sourced' END,
+  jsonb_build_object('sourced', r.created_at),
+  r.created_at
+FROM investment_requests r
+WHERE r.status <> 'cancelled'
+ON CONFLICT (investment_request_id) DO NOTHING;
+
+UPDATE investment_requests SET review_stage = CASE status
+  WHEN 'accepted' THEN 'in_review'
+  WHEN 'rejected' THEN 'closed'
+  ELSE 'submitted'
+END;
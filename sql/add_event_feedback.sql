@@ -0,0 +1,133 @@
+-- Post-event feedback and organizer analytics
+-- Once an event has ended, request_event_feedback() notifies its attendees once and opens a 30 day window
+-- in which each of them can leave one response: a 1-5 rating, a 0-10 NPS answer, a comment and answers
+-- to the organizer's own questions (events.feedback_questions, same field format as application forms).
+-- Attendees are checked-in registrants; for events that never used check-in, confirmed registrants.
+-- Organizers read the responses for their events; aggregation happens in src/lib/eventAnalytics.js.
+
+ALTER TABLE events
+ADD COLUMN feedback_questions JSONB DEFAULT '[]' CHECK (jsonb_typeof(feedback_questions) = 'array'),
+ADD COLUMN feedback_requested_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE event_feedback (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  event_id UUID REFERENCES events(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  nps SMALLINT CHECK (nps BETWEEN 0 AND 10),
+  comment TEXT,
+  answers JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(event_id, user_id)
+);
+
+CREATE INDEX idx_event_feedback_event ON event_feedback(event_id);
+
+CREATE INDEX idx_events_feedback_due ON events(end_date)
+  WHERE feedback_requested_at IS NULL;
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+  CHECK (type IN ('message', 'connection_request', 'connection_accepted', 'event_invite', 'application_status', 'mention', 'portfolio_alert', 'session_booked', 'session_rescheduled', 'session_cancelled', 'waitlist_offer', 'judging_assigned', 'pitch_results', 'event_updated', 'event_cancelled', 'feedback_request'));
+
+CREATE OR REPLACE FUNCTION is_event_attendee(target_event_id UUID, target_user_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM event_registrations r
+    WHERE r.event_id = target_event_id
+      AND r.user_id = target_user_id
+      AND (
+        r.status = 'attended' OR
+        (r.status = 'confirmed' AND NOT EXISTS (
+          SELECT 1 FROM event_registrations c WHERE c.event_id = target_event_id AND c.checked_in_at IS NOT NULL
+        ))
+      )
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Feedback is open to attendees from the end of the event for 30 days
+CREATE OR REPLACE FUNCTION can_give_event_feedback(target_event_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM events e
+    WHERE e.id = target_event_id
+      AND e.status IS DISTINCT FROM 'cancelled'
+      AND COALESCE(e.end_date, e.start_date) <= NOW()
+      AND COALESCE(e.end_date, e.start_date) > NOW() - INTERVAL '30 days'
+  ) AND is_event_attendee(target_event_id, auth.uid());
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+ALTER TABLE event_feedback ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Attendees and organizers can view event feedback" ON event_feedback
+  FOR SELECT USING (auth.uid() = user_id OR is_event_organizer(event_id) OR is_platform_admin());
+
+CREATE POLICY "Attendees can leave feedback" ON event_feedback
+  FOR INSERT WITH CHECK (auth.uid() = user_id AND can_give_event_feedback(event_id));
+
+CREATE POLICY "Attendees can edit their feedback while it is open" ON event_feedback
+  FOR UPDATE USING (auth.uid() = user_id AND can_give_event_feedback(event_id))
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE TRIGGER update_event_feedback_updated_at
+  BEFORE UPDATE ON event_feedback
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Send the feedback request for events that ended within the feedback window and have not had one.
+-- Returns the number of notifications sent. Safe to call from several places at once.
+CREATE OR REPLACE FUNCTION request_event_feedback()
+RETURNS INTEGER AS $$
+DECLARE
+  due RECORD;
+  sent INTEGER := 0;
+  batch INTEGER;
+BEGIN
+  FOR due IN
+    SELECT id, title FROM events
+    WHERE feedback_requested_at IS NULL
+      AND status IS DISTINCT FROM 'cancelled'
+      AND COALESCE(end_date, start_date) <= NOW()
+      AND COALESCE(end_date, start_date) > NOW() - INTERVAL '30 days'
+    ORDER BY COALESCE(end_date, start_date)
+    LIMIT 50
+    FOR UPDATE SKIP LOCKED
+  LOOP
+    INSERT INTO notifications (user_id, type, title, content, related_id)
+    SELECT r.user_id, 'feedback_request', 'How was ' || due.title || '?',
+           'The organizer would love your feedback. It takes about a minute.', due.id
+    FROM event_registrations r
+    WHERE r.event_id = due.id AND is_event_attendee(due.id, r.user_id);
+
+    GET DIAGNOSTICS batch = ROW_COUNT;
+    sent := sent + batch;
+
+    UPDATE events SET feedback_requested_at = NOW() WHERE id = due.id;
+  END LOOP;
+
+  RETURN sent;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Connections are accepted by updating them, so keep updated_at current
+DROP TRIGGER IF EXISTS update_connections_updated_at ON connections;
+CREATE TRIGGER update_connections_updated_at
+  BEFORE UPDATE ON connections
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Connections between two attendees of an event that were requested or accepted after it started,
+-- for its organizer
+CREATE OR REPLACE FUNCTION count_attendee_connections(target_event_id UUID)
+RETURNS INTEGER AS $$
+  SELECT COUNT(*)::INTEGER
+  FROM connections c
+  JOIN events e ON e.id = target_event_id
+  WHERE c.status = 'accepted'
+    AND GREATEST(c.created_at, c.updated_at) >= e.start_date
+    AND is_event_attendee(target_event_id, c.requester_id)
+    AND is_event_attendee(target_event_id, c.target_id)
+    AND (e.organizer_id = auth.uid() OR is_platform_admin());
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Requests also go out without anyone visiting the app when this runs on a schedule, e.g. with pg_cron:
+-- SELECT cron.schedule('request-event-feedback', '*/15 * * * *', $$SELECT request_event_feedback()$$);
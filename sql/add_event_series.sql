@@ -0,0 +1,137 @@
+-- Recurring events
+-- An event series holds a recurrence rule (RRULE subset, see src/lib/recurrence.js), its time zone and the
+-- shared event fields. Each occurrence is an ordinary events row, so registrations, waitlists, tickets
+-- and calendar feeds work per occurrence. occurrence_start is the start the rule produced; a row edited
+-- on its own keeps it and is flagged is_override. "This and all future" edits split the series: the old
+-- one gets an UNTIL just before the edited occurrence and a new series takes over from there.
+-- People can register for a single occurrence or for the whole series; series registrants are signed up
+-- for every upcoming occurrence, including ones added later, and the waitlist applies as usual.
+
+CREATE TABLE event_series (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organizer_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  recurrence_rule TEXT NOT NULL,
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+  starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  duration_minutes INTEGER CHECK (duration_minutes > 0),
+  registration_lead_minutes INTEGER CHECK (registration_lead_minutes >= 0), -- deadline before each start
+  template JSONB NOT NULL DEFAULT '{}',
+  previous_series_id UUID REFERENCES event_series(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_event_series_organizer ON event_series(organizer_id);
+
+-- Older code already reads and writes these
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'active',
+ADD COLUMN IF NOT EXISTS cancellation_reason TEXT,
+ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE events
+ADD COLUMN series_id UUID REFERENCES event_series(id) ON DELETE SET NULL,
+ADD COLUMN occurrence_start TIMESTAMP WITH TIME ZONE,
+ADD COLUMN is_override BOOLEAN NOT NULL DEFAULT FALSE,
+ADD CONSTRAINT events_series_occurrence_unique UNIQUE (series_id, occurrence_start);
+
+CREATE INDEX idx_events_series ON events(series_id, start_date) WHERE series_id IS NOT NULL;
+
+CREATE TABLE event_series_registrations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  series_id UUID REFERENCES event_series(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+  registered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  cancelled_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE(series_id, user_id)
+);
+
+CREATE INDEX idx_event_series_registrations_active ON event_series_registrations(series_id)
+  WHERE status = 'active';
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+  CHECK (type IN ('message', 'connection_request', 'connection_accepted', 'event_invite', 'application_status', 'mention', 'portfolio_alert', 'session_booked', 'session_rescheduled', 'session_cancelled', 'waitlist_offer', 'judging_assigned', 'pitch_results', 'event_updated', 'event_cancelled'));
+
+CREATE OR REPLACE FUNCTION is_series_organizer(target_series_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (SELECT 1 FROM event_series WHERE id = target_series_id AND organizer_id = auth.uid());
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+ALTER TABLE event_series ENABLE ROW LEVEL SECURITY;
+ALTER TABLE event_series_registrations ENABLE ROW LEVEL SECURITY;
+
+-- Same access as the events table: readable by everyone, organizer checks happen in the API
+CREATE POLICY "event_series_public_read" ON event_series
+  FOR SELECT USING (true);
+
+CREATE POLICY "event_series_auth_write" ON event_series
+  FOR ALL USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Users and organizers can view series registrations" ON event_series_registrations
+  FOR SELECT USING (auth.uid() = user_id OR is_series_organizer(series_id) OR is_platform_admin());
+
+-- Joining goes through join_event_series(); leaving is an update of the user's own row
+CREATE POLICY "Users can update their series registration" ON event_series_registrations
+  FOR UPDATE USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+-- Organizers (or admins) copy registrations onto the new series when they split one
+CREATE POLICY "Organizers can add series registrations" ON event_series_registrations
+  FOR INSERT WITH CHECK (is_series_organizer(series_id) OR is_platform_admin());
+
+-- Register the current user for a series and every upcoming, open occurrence of it.
+-- Cancelled or lapsed registrations for those occurrences are renewed; full ones put the user on the
+-- waitlist through queue_overflow_registration(). Returns the occurrence registrations it touched.
+CREATE OR REPLACE FUNCTION join_event_series(target_series_id UUID)
+RETURNS TABLE (event_id UUID, registration_id UUID, status TEXT) AS $$
+#variable_conflict use_column
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  INSERT INTO event_series_registrations (series_id, user_id)
+  VALUES (target_series_id, auth.uid())
+  ON CONFLICT (series_id, user_id)
+  DO UPDATE SET status = 'active', cancelled_at = NULL, registered_at = NOW();
+
+  RETURN QUERY
+  INSERT INTO event_registrations AS r (event_id, user_id, status, registration_type)
+  SELECT e.id, auth.uid(), 'confirmed', 'attendee'
+  FROM events e
+  WHERE e.series_id = target_series_id
+    AND e.start_date > NOW()
+    AND e.status IS DISTINCT FROM 'cancelled'
+    AND (e.registration_deadline IS NULL OR e.registration_deadline > NOW())
+  ON CONFLICT (event_id, user_id)
+  DO UPDATE SET status = 'confirmed', cancelled_at = NULL
+  WHERE r.status IN ('cancelled', 'expired')
+  RETURNING r.event_id, r.id, r.status;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- New occurrences (a longer series, or the later half of a split) pick up the series registrants
+CREATE OR REPLACE FUNCTION register_series_attendees()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO event_registrations (event_id, user_id, status, registration_type)
+  SELECT NEW.id, sr.user_id, 'confirmed', 'attendee'
+  FROM event_series_registrations sr
+  WHERE sr.series_id = NEW.series_id AND sr.status = 'active'
+  ORDER BY sr.registered_at
+  ON CONFLICT (event_id, user_id) DO NOTHING;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER register_series_attendees_on_occurrence
+  AFTER INSERT ON events
+  FOR EACH ROW
+  WHEN (NEW.series_id IS NOT NULL AND NEW.start_date > NOW())
+  EXECUTE FUNCTION register_series_attendees();
+
+CREATE TRIGGER update_event_series_updated_at
+  BEFORE UPDATE ON event_series
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,134 @@
+-- Event tickets and on-site check-in
+-- Each confirmed registration can fetch a signed ticket token, shown to the attendee as a QR code:
+--   t1.<event_id>.<registration_id>.<signature>
+-- The signature is HMAC-SHA256 (base64url) of "t1.<event_id>.<registration_id>" with a per-event secret.
+-- Organizers fetch the secret for their event so the check-in screen can verify tickets offline;
+-- check_in_event_ticket() re-verifies on the server and marks the registration as attended, once.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+ALTER TABLE event_registrations
+ADD COLUMN checked_in_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN checked_in_by UUID REFERENCES profiles(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_event_registrations_checked_in ON event_registrations(event_id) WHERE checked_in_at IS NOT NULL;
+
+-- Signing secrets; only reachable through the functions below
+CREATE TABLE event_ticket_keys (
+  event_id UUID PRIMARY KEY REFERENCES events(id) ON DELETE CASCADE,
+  secret TEXT NOT NULL DEFAULT encode(gen_random_bytes(32), 'hex'),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE event_ticket_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION event_ticket_secret(target_event_id UUID)
+RETURNS TEXT AS $$
+DECLARE
+  key_secret TEXT;
+BEGIN
+  INSERT INTO event_ticket_keys (event_id) VALUES (target_event_id) ON CONFLICT (event_id) DO NOTHING;
+  SELECT secret INTO key_secret FROM event_ticket_keys WHERE event_id = target_event_id;
+  RETURN key_secret;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION event_ticket_secret(UUID) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION event_ticket_signature(target_event_id UUID, target_registration_id UUID)
+RETURNS TEXT AS $$
+  SELECT rtrim(translate(encode(hmac(
+    convert_to('t1.' || target_event_id || '.' || target_registration_id, 'UTF8'),
+    decode(event_ticket_secret(target_event_id), 'hex'),
+    'sha256'
+  ), 'base64'), '+/', '-_'), '=');
+$$ LANGUAGE sql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION event_ticket_signature(UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Ticket for the caller's own confirmed (or already attended) registration
+CREATE OR REPLACE FUNCTION issue_event_ticket(target_registration_id UUID)
+RETURNS TEXT AS $$
+  SELECT 't1.' || r.event_id || '.' || r.id || '.' || event_ticket_signature(r.event_id, r.id)
+  FROM event_registrations r
+  WHERE r.id = target_registration_id
+    AND r.user_id = auth.uid()
+    AND r.status IN ('confirmed', 'attended');
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Signing secret for offline validation, for the event organizer only
+CREATE OR REPLACE FUNCTION get_event_ticket_key(target_event_id UUID)
+RETURNS TEXT AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM events WHERE id = target_event_id AND organizer_id = auth.uid()) THEN
+    RAISE EXCEPTION 'Only the event organizer can check in attendees' USING ERRCODE = '42501';
+  END IF;
+  RETURN event_ticket_secret(target_event_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Verify a scanned ticket and mark the attendee as checked in.
+-- result: checked_in | duplicate | invalid | wrong_event | not_confirmed
+-- scanned_at lets offline scans keep the time they happened when they are synced later.
+CREATE OR REPLACE FUNCTION check_in_event_ticket(ticket TEXT, target_event_id UUID, scanned_at TIMESTAMPTZ DEFAULT NOW())
+RETURNS TABLE (result TEXT, registration_id UUID, attendee_name TEXT, checked_in_at TIMESTAMPTZ) AS $$
+#variable_conflict use_column
+DECLARE
+  parts TEXT[];
+  ticket_event_id UUID;
+  ticket_registration_id UUID;
+  registration RECORD;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM events WHERE id = target_event_id AND organizer_id = auth.uid()) THEN
+    RAISE EXCEPTION 'Only the event organizer can check in attendees' USING ERRCODE = '42501';
+  END IF;
+
+  parts := string_to_array(trim(ticket), '.');
+  IF COALESCE(array_length(parts, 1), 0) <> 4 OR parts[1] <> 't1'
+     OR parts[2] !~ '^[0-9a-f-]{36}$' OR parts[3] !~ '^[0-9a-f-]{36}$' THEN
+    RETURN QUERY SELECT 'invalid'::TEXT, NULL::UUID, NULL::TEXT, NULL::TIMESTAMPTZ;
+    RETURN;
+  END IF;
+
+  ticket_event_id := parts[2]::UUID;
+  ticket_registration_id := parts[3]::UUID;
+
+  IF ticket_event_id <> target_event_id THEN
+    RETURN QUERY SELECT 'wrong_event'::TEXT, ticket_registration_id, NULL::TEXT, NULL::TIMESTAMPTZ;
+    RETURN;
+  END IF;
+
+  IF parts[4] <> event_ticket_signature(ticket_event_id, ticket_registration_id) THEN
+    RETURN QUERY SELECT 'invalid'::TEXT, NULL::UUID, NULL::TEXT, NULL::TIMESTAMPTZ;
+    RETURN;
+  END IF;
+
+  SELECT r.id, r.status, r.checked_in_at, p.full_name
+  INTO registration
+  FROM event_registrations r
+  LEFT JOIN profiles p ON p.id = r.user_id
+  WHERE r.id = ticket_registration_id AND r.event_id = target_event_id;
+
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT 'not_confirmed'::TEXT, ticket_registration_id, NULL::TEXT, NULL::TIMESTAMPTZ;
+    RETURN;
+  END IF;
+
+  IF registration.status NOT IN ('confirmed', 'attended') THEN
+    RETURN QUERY SELECT 'not_confirmed'::TEXT, ticket_registration_id, registration.full_name, NULL::TIMESTAMPTZ;
+    RETURN;
+  END IF;
+
+  UPDATE event_registrations r
+  SET status = 'attended', checked_in_at = LEAST(scanned_at, NOW()), checked_in_by = auth.uid()
+  WHERE r.id = ticket_registration_id AND r.checked_in_at IS NULL;
+
+  IF FOUND THEN
+    RETURN QUERY SELECT 'checked_in'::TEXT, ticket_registration_id, registration.full_name, LEAST(scanned_at, NOW());
+  ELSE
+    RETURN QUERY
+    SELECT 'duplicate'::TEXT, ticket_registration_id, registration.full_name, r.checked_in_at
+    FROM event_registrations r WHERE r.id = ticket_registration_id;
+  END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -0,0 +1,149 @@
+-- Event waitlists
+-- Registrations beyond max_participants are queued as `waitlisted` in the order they arrive.
+-- When a seat frees up, promote_event_waitlist() offers it to the head of the queue (`offered`),
+-- holding it until offer_expires_at; unanswered offers lapse to `expired` and the seat moves on.
+-- Seats are held by confirmed, pending (awaiting organizer approval), attended (checked in) and unexpired
+-- offered registrations.
+
+ALTER TABLE events
+ADD COLUMN waitlist_confirmation_hours INTEGER NOT NULL DEFAULT 24 CHECK (waitlist_confirmation_hours > 0);
+
+ALTER TABLE event_registrations
+ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN waitlisted_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN offered_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN offer_expires_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE event_registrations DROP CONSTRAINT IF EXISTS event_registrations_status_check;
+ALTER TABLE event_registrations ADD CONSTRAINT event_registrations_status_check
+  CHECK (status IN ('registered', 'pending', 'confirmed', 'attended', 'cancelled', 'rejected', 'waitlisted', 'offered', 'expired'));
+
+CREATE INDEX idx_event_registrations_waitlist ON event_registrations(event_id, waitlisted_at)
+  WHERE status = 'waitlisted';
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+  CHECK (type IN ('message', 'connection_request', 'connection_accepted', 'event_invite', 'application_status', 'mention', 'portfolio_alert', 'session_booked', 'session_rescheduled', 'session_cancelled', 'waitlist_offer'));
+
+-- Seats currently held for an event
+CREATE OR REPLACE FUNCTION event_seats_held(target_event_id UUID)
+RETURNS INTEGER AS $$
+  SELECT COUNT(*)::INTEGER
+  FROM event_registrations
+  WHERE event_id = target_event_id
+    AND (status IN ('confirmed', 'pending', 'attended') OR (status = 'offered' AND offer_expires_at > NOW()));
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- A registration asking for a seat (new, or re-registering after cancelling) joins the waitlist when the
+-- event is full or others are already queued. The event row lock serializes concurrent registrations.
+CREATE OR REPLACE FUNCTION queue_overflow_registration()
+RETURNS TRIGGER AS $$
+DECLARE
+  capacity INTEGER;
+BEGIN
+  IF NEW.status NOT IN ('confirmed', 'pending') THEN
+    RETURN NEW;
+  END IF;
+  IF TG_OP = 'UPDATE' AND OLD.status IN ('confirmed', 'pending', 'attended', 'offered') THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT max_participants INTO capacity FROM events WHERE id = NEW.event_id FOR UPDATE;
+  IF capacity IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF event_seats_held(NEW.event_id) >= capacity OR EXISTS (
+    SELECT 1 FROM event_registrations
+    WHERE event_id = NEW.event_id AND status = 'waitlisted' AND id <> NEW.id
+  ) THEN
+    NEW.status = 'waitlisted';
+    NEW.waitlisted_at = NOW();
+    NEW.offered_at = NULL;
+    NEW.offer_expires_at = NULL;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER queue_overflow_event_registration
+  BEFORE INSERT OR UPDATE OF status ON event_registrations
+  FOR EACH ROW EXECUTE FUNCTION queue_overflow_registration();
+
+-- Expire lapsed offers and offer free seats to the head of the queue. Returns the new offers so the
+-- caller can notify those people. Offers never run past the event start.
+CREATE OR REPLACE FUNCTION promote_event_waitlist(target_event_id UUID)
+RETURNS TABLE (registration_id UUID, user_id UUID, offer_expires_at TIMESTAMPTZ) AS $$
+#variable_conflict use_column
+DECLARE
+  target_event RECORD;
+  free_seats INTEGER;
+BEGIN
+  SELECT id, max_participants, start_date, waitlist_confirmation_hours
+  INTO target_event
+  FROM events WHERE id = target_event_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  UPDATE event_registrations r
+  SET status = 'expired'
+  WHERE r.event_id = target_event_id AND r.status = 'offered' AND r.offer_expires_at <= NOW();
+
+  IF target_event.start_date <= NOW() THEN
+    RETURN;
+  END IF;
+
+  free_seats := CASE
+    WHEN target_event.max_participants IS NULL THEN NULL
+    ELSE GREATEST(target_event.max_participants - event_seats_held(target_event_id), 0)
+  END;
+
+  RETURN QUERY
+  WITH promoted AS (
+    UPDATE event_registrations r
+    SET status = 'offered',
+        offered_at = NOW(),
+        offer_expires_at = LEAST(
+          NOW() + make_interval(hours => target_event.waitlist_confirmation_hours),
+          target_event.start_date
+        )
+    WHERE r.id IN (
+      SELECT q.id FROM event_registrations q
+      WHERE q.event_id = target_event_id AND q.status = 'waitlisted'
+      ORDER BY q.waitlisted_at, q.id
+      LIMIT free_seats
+    )
+    RETURNING r.id, r.user_id, r.offer_expires_at
+  )
+  SELECT * FROM promoted;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 1-based place in the queue, for the registrant or the event organizer
+CREATE OR REPLACE FUNCTION get_waitlist_position(target_registration_id UUID)
+RETURNS INTEGER AS $$
+  SELECT (
+    SELECT COUNT(*)::INTEGER + 1
+    FROM event_registrations q
+    WHERE q.event_id = r.event_id
+      AND q.status = 'waitlisted'
+      AND (q.waitlisted_at, q.id) < (r.waitlisted_at, r.id)
+  )
+  FROM event_registrations r
+  JOIN events e ON e.id = r.event_id
+  WHERE r.id = target_registration_id
+    AND r.status = 'waitlisted'
+    AND (r.user_id = auth.uid() OR e.organizer_id = auth.uid());
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE POLICY "Organizers can view registrations for their events" ON event_registrations
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM events e WHERE e.id = event_registrations.event_id AND e.organizer_id = auth.uid())
+  );
+
+-- Offers also lapse without any registration activity when this runs on a schedule, e.g. with pg_cron:
+-- SELECT cron.schedule('promote-event-waitlists', '*/5 * * * *',
+--   $$SELECT promote_event_waitlist(id) FROM events WHERE start_date > NOW() AND max_participants IS NOT NULL$$);
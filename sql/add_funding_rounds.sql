@@ -0,0 +1,140 @@
+-- Funding rounds and per-investor commitments for startups
+-- Replaces the single funding_stage / funding_goal / funding_raised summary with a round history
+-- that the cap-table calculator (src/lib/capTable.js) models dilution from.
+
+-- Pre-financing share structure used as the calculator's starting point
+ALTER TABLE startup_profiles
+ADD COLUMN founder_shares BIGINT DEFAULT 10000000,
+ADD COLUMN option_pool_shares BIGINT DEFAULT 0;
+
+CREATE TABLE funding_rounds (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  startup_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  name TEXT NOT NULL, -- e.g. 'Pre-seed SAFE', 'Seed', 'Series A'
+  instrument TEXT NOT NULL CHECK (instrument IN ('safe', 'priced', 'convertible_note')),
+  status TEXT DEFAULT 'open' CHECK (status IN ('planned', 'open', 'closed')),
+  target_amount DECIMAL(15,2),
+  pre_money_valuation DECIMAL(15,2), -- priced rounds
+  option_pool_increase BIGINT DEFAULT 0, -- priced rounds: new pool shares created pre-money
+  valuation_cap DECIMAL(15,2), -- SAFEs and notes
+  discount_rate DECIMAL(5,4) CHECK (discount_rate IS NULL OR (discount_rate >= 0 AND discount_rate < 1)), -- 0.2 = 20%
+  interest_rate DECIMAL(5,4) CHECK (interest_rate IS NULL OR interest_rate >= 0), -- notes, simple annual
+  close_date DATE,
+  is_public BOOLEAN DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Amount committed per investor; investors not on the platform are recorded by name
+CREATE TABLE funding_round_commitments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  round_id UUID REFERENCES funding_rounds(id) ON DELETE CASCADE,
+  investor_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  investor_name TEXT,
+  amount DECIMAL(15,2) NOT NULL CHECK (amount > 0),
+  committed_at DATE DEFAULT CURRENT_DATE,
+  is_lead BOOLEAN DEFAULT false,
+  confirmed_at TIMESTAMP WITH TIME ZONE, -- set by the investor; commitments recorded by name only need no confirmation
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (investor_id IS NOT NULL OR investor_name IS NOT NULL)
+);
+
+-- Add indexes for better performance
+CREATE INDEX idx_funding_rounds_startup_id ON funding_rounds(startup_id, close_date);
+CREATE INDEX idx_funding_round_commitments_round_id ON funding_round_commitments(round_id);
+CREATE INDEX idx_funding_round_commitments_investor_id ON funding_round_commitments(investor_id);
+
+-- Enable RLS for new tables
+ALTER TABLE funding_rounds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE funding_round_commitments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public rounds are viewable by everyone" ON funding_rounds
+  FOR SELECT USING (is_public = true OR auth.uid() = startup_id);
+
+CREATE POLICY "Founders manage their funding rounds" ON funding_rounds
+  FOR ALL USING (auth.uid() = startup_id) WITH CHECK (auth.uid() = startup_id);
+
+-- Unconfirmed commitments are only shown to the founder and the named investor
+CREATE POLICY "Commitments are viewable with their round" ON funding_round_commitments
+  FOR SELECT USING (
+    auth.uid() = investor_id OR
+    EXISTS (
+      SELECT 1 FROM funding_rounds r
+      WHERE r.id = round_id AND (r.startup_id = auth.uid() OR (r.is_public = true AND confirmed_at IS NOT NULL))
+    )
+  );
+
+CREATE POLICY "Founders manage commitments on their rounds" ON funding_round_commitments
+  FOR ALL USING (
+    EXISTS (SELECT 1 FROM funding_rounds r WHERE r.id = round_id AND r.startup_id = auth.uid())
+  ) WITH CHECK (
+    EXISTS (SELECT 1 FROM funding_rounds r WHERE r.id = round_id AND r.startup_id = auth.uid())
+  );
+
+-- Founders cannot confirm on an investor's behalf: a commitment naming a platform investor starts
+-- unconfirmed, and changing who committed or how much asks for confirmation again. Not SECURITY
+-- DEFINER: current_user is the API role for direct writes, and the function owner inside
+-- respond_to_round_commitment.
+CREATE OR REPLACE FUNCTION set_commitment_confirmation()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF current_user NOT IN ('anon', 'authenticated') THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'INSERT'
+    OR NEW.investor_id IS DISTINCT FROM OLD.investor_id
+    OR NEW.amount IS DISTINCT FROM OLD.amount
+    OR NEW.round_id IS DISTINCT FROM OLD.round_id
+    OR NEW.is_lead IS DISTINCT FROM OLD.is_lead
+  THEN
+    NEW.confirmed_at := CASE WHEN NEW.investor_id IS NULL THEN NOW() END;
+  ELSE
+    NEW.confirmed_at := OLD.confirmed_at;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER funding_round_commitments_set_confirmation
+  BEFORE INSERT OR UPDATE ON funding_round_commitments
+  FOR EACH ROW EXECUTE FUNCTION set_commitment_confirmation();
+
+-- The named investor confirms a commitment, or declines it and it is removed
+CREATE OR REPLACE FUNCTION respond_to_round_commitment(target_commitment_id UUID, accept BOOLEAN)
+RETURNS funding_round_commitments AS $$
+DECLARE
+  commitment funding_round_commitments;
+BEGIN
+  SELECT * INTO commitment FROM funding_round_commitments WHERE id = target_commitment_id FOR UPDATE;
+
+  IF commitment.id IS NULL OR commitment.investor_id IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'Commitment not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF accept THEN
+    UPDATE funding_round_commitments
+    SET confirmed_at = COALESCE(confirmed_at, NOW())
+    WHERE id = target_commitment_id
+    RETURNING * INTO commitment;
+  ELSE
+    DELETE FROM funding_round_commitments WHERE id = target_commitment_id;
+  END IF;
+
+  -- The investor cannot write the startup's profile, so refresh its total here (as syncFundingRaised does)
+  UPDATE startup_profiles sp
+  SET funding_raised = (
+    SELECT COALESCE(SUM(c.amount), 0)
+    FROM funding_round_commitments c
+    JOIN funding_rounds r ON r.id = c.round_id
+    WHERE r.startup_id = sp.user_id AND r.status = 'closed' AND c.confirmed_at IS NOT NULL
+  )
+  WHERE sp.user_id = (SELECT startup_id FROM funding_rounds WHERE id = commitment.round_id);
+
+  RETURN commitment;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER update_funding_rounds_updated_at
+  BEFORE UPDATE ON funding_rounds
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,243 @@
+-- Group conversations and deal rooms
+-- Conversations were strictly two-party (participant_1/participant_2). Every conversation now lists its
+-- people in conversation_members with a role (owner or member). Direct conversations keep their
+-- participant pair so there is still only one per pair; groups (deal rooms, mentor circles) have a name.
+-- History visibility: a member sees messages sent from visible_from (NULL = the whole history) and, after
+-- being removed or leaving, up to removed_at. Owners choose per addition whether earlier messages are shared.
+-- Read state is per member (last_read_at); get_my_conversations() returns each conversation's unread count.
+-- Runs after sql/add_message_attachments.sql. Existing 1:1 messages are moved into direct conversations.
+
+ALTER TABLE conversations
+ADD COLUMN IF NOT EXISTS is_group BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS name TEXT CHECK (char_length(name) <= 100),
+ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES profiles(id) ON DELETE SET NULL;
+
+ALTER TABLE conversations
+ADD CONSTRAINT conversations_kind_check CHECK (
+  (is_group AND name IS NOT NULL AND participant_1 IS NULL AND participant_2 IS NULL) OR
+  (NOT is_group AND participant_1 IS NOT NULL AND participant_2 IS NOT NULL)
+);
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_id ON messages(conversation_id, created_at);
+
+-- Move existing 1:1 messages into the direct conversation of their pair, creating it where missing
+UPDATE messages m
+SET conversation_id = c.id
+FROM conversations c
+WHERE m.conversation_id IS NULL
+  AND NOT c.is_group
+  AND ((c.participant_1 = m.sender_id AND c.participant_2 = m.recipient_id) OR
+       (c.participant_1 = m.recipient_id AND c.participant_2 = m.sender_id));
+
+INSERT INTO conversations (participant_1, participant_2, created_at, last_message_at)
+SELECT LEAST(sender_id, recipient_id), GREATEST(sender_id, recipient_id), MIN(created_at), MAX(created_at)
+FROM messages
+WHERE conversation_id IS NULL AND sender_id IS NOT NULL AND recipient_id IS NOT NULL
+GROUP BY LEAST(sender_id, recipient_id), GREATEST(sender_id, recipient_id);
+
+UPDATE messages m
+SET conversation_id = c.id
+FROM conversations c
+WHERE m.conversation_id IS NULL
+  AND NOT c.is_group
+  AND c.participant_1 = LEAST(m.sender_id, m.recipient_id)
+  AND c.participant_2 = GREATEST(m.sender_id, m.recipient_id);
+
+CREATE TABLE conversation_members (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'member')),
+  added_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  visible_from TIMESTAMP WITH TIME ZONE,
+  removed_at TIMESTAMP WITH TIME ZONE,
+  last_read_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE(conversation_id, user_id)
+);
+
+CREATE INDEX idx_conversation_members_user_id ON conversation_members(user_id);
+
+-- Both people in a direct conversation are members; earlier messages count as read
+INSERT INTO conversation_members (conversation_id, user_id, joined_at, last_read_at)
+SELECT id, participant_1, created_at, NOW() FROM conversations WHERE participant_1 IS NOT NULL
+UNION ALL
+SELECT id, participant_2, created_at, NOW() FROM conversations WHERE participant_2 IS NOT NULL
+ON CONFLICT (conversation_id, user_id) DO NOTHING;
+
+-- Current member of a conversation
+CREATE OR REPLACE FUNCTION is_conversation_member(target_conversation_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM conversation_members
+    WHERE conversation_id = target_conversation_id AND user_id = auth.uid() AND removed_at IS NULL
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION is_conversation_owner(target_conversation_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM conversation_members
+    WHERE conversation_id = target_conversation_id AND user_id = auth.uid()
+      AND role = 'owner' AND removed_at IS NULL
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Current or former member; former members keep read-only access to what they could see
+CREATE OR REPLACE FUNCTION was_conversation_member(target_conversation_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM conversation_members
+    WHERE conversation_id = target_conversation_id AND user_id = auth.uid()
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- A conversation the current user just created and nobody has joined yet
+CREATE OR REPLACE FUNCTION is_new_conversation(target_conversation_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (SELECT 1 FROM conversations WHERE id = target_conversation_id AND created_by = auth.uid())
+    AND NOT EXISTS (SELECT 1 FROM conversation_members WHERE conversation_id = target_conversation_id);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Whether the current user may read a message sent at sent_at in a conversation
+CREATE OR REPLACE FUNCTION can_view_conversation_message(target_conversation_id UUID, sent_at TIMESTAMP WITH TIME ZONE)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM conversation_members
+    WHERE conversation_id = target_conversation_id AND user_id = auth.uid()
+      AND (visible_from IS NULL OR sent_at >= visible_from)
+      AND (removed_at IS NULL OR sent_at <= removed_at)
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Conversations
+ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Members can view their conversations" ON conversations
+  FOR SELECT USING (created_by = auth.uid() OR was_conversation_member(id));
+
+CREATE POLICY "Users can start conversations" ON conversations
+  FOR INSERT WITH CHECK (created_by = auth.uid());
+
+CREATE POLICY "Owners can rename group conversations" ON conversations
+  FOR UPDATE USING (is_group AND is_conversation_owner(id))
+  WITH CHECK (is_group AND is_conversation_owner(id));
+
+-- Members; the creator adds the first members in a single insert, owners manage them afterwards.
+-- Members change their own read state and leave through the functions below.
+ALTER TABLE conversation_members ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Members can view fellow members" ON conversation_members
+  FOR SELECT USING (was_conversation_member(conversation_id));
+
+CREATE POLICY "Creators and owners add members" ON conversation_members
+  FOR INSERT WITH CHECK (is_conversation_owner(conversation_id) OR is_new_conversation(conversation_id));
+
+CREATE POLICY "Owners manage members" ON conversation_members
+  FOR UPDATE USING (is_conversation_owner(conversation_id))
+  WITH CHECK (is_conversation_owner(conversation_id));
+
+-- Messages: members read within their visibility window and only current members send
+DROP POLICY IF EXISTS "Users can view their own messages" ON messages;
+DROP POLICY IF EXISTS "Users can send messages" ON messages;
+
+CREATE POLICY "Members can view conversation messages" ON messages
+  FOR SELECT USING (can_view_conversation_message(conversation_id, created_at));
+
+CREATE POLICY "Members can send messages" ON messages
+  FOR INSERT WITH CHECK (auth.uid() = sender_id AND is_conversation_member(conversation_id));
+
+CREATE OR REPLACE FUNCTION touch_conversation_last_message()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE conversations SET last_message_at = NEW.created_at WHERE id = NEW.conversation_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER messages_touch_conversation
+  AFTER INSERT ON messages
+  FOR EACH ROW WHEN (NEW.conversation_id IS NOT NULL)
+  EXECUTE FUNCTION touch_conversation_last_message();
+
+-- Attachments follow the same visibility as the message listing them
+CREATE OR REPLACE FUNCTION can_read_message_attachment(object_name TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM messages m
+    WHERE m.message_type IN ('image', 'file')
+      AND NOT m.deleted
+      AND can_view_conversation_message(m.conversation_id, m.created_at)
+      AND m.sender_id::text = (storage.foldername(object_name))[1]
+      AND (
+        m.metadata -> 'attachments' @> jsonb_build_array(jsonb_build_object('path', object_name)) OR
+        m.metadata -> 'attachments' @> jsonb_build_array(jsonb_build_object('thumbnail_path', object_name))
+      )
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- The current user's conversations with their latest visible message and unread count
+CREATE OR REPLACE FUNCTION get_my_conversations()
+RETURNS TABLE (conversation_id UUID, unread_count BIGINT, last_message JSONB) AS $$
+  SELECT
+    cm.conversation_id,
+    CASE WHEN cm.removed_at IS NOT NULL THEN 0 ELSE (
+      SELECT COUNT(*) FROM messages m
+      WHERE m.conversation_id = cm.conversation_id
+        AND m.sender_id <> cm.user_id
+        AND NOT m.deleted
+        AND m.created_at > COALESCE(GREATEST(cm.last_read_at, cm.visible_from), '-infinity'::timestamptz)
+    ) END,
+    (
+      SELECT to_jsonb(latest) FROM (
+        SELECT m.id, m.sender_id, m.content, m.message_type, m.metadata, m.deleted, m.created_at
+        FROM messages m
+        WHERE m.conversation_id = cm.conversation_id
+          AND (cm.visible_from IS NULL OR m.created_at >= cm.visible_from)
+          AND (cm.removed_at IS NULL OR m.created_at <= cm.removed_at)
+        ORDER BY m.created_at DESC
+        LIMIT 1
+      ) latest
+    )
+  FROM conversation_members cm
+  WHERE cm.user_id = auth.uid();
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Move the current user's read marker forward (never back) to read_until
+CREATE OR REPLACE FUNCTION mark_conversation_read(target_conversation_id UUID, read_until TIMESTAMP WITH TIME ZONE DEFAULT NOW())
+RETURNS VOID AS $$
+  UPDATE conversation_members
+  SET last_read_at = GREATEST(COALESCE(last_read_at, '-infinity'::timestamptz), LEAST(read_until, NOW()))
+  WHERE conversation_id = target_conversation_id AND user_id = auth.uid() AND removed_at IS NULL;
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Leave a group; the longest-standing member becomes owner when the last owner leaves
+CREATE OR REPLACE FUNCTION leave_conversation(target_conversation_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM conversations WHERE id = target_conversation_id AND is_group) THEN
+    RAISE EXCEPTION 'Only group conversations can be left';
+  END IF;
+
+  UPDATE conversation_members
+  SET removed_at = NOW()
+  WHERE conversation_id = target_conversation_id AND user_id = auth.uid() AND removed_at IS NULL;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM conversation_members
+    WHERE conversation_id = target_conversation_id AND role = 'owner' AND removed_at IS NULL
+  ) THEN
+    UPDATE conversation_members
+    SET role = 'owner'
+    WHERE id = (
+      SELECT id FROM conversation_members
+      WHERE conversation_id = target_conversation_id AND removed_at IS NULL
+      ORDER BY joined_at
+      LIMIT 1
+    );
+  END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
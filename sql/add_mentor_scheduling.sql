@@ -0,0 +1,321 @@
+-- Mentorship session scheduling
+-- Mentors publish weekly availability rules (wall-clock times in their own time zone) plus dated
+-- exceptions. Open slots are computed from those, minus existing sessions padded by the mentor's
+-- buffer, and bookings must respect the mentor's minimum notice. Reschedules and cancellations
+-- follow the mentor's cancellation policy.
+
+-- Scheduling settings and cancellation policy per mentor
+ALTER TABLE mentor_profiles
+ADD COLUMN time_zone TEXT NOT NULL DEFAULT 'UTC', -- IANA zone, e.g. 'Europe/Berlin'
+ADD COLUMN session_durations INTEGER[] NOT NULL DEFAULT '{30,60}',
+ADD COLUMN buffer_minutes INTEGER NOT NULL DEFAULT 15 CHECK (buffer_minutes BETWEEN 0 AND 240),
+ADD COLUMN min_notice_hours INTEGER NOT NULL DEFAULT 24 CHECK (min_notice_hours BETWEEN 0 AND 720),
+ADD COLUMN booking_window_days INTEGER NOT NULL DEFAULT 30 CHECK (booking_window_days BETWEEN 1 AND 365),
+ADD COLUMN cancellation_notice_hours INTEGER NOT NULL DEFAULT 24 CHECK (cancellation_notice_hours BETWEEN 0 AND 720),
+ADD COLUMN max_reschedules INTEGER NOT NULL DEFAULT 2 CHECK (max_reschedules >= 0);
+
+-- Allow session notifications
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+  CHECK (type IN ('message', 'connection_request', 'connection_accepted', 'event_invite', 'application_status', 'mention', 'portfolio_alert', 'session_booked', 'session_rescheduled', 'session_cancelled'));
+
+-- Weekly recurring availability
+CREATE TABLE mentor_availability_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  mentor_id UUID REFERENCES mentor_profiles(id) ON DELETE CASCADE,
+  weekday INTEGER NOT NULL CHECK (weekday BETWEEN 0 AND 6), -- 0 = Sunday
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (end_time > start_time)
+);
+
+CREATE INDEX idx_mentor_availability_rules_mentor ON mentor_availability_rules(mentor_id, weekday);
+
+-- Dated overrides: a blocked day (no times), a blocked window, or extra hours outside the rules
+CREATE TABLE mentor_availability_exceptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  mentor_id UUID REFERENCES mentor_profiles(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  is_available BOOLEAN NOT NULL DEFAULT FALSE,
+  start_time TIME,
+  end_time TIME,
+  reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK ((start_time IS NULL AND end_time IS NULL AND NOT is_available) OR end_time > start_time)
+);
+
+CREATE INDEX idx_mentor_availability_exceptions_mentor_date ON mentor_availability_exceptions(mentor_id, date);
+
+-- Booked sessions; mentor_id is the mentor profile, matching transactions.mentor_id
+CREATE TABLE IF NOT EXISTS mentorship_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  mentor_id UUID REFERENCES mentor_profiles(id) ON DELETE CASCADE,
+  mentee_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  scheduled_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  duration_minutes INTEGER NOT NULL DEFAULT 60,
+  session_type TEXT DEFAULT 'video_call',
+  notes TEXT,
+  status TEXT DEFAULT 'scheduled',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE mentorship_sessions
+ADD COLUMN IF NOT EXISTS ends_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS mentee_time_zone TEXT,
+ADD COLUMN IF NOT EXISTS reschedule_count INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS cancelled_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS cancellation_reason TEXT,
+ADD COLUMN IF NOT EXISTS late_cancellation BOOLEAN NOT NULL DEFAULT FALSE;
+
+UPDATE mentorship_sessions
+SET ends_at = scheduled_at + make_interval(mins => duration_minutes)
+WHERE ends_at IS NULL;
+
+ALTER TABLE mentorship_sessions ALTER COLUMN ends_at SET NOT NULL;
+
+ALTER TABLE mentorship_sessions DROP CONSTRAINT IF EXISTS mentorship_sessions_status_check;
+ALTER TABLE mentorship_sessions ADD CONSTRAINT mentorship_sessions_status_check
+  CHECK (status IN ('scheduled', 'completed', 'cancelled', 'no_show'));
+
+-- Last line of defence against double-booking when two mentees grab the same slot at once
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+ALTER TABLE mentorship_sessions ADD CONSTRAINT mentorship_sessions_no_overlap
+  EXCLUDE USING gist (mentor_id WITH =, tstzrange(scheduled_at, ends_at) WITH &&)
+  WHERE (status = 'scheduled');
+
+CREATE INDEX IF NOT EXISTS idx_mentorship_sessions_mentor_time ON mentorship_sessions(mentor_id, scheduled_at);
+CREATE INDEX IF NOT EXISTS idx_mentorship_sessions_mentee ON mentorship_sessions(mentee_id, scheduled_at);
+
+-- Whether the current user owns a mentor profile
+CREATE OR REPLACE FUNCTION is_mentor_profile_owner(profile_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (SELECT 1 FROM mentor_profiles WHERE id = profile_id AND user_id = auth.uid());
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Busy intervals of a mentor, without exposing who booked them
+CREATE OR REPLACE FUNCTION get_mentor_busy_times(busy_mentor_id UUID, range_start TIMESTAMPTZ, range_end TIMESTAMPTZ)
+RETURNS TABLE (starts_at TIMESTAMPTZ, ends_at TIMESTAMPTZ) AS $$
+  SELECT s.scheduled_at, s.ends_at
+  FROM mentorship_sessions s
+  WHERE s.mentor_id = busy_mentor_id
+    AND s.status = 'scheduled'
+    AND s.scheduled_at < range_end
+    AND s.ends_at > range_start;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Whether a slot lies inside the mentor's open hours on its mentor-local date: weekly rules plus
+-- extra hours, minus blocked windows, with blocked days closed (the same as windowsForDate in
+-- src/lib/scheduling.js). Wall-clock times are turned into instants in the mentor's time zone.
+CREATE OR REPLACE FUNCTION mentor_slot_in_availability(target_mentor_id UUID, slot_start TIMESTAMPTZ, slot_end TIMESTAMPTZ)
+RETURNS BOOLEAN AS $$
+DECLARE
+  zone TEXT;
+  local_date DATE;
+  open_hours TSTZMULTIRANGE;
+  blocked_hours TSTZMULTIRANGE;
+BEGIN
+  SELECT time_zone INTO zone FROM mentor_profiles WHERE id = target_mentor_id;
+  IF zone IS NULL THEN
+    RETURN FALSE;
+  END IF;
+  local_date := (slot_start AT TIME ZONE zone)::date;
+
+  IF EXISTS (
+    SELECT 1 FROM mentor_availability_exceptions
+    WHERE mentor_id = target_mentor_id AND date = local_date AND NOT is_available AND start_time IS NULL
+  ) THEN
+    RETURN FALSE;
+  END IF;
+
+  SELECT range_agg(tstzrange((local_date + w.start_time) AT TIME ZONE zone, (local_date + w.end_time) AT TIME ZONE zone))
+  INTO open_hours
+  FROM (
+    SELECT start_time, end_time FROM mentor_availability_rules
+    WHERE mentor_id = target_mentor_id AND weekday = EXTRACT(DOW FROM local_date)
+    UNION ALL
+    SELECT start_time, end_time FROM mentor_availability_exceptions
+    WHERE mentor_id = target_mentor_id AND date = local_date AND is_available
+  ) w;
+
+  SELECT range_agg(tstzrange((local_date + e.start_time) AT TIME ZONE zone, (local_date + e.end_time) AT TIME ZONE zone))
+  INTO blocked_hours
+  FROM mentor_availability_exceptions e
+  WHERE e.mentor_id = target_mentor_id AND e.date = local_date AND NOT e.is_available AND e.start_time IS NOT NULL;
+
+  RETURN COALESCE(
+    (open_hours - COALESCE(blocked_hours, '{}'::tstzmultirange)) @> tstzrange(slot_start, slot_end),
+    FALSE
+  );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Raise unless a slot respects the mentor's minimum notice, booking window, availability and buffer
+-- around other sessions (the same rules as validateSlot in src/lib/scheduling.js). own_start is the
+-- current start of a session being moved, whose own slot does not count as busy.
+CREATE OR REPLACE FUNCTION validate_mentorship_slot(
+  target_mentor_id UUID,
+  slot_start TIMESTAMPTZ,
+  slot_end TIMESTAMPTZ,
+  own_start TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS VOID AS $$
+DECLARE
+  mentor mentor_profiles;
+  buffer INTERVAL;
+BEGIN
+  SELECT * INTO mentor FROM mentor_profiles WHERE id = target_mentor_id;
+  buffer := make_interval(mins => mentor.buffer_minutes);
+
+  IF slot_start < NOW() + make_interval(hours => mentor.min_notice_hours) THEN
+    RAISE EXCEPTION 'Sessions must be booked at least % hours in advance', mentor.min_notice_hours
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF slot_start > NOW() + make_interval(days => mentor.booking_window_days) THEN
+    RAISE EXCEPTION 'Sessions can be booked at most % days ahead', mentor.booking_window_days
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF NOT mentor_slot_in_availability(target_mentor_id, slot_start, slot_end) THEN
+    RAISE EXCEPTION 'Selected time is outside the mentor''s availability' USING ERRCODE = '22023';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM get_mentor_busy_times(target_mentor_id, slot_start - buffer, slot_end + buffer) b
+    WHERE b.starts_at IS DISTINCT FROM own_start
+  ) THEN
+    RAISE EXCEPTION 'Selected time overlaps another session or its buffer' USING ERRCODE = '22023';
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Bookings made by app users must pass validate_mentorship_slot. Functions running as their owner
+-- and the service role are not checked.
+CREATE OR REPLACE FUNCTION check_mentorship_session_time()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF current_user NOT IN ('anon', 'authenticated') THEN
+    RETURN NEW;
+  END IF;
+
+  NEW.ends_at = NEW.scheduled_at + make_interval(mins => NEW.duration_minutes);
+  PERFORM validate_mentorship_slot(NEW.mentor_id, NEW.scheduled_at, NEW.ends_at);
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER mentorship_sessions_check_time
+  BEFORE INSERT ON mentorship_sessions
+  FOR EACH ROW EXECUTE FUNCTION check_mentorship_session_time();
+
+-- Sessions only move through reschedule_mentorship_session, which applies the reschedule limit and
+-- notice cutoff. Not SECURITY DEFINER: current_user is the API role for direct updates, and the
+-- function owner inside reschedule_mentorship_session.
+CREATE OR REPLACE FUNCTION guard_mentorship_session_time()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF current_user IN ('anon', 'authenticated') AND (
+    NEW.scheduled_at IS DISTINCT FROM OLD.scheduled_at
+    OR NEW.ends_at IS DISTINCT FROM OLD.ends_at
+    OR NEW.duration_minutes IS DISTINCT FROM OLD.duration_minutes
+    OR NEW.reschedule_count IS DISTINCT FROM OLD.reschedule_count
+  ) THEN
+    RAISE EXCEPTION 'Sessions can only be moved by rescheduling them' USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER mentorship_sessions_guard_time
+  BEFORE UPDATE ON mentorship_sessions
+  FOR EACH ROW EXECUTE FUNCTION guard_mentorship_session_time();
+
+-- Move a scheduled session to a new start under the mentor's cancellation policy (see getSessionPolicy
+-- in src/lib/scheduling.js): mentors may always move an upcoming session; mentees only before
+-- cancellation_notice_hours and at most max_reschedules times.
+CREATE OR REPLACE FUNCTION reschedule_mentorship_session(target_session_id UUID, new_start TIMESTAMPTZ)
+RETURNS mentorship_sessions AS $$
+DECLARE
+  session mentorship_sessions;
+  mentor mentor_profiles;
+  by_mentee BOOLEAN;
+BEGIN
+  SELECT * INTO session FROM mentorship_sessions WHERE id = target_session_id FOR UPDATE;
+  SELECT * INTO mentor FROM mentor_profiles WHERE id = session.mentor_id;
+
+  -- COALESCE: IN yields NULL rather than FALSE when a participant id is NULL
+  IF session.id IS NULL OR NOT COALESCE(auth.uid() IN (session.mentee_id, mentor.user_id), FALSE) THEN
+    RAISE EXCEPTION 'Session not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF session.status <> 'scheduled' THEN
+    RAISE EXCEPTION 'Only scheduled sessions can be changed' USING ERRCODE = '22023';
+  END IF;
+
+  IF session.scheduled_at <= NOW() THEN
+    RAISE EXCEPTION 'Session has already started' USING ERRCODE = '22023';
+  END IF;
+
+  by_mentee := auth.uid() IS DISTINCT FROM mentor.user_id;
+
+  IF by_mentee AND session.scheduled_at < NOW() + make_interval(hours => mentor.cancellation_notice_hours) THEN
+    RAISE EXCEPTION 'Changes within % hours of the session count as late cancellations', mentor.cancellation_notice_hours
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF by_mentee AND session.reschedule_count >= mentor.max_reschedules THEN
+    RAISE EXCEPTION 'This session has been rescheduled the maximum number of times' USING ERRCODE = '42501';
+  END IF;
+
+  PERFORM validate_mentorship_slot(
+    session.mentor_id,
+    new_start,
+    new_start + make_interval(mins => session.duration_minutes),
+    session.scheduled_at
+  );
+
+  UPDATE mentorship_sessions
+  SET scheduled_at = new_start,
+      ends_at = new_start + make_interval(mins => session.duration_minutes),
+      reschedule_count = reschedule_count + CASE WHEN by_mentee THEN 1 ELSE 0 END
+  WHERE id = target_session_id
+  RETURNING * INTO session;
+
+  RETURN session;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+ALTER TABLE mentor_availability_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE mentor_availability_exceptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE mentorship_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Availability rules are viewable by everyone" ON mentor_availability_rules
+  FOR SELECT USING (true);
+
+CREATE POLICY "Mentors manage their availability rules" ON mentor_availability_rules
+  FOR ALL USING (is_mentor_profile_owner(mentor_id)) WITH CHECK (is_mentor_profile_owner(mentor_id));
+
+CREATE POLICY "Availability exceptions are viewable by everyone" ON mentor_availability_exceptions
+  FOR SELECT USING (true);
+
+CREATE POLICY "Mentors manage their availability exceptions" ON mentor_availability_exceptions
+  FOR ALL USING (is_mentor_profile_owner(mentor_id)) WITH CHECK (is_mentor_profile_owner(mentor_id));
+
+CREATE POLICY "Participants can view their sessions" ON mentorship_sessions
+  FOR SELECT USING (auth.uid() = mentee_id OR is_mentor_profile_owner(mentor_id));
+
+CREATE POLICY "Mentees can book sessions" ON mentorship_sessions
+  FOR INSERT WITH CHECK (auth.uid() = mentee_id AND status = 'scheduled');
+
+CREATE POLICY "Participants can update their sessions" ON mentorship_sessions
+  FOR UPDATE USING (auth.uid() = mentee_id OR is_mentor_profile_owner(mentor_id));
+
+DROP TRIGGER IF EXISTS update_mentorship_sessions_updated_at ON mentorship_sessions;
+CREATE TRIGGER update_mentorship_sessions_updated_at
+  BEFORE UPDATE ON mentorship_sessions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,182 @@
+-- Paid mentorship sessions with Stripe
+-- Booking a paid mentor creates the session as `pending_payment`, holding the slot for a short time
+-- while the mentee pays. /api/payments/intent creates the PaymentIntent and a pending transaction;
+-- /api/payments/webhook moves the transaction (and session) on payment_intent.succeeded,
+-- payment_intent.payment_failed, payment_intent.canceled and charge.refunded.
+-- Transactions are written only by those routes with the service role.
+
+ALTER TABLE transactions
+ADD COLUMN session_id UUID REFERENCES mentorship_sessions(id) ON DELETE SET NULL,
+ADD COLUMN payer_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+ADD COLUMN platform_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN stripe_charge_id TEXT,
+ADD COLUMN failure_reason TEXT,
+ADD COLUMN refunded_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_status_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_status_check
+  CHECK (status IN ('pending', 'succeeded', 'failed', 'cancelled', 'refunded', 'partially_refunded'));
+
+CREATE UNIQUE INDEX idx_transactions_session ON transactions(session_id) WHERE session_id IS NOT NULL;
+CREATE INDEX idx_transactions_mentor_created ON transactions(mentor_id, created_at DESC);
+
+-- Stripe retries webhooks; each event is applied once
+CREATE TABLE stripe_webhook_events (
+  id TEXT PRIMARY KEY, -- Stripe event id (evt_...)
+  type TEXT NOT NULL,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE stripe_webhook_events ENABLE ROW LEVEL SECURITY;
+
+-- Sessions waiting for payment hold their slot until payment_expires_at
+ALTER TABLE mentorship_sessions ADD COLUMN payment_expires_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE mentorship_sessions DROP CONSTRAINT IF EXISTS mentorship_sessions_status_check;
+ALTER TABLE mentorship_sessions ADD CONSTRAINT mentorship_sessions_status_check
+  CHECK (status IN ('pending_payment', 'scheduled', 'completed', 'cancelled', 'no_show'));
+
+ALTER TABLE mentorship_sessions DROP CONSTRAINT IF EXISTS mentorship_sessions_no_overlap;
+ALTER TABLE mentorship_sessions ADD CONSTRAINT mentorship_sessions_no_overlap
+  EXCLUDE USING gist (mentor_id WITH =, tstzrange(scheduled_at, ends_at) WITH &&)
+  WHERE (status IN ('scheduled', 'pending_payment'));
+
+CREATE OR REPLACE FUNCTION mentor_requires_payment(target_mentor_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM mentor_profiles WHERE id = target_mentor_id AND is_paid AND COALESCE(hourly_rate, 0) > 0
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Sessions with a paid mentor start out waiting for payment; only the webhook confirms them
+DROP POLICY IF EXISTS "Mentees can book sessions" ON mentorship_sessions;
+CREATE POLICY "Mentees can book sessions" ON mentorship_sessions
+  FOR INSERT WITH CHECK (
+    auth.uid() = mentee_id AND
+    status = CASE WHEN mentor_requires_payment(mentor_id) THEN 'pending_payment' ELSE 'scheduled' END
+  );
+
+-- The payment hold always starts at booking time and lasts PAYMENT_HOLD_MINUTES (src/lib/payments.js);
+-- whatever the client sent is ignored
+CREATE OR REPLACE FUNCTION set_session_payment_hold()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.payment_expires_at := CASE
+    WHEN NEW.status = 'pending_payment' THEN NOW() + INTERVAL '15 minutes'
+    ELSE NULL
+  END;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER mentorship_sessions_set_payment_hold
+  BEFORE INSERT ON mentorship_sessions
+  FOR EACH ROW EXECUTE FUNCTION set_session_payment_hold();
+
+-- Participants may still edit details such as the notes, but who is involved and the session's
+-- status, cancellation and payment hold are only changed by cancel_mentorship_session,
+-- release_expired_session_holds and the payment webhook (see guard_mentorship_session_update)
+DROP POLICY IF EXISTS "Participants can update their sessions" ON mentorship_sessions;
+CREATE POLICY "Participants can update their sessions" ON mentorship_sessions
+  FOR UPDATE USING (auth.uid() = mentee_id OR is_mentor_profile_owner(mentor_id))
+  WITH CHECK (auth.uid() = mentee_id OR is_mentor_profile_owner(mentor_id));
+
+-- Not SECURITY DEFINER: current_user is the API role for direct updates, and the function owner
+-- inside the SECURITY DEFINER functions below
+CREATE OR REPLACE FUNCTION guard_mentorship_session_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF current_user IN ('anon', 'authenticated') AND (
+    NEW.status IS DISTINCT FROM OLD.status
+    OR NEW.late_cancellation IS DISTINCT FROM OLD.late_cancellation
+    OR NEW.cancelled_at IS DISTINCT FROM OLD.cancelled_at
+    OR NEW.cancelled_by IS DISTINCT FROM OLD.cancelled_by
+    OR NEW.payment_expires_at IS DISTINCT FROM OLD.payment_expires_at
+    OR NEW.mentor_id IS DISTINCT FROM OLD.mentor_id
+    OR NEW.mentee_id IS DISTINCT FROM OLD.mentee_id
+  ) THEN
+    RAISE EXCEPTION 'Session status can only be changed by cancelling or paying for the session'
+      USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER mentorship_sessions_guard_update
+  BEFORE UPDATE ON mentorship_sessions
+  FOR EACH ROW EXECUTE FUNCTION guard_mentorship_session_update();
+
+-- Cancel a scheduled session. Lateness follows the mentor's cancellation policy (see getSessionPolicy
+-- in src/lib/scheduling.js): only mentees cancelling within cancellation_notice_hours are late.
+CREATE OR REPLACE FUNCTION cancel_mentorship_session(target_session_id UUID, reason TEXT DEFAULT NULL)
+RETURNS mentorship_sessions AS $$
+DECLARE
+  session mentorship_sessions;
+  mentor mentor_profiles;
+BEGIN
+  SELECT * INTO session FROM mentorship_sessions WHERE id = target_session_id FOR UPDATE;
+  SELECT * INTO mentor FROM mentor_profiles WHERE id = session.mentor_id;
+
+  -- COALESCE: IN yields NULL rather than FALSE when a participant id is NULL
+  IF session.id IS NULL OR NOT COALESCE(auth.uid() IN (session.mentee_id, mentor.user_id), FALSE) THEN
+    RAISE EXCEPTION 'Session not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF session.status <> 'scheduled' THEN
+    RAISE EXCEPTION 'Only scheduled sessions can be changed' USING ERRCODE = '22023';
+  END IF;
+
+  IF session.scheduled_at <= NOW() THEN
+    RAISE EXCEPTION 'Session has already started' USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE mentorship_sessions
+  SET status = 'cancelled',
+      cancelled_at = NOW(),
+      cancelled_by = auth.uid(),
+      cancellation_reason = NULLIF(TRIM(reason), ''),
+      late_cancellation = auth.uid() IS DISTINCT FROM mentor.user_id
+        AND session.scheduled_at < NOW() + make_interval(hours => mentor.cancellation_notice_hours)
+  WHERE id = target_session_id
+  RETURNING * INTO session;
+
+  RETURN session;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Release holds whose payment window passed, so their slots can be booked again
+CREATE OR REPLACE FUNCTION release_expired_session_holds()
+RETURNS INTEGER AS $$
+DECLARE
+  released INTEGER;
+BEGIN
+  UPDATE mentorship_sessions
+  SET status = 'cancelled', cancelled_at = NOW(), cancellation_reason = 'Payment not completed'
+  WHERE status = 'pending_payment' AND payment_expires_at < NOW();
+  GET DIAGNOSTICS released = ROW_COUNT;
+  RETURN released;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_mentor_busy_times(busy_mentor_id UUID, range_start TIMESTAMPTZ, range_end TIMESTAMPTZ)
+RETURNS TABLE (starts_at TIMESTAMPTZ, ends_at TIMESTAMPTZ) AS $$
+  SELECT s.scheduled_at, s.ends_at
+  FROM mentorship_sessions s
+  WHERE s.mentor_id = busy_mentor_id
+    AND (s.status = 'scheduled' OR (s.status = 'pending_payment' AND s.payment_expires_at > NOW()))
+    AND s.scheduled_at < range_end
+    AND s.ends_at > range_start;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+ALTER TABLE transactions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Mentors can view their transactions" ON transactions
+  FOR SELECT USING (is_mentor_profile_owner(mentor_id));
+
+CREATE POLICY "Payers can view their transactions" ON transactions
+  FOR SELECT USING (auth.uid() = payer_id);
+
+CREATE TRIGGER update_transactions_updated_at
+  BEFORE UPDATE ON transactions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,65 @@
+-- File and image attachments in direct messages
+-- Attachments are uploaded to the private `message-attachments` bucket under `<sender id>/<upload id>/`
+-- and listed in messages.metadata.attachments (see src/lib/messageAttachments.js). A file can only be
+-- read by the sender and the recipient of a message that lists it, so the app serves signed URLs only.
+-- Deleting a message removes its files and clears the list.
+
+-- Columns written by src/lib/api/messages.js that the original schema did not define
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS message_type message_type NOT NULL DEFAULT 'text',
+ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS deleted BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- Looks up which message lists a storage object
+CREATE INDEX idx_messages_attachments ON messages USING GIN ((metadata -> 'attachments') jsonb_path_ops)
+  WHERE message_type IN ('image', 'file');
+
+-- Private storage bucket; images are capped lower in the app (10 MB)
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('message-attachments', 'message-attachments', false, 26214400, ARRAY[
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'text/csv', 'text/plain', 'application/zip'
+])
+ON CONFLICT (id) DO NOTHING;
+
+-- Whether the current user sent or received a live message listing this object. The object must sit in
+-- the sender's own folder, so nobody can gain access to someone else's file by naming it in a message.
+CREATE OR REPLACE FUNCTION can_read_message_attachment(object_name TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM messages m
+    WHERE m.message_type IN ('image', 'file')
+      AND NOT m.deleted
+      AND (m.sender_id = auth.uid() OR m.recipient_id = auth.uid())
+      AND m.sender_id::text = (storage.foldername(object_name))[1]
+      AND (
+        m.metadata -> 'attachments' @> jsonb_build_array(jsonb_build_object('path', object_name)) OR
+        m.metadata -> 'attachments' @> jsonb_build_array(jsonb_build_object('thumbnail_path', object_name))
+      )
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Storage policies: senders own their prefix, recipients may sign URLs for files sent to them
+CREATE POLICY "Senders manage their message attachments" ON storage.objects
+  FOR ALL USING (
+    bucket_id = 'message-attachments' AND (storage.foldername(name))[1] = auth.uid()::text
+  ) WITH CHECK (
+    bucket_id = 'message-attachments' AND (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+CREATE POLICY "Participants can read message attachments" ON storage.objects
+  FOR SELECT USING (
+    bucket_id = 'message-attachments' AND can_read_message_attachment(name)
+  );
+
+-- Senders soft-delete their own messages (content, deleted flag, attachment list)
+CREATE POLICY "Senders can update their messages" ON messages
+  FOR UPDATE USING (auth.uid() = sender_id) WITH CHECK (auth.uid() = sender_id);
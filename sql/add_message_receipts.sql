@@ -0,0 +1,134 @@
+-- Presence, typing indicators and delivered/read receipts for messages
+-- Online/away status and typing are realtime channels only (see src/lib/messagePresence.js): the global
+-- "presence:online" channel and one "conversation:<id>" channel per open thread. Last seen is stored here.
+-- Every message gets a receipt per recipient that records when it was delivered and when it was read.
+-- Users can turn off read receipts (show_read_receipts) and presence, typing and last seen (show_presence).
+-- Runs after sql/add_message_threads.sql.
+
+ALTER TABLE profiles
+ADD COLUMN show_read_receipts BOOLEAN NOT NULL DEFAULT TRUE,
+ADD COLUMN show_presence BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- One row per recipient; sender_id and conversation_id are copied so RLS and realtime filters stay cheap
+CREATE TABLE message_receipts (
+  message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  sender_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  read_at TIMESTAMP WITH TIME ZONE,
+  PRIMARY KEY (message_id, user_id)
+);
+
+CREATE INDEX idx_message_receipts_pending ON message_receipts(user_id, conversation_id) WHERE read_at IS NULL;
+CREATE INDEX idx_message_receipts_conversation_id ON message_receipts(conversation_id);
+
+CREATE OR REPLACE FUNCTION create_message_receipts()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO message_receipts (message_id, user_id, conversation_id, sender_id)
+  SELECT NEW.id, cm.user_id, NEW.conversation_id, NEW.sender_id
+  FROM conversation_members cm
+  WHERE cm.conversation_id = NEW.conversation_id
+    AND cm.removed_at IS NULL
+    AND cm.user_id <> NEW.sender_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER messages_create_receipts
+  AFTER INSERT ON messages
+  FOR EACH ROW EXECUTE FUNCTION create_message_receipts();
+
+ALTER TABLE message_receipts ENABLE ROW LEVEL SECURITY;
+
+-- Receipts are written by the functions below only
+CREATE POLICY "Senders and recipients can view receipts" ON message_receipts
+  FOR SELECT USING (auth.uid() = sender_id OR auth.uid() = user_id);
+
+-- Everything waiting for the current user has reached them, in one conversation or all of them
+CREATE OR REPLACE FUNCTION mark_messages_delivered(target_conversation_id UUID DEFAULT NULL)
+RETURNS VOID AS $$
+  UPDATE message_receipts
+  SET delivered_at = NOW()
+  WHERE user_id = auth.uid()
+    AND delivered_at IS NULL
+    AND (target_conversation_id IS NULL OR conversation_id = target_conversation_id);
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Reading also delivers; read_at is only recorded while the reader shares read receipts
+CREATE OR REPLACE FUNCTION mark_conversation_read(target_conversation_id UUID, read_until TIMESTAMP WITH TIME ZONE DEFAULT NOW())
+RETURNS VOID AS $$
+DECLARE
+  read_limit TIMESTAMP WITH TIME ZONE := LEAST(read_until, NOW());
+  shares_receipts BOOLEAN;
+BEGIN
+  UPDATE conversation_members
+  SET last_read_at = GREATEST(COALESCE(last_read_at, '-infinity'::timestamptz), read_limit)
+  WHERE conversation_id = target_conversation_id AND user_id = auth.uid() AND removed_at IS NULL;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  SELECT show_read_receipts INTO shares_receipts FROM profiles WHERE id = auth.uid();
+
+  UPDATE message_receipts r
+  SET delivered_at = COALESCE(r.delivered_at, NOW()),
+      read_at = CASE WHEN shares_receipts THEN NOW() ELSE NULL END
+  FROM messages m
+  WHERE r.message_id = m.id
+    AND r.user_id = auth.uid()
+    AND r.conversation_id = target_conversation_id
+    AND r.read_at IS NULL
+    AND m.created_at <= read_limit
+    AND (r.delivered_at IS NULL OR shares_receipts);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Last seen, refreshed by open clients while the user shares presence
+CREATE TABLE user_presence (
+  user_id UUID PRIMARY KEY REFERENCES profiles(id) ON DELETE CASCADE,
+  last_seen_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE user_presence ENABLE ROW LEVEL SECURITY;
+
+-- No direct access; read through get_last_seen so the privacy setting always applies
+CREATE OR REPLACE FUNCTION touch_last_seen()
+RETURNS VOID AS $$
+  INSERT INTO user_presence (user_id, last_seen_at)
+  SELECT id, NOW() FROM profiles WHERE id = auth.uid() AND show_presence
+  ON CONFLICT (user_id) DO UPDATE SET last_seen_at = EXCLUDED.last_seen_at;
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Last seen of people who share presence and a conversation with the current user
+CREATE OR REPLACE FUNCTION get_last_seen(target_user_ids UUID[])
+RETURNS TABLE (user_id UUID, last_seen_at TIMESTAMP WITH TIME ZONE) AS $$
+  SELECT up.user_id, up.last_seen_at
+  FROM user_presence up
+  JOIN profiles p ON p.id = up.user_id AND p.show_presence
+  WHERE up.user_id = ANY(target_user_ids)
+    AND EXISTS (
+      SELECT 1
+      FROM conversation_members mine
+      JOIN conversation_members theirs ON theirs.conversation_id = mine.conversation_id
+      WHERE mine.user_id = auth.uid() AND theirs.user_id = up.user_id
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Typing and presence use private realtime channels: members only on a conversation's channel
+CREATE POLICY "Members can use conversation channels" ON realtime.messages
+  FOR SELECT TO authenticated USING (
+    realtime.topic() = 'presence:online' OR
+    (realtime.topic() LIKE 'conversation:%' AND is_conversation_member(split_part(realtime.topic(), ':', 2)::uuid))
+  );
+
+CREATE POLICY "Members can broadcast on conversation channels" ON realtime.messages
+  FOR INSERT TO authenticated WITH CHECK (
+    realtime.topic() = 'presence:online' OR
+    (realtime.topic() LIKE 'conversation:%' AND is_conversation_member(split_part(realtime.topic(), ':', 2)::uuid))
+  );
+
+-- Push receipts to senders as they change
+ALTER PUBLICATION supabase_realtime ADD TABLE message_receipts;
@@ -0,0 +1,73 @@
+-- Full-text message search
+-- Messages get a stored search vector over their text and attachment file names with a GIN index;
+-- search_messages ranks matches and returns highlighted snippets (see src/lib/messageSearch.js).
+-- It runs with the caller's rights, so the messages RLS policies limit results to what they can see.
+-- Runs after sql/add_message_receipts.sql.
+
+ALTER TABLE messages
+ADD COLUMN search_vector TSVECTOR GENERATED ALWAYS AS (
+  setweight(to_tsvector('english'::regconfig, COALESCE(content, '')), 'A') ||
+  setweight(to_tsvector('simple'::regconfig, COALESCE(jsonb_path_query_array(metadata, '$.attachments[*].name')::text, '')), 'B')
+) STORED;
+
+CREATE INDEX idx_messages_search_vector ON messages USING GIN (search_vector);
+CREATE INDEX idx_messages_conversation_created_at ON messages(conversation_id, created_at DESC);
+
+-- Accepts web search syntax: "exact phrase", OR, -excluded
+CREATE OR REPLACE FUNCTION search_messages(
+  search_query TEXT,
+  target_conversation_id UUID DEFAULT NULL,
+  target_sender_id UUID DEFAULT NULL,
+  sent_after TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  sent_before TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  with_attachments BOOLEAN DEFAULT FALSE,
+  result_limit INTEGER DEFAULT 20,
+  result_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  id UUID,
+  conversation_id UUID,
+  sender_id UUID,
+  content TEXT,
+  message_type message_type,
+  metadata JSONB,
+  created_at TIMESTAMP WITH TIME ZONE,
+  rank REAL,
+  headline TEXT,
+  sender JSONB
+) AS $$
+  WITH query AS (
+    SELECT websearch_to_tsquery('english', search_query) AS english,
+           websearch_to_tsquery('simple', search_query) AS simple
+  )
+  SELECT
+    m.id,
+    m.conversation_id,
+    m.sender_id,
+    m.content,
+    m.message_type,
+    m.metadata,
+    m.created_at,
+    ts_rank_cd(m.search_vector, q.english || q.simple) AS rank,
+    ts_headline(
+      'english',
+      m.content,
+      q.english,
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "'
+    ) AS headline,
+    jsonb_build_object('id', p.id, 'full_name', p.full_name, 'avatar_url', p.avatar_url) AS sender
+  FROM messages m
+  CROSS JOIN query q
+  LEFT JOIN profiles p ON p.id = m.sender_id
+  WHERE m.search_vector @@ (q.english || q.simple)
+    AND NOT m.deleted
+    AND m.conversation_id IN (SELECT cm.conversation_id FROM conversation_members cm WHERE cm.user_id = auth.uid())
+    AND (target_conversation_id IS NULL OR m.conversation_id = target_conversation_id)
+    AND (target_sender_id IS NULL OR m.sender_id = target_sender_id)
+    AND (sent_after IS NULL OR m.created_at >= sent_after)
+    AND (sent_before IS NULL OR m.created_at < sent_before)
+    AND (NOT with_attachments OR m.message_type IN ('image', 'file'))
+  ORDER BY rank DESC, m.created_at DESC
+  LIMIT LEAST(GREATEST(result_limit, 1), 50)
+  OFFSET GREATEST(result_offset, 0);
+$$ LANGUAGE sql STABLE SECURITY INVOKER;
@@ -0,0 +1,137 @@
+-- Threaded replies, reactions and edits for messages
+-- A message may reply to an earlier message of its conversation. Members react with an emoji.
+-- Senders can edit a message for 15 minutes (EDIT_WINDOW_MINUTES in src/lib/messageThreads.js); every
+-- earlier version, including the text of deleted messages, is kept in message_edits for moderation.
+-- Runs after sql/add_group_conversations.sql.
+
+ALTER TABLE messages
+ADD COLUMN reply_to_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+ADD COLUMN edited_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX idx_messages_reply_to_id ON messages(reply_to_id) WHERE reply_to_id IS NOT NULL;
+
+-- Replies stay within their conversation
+CREATE OR REPLACE FUNCTION check_message_reply()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.reply_to_id IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM messages WHERE id = NEW.reply_to_id AND conversation_id = NEW.conversation_id
+  ) THEN
+    RAISE EXCEPTION 'A reply must belong to the same conversation';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER messages_check_reply
+  BEFORE INSERT ON messages
+  FOR EACH ROW EXECUTE FUNCTION check_message_reply();
+
+-- Previous versions of edited and deleted messages
+CREATE TABLE message_edits (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  previous_content TEXT NOT NULL,
+  previous_metadata JSONB,
+  edited_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  edit_type TEXT NOT NULL DEFAULT 'edit' CHECK (edit_type IN ('edit', 'delete')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_message_edits_message_id ON message_edits(message_id, created_at);
+
+-- Senders may only change the text or metadata (attachments) of a live message within the edit
+-- window, or delete it.
+-- Who sent what, where and when never changes; the old version is kept either way.
+CREATE OR REPLACE FUNCTION record_message_edit()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.sender_id IS DISTINCT FROM OLD.sender_id
+     OR NEW.conversation_id IS DISTINCT FROM OLD.conversation_id
+     OR NEW.created_at IS DISTINCT FROM OLD.created_at
+     OR NEW.reply_to_id IS DISTINCT FROM OLD.reply_to_id THEN
+    RAISE EXCEPTION 'Only the content of a message can be changed';
+  END IF;
+
+  IF OLD.deleted THEN
+    RAISE EXCEPTION 'Deleted messages cannot be changed';
+  END IF;
+
+  IF NEW.deleted THEN
+    INSERT INTO message_edits (message_id, previous_content, previous_metadata, edited_by, edit_type)
+    VALUES (OLD.id, OLD.content, OLD.metadata, auth.uid(), 'delete');
+  ELSIF NEW.content IS DISTINCT FROM OLD.content OR NEW.metadata IS DISTINCT FROM OLD.metadata THEN
+    IF NOW() > OLD.created_at + INTERVAL '15 minutes' THEN
+      RAISE EXCEPTION 'Messages can only be edited for 15 minutes after sending';
+    END IF;
+    INSERT INTO message_edits (message_id, previous_content, previous_metadata, edited_by, edit_type)
+    VALUES (OLD.id, OLD.content, OLD.metadata, auth.uid(), 'edit');
+    NEW.edited_at := NOW();
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER messages_record_edit
+  BEFORE UPDATE ON messages
+  FOR EACH ROW EXECUTE FUNCTION record_message_edit();
+
+ALTER TABLE message_edits ENABLE ROW LEVEL SECURITY;
+
+-- History is written by the trigger only; the sender and platform admins can read it
+CREATE POLICY "Senders and admins can view message history" ON message_edits
+  FOR SELECT USING (
+    is_platform_admin() OR
+    EXISTS (SELECT 1 FROM messages m WHERE m.id = message_id AND m.sender_id = auth.uid())
+  );
+
+-- Reactions; conversation_id is copied from the message so realtime can filter by conversation
+CREATE TABLE message_reactions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  emoji TEXT NOT NULL CHECK (char_length(emoji) BETWEEN 1 AND 16),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(message_id, user_id, emoji)
+);
+
+CREATE INDEX idx_message_reactions_conversation_id ON message_reactions(conversation_id);
+
+CREATE OR REPLACE FUNCTION set_reaction_conversation()
+RETURNS TRIGGER AS $$
+BEGIN
+  SELECT conversation_id INTO NEW.conversation_id FROM messages WHERE id = NEW.message_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER message_reactions_set_conversation
+  BEFORE INSERT ON message_reactions
+  FOR EACH ROW EXECUTE FUNCTION set_reaction_conversation();
+
+-- Whether the current user can see a message (within their history window)
+CREATE OR REPLACE FUNCTION can_view_message(target_message_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM messages m
+    WHERE m.id = target_message_id AND can_view_conversation_message(m.conversation_id, m.created_at)
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+ALTER TABLE message_reactions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Members can view reactions" ON message_reactions
+  FOR SELECT USING (can_view_message(message_id));
+
+CREATE POLICY "Members can react" ON message_reactions
+  FOR INSERT WITH CHECK (
+    auth.uid() = user_id AND is_conversation_member(conversation_id) AND can_view_message(message_id)
+  );
+
+CREATE POLICY "Members can remove their reactions" ON message_reactions
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- Push edits and reactions to open threads
+ALTER PUBLICATION supabase_realtime ADD TABLE message_reactions;
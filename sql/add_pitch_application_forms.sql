@@ -0,0 +1,60 @@
+-- Custom application forms for pitch events
+-- Organizers define the form per event (events.application_form, see src/lib/applicationForms.js).
+-- Applications are submitted through /api/events/apply (src/app/api/events/apply/route.js), which
+-- validates the answers against the form with the service role; startups can no longer insert into
+-- pitch_applications directly.
+-- Uploaded files live in the private `pitch-applications` bucket under `<startup user id>/<event id>/`.
+
+ALTER TABLE events
+ADD COLUMN application_form JSONB DEFAULT '[]' CHECK (jsonb_typeof(application_form) = 'array');
+
+CREATE INDEX idx_pitch_applications_event_id ON pitch_applications(event_id, status);
+
+-- Private storage bucket for application uploads
+INSERT INTO storage.buckets (id, name, public, file_size_limit)
+VALUES ('pitch-applications', 'pitch-applications', false, 20971520)
+ON CONFLICT (id) DO NOTHING;
+
+-- Applications were readable and writable by anyone; limit them to the people involved
+ALTER TABLE pitch_applications ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION owns_startup_profile(target_startup_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (SELECT 1 FROM startup_profiles WHERE id = target_startup_id AND user_id = auth.uid());
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION is_platform_admin()
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role = 'admin');
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE POLICY "Applicants, organizers and judges can view applications" ON pitch_applications
+  FOR SELECT USING (
+    owns_startup_profile(startup_id) OR
+    is_event_organizer(event_id) OR
+    is_platform_admin() OR
+    (status = 'accepted' AND is_pitch_judge(event_id))
+  );
+
+CREATE POLICY "Organizers review applications" ON pitch_applications
+  FOR UPDATE USING (is_event_organizer(event_id) OR is_platform_admin())
+  WITH CHECK (is_event_organizer(event_id) OR is_platform_admin());
+
+CREATE POLICY "Applicants withdraw pending applications" ON pitch_applications
+  FOR DELETE USING (owns_startup_profile(startup_id) AND status = 'pending');
+
+-- Storage policies: startups upload under their own prefix; organizers and judges of the event can read
+CREATE POLICY "Startups manage their application files" ON storage.objects
+  FOR ALL USING (
+    bucket_id = 'pitch-applications' AND (storage.foldername(name))[1] = auth.uid()::text
+  ) WITH CHECK (
+    bucket_id = 'pitch-applications' AND (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+CREATE POLICY "Organizers and judges can read application files" ON storage.objects
+  FOR SELECT USING (
+    bucket_id = 'pitch-applications' AND (
+      is_event_organizer(((storage.foldername(name))[2])::uuid) OR
+      is_pitch_judge(((storage.foldername(name))[2])::uuid)
+    )
+  );
@@ -0,0 +1,216 @@
+-- Pitch event judging
+-- Organizers assign judges per pitch event and set a weighted rubric (src/lib/judging.js has the default).
+-- Each judge keeps one scorecard per accepted application. Other judges only see a scorecard once it is
+-- submitted and they have submitted their own for the same startup; organizers see submitted cards.
+-- Publishing results freezes the scores, stores each startup's final rank and releases judge feedback.
+
+ALTER TABLE events
+ADD COLUMN judging_rubric JSONB,
+ADD COLUMN results_published_at TIMESTAMP WITH TIME ZONE;
+
+-- Columns the organizer review step writes, plus the published result
+ALTER TABLE pitch_applications
+ADD COLUMN review_feedback TEXT,
+ADD COLUMN reviewed_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+ADD COLUMN final_score DECIMAL(5,2),
+ADD COLUMN final_rank INTEGER;
+
+CREATE TABLE pitch_judges (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  event_id UUID REFERENCES events(id) ON DELETE CASCADE,
+  judge_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  assigned_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(event_id, judge_id)
+);
+
+CREATE TABLE pitch_scorecards (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  application_id UUID REFERENCES pitch_applications(id) ON DELETE CASCADE,
+  event_id UUID REFERENCES events(id) ON DELETE CASCADE, -- set from the application on insert
+  judge_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  scores JSONB NOT NULL DEFAULT '{}' CHECK (jsonb_typeof(scores) = 'object'), -- { criterion_key: 1-10 }
+  feedback TEXT, -- shared with the startup once results are published
+  status TEXT DEFAULT 'draft' CHECK (status IN ('draft', 'submitted')),
+  submitted_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(application_id, judge_id)
+);
+
+CREATE INDEX idx_pitch_judges_judge_id ON pitch_judges(judge_id);
+CREATE INDEX idx_pitch_scorecards_event_id ON pitch_scorecards(event_id, status);
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+  CHECK (type IN ('message', 'connection_request', 'connection_accepted', 'event_invite', 'application_status', 'mention', 'portfolio_alert', 'session_booked', 'session_rescheduled', 'session_cancelled', 'waitlist_offer', 'judging_assigned', 'pitch_results'));
+
+-- Policy helpers; SECURITY DEFINER so the scorecard policies can look at other scorecards without recursing
+CREATE OR REPLACE FUNCTION is_event_organizer(target_event_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (SELECT 1 FROM events WHERE id = target_event_id AND organizer_id = auth.uid());
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION is_pitch_judge(target_event_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (SELECT 1 FROM pitch_judges WHERE event_id = target_event_id AND judge_id = auth.uid());
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION has_submitted_scorecard(target_application_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM pitch_scorecards
+    WHERE application_id = target_application_id AND judge_id = auth.uid() AND status = 'submitted'
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION pitch_results_published(target_event_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (SELECT 1 FROM events WHERE id = target_event_id AND results_published_at IS NOT NULL);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+ALTER TABLE pitch_judges ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pitch_scorecards ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Organizers and judges can view the judging panel" ON pitch_judges
+  FOR SELECT USING (auth.uid() = judge_id OR is_event_organizer(event_id) OR is_pitch_judge(event_id));
+
+CREATE POLICY "Organizers manage the judging panel" ON pitch_judges
+  FOR ALL USING (is_event_organizer(event_id)) WITH CHECK (is_event_organizer(event_id));
+
+CREATE POLICY "Judges see their own scorecards and submitted ones they have matched" ON pitch_scorecards
+  FOR SELECT USING (
+    auth.uid() = judge_id OR
+    (status = 'submitted' AND (is_event_organizer(event_id) OR has_submitted_scorecard(application_id)))
+  );
+
+CREATE POLICY "Judges create scorecards for their events" ON pitch_scorecards
+  FOR INSERT WITH CHECK (auth.uid() = judge_id);
+
+CREATE POLICY "Judges edit their draft scorecards" ON pitch_scorecards
+  FOR UPDATE USING (auth.uid() = judge_id AND status = 'draft' AND NOT pitch_results_published(event_id))
+  WITH CHECK (auth.uid() = judge_id);
+
+-- Scorecards take their event from the application, and only assigned judges can score accepted pitches.
+-- Scores must be whole numbers from 1 to 10 for the event's rubric criteria (the default rubric in
+-- src/lib/judging.js when none is set); submitted cards must score every criterion.
+CREATE OR REPLACE FUNCTION prepare_pitch_scorecard()
+RETURNS TRIGGER AS $$
+DECLARE
+  rubric_keys TEXT[];
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    SELECT event_id INTO NEW.event_id FROM pitch_applications
+    WHERE id = NEW.application_id AND status = 'accepted';
+
+    IF NEW.event_id IS NULL OR NOT EXISTS (
+      SELECT 1 FROM pitch_judges WHERE event_id = NEW.event_id AND judge_id = NEW.judge_id
+    ) THEN
+      RAISE EXCEPTION 'Only assigned judges can score accepted pitches' USING ERRCODE = '42501';
+    END IF;
+    IF pitch_results_published(NEW.event_id) THEN
+      RAISE EXCEPTION 'Results for this event have been published' USING ERRCODE = '42501';
+    END IF;
+  ELSE
+    NEW.event_id = OLD.event_id;
+    NEW.application_id = OLD.application_id;
+  END IF;
+
+  SELECT COALESCE(
+    (
+      SELECT array_agg(criterion->>'key')
+      FROM events e,
+        jsonb_array_elements(CASE WHEN jsonb_typeof(e.judging_rubric) = 'array' THEN e.judging_rubric ELSE '[]'::jsonb END) criterion
+      WHERE e.id = NEW.event_id
+    ),
+    ARRAY['team', 'market', 'traction', 'product']
+  ) INTO rubric_keys;
+
+  IF EXISTS (
+    SELECT 1
+    FROM jsonb_each(NEW.scores) s,
+      LATERAL (SELECT CASE WHEN jsonb_typeof(s.value) = 'number' THEN (s.value)::numeric END AS score) v
+    WHERE NOT (s.key = ANY(rubric_keys))
+      OR v.score IS NULL
+      OR v.score <> TRUNC(v.score)
+      OR v.score NOT BETWEEN 1 AND 10
+  ) THEN
+    RAISE EXCEPTION 'Scores must be whole numbers from 1 to 10 for the rubric criteria' USING ERRCODE = '22023';
+  END IF;
+
+  IF NEW.status = 'submitted' AND EXISTS (SELECT 1 FROM unnest(rubric_keys) k WHERE NOT NEW.scores ? k) THEN
+    RAISE EXCEPTION 'Every criterion must be scored before submitting' USING ERRCODE = '22023';
+  END IF;
+
+  IF NEW.status = 'submitted' AND NEW.submitted_at IS NULL THEN
+    NEW.submitted_at = NOW();
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER prepare_pitch_scorecard
+  BEFORE INSERT OR UPDATE ON pitch_scorecards
+  FOR EACH ROW EXECUTE FUNCTION prepare_pitch_scorecard();
+
+CREATE TRIGGER update_pitch_scorecards_updated_at
+  BEFORE UPDATE ON pitch_scorecards
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- A judge taken off the panel takes their scorecards with them
+CREATE OR REPLACE FUNCTION remove_judge_scorecards()
+RETURNS TRIGGER AS $$
+BEGIN
+  DELETE FROM pitch_scorecards WHERE event_id = OLD.event_id AND judge_id = OLD.judge_id;
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER remove_judge_scorecards
+  AFTER DELETE ON pitch_judges
+  FOR EACH ROW EXECUTE FUNCTION remove_judge_scorecards();
+
+-- Published feedback for the caller's own application; judges stay anonymous
+CREATE OR REPLACE FUNCTION get_pitch_feedback(target_application_id UUID)
+RETURNS TABLE (scores JSONB, feedback TEXT) AS $$
+  SELECT s.scores, s.feedback
+  FROM pitch_scorecards s
+  JOIN pitch_applications a ON a.id = s.application_id
+  JOIN startup_profiles sp ON sp.id = a.startup_id
+  WHERE s.application_id = target_application_id
+    AND s.status = 'submitted'
+    AND sp.user_id = auth.uid()
+    AND pitch_results_published(a.event_id)
+  ORDER BY s.submitted_at;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Stores each accepted application's final score and rank (from buildLeaderboard in src/lib/judging.js)
+-- and publishes the results in one transaction, so a failed write never leaves results half published
+CREATE OR REPLACE FUNCTION publish_pitch_results(target_event_id UUID, final_results JSONB)
+RETURNS TIMESTAMP WITH TIME ZONE AS $$
+DECLARE
+  published_at TIMESTAMP WITH TIME ZONE;
+BEGIN
+  PERFORM 1 FROM events WHERE id = target_event_id AND organizer_id = auth.uid() FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Only the event organizer can publish results' USING ERRCODE = '42501';
+  END IF;
+
+  IF pitch_results_published(target_event_id) THEN
+    RAISE EXCEPTION 'Results have already been published' USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE pitch_applications a
+  SET final_score = r.score,
+      final_rank = r.rank
+  FROM jsonb_to_recordset(final_results) AS r(id UUID, score DECIMAL(5,2), rank INTEGER)
+  WHERE a.id = r.id AND a.event_id = target_event_id AND a.status = 'accepted';
+
+  UPDATE events
+  SET results_published_at = NOW()
+  WHERE id = target_event_id
+  RETURNING results_published_at INTO published_at;
+
+  RETURN published_at;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -0,0 +1,97 @@
+-- Investor portfolios and startup KPI reporting
+-- A startup is in an investor's portfolio when the investor has a commitment in one of its funding
+-- rounds, or moved its deal to a won pipeline stage. Portfolio investors can read the startup's
+-- monthly KPI reports and are alerted when runway drops below their threshold.
+
+-- Runway alert threshold per investor (months)
+ALTER TABLE investor_profiles
+ADD COLUMN runway_alert_months INTEGER DEFAULT 6 CHECK (runway_alert_months > 0);
+
+-- Allow portfolio alerts in notifications
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+  CHECK (type IN ('message', 'connection_request', 'connection_accepted', 'event_invite', 'application_status', 'mention', 'portfolio_alert'));
+
+-- One report per startup per month
+CREATE TABLE startup_kpi_reports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  startup_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  period_start DATE NOT NULL, -- first day of the reported month
+  mrr DECIMAL(15,2) CHECK (mrr IS NULL OR mrr >= 0),
+  monthly_burn DECIMAL(15,2) CHECK (monthly_burn IS NULL OR monthly_burn >= 0), -- net cash out per month
+  cash_balance DECIMAL(15,2) CHECK (cash_balance IS NULL OR cash_balance >= 0),
+  runway_months DECIMAL(6,1) GENERATED ALWAYS AS (
+    CASE WHEN monthly_burn > 0 THEN ROUND(cash_balance / monthly_burn, 1) END
+  ) STORED,
+  headcount INTEGER CHECK (headcount IS NULL OR headcount >= 0),
+  notes TEXT,
+  submitted_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(startup_id, period_start)
+);
+
+CREATE INDEX idx_startup_kpi_reports_startup_period ON startup_kpi_reports(startup_id, period_start DESC);
+
+-- Whether the current user has invested in a startup: a confirmed commitment or a won deal
+CREATE OR REPLACE FUNCTION is_portfolio_investor(portfolio_startup_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM funding_round_commitments c
+    JOIN funding_rounds r ON r.id = c.round_id
+    WHERE r.startup_id = portfolio_startup_id AND c.investor_id = auth.uid() AND c.confirmed_at IS NOT NULL
+  ) OR EXISTS (
+    SELECT 1 FROM investment_deals d
+    LEFT JOIN deal_pipeline_stages s ON s.investor_id = d.investor_id AND s.stage_key = d.stage_key
+    WHERE d.startup_id = portfolio_startup_id
+      AND d.investor_id = auth.uid()
+      AND (s.stage_type = 'won' OR (s.id IS NULL AND d.stage_key = 'invested'))
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+ALTER TABLE startup_kpi_reports ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Startups manage their KPI reports" ON startup_kpi_reports
+  FOR ALL USING (auth.uid() = startup_id) WITH CHECK (auth.uid() = startup_id);
+
+CREATE POLICY "Portfolio investors can view KPI reports" ON startup_kpi_reports
+  FOR SELECT USING (is_portfolio_investor(startup_id));
+
+CREATE TRIGGER update_startup_kpi_reports_updated_at
+  BEFORE UPDATE ON startup_kpi_reports
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Portfolio investors to alert about a report: only the startup's latest report alerts, and only
+-- investors whose threshold its runway falls below. Deals are private to investors, so the startup
+-- can only resolve its investors through this function.
+CREATE OR REPLACE FUNCTION get_runway_alert_recipients(target_report_id UUID)
+RETURNS TABLE (investor_id UUID, runway_alert_months INTEGER) AS $$
+  WITH report AS (
+    SELECT k.startup_id, k.runway_months
+    FROM startup_kpi_reports k
+    WHERE k.id = target_report_id
+      AND k.startup_id = auth.uid()
+      AND k.runway_months IS NOT NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM startup_kpi_reports later
+        WHERE later.startup_id = k.startup_id AND later.period_start > k.period_start
+      )
+  ), investors AS (
+    SELECT c.investor_id
+    FROM funding_round_commitments c
+    JOIN funding_rounds r ON r.id = c.round_id
+    JOIN report ON report.startup_id = r.startup_id
+    WHERE c.investor_id IS NOT NULL AND c.confirmed_at IS NOT NULL
+    UNION
+    SELECT d.investor_id
+    FROM investment_deals d
+    JOIN report ON report.startup_id = d.startup_id
+    LEFT JOIN deal_pipeline_stages s ON s.investor_id = d.investor_id AND s.stage_key = d.stage_key
+    WHERE s.stage_type = 'won' OR (s.id IS NULL AND d.stage_key = 'invested')
+  )
+  SELECT i.investor_id, COALESCE(ip.runway_alert_months, 6)
+  FROM investors i
+  CROSS JOIN report
+  LEFT JOIN investor_profiles ip ON ip.user_id = i.investor_id
+  WHERE report.runway_months < COALESCE(ip.runway_alert_months, 6);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
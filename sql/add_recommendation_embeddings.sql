@@ -0,0 +1,61 @@
+-- Persisted Node2Vec embeddings for the recommendation engine
+-- Embeddings are trained from the relationship graph and stored with the model version
+-- and graph fingerprint they were trained on, so /api/recommendations can serve them
+-- without retraining on every request.
+
+-- One row per training run
+CREATE TABLE recommendation_models (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  model_version TEXT NOT NULL,
+  graph_fingerprint TEXT NOT NULL,
+  edge_keys JSONB NOT NULL DEFAULT '[]'::jsonb, -- canonical edge list, used to measure graph drift
+  node_count INTEGER NOT NULL DEFAULT 0,
+  edge_count INTEGER NOT NULL DEFAULT 0,
+  trigger TEXT DEFAULT 'auto' CHECK (trigger IN ('auto', 'forced', 'initial')),
+  is_ready BOOLEAN DEFAULT FALSE, -- set once all embeddings for the run are written
+  trained_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Trained vectors, one row per graph node
+CREATE TABLE recommendation_embeddings (
+  model_id UUID REFERENCES recommendation_models(id) ON DELETE CASCADE,
+  node_id UUID NOT NULL,
+  vector DOUBLE PRECISION[] NOT NULL,
+  PRIMARY KEY (model_id, node_id)
+);
+
+-- Add indexes for better performance
+CREATE INDEX idx_recommendation_models_ready_trained_at ON recommendation_models(is_ready, trained_at DESC);
+CREATE INDEX idx_recommendation_embeddings_node_id ON recommendation_embeddings(node_id);
+
+-- Enable RLS for new tables
+ALTER TABLE recommendation_models ENABLE ROW LEVEL SECURITY;
+ALTER TABLE recommendation_embeddings ENABLE ROW LEVEL SECURITY;
+
+-- Embeddings are read by the recommendations API; writes go through the service role
+CREATE POLICY "Anyone can view recommendation models" ON recommendation_models
+  FOR SELECT USING (true);
+
+CREATE POLICY "Anyone can view recommendation embeddings" ON recommendation_embeddings
+  FOR SELECT USING (true);
+
+-- Only keep the latest few ready models around. Runs still writing their embeddings are left alone,
+-- so a burst of retrains can never delete the model being served; abandoned runs go after a day.
+CREATE OR REPLACE FUNCTION prune_recommendation_models()
+RETURNS TRIGGER AS $$
+BEGIN
+  DELETE FROM recommendation_models
+  WHERE id IN (
+    SELECT id FROM recommendation_models
+    WHERE is_ready
+    ORDER BY trained_at DESC
+    OFFSET 3
+  )
+  OR (NOT is_ready AND trained_at < NOW() - INTERVAL '1 day');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_prune_recommendation_models
+  AFTER INSERT OR UPDATE OF is_ready ON recommendation_models
+  FOR EACH STATEMENT EXECUTE FUNCTION prune_recommendation_models();
@@ -0,0 +1,107 @@
+-- Recommendation feedback loop
+-- Users can save, dismiss or mark a recommendation as "not interested" (with a reason).
+-- Feedback is used when ranking: dismissed items are excluded, profiles similar to
+-- rejected ones are down-weighted and profiles similar to saved ones are up-weighted.
+-- Impressions record which recommendations were shown, and by which source, so that
+-- acceptance rates can be compared per source.
+
+-- Latest feedback per (user, recommended user)
+CREATE TABLE recommendation_feedback (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  target_user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  action TEXT NOT NULL CHECK (action IN ('saved', 'dismissed', 'not_interested')),
+  reason TEXT CHECK (reason IN ('wrong_sector', 'wrong_stage', 'wrong_location', 'outside_ticket_size', 'already_know', 'not_relevant', 'other')),
+  reason_details TEXT,
+  source TEXT, -- recommendation source the card came from (graph, content, preference_match, ...)
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(user_id, target_user_id)
+);
+
+-- First time a recommendation was shown to a user by a given source
+CREATE TABLE recommendation_impressions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  target_user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  source TEXT NOT NULL,
+  shown_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(user_id, target_user_id, source)
+);
+
+-- Add indexes for better performance
+CREATE INDEX idx_recommendation_feedback_user_id ON recommendation_feedback(user_id);
+CREATE INDEX idx_recommendation_feedback_source_action ON recommendation_feedback(source, action);
+CREATE INDEX idx_recommendation_impressions_source ON recommendation_impressions(source);
+
+-- Enable RLS for new tables
+ALTER TABLE recommendation_feedback ENABLE ROW LEVEL SECURITY;
+ALTER TABLE recommendation_impressions ENABLE ROW LEVEL SECURITY;
+
+-- RLS policies for recommendation feedback
+CREATE POLICY "Users can view their own recommendation feedback" ON recommendation_feedback
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can create their own recommendation feedback" ON recommendation_feedback
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own recommendation feedback" ON recommendation_feedback
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own recommendation feedback" ON recommendation_feedback
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- Impressions are written by the recommendations API through the service role
+CREATE POLICY "Users can view their own recommendation impressions" ON recommendation_impressions
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_recommendation_feedback_updated_at
+  BEFORE UPDATE ON recommendation_feedback
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Acceptance rate per recommendation source for the admin dashboard.
+-- A recommendation counts as accepted when it was saved; the view only exposes aggregates.
+CREATE OR REPLACE VIEW recommendation_source_stats AS
+WITH shown AS (
+  SELECT source, COUNT(*) AS impressions
+  FROM recommendation_impressions
+  GROUP BY source
+),
+feedback AS (
+  SELECT
+    COALESCE(source, 'unknown') AS source,
+    COUNT(*) FILTER (WHERE action = 'saved') AS saved,
+    COUNT(*) FILTER (WHERE action = 'dismissed') AS dismissed,
+    COUNT(*) FILTER (WHERE action = 'not_interested') AS not_interested
+  FROM recommendation_feedback
+  GROUP BY COALESCE(source, 'unknown')
+)
+SELECT
+  COALESCE(s.source, f.source) AS source,
+  COALESCE(s.impressions, 0) AS impressions,
+  COALESCE(f.saved, 0) AS saved,
+  COALESCE(f.dismissed, 0) AS dismissed,
+  COALESCE(f.not_interested, 0) AS not_interested,
+  CASE WHEN COALESCE(s.impressions, 0) > 0
+    THEN ROUND(COALESCE(f.saved, 0)::NUMERIC / s.impressions, 4)
+  END AS acceptance_rate,
+  CASE WHEN COALESCE(f.saved, 0) + COALESCE(f.dismissed, 0) + COALESCE(f.not_interested, 0) > 0
+    THEN ROUND(COALESCE(f.saved, 0)::NUMERIC / (COALESCE(f.saved, 0) + COALESCE(f.dismissed, 0) + COALESCE(f.not_interested, 0)), 4)
+  END AS feedback_acceptance_rate
+FROM shown s
+FULL OUTER JOIN feedback f ON f.source = s.source;
+
+-- Not readable directly: the view runs with its owner's rights and would bypass RLS on the tables
+REVOKE ALL ON recommendation_source_stats FROM anon, authenticated;
+
+-- Admin dashboard access to the stats view
+CREATE OR REPLACE FUNCTION get_recommendation_source_stats()
+RETURNS SETOF recommendation_source_stats AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role = 'admin') THEN
+    RAISE EXCEPTION 'Admin access required' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN QUERY SELECT * FROM recommendation_source_stats ORDER BY impressions DESC;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
@@ -0,0 +1,137 @@
+-- Virtual event hosting
+-- Meeting links move out of events.google_meet_link (readable by everyone) into event_meeting_links,
+-- which only organizers read directly. Each link has a provider (Google Meet, Zoom, Jitsi or any other
+-- URL, see src/lib/virtualEvents.js) and a kind:
+--   main       the room everyone joins
+--   breakout   a named room for one session of a workshop, optionally with its own start time
+--   recording  a replay added after the event
+-- Confirmed registrants get the main and breakout links from get_event_join_links(), from
+-- link_reveal_minutes before the start until the event is over. Recordings come from
+-- get_event_recordings(), for registrants or for everyone depending on recording_visibility.
+-- Links saved on a series (series_id instead of event_id) are copied to each occurrence it creates.
+
+ALTER TABLE events
+ADD COLUMN link_reveal_minutes INTEGER NOT NULL DEFAULT 15 CHECK (link_reveal_minutes BETWEEN 0 AND 1440),
+ADD COLUMN recording_visibility TEXT NOT NULL DEFAULT 'registrants' CHECK (recording_visibility IN ('registrants', 'public'));
+
+CREATE TABLE event_meeting_links (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  event_id UUID REFERENCES events(id) ON DELETE CASCADE,
+  series_id UUID REFERENCES event_series(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('main', 'breakout', 'recording')),
+  provider TEXT NOT NULL DEFAULT 'custom' CHECK (provider IN ('google_meet', 'zoom', 'jitsi', 'custom')),
+  label TEXT,
+  url TEXT NOT NULL,
+  passcode TEXT,
+  starts_at TIMESTAMP WITH TIME ZONE,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK ((event_id IS NULL) <> (series_id IS NULL)),
+  CHECK (series_id IS NULL OR kind <> 'recording')
+);
+
+CREATE INDEX idx_event_meeting_links_event ON event_meeting_links(event_id, kind);
+CREATE INDEX idx_event_meeting_links_series ON event_meeting_links(series_id) WHERE series_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_event_meeting_links_one_main ON event_meeting_links(event_id) WHERE kind = 'main';
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+  CHECK (type IN ('message', 'connection_request', 'connection_accepted', 'event_invite', 'application_status', 'mention', 'portfolio_alert', 'session_booked', 'session_rescheduled', 'session_cancelled', 'waitlist_offer', 'judging_assigned', 'pitch_results', 'event_updated', 'event_cancelled', 'feedback_request', 'event_recording'));
+
+-- Existing links become main links; the old column is cleared so it stops leaking them
+INSERT INTO event_meeting_links (event_id, kind, provider, url)
+SELECT id, 'main',
+  CASE
+    WHEN google_meet_link ILIKE '%meet.google.com%' THEN 'google_meet'
+    WHEN google_meet_link ILIKE '%zoom.us%' THEN 'zoom'
+    WHEN google_meet_link ILIKE '%meet.jit.si%' THEN 'jitsi'
+    ELSE 'custom'
+  END,
+  google_meet_link
+FROM events
+WHERE COALESCE(google_meet_link, '') <> '';
+
+INSERT INTO event_meeting_links (series_id, kind, provider, url)
+SELECT id, 'main', 'custom', template->>'google_meet_link'
+FROM event_series
+WHERE COALESCE(template->>'google_meet_link', '') <> '';
+
+UPDATE event_series SET template = template - 'google_meet_link' WHERE template ? 'google_meet_link';
+UPDATE events SET google_meet_link = NULL WHERE google_meet_link IS NOT NULL;
+
+COMMENT ON COLUMN events.google_meet_link IS 'Deprecated: meeting links live in event_meeting_links';
+
+CREATE OR REPLACE FUNCTION is_confirmed_registrant(target_event_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM event_registrations
+    WHERE event_id = target_event_id
+      AND user_id = auth.uid()
+      AND status IN ('confirmed', 'attended')
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+ALTER TABLE event_meeting_links ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Organizers manage meeting links" ON event_meeting_links
+  FOR ALL USING (
+    (event_id IS NOT NULL AND is_event_organizer(event_id)) OR
+    (series_id IS NOT NULL AND is_series_organizer(series_id)) OR
+    is_platform_admin()
+  );
+
+-- Main and breakout links for the organizer at any time, and for confirmed registrants from
+-- link_reveal_minutes before the start until the end (4 hours after the start without an end date)
+CREATE OR REPLACE FUNCTION get_event_join_links(target_event_id UUID)
+RETURNS SETOF event_meeting_links AS $$
+  SELECT l.*
+  FROM event_meeting_links l
+  JOIN events e ON e.id = l.event_id
+  WHERE l.event_id = target_event_id
+    AND l.kind IN ('main', 'breakout')
+    AND (
+      e.organizer_id = auth.uid() OR
+      is_platform_admin() OR
+      (
+        is_confirmed_registrant(target_event_id) AND
+        e.status IS DISTINCT FROM 'cancelled' AND
+        NOW() >= e.start_date - make_interval(mins => e.link_reveal_minutes) AND
+        NOW() <= COALESCE(e.end_date, e.start_date + INTERVAL '4 hours')
+      )
+    )
+  ORDER BY l.kind DESC, l.starts_at NULLS FIRST, l.sort_order;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_event_recordings(target_event_id UUID)
+RETURNS SETOF event_meeting_links AS $$
+  SELECT l.*
+  FROM event_meeting_links l
+  JOIN events e ON e.id = l.event_id
+  WHERE l.event_id = target_event_id
+    AND l.kind = 'recording'
+    AND (
+      e.recording_visibility = 'public' OR
+      e.organizer_id = auth.uid() OR
+      is_platform_admin() OR
+      is_confirmed_registrant(target_event_id)
+    )
+  ORDER BY l.sort_order, l.created_at;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- New occurrences of a series pick up the series' links
+CREATE OR REPLACE FUNCTION copy_series_meeting_links()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO event_meeting_links (event_id, kind, provider, label, url, passcode, sort_order)
+  SELECT NEW.id, kind, provider, label, url, passcode, sort_order
+  FROM event_meeting_links
+  WHERE series_id = NEW.series_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER copy_series_meeting_links_on_occurrence
+  AFTER INSERT ON events
+  FOR EACH ROW
+  WHEN (NEW.series_id IS NOT NULL)
+  EXECUTE FUNCTION copy_series_meeting_links();
@@ -0,0 +1,126 @@
+-- Fix notification inserts
+-- Notifications are written for other users (the person who was messaged, offered a seat, invited to judge...)
+-- and the notifications table has no INSERT policy, so direct inserts from the app failed. Every notification
+-- now goes through create_notifications, called by sendNotification in src/lib/api/auth.js, both for
+-- signed-in users and for server code using the service role.
+-- Signed-in users may only send the types below, and only to people the related row ties them to;
+-- the service role may send anything.
+-- Run after the feature migrations whose tables and helpers the checks below use.
+
+-- Whether the current user may send a notification of this type about related_row to recipient
+CREATE OR REPLACE FUNCTION can_send_notification(notification_type TEXT, related_row UUID, recipient UUID)
+RETURNS BOOLEAN AS $$
+  SELECT CASE
+    -- related_row: conversation; both sides are current members
+    WHEN notification_type = 'message' THEN
+      is_conversation_member(related_row) AND EXISTS (
+        SELECT 1 FROM conversation_members cm
+        WHERE cm.conversation_id = related_row AND cm.user_id = recipient AND cm.removed_at IS NULL
+      )
+    -- related_row: unused; the two users share a connection
+    WHEN notification_type = 'connection_request' THEN
+      EXISTS (SELECT 1 FROM connections c WHERE c.requester_id = auth.uid() AND c.target_id = recipient)
+    WHEN notification_type = 'connection_accepted' THEN
+      EXISTS (
+        SELECT 1 FROM connections c
+        WHERE c.status = 'accepted'
+          AND ((c.requester_id = auth.uid() AND c.target_id = recipient)
+            OR (c.requester_id = recipient AND c.target_id = auth.uid()))
+      )
+    -- related_row: investment request moved on the deal pipeline, or pitch event an application was reviewed for
+    WHEN notification_type = 'application_status' THEN
+      EXISTS (
+        SELECT 1 FROM investment_deals d
+        WHERE d.investment_request_id = related_row
+          AND d.startup_id = recipient
+          AND auth.uid() IN (d.investor_id, d.owner_id)
+      ) OR EXISTS (
+        SELECT 1 FROM pitch_applications a
+        JOIN events e ON e.id = a.event_id
+        JOIN startup_profiles sp ON sp.id = a.startup_id
+        WHERE a.event_id = related_row
+          AND sp.user_id = recipient
+          AND (e.organizer_id = auth.uid() OR is_platform_admin())
+      )
+    -- related_row: KPI report of the current user's startup
+    WHEN notification_type = 'portfolio_alert' THEN
+      recipient IN (SELECT r.investor_id FROM get_runway_alert_recipients(related_row) r)
+    -- related_row: mentorship session both users take part in
+    WHEN notification_type IN ('session_booked', 'session_rescheduled', 'session_cancelled') THEN
+      EXISTS (
+        SELECT 1 FROM mentorship_sessions s
+        JOIN mentor_profiles mp ON mp.id = s.mentor_id
+        WHERE s.id = related_row
+          AND auth.uid() IN (s.mentee_id, mp.user_id)
+          AND recipient IN (s.mentee_id, mp.user_id)
+      )
+    -- related_row: registration that currently holds an offer; promotions run on anyone's cancellation
+    WHEN notification_type = 'waitlist_offer' THEN
+      EXISTS (
+        SELECT 1 FROM event_registrations r
+        WHERE r.id = related_row AND r.user_id = recipient AND r.status = 'offered'
+      )
+    -- related_row: pitch event organized by the current user
+    WHEN notification_type = 'judging_assigned' THEN
+      is_event_organizer(related_row) AND EXISTS (
+        SELECT 1 FROM pitch_judges j WHERE j.event_id = related_row AND j.judge_id = recipient
+      )
+    WHEN notification_type = 'pitch_results' THEN
+      is_event_organizer(related_row) AND pitch_results_published(related_row) AND EXISTS (
+        SELECT 1 FROM pitch_applications a
+        JOIN startup_profiles sp ON sp.id = a.startup_id
+        WHERE a.event_id = related_row AND sp.user_id = recipient
+      )
+    -- related_row: event managed by the current user; series edits also reach registrants of its other dates
+    WHEN notification_type IN ('event_updated', 'event_cancelled', 'event_recording') THEN
+      EXISTS (
+        SELECT 1 FROM events e
+        JOIN events registered ON registered.organizer_id = e.organizer_id
+        JOIN event_registrations r ON r.event_id = registered.id
+        WHERE e.id = related_row
+          AND (e.organizer_id = auth.uid() OR is_platform_admin())
+          AND r.user_id = recipient
+      )
+    ELSE FALSE
+  END;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION create_notifications(
+  target_user_ids UUID[],
+  notification_type TEXT,
+  notification_title TEXT,
+  notification_content TEXT DEFAULT NULL,
+  notification_related_id UUID DEFAULT NULL
+)
+RETURNS SETOF notifications AS $$
+BEGIN
+  IF auth.role() IS DISTINCT FROM 'service_role' THEN
+    IF auth.uid() IS NULL THEN
+      RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+    END IF;
+
+    IF EXISTS (
+      SELECT 1 FROM unnest(target_user_ids) AS recipient
+      WHERE recipient IS NOT NULL
+        AND NOT COALESCE(can_send_notification(notification_type, notification_related_id, recipient), FALSE)
+    ) THEN
+      RAISE EXCEPTION 'Not allowed to send this notification' USING ERRCODE = '42501';
+    END IF;
+  END IF;
+
+  RETURN QUERY
+  WITH created AS (
+    INSERT INTO notifications (user_id, type, title, content, related_id, is_read)
+    SELECT DISTINCT recipient, notification_type, notification_title, notification_content, notification_related_id, FALSE
+    FROM unnest(target_user_ids) AS recipient
+    WHERE recipient IS NOT NULL
+    RETURNING *
+  )
+  SELECT * FROM created;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the app's roles call these; nobody signed out
+REVOKE EXECUTE ON FUNCTION can_send_notification(TEXT, UUID, UUID) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION create_notifications(UUID[], TEXT, TEXT, TEXT, UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION create_notifications(UUID[], TEXT, TEXT, TEXT, UUID) TO authenticated, service_role;
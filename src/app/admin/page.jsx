@@ -17,6 +17,7 @@ import {
   UserCheck,
   UserX,
   AlertTriangle,
+  ThumbsUp,
 } from "lucide-react";
 import {
   getPlatformStats,
@@ -28,7 +29,13 @@ import {
   deleteEventAsAdmin,
   updateUserStatus,
   deleteUserAccount,
+  getRecommendationSourceStats,
 } from "@/lib/api/admin";
+import { REGISTRATION_STATUS_LABELS } from "@/lib/waitlist";
+import { buildRule, formatRRule, defaultRecurrenceOptions } from "@/lib/recurrence";
+import { localTimeZone } from "@/lib/scheduling";
+import { MEETING_PROVIDERS } from "@/lib/virtualEvents";
+import RecurrenceEditor from "@/components/RecurrenceEditor";
 
 const AdminDashboard = () => {
   const router = useRouter();
@@ -38,6 +45,7 @@ const AdminDashboard = () => {
   const [activeTab, setActiveTab] = useState("overview");
   const [events, setEvents] = useState([]);
   const [users, setUsers] = useState([]);
+  const [recommendationStats, setRecommendationStats] = useState([]);
   const [showCreateEvent, setShowCreateEvent] = useState(false);
   const [showEventDetails, setShowEventDetails] = useState(false);
   const [showEditEvent, setShowEditEvent] = useState(false);
@@ -51,7 +59,8 @@ const AdminDashboard = () => {
     end_date: "",
     location: "",
     is_virtual: false,
-    google_meet_link: "",
+    meeting_provider: "google_meet",
+    meeting_url: "",
     max_participants: 100,
     registration_deadline: "",
     is_public: true,
@@ -59,6 +68,7 @@ const AdminDashboard = () => {
     target_audience: ['startup', 'mentor', 'investor'],
   });
   const [editEvent, setEditEvent] = useState({});
+  const [recurrence, setRecurrence] = useState(defaultRecurrenceOptions());
 
   useEffect(() => {
     // Check for admin session in localStorage
@@ -86,10 +96,11 @@ const AdminDashboard = () => {
 
   const loadDashboardData = async (filters = {}) => {
     try {
-      const [statsData, eventsData, usersData] = await Promise.all([
+      const [statsData, eventsData, usersData, recommendationData] = await Promise.all([
         getPlatformStats(),
         getEvents(),
         getUsers({ limit: 50, ...filters }),
+        getRecommendationSourceStats(),
       ]);
 
       // Debug logging (you can remove this after confirming it works)
@@ -101,6 +112,7 @@ const AdminDashboard = () => {
         eventsData?.data?.events || eventsData?.events || eventsData || []
       );
       setUsers(usersData?.data?.users || usersData?.users || usersData || []);
+      setRecommendationStats(recommendationData?.data?.sources || []);
     } catch (error) {
       console.error("Error loading dashboard data:", error);
       toast.error("Failed to load dashboard data");
@@ -174,15 +186,28 @@ const AdminDashboard = () => {
         tags: newEvent.tags,
       };
 
-      const result = await createEventAsAdmin(eventData, adminUser?.id);
+      // Repeating events become a series, with one event per occurrence
+      let series = null;
+      if (recurrence.freq !== "none") {
+        const timezone = localTimeZone();
+        const { rule, error } = buildRule(recurrence, newEvent.start_date && new Date(newEvent.start_date), timezone);
+        if (error) {
+          toast.error(error);
+          return;
+        }
+        series = { rrule: formatRRule(rule), timezone };
+      }
+
+      const result = await createEventAsAdmin(eventData, adminUser?.id, series);
 
       if (result.error) {
         toast.error(result.error);
         return;
       }
 
-      toast.success("Event created successfully!");
+      toast.success(series ? "Event series created successfully!" : "Event created successfully!");
       setShowCreateEvent(false);
+      setRecurrence(defaultRecurrenceOptions());
       setNewEvent({
         title: "",
         description: "",
@@ -191,7 +216,8 @@ const AdminDashboard = () => {
         end_date: "",
         location: "",
         is_virtual: false,
-        google_meet_link: "",
+        meeting_provider: "google_meet",
+        meeting_url: "",
         max_participants: 100,
         registration_deadline: "",
         is_public: true,
@@ -316,6 +342,7 @@ const AdminDashboard = () => {
     { id: "overview", name: "Overview", icon: BarChart3 },
     { id: "events", name: "Events", icon: Calendar },
     { id: "users", name: "Users", icon: Users },
+    { id: "recommendations", name: "Recommendations", icon: ThumbsUp },
     { id: "content", name: "Content", icon: Flag },
     { id: "settings", name: "Settings", icon: Settings },
   ];
@@ -781,6 +808,81 @@ const AdminDashboard = () => {
             </div>
           </div>
         )}
+
+        {/* Recommendations Tab */}
+        {activeTab === "recommendations" && (
+          <div className="bg-white rounded-lg shadow-sm border">
+            <div className="p-6 border-b">
+              <h3 className="text-lg font-medium text-gray-900">
+                Recommendation Acceptance by Source
+              </h3>
+              <p className="text-sm text-gray-500 mt-1">
+                Acceptance rate is saved recommendations over recommendations
+                shown. Feedback acceptance only counts cards that received
+                feedback.
+              </p>
+            </div>
+            {recommendationStats.length === 0 ? (
+              <p className="p-6 text-gray-600">No recommendation feedback yet</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {[
+                        "Source",
+                        "Shown",
+                        "Saved",
+                        "Dismissed",
+                        "Not interested",
+                        "Acceptance",
+                        "Feedback acceptance",
+                      ].map((heading) => (
+                        <th
+                          key={heading}
+                          className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                        >
+                          {heading}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {recommendationStats.map((row) => (
+                      <tr key={row.source}>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 capitalize">
+                          {row.source.replace(/_/g, " ")}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {row.impressions}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {row.saved}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {row.dismissed}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {row.notInterested}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {row.acceptanceRate === null
+                            ? "—"
+                            : `${(row.acceptanceRate * 100).toFixed(1)}%`}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {row.feedbackAcceptanceRate === null
+                            ? "—"
+                            : `${(row.feedbackAcceptanceRate * 100).toFixed(1)}%`}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Create Event Modal */}
@@ -868,9 +970,12 @@ const AdminDashboard = () => {
                       type="datetime-local"
                       required
                       value={newEvent.start_date}
-                      onChange={(e) =>
-                        setNewEvent({ ...newEvent, start_date: e.target.value })
-                      }
+                      onChange={(e) => {
+                        setNewEvent({ ...newEvent, start_date: e.target.value });
+                        if (recurrence.freq === "none" && e.target.value) {
+                          setRecurrence(defaultRecurrenceOptions(new Date(e.target.value), localTimeZone()));
+                        }
+                      }}
                       className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white text-gray-900"
                       style={{ color: "#111827" }}
                     />
@@ -890,6 +995,22 @@ const AdminDashboard = () => {
                     />
                   </div>
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Repeats
+                  </label>
+                  <RecurrenceEditor
+                    value={recurrence}
+                    onChange={setRecurrence}
+                    startDate={newEvent.start_date}
+                    timeZone={localTimeZone()}
+                  />
+                  {recurrence.freq !== "none" && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      Each occurrence keeps the same length, and its registration deadline sits the same time before its start.
+                    </p>
+                  )}
+                </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
                     Location
@@ -925,21 +1046,45 @@ const AdminDashboard = () => {
                   </div>
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">
-                      Google Meet Link (for virtual events)
+                      Meeting Link (for virtual events)
                     </label>
-                    <input
-                      type="url"
-                      value={newEvent.google_meet_link}
-                      onChange={(e) =>
-                        setNewEvent({
-                          ...newEvent,
-                          google_meet_link: e.target.value,
-                        })
-                      }
-                      placeholder="https://meet.google.com/..."
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white text-gray-900"
-                      style={{ color: "#111827" }}
-                    />
+                    <div className="flex space-x-2">
+                      <select
+                        value={newEvent.meeting_provider}
+                        onChange={(e) =>
+                          setNewEvent({
+                            ...newEvent,
+                            meeting_provider: e.target.value,
+                          })
+                        }
+                        className="px-2 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white text-gray-900"
+                        style={{ color: "#111827" }}
+                      >
+                        {MEETING_PROVIDERS.map((provider) => (
+                          <option key={provider.value} value={provider.value}>
+                            {provider.label}
+                          </option>
+                        ))}
+                      </select>
+                      <input
+                        type="url"
+                        value={newEvent.meeting_url}
+                        onChange={(e) =>
+                          setNewEvent({
+                            ...newEvent,
+                            meeting_url: e.target.value,
+                          })
+                        }
+                        placeholder={
+                          MEETING_PROVIDERS.find((p) => p.value === newEvent.meeting_provider)?.placeholder
+                        }
+                        className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white text-gray-900"
+                        style={{ color: "#111827" }}
+                      />
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Only shown to confirmed registrants shortly before the start.
+                    </p>
                   </div>
                 </div>
                 <div>
@@ -1188,12 +1333,20 @@ const AdminDashboard = () => {
                               {registration.user?.role || "User"}
                             </p>
                           </div>
-                          <span className="text-xs text-gray-400">
-                            {new Date(
-                              registration.registered_at ||
-                                registration.created_at
-                            ).toLocaleDateString()}
-                          </span>
+                          <div className="text-right">
+                            <p className="text-xs font-medium text-gray-700">
+                              {registration.status === "waitlisted"
+                                ? `Waitlist #${registration.waitlist_position}`
+                                : REGISTRATION_STATUS_LABELS[registration.status] ||
+                                  registration.status}
+                            </p>
+                            <span className="text-xs text-gray-400">
+                              {new Date(
+                                registration.registered_at ||
+                                  registration.created_at
+                              ).toLocaleDateString()}
+                            </span>
+                          </div>
                         </div>
                       ))
                     ) : (
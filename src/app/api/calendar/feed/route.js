@@ -0,0 +1,49 @@
+import { supabaseAdmin } from '@/lib/supabase'
+import { buildUserCalendar } from '@/lib/api/calendar'
+
+// Subscribable iCal feed; calendar apps cannot sign in, so the secret token in the URL identifies the user
+export async function GET(request) {
+  try {
+    const { searchParams, origin } = new URL(request.url)
+    const token = (searchParams.get('token') || '').replace(/\.ics$/, '')
+
+    if (!token) {
+      return Response.json({ error: 'Missing token' }, { status: 400 })
+    }
+
+    if (!supabaseAdmin) {
+      return Response.json({ error: 'Calendar feeds are not configured' }, { status: 503 })
+    }
+
+    const { data: feed } = await supabaseAdmin
+      .from('calendar_feed_tokens')
+      .select('user_id')
+      .eq('token', token)
+      .maybeSingle()
+
+    if (!feed) {
+      return Response.json({ error: 'Calendar feed not found' }, { status: 404 })
+    }
+
+    const calendar = await buildUserCalendar(supabaseAdmin, feed.user_id, {
+      baseUrl: (process.env.NEXT_PUBLIC_APP_URL || origin).replace(/\/$/, '')
+    })
+
+    await supabaseAdmin
+      .from('calendar_feed_tokens')
+      .update({ last_accessed_at: new Date().toISOString() })
+      .eq('token', token)
+
+    return new Response(calendar, {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="startup-platform.ics"',
+        'Cache-Control': 'private, max-age=300'
+      }
+    })
+  } catch (error) {
+    console.error('Calendar feed error:', error)
+    return Response.json({ error: 'Failed to build calendar feed' }, { status: 500 })
+  }
+}
@@ -0,0 +1,37 @@
+import { supabaseAdmin } from '@/lib/supabase'
+import { getRequestUser } from '@/lib/api/auth'
+import { createDocumentLink } from '@/lib/services/dataRoomService'
+
+// Issues a short-lived link to a data room document after logging the view or download
+export async function POST(request) {
+  try {
+    const auth = await getRequestUser(request)
+    if (auth.error) {
+      return Response.json({ error: auth.error }, { status: auth.status })
+    }
+
+    if (!supabaseAdmin) {
+      return Response.json({ error: 'The data room is not configured' }, { status: 503 })
+    }
+
+    const { documentId, download } = await request.json()
+    if (!documentId) {
+      return Response.json({ error: 'documentId is required' }, { status: 400 })
+    }
+
+    const result = await createDocumentLink({
+      db: supabaseAdmin,
+      documentId,
+      userId: auth.user.id,
+      download: download === true
+    })
+    if (result.error) {
+      return Response.json({ error: result.error }, { status: result.status })
+    }
+
+    return Response.json({ data: result.data }, { status: 200 })
+  } catch (error) {
+    console.error('Data room link API error:', error)
+    return Response.json({ error: 'Internal server error' }, { status: 500 })
+  }
+}
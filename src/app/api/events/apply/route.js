@@ -0,0 +1,38 @@
+import { supabaseAdmin } from '@/lib/supabase'
+import { getRequestUser } from '@/lib/api/auth'
+import { submitPitchApplication } from '@/lib/services/pitchApplicationService'
+
+// Submits a pitch application after validating the answers against the event's application form
+export async function POST(request) {
+  try {
+    const auth = await getRequestUser(request)
+    if (auth.error) {
+      return Response.json({ error: auth.error }, { status: auth.status })
+    }
+
+    if (!supabaseAdmin) {
+      return Response.json({ error: 'Applications are not configured' }, { status: 503 })
+    }
+
+    const { eventId, answers, pitchDeckUrl } = await request.json()
+    if (!eventId) {
+      return Response.json({ error: 'eventId is required' }, { status: 400 })
+    }
+
+    const result = await submitPitchApplication({
+      db: supabaseAdmin,
+      eventId,
+      userId: auth.user.id,
+      answers: answers && typeof answers === 'object' ? answers : {},
+      pitchDeckUrl: pitchDeckUrl || null
+    })
+    if (result.error) {
+      return Response.json({ error: result.error, errors: result.errors }, { status: result.status })
+    }
+
+    return Response.json({ data: result.data }, { status: 201 })
+  } catch (error) {
+    console.error('Pitch application API error:', error)
+    return Response.json({ error: 'Internal server error' }, { status: 500 })
+  }
+}
@@ -0,0 +1,34 @@
+import { supabaseAdmin } from '@/lib/supabase'
+import { getRequestUser } from '@/lib/api/auth'
+import { getStripe } from '@/lib/stripe'
+import { createSessionPaymentIntent } from '@/lib/services/paymentService'
+
+// Starts checkout for a booked session that is awaiting payment
+export async function POST(request) {
+  try {
+    const auth = await getRequestUser(request)
+    if (auth.error) {
+      return Response.json({ error: auth.error }, { status: auth.status })
+    }
+
+    const stripe = getStripe()
+    if (!stripe || !supabaseAdmin) {
+      return Response.json({ error: 'Payments are not configured' }, { status: 503 })
+    }
+
+    const { sessionId } = await request.json()
+    if (!sessionId) {
+      return Response.json({ error: 'sessionId is required' }, { status: 400 })
+    }
+
+    const result = await createSessionPaymentIntent({ db: supabaseAdmin, stripe, sessionId, userId: auth.user.id })
+    if (result.error) {
+      return Response.json({ error: result.error }, { status: result.status })
+    }
+
+    return Response.json({ data: result.data }, { status: 200 })
+  } catch (error) {
+    console.error('Payment intent API error:', error)
+    return Response.json({ error: 'Internal server error' }, { status: 500 })
+  }
+}
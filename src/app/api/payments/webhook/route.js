@@ -0,0 +1,28 @@
+import { supabaseAdmin } from '@/lib/supabase'
+import { getStripe } from '@/lib/stripe'
+import { handleStripeEvent } from '@/lib/services/paymentService'
+
+// Stripe webhook endpoint; the signature is checked against the raw body with STRIPE_WEBHOOK_SECRET.
+// Locally: `stripe listen --forward-to localhost:3000/api/payments/webhook`
+export async function POST(request) {
+  const stripe = getStripe()
+  if (!stripe || !supabaseAdmin || !process.env.STRIPE_WEBHOOK_SECRET) {
+    return Response.json({ error: 'Payments are not configured' }, { status: 503 })
+  }
+
+  let event
+  try {
+    const body = await request.text()
+    event = stripe.webhooks.constructEvent(body, request.headers.get('stripe-signature'), process.env.STRIPE_WEBHOOK_SECRET)
+  } catch (error) {
+    console.error('Stripe webhook signature error:', error.message)
+    return Response.json({ error: 'Invalid signature' }, { status: 400 })
+  }
+
+  const result = await handleStripeEvent(event, { db: supabaseAdmin, stripe })
+  if (result.error) {
+    return Response.json({ error: result.error }, { status: result.status })
+  }
+
+  return Response.json({ received: true, ...result.data }, { status: 200 })
+}
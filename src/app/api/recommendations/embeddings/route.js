@@ -0,0 +1,59 @@
+import { supabase } from '@/lib/supabase'
+import { getRequestUser } from '@/lib/api/auth'
+import { getEmbeddings, getEmbeddingFreshness } from '@/app/recommendation_engine/embeddingStore'
+
+// Report how fresh the stored embeddings are
+export async function GET(request) {
+  try {
+    const auth = await getRequestUser(request)
+    if (auth.error) {
+      return Response.json({ error: auth.error }, { status: auth.status })
+    }
+
+    const freshness = await getEmbeddingFreshness()
+    return Response.json({ data: freshness }, { status: 200 })
+  } catch (error) {
+    console.error('Embedding freshness API error:', error)
+    return Response.json({ error: 'Failed to get embedding freshness' }, { status: 500 })
+  }
+}
+
+// Retrain embeddings; pass { "force": false } to retrain only if the graph drifted
+export async function POST(request) {
+  try {
+    const auth = await getRequestUser(request)
+    if (auth.error) {
+      return Response.json({ error: auth.error }, { status: auth.status })
+    }
+
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('role')
+      .eq('id', auth.user.id)
+      .maybeSingle()
+
+    if (profile?.role !== 'admin') {
+      return Response.json({ error: 'Insufficient permissions' }, { status: 403 })
+    }
+
+    const body = await request.json().catch(() => ({}))
+    const forceRebuild = body?.force !== false
+
+    const { model, retrained, changeRatio } = await getEmbeddings({ forceRebuild })
+
+    return Response.json({
+      data: {
+        retrained,
+        changeRatio,
+        modelId: model.id,
+        modelVersion: model.model_version,
+        trainedAt: model.trained_at,
+        nodeCount: model.node_count,
+        edgeCount: model.edge_count
+      }
+    }, { status: 200 })
+  } catch (error) {
+    console.error('Embedding rebuild API error:', error)
+    return Response.json({ error: 'Failed to rebuild embeddings' }, { status: 500 })
+  }
+}
@@ -1,72 +1,52 @@
 import { supabase } from '@/lib/supabase'
-import { requireAuth } from '@/lib/api/auth'
+import { getRequestUser } from '@/lib/api/auth'
+import {
+  getHybridRecommendations,
+  getRecommendationFeedback,
+  toFeedbackSignals,
+  recordRecommendationImpressions
+} from '@/lib/api/recommendations'
+import { getEmbeddings } from '@/app/recommendation_engine/embeddingStore'
+
+async function loadExplainModule() {
+  const mod = await import('@/app/recommendation_engine/explainRecommendation.js')
+  return mod.default || mod
+}
 
-async function loadGraphModule() {
-  const mod = await import('@/app/recommendation_engine/graphRecommendation.js')
+async function loadQueryModule() {
+  const mod = await import('@/app/recommendation_engine/recommendationQuery.js')
   return mod.default || mod
 }
 
+const RECOMMENDABLE_ROLES = ['startup', 'mentor', 'investor']
+
 export async function GET(request) {
   try {
     const { searchParams } = new URL(request.url)
-    const topK = parseInt(searchParams.get('topK') || '8', 10)
+    // Page size: ?limit= (or the older ?topK=), continued with ?cursor= from the previous response
+    const topK = parseInt(searchParams.get('limit') || searchParams.get('topK') || '8', 10)
+    const cursor = searchParams.get('cursor') || null
     const forUserId = searchParams.get('userId') || null
-    const explicitTargetRole = searchParams.get('targetRole') || null // optional hint
+    const explicitTargetRole = searchParams.get('targetRole') || null // e.g. 'investor' or 'mentor,investor'
 
-    let auth = null
-    if (!forUserId) {
-      // Only require auth when userId is not explicitly provided
-      auth = await requireAuth()
-      if (auth?.error) {
-        return Response.json({ error: auth.error }, { status: auth.status || 401 })
-      }
+    // Recommendations for ?userId= can be computed for anyone, but that user's own feedback and
+    // impressions are only read and written when the request is signed in as them
+    const auth = await getRequestUser(request)
+    if (!forUserId && auth.error) {
+      return Response.json({ error: auth.error }, { status: auth.status || 401 })
     }
 
     const currentUserId = forUserId || auth.user.id
-    const currentUserRole = auth?.profile?.role || null
-
-    // Relationship edges we will use to build the graph
-    /** @type {Array<{sourceId:string,targetId:string,type:'mentorship_completed'|'event_participation'|'investment_interest',weight?:number}>} */
-    const relationships = []
-
-    // 1) Mentorship accepted → strong ties
-    {
-      const { data } = await supabase
-        .from('mentorship_requests')
-        .select('startup_id, mentor_id, status')
-        .in('status', ['accepted'])
+    const isOwnRequest = auth.user?.id === currentUserId
 
-      data?.forEach((row) => {
-        if (row.startup_id && row.mentor_id) {
-          relationships.push({
-            sourceId: row.startup_id,
-            targetId: row.mentor_id,
-            type: 'mentorship_completed',
-          })
-        }
-      })
-    }
-
-    // 2) Investment interest (pending/accepted) → medium ties
-    {
-      const { data } = await supabase
-        .from('investment_requests')
-        .select('startup_id, investor_id, status')
-        .in('status', ['pending', 'accepted'])
-
-      data?.forEach((row) => {
-        if (row.startup_id && row.investor_id) {
-          relationships.push({
-            sourceId: row.startup_id,
-            targetId: row.investor_id,
-            type: 'investment_interest',
-          })
-        }
-      })
-    }
+    const { data: p } = await supabase
+      .from('profiles')
+      .select('role')
+      .eq('id', currentUserId)
+      .maybeSingle()
+    const currentUserRole = p?.role || null
 
-    // 3) Event participation co-attendance with the current user → weak ties
-    //    We only add edges from current user to co-attendees to keep graph small.
+    // Events the current user attended, used to explain co-attendance below
     let userEventIds = []
     {
       const { data: userRegs } = await supabase
@@ -76,61 +56,70 @@ export async function GET(request) {
         .eq('status', 'confirmed')
 
       userEventIds = (userRegs || []).map((r) => r.event_id)
-
-      if (userEventIds.length > 0) {
-        const { data: coRegs } = await supabase
-          .from('event_registrations')
-          .select('event_id, user_id')
-          .in('event_id', userEventIds)
-          .eq('status', 'confirmed')
-
-        coRegs?.forEach((r) => {
-          if (r.user_id && r.user_id !== currentUserId) {
-            relationships.push({
-              sourceId: currentUserId,
-              targetId: r.user_id,
-              type: 'event_participation',
-            })
-          }
-        })
-      }
     }
 
-    // Build graph recommendations if possible
-    const graphMod = await loadGraphModule()
-    let rawIds = []
-    try {
-      const graph = graphMod.buildGraph(relationships)
-      const embeddings = await graphMod.trainNode2Vec(graph)
-      rawIds = graphMod.getRecommendations(currentUserId, Math.max(topK * 3, 12), embeddings)
-    } catch {
-      rawIds = []
-    }
-
-    // Fetch profiles for recommended IDs to filter by role and include display data
-    const { data: recProfiles } = rawIds.length
-      ? await supabase
-          .from('profiles')
-          .select('id, full_name, avatar_url, role')
-          .in('id', rawIds)
-      : { data: [] }
+    // Saved / dismissed / not-interested feedback retunes the hybrid ranking
+    const feedback = toFeedbackSignals(isOwnRequest ? await getRecommendationFeedback(currentUserId) : [])
 
-    const idToProfile = new Map((recProfiles || []).map((p) => [p.id, p]))
+    // Reason and filter helpers
+    const [explainMod, queryMod] = await Promise.all([loadExplainModule(), loadQueryModule()])
 
     // Choose target roles based on current user role (unless explicitly requested)
     let targetRoles
     if (explicitTargetRole) {
-      targetRoles = explicitTargetRole.split(',').map((r) => r.trim())
+      targetRoles = explicitTargetRole.split(',').map((r) => r.trim()).filter((r) => RECOMMENDABLE_ROLES.includes(r))
+      if (!targetRoles.length) {
+        return Response.json({ error: 'Invalid targetRole' }, { status: 400 })
+      }
     } else if (currentUserRole === 'startup') {
       targetRoles = ['mentor', 'investor']
     } else {
       targetRoles = ['startup']
     }
 
+    // Hard filters (location, availability, ticket range, paid) are applied after scoring.
+    // Role match rules (e.g. investors at the startup's funding stage) apply when a target role
+    // is asked for explicitly; ?match=any turns them off.
+    const filters = queryMod.parseRecommendationFilters(searchParams)
+    const roleMatch = !!explicitTargetRole && searchParams.get('match') !== 'any'
+
+    // Embeddings from the persisted model (retrained only when the graph drifts)
+    let model = null
+    let embeddings = {}
+    let relationships = []
+    try {
+      const result = await getEmbeddings()
+      model = result.model
+      embeddings = result.embeddings
+      relationships = result.relationships || []
+    } catch (error) {
+      console.error('Error loading recommendation embeddings:', error)
+    }
+
+    // Optional tuning of the graph/content blend, e.g. ?graphWeight=0.3&contentWeight=0.7
+    const weights = {}
+    const graphWeight = parseFloat(searchParams.get('graphWeight'))
+    const contentWeight = parseFloat(searchParams.get('contentWeight'))
+    if (Number.isFinite(graphWeight) && graphWeight >= 0) weights.graph = graphWeight
+    if (Number.isFinite(contentWeight) && contentWeight >= 0) weights.content = contentWeight
+
+    // Hybrid ranking: every user with a target role, scored on embeddings and profile content.
+    // Users without graph history (cold start) are ranked on content alone.
+    const { data: ranked, nextCursor, total } = await getHybridRecommendations(currentUserId, {
+      targetRoles,
+      topK,
+      embeddings,
+      weights,
+      feedback,
+      filters,
+      roleMatch,
+      cursor
+    })
+
     // Compute co-attended event counts for reasons
     let coAttendCounts = new Map()
-    if (userEventIds.length && recProfiles?.length) {
-      const candidateIds = recProfiles.map((p) => p.id)
+    if (userEventIds.length && ranked.length) {
+      const candidateIds = ranked.map((r) => r.id)
       const { data: othersRegs } = await supabase
         .from('event_registrations')
         .select('user_id, event_id')
@@ -143,300 +132,83 @@ export async function GET(request) {
       })
     }
 
-    // 4) Enhanced attribute fetching for current user
-    // Fetch current user's role-specific attributes to compute similarity when graph is sparse
-    let currentAttrs = { 
-      industry: null, 
-      stage: null, 
-      location: null, 
-      slug: null, 
-      sectors: [], 
-      investment_stages: [], 
-      geographic_focus: [],
-      expertise_tags: []
-    }
-    
-    if (currentUserRole === 'startup') {
-      const { data: s } = await supabase
-        .from('startup_profiles')
-        .select('industry, stage, location, slug, funding_stage')
-        .eq('user_id', currentUserId)
-        .maybeSingle()
-      if (s) {
-        currentAttrs = { 
-          industry: s.industry, 
-          stage: s.stage, 
-          location: s.location, 
-          slug: s.slug,
-          funding_stage: s.funding_stage,
-          sectors: s.industry ? [s.industry] : [],
-          investment_stages: s.funding_stage ? [s.funding_stage] : [],
-          geographic_focus: s.location ? [s.location] : [],
-          expertise_tags: []
-        }
-      }
-    } else if (currentUserRole === 'mentor') {
-      const { data: m } = await supabase
-        .from('mentor_profiles')
-        .select('expertise_tags, years_experience, availability')
-        .eq('user_id', currentUserId)
-        .maybeSingle()
-      
-      // Also get location from profiles table
-      const { data: profile } = await supabase
-        .from('profiles')
-        .select('location')
-        .eq('id', currentUserId)
-        .maybeSingle()
-        
-      if (m) {
-        currentAttrs = { 
-          industry: m.expertise_tags?.[0] || null, 
-          stage: null, 
-          location: profile?.location || null, 
-          slug: null,
-          sectors: m.expertise_tags || [],
-          investment_stages: [],
-          geographic_focus: profile?.location ? [profile.location] : [],
-          expertise_tags: m.expertise_tags || []
-        }
-      }
-    } else if (currentUserRole === 'investor') {
-      const { data: i } = await supabase
-        .from('investor_profiles')
-        .select('sectors, investment_stage, geographic_focus')
-        .eq('user_id', currentUserId)
-        .maybeSingle()
-        
-      // Also get location from profiles table
-      const { data: profile } = await supabase
-        .from('profiles')
-        .select('location')
-        .eq('id', currentUserId)
-        .maybeSingle()
-        
-      if (i) {
-        currentAttrs = { 
-          industry: i.sectors?.[0] || null, 
-          stage: i.investment_stage?.[0] || null, 
-          location: profile?.location || null, 
-          slug: null,
-          sectors: i.sectors || [],
-          investment_stages: i.investment_stage || [],
-          geographic_focus: i.geographic_focus || [],
-          expertise_tags: []
-        }
-      }
-    }
-
-    const slugPrefix = (s) => (typeof s === 'string' ? s.split('-')[0] : null)
-
-    // Order by original similarity, but if empty/small, augment with attribute-similar candidates
-    const final = []
-    for (const id of rawIds) {
-      const p = idToProfile.get(id)
-      if (!p) continue
-      if (!targetRoles.includes(p.role)) continue
-
-      const reasons = []
-      const shared = coAttendCounts.get(id) || 0
-      if (shared > 0) {
-        reasons.push(`Attended ${shared} event(s) together`)
-      }
-      final.push({ id: p.id, full_name: p.full_name, avatar_url: p.avatar_url, role: p.role, reasons })
-      if (final.length >= topK) break
+    // Accepted connections of the current user and of every candidate, for mutual connections and graph paths
+    const connectionEdges = []
+    if (ranked.length) {
+      const ids = [currentUserId, ...ranked.map((r) => r.id)].join(',')
+      const { data: conns } = await supabase
+        .from('connections')
+        .select('requester_id, target_id')
+        .eq('status', 'accepted')
+        .or(`requester_id.in.(${ids}),target_id.in.(${ids})`)
+      ;(conns || []).forEach((c) => {
+        connectionEdges.push({ sourceId: c.requester_id, targetId: c.target_id, type: 'connection' })
+      })
     }
 
-
-
-
-
-    //Attribute -Based Matching 
-    // Enhanced attribute-based recommendations - always run this for better results
-    if (final.length < topK) {
-      // Fetch candidate profiles by role with more comprehensive data
-      const { data: candidates } = await supabase
+    // Private or pending investment requests never show up in reasons
+    const explainable = explainMod.explainableRelationships(relationships, isOwnRequest ? currentUserId : null)
+    const adjacency = explainMod.buildTypedAdjacency([...explainable, ...connectionEdges])
+    const connectionsOf = (id) => new Set(
+      Array.from(adjacency.get(id) || []).filter(([, kinds]) => kinds.has('connection')).map(([nid]) => nid)
+    )
+    const myConnections = connectionsOf(currentUserId)
+
+    const explained = ranked.map((r) => {
+      const mutualIds = Array.from(connectionsOf(r.id)).filter((id) => myConnections.has(id))
+      const paths = explainMod.findGraphPaths(adjacency, currentUserId, r.id)
+      return { r, mutualIds, paths }
+    })
+
+    // Display names for everyone mentioned in a reason
+    const mentionedIds = new Set()
+    explained.forEach(({ mutualIds, paths }) => {
+      mutualIds.forEach((id) => mentionedIds.add(id))
+      paths.forEach((p) => mentionedIds.add(p.viaId))
+    })
+    const names = {}
+    if (mentionedIds.size) {
+      const { data: mentioned } = await supabase
         .from('profiles')
-        .select('id, role, full_name, avatar_url, location')
-        .in('role', targetRoles)
-        .neq('id', currentUserId)
-        .limit(300)
-
-      const candidateIds = (candidates || []).map((c) => c.id)
-
-      // Enhanced attribute fetching with better field mapping
-      let attrRows = []
-      
-      // Startup profiles with comprehensive attributes
-      if (targetRoles.includes('startup') && candidateIds.length) {
-        const { data } = await supabase
-          .from('startup_profiles')
-          .select('user_id, industry, stage, location, slug, funding_stage, employee_count')
-          .in('user_id', candidateIds)
-        attrRows = [...attrRows, ...(data || []).map(d => ({
-          ...d,
-          profile_type: 'startup',
-          sectors: d.industry ? [d.industry] : [],
-          investment_stages: d.funding_stage ? [d.funding_stage] : []
-        }))]
-      }
-      
-      // Mentor profiles with expertise tags
-      if (targetRoles.includes('mentor') && candidateIds.length) {
-        const { data } = await supabase
-          .from('mentor_profiles')
-          .select('user_id, expertise_tags, years_experience, availability, company, job_title')
-          .in('user_id', candidateIds)
-        attrRows = [...attrRows, ...(data || []).map(d => ({
-          ...d,
-          profile_type: 'mentor',
-          industry: d.expertise_tags?.[0] || null,
-          sectors: d.expertise_tags || [],
-          stage: null,
-          slug: null
-        }))]
-      }
-      
-      // Investor profiles with investment preferences
-      if (targetRoles.includes('investor') && candidateIds.length) {
-        const { data } = await supabase
-          .from('investor_profiles')
-          .select('user_id, sectors, investment_stage, geographic_focus, fund_name, ticket_size_min, ticket_size_max')
-          .in('user_id', candidateIds)
-        attrRows = [...attrRows, ...(data || []).map(d => ({
-          ...d,
-          profile_type: 'investor',
-          industry: d.sectors?.[0] || null,
-          stage: d.investment_stage?.[0] || null,
-          slug: null,
-          investment_stages: d.investment_stage || [],
-          location: d.geographic_focus?.[0] || null
-        }))]
-      }
-
-      const attrsByUser = new Map(attrRows.map((r) => [r.user_id, r]))
-      const candidatesByUser = new Map((candidates || []).map((c) => [c.id, c]))
+        .select('id, full_name')
+        .in('id', Array.from(mentionedIds))
+      ;(mentioned || []).forEach((p) => { names[p.id] = p.full_name })
+    }
 
-      const seen = new Set(final.map((x) => x.id))
-      const scored = []
-      
-      for (const c of candidates || []) {
-        if (seen.has(c.id)) continue
-        const a = attrsByUser.get(c.id) || {}
-        let score = 0
-        const reasons = []
-        
-        // Enhanced matching logic based on user role
-        if (currentUserRole === 'startup') {
-          // For startups, recommend mentors and investors
-          if (c.role === 'mentor') {
-            // Match by industry expertise
-            if (currentAttrs.industry && a.sectors?.includes(currentAttrs.industry)) {
-              score += 4; reasons.push(`Expertise in ${currentAttrs.industry}`)
-            }
-            // Match by location
-            if (currentAttrs.location && (a.location === currentAttrs.location || c.location === currentAttrs.location)) {
-              score += 2; reasons.push(`Same location: ${currentAttrs.location}`)
-            }
-            // Available mentors get priority
-            if (a.availability === 'available') {
-              score += 1; reasons.push('Currently available')
-            }
-            // Experience bonus
-            if (a.years_experience >= 10) {
-              score += 1; reasons.push('Highly experienced')
-            }
-          } else if (c.role === 'investor') {
-            // Match by investment stage
-            if (currentAttrs.stage && a.investment_stages?.includes(currentAttrs.stage)) {
-              score += 4; reasons.push(`Invests in ${currentAttrs.stage} stage`)
-            }
-            // Match by industry/sector
-            if (currentAttrs.industry && a.sectors?.includes(currentAttrs.industry)) {
-              score += 3; reasons.push(`Invests in ${currentAttrs.industry}`)
-            }
-            // Geographic focus
-            if (currentAttrs.location && a.geographic_focus?.includes(currentAttrs.location)) {
-              score += 2; reasons.push(`Focuses on ${currentAttrs.location} region`)
-            }
-          }
-        } else if (currentUserRole === 'mentor') {
-          // For mentors, recommend startups
-          if (c.role === 'startup') {
-            // Match by industry expertise
-            if (currentAttrs.industry && a.industry === currentAttrs.industry) {
-              score += 4; reasons.push(`Same industry: ${a.industry}`)
-            }
-            // Match by location
-            if (currentAttrs.location && a.location === currentAttrs.location) {
-              score += 2; reasons.push(`Same location: ${a.location}`)
-            }
-            // Stage preference (early stage gets priority)
-            if (a.stage && ['idea', 'mvp', 'early_revenue'].includes(a.stage)) {
-              score += 1; reasons.push('Early stage startup')
-            }
-          }
-        } else if (currentUserRole === 'investor') {
-          // For investors, recommend startups
-          if (c.role === 'startup') {
-            // Match by investment stage preference
-            if (currentAttrs.investment_stages?.includes(a.funding_stage)) {
-              score += 4; reasons.push(`Matches investment stage: ${a.funding_stage}`)
-            }
-            // Match by sector
-            if (currentAttrs.sectors?.includes(a.industry)) {
-              score += 3; reasons.push(`Target sector: ${a.industry}`)
-            }
-            // Geographic focus
-            if (currentAttrs.geographic_focus?.includes(a.location)) {
-              score += 2; reasons.push(`Target region: ${a.location}`)
-            }
-          }
-        }
-        
-        // General matching (applies to all)
-        if (currentAttrs.industry && a.industry && currentAttrs.industry === a.industry) {
-          score += 2; reasons.push(`Same industry: ${a.industry}`)
-        }
-        if (currentAttrs.location && a.location && currentAttrs.location === a.location) {
-          score += 1.5; reasons.push(`Same location: ${a.location}`)
-        }
-        if (currentAttrs.slug && a.slug && slugPrefix(currentAttrs.slug) === slugPrefix(a.slug)) {
-          score += 1; reasons.push('Similar company focus')
-        }
-        
-        // Add some randomness for diversity if no strong matches
-        if (score === 0 && Math.random() > 0.7) {
-          score = 0.5; reasons.push('Suggested for you')
-        }
-        
-        if (score > 0) {
-          scored.push({
-            id: c.id,
-            full_name: c.full_name,
-            avatar_url: c.avatar_url,
-            role: c.role,
-            score,
-            reasons,
-          })
-        }
-      }
+    const final = explained.map(({ r, mutualIds, paths }) => ({
+      id: r.id,
+      full_name: r.full_name,
+      avatar_url: r.avatar_url,
+      location: r.location,
+      role: r.role,
+      role_profile: r.roleProfile,
+      score: r.score,
+      cold_start: r.coldStart,
+      // Graph-backed results vs. cold-start results ranked on profile content alone
+      source: r.coldStart ? 'content' : 'graph',
+      saved: isOwnRequest ? r.saved : undefined,
+      reasons: explainMod.explainRecommendation({
+        candidateRole: r.role,
+        breakdown: r.breakdown,
+        graphScore: r.graphScore,
+        coAttendedEvents: coAttendCounts.get(r.id) || 0,
+        mutualConnections: mutualIds.map((id) => names[id]).filter(Boolean),
+        paths,
+        names
+      })
+    }))
 
-      // Sort by score and add to final results
-      scored.sort((x, y) => y.score - x.score)
-      for (const s of scored) {
-        final.push({ 
-          id: s.id, 
-          full_name: s.full_name, 
-          avatar_url: s.avatar_url, 
-          role: s.role, 
-          reasons: s.reasons 
-        })
-        if (final.length >= topK) break
-      }
+    if (isOwnRequest) {
+      await recordRecommendationImpressions(currentUserId, final)
     }
 
-    return Response.json({ data: final, count: final.length }, { status: 200 })
+    return Response.json({
+      data: final,
+      count: final.length,
+      total,
+      nextCursor,
+      model: model ? { version: model.model_version, trainedAt: model.trained_at } : null
+    }, { status: 200 })
   } catch (error) {
     // eslint-disable-next-line no-console
     console.error('Recommendations API error:', error)
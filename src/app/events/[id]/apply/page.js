@@ -0,0 +1,36 @@
+'use client'
+
+import { useParams } from 'next/navigation'
+import Link from 'next/link'
+import { useAuth } from '@/hooks/useAuth'
+import PitchApplicationForm from '@/components/PitchApplicationForm'
+
+export default function EventApplyPage() {
+  const params = useParams()
+  const { user, loading } = useAuth()
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
+      </div>
+    )
+  }
+
+  if (!user) {
+    return (
+      <div className="text-center py-20">
+        <h1 className="text-2xl font-bold text-gray-900 mb-4">Sign in to apply</h1>
+        <Link href="/auth/signin" className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700">
+          Sign In
+        </Link>
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <PitchApplicationForm eventId={params.id} />
+    </div>
+  )
+}
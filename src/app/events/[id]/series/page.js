@@ -0,0 +1,24 @@
+'use client'
+
+import { useParams } from 'next/navigation'
+import { useAuth } from '@/hooks/useAuth'
+import EventSeries from '@/components/EventSeries'
+
+export default function EventSeriesPage() {
+  const params = useParams()
+  const { loading } = useAuth()
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <EventSeries eventId={params.id} />
+    </div>
+  )
+}
@@ -6,9 +6,14 @@ import { supabase } from '@/lib/supabase'
 import Link from 'next/link'
 import Image from 'next/image'
 import { toast } from 'react-hot-toast'
+import { registerForEvent, cancelEventRegistration } from '@/lib/api/eventRegistration'
+import { getMyJudgingEventIds } from '@/lib/api/judging'
+import { parseRRule, describeRule } from '@/lib/recurrence'
+import { isFeedbackOpen } from '@/lib/eventAnalytics'
+import JoinEventLink from '@/components/ui/JoinEventLink'
 
 export default function EventsPage() {
-  const { user } = useAuth()
+  const { user, profile } = useAuth()
   const [events, setEvents] = useState([])
   const [filteredEvents, setFilteredEvents] = useState([])
   const [loading, setLoading] = useState(true)
@@ -17,12 +22,18 @@ export default function EventsPage() {
     status: 'all',
     search: ''
   })
-  const [registrations, setRegistrations] = useState(new Set())
+  // event id -> the user's active registration ({ id, status })
+  const [registrations, setRegistrations] = useState(new Map())
+  // pitch events the user is judging
+  const [judgingEventIds, setJudgingEventIds] = useState(new Set())
 
   useEffect(() => {
     fetchEvents()
     if (user) {
       fetchUserRegistrations()
+      getMyJudgingEventIds().then((result) => {
+        if (!result.error) setJudgingEventIds(new Set(result.data))
+      })
     }
   }, [user])
 
@@ -37,7 +48,8 @@ export default function EventsPage() {
         .select(`
           *,
           organizer:profiles!events_organizer_id_fkey(full_name, role),
-          registrations:event_registrations(count)
+          registrations:event_registrations(count),
+          series:event_series(id, recurrence_rule, timezone)
         `)
         .order('start_date', { ascending: true })
 
@@ -56,13 +68,13 @@ export default function EventsPage() {
     try {
       const { data, error } = await supabase
         .from('event_registrations')
-        .select('event_id')
+        .select('id, event_id, status')
         .eq('user_id', user.id)
+        .not('status', 'in', '(cancelled,expired,rejected)')
 
       if (error) throw error
 
-      const registeredEventIds = new Set(data.map(reg => reg.event_id))
-      setRegistrations(registeredEventIds)
+      setRegistrations(new Map(data.map(reg => [reg.event_id, reg])))
     } catch (error) {
       console.error('Error fetching user registrations:', error)
     }
@@ -96,6 +108,17 @@ export default function EventsPage() {
       )
     }
 
+    // A series shows up once, as its next date that is still on
+    const seenSeries = new Set()
+    filtered = filtered
+      .filter(event => !event.series_id || event.status !== 'cancelled')
+      .filter(event => {
+        if (!event.series_id) return true
+        if (seenSeries.has(event.series_id)) return false
+        seenSeries.add(event.series_id)
+        return true
+      })
+
     setFilteredEvents(filtered)
   }
 
@@ -106,25 +129,16 @@ export default function EventsPage() {
     }
 
     try {
-      const { error } = await supabase
-        .from('event_registrations')
-        .insert({
-          event_id: eventId,
-          user_id: user.id,
-          status: 'registered'
-        })
-
-      if (error) {
-        if (error.code === '23505') {
-          toast.error('You are already registered for this event')
-        } else {
-          throw error
-        }
+      const result = await registerForEvent(eventId)
+      if (result.error) {
+        toast.error(result.error)
         return
       }
 
-      setRegistrations(prev => new Set([...prev, eventId]))
-      toast.success('Successfully registered for event!')
+      setRegistrations(prev => new Map(prev).set(eventId, result.data))
+      toast.success(result.data.status === 'waitlisted'
+        ? `Event is full. You're #${result.data.waitlist_position} on the waitlist`
+        : 'Successfully registered for event!')
     } catch (error) {
       console.error('Error registering for event:', error)
       toast.error('Failed to register for event')
@@ -133,18 +147,16 @@ export default function EventsPage() {
 
   const handleUnregister = async (eventId) => {
     try {
-      const { error } = await supabase
-        .from('event_registrations')
-        .delete()
-        .eq('event_id', eventId)
-        .eq('user_id', user.id)
-
-      if (error) throw error
+      const result = await cancelEventRegistration(registrations.get(eventId).id)
+      if (result.error) {
+        toast.error(result.error)
+        return
+      }
 
       setRegistrations(prev => {
-        const newSet = new Set(prev)
-        newSet.delete(eventId)
-        return newSet
+        const next = new Map(prev)
+        next.delete(eventId)
+        return next
       })
       toast.success('Successfully unregistered from event')
     } catch (error) {
@@ -260,6 +272,8 @@ export default function EventsPage() {
                 const formattedDate = formatEventDate(event.start_date)
             const isRegistered = registrations.has(event.id)
             const isPastEvent = eventStatus.status === 'past'
+            const isCancelled = event.status === 'cancelled'
+            const recurrence = event.series && parseRRule(event.series.recurrence_rule)
             
             return (
               <div key={event.id} className="bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow">
@@ -285,6 +299,11 @@ export default function EventsPage() {
                       <span className="px-2 py-1 bg-blue-100 text-blue-800 rounded-full text-xs font-medium capitalize">
                         {event.event_type.replace('_', ' ')}
                       </span>
+                      {isCancelled && (
+                        <span className="px-2 py-1 bg-red-100 text-red-800 rounded-full text-xs font-medium">
+                          cancelled
+                        </span>
+                      )}
                     </div>
                     {event.is_paid && (
                       <span className="text-green-600 font-semibold text-sm">
@@ -308,6 +327,15 @@ export default function EventsPage() {
                       <span>{formattedDate.date} at {formattedDate.time}</span>
                     </div>
                     
+                    {recurrence && (
+                      <div className="flex items-center text-sm text-gray-500">
+                        <span className="mr-2">🔁</span>
+                        <Link href={`/events/${event.id}/series`} className="text-blue-600 hover:text-blue-800">
+                          {describeRule(recurrence, { timeZone: event.series.timezone })}
+                        </Link>
+                      </div>
+                    )}
+                    
                     {event.location && (
                       <div className="flex items-center text-sm text-gray-500">
                         <span className="mr-2">📍</span>
@@ -315,6 +343,12 @@ export default function EventsPage() {
                       </div>
                     )}
                     
+                    {isRegistered && (
+                      <div className="flex items-center text-sm">
+                        <JoinEventLink registration={registrations.get(event.id)} event={event} />
+                      </div>
+                    )}
+                    
                     <div className="flex items-center text-sm text-gray-500">
                       <span className="mr-2">👤</span>
                       <span>Organized by {event.organizer?.full_name}</span>
@@ -339,22 +373,84 @@ export default function EventsPage() {
                       View Details
                     </Link>
                     
-                    {user && !isPastEvent && (
+                    {user && event.organizer_id === user.id && (
+                      <Link
+                        href={`/events/${event.id}/check-in`}
+                        className="flex-1 bg-green-600 text-white px-4 py-2 rounded-lg text-center hover:bg-green-700 transition-colors"
+                      >
+                        Check-in
+                      </Link>
+                    )}
+                    
+                    {user && event.event_type === 'pitch_event' && event.organizer_id === user.id && (
+                      <Link
+                        href={`/events/${event.id}/applications`}
+                        className="flex-1 bg-gray-800 text-white px-4 py-2 rounded-lg text-center hover:bg-gray-900 transition-colors"
+                      >
+                        Applications
+                      </Link>
+                    )}
+                    
+                    {profile?.role === 'startup' && event.event_type === 'pitch_event' && !isPastEvent && (
+                      <Link
+                        href={`/events/${event.id}/apply`}
+                        className="flex-1 bg-purple-600 text-white px-4 py-2 rounded-lg text-center hover:bg-purple-700 transition-colors"
+                      >
+                        Apply to Pitch
+                      </Link>
+                    )}
+                    
+                    {user && event.event_type === 'pitch_event' && (event.organizer_id === user.id || judgingEventIds.has(event.id)) && (
+                      <Link
+                        href={`/events/${event.id}/judging`}
+                        className="flex-1 bg-purple-600 text-white px-4 py-2 rounded-lg text-center hover:bg-purple-700 transition-colors"
+                      >
+                        Judging
+                      </Link>
+                    )}
+                    
+                    {user && event.is_virtual && event.organizer_id === user.id && (
+                      <Link
+                        href={`/events/${event.id}/hosting`}
+                        className="flex-1 bg-gray-800 text-white px-4 py-2 rounded-lg text-center hover:bg-gray-900 transition-colors"
+                      >
+                        Hosting
+                      </Link>
+                    )}
+                    
+                    {user && isPastEvent && event.organizer_id === user.id && (
+                      <Link
+                        href={`/events/${event.id}/analytics`}
+                        className="flex-1 bg-gray-800 text-white px-4 py-2 rounded-lg text-center hover:bg-gray-900 transition-colors"
+                      >
+                        Analytics
+                      </Link>
+                    )}
+                    
+                    {isRegistered && ['confirmed', 'attended'].includes(registrations.get(event.id).status) && isFeedbackOpen(event) && (
+                      <Link
+                        href={`/events/${event.id}/feedback`}
+                        className="flex-1 bg-blue-600 text-white px-4 py-2 rounded-lg text-center hover:bg-blue-700 transition-colors"
+                      >
+                        Give Feedback
+                      </Link>
+                    )}
+                    
+                    {user && !isPastEvent && !isCancelled && (
                       isRegistered ? (
                         <button
                           onClick={() => handleUnregister(event.id)}
                           className="flex-1 bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 transition-colors"
                         >
-                          Unregister
+                          {registrations.get(event.id).status === 'waitlisted' ? 'Leave Waitlist' : 'Unregister'}
                         </button>
                       ) : (
                         <button
                           onClick={() => handleRegister(event.id)}
                           className="flex-1 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
-                          disabled={event.max_participants && (event.registrations?.[0]?.count || 0) >= event.max_participants}
                         >
                           {event.max_participants && (event.registrations?.[0]?.count || 0) >= event.max_participants
-                            ? 'Full'
+                            ? 'Join Waitlist'
                             : event.is_paid
                             ? `Register - $${event.price}`
                             : 'Register'
@@ -390,6 +390,8 @@ export default function ExplorePage() {
                       const res = await registerForEvent(event.id)
                       if (res?.error) {
                         toast.error(res.error)
+                      } else if (res.data.status === 'waitlisted') {
+                        toast.success(`Event is full. You're #${res.data.waitlist_position} on the waitlist`)
                       } else {
                         toast.success('Registered for event')
                       }
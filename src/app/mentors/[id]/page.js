@@ -7,6 +7,7 @@ import { useAuth } from '@/hooks/useAuth'
 import Image from 'next/image'
 import Link from 'next/link'
 import { toast } from 'react-hot-toast'
+import SessionBooking from '@/components/SessionBooking'
 
 export default function MentorProfilePage() {
   const params = useParams()
@@ -184,7 +185,7 @@ export default function MentorProfilePage() {
                   Message
                 </button>
               )}
-              {mentor.is_paid && mentor.availability === 'available' && (
+              {mentor.availability === 'available' && (
                 <button
                   onClick={handleBookSession}
                   className="bg-purple-600 text-white px-6 py-2 rounded-lg hover:bg-purple-700 transition-colors"
@@ -404,39 +405,10 @@ export default function MentorProfilePage() {
 
       {/* Booking Modal */}
       {showBookingModal && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
-            <h3 className="text-xl font-bold text-gray-900 mb-4">Book a Session</h3>
-            <p className="text-gray-600 mb-4">
-              You're about to book a paid mentorship session with {mentor.profiles?.full_name}.
-            </p>
-            <div className="bg-gray-50 p-4 rounded-lg mb-4">
-              <div className="flex justify-between items-center">
-                <span className="text-gray-600">Rate:</span>
-                <span className="font-semibold">
-                  ${mentor.hourly_rate}/{mentor.currency || 'USD'} per hour
-                </span>
-              </div>
-            </div>
-            <div className="flex space-x-3">
-              <button
-                onClick={() => setShowBookingModal(false)}
-                className="flex-1 border border-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-50"
-              >
-                Cancel
-              </button>
-              <button
-                onClick={() => {
-                  setShowBookingModal(false)
-                  toast.success('Booking feature coming soon!')
-                }}
-                className="flex-1 bg-purple-600 text-white py-2 rounded-lg hover:bg-purple-700"
-              >
-                Proceed to Payment
-              </button>
-            </div>
-          </div>
-        </div>
+        <SessionBooking
+          mentor={mentor}
+          onClose={() => setShowBookingModal(false)}
+        />
       )}
     </div>
   )
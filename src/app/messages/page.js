@@ -2,236 +2,466 @@
 
 import { useState, useEffect, useRef } from 'react'
 import { useAuth } from '@/hooks/useAuth'
-import { supabase } from '@/lib/supabase'
+import {
+  useRealtimeMessages,
+  useRealtimeReactions,
+  useRealtimeReceipts,
+  useOnlinePresence,
+  useTypingIndicator
+} from '@/hooks/useRealtime'
 import Image from 'next/image'
+import Link from 'next/link'
 import { toast } from 'react-hot-toast'
+import {
+  getConversations,
+  getMessages,
+  sendMessage as sendConversationMessage,
+  startConversation,
+  markMessagesAsRead,
+  uploadMessageAttachment,
+  discardMessageAttachment,
+  editMessage,
+  deleteMessage,
+  toggleReaction,
+  markMessagesDelivered,
+  getLastSeen
+} from '@/lib/api/messages'
+import {
+  ATTACHMENT_ACCEPT,
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  attachmentSummary,
+  checkAttachmentFile
+} from '@/lib/messageAttachments'
+import { conversationTitle, memberSummary } from '@/lib/conversations'
+import { canEditMessage, messageSnippet } from '@/lib/messageThreads'
+import { presenceLabel, typingLabel, receiptSummary, receiptLabel } from '@/lib/messagePresence'
+import MessageAttachments, { PendingAttachments } from '@/components/MessageAttachments'
+import NewGroupConversation from '@/components/NewGroupConversation'
+import ConversationMembers from '@/components/ConversationMembers'
+import MessageReactions, { ReactionPicker } from '@/components/MessageReactions'
+import MessageEditHistory from '@/components/MessageEditHistory'
+import MessageSearch from '@/components/MessageSearch'
+
+function ConversationAvatar({ conversation, size, presence }) {
+  const other = conversation.other_participant
+  const avatar = !conversation.is_group && other?.avatar_url ? (
+    <Image src={other.avatar_url} alt={other.full_name} width={size} height={size} className="rounded-full" />
+  ) : (
+    <div style={{ width: size, height: size }} className="bg-gray-300 rounded-full flex items-center justify-center">
+      <span className="text-gray-600 font-medium">
+        {conversation.is_group ? '👥' : other?.full_name?.charAt(0) || '?'}
+      </span>
+    </div>
+  )
+  if (!presence) return avatar
+  return (
+    <div className="relative">
+      {avatar}
+      <span
+        className={`absolute bottom-0 right-0 w-3 h-3 rounded-full border-2 border-white ${presence === 'online' ? 'bg-green-500' : 'bg-yellow-400'}`}
+        title={presence === 'online' ? 'Online' : 'Away'}
+      />
+    </div>
+  )
+}
+
+function ReceiptTicks({ message, isGroup }) {
+  const summary = receiptSummary(message)
+  return (
+    <span className={`ml-1 ${summary.status === 'read' ? 'text-white font-bold' : ''}`} title={receiptLabel(summary, isGroup)}>
+      {summary.status === 'sent' ? '✓' : '✓✓'}
+    </span>
+  )
+}
 
 export default function MessagesPage() {
-  const { user } = useAuth()
+  const { user, profile } = useAuth()
   const [conversations, setConversations] = useState([])
   const [selectedConversation, setSelectedConversation] = useState(null)
   const [messages, setMessages] = useState([])
   const [newMessage, setNewMessage] = useState('')
   const [loading, setLoading] = useState(true)
   const [sendingMessage, setSendingMessage] = useState(false)
+  const [attachments, setAttachments] = useState([])
+  const [uploading, setUploading] = useState(0)
+  const [showNewGroup, setShowNewGroup] = useState(false)
+  const [showMembers, setShowMembers] = useState(false)
+  const [replyTo, setReplyTo] = useState(null)
+  const [editing, setEditing] = useState(null)
+  const [reactingTo, setReactingTo] = useState(null)
+  const [historyFor, setHistoryFor] = useState(null)
+  const [highlightedId, setHighlightedId] = useState(null)
+  const [lastSeen, setLastSeen] = useState({})
+  const [showSearch, setShowSearch] = useState(false)
+  const [pendingJump, setPendingJump] = useState(null)
   const messagesEndRef = useRef(null)
+  const fileInputRef = useRef(null)
   const messagesContainerRef = useRef(null)
+  const jumpTargetRef = useRef(null)
+  const sharePresence = profile?.show_presence !== false
+  const onlineStatuses = useOnlinePresence(user?.id, sharePresence)
+  const { typingUsers, sendTyping } = useTypingIndicator(
+    selectedConversation?.removed ? null : selectedConversation?.id,
+    user ? { id: user.id, full_name: profile?.full_name } : null,
+    sharePresence
+  )
+  const directContactId = selectedConversation && !selectedConversation.is_group
+    ? selectedConversation.other_participant?.id
+    : null
+  const directContactStatus = directContactId ? onlineStatuses[directContactId] : null
 
   useEffect(() => {
     if (user) {
-      fetchConversations()
+      fetchConversations().then(() => {
+        // Opening messages delivers everything that was waiting
+        markMessagesDelivered()
+
+        // Profile pages link here with ?user=<id> to start or continue a direct conversation
+        const otherUserId = new URLSearchParams(window.location.search).get('user')
+        if (otherUserId && otherUserId !== user.id) openDirectConversation(otherUserId)
+      })
     }
   }, [user])
 
+  // Keyed on the id: refreshing the conversation list replaces the selected object without switching
+  const selectedConversationId = selectedConversation?.id
   useEffect(() => {
-    if (selectedConversation) {
-      fetchMessages(selectedConversation.id)
-      subscribeToMessages(selectedConversation.id)
+    setReplyTo(null)
+    setEditing(null)
+    setReactingTo(null)
+    if (selectedConversationId) {
+      fetchMessages(selectedConversationId)
     }
-  }, [selectedConversation])
+  }, [selectedConversationId])
 
+  // Last seen of the person in an open direct conversation, refreshed when they come or go
   useEffect(() => {
+    if (!directContactId) return
+    getLastSeen([directContactId]).then(seen => setLastSeen(prev => ({ ...prev, ...seen })))
+  }, [directContactId, directContactStatus])
+
+  // Only new messages scroll the thread; edits and reactions leave it where it is.
+  // While a search result is being opened the thread stays put for the jump below.
+  useEffect(() => {
+    if (jumpTargetRef.current) return
     scrollToBottom()
-  }, [messages])
+  }, [messages.length])
 
-  const fetchConversations = async () => {
-    try {
-      // Get all messages where user is sender or recipient
-      const { data: messageData, error } = await supabase
-        .from('messages')
-        .select(`
-          *,
-          sender:profiles!messages_sender_id_fkey(id, full_name, avatar_url, role),
-          recipient:profiles!messages_recipient_id_fkey(id, full_name, avatar_url, role)
-        `)
-        .or(`sender_id.eq.${user.id},recipient_id.eq.${user.id}`)
-        .order('created_at', { ascending: false })
-
-      if (error) throw error
-
-      // Group messages by conversation (unique pairs of users)
-      const conversationMap = new Map()
-      
-      messageData?.forEach(message => {
-        const otherUser = message.sender_id === user.id ? message.recipient : message.sender
-        const conversationKey = [user.id, otherUser.id].sort().join('-')
-        
-        if (!conversationMap.has(conversationKey)) {
-          conversationMap.set(conversationKey, {
-            id: conversationKey,
-            otherUser,
-            lastMessage: message,
-            unreadCount: 0
-          })
-        }
-      })
+  useEffect(() => {
+    if (!pendingJump) return
+    jumpToMessage(pendingJump)
+    jumpTargetRef.current = null
+    setPendingJump(null)
+  }, [pendingJump])
+
+  // One subscription for every conversation: append to the open thread, count unread elsewhere
+  useRealtimeMessages(null, (message, eventType) => {
+    if (eventType === 'UPDATE') {
+      replaceMessage(message)
+      return
+    }
 
-      // Count unread messages for each conversation
-      for (const [key, conversation] of conversationMap) {
-        const { count } = await supabase
-          .from('messages')
-          .select('*', { count: 'exact', head: true })
-          .eq('sender_id', conversation.otherUser.id)
-          .eq('recipient_id', user.id)
-          .eq('read', false)
-        
-        conversation.unreadCount = count || 0
-      }
+    const known = conversations.some(conv => conv.id === message.conversation_id)
+    if (!known) {
+      // Someone added us to a new group or started a conversation with us
+      fetchConversations()
+      return
+    }
 
-      const conversationsList = Array.from(conversationMap.values())
-        .sort((a, b) => new Date(b.lastMessage.created_at) - new Date(a.lastMessage.created_at))
-      
-      setConversations(conversationsList)
-    } catch (error) {
-      console.error('Error fetching conversations:', error)
-      toast.error('Failed to load conversations')
-    } finally {
-      setLoading(false)
+    const isOpen = selectedConversation?.id === message.conversation_id
+    if (isOpen) {
+      setMessages(prev => prev.some(m => m.id === message.id) ? prev : [...prev, message])
+      if (message.sender_id !== user.id) markMessagesAsRead(message.conversation_id)
+    } else if (message.sender_id !== user.id) {
+      markMessagesDelivered(message.conversation_id)
     }
-  }
 
-  const fetchMessages = async (conversationId) => {
-    try {
-      const [userId1, userId2] = conversationId.split('-')
-      
-      const { data, error } = await supabase
-        .from('messages')
-        .select(`
-          *,
-          sender:profiles!messages_sender_id_fkey(id, full_name, avatar_url)
-        `)
-        .or(`and(sender_id.eq.${userId1},recipient_id.eq.${userId2}),and(sender_id.eq.${userId2},recipient_id.eq.${userId1})`)
-        .order('created_at', { ascending: true })
-
-      if (error) throw error
-
-      setMessages(data || [])
-      
-      // Mark messages as read
-      const otherUserId = userId1 === user.id ? userId2 : userId1
-      await supabase
-        .from('messages')
-        .update({ read: true })
-        .eq('sender_id', otherUserId)
-        .eq('recipient_id', user.id)
-        .eq('read', false)
-      
-      // Update conversation unread count
-      setConversations(prev => 
-        prev.map(conv => 
-          conv.id === conversationId 
-            ? { ...conv, unreadCount: 0 }
+    setConversations(prev =>
+      prev
+        .map(conv =>
+          conv.id === message.conversation_id
+            ? {
+                ...conv,
+                latest_message: message,
+                unread_count: isOpen || message.sender_id === user.id ? 0 : conv.unread_count + 1
+              }
             : conv
         )
+        .sort((a, b) => new Date(b.latest_message?.created_at || b.created_at) - new Date(a.latest_message?.created_at || a.created_at))
+    )
+  }, user?.id)
+
+  // Reactions in the open conversation; deletes only carry the reaction id
+  useRealtimeReactions(selectedConversation?.id, (reaction, eventType) => {
+    setMessages(prev => prev.map(message => {
+      const reactions = message.reactions || []
+      if (eventType === 'DELETE') {
+        return reactions.some(r => r.id === reaction.id)
+          ? { ...message, reactions: reactions.filter(r => r.id !== reaction.id) }
+          : message
+      }
+      if (message.id !== reaction.message_id || reactions.some(r => r.id === reaction.id)) return message
+      return { ...message, reactions: [...reactions, reaction] }
+    }))
+  })
+
+  // Receipts of our own messages in the open conversation
+  useRealtimeReceipts(selectedConversation?.id, (receipt) => {
+    setMessages(prev => prev.map(message => {
+      if (message.id !== receipt.message_id) return message
+      const receipts = (message.receipts || []).filter(r => r.user_id !== receipt.user_id)
+      return { ...message, receipts: [...receipts, receipt] }
+    }))
+  })
+
+  // An edited or deleted message, in the open thread and as a conversation preview
+  const replaceMessage = (message) => {
+    setMessages(prev => prev.map(m => {
+      if (m.id === message.id) return message
+      if (m.reply_to?.id === message.id) return { ...m, reply_to: { ...m.reply_to, ...message } }
+      return m
+    }))
+    setConversations(prev =>
+      prev.map(conv =>
+        conv.latest_message?.id === message.id ? { ...conv, latest_message: message } : conv
       )
-    } catch (error) {
-      console.error('Error fetching messages:', error)
-      toast.error('Failed to load messages')
+    )
+  }
+
+  const fetchConversations = async () => {
+    const list = await getConversations(user.id)
+    setConversations(list)
+    setLoading(false)
+    return list
+  }
+
+  const openDirectConversation = async (otherUserId) => {
+    const result = await startConversation(otherUserId)
+    if (result.error) {
+      toast.error(result.error)
+      return
     }
+    const list = await fetchConversations()
+    const conversation = list.find(conv => conv.id === result.data.conversation.id)
+    if (conversation) setSelectedConversation(conversation)
   }
 
-  const subscribeToMessages = (conversationId) => {
-    const [userId1, userId2] = conversationId.split('-')
-    
-    const subscription = supabase
-      .channel(`messages-${conversationId}`)
-      .on(
-        'postgres_changes',
-        {
-          event: 'INSERT',
-          schema: 'public',
-          table: 'messages',
-          filter: `or(and(sender_id.eq.${userId1},recipient_id.eq.${userId2}),and(sender_id.eq.${userId2},recipient_id.eq.${userId1}))`
-        },
-        async (payload) => {
-          // Fetch the complete message with sender info
-          const { data: newMessage } = await supabase
-            .from('messages')
-            .select(`
-              *,
-              sender:profiles!messages_sender_id_fkey(id, full_name, avatar_url)
-            `)
-            .eq('id', payload.new.id)
-            .single()
-
-          if (newMessage) {
-            setMessages(prev => [...prev, newMessage])
-            
-            // Update conversation list
-            if (newMessage.sender_id !== user.id) {
-              setConversations(prev => 
-                prev.map(conv => 
-                  conv.id === conversationId
-                    ? { 
-                        ...conv, 
-                        lastMessage: newMessage,
-                        unreadCount: selectedConversation?.id === conversationId ? 0 : conv.unreadCount + 1
-                      }
-                    : conv
-                )
-              )
-            }
-          }
-        }
+  const fetchMessages = async (conversationId) => {
+    const data = await getMessages(conversationId)
+    setMessages(data)
+    // A search result opened in this conversation is scrolled to once its messages are rendered
+    if (jumpTargetRef.current) {
+      if (data.some(m => m.id === jumpTargetRef.current)) {
+        setPendingJump(jumpTargetRef.current)
+      } else {
+        jumpTargetRef.current = null
+        toast.error('That message is no longer available')
+      }
+    }
+
+    // Mark messages as read
+    await markMessagesAsRead(conversationId)
+
+    // Update conversation unread count
+    setConversations(prev => 
+      prev.map(conv => 
+        conv.id === conversationId 
+          ? { ...conv, unread_count: 0 }
+          : conv
       )
-      .subscribe()
+    )
+  }
 
-    return () => {
-      subscription.unsubscribe()
+  const handleSearchSelect = (result) => {
+    const conversation = conversations.find(conv => conv.id === result.conversation_id)
+    if (!conversation) return
+    if (selectedConversation?.id === conversation.id) {
+      jumpToMessage(result.id)
+      return
     }
+    jumpTargetRef.current = result.id
+    setSelectedConversation(conversation)
+  }
+
+  const handleConversationChanged = (updated) => {
+    const merge = (conv) => ({ ...conv, ...updated, title: conversationTitle(updated, user.id) })
+    setConversations(prev => prev.map(conv => conv.id === updated.id ? merge(conv) : conv))
+    setSelectedConversation(prev => prev?.id === updated.id ? merge(prev) : prev)
+  }
+
+  const handleGroupCreated = async (conversation) => {
+    setShowNewGroup(false)
+    const list = await fetchConversations()
+    setSelectedConversation(list.find(conv => conv.id === conversation.id) || null)
+  }
+
+  const handleLeftGroup = async () => {
+    setShowMembers(false)
+    const list = await fetchConversations()
+    setSelectedConversation(list.find(conv => conv.id === selectedConversation?.id) || null)
+  }
+
+  const handleFilesSelected = async (e) => {
+    const files = Array.from(e.target.files || [])
+    e.target.value = ''
+    if (!files.length) return
+
+    if (attachments.length + uploading + files.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+      toast.error(`Attach up to ${MAX_ATTACHMENTS_PER_MESSAGE} files per message`)
+      return
+    }
+
+    const accepted = files.filter((file) => {
+      const check = checkAttachmentFile(file)
+      if (check.error) toast.error(check.error)
+      return !check.error
+    })
+
+    setUploading(prev => prev + accepted.length)
+    await Promise.all(accepted.map(async (file) => {
+      const result = await uploadMessageAttachment(file)
+      setUploading(prev => prev - 1)
+      if (result.error) {
+        toast.error(`${file.name}: ${result.error}`)
+        return
+      }
+      setAttachments(prev => [...prev, result.data])
+    }))
+  }
+
+  const removeAttachment = (attachment) => {
+    setAttachments(prev => prev.filter(a => a.path !== attachment.path))
+    discardMessageAttachment(attachment)
   }
 
   const sendMessage = async (e) => {
     e.preventDefault()
-    if (!newMessage.trim() || !selectedConversation || sendingMessage) return
+    if (editing) {
+      await saveEdit()
+      return
+    }
+    if ((!newMessage.trim() && attachments.length === 0) || !selectedConversation || sendingMessage || uploading > 0) return
 
     setSendingMessage(true)
     const messageText = newMessage.trim()
+    const sentAttachments = attachments
+    const repliedTo = replyTo
     setNewMessage('')
+    setAttachments([])
+    setReplyTo(null)
+    sendTyping(false)
+
+    const result = await sendConversationMessage(selectedConversation.id, messageText, {
+      attachments: sentAttachments,
+      reply_to_id: repliedTo?.id
+    })
+    setSendingMessage(false)
+
+    if (result.error) {
+      toast.error(result.error)
+      setNewMessage(messageText) // Restore message on error
+      setAttachments(sentAttachments)
+      setReplyTo(repliedTo)
+      return
+    }
 
-    try {
-      const [userId1, userId2] = selectedConversation.id.split('-')
-      const recipientId = userId1 === user.id ? userId2 : userId1
-
-      const { error } = await supabase
-        .from('messages')
-        .insert({
-          sender_id: user.id,
-          recipient_id: recipientId,
-          content: messageText,
-          read: false
-        })
-
-      if (error) throw error
-
-      // Update conversation in the list
-      setConversations(prev => 
-        prev.map(conv => 
-          conv.id === selectedConversation.id
-            ? { 
-                ...conv, 
-                lastMessage: {
-                  content: messageText,
-                  created_at: new Date().toISOString(),
-                  sender_id: user.id
-                }
-              }
-            : conv
-        )
+    const message = result.data
+    setMessages(prev => prev.some(m => m.id === message.id) ? prev : [...prev, message])
+
+    // Update conversation in the list
+    setConversations(prev => 
+      prev.map(conv => 
+        conv.id === selectedConversation.id
+          ? { ...conv, latest_message: message }
+          : conv
       )
-    } catch (error) {
-      console.error('Error sending message:', error)
-      toast.error('Failed to send message')
-      setNewMessage(messageText) // Restore message on error
-    } finally {
-      setSendingMessage(false)
+    )
+  }
+
+  const handleMessageChange = (e) => {
+    setNewMessage(e.target.value)
+    // Edits are not announced as typing
+    if (!editing) sendTyping(e.target.value.trim().length > 0)
+  }
+
+  const startReply = (message) => {
+    if (editing) cancelEdit()
+    setReplyTo(message)
+  }
+
+  const startEdit = (message) => {
+    setReplyTo(null)
+    setEditing(message)
+    setNewMessage(message.content)
+  }
+
+  const cancelEdit = () => {
+    setEditing(null)
+    setNewMessage('')
+  }
+
+  const saveEdit = async () => {
+    setSendingMessage(true)
+    const result = await editMessage(editing.id, newMessage)
+    setSendingMessage(false)
+
+    if (result.error) {
+      toast.error(result.error)
+      return
     }
+
+    replaceMessage(result.data)
+    cancelEdit()
+  }
+
+  const handleDelete = async (message) => {
+    if (!confirm('Delete this message? Its attachments are removed too.')) return
+    const result = await deleteMessage(message.id)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    if (editing?.id === message.id) cancelEdit()
+    replaceMessage({ ...message, deleted: true, content: '[Message deleted]', metadata: { ...message.metadata, attachments: [] } })
+  }
+
+  const handleToggleReaction = async (message, emoji) => {
+    const result = await toggleReaction(message.id, emoji)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+
+    const { reaction, removed } = result.data
+    setMessages(prev => prev.map(m => {
+      if (m.id !== message.id) return m
+      const reactions = (m.reactions || []).filter(r => r.id !== reaction.id)
+      return { ...m, reactions: removed ? reactions : [...reactions, reaction] }
+    }))
+  }
+
+  const jumpToMessage = (messageId) => {
+    const element = document.getElementById(`message-${messageId}`)
+    if (!element) {
+      toast.error('That message is no longer available')
+      return
+    }
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    setHighlightedId(messageId)
+    setTimeout(() => setHighlightedId(prev => prev === messageId ? null : prev), 2000)
   }
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
   }
 
+  const senderPrefix = (conversation, message) => {
+    if (message.sender_id === user.id) return 'You: '
+    if (!conversation.is_group) return ''
+    const sender = conversation.members?.find(m => m.user_id === message.sender_id)
+    return sender?.profile?.full_name ? `${sender.profile.full_name.split(' ')[0]}: ` : ''
+  }
+
   const formatMessageTime = (timestamp) => {
     const date = new Date(timestamp)
     const now = new Date()
@@ -278,12 +508,38 @@ export default function MessagesPage() {
         {/* Conversations Sidebar */}
         <div className="w-1/3 border-r border-gray-200 flex flex-col">
           {/* Header */}
-          <div className="p-4 border-b border-gray-200">
-            <h1 className="text-xl font-bold text-gray-900">Messages</h1>
-            <p className="text-sm text-gray-600">{conversations.length} conversations</p>
+          <div className="p-4 border-b border-gray-200 flex items-start justify-between">
+            <div>
+              <h1 className="text-xl font-bold text-gray-900">Messages</h1>
+              <p className="text-sm text-gray-600">{conversations.length} conversations</p>
+            </div>
+            <div className="flex items-center space-x-3">
+              <button
+                onClick={() => setShowSearch(true)}
+                className="text-sm text-gray-600 hover:text-gray-800"
+                title="Search messages"
+                aria-label="Search messages"
+              >
+                🔍
+              </button>
+              <button
+                onClick={() => setShowNewGroup(true)}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                + New group
+              </button>
+            </div>
           </div>
 
-          {/* Conversations List */}
+          {showSearch ? (
+            <MessageSearch
+              userId={user.id}
+              conversations={conversations}
+              onSelect={handleSearchSelect}
+              onClose={() => setShowSearch(false)}
+            />
+          ) : (
+          /* Conversations List */
           <div className="flex-1 overflow-y-auto">
             {conversations.length > 0 ? (
               conversations.map((conversation) => (
@@ -297,24 +553,14 @@ export default function MessagesPage() {
                   <div className="flex items-center space-x-3">
                     {/* Avatar */}
                     <div className="relative">
-                      {conversation.otherUser.avatar_url ? (
-                        <Image
-                          src={conversation.otherUser.avatar_url}
-                          alt={conversation.otherUser.full_name}
-                          width={48}
-                          height={48}
-                          className="rounded-full"
-                        />
-                      ) : (
-                        <div className="w-12 h-12 bg-gray-300 rounded-full flex items-center justify-center">
-                          <span className="text-gray-600 font-medium">
-                            {conversation.otherUser.full_name?.charAt(0) || '?'}
-                          </span>
-                        </div>
-                      )}
-                      {conversation.unreadCount > 0 && (
+                      <ConversationAvatar
+                        conversation={conversation}
+                        size={48}
+                        presence={conversation.is_group ? null : onlineStatuses[conversation.other_participant?.id]}
+                      />
+                      {conversation.unread_count > 0 && (
                         <div className="absolute -top-1 -right-1 bg-red-500 text-white text-xs rounded-full w-5 h-5 flex items-center justify-center">
-                          {conversation.unreadCount}
+                          {conversation.unread_count}
                         </div>
                       )}
                     </div>
@@ -323,19 +569,23 @@ export default function MessagesPage() {
                     <div className="flex-1 min-w-0">
                       <div className="flex justify-between items-start">
                         <h3 className="font-medium text-gray-900 truncate">
-                          {conversation.otherUser.full_name}
+                          {conversation.title}
                         </h3>
                         <span className="text-xs text-gray-500">
-                          {formatMessageTime(conversation.lastMessage.created_at)}
+                          {formatMessageTime(conversation.latest_message?.created_at || conversation.created_at)}
                         </span>
                       </div>
                       <div className="flex justify-between items-center">
                         <p className="text-sm text-gray-600 truncate">
-                          {conversation.lastMessage.sender_id === user.id ? 'You: ' : ''}
-                          {conversation.lastMessage.content}
+                          {conversation.latest_message ? (
+                            <>
+                              {senderPrefix(conversation, conversation.latest_message)}
+                              {conversation.latest_message.content || attachmentSummary(conversation.latest_message)}
+                            </>
+                          ) : 'No messages yet'}
                         </p>
                         <span className="text-xs text-gray-400 capitalize ml-2">
-                          {conversation.otherUser.role}
+                          {conversation.is_group ? 'Group' : conversation.other_participant?.role}
                         </span>
                       </div>
                     </div>
@@ -352,6 +602,7 @@ export default function MessagesPage() {
               </div>
             )}
           </div>
+          )}
         </div>
 
         {/* Messages Area */}
@@ -359,32 +610,36 @@ export default function MessagesPage() {
           {selectedConversation ? (
             <>
               {/* Chat Header */}
-              <div className="p-4 border-b border-gray-200 bg-gray-50">
+              <div className="p-4 border-b border-gray-200 bg-gray-50 flex items-center justify-between">
                 <div className="flex items-center space-x-3">
-                  {selectedConversation.otherUser.avatar_url ? (
-                    <Image
-                      src={selectedConversation.otherUser.avatar_url}
-                      alt={selectedConversation.otherUser.full_name}
-                      width={40}
-                      height={40}
-                      className="rounded-full"
-                    />
-                  ) : (
-                    <div className="w-10 h-10 bg-gray-300 rounded-full flex items-center justify-center">
-                      <span className="text-gray-600 font-medium">
-                        {selectedConversation.otherUser.full_name?.charAt(0) || '?'}
-                      </span>
-                    </div>
-                  )}
+                  <ConversationAvatar
+                    conversation={selectedConversation}
+                    size={40}
+                    presence={directContactStatus}
+                  />
                   <div>
                     <h2 className="font-medium text-gray-900">
-                      {selectedConversation.otherUser.full_name}
+                      {selectedConversation.title}
                     </h2>
-                    <p className="text-sm text-gray-600 capitalize">
-                      {selectedConversation.otherUser.role}
+                    <p className="text-sm text-gray-600">
+                      {selectedConversation.is_group ? (
+                        memberSummary(selectedConversation, user.id)
+                      ) : (
+                        <>
+                          <span className="capitalize">{selectedConversation.other_participant?.role}</span>
+                          {presenceLabel(directContactStatus, lastSeen[directContactId]) && (
+                            <span className="text-gray-500"> · {presenceLabel(directContactStatus, lastSeen[directContactId])}</span>
+                          )}
+                        </>
+                      )}
                     </p>
                   </div>
                 </div>
+                {selectedConversation.is_group && !selectedConversation.removed && (
+                  <button onClick={() => setShowMembers(true)} className="text-sm text-blue-600 hover:text-blue-800">
+                    Members
+                  </button>
+                )}
               </div>
 
               {/* Messages */}
@@ -394,23 +649,85 @@ export default function MessagesPage() {
               >
                 {messages.map((message) => {
                   const isOwnMessage = message.sender_id === user.id
+                  const canAct = !message.deleted && !selectedConversation.removed
+                  const canViewHistory = isOwnMessage || profile?.role === 'admin'
                   
                   return (
                     <div
                       key={message.id}
-                      className={`flex ${isOwnMessage ? 'justify-end' : 'justify-start'}`}
+                      id={`message-${message.id}`}
+                      className={`group flex items-center ${isOwnMessage ? 'justify-end' : 'justify-start'}`}
                     >
-                      <div className={`max-w-xs lg:max-w-md px-4 py-2 rounded-lg ${
-                        isOwnMessage
-                          ? 'bg-blue-600 text-white'
-                          : 'bg-gray-200 text-gray-900'
-                      }`}>
-                        <p className="text-sm">{message.content}</p>
-                        <p className={`text-xs mt-1 ${
-                          isOwnMessage ? 'text-blue-100' : 'text-gray-500'
+                      {canAct && (
+                        <div className={`relative hidden group-hover:flex items-center space-x-2 text-xs text-gray-500 mx-2 ${
+                          isOwnMessage ? 'order-first' : 'order-last'
                         }`}>
-                          {formatMessageTime(message.created_at)}
-                        </p>
+                          <button onClick={() => startReply(message)} className="hover:text-gray-800">Reply</button>
+                          <button onClick={() => setReactingTo(reactingTo === message.id ? null : message.id)} className="hover:text-gray-800">React</button>
+                          {canEditMessage(message, user.id) && (
+                            <button onClick={() => startEdit(message)} className="hover:text-gray-800">Edit</button>
+                          )}
+                          {isOwnMessage && (
+                            <button onClick={() => handleDelete(message)} className="hover:text-red-600">Delete</button>
+                          )}
+                        </div>
+                      )}
+                      <div className="max-w-xs lg:max-w-md">
+                        {reactingTo === message.id && (
+                          <div className="mb-1">
+                            <ReactionPicker message={message} onToggle={handleToggleReaction} onClose={() => setReactingTo(null)} />
+                          </div>
+                        )}
+                        <div className={`px-4 py-2 rounded-lg transition-shadow ${
+                          isOwnMessage
+                            ? 'bg-blue-600 text-white'
+                            : 'bg-gray-200 text-gray-900'
+                        } ${highlightedId === message.id ? 'ring-2 ring-yellow-400' : ''}`}>
+                          {selectedConversation.is_group && !isOwnMessage && (
+                            <p className="text-xs font-medium text-gray-600 mb-1">{message.sender?.full_name}</p>
+                          )}
+                          {message.reply_to_id && (
+                            <button
+                              type="button"
+                              onClick={() => jumpToMessage(message.reply_to_id)}
+                              className={`block w-full text-left text-xs border-l-2 pl-2 mb-1 ${
+                                isOwnMessage ? 'border-blue-200 text-blue-100' : 'border-gray-400 text-gray-600'
+                              }`}
+                            >
+                              {message.reply_to?.sender?.full_name && (
+                                <span className="font-medium">{message.reply_to.sender_id === user.id ? 'You' : message.reply_to.sender.full_name}: </span>
+                              )}
+                              {messageSnippet(message.reply_to)}
+                            </button>
+                          )}
+                          <MessageAttachments message={message} own={isOwnMessage} />
+                          {message.content && (
+                            <p className={`text-sm ${message.deleted ? 'italic opacity-75' : ''}`}>{message.content}</p>
+                          )}
+                          <p className={`text-xs mt-1 ${
+                            isOwnMessage ? 'text-blue-100' : 'text-gray-500'
+                          }`}>
+                            {formatMessageTime(message.created_at)}
+                            {isOwnMessage && !message.deleted && (
+                              <ReceiptTicks message={message} isGroup={selectedConversation.is_group} />
+                            )}
+                            {message.edited_at && !message.deleted && (
+                              canViewHistory ? (
+                                <button type="button" onClick={() => setHistoryFor(message)} className="ml-1 underline">(edited)</button>
+                              ) : (
+                                <span className="ml-1" title={`Edited ${new Date(message.edited_at).toLocaleString()}`}>(edited)</span>
+                              )
+                            )}
+                          </p>
+                        </div>
+                        <div className={`flex ${isOwnMessage ? 'justify-end' : 'justify-start'}`}>
+                          <MessageReactions
+                            message={message}
+                            userId={user.id}
+                            onToggle={handleToggleReaction}
+                            disabled={selectedConversation.removed}
+                          />
+                        </div>
                       </div>
                     </div>
                   )
@@ -418,30 +735,84 @@ export default function MessagesPage() {
                 <div ref={messagesEndRef} />
               </div>
 
+              {typingUsers.length > 0 && (
+                <p className="px-4 pb-1 text-xs text-gray-500 italic">
+                  {typingLabel(typingUsers.map(typer => typer.name?.split(' ')[0] || 'Someone'))}
+                </p>
+              )}
+
               {/* Message Input */}
-              <div className="p-4 border-t border-gray-200">
-                <form onSubmit={sendMessage} className="flex space-x-3">
-                  <input
-                    type="text"
-                    value={newMessage}
-                    onChange={(e) => setNewMessage(e.target.value)}
-                    placeholder="Type a message..."
-                    className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                    disabled={sendingMessage}
-                  />
-                  <button
-                    type="submit"
-                    disabled={!newMessage.trim() || sendingMessage}
-                    className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                  >
-                    {sendingMessage ? (
-                      <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                    ) : (
-                      'Send'
-                    )}
-                  </button>
-                </form>
-              </div>
+              {selectedConversation.removed ? (
+                <div className="p-4 border-t border-gray-200 text-sm text-gray-500 text-center">
+                  You are no longer a member of this group. Earlier messages stay visible to you.
+                </div>
+              ) : (
+                <div className="p-4 border-t border-gray-200">
+                  {(replyTo || editing) && (
+                    <div className="flex items-center justify-between mb-2 px-3 py-2 bg-gray-50 border-l-2 border-blue-500 rounded text-sm">
+                      <p className="text-gray-600 truncate">
+                        {editing ? (
+                          'Editing message'
+                        ) : (
+                          <>
+                            Replying to <span className="font-medium">{replyTo.sender_id === user.id ? 'yourself' : replyTo.sender?.full_name}</span>: {messageSnippet(replyTo)}
+                          </>
+                        )}
+                      </p>
+                      <button
+                        type="button"
+                        onClick={() => editing ? cancelEdit() : setReplyTo(null)}
+                        className="ml-2 text-gray-400 hover:text-gray-600"
+                        aria-label="Cancel"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  )}
+                  <PendingAttachments attachments={attachments} uploading={uploading} onRemove={removeAttachment} />
+                  <form onSubmit={sendMessage} className="flex space-x-3">
+                    <input
+                      ref={fileInputRef}
+                      type="file"
+                      multiple
+                      accept={ATTACHMENT_ACCEPT}
+                      onChange={handleFilesSelected}
+                      className="hidden"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => fileInputRef.current?.click()}
+                      disabled={sendingMessage || !!editing || attachments.length + uploading >= MAX_ATTACHMENTS_PER_MESSAGE}
+                      className="px-3 py-2 border border-gray-300 rounded-lg text-gray-600 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                      title="Attach files"
+                      aria-label="Attach files"
+                    >
+                      📎
+                    </button>
+                    <input
+                      type="text"
+                      value={newMessage}
+                      onChange={handleMessageChange}
+                      onBlur={() => sendTyping(false)}
+                      onKeyDown={(e) => { if (e.key === 'Escape' && editing) cancelEdit() }}
+                      placeholder={editing ? 'Edit your message...' : 'Type a message...'}
+                      className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      disabled={sendingMessage}
+                    />
+                    <button
+                      type="submit"
+                      disabled={editing
+                        ? (!newMessage.trim() && !editing.metadata?.attachments?.length) || sendingMessage
+                        : (!newMessage.trim() && attachments.length === 0) || sendingMessage || uploading > 0}
+                      className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      {sendingMessage ? (
+                        <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                      ) : editing ? 'Save' : 'Send'}
+                    </button>
+                  </form>
+                </div>
+              )}
             </>
           ) : (
             /* No Conversation Selected */
@@ -457,6 +828,24 @@ export default function MessagesPage() {
           )}
         </div>
       </div>
+
+      {showNewGroup && (
+        <NewGroupConversation userId={user.id} onCreated={handleGroupCreated} onClose={() => setShowNewGroup(false)} />
+      )}
+
+      {historyFor && (
+        <MessageEditHistory message={historyFor} onClose={() => setHistoryFor(null)} />
+      )}
+
+      {showMembers && selectedConversation?.is_group && (
+        <ConversationMembers
+          conversation={selectedConversation}
+          userId={user.id}
+          onChange={handleConversationChanged}
+          onLeft={handleLeftGroup}
+          onClose={() => setShowMembers(false)}
+        />
+      )}
     </div>
   )
 }
\ No newline at end of file
@@ -9,7 +9,7 @@ import StartupProfileManager from '@/components/StartupProfileManager'
 import { toast } from 'react-hot-toast'
 
 export default function EditProfilePage() {
-  const { user, loading: authLoading } = useAuth()
+  const { user, loading: authLoading, fetchUserProfile } = useAuth()
   const router = useRouter()
   const [profile, setProfile] = useState(null)
   const [loading, setLoading] = useState(true)
@@ -17,7 +17,9 @@ export default function EditProfilePage() {
   const [formData, setFormData] = useState({
     full_name: '',
     bio: '',
-    location: ''
+    location: '',
+    show_read_receipts: true,
+    show_presence: true
   })
   const [avatarFile, setAvatarFile] = useState(null)
   // Mentor-specific state
@@ -78,7 +80,9 @@ export default function EditProfilePage() {
       setFormData({
         full_name: data.full_name || '',
         bio: data.bio || '',
-        location: data.location || ''
+        location: data.location || '',
+        show_read_receipts: data.show_read_receipts !== false,
+        show_presence: data.show_presence !== false
       })
 
       // If mentor, also load mentor profile
@@ -180,6 +184,8 @@ export default function EditProfilePage() {
           full_name: formData.full_name,
           bio: formData.bio,
           location: formData.location,
+          show_read_receipts: formData.show_read_receipts,
+          show_presence: formData.show_presence,
           avatar_url
         })
         .eq('id', user.id)
@@ -291,6 +297,9 @@ export default function EditProfilePage() {
         }
       }
 
+      // Keep the shared profile in sync, e.g. the messaging privacy settings
+      await fetchUserProfile(user.id)
+
       toast.success('Profile updated successfully!')
       router.push('/profiles')
     } catch (error) {
@@ -492,6 +501,36 @@ export default function EditProfilePage() {
             />
           </div>
 
+          <div className="pt-2 border-t border-gray-200">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">Messaging Privacy</h2>
+            <div className="space-y-3">
+              <label className="flex items-start space-x-2">
+                <input
+                  type="checkbox"
+                  checked={formData.show_read_receipts}
+                  onChange={(e) => setFormData(prev => ({ ...prev, show_read_receipts: e.target.checked }))}
+                  className="rounded mt-1"
+                />
+                <span>
+                  <span className="block text-sm font-medium text-gray-700">Send read receipts</span>
+                  <span className="block text-sm text-gray-500">When off, people see that their messages were delivered but not when you read them.</span>
+                </span>
+              </label>
+              <label className="flex items-start space-x-2">
+                <input
+                  type="checkbox"
+                  checked={formData.show_presence}
+                  onChange={(e) => setFormData(prev => ({ ...prev, show_presence: e.target.checked }))}
+                  className="rounded mt-1"
+                />
+                <span>
+                  <span className="block text-sm font-medium text-gray-700">Show when I&apos;m online</span>
+                  <span className="block text-sm text-gray-500">When off, nobody sees whether you are online, when you were last seen or when you are typing.</span>
+                </span>
+              </label>
+            </div>
+          </div>
+
           {/* Role-specific profile sections */}
           {profile?.role === 'mentor' && (
             <div className="pt-2 border-t border-gray-200">
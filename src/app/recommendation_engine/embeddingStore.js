@@ -0,0 +1,293 @@
+/*
+  Embedding store for the recommendation engine
+  - Loads the platform-wide relationship graph (mentorships, investment interest, event co-attendance)
+  - Persists trained Node2Vec embeddings with the model version and graph fingerprint they came from
+  - Serves embeddings from storage and only retrains once the graph has drifted past a threshold
+*/
+
+import { supabase, supabaseAdmin } from '@/lib/supabase'
+import graphRecommendation from './graphRecommendation'
+
+// graphRecommendation.js is CommonJS so it can also be run directly with node
+const {
+  MODEL_VERSION,
+  buildGraph,
+  trainNode2Vec,
+  getEdgeKeys,
+  computeGraphFingerprint,
+  graphChangeRatio,
+} = graphRecommendation
+
+/** Retrain when more than this fraction of edges changed since the stored model */
+export const RETRAIN_CHANGE_THRESHOLD = 0.1
+
+/** How long an in-memory model is trusted before the graph is re-checked for drift */
+const DRIFT_CHECK_INTERVAL = 5 * 60 * 1000 // 5 minutes
+
+/** Events with more confirmed attendees than this are skipped for co-attendance edges (n² edges) */
+const MAX_EVENT_COHORT = 200
+
+/** Rows per insert when persisting embeddings */
+const EMBEDDING_BATCH_SIZE = 500
+
+/** Rows per read; PostgREST caps unpaged responses at its max-rows setting (1000 by default) */
+const READ_PAGE_SIZE = 1000
+
+// Writes need to bypass RLS; fall back to the anon client when no service key is configured
+const writer = supabaseAdmin || supabase
+
+// In-process cache of the active model so most requests skip the database entirely
+let memory = null // { model, embeddings, relationships, checkedAt }
+let trainingPromise = null
+
+/**
+ * Read every row of a query a page at a time
+ * @param {Function} buildQuery - Returns a fresh, consistently ordered query for each page
+ * @returns {Promise<Object[]>}
+ */
+async function fetchAllRows(buildQuery) {
+  const rows = []
+  for (let from = 0; ; from += READ_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + READ_PAGE_SIZE - 1)
+    if (error) throw error
+    rows.push(...(data || []))
+    if (!data || data.length < READ_PAGE_SIZE) return rows
+  }
+}
+
+/**
+ * Load every relationship edge used to build the recommendation graph
+ * @returns {Promise<Array<{sourceId:string,targetId:string,type:string}>>}
+ */
+export async function loadRelationships() {
+  const [mentorships, investments, registrations] = await Promise.all([
+    // Mentorship accepted → strong ties
+    fetchAllRows(() => supabase
+      .from('mentorship_requests')
+      .select('startup_id, mentor_id')
+      .eq('status', 'accepted')
+      .order('id')),
+
+    // Investment interest (pending/accepted) → medium ties
+    fetchAllRows(() => supabase
+      .from('investment_requests')
+      .select('startup_id, investor_id, status')
+      .in('status', ['pending', 'accepted'])
+      .order('id')),
+
+    // Event co-attendance → weak ties
+    fetchAllRows(() => supabase
+      .from('event_registrations')
+      .select('event_id, user_id')
+      .eq('status', 'confirmed')
+      .order('id'))
+  ])
+
+  const relationships = []
+
+  mentorships.forEach((row) => {
+    if (row.startup_id && row.mentor_id) {
+      relationships.push({ sourceId: row.startup_id, targetId: row.mentor_id, type: 'mentorship_completed' })
+    }
+  })
+
+  investments.forEach((row) => {
+    if (row.startup_id && row.investor_id) {
+      // status lets explanations leave out pending requests (see explainableRelationships)
+      relationships.push({ sourceId: row.startup_id, targetId: row.investor_id, type: 'investment_interest', status: row.status })
+    }
+  })
+
+  const attendeesByEvent = new Map()
+  registrations.forEach((row) => {
+    if (!row.event_id || !row.user_id) return
+    if (!attendeesByEvent.has(row.event_id)) attendeesByEvent.set(row.event_id, [])
+    attendeesByEvent.get(row.event_id).push(row.user_id)
+  })
+  attendeesByEvent.forEach((attendees) => {
+    if (attendees.length > MAX_EVENT_COHORT) return
+    for (let i = 0; i < attendees.length; i++) {
+      for (let j = i + 1; j < attendees.length; j++) {
+        relationships.push({ sourceId: attendees[i], targetId: attendees[j], type: 'event_participation' })
+      }
+    }
+  })
+
+  return relationships
+}
+
+/** Latest fully written model, or null when nothing has been trained yet */
+async function getActiveModel() {
+  const { data, error } = await supabase
+    .from('recommendation_models')
+    .select('id, model_version, graph_fingerprint, edge_keys, node_count, edge_count, trigger, trained_at')
+    .eq('is_ready', true)
+    .order('trained_at', { ascending: false })
+    .limit(1)
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+async function loadModelEmbeddings(modelId) {
+  const rows = await fetchAllRows(() => supabase
+    .from('recommendation_embeddings')
+    .select('node_id, vector')
+    .eq('model_id', modelId)
+    .order('node_id'))
+
+  const embeddings = {}
+  rows.forEach((row) => {
+    embeddings[row.node_id] = row.vector
+  })
+  return embeddings
+}
+
+async function persistModel({ fingerprint, edgeKeys, embeddings, trigger }) {
+  const nodeIds = Object.keys(embeddings)
+
+  const { data: model, error } = await writer
+    .from('recommendation_models')
+    .insert({
+      model_version: MODEL_VERSION,
+      graph_fingerprint: fingerprint,
+      edge_keys: edgeKeys,
+      node_count: nodeIds.length,
+      edge_count: edgeKeys.length,
+      trigger
+    })
+    .select('id, model_version, graph_fingerprint, edge_keys, node_count, edge_count, trigger, trained_at')
+    .single()
+
+  if (error) throw error
+
+  for (let i = 0; i < nodeIds.length; i += EMBEDDING_BATCH_SIZE) {
+    const rows = nodeIds.slice(i, i + EMBEDDING_BATCH_SIZE).map((nodeId) => ({
+      model_id: model.id,
+      node_id: nodeId,
+      vector: embeddings[nodeId]
+    }))
+    const { error: insertError } = await writer.from('recommendation_embeddings').insert(rows)
+    if (insertError) throw insertError
+  }
+
+  const { error: readyError } = await writer
+    .from('recommendation_models')
+    .update({ is_ready: true })
+    .eq('id', model.id)
+
+  if (readyError) throw readyError
+
+  return model
+}
+
+async function train(relationships, edgeKeys, fingerprint, trigger) {
+  const graph = buildGraph(relationships)
+  const embeddings = await trainNode2Vec(graph)
+
+  let model
+  try {
+    model = await persistModel({ fingerprint, edgeKeys, embeddings, trigger })
+  } catch (error) {
+    // Still serve the freshly trained vectors; they will be persisted on the next retrain
+    console.error('Error persisting recommendation embeddings:', error)
+    model = {
+      id: null,
+      model_version: MODEL_VERSION,
+      graph_fingerprint: fingerprint,
+      edge_keys: edgeKeys,
+      node_count: Object.keys(embeddings).length,
+      edge_count: edgeKeys.length,
+      trigger,
+      trained_at: new Date().toISOString()
+    }
+  }
+
+  return { model, embeddings }
+}
+
+/**
+ * Get embeddings for the current relationship graph, retraining only when needed
+ * @param {Object} options
+ * @param {boolean} options.forceRebuild - Retrain even if the stored model is fresh
+ * @returns {Promise<{embeddings: Object<string, number[]>, relationships: Array, model: Object, retrained: boolean, changeRatio: number}>}
+ */
+export async function getEmbeddings({ forceRebuild = false } = {}) {
+  if (!forceRebuild && memory && Date.now() - memory.checkedAt < DRIFT_CHECK_INTERVAL) {
+    const { embeddings, relationships, model } = memory
+    return { embeddings, relationships, model, retrained: false, changeRatio: 0 }
+  }
+
+  // Concurrent requests share one training run
+  if (trainingPromise) return trainingPromise
+
+  trainingPromise = (async () => {
+    const relationships = await loadRelationships()
+    const edgeKeys = getEdgeKeys(relationships)
+    const fingerprint = computeGraphFingerprint(edgeKeys)
+
+    const activeModel = await getActiveModel()
+    const changeRatio = activeModel ? graphChangeRatio(activeModel.edge_keys, edgeKeys) : 1
+    const reusable = activeModel &&
+      activeModel.model_version === MODEL_VERSION &&
+      (activeModel.graph_fingerprint === fingerprint || changeRatio <= RETRAIN_CHANGE_THRESHOLD)
+
+    if (!forceRebuild && reusable) {
+      const embeddings = memory?.model?.id === activeModel.id
+        ? memory.embeddings
+        : await loadModelEmbeddings(activeModel.id)
+
+      if (Object.keys(embeddings).length > 0 || edgeKeys.length === 0) {
+        memory = { model: activeModel, embeddings, relationships, checkedAt: Date.now() }
+        return { embeddings, relationships, model: activeModel, retrained: false, changeRatio }
+      }
+    }
+
+    const trigger = forceRebuild ? 'forced' : activeModel ? 'auto' : 'initial'
+    const { model, embeddings } = await train(relationships, edgeKeys, fingerprint, trigger)
+    memory = { model, embeddings, relationships, checkedAt: Date.now() }
+    return { embeddings, relationships, model, retrained: true, changeRatio }
+  })()
+
+  try {
+    return await trainingPromise
+  } finally {
+    trainingPromise = null
+  }
+}
+
+/**
+ * Report how fresh the stored embeddings are compared to the live relationship graph
+ * @returns {Promise<Object>} Freshness report
+ */
+export async function getEmbeddingFreshness() {
+  const [relationships, activeModel] = await Promise.all([
+    loadRelationships(),
+    getActiveModel()
+  ])
+
+  const edgeKeys = getEdgeKeys(relationships)
+  const fingerprint = computeGraphFingerprint(edgeKeys)
+  const changeRatio = activeModel ? graphChangeRatio(activeModel.edge_keys, edgeKeys) : 1
+  const versionMatches = activeModel?.model_version === MODEL_VERSION
+
+  return {
+    modelId: activeModel?.id || null,
+    modelVersion: activeModel?.model_version || null,
+    currentModelVersion: MODEL_VERSION,
+    trainedAt: activeModel?.trained_at || null,
+    ageSeconds: activeModel ? Math.floor((Date.now() - new Date(activeModel.trained_at)) / 1000) : null,
+    trigger: activeModel?.trigger || null,
+    nodeCount: activeModel?.node_count || 0,
+    edgeCount: activeModel?.edge_count || 0,
+    storedFingerprint: activeModel?.graph_fingerprint || null,
+    currentFingerprint: fingerprint,
+    currentEdgeCount: edgeKeys.length,
+    changeRatio,
+    threshold: RETRAIN_CHANGE_THRESHOLD,
+    upToDate: !!activeModel && versionMatches && activeModel.graph_fingerprint === fingerprint,
+    needsRetrain: !activeModel || !versionMatches || changeRatio > RETRAIN_CHANGE_THRESHOLD,
+    servedFromMemory: !!memory && memory.model?.id === activeModel?.id
+  }
+}
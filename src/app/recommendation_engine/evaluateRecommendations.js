@@ -0,0 +1,341 @@
+/*
+  Offline evaluation harness for the recommendation engine
+  - Holds out a share of accepted mentorship / investment edges from a relationship snapshot
+  - Trains on the remaining graph and checks whether each strategy recovers the held-out ties
+  - Reports precision@K, recall@K, NDCG@K and catalog coverage for the graph, content and fallback strategies
+  - Runs fully offline against fixture data:
+      node src/app/recommendation_engine/evaluateRecommendations.js --k 5 --holdout 0.2
+*/
+
+const path = require('path')
+const fs = require('fs')
+const { DEFAULT_WEIGHTS, buildGraph, trainNode2Vec, getRecommendations } = require('./graphRecommendation')
+const { DEFAULT_HYBRID_WEIGHTS, toProfileFeatures, rankHybrid } = require('./hybridRecommendation')
+const {
+  createRandom,
+  parseSeedSql,
+  snapshotFromSeedTables,
+  generateSyntheticSnapshot,
+  mergeSnapshots,
+  snapshotToRelationships,
+} = require('./evaluationFixtures')
+
+/**
+ * @typedef {'graph'|'content'|'fallback'} StrategyName
+ * graph:    embedding similarity only (users without an embedding get no recommendations)
+ * content:  profile feature similarity only
+ * fallback: the production hybrid — graph blended with content, content alone on cold start
+ */
+
+/**
+ * @typedef {Object} StrategyMetrics
+ * @property {number} precision mean precision@K over evaluated users
+ * @property {number} recall    mean recall@K over evaluated users
+ * @property {number} ndcg      mean NDCG@K over evaluated users
+ * @property {number} coverage  share of candidate profiles recommended to at least one user
+ * @property {number} usersWithResults users that got at least one recommendation
+ */
+
+const STRATEGIES = ['graph', 'content', 'fallback']
+
+const DEFAULT_SEED_SQL = path.join(__dirname, '..', '..', '..', 'sql', 'demo_data_seed.sql')
+
+/** Roles recommended to each role, as in /api/recommendations. */
+const TARGET_ROLES = {
+  startup: ['mentor', 'investor'],
+  mentor: ['startup'],
+  investor: ['startup'],
+}
+
+/** Precision@K: share of the top K recommendations that are relevant. */
+/**
+ * @param {string[]} recommended ranked ids
+ * @param {Set<string>} relevant
+ * @param {number} k
+ */
+function precisionAtK(recommended, relevant, k) {
+  if (k <= 0) return 0
+  return recommended.slice(0, k).filter((id) => relevant.has(id)).length / k
+}
+
+/** Recall@K: share of the relevant items found in the top K. */
+/**
+ * @param {string[]} recommended ranked ids
+ * @param {Set<string>} relevant
+ * @param {number} k
+ */
+function recallAtK(recommended, relevant, k) {
+  if (relevant.size === 0) return 0
+  return recommended.slice(0, k).filter((id) => relevant.has(id)).length / relevant.size
+}
+
+/** NDCG@K with binary relevance. */
+/**
+ * @param {string[]} recommended ranked ids
+ * @param {Set<string>} relevant
+ * @param {number} k
+ */
+function ndcgAtK(recommended, relevant, k) {
+  let dcg = 0
+  recommended.slice(0, k).forEach((id, i) => {
+    if (relevant.has(id)) dcg += 1 / Math.log2(i + 2)
+  })
+  let idcg = 0
+  for (let i = 0; i < Math.min(relevant.size, k); i++) idcg += 1 / Math.log2(i + 2)
+  return idcg > 0 ? dcg / idcg : 0
+}
+
+/** Catalog coverage: share of the candidate catalog that appears in at least one list. */
+/**
+ * @param {string[][]} lists
+ * @param {number} catalogSize
+ */
+function catalogCoverage(lists, catalogSize) {
+  if (catalogSize <= 0) return 0
+  return new Set(lists.flat()).size / catalogSize
+}
+
+/**
+ * Hold out a share of the accepted mentorship / investment edges.
+ * Held-out edges are removed from the training snapshot and become the ground truth for both endpoints.
+ */
+/**
+ * @param {import('./evaluationFixtures').Snapshot} snapshot
+ * @param {{holdoutRatio?:number, seed?:number}=} options
+ * @returns {{train: import('./evaluationFixtures').Snapshot, heldOut: Map<string, Set<string>>, heldOutEdges: number}}
+ */
+function splitHoldout(snapshot, options = {}) {
+  const { holdoutRatio = 0.2, seed = 42 } = options
+  const random = createRandom(seed)
+  const heldOut = new Map()
+  let heldOutEdges = 0
+
+  const addTruth = (a, b) => {
+    if (!heldOut.has(a)) heldOut.set(a, new Set())
+    heldOut.get(a).add(b)
+  }
+
+  const split = (edges, sourceKey, targetKey) => edges.filter((edge) => {
+    if (edge.status !== 'accepted' || random() >= holdoutRatio) return true
+    addTruth(edge[sourceKey], edge[targetKey])
+    addTruth(edge[targetKey], edge[sourceKey])
+    heldOutEdges++
+    return false
+  })
+
+  return {
+    train: {
+      ...snapshot,
+      mentorships: split(snapshot.mentorships, 'startupId', 'mentorId'),
+      investments: split(snapshot.investments, 'startupId', 'investorId'),
+    },
+    heldOut,
+    heldOutEdges,
+  }
+}
+
+/** Internal helper: partners a user already has in the training data (never worth recommending). */
+function knownPartners(train) {
+  const known = new Map()
+  const add = (a, b) => {
+    if (!known.has(a)) known.set(a, new Set())
+    known.get(a).add(b)
+  }
+  train.mentorships.forEach((m) => { add(m.startupId, m.mentorId); add(m.mentorId, m.startupId) })
+  train.investments.forEach((i) => { add(i.startupId, i.investorId); add(i.investorId, i.startupId) })
+  return known
+}
+
+/**
+ * Evaluate every strategy on a snapshot.
+ */
+/**
+ * @param {import('./evaluationFixtures').Snapshot} snapshot
+ * @param {Object=} options
+ * @param {number=} options.k                   list length (default 5)
+ * @param {number=} options.holdoutRatio        share of accepted edges held out (default 0.2)
+ * @param {number=} options.seed                seed for the hold-out split (default 42)
+ * @param {Object<string,number>=} options.relationshipWeights overrides for DEFAULT_WEIGHTS
+ * @param {Object=} options.node2vecOptions     overrides for NODE2VEC_OPTIONS
+ * @param {Object=} options.hybridWeights       overrides for DEFAULT_HYBRID_WEIGHTS
+ * @param {Object<string,number>=} options.featureWeights overrides for DEFAULT_FEATURE_WEIGHTS
+ * @returns {Promise<Object>} report with per-strategy metrics
+ */
+async function evaluateStrategies(snapshot, options = {}) {
+  const {
+    k = 5,
+    holdoutRatio = 0.2,
+    seed = 42,
+    relationshipWeights = {},
+    node2vecOptions = {},
+    hybridWeights = {},
+    featureWeights,
+  } = options
+
+  const { train, heldOut, heldOutEdges } = splitHoldout(snapshot, { holdoutRatio, seed })
+  const weights = { ...DEFAULT_WEIGHTS, ...relationshipWeights }
+  const relationships = snapshotToRelationships(train).map((rel) => ({ ...rel, weight: weights[rel.type] }))
+  const embeddings = relationships.length ? await trainNode2Vec(buildGraph(relationships), node2vecOptions) : {}
+
+  const profiles = snapshot.profiles.map((p) => ({ ...p, features: toProfileFeatures(p.role, p.roleProfile, p) }))
+  const profileById = new Map(profiles.map((p) => [p.id, p]))
+  const known = knownPartners(train)
+
+  const lists = Object.fromEntries(STRATEGIES.map((s) => [s, []]))
+  const totals = Object.fromEntries(STRATEGIES.map((s) => [s, { precision: 0, recall: 0, ndcg: 0, usersWithResults: 0 }]))
+  const catalog = new Set()
+  let users = 0
+
+  for (const [userId, relevant] of heldOut) {
+    const user = profileById.get(userId)
+    if (!user || !TARGET_ROLES[user.role]) continue
+    users++
+
+    const exclude = known.get(userId) || new Set()
+    const candidates = profiles.filter((p) =>
+      p.id !== userId && TARGET_ROLES[user.role].includes(p.role) && !exclude.has(p.id)
+    )
+    candidates.forEach((c) => catalog.add(c.id))
+    const candidateIds = new Set(candidates.map((c) => c.id))
+
+    const ranked = {
+      graph: getRecommendations(userId, k, embeddings, null, (id) => candidateIds.has(id)),
+      content: rankHybrid(userId, user.features, candidates, {}, { topK: k, featureWeights }).map((r) => r.id),
+      fallback: rankHybrid(userId, user.features, candidates, embeddings, {
+        topK: k,
+        weights: { ...DEFAULT_HYBRID_WEIGHTS, ...hybridWeights },
+        featureWeights,
+      }).map((r) => r.id),
+    }
+
+    STRATEGIES.forEach((strategy) => {
+      const list = ranked[strategy]
+      lists[strategy].push(list)
+      totals[strategy].precision += precisionAtK(list, relevant, k)
+      totals[strategy].recall += recallAtK(list, relevant, k)
+      totals[strategy].ndcg += ndcgAtK(list, relevant, k)
+      if (list.length) totals[strategy].usersWithResults++
+    })
+  }
+
+  const strategies = {}
+  STRATEGIES.forEach((strategy) => {
+    const t = totals[strategy]
+    strategies[strategy] = {
+      precision: users ? t.precision / users : 0,
+      recall: users ? t.recall / users : 0,
+      ndcg: users ? t.ndcg / users : 0,
+      coverage: catalogCoverage(lists[strategy], catalog.size),
+      usersWithResults: t.usersWithResults,
+    }
+  })
+
+  return {
+    k,
+    holdoutRatio,
+    seed,
+    profiles: profiles.length,
+    trainingEdges: relationships.length,
+    heldOutEdges,
+    users,
+    strategies,
+  }
+}
+
+/**
+ * Load the default fixture: the demo seed plus a synthetic network of the same shape.
+ */
+/**
+ * @param {{seedSqlPath?:string|null, synthetic?:boolean|Object}=} options
+ * @returns {import('./evaluationFixtures').Snapshot}
+ */
+function loadFixtureSnapshot(options = {}) {
+  const { seedSqlPath = DEFAULT_SEED_SQL, synthetic = true } = options
+  const parts = []
+  if (seedSqlPath) parts.push(snapshotFromSeedTables(parseSeedSql(fs.readFileSync(seedSqlPath, 'utf8'))))
+  if (synthetic) parts.push(generateSyntheticSnapshot(typeof synthetic === 'object' ? synthetic : {}))
+  return mergeSnapshots(...parts)
+}
+
+/** Format a report as a plain-text table. */
+/**
+ * @param {Object} report output of evaluateStrategies
+ * @returns {string}
+ */
+function formatReport(report) {
+  const pct = (v) => `${(v * 100).toFixed(1)}%`.padStart(10)
+  const lines = [
+    `Profiles: ${report.profiles}  training edges: ${report.trainingEdges}  held-out edges: ${report.heldOutEdges}  evaluated users: ${report.users}`,
+    `K=${report.k}  holdout=${report.holdoutRatio}  seed=${report.seed}`,
+    '',
+    `${'strategy'.padEnd(10)}${'P@K'.padStart(10)}${'R@K'.padStart(10)}${'NDCG@K'.padStart(10)}${'coverage'.padStart(10)}${'served'.padStart(10)}`,
+  ]
+  for (const [name, m] of Object.entries(report.strategies)) {
+    lines.push(`${name.padEnd(10)}${pct(m.precision)}${pct(m.recall)}${pct(m.ndcg)}${pct(m.coverage)}${String(m.usersWithResults).padStart(10)}`)
+  }
+  return lines.join('\n')
+}
+
+/** Internal helper: minimal --flag value parser for the CLI. */
+function parseArgs(argv) {
+  const args = {}
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue
+    const key = argv[i].slice(2)
+    const next = argv[i + 1]
+    if (next === undefined || next.startsWith('--')) args[key] = true
+    else { args[key] = next; i++ }
+  }
+  return args
+}
+
+// CLI: `node src/app/recommendation_engine/evaluateRecommendations.js [options]`
+//   --k 5                       list length
+//   --holdout 0.2               share of accepted edges held out
+//   --seed 42                   hold-out split seed
+//   --fixture snapshot.json     evaluate a JSON Snapshot instead of the default fixture
+//   --sql path/to/seed.sql      seed file to parse (default sql/demo_data_seed.sql)
+//   --no-synthetic              only use the seed file
+//   --weights '{"event_participation":0.5}'   relationship weight overrides
+//   --node2vec '{"walkLength":20}'            Node2Vec parameter overrides
+//   --hybrid '{"graph":0.5,"content":0.5}'    graph/content blend overrides
+//   --json                      print the report as JSON
+if (typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  ;(async () => {
+    const args = parseArgs(process.argv.slice(2))
+    const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : {})
+
+    const snapshot = args.fixture
+      ? JSON.parse(fs.readFileSync(path.resolve(args.fixture), 'utf8'))
+      : loadFixtureSnapshot({
+          seedSqlPath: typeof args.sql === 'string' ? path.resolve(args.sql) : DEFAULT_SEED_SQL,
+          synthetic: !args['no-synthetic'],
+        })
+
+    const report = await evaluateStrategies(snapshot, {
+      k: args.k ? Number(args.k) : undefined,
+      holdoutRatio: args.holdout ? Number(args.holdout) : undefined,
+      seed: args.seed ? Number(args.seed) : undefined,
+      relationshipWeights: parseJson(args.weights),
+      node2vecOptions: parseJson(args.node2vec),
+      hybridWeights: parseJson(args.hybrid),
+    })
+
+    console.log(args.json ? JSON.stringify(report, null, 2) : formatReport(report))
+  })().catch((e) => {
+    console.error(e)
+    process.exit(1)
+  })
+}
+
+module.exports = {
+  STRATEGIES,
+  precisionAtK,
+  recallAtK,
+  ndcgAtK,
+  catalogCoverage,
+  splitHoldout,
+  evaluateStrategies,
+  loadFixtureSnapshot,
+  formatReport,
+}
@@ -0,0 +1,380 @@
+/*
+  Fixture snapshots for offline evaluation of the recommendation engine
+  - Parses seed files in the format of sql/demo_data_seed.sql into a relationship snapshot
+  - Generates a larger deterministic synthetic network with the same shape (sector communities)
+  - Converts snapshots to RelationshipData the same way embeddingStore.loadRelationships does
+*/
+
+/**
+ * @typedef {Object} SnapshotProfile
+ * @property {string} id
+ * @property {'startup'|'mentor'|'investor'} role
+ * @property {string=} full_name
+ * @property {string=} location
+ * @property {Object} roleProfile startup_profiles / mentor_profiles / investor_profiles row
+ */
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {SnapshotProfile[]} profiles
+ * @property {Array<{startupId:string, mentorId:string, status:string}>} mentorships
+ * @property {Array<{startupId:string, investorId:string, status:string}>} investments
+ * @property {Array<{eventId:string, userId:string, status:string}>} registrations
+ */
+
+/** Registration statuses that count as attending (seed data uses 'registered', the app 'confirmed'). */
+const ATTENDING_STATUSES = ['confirmed', 'registered', 'attended']
+
+/** Same cap as embeddingStore: larger events are skipped for co-attendance edges. */
+const MAX_EVENT_COHORT = 200
+
+/** Seeded PRNG (mulberry32) so fixtures and hold-out splits are reproducible. */
+/**
+ * @param {number} seed
+ * @returns {() => number} uniform in [0, 1)
+ */
+function createRandom(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/** Internal helper: split a SQL list on top-level commas (outside quotes, parentheses and brackets). */
+function splitTopLevel(text) {
+  const parts = []
+  let depth = 0
+  let quoted = false
+  let current = ''
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]
+    if (quoted) {
+      current += ch
+      if (ch === '\\') {
+        current += text[++i] ?? ''
+      } else if (ch === "'") {
+        if (text[i + 1] === "'") current += text[++i]
+        else quoted = false
+      }
+      continue
+    }
+    if (ch === "'") quoted = true
+    else if (ch === '(' || ch === '[') depth++
+    else if (ch === ')' || ch === ']') depth--
+    if (ch === ',' && depth === 0) {
+      parts.push(current.trim())
+      current = ''
+    } else {
+      current += ch
+    }
+  }
+  if (current.trim()) parts.push(current.trim())
+  return parts
+}
+
+/** Internal helper: SQL literal → JS value. Expressions such as NOW() - INTERVAL '1 week' become null. */
+function parseSqlValue(token) {
+  const t = token.trim()
+  if (/^null$/i.test(t)) return null
+  if (/^true$/i.test(t)) return true
+  if (/^false$/i.test(t)) return false
+  if (/^-?\d+(\.\d+)?$/.test(t)) return Number(t)
+  if (/^ARRAY\[/i.test(t) && t.endsWith(']')) {
+    return splitTopLevel(t.slice(t.indexOf('[') + 1, -1)).map(parseSqlValue)
+  }
+  const literal = t.match(/^'((?:[^'\\]|\\.|'')*)'(::[\w\s[\]]+)?$/s)
+  if (literal) return literal[1].replace(/''/g, "'").replace(/\\(.)/g, '$1')
+  return null
+}
+
+/** Internal helper: index of the parenthesis closing the one at `start`. */
+function findClosingParen(text, start) {
+  let depth = 0
+  let quoted = false
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i]
+    if (quoted) {
+      if (ch === '\\') i++
+      else if (ch === "'") {
+        if (text[i + 1] === "'") i++
+        else quoted = false
+      }
+      continue
+    }
+    if (ch === "'") quoted = true
+    else if (ch === '(') depth++
+    else if (ch === ')' && --depth === 0) return i
+  }
+  return -1
+}
+
+/**
+ * Parse the INSERT statements of a seed file into rows per table.
+ * Supports the subset of SQL used by sql/demo_data_seed.sql (literals, ARRAY[...], multi-row VALUES).
+ */
+/**
+ * @param {string} sqlText
+ * @returns {Object<string, Object[]>} table name → rows
+ */
+function parseSeedSql(sqlText) {
+  const withoutComments = sqlText.replace(/^\s*--.*$/gm, '')
+  const tables = {}
+  const insertPattern = /INSERT\s+INTO\s+(\w+)\s*\(([^)]*)\)\s*VALUES\s*/gi
+  let match
+  while ((match = insertPattern.exec(withoutComments))) {
+    const table = match[1]
+    const columns = match[2].split(',').map((c) => c.trim())
+    let i = insertPattern.lastIndex
+    if (!tables[table]) tables[table] = []
+
+    // One or more "(...)" tuples separated by commas, terminated by ';'
+    while (i < withoutComments.length) {
+      while (/\s/.test(withoutComments[i])) i++
+      if (withoutComments[i] !== '(') break
+      const end = findClosingParen(withoutComments, i)
+      if (end === -1) break
+      const values = splitTopLevel(withoutComments.slice(i + 1, end)).map(parseSqlValue)
+      tables[table].push(Object.fromEntries(columns.map((c, idx) => [c, values[idx] ?? null])))
+      i = end + 1
+      while (/\s/.test(withoutComments[i])) i++
+      if (withoutComments[i] === ',') i++
+      else break
+    }
+    insertPattern.lastIndex = i
+  }
+  return tables
+}
+
+/**
+ * Build a snapshot from parsed seed tables.
+ */
+/**
+ * @param {Object<string, Object[]>} tables output of parseSeedSql
+ * @returns {Snapshot}
+ */
+function snapshotFromSeedTables(tables) {
+  const roleTables = { startup: 'startup_profiles', mentor: 'mentor_profiles', investor: 'investor_profiles' }
+  const roleRowByUser = new Map()
+  Object.values(roleTables).forEach((table) => {
+    ;(tables[table] || []).forEach((row) => roleRowByUser.set(row.user_id, row))
+  })
+
+  return {
+    profiles: (tables.profiles || [])
+      .filter((p) => roleTables[p.role])
+      .map((p) => ({
+        id: p.id,
+        role: p.role,
+        full_name: p.full_name,
+        location: p.location,
+        roleProfile: roleRowByUser.get(p.id) || {},
+      })),
+    mentorships: (tables.mentorship_requests || []).map((r) => ({ startupId: r.startup_id, mentorId: r.mentor_id, status: r.status })),
+    investments: (tables.investment_requests || []).map((r) => ({ startupId: r.startup_id, investorId: r.investor_id, status: r.status })),
+    registrations: (tables.event_registrations || []).map((r) => ({ eventId: r.event_id, userId: r.user_id, status: r.status })),
+  }
+}
+
+const SECTORS = ['FinTech', 'HealthTech', 'AI/ML', 'B2B SaaS', 'CleanTech', 'EdTech']
+const LOCATIONS = ['San Francisco, CA', 'New York, NY', 'Austin, TX', 'Boston, MA', 'Seattle, WA']
+const FUNDING_STAGES = ['pre_seed', 'seed', 'series_a', 'series_b']
+const TYPICAL_GOAL = { pre_seed: 250000, seed: 1500000, series_a: 6000000, series_b: 20000000 }
+
+/** Internal helper: weighted sampling of `count` distinct items. */
+function sampleWeighted(random, items, weightOf, count) {
+  const pool = items.map((item) => ({ item, weight: weightOf(item) }))
+  const picked = []
+  while (picked.length < count && pool.length) {
+    const total = pool.reduce((sum, p) => sum + p.weight, 0)
+    let r = random() * total
+    let idx = pool.findIndex((p) => (r -= p.weight) < 0)
+    if (idx === -1) idx = pool.length - 1
+    picked.push(pool.splice(idx, 1)[0].item)
+  }
+  return picked
+}
+
+/**
+ * Generate a deterministic synthetic network shaped like the demo seed.
+ * Each profile has a primary sector; mentorships, investment requests and event attendance are
+ * far more likely within a sector, so a good recommender should be able to recover held-out ties.
+ */
+/**
+ * @param {{startups?:number, mentors?:number, investors?:number, events?:number, seed?:number}=} options
+ * @returns {Snapshot}
+ */
+function generateSyntheticSnapshot(options = {}) {
+  const { startups = 40, mentors = 15, investors = 12, events = 8, seed = 7 } = options
+  const random = createRandom(seed)
+  const pick = (values) => values[Math.floor(random() * values.length)]
+  const pad = (n) => String(n).padStart(3, '0')
+
+  const startupProfiles = Array.from({ length: startups }, (_, i) => {
+    const stage = pick(FUNDING_STAGES)
+    const location = pick(LOCATIONS)
+    return {
+      id: `synthetic-startup-${pad(i)}`,
+      role: 'startup',
+      full_name: `Startup Founder ${i}`,
+      location,
+      sector: pick(SECTORS),
+      roleProfile: {
+        company_name: `Startup ${i}`,
+        location,
+        funding_stage: stage,
+        funding_goal: Math.round(TYPICAL_GOAL[stage] * (0.6 + random() * 0.8)),
+      },
+    }
+  })
+  startupProfiles.forEach((p) => { p.roleProfile.industry = p.sector })
+
+  const mentorProfiles = Array.from({ length: mentors }, (_, i) => {
+    const sector = pick(SECTORS)
+    const extra = sampleWeighted(random, SECTORS.filter((s) => s !== sector), () => 1, Math.floor(random() * 2))
+    return {
+      id: `synthetic-mentor-${pad(i)}`,
+      role: 'mentor',
+      full_name: `Mentor ${i}`,
+      location: pick(LOCATIONS),
+      sector,
+      roleProfile: {
+        expertise_tags: [sector, ...extra, 'Fundraising'],
+        years_experience: 3 + Math.floor(random() * 22),
+      },
+    }
+  })
+
+  const investorProfiles = Array.from({ length: investors }, (_, i) => {
+    const sector = pick(SECTORS)
+    const stageIndex = Math.floor(random() * (FUNDING_STAGES.length - 1))
+    const stages = FUNDING_STAGES.slice(stageIndex, stageIndex + 2)
+    const location = pick(LOCATIONS)
+    return {
+      id: `synthetic-investor-${pad(i)}`,
+      role: 'investor',
+      full_name: `Investor ${i}`,
+      location,
+      sector,
+      roleProfile: {
+        sectors: [sector, pick(SECTORS.filter((s) => s !== sector))],
+        investment_stage: stages,
+        ticket_size_min: Math.round(TYPICAL_GOAL[stages[0]] * 0.4),
+        ticket_size_max: Math.round(TYPICAL_GOAL[stages[stages.length - 1]] * 1.5),
+        geographic_focus: [location],
+      },
+    }
+  })
+
+  const mentorships = []
+  const investments = []
+  startupProfiles.forEach((startup) => {
+    const chosenMentors = sampleWeighted(
+      random,
+      mentorProfiles,
+      (m) => (m.sector === startup.sector ? 8 : 1) * (m.location === startup.location ? 1.5 : 1),
+      1 + Math.floor(random() * 3)
+    )
+    chosenMentors.forEach((m) => {
+      const r = random()
+      mentorships.push({ startupId: startup.id, mentorId: m.id, status: r < 0.8 ? 'accepted' : r < 0.9 ? 'pending' : 'rejected' })
+    })
+
+    const chosenInvestors = sampleWeighted(
+      random,
+      investorProfiles,
+      (inv) =>
+        (inv.roleProfile.sectors.includes(startup.sector) ? 6 : 1) *
+        (inv.roleProfile.investment_stage.includes(startup.roleProfile.funding_stage) ? 4 : 1),
+      Math.floor(random() * 3)
+    )
+    chosenInvestors.forEach((inv) => {
+      const r = random()
+      investments.push({ startupId: startup.id, investorId: inv.id, status: r < 0.5 ? 'accepted' : r < 0.8 ? 'pending' : 'rejected' })
+    })
+  })
+
+  const everyone = [...startupProfiles, ...mentorProfiles, ...investorProfiles]
+  const registrations = []
+  for (let e = 0; e < events; e++) {
+    const sector = SECTORS[e % SECTORS.length]
+    everyone.forEach((p) => {
+      if (random() < (p.sector === sector ? 0.5 : 0.05)) {
+        registrations.push({ eventId: `synthetic-event-${pad(e)}`, userId: p.id, status: 'confirmed' })
+      }
+    })
+  }
+
+  return {
+    profiles: everyone.map(({ sector, ...profile }) => profile),
+    mentorships,
+    investments,
+    registrations,
+  }
+}
+
+/**
+ * Combine snapshots (e.g. the demo seed plus a synthetic network).
+ */
+/**
+ * @param {...Snapshot} snapshots
+ * @returns {Snapshot}
+ */
+function mergeSnapshots(...snapshots) {
+  return {
+    profiles: snapshots.flatMap((s) => s.profiles || []),
+    mentorships: snapshots.flatMap((s) => s.mentorships || []),
+    investments: snapshots.flatMap((s) => s.investments || []),
+    registrations: snapshots.flatMap((s) => s.registrations || []),
+  }
+}
+
+/**
+ * Relationship edges for a snapshot, mirroring embeddingStore.loadRelationships:
+ * accepted mentorships, pending/accepted investment requests and pairwise event co-attendance.
+ */
+/**
+ * @param {Snapshot} snapshot
+ * @returns {Array<{sourceId:string,targetId:string,type:string}>}
+ */
+function snapshotToRelationships(snapshot) {
+  const relationships = []
+
+  snapshot.mentorships
+    .filter((m) => m.status === 'accepted')
+    .forEach((m) => relationships.push({ sourceId: m.startupId, targetId: m.mentorId, type: 'mentorship_completed' }))
+
+  snapshot.investments
+    .filter((i) => i.status === 'pending' || i.status === 'accepted')
+    .forEach((i) => relationships.push({ sourceId: i.startupId, targetId: i.investorId, type: 'investment_interest', status: i.status }))
+
+  const attendeesByEvent = new Map()
+  snapshot.registrations
+    .filter((r) => ATTENDING_STATUSES.includes(r.status))
+    .forEach((r) => {
+      if (!attendeesByEvent.has(r.eventId)) attendeesByEvent.set(r.eventId, [])
+      attendeesByEvent.get(r.eventId).push(r.userId)
+    })
+  attendeesByEvent.forEach((attendees) => {
+    if (attendees.length > MAX_EVENT_COHORT) return
+    for (let i = 0; i < attendees.length; i++) {
+      for (let j = i + 1; j < attendees.length; j++) {
+        relationships.push({ sourceId: attendees[i], targetId: attendees[j], type: 'event_participation' })
+      }
+    }
+  })
+
+  return relationships
+}
+
+module.exports = {
+  createRandom,
+  parseSeedSql,
+  snapshotFromSeedTables,
+  generateSyntheticSnapshot,
+  mergeSnapshots,
+  snapshotToRelationships,
+}
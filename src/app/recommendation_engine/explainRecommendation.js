@@ -0,0 +1,258 @@
+/*
+  Explanations for recommendations
+  - Turns hybrid score breakdowns and graph structure into structured, human-readable reasons
+  - Finds short graph paths ("mentored a startup you're connected with") between two users
+  - Pure functions only, shared by the API route and offline tooling
+*/
+
+/**
+ * @typedef {'shared_sector'|'stage_fit'|'ticket_overlap'|'same_region'|'experience'|'mutual_connections'|'co_attended_events'|'graph_path'|'network_proximity'} ReasonType
+ */
+
+/**
+ * @typedef {Object} RecommendationReason
+ * @property {ReasonType} type
+ * @property {string} label   short text shown on recommendation cards
+ * @property {number} strength 0..1, used to order reasons
+ * @property {Object=} data   structured details (matched values, counts, path nodes)
+ */
+
+/**
+ * @typedef {Object} GraphPath
+ * @property {string} viaId          intermediate node
+ * @property {string} sourceRelation relationship kind between the source and viaId
+ * @property {string} targetRelation relationship kind between viaId and the candidate
+ */
+
+/** Most paths / reasons returned per recommendation. */
+const MAX_PATHS = 3
+const MAX_REASONS = 4
+
+/**
+ * Build a typed adjacency map from relationship edges.
+ * Extra edges (e.g. accepted connections) can be supplied with their own type.
+ */
+/**
+ * @param {Array<{sourceId:string,targetId:string,type:string}>} relationships
+ * @returns {Map<string, Map<string, Set<string>>>} node -> neighbour -> relationship kinds
+ */
+function buildTypedAdjacency(relationships) {
+  const adj = new Map()
+  const add = (a, b, type) => {
+    if (!a || !b || a === b) return
+    if (!adj.has(a)) adj.set(a, new Map())
+    if (!adj.get(a).has(b)) adj.get(a).set(b, new Set())
+    adj.get(a).get(b).add(type)
+  }
+  for (const rel of relationships || []) {
+    add(rel.sourceId, rel.targetId, rel.type)
+    add(rel.targetId, rel.sourceId, rel.type)
+  }
+  return adj
+}
+
+/**
+ * Edges that may appear in a viewer's graph-path reasons.
+ * Investment requests are private to the startup and the investor, and pending ones are not settled,
+ * so investment edges are only kept when accepted and the viewer is one of the two parties.
+ */
+/**
+ * @param {Array<{sourceId:string,targetId:string,type:string,status?:string}>} relationships
+ * @param {string|null} viewerId user the reasons are shown to; null keeps no investment edges
+ * @returns {Array<{sourceId:string,targetId:string,type:string}>}
+ */
+function explainableRelationships(relationships, viewerId) {
+  return (relationships || []).filter((rel) =>
+    rel.type !== 'investment_interest' ||
+    (rel.status === 'accepted' && !!viewerId && (rel.sourceId === viewerId || rel.targetId === viewerId))
+  )
+}
+
+/** Internal helper: strongest kind first so paths read naturally. */
+const RELATION_PRIORITY = ['mentorship_completed', 'investment_interest', 'connection', 'event_participation']
+const strongestRelation = (kinds) => RELATION_PRIORITY.find((k) => kinds.has(k)) || Array.from(kinds)[0]
+
+/**
+ * Two-hop paths source → via → candidate through the relationship graph.
+ */
+/**
+ * @param {Map<string, Map<string, Set<string>>>} adjacency
+ * @param {string} sourceId
+ * @param {string} candidateId
+ * @param {number=} limit
+ * @returns {GraphPath[]}
+ */
+function findGraphPaths(adjacency, sourceId, candidateId, limit = MAX_PATHS) {
+  const sourceNbrs = adjacency.get(sourceId)
+  const candidateNbrs = adjacency.get(candidateId)
+  if (!sourceNbrs || !candidateNbrs) return []
+
+  const paths = []
+  for (const [viaId, sourceKinds] of sourceNbrs) {
+    if (viaId === candidateId) continue
+    const targetKinds = candidateNbrs.get(viaId)
+    if (!targetKinds) continue
+    const sourceRelation = strongestRelation(sourceKinds)
+    const targetRelation = strongestRelation(targetKinds)
+    paths.push({ viaId, sourceRelation, targetRelation })
+  }
+
+  paths.sort((a, b) =>
+    RELATION_PRIORITY.indexOf(a.targetRelation) - RELATION_PRIORITY.indexOf(b.targetRelation) ||
+    RELATION_PRIORITY.indexOf(a.sourceRelation) - RELATION_PRIORITY.indexOf(b.sourceRelation)
+  )
+  return paths.slice(0, limit)
+}
+
+/** Internal helper: how the candidate relates to the intermediate node, from the candidate's side. */
+function describeCandidateRelation(kind, candidateRole, viaName) {
+  switch (kind) {
+    case 'mentorship_completed':
+      return candidateRole === 'mentor' ? `Mentored ${viaName}` : `Was mentored by ${viaName}`
+    case 'investment_interest':
+      return candidateRole === 'investor' ? `Is interested in investing in ${viaName}` : `Pitched to ${viaName}`
+    case 'connection':
+      return `Is connected with ${viaName}`
+    default:
+      return `Attended events with ${viaName}`
+  }
+}
+
+/** Internal helper: how the intermediate node relates to the person receiving the recommendation. */
+function describeSourceRelation(kind) {
+  switch (kind) {
+    case 'mentorship_completed':
+      return 'who you worked with on mentorship'
+    case 'investment_interest':
+      return "who you've been in investment talks with"
+    case 'connection':
+      return "who you're connected with"
+    default:
+      return 'who you met at an event'
+  }
+}
+
+/** Internal helper: human readable list of up to three values. */
+const listOf = (values) => (values.length > 3 ? `${values.slice(0, 3).join(', ')} +${values.length - 3}` : values.join(', '))
+
+/**
+ * Build the structured reasons for one recommendation.
+ */
+/**
+ * @param {Object} input
+ * @param {string=} input.candidateRole
+ * @param {Object=} input.breakdown           contentSimilarity breakdown
+ * @param {number|null=} input.graphScore     embedding similarity (null when cold start)
+ * @param {number=} input.coAttendedEvents    events both users attended
+ * @param {string[]=} input.mutualConnections names of shared accepted connections
+ * @param {GraphPath[]=} input.paths          output of findGraphPaths
+ * @param {Object<string,string>=} input.names display names by node id (for path nodes)
+ * @param {number=} input.limit
+ * @returns {RecommendationReason[]}
+ */
+function explainRecommendation(input) {
+  const {
+    candidateRole,
+    breakdown = {},
+    graphScore = null,
+    coAttendedEvents = 0,
+    mutualConnections = [],
+    paths = [],
+    names = {},
+    limit = MAX_REASONS,
+  } = input
+  const reasons = []
+
+  for (const path of paths) {
+    const viaName = names[path.viaId] || 'someone'
+    reasons.push({
+      type: 'graph_path',
+      label: `${describeCandidateRelation(path.targetRelation, candidateRole, viaName)}, ${describeSourceRelation(path.sourceRelation)}`,
+      strength: path.targetRelation === 'event_participation' ? 0.6 : 0.9,
+      data: { via: { id: path.viaId, name: viaName }, sourceRelation: path.sourceRelation, targetRelation: path.targetRelation },
+    })
+  }
+
+  if (mutualConnections.length > 0) {
+    reasons.push({
+      type: 'mutual_connections',
+      label: `${mutualConnections.length} mutual connection${mutualConnections.length === 1 ? '' : 's'}: ${listOf(mutualConnections)}`,
+      strength: Math.min(0.5 + 0.1 * mutualConnections.length, 0.85),
+      data: { count: mutualConnections.length, names: mutualConnections },
+    })
+  }
+
+  if (coAttendedEvents > 0) {
+    reasons.push({
+      type: 'co_attended_events',
+      label: `Attended ${coAttendedEvents} event${coAttendedEvents === 1 ? '' : 's'} together`,
+      strength: Math.min(0.4 + 0.1 * coAttendedEvents, 0.7),
+      data: { count: coAttendedEvents },
+    })
+  }
+
+  if (breakdown.sector?.matches?.length) {
+    reasons.push({
+      type: 'shared_sector',
+      label: `Shared sector: ${listOf(breakdown.sector.matches)}`,
+      strength: 0.5 + 0.3 * breakdown.sector.score,
+      data: { sectors: breakdown.sector.matches },
+    })
+  }
+
+  if (breakdown.stage?.matches?.length) {
+    reasons.push({
+      type: 'stage_fit',
+      label: `Stage fit: ${listOf(breakdown.stage.matches.map((s) => String(s).replace(/_/g, ' ')))}`,
+      strength: 0.75,
+      data: { stages: breakdown.stage.matches },
+    })
+  }
+
+  if (breakdown.funding && breakdown.funding.score >= 0.5) {
+    reasons.push({
+      type: 'ticket_overlap',
+      label: breakdown.funding.score === 1 ? 'Funding goal is within ticket size' : 'Funding goal is close to ticket size',
+      strength: 0.4 + 0.35 * breakdown.funding.score,
+      data: { fit: breakdown.funding.score },
+    })
+  }
+
+  if (breakdown.geography?.matches?.length) {
+    reasons.push({
+      type: 'same_region',
+      label: `Same region: ${breakdown.geography.matches[0]}`,
+      strength: 0.45,
+      data: { regions: breakdown.geography.matches },
+    })
+  }
+
+  if (breakdown.experience && breakdown.experience.score >= 2 / 3) {
+    reasons.push({
+      type: 'experience',
+      label: 'Highly experienced',
+      strength: 0.35,
+      data: { score: breakdown.experience.score },
+    })
+  }
+
+  // Only mention raw embedding proximity when nothing more specific explains the match
+  if (reasons.length === 0 && graphScore !== null && graphScore >= 0.5) {
+    reasons.push({
+      type: 'network_proximity',
+      label: 'Close to you in the network',
+      strength: graphScore,
+      data: { similarity: graphScore },
+    })
+  }
+
+  reasons.sort((a, b) => b.strength - a.strength)
+  return reasons.slice(0, limit)
+}
+
+module.exports = {
+  buildTypedAdjacency,
+  explainableRelationships,
+  findGraphPaths,
+  explainRecommendation,
+}
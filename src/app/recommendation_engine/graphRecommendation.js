@@ -49,6 +49,13 @@ async function ensureNode2VecLoaded() {
  * @typedef {Object<string, number[]>} EmbeddingsMap
  */
 
+/**
+ * @typedef {Object} FeedbackSignals
+ * @property {string[]=} excludeIds  dismissed / not-interested nodes, never recommended again
+ * @property {string[]=} savedIds    saved nodes; nodes similar to them are boosted
+ * @property {string[]=} rejectedIds dismissed / not-interested nodes; nodes similar to them are penalized
+ */
+
 /**
  * Default weights per relationship kind.
  * These can be overridden per edge by supplying `weight` in RelationshipData.
@@ -59,6 +66,33 @@ const DEFAULT_WEIGHTS = {
   investment_interest: 2.0,
 }
 
+/**
+ * Node2Vec parameters used for training.
+ * Bump MODEL_VERSION whenever these (or the fallback embedding) change so that
+ * persisted embeddings trained with older settings are rebuilt.
+ */
+const NODE2VEC_OPTIONS = {
+  dimensions: 64,
+  walkLength: 40,
+  iterations: 20,
+  walksPerNode: 10,
+  p: 1.0,
+  q: 1.0,
+  weighted: true,
+  weightAttribute: 'weight',
+}
+
+const MODEL_VERSION = 'node2vec-v1'
+
+/**
+ * How strongly user feedback moves a candidate's score.
+ * The adjustment is the weight times the candidate's highest similarity to a saved (or rejected) node.
+ */
+const FEEDBACK_WEIGHTS = {
+  saved: 0.15,
+  rejected: 0.2,
+}
+
 /** Internal helper: add or accumulate an undirected weighted edge. */
 function upsertWeightedUndirectedEdge(graph, a, b, w) {
   if (a === b) return
@@ -120,9 +154,10 @@ function buildGraph(data) {
  */
 /**
  * @param {any} graph graphology Graph instance
+ * @param {Object=} options overrides for NODE2VEC_OPTIONS (e.g. when evaluating parameter changes)
  * @returns {Promise<EmbeddingsMap>}
  */
-async function trainNode2Vec(graph) {
+async function trainNode2Vec(graph, options = {}) {
   await ensureNode2VecLoaded()
 
   // Fallback path: if either graphology graph or node2vec is not available,
@@ -159,21 +194,77 @@ async function trainNode2Vec(graph) {
 
   // graphology + node2vec path
   const embeddings = /** @type {EmbeddingsMap} */ ({})
-  const options = {
-    dimensions: 64,
-    walkLength: 40,
-    iterations: 20,
-    walksPerNode: 10,
-    p: 1.0,
-    q: 1.0,
-    weighted: true,
-    weightAttribute: 'weight',
-  }
-  const result = node2vecImpl(graph, options)
+  const result = node2vecImpl(graph, { ...NODE2VEC_OPTIONS, ...options })
   for (const node of Object.keys(result)) embeddings[node] = Array.from(result[node])
   return embeddings
 }
 
+/**
+ * Canonical, order-independent keys for the edges described by relationships.
+ * - Undirected: (a, b) and (b, a) produce the same key
+ * - Repeated relationships of the same kind are collapsed into one key with a count suffix
+ */
+/**
+ * @param {RelationshipData[]} data
+ * @returns {string[]} sorted edge keys
+ */
+function getEdgeKeys(data) {
+  const counts = new Map()
+  for (const rel of data) {
+    const { sourceId, targetId, type } = rel
+    if (!sourceId || !targetId || sourceId === targetId) continue
+    const [a, b] = sourceId < targetId ? [sourceId, targetId] : [targetId, sourceId]
+    const key = `${a}|${b}|${type}`
+    counts.set(key, (counts.get(key) || 0) + 1)
+  }
+  return Array.from(counts, ([key, n]) => (n > 1 ? `${key}#${n}` : key)).sort()
+}
+
+/**
+ * Stable fingerprint of a relationship graph (53-bit string hash of its edge keys).
+ * Two graphs with the same edges produce the same fingerprint regardless of row order.
+ */
+/**
+ * @param {string[]} edgeKeys output of getEdgeKeys
+ * @returns {string}
+ */
+function computeGraphFingerprint(edgeKeys) {
+  let h1 = 0xdeadbeef
+  let h2 = 0x41c6ce57
+  for (const key of edgeKeys) {
+    for (let i = 0; i <= key.length; i++) {
+      // Treat the terminator as a separator so ['ab','c'] and ['a','bc'] differ
+      const ch = i < key.length ? key.charCodeAt(i) : 10
+      h1 = Math.imul(h1 ^ ch, 2654435761)
+      h2 = Math.imul(h2 ^ ch, 1597334677)
+    }
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+  const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0)
+  return `${edgeKeys.length}-${hash.toString(16)}`
+}
+
+/**
+ * Fraction of edges that differ between two graphs (symmetric difference / size of the larger one).
+ * 0 means identical, 1 means nothing in common.
+ */
+/**
+ * @param {string[]} previousKeys
+ * @param {string[]} nextKeys
+ * @returns {number}
+ */
+function graphChangeRatio(previousKeys, nextKeys) {
+  const prev = new Set(previousKeys || [])
+  const next = new Set(nextKeys || [])
+  const total = Math.max(prev.size, next.size)
+  if (total === 0) return 0
+  let changed = 0
+  prev.forEach((k) => { if (!next.has(k)) changed++ })
+  next.forEach((k) => { if (!prev.has(k)) changed++ })
+  return Math.min(1, changed / total)
+}
+
 /** Compute cosine similarity between two vectors. */
 /**
  * @param {number[]} a
@@ -195,25 +286,60 @@ function cosineSimilarity(a, b) {
   return dot / (Math.sqrt(na) * Math.sqrt(nb))
 }
 
+/**
+ * Score adjustment from a user's feedback: up for candidates similar to saved nodes,
+ * down for candidates similar to rejected ones. Unknown similarities (null) are ignored.
+ */
+/**
+ * @param {(otherId:string) => number|null} similarityTo similarity of the candidate to another node
+ * @param {FeedbackSignals|null=} feedback
+ * @param {{saved:number, rejected:number}=} weights
+ * @returns {number}
+ */
+function feedbackAdjustment(similarityTo, feedback, weights = FEEDBACK_WEIGHTS) {
+  if (!feedback) return 0
+  const maxSimilarity = (ids) => {
+    let best = 0
+    for (const id of ids || []) {
+      const sim = similarityTo(id)
+      if (sim !== null && Number.isFinite(sim) && sim > best) best = sim
+    }
+    return best
+  }
+  return weights.saved * maxSimilarity(feedback.savedIds) - weights.rejected * maxSimilarity(feedback.rejectedIds)
+}
+
 /**
  * Return top-K recommendations (node IDs) for a given startup based on embedding similarity.
  * - Currently returns the most similar other nodes (mentors/investors) discovered in embeddings
  * - Callers can further filter by role using profile data if necessary
+ * - When feedback is given, excluded nodes are skipped and scores are adjusted with feedbackAdjustment
+ * - candidateFilter restricts results to matching nodes (e.g. a target role) before the top K is taken
  */
 /**
  * @param {string} startupId
  * @param {number} topK
  * @param {EmbeddingsMap} embeddings
+ * @param {FeedbackSignals|null=} feedback
+ * @param {((id:string) => boolean)|null=} candidateFilter
  * @returns {string[]}
  */
-function getRecommendations(startupId, topK, embeddings) {
+function getRecommendations(startupId, topK, embeddings, feedback = null, candidateFilter = null) {
   const source = embeddings[startupId]
   if (!source) return []
 
+  const excluded = new Set(feedback?.excludeIds || [])
   const scored = []
   for (const [id, vec] of Object.entries(embeddings)) {
-    if (id === startupId) continue
-    const score = cosineSimilarity(source, vec)
+    if (id === startupId || excluded.has(id)) continue
+    if (candidateFilter && !candidateFilter(id)) continue
+    let score = cosineSimilarity(source, vec)
+    if (feedback) {
+      score += feedbackAdjustment(
+        (otherId) => (otherId !== id && embeddings[otherId] ? cosineSimilarity(vec, embeddings[otherId]) : null),
+        feedback
+      )
+    }
     if (!Number.isFinite(score)) continue
     scored.push({ id, score })
   }
@@ -253,6 +379,19 @@ if (typeof require !== 'undefined' && typeof module !== 'undefined' && require.m
   })
 }
 
-module.exports = { buildGraph, trainNode2Vec, getRecommendations }
+module.exports = {
+  DEFAULT_WEIGHTS,
+  FEEDBACK_WEIGHTS,
+  NODE2VEC_OPTIONS,
+  MODEL_VERSION,
+  buildGraph,
+  trainNode2Vec,
+  getRecommendations,
+  feedbackAdjustment,
+  cosineSimilarity,
+  getEdgeKeys,
+  computeGraphFingerprint,
+  graphChangeRatio,
+}
 
 
@@ -0,0 +1,263 @@
+/*
+  Hybrid recommender: graph embeddings + profile content
+  - Scores candidates by blending Node2Vec cosine similarity with profile feature overlap
+  - Falls back to content-only scoring when either side has no embedding (cold start)
+  - Pure functions only, so it can run in API routes, the browser and offline with node
+*/
+
+const { cosineSimilarity, feedbackAdjustment } = require('./graphRecommendation')
+
+/**
+ * @typedef {Object} ProfileFeatures
+ * @property {'startup'|'mentor'|'investor'} role
+ * @property {string[]} sectors        startup industry, mentor expertise_tags, investor sectors
+ * @property {string[]} stages         startup funding_stage, investor investment_stage
+ * @property {string[]} geographies    startup/profile location, investor geographic_focus
+ * @property {number|null} fundingGoal startup funding_goal
+ * @property {number|null} ticketMin   investor ticket_size_min
+ * @property {number|null} ticketMax   investor ticket_size_max
+ * @property {number|null} yearsExperience mentor years_experience
+ */
+
+/**
+ * @typedef {Object} HybridWeights
+ * @property {number} graph   weight of the embedding similarity
+ * @property {number} content weight of the profile feature similarity
+ */
+
+/** Default blend between graph and content scores. */
+const DEFAULT_HYBRID_WEIGHTS = {
+  graph: 0.6,
+  content: 0.4,
+}
+
+/**
+ * Default weights per content feature.
+ * Only features that apply to a given pair are used, and the score is normalized by their total.
+ */
+const DEFAULT_FEATURE_WEIGHTS = {
+  sector: 3.0,
+  stage: 3.0,
+  funding: 2.0,
+  geography: 1.5,
+  experience: 1.0,
+}
+
+/** Years of experience at which a mentor gets the full experience score. */
+const FULL_EXPERIENCE_YEARS = 15
+
+// Values are kept as entered (for display) and normalized only when compared
+const normalize = (value) => String(value).trim().toLowerCase().replace(/[\s_-]+/g, ' ')
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value))
+const compact = (values) => (values || [])
+  .filter((v) => v !== null && v !== undefined && String(v).trim() !== '')
+  .map((v) => String(v).trim())
+
+/**
+ * Map a role-specific profile row (plus the base profiles row) to comparable features.
+ */
+/**
+ * @param {'startup'|'mentor'|'investor'} role
+ * @param {Object=} roleProfile startup_profiles / mentor_profiles / investor_profiles row
+ * @param {Object=} baseProfile profiles row (for location)
+ * @returns {ProfileFeatures}
+ */
+function toProfileFeatures(role, roleProfile = {}, baseProfile = {}) {
+  const rp = roleProfile || {}
+  const location = rp.location || baseProfile?.location || null
+  const features = {
+    role,
+    sectors: [],
+    stages: [],
+    geographies: compact([location]),
+    fundingGoal: null,
+    ticketMin: null,
+    ticketMax: null,
+    yearsExperience: null,
+  }
+
+  if (role === 'startup') {
+    features.sectors = compact([rp.industry])
+    features.stages = compact([rp.funding_stage])
+    features.fundingGoal = toNumber(rp.funding_goal)
+  } else if (role === 'mentor') {
+    features.sectors = compact(rp.expertise_tags)
+    features.yearsExperience = toNumber(rp.years_experience)
+  } else if (role === 'investor') {
+    features.sectors = compact(rp.sectors)
+    features.stages = compact(rp.investment_stage)
+    features.geographies = Array.from(new Set([...features.geographies, ...compact(rp.geographic_focus)]))
+    features.ticketMin = toNumber(rp.ticket_size_min)
+    features.ticketMax = toNumber(rp.ticket_size_max)
+  }
+
+  return features
+}
+
+/** Internal helper: overlap coefficient |A∩B| / min(|A|,|B|), with the shared values as written in B. */
+function overlap(a, b) {
+  const setA = new Set(a.map(normalize))
+  const byKeyB = new Map(b.map((x) => [normalize(x), x]))
+  const matches = Array.from(byKeyB).filter(([key]) => setA.has(key)).map(([, value]) => value)
+  return { score: matches.length / Math.min(setA.size, byKeyB.size), matches }
+}
+
+/** Internal helper: how well a funding goal fits a ticket range (1 inside, decaying outside). */
+function rangeFit(goal, min, max) {
+  const lo = min ?? 0
+  const hi = max ?? Infinity
+  if (goal >= lo && goal <= hi) return 1
+  if (goal < lo) return lo > 0 ? goal / lo : 0
+  return goal > 0 ? hi / goal : 0
+}
+
+/** Internal helper: case-insensitive containment either way ("California" ~ "San Francisco, California"). */
+function geographyMatches(a, b) {
+  const matches = []
+  for (const x of a) {
+    for (const y of b) {
+      const nx = normalize(x)
+      const ny = normalize(y)
+      if (nx.includes(ny) || ny.includes(nx)) matches.push(nx.length <= ny.length ? x : y)
+    }
+  }
+  return Array.from(new Set(matches))
+}
+
+/**
+ * Content similarity between two profiles.
+ * Returns the weighted score in [0, 1] and a per-feature breakdown of the features that applied.
+ */
+/**
+ * @param {ProfileFeatures} source
+ * @param {ProfileFeatures} candidate
+ * @param {Object<string, number>=} featureWeights
+ * @returns {{score:number, breakdown:Object<string,{score:number,matches?:string[]}>}}
+ */
+function contentSimilarity(source, candidate, featureWeights = DEFAULT_FEATURE_WEIGHTS) {
+  const weights = { ...DEFAULT_FEATURE_WEIGHTS, ...featureWeights }
+  const breakdown = {}
+
+  if (source.sectors.length && candidate.sectors.length) {
+    breakdown.sector = overlap(source.sectors, candidate.sectors)
+  }
+
+  if (source.stages.length && candidate.stages.length) {
+    breakdown.stage = overlap(source.stages, candidate.stages)
+  }
+
+  const goal = source.fundingGoal ?? candidate.fundingGoal
+  const investor = source.role === 'investor' ? source : candidate.role === 'investor' ? candidate : null
+  if (goal != null && investor && (investor.ticketMin != null || investor.ticketMax != null)) {
+    breakdown.funding = { score: rangeFit(goal, investor.ticketMin, investor.ticketMax) }
+  }
+
+  if (source.geographies.length && candidate.geographies.length) {
+    const matches = geographyMatches(source.geographies, candidate.geographies)
+    breakdown.geography = { score: matches.length ? 1 : 0, matches }
+  }
+
+  if (candidate.role === 'mentor' && candidate.yearsExperience != null) {
+    breakdown.experience = { score: Math.min(candidate.yearsExperience / FULL_EXPERIENCE_YEARS, 1) }
+  }
+
+  let total = 0
+  let weightSum = 0
+  for (const [feature, result] of Object.entries(breakdown)) {
+    const w = weights[feature] ?? 0
+    total += w * result.score
+    weightSum += w
+  }
+
+  return { score: weightSum > 0 ? total / weightSum : 0, breakdown }
+}
+
+/**
+ * Similarity of two profiles of the same kind (e.g. a candidate and a profile the user saved).
+ * Ignores the mentor-only experience score, which is not a similarity.
+ */
+/**
+ * @param {ProfileFeatures} a
+ * @param {ProfileFeatures} b
+ * @returns {number}
+ */
+function peerSimilarity(a, b) {
+  return contentSimilarity(a, b, { experience: 0 }).score
+}
+
+/**
+ * Rank candidates for a source node by blending graph and content similarity.
+ * - Graph similarity is the (non-negative) cosine between Node2Vec embeddings
+ * - When the source or a candidate has no embedding, that candidate is scored on content alone
+ * - With options.feedback, excluded candidates are dropped and the score moves towards saved
+ *   and away from rejected profiles (by embedding when both have one, otherwise by content)
+ */
+/**
+ * @param {string} sourceId
+ * @param {ProfileFeatures} sourceFeatures
+ * @param {Array<{id:string, features:ProfileFeatures}>} candidates
+ * @param {Object<string, number[]>=} embeddings
+ * @param {{topK?:number, weights?:HybridWeights, featureWeights?:Object<string,number>, feedback?:Object, feedbackProfiles?:Map<string, ProfileFeatures>}=} options
+ *   feedback is a FeedbackSignals object (see graphRecommendation.js); feedbackProfiles maps
+ *   saved / rejected ids to their features
+ * @returns {Array<{id:string, score:number, graphScore:number|null, contentScore:number, feedbackScore:number, breakdown:Object, coldStart:boolean, saved:boolean}>}
+ */
+function rankHybrid(sourceId, sourceFeatures, candidates, embeddings = {}, options = {}) {
+  const weights = { ...DEFAULT_HYBRID_WEIGHTS, ...options.weights }
+  const sourceVec = embeddings?.[sourceId]
+  const feedback = options.feedback || null
+  const feedbackProfiles = options.feedbackProfiles || new Map()
+  const excluded = new Set(feedback?.excludeIds || [])
+  const savedIds = new Set(feedback?.savedIds || [])
+  const scored = []
+
+  for (const candidate of candidates) {
+    if (!candidate || candidate.id === sourceId || excluded.has(candidate.id)) continue
+
+    const { score: contentScore, breakdown } = contentSimilarity(sourceFeatures, candidate.features, options.featureWeights)
+    const candidateVec = embeddings?.[candidate.id]
+    const graphScore = sourceVec && candidateVec ? Math.max(0, cosineSimilarity(sourceVec, candidateVec)) : null
+
+    let score
+    if (graphScore === null) {
+      score = contentScore
+    } else {
+      const weightSum = weights.graph + weights.content
+      score = weightSum > 0 ? (weights.graph * graphScore + weights.content * contentScore) / weightSum : 0
+    }
+
+    const feedbackScore = feedbackAdjustment((otherId) => {
+      if (otherId === candidate.id) return null
+      const otherVec = embeddings?.[otherId]
+      if (candidateVec && otherVec) return Math.max(0, cosineSimilarity(candidateVec, otherVec))
+      const otherFeatures = feedbackProfiles.get(otherId)
+      return otherFeatures ? peerSimilarity(candidate.features, otherFeatures) : null
+    }, feedback)
+    score += feedbackScore
+    if (!Number.isFinite(score)) continue
+
+    scored.push({
+      id: candidate.id,
+      score,
+      graphScore,
+      contentScore,
+      feedbackScore,
+      breakdown,
+      coldStart: graphScore === null,
+      saved: savedIds.has(candidate.id),
+    })
+  }
+
+  // Ties are broken by id so that the order (and pagination cursors) are stable
+  scored.sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+  return typeof options.topK === 'number' ? scored.slice(0, Math.max(0, options.topK)) : scored
+}
+
+module.exports = {
+  DEFAULT_HYBRID_WEIGHTS,
+  DEFAULT_FEATURE_WEIGHTS,
+  toProfileFeatures,
+  contentSimilarity,
+  peerSimilarity,
+  rankHybrid,
+}
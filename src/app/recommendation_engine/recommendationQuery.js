@@ -0,0 +1,180 @@
+/*
+  Query helpers for the recommendations API
+  - Role-aware match rules (e.g. investors must fit a startup's funding stage)
+  - Hard filters applied after scoring (location, availability, ticket range, paid vs free mentors)
+  - Stable keyset cursors over the ranked list
+  - Pure functions only, shared by the API route and the client-side fallback
+*/
+
+/**
+ * @typedef {Object} RecommendationFilters
+ * @property {string[]=} locations     candidate location / geographic focus contains one of these
+ * @property {string[]=} availability  mentor availability values ('available', 'busy', 'unavailable')
+ * @property {number|null=} ticketMin  investor ticket range must overlap [ticketMin, ticketMax];
+ * @property {number|null=} ticketMax  startup funding goal must fall inside it
+ * @property {boolean|null=} paid      paid (true) or free (false) mentors only
+ */
+
+/**
+ * Feature a candidate must share with the source for each (source role → candidate role) pair.
+ * - startup → investor: the investor invests at the startup's funding stage
+ * - mentor → startup:   the startup is in one of the mentor's expertise areas
+ * - investor → investor (co-investors): at least one shared sector
+ */
+const ROLE_MATCH_RULES = {
+  'startup:investor': 'stage',
+  'mentor:startup': 'sector',
+  'investor:investor': 'sector',
+}
+
+/** Largest page size the API serves. */
+const MAX_PAGE_SIZE = 50
+
+const FEATURE_SOURCE = { stage: 'stages', sector: 'sectors' }
+
+/**
+ * Whether a scored candidate satisfies the role match rule for the source.
+ * Rules only apply when the source has the feature; e.g. a startup without a funding stage matches any investor.
+ */
+/**
+ * @param {import('./hybridRecommendation').ProfileFeatures} sourceFeatures
+ * @param {{role:string, breakdown:Object}} candidate scored candidate (rankHybrid output joined with its profile)
+ * @returns {boolean}
+ */
+function passesRoleMatch(sourceFeatures, candidate) {
+  const rule = ROLE_MATCH_RULES[`${sourceFeatures.role}:${candidate.role}`]
+  if (!rule) return true
+  if (!sourceFeatures[FEATURE_SOURCE[rule]]?.length) return true
+  return (candidate.breakdown?.[rule]?.matches?.length || 0) > 0
+}
+
+/** Internal helper: comma separated query value → trimmed list. */
+const toList = (value) => (value ? String(value).split(',').map((v) => v.trim()).filter(Boolean) : [])
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const n = Number(value)
+  return Number.isFinite(n) ? n : null
+}
+
+/**
+ * Read hard filters from URL search params.
+ * ?location=California,Texas&availability=available&ticketMin=100000&ticketMax=2000000&paid=false
+ */
+/**
+ * @param {URLSearchParams} searchParams
+ * @returns {RecommendationFilters}
+ */
+function parseRecommendationFilters(searchParams) {
+  const paid = searchParams.get('paid')
+  return {
+    locations: toList(searchParams.get('location')),
+    availability: toList(searchParams.get('availability')),
+    ticketMin: toNumberOrNull(searchParams.get('ticketMin')),
+    ticketMax: toNumberOrNull(searchParams.get('ticketMax')),
+    paid: paid === 'true' ? true : paid === 'false' ? false : null,
+  }
+}
+
+/**
+ * Whether a candidate passes the hard filters. Filters that don't apply to the candidate's role
+ * (e.g. availability for investors) are ignored for that candidate.
+ */
+/**
+ * @param {{role:string, roleProfile:Object|null, features:Object}} candidate
+ * @param {RecommendationFilters=} filters
+ * @returns {boolean}
+ */
+function matchesFilters(candidate, filters = {}) {
+  const rp = candidate.roleProfile || {}
+
+  if (filters.locations?.length) {
+    const places = (candidate.features?.geographies || []).map((g) => g.toLowerCase())
+    const wanted = filters.locations.map((l) => l.toLowerCase())
+    if (!wanted.some((w) => places.some((p) => p.includes(w) || w.includes(p)))) return false
+  }
+
+  if (candidate.role === 'mentor') {
+    if (filters.availability?.length && !filters.availability.includes(rp.availability)) return false
+    if (filters.paid === true && !rp.is_paid) return false
+    if (filters.paid === false && rp.is_paid) return false
+  }
+
+  const min = filters.ticketMin ?? null
+  const max = filters.ticketMax ?? null
+  if (min !== null || max !== null) {
+    if (candidate.role === 'investor') {
+      const lo = rp.ticket_size_min ?? 0
+      const hi = rp.ticket_size_max ?? Infinity
+      if ((max !== null && lo > max) || (min !== null && hi < min)) return false
+    } else if (candidate.role === 'startup') {
+      const goal = rp.funding_goal
+      if (goal === null || goal === undefined) return false
+      if ((min !== null && goal < min) || (max !== null && goal > max)) return false
+    }
+  }
+
+  return true
+}
+
+/**
+ * Encode the position after an item as an opaque cursor.
+ */
+/**
+ * @param {{id:string, score:number}} item
+ * @returns {string}
+ */
+function encodeCursor(item) {
+  // btoa/atob exist in browsers and Node; ids and scores are plain ASCII
+  return btoa(JSON.stringify({ s: item.score, id: item.id }))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
+
+/**
+ * @param {string|null=} cursor
+ * @returns {{s:number, id:string}|null} null for a missing or malformed cursor
+ */
+function decodeCursor(cursor) {
+  if (!cursor) return null
+  try {
+    const parsed = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')))
+    return typeof parsed?.s === 'number' && typeof parsed?.id === 'string' ? parsed : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * One page of a ranked list ordered by score desc, then id asc.
+ * The cursor stores the last item's (score, id), so pages stay stable even if items are
+ * added or removed elsewhere in the list between requests.
+ */
+/**
+ * @param {Array<{id:string, score:number}>} ranked sorted by score desc, id asc
+ * @param {{limit?:number, cursor?:string|null}=} options
+ * @returns {{items:Array, nextCursor:string|null}}
+ */
+function paginateRanked(ranked, options = {}) {
+  const limit = Math.min(Math.max(1, options.limit || 10), MAX_PAGE_SIZE)
+  const after = decodeCursor(options.cursor)
+  const start = after
+    ? ranked.findIndex((r) => r.score < after.s || (r.score === after.s && r.id > after.id))
+    : 0
+  if (start === -1) return { items: [], nextCursor: null }
+
+  const items = ranked.slice(start, start + limit)
+  const hasMore = start + limit < ranked.length
+  return { items, nextCursor: hasMore && items.length ? encodeCursor(items[items.length - 1]) : null }
+}
+
+module.exports = {
+  ROLE_MATCH_RULES,
+  MAX_PAGE_SIZE,
+  passesRoleMatch,
+  parseRecommendationFilters,
+  matchesFilters,
+  encodeCursor,
+  decodeCursor,
+  paginateRanked,
+}
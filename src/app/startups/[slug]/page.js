@@ -7,6 +7,7 @@ import { useAuth } from '@/hooks/useAuth'
 import Image from 'next/image'
 import Link from 'next/link'
 import { toast } from 'react-hot-toast'
+import DataRoomViewer from '@/components/DataRoomViewer'
 
 export default function StartupProfilePage() {
   const params = useParams()
@@ -353,6 +354,9 @@ export default function StartupProfilePage() {
             </div>
           )}
 
+          {/* Data Room (only rendered for investors the founder granted access) */}
+          {user && user.id !== startup.user_id && <DataRoomViewer startupId={startup.user_id} />}
+
           {/* Contact Info */}
           <div className="bg-white rounded-lg shadow-md p-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Contact</h3>
@@ -0,0 +1,227 @@
+'use client'
+
+import { useState } from 'react'
+import { toast } from 'react-hot-toast'
+import { updateApplicationForm } from '@/lib/api/pitchApplications'
+import { FIELD_TYPES, VISIBILITY_OPERATORS, emptyField } from '@/lib/applicationForms'
+
+function FieldEditor({ field, index, earlierFields, fieldTypes, onChange, onMove, onRemove, isLast }) {
+  const update = (changes) => onChange({ ...field, ...changes })
+  const source = earlierFields.find((f) => f.id === field.visibleIf?.field)
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+      <div className="flex items-center space-x-2">
+        <input
+          value={field.label}
+          onChange={(e) => update({ label: e.target.value })}
+          placeholder="Question"
+          className="flex-1 p-2 border border-gray-300 rounded-md text-sm"
+        />
+        <select
+          value={field.type}
+          onChange={(e) => update({ type: e.target.value, options: e.target.value === 'select' ? field.options || [] : undefined })}
+          className="p-2 border border-gray-300 rounded-md text-sm"
+        >
+          {fieldTypes.map((type) => <option key={type.value} value={type.value}>{type.label}</option>)}
+        </select>
+      </div>
+
+      <input
+        value={field.help || ''}
+        onChange={(e) => update({ help: e.target.value })}
+        placeholder="Help text (optional)"
+        className="w-full p-2 border border-gray-300 rounded-md text-sm"
+      />
+
+      {field.type === 'select' && (
+        <input
+          value={(field.options || []).join(', ')}
+          onChange={(e) => update({ options: e.target.value.split(',').map((o) => o.trimStart()) })}
+          placeholder="Options, separated by commas"
+          className="w-full p-2 border border-gray-300 rounded-md text-sm"
+        />
+      )}
+
+      {field.type === 'number' && (
+        <div className="flex space-x-2">
+          <input
+            type="number"
+            value={field.min ?? ''}
+            onChange={(e) => update({ min: e.target.value })}
+            placeholder="Min"
+            className="w-1/2 p-2 border border-gray-300 rounded-md text-sm"
+          />
+          <input
+            type="number"
+            value={field.max ?? ''}
+            onChange={(e) => update({ max: e.target.value })}
+            placeholder="Max"
+            className="w-1/2 p-2 border border-gray-300 rounded-md text-sm"
+          />
+        </div>
+      )}
+
+      {(field.type === 'short_text' || field.type === 'long_text') && (
+        <input
+          type="number"
+          min="1"
+          value={field.maxLength ?? ''}
+          onChange={(e) => update({ maxLength: e.target.value })}
+          placeholder="Max characters (optional)"
+          className="w-full p-2 border border-gray-300 rounded-md text-sm"
+        />
+      )}
+
+      {field.type === 'file' && (
+        <input
+          value={Array.isArray(field.accept) ? field.accept.join(', ') : field.accept || ''}
+          onChange={(e) => update({ accept: e.target.value })}
+          placeholder="Allowed extensions, e.g. pdf, pptx (optional)"
+          className="w-full p-2 border border-gray-300 rounded-md text-sm"
+        />
+      )}
+
+      {earlierFields.length > 0 && (
+        <div className="flex items-center space-x-2 text-sm">
+          <span className="text-gray-600">Show only if</span>
+          <select
+            value={field.visibleIf?.field || ''}
+            onChange={(e) => update({
+              visibleIf: e.target.value ? { field: e.target.value, operator: 'equals', value: '' } : undefined
+            })}
+            className="p-2 border border-gray-300 rounded-md"
+          >
+            <option value="">Always shown</option>
+            {earlierFields.map((f) => <option key={f.id} value={f.id}>{f.label || 'Untitled question'}</option>)}
+          </select>
+          {field.visibleIf && (
+            <>
+              <select
+                value={field.visibleIf.operator}
+                onChange={(e) => update({ visibleIf: { ...field.visibleIf, operator: e.target.value } })}
+                className="p-2 border border-gray-300 rounded-md"
+              >
+                {VISIBILITY_OPERATORS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+              </select>
+              {field.visibleIf.operator !== 'answered' && (
+                source?.type === 'select' ? (
+                  <select
+                    value={field.visibleIf.value || ''}
+                    onChange={(e) => update({ visibleIf: { ...field.visibleIf, value: e.target.value } })}
+                    className="p-2 border border-gray-300 rounded-md"
+                  >
+                    <option value="">Choose...</option>
+                    {(source.options || []).filter(Boolean).map((o) => <option key={o} value={o}>{o}</option>)}
+                  </select>
+                ) : (
+                  <input
+                    value={field.visibleIf.value || ''}
+                    onChange={(e) => update({ visibleIf: { ...field.visibleIf, value: e.target.value } })}
+                    className="p-2 border border-gray-300 rounded-md"
+                  />
+                )
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between text-sm">
+        <label className="flex items-center space-x-2 text-gray-700">
+          <input type="checkbox" checked={field.required} onChange={(e) => update({ required: e.target.checked })} />
+          <span>Required</span>
+        </label>
+        <div className="flex space-x-3">
+          <button onClick={() => onMove(index, -1)} disabled={index === 0} className="text-gray-600 hover:text-gray-900 disabled:opacity-30">
+            Up
+          </button>
+          <button onClick={() => onMove(index, 1)} disabled={isLast} className="text-gray-600 hover:text-gray-900 disabled:opacity-30">
+            Down
+          </button>
+          <button onClick={() => onRemove(index)} className="text-red-600 hover:text-red-800">Remove</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Organizer editor for a pitch event's application form. Other per-event question lists in the same
+// format (e.g. feedback questions) pass their own save function, field types and empty-state text.
+export default function ApplicationFormBuilder({
+  eventId,
+  initialForm = [],
+  onSaved,
+  save = updateApplicationForm,
+  fieldTypes = FIELD_TYPES,
+  emptyText = 'No questions yet. Startups will only be asked for their pitch deck.',
+  savedMessage = 'Application form saved'
+}) {
+  const [fields, setFields] = useState(initialForm)
+  const [saving, setSaving] = useState(false)
+
+  const updateField = (index, field) => setFields(fields.map((f, i) => (i === index ? field : f)))
+
+  const moveField = (index, direction) => {
+    const next = [...fields]
+    const [field] = next.splice(index, 1)
+    next.splice(index + direction, 0, field)
+    // A condition must point at a field above it
+    setFields(next.map((f, i) => (
+      f.visibleIf && !next.slice(0, i).some((earlier) => earlier.id === f.visibleIf.field) ? { ...f, visibleIf: undefined } : f
+    )))
+  }
+
+  const removeField = (index) => {
+    const removed = fields[index]
+    setFields(fields
+      .filter((_, i) => i !== index)
+      .map((f) => (f.visibleIf?.field === removed.id ? { ...f, visibleIf: undefined } : f)))
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    const result = await save(eventId, fields)
+    setSaving(false)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setFields(result.data)
+    toast.success(savedMessage)
+    onSaved?.(result.data)
+  }
+
+  return (
+    <div className="space-y-4">
+      {fields.length === 0 && (
+        <p className="text-sm text-gray-500">{emptyText}</p>
+      )}
+      {fields.map((field, index) => (
+        <FieldEditor
+          key={field.id}
+          field={field}
+          index={index}
+          earlierFields={fields.slice(0, index)}
+          fieldTypes={fieldTypes}
+          isLast={index === fields.length - 1}
+          onChange={(updated) => updateField(index, updated)}
+          onMove={moveField}
+          onRemove={removeField}
+        />
+      ))}
+      <div className="flex justify-between">
+        <button onClick={() => setFields([...fields, emptyField()])} className="text-sm text-blue-600 hover:text-blue-800">
+          Add question
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save form'}
+        </button>
+      </div>
+    </div>
+  )
+}
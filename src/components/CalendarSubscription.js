@@ -0,0 +1,84 @@
+'use client'
+
+import { useState } from 'react'
+import { toast } from 'react-hot-toast'
+import { getCalendarFeed, resetCalendarFeed } from '@/lib/api/calendar'
+
+// Private iCal feed URL for subscribing from Google Calendar, Outlook or Apple Calendar
+export default function CalendarSubscription() {
+  const [feed, setFeed] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  const showFeed = async () => {
+    setLoading(true)
+    const result = await getCalendarFeed()
+    setLoading(false)
+    if (result.error) toast.error(result.error)
+    else setFeed(result.data)
+  }
+
+  const handleReset = async () => {
+    if (!confirm('Reset your calendar link? Calendars subscribed with the old link will stop updating.')) return
+    const result = await resetCalendarFeed()
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setFeed(result.data)
+    toast.success('Calendar link reset')
+  }
+
+  const copyFeed = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url)
+      toast.success('Link copied')
+    } catch {
+      toast.error('Copy failed, select the link instead')
+    }
+  }
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="font-medium text-gray-900">Calendar sync</p>
+          <p className="text-sm text-gray-600">
+            Subscribe to your registered events and mentorship sessions; changes and cancellations sync automatically.
+          </p>
+        </div>
+        {!feed && (
+          <button
+            onClick={showFeed}
+            disabled={loading}
+            className="text-sm text-blue-600 hover:text-blue-800 whitespace-nowrap ml-4 disabled:opacity-50"
+          >
+            {loading ? 'Loading...' : 'Get calendar link'}
+          </button>
+        )}
+      </div>
+
+      {feed && (
+        <div className="mt-3 space-y-2">
+          <div className="flex items-center space-x-2">
+            <input
+              readOnly
+              value={feed.url}
+              onFocus={(e) => e.target.select()}
+              className="flex-1 p-2 text-sm border border-gray-300 rounded-md bg-gray-50"
+            />
+            <button onClick={copyFeed} className="text-sm text-blue-600 hover:text-blue-800">Copy</button>
+          </div>
+          <div className="flex items-center space-x-4 text-sm">
+            <a href={feed.url.replace(/^https?:/, 'webcal:')} className="text-blue-600 hover:text-blue-800">
+              Open in calendar app
+            </a>
+            <button onClick={handleReset} className="text-gray-500 hover:text-gray-700">
+              Reset link
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">Keep this link private: anyone with it can see your schedule.</p>
+        </div>
+      )}
+    </div>
+  )
+}
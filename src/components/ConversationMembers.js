@@ -0,0 +1,143 @@
+'use client'
+
+import { useState } from 'react'
+import { toast } from 'react-hot-toast'
+import {
+  addConversationMembers,
+  removeConversationMember,
+  setConversationMemberRole,
+  renameConversation,
+  leaveConversation
+} from '@/lib/api/messages'
+import { HISTORY_OPTIONS, GROUP_NAME_MAX_LENGTH, activeMembers } from '@/lib/conversations'
+import ConnectionPicker from '@/components/ui/ConnectionPicker'
+
+// Members of a group conversation; owners rename the group, add and remove people and hand out ownership
+export default function ConversationMembers({ conversation, userId, onChange, onLeft, onClose }) {
+  const members = activeMembers(conversation)
+  const isOwner = members.some((m) => m.user_id === userId && m.role === 'owner')
+  const [name, setName] = useState(conversation.name)
+  const [adding, setAdding] = useState([])
+  const [history, setHistory] = useState('full')
+  const [busy, setBusy] = useState(false)
+
+  const run = async (action, successMessage) => {
+    setBusy(true)
+    const result = await action()
+    setBusy(false)
+    if (result.error) {
+      toast.error(result.error)
+      return null
+    }
+    if (successMessage) toast.success(successMessage)
+    if (result.data) onChange(result.data)
+    return result
+  }
+
+  const handleRename = async (e) => {
+    e.preventDefault()
+    if (name.trim() === conversation.name) return
+    await run(() => renameConversation(conversation.id, name), 'Group renamed')
+  }
+
+  const handleAdd = async () => {
+    const result = await run(() => addConversationMembers(conversation.id, adding, { history }), 'Members added')
+    if (result) setAdding([])
+  }
+
+  const handleRemove = async (member) => {
+    if (!confirm(`Remove ${member.profile?.full_name || 'this member'} from the group?`)) return
+    await run(() => removeConversationMember(conversation.id, member.user_id), 'Member removed')
+  }
+
+  const handleLeave = async () => {
+    if (!confirm(`Leave ${conversation.name}? You will keep the messages you could already see.`)) return
+    const result = await run(() => leaveConversation(conversation.id), 'You left the group')
+    if (result) onLeft()
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4 space-y-4 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        {isOwner ? (
+          <form onSubmit={handleRename} className="flex space-x-2">
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength={GROUP_NAME_MAX_LENGTH}
+              className="flex-1 p-2 border border-gray-300 rounded-md text-sm font-medium"
+            />
+            <button type="submit" disabled={busy || !name.trim()} className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50">
+              Rename
+            </button>
+          </form>
+        ) : (
+          <h3 className="text-lg font-bold text-gray-900">{conversation.name}</h3>
+        )}
+
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-2">{members.length} members</h4>
+          <ul className="divide-y divide-gray-100">
+            {members.map((member) => (
+              <li key={member.user_id} className="flex items-center justify-between py-2 text-sm">
+                <div>
+                  <span className="text-gray-900">{member.user_id === userId ? 'You' : member.profile?.full_name}</span>
+                  {member.role === 'owner' && (
+                    <span className="ml-2 px-2 py-0.5 bg-blue-100 text-blue-800 rounded-full text-xs">Owner</span>
+                  )}
+                  {member.visible_from && (
+                    <span className="ml-2 text-xs text-gray-400">sees messages from {new Date(member.visible_from).toLocaleDateString()}</span>
+                  )}
+                </div>
+                {isOwner && member.user_id !== userId && (
+                  <div className="space-x-3">
+                    <button
+                      onClick={() => run(() => setConversationMemberRole(conversation.id, member.user_id, member.role === 'owner' ? 'member' : 'owner'))}
+                      disabled={busy}
+                      className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                    >
+                      {member.role === 'owner' ? 'Make member' : 'Make owner'}
+                    </button>
+                    {member.role !== 'owner' && (
+                      <button onClick={() => handleRemove(member)} disabled={busy} className="text-red-600 hover:text-red-800 disabled:opacity-50">
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {isOwner && (
+          <div className="space-y-2 border-t border-gray-200 pt-4">
+            <h4 className="text-sm font-medium text-gray-700">Add people</h4>
+            <ConnectionPicker userId={userId} selected={adding} onChange={setAdding} exclude={members.map((m) => m.user_id)} />
+            <div className="flex items-center justify-between">
+              <select value={history} onChange={(e) => setHistory(e.target.value)} className="p-2 border border-gray-300 rounded-md text-sm">
+                {HISTORY_OPTIONS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+              </select>
+              <button
+                onClick={handleAdd}
+                disabled={busy || adding.length === 0}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+              >
+                Add {adding.length || ''}
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-between border-t border-gray-200 pt-4">
+          <button onClick={handleLeave} disabled={busy} className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50">
+            Leave group
+          </button>
+          <button onClick={onClose} className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md text-sm hover:bg-gray-50">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
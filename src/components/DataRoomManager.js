@@ -0,0 +1,312 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { toast } from 'react-hot-toast'
+import {
+  getDataRoom,
+  createDataRoomFolder,
+  deleteDataRoomFolder,
+  uploadDataRoomDocument,
+  deleteDataRoomDocument,
+  getDataRoomDocumentLink,
+  getDataRoomGrants,
+  grantDataRoomAccess,
+  revokeDataRoomAccess,
+  getDataRoomAccessLog,
+  getDataRoomInvestorOptions,
+  DATA_ROOM_CATEGORIES
+} from '@/lib/api/dataRoom'
+
+const formatSize = (bytes) => {
+  if (!bytes) return ''
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+// Founder view of the due-diligence data room: folders, uploads, investor access and the access log
+export default function DataRoomManager({ startupId }) {
+  const [folders, setFolders] = useState([])
+  const [grants, setGrants] = useState([])
+  const [accessLog, setAccessLog] = useState([])
+  const [investorOptions, setInvestorOptions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [uploadingTo, setUploadingTo] = useState(null)
+  const [newFolder, setNewFolder] = useState({ name: '', category: 'financials' })
+  const [newGrant, setNewGrant] = useState({ investorId: '', expiresAt: '' })
+
+  const loadDataRoom = useCallback(async () => {
+    setLoading(true)
+    const [room, grantList, log, options] = await Promise.all([
+      getDataRoom(startupId),
+      getDataRoomGrants(),
+      getDataRoomAccessLog(),
+      getDataRoomInvestorOptions()
+    ])
+    if (room.error) toast.error(room.error)
+    else setFolders(room.data.folders)
+    if (!grantList.error) setGrants(grantList.data)
+    if (!log.error) setAccessLog(log.data)
+    if (!options.error) setInvestorOptions(options.data)
+    setLoading(false)
+  }, [startupId])
+
+  useEffect(() => {
+    if (startupId) loadDataRoom()
+  }, [startupId, loadDataRoom])
+
+  const handleCreateFolder = async (e) => {
+    e.preventDefault()
+    const result = await createDataRoomFolder(newFolder)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setFolders([...folders, result.data])
+    setNewFolder({ name: '', category: 'financials' })
+  }
+
+  const handleDeleteFolder = async (folder) => {
+    if (!confirm(`Delete "${folder.name}" and all of its documents?`)) return
+    const result = await deleteDataRoomFolder(folder.id)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setFolders(folders.filter((f) => f.id !== folder.id))
+  }
+
+  const handleUpload = async (folderId, file) => {
+    if (!file) return
+    setUploadingTo(folderId)
+    const result = await uploadDataRoomDocument(folderId, file)
+    setUploadingTo(null)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setFolders(folders.map((f) => (f.id === folderId ? { ...f, documents: [...(f.documents || []), result.data] } : f)))
+    toast.success('Document uploaded')
+  }
+
+  const handleDeleteDocument = async (folderId, documentId) => {
+    const result = await deleteDataRoomDocument(documentId)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setFolders(folders.map((f) => (f.id === folderId ? { ...f, documents: f.documents.filter((d) => d.id !== documentId) } : f)))
+  }
+
+  const handleOpen = async (documentId) => {
+    const result = await getDataRoomDocumentLink(documentId)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    window.open(result.data.url, '_blank', 'noopener,noreferrer')
+  }
+
+  const handleGrant = async (e) => {
+    e.preventDefault()
+    if (!newGrant.investorId) return
+    const result = await grantDataRoomAccess(newGrant.investorId, {
+      expiresAt: newGrant.expiresAt ? new Date(newGrant.expiresAt).toISOString() : null
+    })
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setGrants([result.data, ...grants.filter((g) => g.investor_id !== result.data.investor_id)])
+    setNewGrant({ investorId: '', expiresAt: '' })
+    toast.success('Access granted')
+  }
+
+  const handleRevoke = async (investorId) => {
+    const result = await revokeDataRoomAccess(investorId)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setGrants(grants.map((g) => (g.investor_id === investorId ? result.data : g)))
+    toast.success('Access revoked')
+  }
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm p-6 text-center">
+        <p className="text-gray-600">Loading data room...</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Folders and documents */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h3 className="text-xl font-semibold text-gray-900 mb-1">Data Room</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Documents are private. Investors you grant access to get short-lived links, and every open is logged below.
+        </p>
+
+        <form onSubmit={handleCreateFolder} className="flex flex-wrap gap-2 mb-6">
+          <input
+            value={newFolder.name}
+            onChange={(e) => setNewFolder({ ...newFolder, name: e.target.value })}
+            placeholder="New folder name"
+            className="flex-1 min-w-[180px] p-2 border border-gray-300 rounded-md text-sm"
+          />
+          <select
+            value={newFolder.category}
+            onChange={(e) => setNewFolder({ ...newFolder, category: e.target.value })}
+            className="p-2 border border-gray-300 rounded-md text-sm"
+          >
+            {DATA_ROOM_CATEGORIES.map((c) => (
+              <option key={c.value} value={c.value}>{c.label}</option>
+            ))}
+          </select>
+          <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded-md text-sm hover:bg-blue-700">
+            Add Folder
+          </button>
+        </form>
+
+        {folders.length === 0 ? (
+          <p className="text-gray-600">No folders yet. Start with financials, cap table and legal documents.</p>
+        ) : (
+          <div className="space-y-4">
+            {folders.map((folder) => (
+              <div key={folder.id} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex items-center justify-between mb-2">
+                  <div>
+                    <h4 className="font-medium text-gray-900">📁 {folder.name}</h4>
+                    <span className="text-xs text-gray-500">
+                      {DATA_ROOM_CATEGORIES.find((c) => c.value === folder.category)?.label}
+                    </span>
+                  </div>
+                  <div className="flex items-center space-x-3 text-sm">
+                    <label className="text-blue-600 hover:text-blue-800 cursor-pointer">
+                      {uploadingTo === folder.id ? 'Uploading...' : 'Upload'}
+                      <input
+                        type="file"
+                        className="hidden"
+                        disabled={uploadingTo === folder.id}
+                        onChange={(e) => {
+                          handleUpload(folder.id, e.target.files[0])
+                          e.target.value = ''
+                        }}
+                      />
+                    </label>
+                    <button onClick={() => handleDeleteFolder(folder)} className="text-red-600 hover:text-red-800">
+                      Delete
+                    </button>
+                  </div>
+                </div>
+                {folder.documents?.length ? (
+                  <ul className="divide-y divide-gray-100">
+                    {folder.documents.map((doc) => (
+                      <li key={doc.id} className="flex items-center justify-between py-2 text-sm">
+                        <button onClick={() => handleOpen(doc.id)} className="text-gray-800 hover:underline truncate text-left">
+                          📄 {doc.name}
+                        </button>
+                        <div className="flex items-center space-x-3 text-xs text-gray-500">
+                          <span>{formatSize(doc.file_size)}</span>
+                          <button onClick={() => handleDeleteDocument(folder.id, doc.id)} className="text-red-500 hover:text-red-700">
+                            Remove
+                          </button>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-sm text-gray-500">Empty folder</p>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Investor access */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h3 className="text-xl font-semibold text-gray-900 mb-4">Investor Access</h3>
+        <form onSubmit={handleGrant} className="flex flex-wrap gap-2 mb-4">
+          <select
+            value={newGrant.investorId}
+            onChange={(e) => setNewGrant({ ...newGrant, investorId: e.target.value })}
+            className="flex-1 min-w-[180px] p-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">Select an investor you&apos;ve contacted</option>
+            {investorOptions.map((i) => (
+              <option key={i.id} value={i.id}>{i.full_name}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={newGrant.expiresAt}
+            onChange={(e) => setNewGrant({ ...newGrant, expiresAt: e.target.value })}
+            title="Access ends on (optional)"
+            className="p-2 border border-gray-300 rounded-md text-sm"
+          />
+          <button type="submit" className="bg-green-600 text-white px-4 py-2 rounded-md text-sm hover:bg-green-700">
+            Grant Access
+          </button>
+        </form>
+        {grants.length === 0 ? (
+          <p className="text-gray-600">No investors have access yet</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {grants.map((grant) => (
+              <li key={grant.id} className="flex items-center justify-between py-2 text-sm">
+                <div>
+                  <p className="font-medium text-gray-900">{grant.investor?.full_name}</p>
+                  <p className="text-xs text-gray-500">
+                    {grant.active
+                      ? grant.expires_at
+                        ? `Access until ${new Date(grant.expires_at).toLocaleDateString()}`
+                        : 'Access until revoked'
+                      : grant.revoked_at
+                        ? `Revoked ${new Date(grant.revoked_at).toLocaleDateString()}`
+                        : 'Expired'}
+                  </p>
+                </div>
+                {grant.active && (
+                  <button onClick={() => handleRevoke(grant.investor_id)} className="text-red-600 hover:text-red-800">
+                    Revoke
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Access log */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h3 className="text-xl font-semibold text-gray-900 mb-4">Access Log</h3>
+        {accessLog.length === 0 ? (
+          <p className="text-gray-600">No investor has opened a document yet</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-2">Investor</th>
+                <th className="py-2">Document</th>
+                <th className="py-2">Action</th>
+                <th className="py-2">When</th>
+              </tr>
+            </thead>
+            <tbody>
+              {accessLog.map((entry) => (
+                <tr key={entry.id} className="border-b border-gray-100">
+                  <td className="py-2 text-gray-900">{entry.viewer?.full_name || 'Unknown'}</td>
+                  <td className="py-2 text-gray-700">{entry.document?.name || 'Deleted document'}</td>
+                  <td className="py-2 text-gray-700 capitalize">{entry.action}</td>
+                  <td className="py-2 text-gray-500">{new Date(entry.created_at).toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  )
+}
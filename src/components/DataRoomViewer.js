@@ -0,0 +1,81 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { toast } from 'react-hot-toast'
+import { getDataRoom, getDataRoomDocumentLink } from '@/lib/api/dataRoom'
+
+// Investor view of a startup's data room; renders nothing without an active grant
+export default function DataRoomViewer({ startupId }) {
+  const [folders, setFolders] = useState(null)
+  const [grant, setGrant] = useState(null)
+  const [opening, setOpening] = useState(null)
+
+  useEffect(() => {
+    if (!startupId) return
+    getDataRoom(startupId).then((result) => {
+      if (result.error) return
+      setFolders(result.data.folders)
+      setGrant(result.data.grant)
+    })
+  }, [startupId])
+
+  const handleOpen = async (documentId, download) => {
+    setOpening(documentId)
+    const result = await getDataRoomDocumentLink(documentId, { download })
+    setOpening(null)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    window.open(result.data.url, '_blank', 'noopener,noreferrer')
+  }
+
+  if (!folders) return null
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">Data Room</h3>
+      <p className="text-xs text-gray-500 mb-4">
+        {grant?.expires_at
+          ? `Shared with you until ${new Date(grant.expires_at).toLocaleDateString()}. `
+          : 'Shared with you. '}
+        The founder can see which documents you open.
+      </p>
+      {folders.length === 0 ? (
+        <p className="text-sm text-gray-600">No documents shared yet</p>
+      ) : (
+        <div className="space-y-4">
+          {folders.map((folder) => (
+            <div key={folder.id}>
+              <h4 className="font-medium text-gray-900 text-sm mb-1">📁 {folder.name}</h4>
+              {folder.documents?.length ? (
+                <ul className="space-y-1">
+                  {folder.documents.map((doc) => (
+                    <li key={doc.id} className="flex items-center justify-between text-sm">
+                      <button
+                        onClick={() => handleOpen(doc.id, false)}
+                        disabled={opening === doc.id}
+                        className="text-blue-600 hover:underline truncate text-left disabled:opacity-50"
+                      >
+                        {doc.name}
+                      </button>
+                      <button
+                        onClick={() => handleOpen(doc.id, true)}
+                        disabled={opening === doc.id}
+                        className="text-xs text-gray-500 hover:text-gray-700 ml-2 disabled:opacity-50"
+                      >
+                        Download
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-xs text-gray-500">Empty folder</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,202 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { getEventAnalytics } from '@/lib/api/events'
+import { updateFeedbackQuestions } from '@/lib/api/eventFeedback'
+import { FEEDBACK_FIELD_TYPES, RATING_MAX } from '@/lib/eventAnalytics'
+import ApplicationFormBuilder from './ApplicationFormBuilder'
+
+const ROLE_LABELS = { startup: 'Startups', mentor: 'Mentors', investor: 'Investors', admin: 'Admins', unknown: 'Unknown' }
+
+function Stat({ label, value, hint }) {
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-4">
+      <p className="text-sm text-gray-500">{label}</p>
+      <p className="text-2xl font-semibold text-gray-900">{value}</p>
+      {hint && <p className="text-xs text-gray-500 mt-1">{hint}</p>}
+    </div>
+  )
+}
+
+function Bar({ label, count, total, color = 'bg-blue-500' }) {
+  const width = total ? Math.round((count / total) * 100) : 0
+  return (
+    <div className="flex items-center space-x-3 text-sm">
+      <span className="w-28 text-gray-600">{label}</span>
+      <div className="flex-1 bg-gray-100 rounded h-3">
+        <div className={`${color} h-3 rounded`} style={{ width: `${width}%` }}></div>
+      </div>
+      <span className="w-10 text-right text-gray-900">{count}</span>
+    </div>
+  )
+}
+
+// Rating, NPS, per-question results and comments; also used by OrganizerAnalytics
+export function FeedbackSummary({ summary }) {
+  if (!summary.responses) {
+    return <p className="text-sm text-gray-500">No feedback yet.</p>
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-2">
+          <p className="text-sm text-gray-600">
+            <span className="text-2xl font-semibold text-gray-900">{summary.averageRating}</span> / {RATING_MAX} from {summary.responses} response{summary.responses === 1 ? '' : 's'}
+          </p>
+          {summary.ratingCounts.map((_, i) => i + 1).reverse().map((stars) => (
+            <Bar key={stars} label={'★'.repeat(stars)} count={summary.ratingCounts[stars - 1]} total={summary.responses} color="bg-yellow-400" />
+          ))}
+        </div>
+        <div className="space-y-2">
+          {summary.nps ? (
+            <>
+              <p className="text-sm text-gray-600">
+                <span className="text-2xl font-semibold text-gray-900">{summary.nps.score}</span> NPS from {summary.nps.responses} answer{summary.nps.responses === 1 ? '' : 's'}
+              </p>
+              <Bar label="Promoters" count={summary.nps.promoters} total={summary.nps.responses} color="bg-green-500" />
+              <Bar label="Passives" count={summary.nps.passives} total={summary.nps.responses} color="bg-gray-400" />
+              <Bar label="Detractors" count={summary.nps.detractors} total={summary.nps.responses} color="bg-red-400" />
+            </>
+          ) : (
+            <p className="text-sm text-gray-500">Nobody answered the recommendation question.</p>
+          )}
+        </div>
+      </div>
+
+      {summary.questions.map((question) => (
+        <div key={question.id}>
+          <h4 className="text-sm font-medium text-gray-900">
+            {question.label} <span className="font-normal text-gray-500">({question.answered} answered)</span>
+          </h4>
+          {question.options && (
+            <div className="space-y-1 mt-2">
+              {question.options.map(({ option, count }) => (
+                <Bar key={option} label={option} count={count} total={question.answered} />
+              ))}
+            </div>
+          )}
+          {question.type === 'number' && (
+            <p className="text-sm text-gray-700 mt-1">Average: {question.average ?? '-'}</p>
+          )}
+          {question.answers && (
+            <ul className="mt-2 space-y-1 max-h-48 overflow-y-auto">
+              {question.answers.map((answer, i) => (
+                <li key={i} className="text-sm text-gray-700 bg-gray-50 rounded p-2">{answer}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+
+      {summary.comments.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-900">Comments</h4>
+          <ul className="mt-2 space-y-2 max-h-64 overflow-y-auto">
+            {summary.comments.map((comment, i) => (
+              <li key={i} className="text-sm text-gray-700 bg-gray-50 rounded p-2">
+                <span className="text-yellow-500 mr-2">{'★'.repeat(comment.rating)}</span>
+                {comment.text}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Organizer analytics for one event: attendance, audience, networking and feedback
+export default function EventAnalytics({ eventId }) {
+  const [analytics, setAnalytics] = useState(null)
+  const [loadError, setLoadError] = useState(null)
+  const [editingQuestions, setEditingQuestions] = useState(false)
+
+  useEffect(() => {
+    getEventAnalytics(eventId).then((result) => {
+      if (result.error) setLoadError(result.error)
+      else setAnalytics(result.data)
+    })
+  }, [eventId])
+
+  if (loadError) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">{loadError}</div>
+  }
+
+  if (!analytics) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">Loading analytics...</div>
+  }
+
+  const { event, stats, funnel, roles, connections, feedback } = analytics
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">{event.title}</h1>
+          <p className="text-sm text-gray-600">
+            {new Date(event.start_date).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+            {event.status === 'cancelled' && <span className="ml-2 text-red-600">Cancelled</span>}
+          </p>
+        </div>
+        <Link href="/events/analytics" className="text-sm text-blue-600 hover:text-blue-800">All my events</Link>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <Stat label="Registrations" value={funnel.registered} hint={event.max_participants ? `${event.max_participants} seats` : null} />
+        <Stat label="Confirmed" value={stats.expectedAttendees} />
+        <Stat
+          label="Show-up rate"
+          value={funnel.showUpRate === null ? '-' : `${funnel.showUpRate}%`}
+          hint={funnel.checkInUsed ? `${funnel.attended} checked in` : 'Check-in was not used'}
+        />
+        <Stat label="New connections" value={connections} hint="Between attendees since the event" />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="bg-white rounded-lg shadow-sm p-6 space-y-2">
+          <h2 className="text-lg font-semibold text-gray-900 mb-2">Registration funnel</h2>
+          <Bar label="Registered" count={funnel.registered} total={funnel.registered} />
+          <Bar label="Waitlisted" count={funnel.waitlisted} total={funnel.registered} color="bg-yellow-400" />
+          <Bar label="Confirmed" count={funnel.confirmed} total={funnel.registered} />
+          {funnel.checkInUsed && <Bar label="Attended" count={funnel.attended} total={funnel.registered} color="bg-green-500" />}
+          <Bar label="Cancelled" count={funnel.cancelled} total={funnel.registered} color="bg-red-400" />
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm p-6 space-y-2">
+          <h2 className="text-lg font-semibold text-gray-900 mb-2">Attendees by role</h2>
+          {roles.length === 0 ? (
+            <p className="text-sm text-gray-500">No attendees yet.</p>
+          ) : (
+            roles.map(({ role, count }) => (
+              <Bar key={role} label={ROLE_LABELS[role] || role} count={count} total={roles.reduce((sum, r) => sum + r.count, 0)} />
+            ))
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">Feedback</h2>
+          <button onClick={() => setEditingQuestions(!editingQuestions)} className="text-sm text-blue-600 hover:text-blue-800">
+            {editingQuestions ? 'Done' : `Edit questions (${event.feedback_questions.length})`}
+          </button>
+        </div>
+        {editingQuestions ? (
+          <ApplicationFormBuilder
+            eventId={eventId}
+            initialForm={event.feedback_questions}
+            save={updateFeedbackQuestions}
+            fieldTypes={FEEDBACK_FIELD_TYPES}
+            emptyText="No extra questions. Attendees will be asked for a rating, how likely they are to recommend the event and a comment."
+            savedMessage="Feedback questions saved"
+            onSaved={(questions) => setAnalytics({ ...analytics, event: { ...event, feedback_questions: questions } })}
+          />
+        ) : (
+          <FeedbackSummary summary={feedback} />
+        )}
+      </div>
+    </div>
+  )
+}
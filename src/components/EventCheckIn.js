@@ -0,0 +1,354 @@
+'use client'
+
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { toast } from 'react-hot-toast'
+import { getCheckInData, checkInTicket } from '@/lib/api/tickets'
+import { getEventStats } from '@/lib/api/events'
+import { parseTicket, verifyTicketSignature } from '@/lib/tickets'
+import { useRealtime } from '@/hooks/useRealtime'
+
+const RESULT_STYLES = {
+  checked_in: { label: 'Checked in', className: 'bg-green-100 text-green-800 border-green-300' },
+  checked_in_offline: { label: 'Checked in (offline)', className: 'bg-green-100 text-green-800 border-green-300' },
+  duplicate: { label: 'Already checked in', className: 'bg-yellow-100 text-yellow-800 border-yellow-300' },
+  invalid: { label: 'Invalid ticket', className: 'bg-red-100 text-red-800 border-red-300' },
+  wrong_event: { label: 'Ticket is for another event', className: 'bg-red-100 text-red-800 border-red-300' },
+  not_confirmed: { label: 'Registration not confirmed', className: 'bg-red-100 text-red-800 border-red-300' }
+}
+
+const storageKey = (eventId) => `event-check-in:${eventId}`
+
+const loadCache = (eventId) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(eventId))) || null
+  } catch {
+    return null
+  }
+}
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+
+// Organizer check-in screen. Tickets are verified locally against the event's signing secret, so scanning
+// keeps working offline; offline check-ins are queued and synced when the connection returns.
+export default function EventCheckIn({ eventId }) {
+  const [cache, setCache] = useState(null)
+  const [stats, setStats] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [online, setOnline] = useState(true)
+  const [syncing, setSyncing] = useState(false)
+  const [manualToken, setManualToken] = useState('')
+  const [lastResult, setLastResult] = useState(null)
+  const [history, setHistory] = useState([])
+  const [scanning, setScanning] = useState(false)
+  const videoRef = useRef(null)
+  const cacheRef = useRef(null)
+
+  const saveCache = useCallback((next) => {
+    cacheRef.current = next
+    setCache(next)
+    localStorage.setItem(storageKey(eventId), JSON.stringify(next))
+  }, [eventId])
+
+  const refreshStats = useCallback(async () => {
+    setStats(await getEventStats(eventId))
+  }, [eventId])
+
+  useEffect(() => {
+    setOnline(navigator.onLine)
+    const cached = loadCache(eventId)
+
+    getCheckInData(eventId).then((result) => {
+      if (result.error) {
+        if (cached) {
+          toast('Using the saved attendee list')
+          saveCache(cached)
+        } else {
+          toast.error(result.error)
+        }
+      } else {
+        const { event, key, roster } = result.data
+        const checkedIn = { ...(cached?.checkedIn || {}) }
+        roster.forEach((r) => {
+          if (r.checked_in_at) checkedIn[r.id] = r.checked_in_at
+        })
+        saveCache({
+          event,
+          key,
+          roster: Object.fromEntries(roster.map((r) => [r.id, { name: r.user?.full_name || 'Attendee', role: r.user?.role }])),
+          checkedIn,
+          pending: cached?.pending || []
+        })
+        refreshStats()
+      }
+      setLoading(false)
+    })
+  }, [eventId, saveCache, refreshStats])
+
+  const recordResult = useCallback((result) => {
+    setLastResult(result)
+    setHistory((prev) => [result, ...prev].slice(0, 20))
+  }, [])
+
+  const markCheckedIn = useCallback((registrationId, at) => {
+    const current = cacheRef.current
+    if (!current || current.checkedIn[registrationId]) return
+    saveCache({ ...current, checkedIn: { ...current.checkedIn, [registrationId]: at } })
+  }, [saveCache])
+
+  const handleScan = useCallback(async (token) => {
+    const current = cacheRef.current
+    if (!current) return
+
+    const ticket = parseTicket(token)
+    if (!ticket || !(await verifyTicketSignature(token, current.key))) {
+      recordResult({ result: 'invalid', at: new Date().toISOString() })
+      return
+    }
+    if (ticket.eventId !== eventId) {
+      recordResult({ result: 'wrong_event', at: new Date().toISOString() })
+      return
+    }
+
+    const attendee = current.roster[ticket.registrationId]
+    const name = attendee?.name
+    const previous = current.checkedIn[ticket.registrationId]
+    if (previous) {
+      recordResult({ result: 'duplicate', name, checkedInAt: previous, at: new Date().toISOString() })
+      return
+    }
+
+    const scannedAt = new Date().toISOString()
+    if (navigator.onLine) {
+      const response = await checkInTicket(eventId, token, scannedAt)
+      if (!response.error) {
+        const { result, attendee_name: attendeeName, checked_in_at: checkedInAt } = response.data
+        if (checkedInAt) markCheckedIn(ticket.registrationId, checkedInAt)
+        recordResult({ result, name: attendeeName || name, checkedInAt, at: scannedAt })
+        return
+      }
+      if (response.status === 403) {
+        toast.error(response.error)
+        return
+      }
+    }
+
+    // Offline (or the request failed): admit on the verified signature and the saved roster
+    if (!attendee) {
+      recordResult({ result: 'not_confirmed', at: scannedAt })
+      return
+    }
+    const latest = cacheRef.current
+    saveCache({
+      ...latest,
+      checkedIn: { ...latest.checkedIn, [ticket.registrationId]: scannedAt },
+      pending: [...latest.pending, { token, scannedAt }]
+    })
+    recordResult({ result: 'checked_in_offline', name, checkedInAt: scannedAt, at: scannedAt })
+  }, [eventId, markCheckedIn, recordResult, saveCache])
+
+  const syncPending = useCallback(async () => {
+    const current = cacheRef.current
+    if (!current?.pending.length || !navigator.onLine) return
+
+    setSyncing(true)
+    const remaining = []
+    let conflicts = 0
+    for (const scan of current.pending) {
+      const response = await checkInTicket(eventId, scan.token, scan.scannedAt)
+      if (response.error) remaining.push(scan)
+      else if (response.data.result !== 'checked_in') conflicts += 1
+    }
+    saveCache({ ...cacheRef.current, pending: remaining })
+    setSyncing(false)
+
+    if (conflicts) toast(`${conflicts} offline scan(s) had already been checked in on another device`)
+    if (!remaining.length) toast.success('Offline check-ins synced')
+    refreshStats()
+  }, [eventId, saveCache, refreshStats])
+
+  useEffect(() => {
+    const goOnline = () => {
+      setOnline(true)
+      syncPending()
+    }
+    const goOffline = () => setOnline(false)
+    window.addEventListener('online', goOnline)
+    window.addEventListener('offline', goOffline)
+    return () => {
+      window.removeEventListener('online', goOnline)
+      window.removeEventListener('offline', goOffline)
+    }
+  }, [syncPending])
+
+  // Check-ins from other devices update the counts and the local duplicate list
+  const handleRegistrationChange = useCallback((payload) => {
+    if (payload.new?.checked_in_at) markCheckedIn(payload.new.id, payload.new.checked_in_at)
+    refreshStats()
+  }, [markCheckedIn, refreshStats])
+
+  useRealtime('event_registrations', {
+    event: 'UPDATE',
+    filter: `event_id=eq.${eventId}`,
+    callback: handleRegistrationChange
+  })
+
+  // Camera scanning where the browser supports BarcodeDetector; hardware scanners type into the field below
+  useEffect(() => {
+    if (!scanning) return
+
+    let stream = null
+    let timer = null
+    let lastValue = null
+    let lastSeen = 0
+
+    const start = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+        videoRef.current.srcObject = stream
+        await videoRef.current.play()
+
+        const detector = new window.BarcodeDetector({ formats: ['qr_code'] })
+        timer = setInterval(async () => {
+          const codes = await detector.detect(videoRef.current).catch(() => [])
+          const value = codes[0]?.rawValue
+          if (!value) return
+          if (value === lastValue && Date.now() - lastSeen < 3000) return
+          lastValue = value
+          lastSeen = Date.now()
+          handleScan(value)
+        }, 300)
+      } catch (error) {
+        console.error('Error starting camera:', error)
+        toast.error('Could not access the camera')
+        setScanning(false)
+      }
+    }
+
+    start()
+    return () => {
+      clearInterval(timer)
+      stream?.getTracks().forEach((track) => track.stop())
+    }
+  }, [scanning, handleScan])
+
+  const handleManualSubmit = (e) => {
+    e.preventDefault()
+    if (!manualToken.trim()) return
+    handleScan(manualToken.trim())
+    setManualToken('')
+  }
+
+  if (loading) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">Loading check-in...</div>
+  }
+
+  if (!cache) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">Check-in is not available for this event</div>
+  }
+
+  const cameraSupported = typeof window !== 'undefined' && 'BarcodeDetector' in window
+  const localCheckedIn = Object.keys(cache.checkedIn).length
+  const expected = stats?.expectedAttendees ?? Object.keys(cache.roster).length
+  const checkedIn = online && stats ? Math.max(stats.checkedIn, localCheckedIn) : localCheckedIn
+  const style = lastResult && RESULT_STYLES[lastResult.result]
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex items-start justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Check-in: {cache.event.title}</h1>
+            <p className="text-sm text-gray-600">
+              {new Date(cache.event.start_date).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+              {cache.event.location ? ` · ${cache.event.location}` : ''}
+            </p>
+          </div>
+          <span className={`px-2 py-1 rounded-full text-xs font-medium ${online ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'}`}>
+            {online ? 'Online' : 'Offline'}
+          </span>
+        </div>
+
+        <div className="grid grid-cols-3 gap-4 mt-6 text-center">
+          <div>
+            <p className="text-3xl font-bold text-green-600">{checkedIn}</p>
+            <p className="text-sm text-gray-600">Checked in</p>
+          </div>
+          <div>
+            <p className="text-3xl font-bold text-gray-900">{expected}</p>
+            <p className="text-sm text-gray-600">Expected</p>
+          </div>
+          <div>
+            <p className="text-3xl font-bold text-blue-600">{expected ? Math.round((checkedIn / expected) * 100) : 0}%</p>
+            <p className="text-sm text-gray-600">Arrived</p>
+          </div>
+        </div>
+
+        {cache.pending.length > 0 && (
+          <div className="mt-4 flex items-center justify-between bg-yellow-50 p-3 rounded-md text-sm">
+            <span className="text-yellow-800">{cache.pending.length} check-in(s) waiting to sync</span>
+            <button
+              onClick={syncPending}
+              disabled={!online || syncing}
+              className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+            >
+              {syncing ? 'Syncing...' : 'Sync now'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        {style && (
+          <div className={`border-2 rounded-lg p-4 mb-4 text-center ${style.className}`}>
+            <p className="text-xl font-bold">{style.label}</p>
+            {lastResult.name && <p className="text-lg">{lastResult.name}</p>}
+            {lastResult.result === 'duplicate' && lastResult.checkedInAt && (
+              <p className="text-sm">First checked in at {formatTime(lastResult.checkedInAt)}</p>
+            )}
+          </div>
+        )}
+
+        {cameraSupported && (
+          <div className="mb-4">
+            {scanning && <video ref={videoRef} className="w-full max-h-80 rounded-lg bg-black mb-2" muted playsInline />}
+            <button
+              onClick={() => setScanning(!scanning)}
+              className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700"
+            >
+              {scanning ? 'Stop camera' : 'Scan with camera'}
+            </button>
+          </div>
+        )}
+
+        <form onSubmit={handleManualSubmit} className="flex space-x-2">
+          <input
+            value={manualToken}
+            onChange={(e) => setManualToken(e.target.value)}
+            placeholder="Scan or paste a ticket code"
+            autoFocus
+            className="flex-1 p-2 border border-gray-300 rounded-md text-sm"
+          />
+          <button type="submit" className="px-4 py-2 bg-gray-800 text-white rounded-md text-sm hover:bg-gray-900">
+            Check in
+          </button>
+        </form>
+      </div>
+
+      {history.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-3">Recent scans</h3>
+          <div className="space-y-2">
+            {history.map((entry, index) => (
+              <div key={`${entry.at}-${index}`} className="flex items-center justify-between text-sm">
+                <span className="text-gray-900">{entry.name || 'Unknown ticket'}</span>
+                <span className="text-gray-500">
+                  {RESULT_STYLES[entry.result]?.label} · {formatTime(entry.at)}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
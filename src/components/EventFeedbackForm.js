@@ -0,0 +1,192 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/navigation'
+import { toast } from 'react-hot-toast'
+import { getEventFeedbackForm, submitEventFeedback } from '@/lib/api/eventFeedback'
+import { validateFeedback, eventEndsAt, RATING_MAX, NPS_MAX, COMMENT_MAX_LENGTH, FEEDBACK_WINDOW_DAYS } from '@/lib/eventAnalytics'
+import { visibleFieldIds } from '@/lib/applicationForms'
+import { FieldInput } from './PitchApplicationForm'
+
+// Attendee feedback for an event that has ended: rating, NPS, comment and the organizer's questions
+export default function EventFeedbackForm({ eventId }) {
+  const router = useRouter()
+  const [event, setEvent] = useState(null)
+  const [open, setOpen] = useState(false)
+  const [rating, setRating] = useState(0)
+  const [nps, setNps] = useState(null)
+  const [comment, setComment] = useState('')
+  const [answers, setAnswers] = useState({})
+  const [errors, setErrors] = useState({})
+  const [editing, setEditing] = useState(false)
+  const [submitting, setSubmitting] = useState(false)
+  const [loadError, setLoadError] = useState(null)
+
+  useEffect(() => {
+    getEventFeedbackForm(eventId).then((result) => {
+      if (result.error) {
+        setLoadError(result.error)
+        return
+      }
+      const { event, feedback, open } = result.data
+      setEvent(event)
+      setOpen(open)
+      if (feedback) {
+        setEditing(true)
+        setRating(feedback.rating)
+        setNps(feedback.nps)
+        setComment(feedback.comment || '')
+        setAnswers(feedback.answers || {})
+      }
+    })
+  }, [eventId])
+
+  const clearError = (key) => setErrors((prev) => ({ ...prev, [key]: undefined }))
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const response = { rating, nps, comment, answers }
+    const check = validateFeedback(event.feedback_questions, response)
+    if (check.errors) {
+      setErrors(check.errors)
+      toast.error('Please fix the highlighted answers')
+      return
+    }
+
+    setSubmitting(true)
+    const result = await submitEventFeedback(eventId, response)
+    setSubmitting(false)
+
+    if (result.error) {
+      setErrors(result.errors || {})
+      toast.error(result.error)
+      return
+    }
+
+    toast.success('Thanks for your feedback')
+    router.push('/dashboard')
+  }
+
+  if (loadError) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">{loadError}</div>
+  }
+
+  if (!event) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">Loading feedback form...</div>
+  }
+
+  if (!open) {
+    const ended = eventEndsAt(event) <= new Date()
+    return (
+      <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">
+        {event.status === 'cancelled'
+          ? `${event.title} was cancelled.`
+          : ended
+            ? `Feedback for ${event.title} closed ${FEEDBACK_WINDOW_DAYS} days after the event.`
+            : `Feedback for ${event.title} opens when the event ends.`}
+      </div>
+    )
+  }
+
+  const visible = visibleFieldIds(event.feedback_questions, answers)
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm p-6 space-y-5">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">How was {event.title}?</h1>
+        <p className="text-sm text-gray-600">
+          {editing ? 'You can update your feedback until the survey closes.' : 'Your answers go to the organizer.'}
+        </p>
+      </div>
+
+      <div>
+        <span className="block text-sm font-medium text-gray-700">
+          Overall rating<span className="text-red-500"> *</span>
+        </span>
+        <div className="flex space-x-1 mt-1">
+          {Array.from({ length: RATING_MAX }, (_, i) => i + 1).map((star) => (
+            <button
+              key={star}
+              type="button"
+              onClick={() => { setRating(star); clearError('rating') }}
+              aria-label={`${star} of ${RATING_MAX}`}
+              className={`text-3xl leading-none ${star <= rating ? 'text-yellow-400' : 'text-gray-300'} hover:text-yellow-500`}
+            >
+              ★
+            </button>
+          ))}
+        </div>
+        {errors.rating && <p className="text-xs text-red-600 mt-1">{errors.rating}</p>}
+      </div>
+
+      <div>
+        <span className="block text-sm font-medium text-gray-700">
+          How likely are you to recommend this event to a friend or colleague?
+        </span>
+        <div className="flex flex-wrap gap-1 mt-1">
+          {Array.from({ length: NPS_MAX + 1 }, (_, i) => i).map((score) => (
+            <button
+              key={score}
+              type="button"
+              onClick={() => { setNps(nps === score ? null : score); clearError('nps') }}
+              className={`w-9 h-9 rounded-md border text-sm ${
+                nps === score ? 'bg-blue-600 border-blue-600 text-white' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {score}
+            </button>
+          ))}
+        </div>
+        <div className="flex justify-between text-xs text-gray-500 mt-1 max-w-md">
+          <span>Not likely</span>
+          <span>Very likely</span>
+        </div>
+        {errors.nps && <p className="text-xs text-red-600 mt-1">{errors.nps}</p>}
+      </div>
+
+      {event.feedback_questions.filter((field) => visible.has(field.id)).map((field) => (
+        <div key={field.id}>
+          <label className="block text-sm font-medium text-gray-700">
+            {field.label}{field.required && <span className="text-red-500"> *</span>}
+          </label>
+          {field.help && <p className="text-xs text-gray-500 mb-1">{field.help}</p>}
+          <div className="mt-1">
+            <FieldInput
+              eventId={eventId}
+              field={field}
+              value={answers[field.id]}
+              error={errors[field.id]}
+              onChange={(value) => {
+                setAnswers((prev) => ({ ...prev, [field.id]: value }))
+                clearError(field.id)
+              }}
+            />
+          </div>
+          {errors[field.id] && <p className="text-xs text-red-600 mt-1">{errors[field.id]}</p>}
+        </div>
+      ))}
+
+      <label className="block">
+        <span className="text-sm font-medium text-gray-700">Anything else?</span>
+        <textarea
+          value={comment}
+          onChange={(e) => { setComment(e.target.value); clearError('comment') }}
+          rows={4}
+          maxLength={COMMENT_MAX_LENGTH}
+          placeholder="What worked, what could be better"
+          className={`mt-1 w-full p-2 border rounded-md text-sm ${errors.comment ? 'border-red-400' : 'border-gray-300'}`}
+        />
+        {errors.comment && <p className="text-xs text-red-600 mt-1">{errors.comment}</p>}
+      </label>
+
+      <button
+        type="submit"
+        disabled={submitting}
+        className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+      >
+        {submitting ? 'Sending...' : editing ? 'Update feedback' : 'Send feedback'}
+      </button>
+    </form>
+  )
+}
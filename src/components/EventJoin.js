@@ -0,0 +1,158 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import Link from 'next/link'
+import { toast } from 'react-hot-toast'
+import { useAuth } from '@/hooks/useAuth'
+import { getEventJoinLinks, getEventRecordings } from '@/lib/api/virtualEvents'
+import { providerLabel, joinClosesAt } from '@/lib/virtualEvents'
+
+const MINUTE_MS = 60 * 1000
+
+function MeetingLink({ link, primary = false }) {
+  const copyPasscode = async () => {
+    try {
+      await navigator.clipboard.writeText(link.passcode)
+      toast.success('Passcode copied')
+    } catch {
+      toast.error('Copy failed, select the passcode instead')
+    }
+  }
+
+  return (
+    <div className="flex items-center justify-between border border-gray-200 rounded-lg p-4">
+      <div>
+        <p className="font-medium text-gray-900">{link.label || providerLabel(link.provider)}</p>
+        <p className="text-sm text-gray-500">
+          {link.label && `${providerLabel(link.provider)} · `}
+          {link.starts_at && `${new Date(link.starts_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} · `}
+          {link.passcode ? (
+            <button onClick={copyPasscode} className="text-blue-600 hover:text-blue-800">
+              Passcode {link.passcode}
+            </button>
+          ) : 'No passcode'}
+        </p>
+      </div>
+      <a
+        href={link.url}
+        target="_blank"
+        rel="noopener noreferrer"
+        className={primary
+          ? 'px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm'
+          : 'px-4 py-2 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 text-sm'}
+      >
+        Join
+      </a>
+    </div>
+  )
+}
+
+// Join page of a virtual event: main room, breakout rooms and recordings, each as far as the user may see them
+export default function EventJoin({ eventId }) {
+  const { user } = useAuth()
+  const [details, setDetails] = useState(null)
+  const [recordings, setRecordings] = useState([])
+  const [loadError, setLoadError] = useState(null)
+
+  const load = useCallback(async () => {
+    const [result, recordingsResult] = await Promise.all([getEventJoinLinks(eventId), getEventRecordings(eventId)])
+    if (result.error) {
+      setLoadError(result.error)
+      return
+    }
+    setDetails(result.data)
+    if (!recordingsResult.error) setRecordings(recordingsResult.data)
+  }, [eventId])
+
+  useEffect(() => {
+    load()
+  }, [load])
+
+  // Reload when the links are due to appear, and when the join window closes
+  useEffect(() => {
+    if (!details) return
+    const next = details.state === 'early'
+      ? new Date(details.revealAt)
+      : details.state === 'open' ? joinClosesAt(details.event) : null
+    if (!next) return
+    const delay = next.getTime() - Date.now() + 1000
+    if (delay > 24 * 60 * MINUTE_MS) return
+    const timer = setTimeout(load, Math.max(delay, 1000))
+    return () => clearTimeout(timer)
+  }, [details, load])
+
+  if (loadError) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">{loadError}</div>
+  }
+
+  if (!details) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">Loading...</div>
+  }
+
+  const { event, state, revealAt, registered, main, breakouts } = details
+  const isOrganizer = user?.id === event.organizer_id
+  const hasLinks = main || breakouts.length > 0
+
+  let notice = null
+  if (state === 'cancelled') {
+    notice = 'This event was cancelled.'
+  } else if (!event.is_virtual) {
+    notice = 'This event takes place in person.'
+  } else if (!registered && !isOrganizer) {
+    notice = 'Meeting links are shared with confirmed registrants.'
+  } else if (state === 'early' && !isOrganizer) {
+    notice = `The meeting link appears here at ${new Date(revealAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}.`
+  } else if (state === 'ended' && !isOrganizer) {
+    notice = 'This event has ended.'
+  } else if (!hasLinks) {
+    notice = 'The organizer has not added a meeting link yet.'
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-sm p-6 space-y-4">
+        <div className="flex items-start justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">{event.title}</h1>
+            <p className="text-sm text-gray-600">
+              {new Date(event.start_date).toLocaleString([], { dateStyle: 'full', timeStyle: 'short' })}
+            </p>
+          </div>
+          {isOrganizer && (
+            <Link href={`/events/${event.id}/hosting`} className="text-sm text-blue-600 hover:text-blue-800">
+              Manage hosting
+            </Link>
+          )}
+        </div>
+
+        {notice && <p className="text-gray-600">{notice}</p>}
+
+        {main && <MeetingLink link={main} primary />}
+
+        {breakouts.length > 0 && (
+          <div className="space-y-2">
+            <h2 className="text-sm font-medium text-gray-700">Breakout rooms</h2>
+            {breakouts.map((link) => <MeetingLink key={link.id} link={link} />)}
+          </div>
+        )}
+      </div>
+
+      {recordings.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm p-6 space-y-2">
+          <h2 className="text-lg font-semibold text-gray-900">Recordings</h2>
+          {recordings.map((recording) => (
+            <a
+              key={recording.id}
+              href={recording.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="block text-blue-600 hover:text-blue-800"
+            >
+              ▶ {recording.label}
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,378 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { toast } from 'react-hot-toast'
+import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/hooks/useAuth'
+import { registerForEvent, cancelEventRegistration } from '@/lib/api/eventRegistration'
+import {
+  getEventSeries,
+  registerForEventSeries,
+  leaveEventSeries,
+  cancelOccurrence,
+  restoreOccurrence,
+  updateOccurrence
+} from '@/lib/api/eventSeries'
+import { parseRRule, describeRule, buildRule, formatRRule, ruleToOptions } from '@/lib/recurrence'
+import { zonedParts, zonedTimeToUtc, formatTimeInZone } from '@/lib/scheduling'
+import RecurrenceEditor from '@/components/RecurrenceEditor'
+
+const pad = (n) => String(n).padStart(2, '0')
+
+// datetime-local value for an instant, in the series time zone
+function toZonedInput(date, timeZone) {
+  if (!date) return ''
+  const p = zonedParts(date, timeZone)
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`
+}
+
+function fromZonedInput(value, timeZone) {
+  if (!value) return null
+  const [date, time] = value.split('T')
+  return zonedTimeToUtc(date, time, timeZone).toISOString()
+}
+
+function OccurrenceEditor({ occurrence, series, onSaved, onClose }) {
+  const timeZone = series.timezone
+  const [form, setForm] = useState({
+    title: occurrence.title,
+    location: occurrence.location || '',
+    start: toZonedInput(occurrence.start_date, timeZone),
+    end: toZonedInput(occurrence.end_date, timeZone)
+  })
+  const [scope, setScope] = useState('this')
+  const [recurrence, setRecurrence] = useState(ruleToOptions(parseRRule(series.recurrence_rule), timeZone))
+  const [saving, setSaving] = useState(false)
+
+  const start = fromZonedInput(form.start, timeZone)
+
+  const handleSave = async () => {
+    if (!form.title.trim() || !start) {
+      toast.error('Title and start time are required')
+      return
+    }
+
+    let rrule
+    if (scope === 'future') {
+      const { rule, error } = buildRule(recurrence, start, timeZone)
+      if (error) {
+        toast.error(error)
+        return
+      }
+      rrule = formatRRule(rule)
+    }
+
+    setSaving(true)
+    const result = await updateOccurrence(occurrence.id, {
+      title: form.title.trim(),
+      location: form.location.trim(),
+      start_date: start,
+      end_date: fromZonedInput(form.end, timeZone)
+    }, { scope, rrule })
+    setSaving(false)
+
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    toast.success(scope === 'future' ? 'This and following events updated' : 'Event updated')
+    onSaved()
+  }
+
+  return (
+    <div className="mt-3 border-t pt-3 space-y-3">
+      <input
+        value={form.title}
+        onChange={(e) => setForm({ ...form, title: e.target.value })}
+        placeholder="Title"
+        className="w-full p-2 border border-gray-300 rounded-md text-sm"
+      />
+      <input
+        value={form.location}
+        onChange={(e) => setForm({ ...form, location: e.target.value })}
+        placeholder="Location"
+        className="w-full p-2 border border-gray-300 rounded-md text-sm"
+      />
+      <div className="grid grid-cols-2 gap-2">
+        <label className="text-xs text-gray-600">
+          Starts
+          <input
+            type="datetime-local"
+            value={form.start}
+            onChange={(e) => setForm({ ...form, start: e.target.value })}
+            className="mt-1 w-full p-2 border border-gray-300 rounded-md text-sm"
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Ends
+          <input
+            type="datetime-local"
+            value={form.end}
+            onChange={(e) => setForm({ ...form, end: e.target.value })}
+            className="mt-1 w-full p-2 border border-gray-300 rounded-md text-sm"
+          />
+        </label>
+      </div>
+      <p className="text-xs text-gray-500">Times are in {timeZone}.</p>
+
+      <div className="flex space-x-4 text-sm">
+        <label className="flex items-center space-x-2">
+          <input type="radio" checked={scope === 'this'} onChange={() => setScope('this')} />
+          <span>This event</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <input type="radio" checked={scope === 'future'} onChange={() => setScope('future')} />
+          <span>This and following events</span>
+        </label>
+      </div>
+
+      {scope === 'future' && (
+        <div className="bg-gray-50 rounded-md p-3">
+          <RecurrenceEditor
+            value={recurrence}
+            onChange={setRecurrence}
+            startDate={start}
+            timeZone={timeZone}
+            allowNone={false}
+          />
+          <p className="text-xs text-gray-500 mt-2">
+            Later dates keep their registrations and cancellations; one-off changes to them are replaced.
+          </p>
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-3">
+        <button onClick={onClose} className="px-4 py-2 text-sm text-gray-600 hover:text-gray-900">Close</button>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+// Every date of a recurring event: series and per-date registration, and organizer controls
+export default function EventSeries({ eventId }) {
+  const { user, profile } = useAuth()
+  const [seriesId, setSeriesId] = useState(null)
+  const [details, setDetails] = useState(null)
+  // event id -> the user's active registration ({ id, status })
+  const [registrations, setRegistrations] = useState(new Map())
+  const [editingId, setEditingId] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [loadError, setLoadError] = useState(null)
+
+  useEffect(() => {
+    supabase
+      .from('events')
+      .select('series_id')
+      .eq('id', eventId)
+      .single()
+      .then(({ data }) => {
+        if (data?.series_id) setSeriesId(data.series_id)
+        else setLoadError('This event is not part of a series.')
+      })
+  }, [eventId])
+
+  const loadSeries = useCallback(async () => {
+    if (!seriesId) return
+    const result = await getEventSeries(seriesId)
+    if (result.error) {
+      setLoadError(result.error)
+      return
+    }
+    setDetails(result.data)
+
+    if (user && result.data.occurrences.length) {
+      const { data } = await supabase
+        .from('event_registrations')
+        .select('id, event_id, status')
+        .eq('user_id', user.id)
+        .in('event_id', result.data.occurrences.map((o) => o.id))
+        .not('status', 'in', '(cancelled,expired,rejected)')
+      setRegistrations(new Map((data || []).map((reg) => [reg.event_id, reg])))
+    }
+  }, [seriesId, user])
+
+  useEffect(() => {
+    loadSeries()
+  }, [loadSeries])
+
+  const run = async (action, successMessage) => {
+    setBusy(true)
+    const result = await action()
+    setBusy(false)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    toast.success(typeof successMessage === 'function' ? successMessage(result.data) : successMessage)
+    loadSeries()
+  }
+
+  const handleJoinSeries = () => run(
+    () => registerForEventSeries(seriesId),
+    ({ confirmed, waitlisted }) => waitlisted
+      ? `Registered for ${confirmed} date${confirmed === 1 ? '' : 's'}, waitlisted for ${waitlisted}`
+      : 'Registered for every upcoming date'
+  )
+
+  const handleCancelOccurrence = (occurrence) => {
+    const reason = window.prompt(`Cancel "${occurrence.title}" on this date? Optionally give a reason for attendees.`, '')
+    if (reason === null) return
+    run(() => cancelOccurrence(occurrence.id, reason.trim()), 'Date cancelled')
+  }
+
+  if (loadError) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">{loadError}</div>
+  }
+
+  if (!details) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">Loading series...</div>
+  }
+
+  const { series, occurrences, registration } = details
+  const timeZone = series.timezone
+  const isOrganizer = user && (series.organizer_id === user.id || profile?.role === 'admin')
+  const now = new Date()
+  const upcoming = occurrences.filter((o) => new Date(o.start_date) > now)
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex items-start justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">{series.title}</h1>
+            <p className="text-sm text-gray-600">
+              {describeRule(parseRRule(series.recurrence_rule), { timeZone })} · {formatTimeInZone(series.starts_at, timeZone)} {timeZone}
+            </p>
+            {series.organizer && <p className="text-sm text-gray-500">Organized by {series.organizer.full_name}</p>}
+          </div>
+          {user && upcoming.length > 0 && (
+            registration ? (
+              <button
+                onClick={() => run(() => leaveEventSeries(seriesId), 'You left the series')}
+                disabled={busy}
+                className="px-4 py-2 border border-red-300 text-red-700 rounded-md text-sm hover:bg-red-50 disabled:opacity-50"
+              >
+                Leave series
+              </button>
+            ) : (
+              <button
+                onClick={handleJoinSeries}
+                disabled={busy}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+              >
+                Register for all dates
+              </button>
+            )
+          )}
+        </div>
+        {registration && (
+          <p className="mt-3 text-sm text-green-700">
+            You are registered for the whole series, including dates added later.
+          </p>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm divide-y">
+        {occurrences.map((occurrence) => {
+          const isPast = new Date(occurrence.start_date) <= now
+          const isCancelled = occurrence.status === 'cancelled'
+          const mine = registrations.get(occurrence.id)
+          return (
+            <div key={occurrence.id} className={`p-4 ${isPast ? 'opacity-60' : ''}`}>
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className={`font-medium text-gray-900 ${isCancelled ? 'line-through' : ''}`}>
+                    {formatTimeInZone(occurrence.start_date, timeZone, { dateStyle: 'full', timeStyle: 'short' })}
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    {occurrence.title !== series.title && <span>{occurrence.title} · </span>}
+                    {occurrence.location && <span>{occurrence.location} · </span>}
+                    {occurrence.registrations?.[0]?.count || 0}
+                    {occurrence.max_participants ? ` / ${occurrence.max_participants}` : ''} registered
+                  </p>
+                  {isCancelled && (
+                    <p className="text-sm text-red-600">
+                      Cancelled{occurrence.cancellation_reason ? `: ${occurrence.cancellation_reason}` : ''}
+                    </p>
+                  )}
+                </div>
+                <div className="flex items-center space-x-3 text-sm">
+                  {occurrence.is_override && !isCancelled && (
+                    <span className="px-2 py-1 rounded-full text-xs bg-yellow-100 text-yellow-800">Changed</span>
+                  )}
+                  {user && !isPast && !isCancelled && (
+                    mine ? (
+                      <button
+                        onClick={() => run(() => cancelEventRegistration(mine.id), 'Registration cancelled')}
+                        disabled={busy}
+                        className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                      >
+                        {mine.status === 'waitlisted' ? 'Leave waitlist' : 'Unregister'}
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => run(() => registerForEvent(occurrence.id), (data) => (
+                          data.status === 'waitlisted' ? `Date is full. You're #${data.waitlist_position} on the waitlist` : 'Registered for this date'
+                        ))}
+                        disabled={busy}
+                        className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                      >
+                        Register
+                      </button>
+                    )
+                  )}
+                  {isOrganizer && !isPast && (
+                    <>
+                      <button
+                        onClick={() => setEditingId(editingId === occurrence.id ? null : occurrence.id)}
+                        className="text-gray-600 hover:text-gray-900"
+                      >
+                        Edit
+                      </button>
+                      {isCancelled ? (
+                        <button
+                          onClick={() => run(() => restoreOccurrence(occurrence.id), 'Date restored')}
+                          disabled={busy}
+                          className="text-green-700 hover:text-green-900 disabled:opacity-50"
+                        >
+                          Restore
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => handleCancelOccurrence(occurrence)}
+                          disabled={busy}
+                          className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                        >
+                          Cancel date
+                        </button>
+                      )}
+                    </>
+                  )}
+                </div>
+              </div>
+
+              {editingId === occurrence.id && (
+                <OccurrenceEditor
+                  occurrence={occurrence}
+                  series={details.lineage.find((s) => s.id === occurrence.series_id) || series}
+                  onClose={() => setEditingId(null)}
+                  onSaved={() => {
+                    setEditingId(null)
+                    loadSeries()
+                  }}
+                />
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
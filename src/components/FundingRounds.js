@@ -0,0 +1,449 @@
+'use client'
+
+import { useState, useEffect, useMemo } from 'react'
+import Link from 'next/link'
+import { toast } from 'react-hot-toast'
+import {
+  getFundingRounds,
+  createFundingRound,
+  updateFundingRound,
+  deleteFundingRound,
+  addRoundCommitment,
+  removeRoundCommitment,
+  getRoundInvestorOptions,
+  ROUND_INSTRUMENTS
+} from '@/lib/api/fundingRounds'
+import { modelCapTable, roundRaised } from '@/lib/capTable'
+
+const EMPTY_ROUND = {
+  name: '',
+  instrument: 'safe',
+  status: 'open',
+  target_amount: '',
+  pre_money_valuation: '',
+  option_pool_increase: '',
+  valuation_cap: '',
+  discount_rate: '',
+  interest_rate: '',
+  close_date: ''
+}
+
+const EMPTY_COMMITMENT = { investorId: '', investorName: '', amount: '', committedAt: '', isLead: false }
+
+const money = (value) => (value || value === 0 ? `$${Math.round(value).toLocaleString()}` : '—')
+const percent = (value) => (value || value === 0 ? `${(value * 100).toFixed(1)}%` : '—')
+const instrumentLabel = (value) => ROUND_INSTRUMENTS.find((i) => i.value === value)?.label || value
+
+// Funding rounds, per-investor participation and the modelled cap table for a startup.
+// Founders (isOwner) can edit rounds and commitments; everyone else sees the public rounds.
+export default function FundingRounds({ startupId, isOwner = false, founderShares, optionPoolShares }) {
+  const [rounds, setRounds] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [investorOptions, setInvestorOptions] = useState([])
+  const [showRoundForm, setShowRoundForm] = useState(false)
+  const [editingRoundId, setEditingRoundId] = useState(null)
+  const [roundForm, setRoundForm] = useState(EMPTY_ROUND)
+  const [commitmentRoundId, setCommitmentRoundId] = useState(null)
+  const [commitmentForm, setCommitmentForm] = useState(EMPTY_COMMITMENT)
+
+  useEffect(() => {
+    if (!startupId) return
+    getFundingRounds(startupId).then((result) => {
+      if (result.error) toast.error(result.error)
+      else setRounds(result.data)
+      setLoading(false)
+    })
+    if (isOwner) {
+      getRoundInvestorOptions().then((result) => {
+        if (!result.error) setInvestorOptions(result.data)
+      })
+    }
+  }, [startupId, isOwner])
+
+  const capTable = useMemo(
+    () => modelCapTable({ founderShares: founderShares || 10000000, optionPoolShares: optionPoolShares || 0 }, rounds),
+    [rounds, founderShares, optionPoolShares]
+  )
+  const modelledRound = (id) => capTable.rounds.find((r) => r.id === id)
+
+  const openRoundForm = (round = null) => {
+    setEditingRoundId(round?.id || null)
+    setRoundForm(round
+      ? {
+          ...EMPTY_ROUND,
+          ...Object.fromEntries(Object.keys(EMPTY_ROUND).map((k) => [k, round[k] ?? ''])),
+          discount_rate: round.discount_rate ? round.discount_rate * 100 : '',
+          interest_rate: round.interest_rate ? round.interest_rate * 100 : ''
+        }
+      : EMPTY_ROUND)
+    setShowRoundForm(true)
+  }
+
+  const handleSaveRound = async (e) => {
+    e.preventDefault()
+    // Rates are entered as percentages
+    const payload = {
+      ...roundForm,
+      discount_rate: roundForm.discount_rate === '' ? '' : Number(roundForm.discount_rate) / 100,
+      interest_rate: roundForm.interest_rate === '' ? '' : Number(roundForm.interest_rate) / 100
+    }
+    const result = editingRoundId
+      ? await updateFundingRound(editingRoundId, payload)
+      : await createFundingRound(payload)
+
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+
+    setRounds(editingRoundId
+      ? rounds.map((r) => (r.id === editingRoundId ? { ...result.data, commitments: r.commitments } : r))
+      : [...rounds, result.data])
+    setShowRoundForm(false)
+    setEditingRoundId(null)
+    toast.success('Funding round saved')
+  }
+
+  const handleDeleteRound = async (round) => {
+    if (!confirm(`Delete ${round.name} and its commitments?`)) return
+    const result = await deleteFundingRound(round.id)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setRounds(rounds.filter((r) => r.id !== round.id))
+  }
+
+  const handleAddCommitment = async (e) => {
+    e.preventDefault()
+    const result = await addRoundCommitment(commitmentRoundId, {
+      ...commitmentForm,
+      investorId: commitmentForm.investorId || null
+    })
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setRounds(rounds.map((r) => (r.id === commitmentRoundId ? { ...r, commitments: [...(r.commitments || []), result.data] } : r)))
+    setCommitmentRoundId(null)
+    setCommitmentForm(EMPTY_COMMITMENT)
+  }
+
+  const handleRemoveCommitment = async (roundId, commitmentId) => {
+    const result = await removeRoundCommitment(commitmentId)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setRounds(rounds.map((r) => (r.id === roundId ? { ...r, commitments: r.commitments.filter((c) => c.id !== commitmentId) } : r)))
+  }
+
+  if (loading) {
+    return <p className="text-gray-600">Loading funding rounds...</p>
+  }
+
+  if (!isOwner && rounds.length === 0) return null
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-semibold text-gray-900">Funding Rounds</h3>
+          {isOwner && (
+            <button onClick={() => openRoundForm()} className="text-sm text-blue-600 hover:text-blue-800">
+              + Add Round
+            </button>
+          )}
+        </div>
+
+        {rounds.length === 0 ? (
+          <p className="text-gray-600 text-sm">No funding rounds yet</p>
+        ) : (
+          <div className="space-y-4">
+            {capTable.rounds.map(({ id }) => {
+              const round = rounds.find((r) => r.id === id)
+              const modelled = modelledRound(id)
+              return (
+                <div key={id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex items-start justify-between">
+                    <div>
+                      <h4 className="font-medium text-gray-900">
+                        {round.name}
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700">
+                          {instrumentLabel(round.instrument)}
+                        </span>
+                        <span className="ml-2 text-xs text-gray-500 capitalize">{round.status}</span>
+                      </h4>
+                      <p className="text-sm text-gray-600 mt-1">
+                        {money(roundRaised(round))} raised
+                        {round.target_amount ? ` of ${money(round.target_amount)}` : ''}
+                        {round.close_date ? ` · closes ${new Date(round.close_date).toLocaleDateString()}` : ''}
+                      </p>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {round.instrument === 'priced'
+                          ? `Pre-money ${money(round.pre_money_valuation)}`
+                          : [
+                              round.valuation_cap && `Cap ${money(round.valuation_cap)}`,
+                              round.discount_rate && `${percent(round.discount_rate)} discount`,
+                              round.interest_rate && `${percent(round.interest_rate)} interest`
+                            ].filter(Boolean).join(' · ') || 'Uncapped, no discount'}
+                      </p>
+                    </div>
+                    {isOwner && (
+                      <div className="flex space-x-3 text-sm">
+                        <button onClick={() => openRoundForm(round)} className="text-blue-600 hover:text-blue-800">Edit</button>
+                        <button onClick={() => handleDeleteRound(round)} className="text-red-600 hover:text-red-800">Delete</button>
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Per-investor participation */}
+                  {round.commitments?.length > 0 && (
+                    <ul className="mt-3 divide-y divide-gray-100 text-sm">
+                      {round.commitments.map((c) => (
+                        <li key={c.id} className="flex items-center justify-between py-1">
+                          <span className="text-gray-800">
+                            {c.investor_id ? (
+                              <Link href={`/investors/${c.investor_id}`} className="hover:underline">{c.investor_name}</Link>
+                            ) : c.investor_name}
+                            {c.is_lead && <span className="ml-2 text-xs text-purple-600">Lead</span>}
+                            {c.investor_id && !c.confirmed_at && (
+                              <span className="ml-2 text-xs text-amber-600">Awaiting investor confirmation</span>
+                            )}
+                          </span>
+                          <span className="flex items-center space-x-3">
+                            <span className="text-gray-900 font-medium">{money(c.amount)}</span>
+                            {isOwner && (
+                              <button onClick={() => handleRemoveCommitment(round.id, c.id)} className="text-xs text-red-500 hover:text-red-700">
+                                Remove
+                              </button>
+                            )}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  {/* Modelled dilution */}
+                  <p className="text-xs text-gray-500 mt-2">
+                    {modelled.warning
+                      ? modelled.warning
+                      : modelled.convertsIn
+                        ? `Converted in ${modelled.convertsIn} at $${modelled.pricePerShare.toFixed(4)}/share`
+                        : modelled.dilution !== null
+                          ? `${modelled.estimated ? 'Estimated dilution at cap' : 'Dilution'}: ${percent(modelled.dilution)}` +
+                            (modelled.postMoneyValuation ? ` · post-money ${money(modelled.postMoneyValuation)}` : '')
+                          : 'Converts at the next priced round'}
+                  </p>
+
+                  {isOwner && (commitmentRoundId === round.id ? (
+                    <form onSubmit={handleAddCommitment} className="mt-3 flex flex-wrap gap-2">
+                      <select
+                        value={commitmentForm.investorId}
+                        onChange={(e) => setCommitmentForm({ ...commitmentForm, investorId: e.target.value })}
+                        className="p-2 border border-gray-300 rounded-md text-sm"
+                      >
+                        <option value="">Off-platform investor</option>
+                        {investorOptions.map((i) => (
+                          <option key={i.id} value={i.id}>{i.full_name}</option>
+                        ))}
+                      </select>
+                      {!commitmentForm.investorId && (
+                        <input
+                          value={commitmentForm.investorName}
+                          onChange={(e) => setCommitmentForm({ ...commitmentForm, investorName: e.target.value })}
+                          placeholder="Investor name"
+                          className="p-2 border border-gray-300 rounded-md text-sm"
+                        />
+                      )}
+                      <input
+                        type="number"
+                        min="0"
+                        value={commitmentForm.amount}
+                        onChange={(e) => setCommitmentForm({ ...commitmentForm, amount: e.target.value })}
+                        placeholder="Amount"
+                        className="w-32 p-2 border border-gray-300 rounded-md text-sm"
+                      />
+                      <input
+                        type="date"
+                        value={commitmentForm.committedAt}
+                        onChange={(e) => setCommitmentForm({ ...commitmentForm, committedAt: e.target.value })}
+                        className="p-2 border border-gray-300 rounded-md text-sm"
+                      />
+                      <label className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={commitmentForm.isLead}
+                          onChange={(e) => setCommitmentForm({ ...commitmentForm, isLead: e.target.checked })}
+                          className="mr-1"
+                        />
+                        Lead
+                      </label>
+                      <button type="submit" className="bg-blue-600 text-white px-3 py-2 rounded-md text-sm hover:bg-blue-700">Add</button>
+                      <button type="button" onClick={() => setCommitmentRoundId(null)} className="text-sm text-gray-600">Cancel</button>
+                    </form>
+                  ) : (
+                    <button
+                      onClick={() => {
+                        setCommitmentRoundId(round.id)
+                        setCommitmentForm(EMPTY_COMMITMENT)
+                      }}
+                      className="mt-2 text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      + Add commitment
+                    </button>
+                  ))}
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </div>
+
+      {/* Cap table */}
+      {rounds.length > 0 && (
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 mb-3">Cap Table</h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-2">Holder</th>
+                <th className="py-2 text-right">Shares</th>
+                <th className="py-2 text-right">Invested</th>
+                <th className="py-2 text-right">Ownership</th>
+              </tr>
+            </thead>
+            <tbody>
+              {capTable.holders.map((h) => (
+                <tr key={h.key} className="border-b border-gray-100">
+                  <td className="py-2 text-gray-900">
+                    {h.name}
+                    {h.estimated && <span className="ml-1 text-xs text-gray-500">(as converted)</span>}
+                  </td>
+                  <td className="py-2 text-right text-gray-700">{h.shares.toLocaleString()}</td>
+                  <td className="py-2 text-right text-gray-700">{h.invested ? money(h.invested) : '—'}</td>
+                  <td className="py-2 text-right font-medium text-gray-900">{percent(h.ownership)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {capTable.unconverted.length > 0 && (
+            <p className="text-xs text-gray-500 mt-2">
+              Not shown: {capTable.unconverted.map((u) => `${u.name} (${money(u.amount)})`).join(', ')} — uncapped
+              convertibles only convert at the next priced round.
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Round editor */}
+      {showRoundForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <form onSubmit={handleSaveRound} className="bg-white rounded-lg p-6 w-full max-w-lg mx-4 space-y-3">
+            <h3 className="text-lg font-semibold text-gray-900">{editingRoundId ? 'Edit Round' : 'New Funding Round'}</h3>
+            <div className="grid grid-cols-2 gap-3">
+              <input
+                value={roundForm.name}
+                onChange={(e) => setRoundForm({ ...roundForm, name: e.target.value })}
+                placeholder="Round name (e.g. Seed)"
+                className="col-span-2 p-2 border border-gray-300 rounded-md text-sm"
+              />
+              <select
+                value={roundForm.instrument}
+                onChange={(e) => setRoundForm({ ...roundForm, instrument: e.target.value })}
+                className="p-2 border border-gray-300 rounded-md text-sm"
+              >
+                {ROUND_INSTRUMENTS.map((i) => (
+                  <option key={i.value} value={i.value}>{i.label}</option>
+                ))}
+              </select>
+              <select
+                value={roundForm.status}
+                onChange={(e) => setRoundForm({ ...roundForm, status: e.target.value })}
+                className="p-2 border border-gray-300 rounded-md text-sm"
+              >
+                <option value="planned">Planned</option>
+                <option value="open">Open</option>
+                <option value="closed">Closed</option>
+              </select>
+              <input
+                type="number"
+                min="0"
+                value={roundForm.target_amount}
+                onChange={(e) => setRoundForm({ ...roundForm, target_amount: e.target.value })}
+                placeholder="Target amount"
+                className="p-2 border border-gray-300 rounded-md text-sm"
+              />
+              <input
+                type="date"
+                value={roundForm.close_date}
+                onChange={(e) => setRoundForm({ ...roundForm, close_date: e.target.value })}
+                className="p-2 border border-gray-300 rounded-md text-sm"
+              />
+              {roundForm.instrument === 'priced' ? (
+                <>
+                  <input
+                    type="number"
+                    min="0"
+                    value={roundForm.pre_money_valuation}
+                    onChange={(e) => setRoundForm({ ...roundForm, pre_money_valuation: e.target.value })}
+                    placeholder="Pre-money valuation"
+                    className="p-2 border border-gray-300 rounded-md text-sm"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    value={roundForm.option_pool_increase}
+                    onChange={(e) => setRoundForm({ ...roundForm, option_pool_increase: e.target.value })}
+                    placeholder="New option pool shares"
+                    className="p-2 border border-gray-300 rounded-md text-sm"
+                  />
+                </>
+              ) : (
+                <>
+                  <input
+                    type="number"
+                    min="0"
+                    value={roundForm.valuation_cap}
+                    onChange={(e) => setRoundForm({ ...roundForm, valuation_cap: e.target.value })}
+                    placeholder="Valuation cap"
+                    className="p-2 border border-gray-300 rounded-md text-sm"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    max="99"
+                    value={roundForm.discount_rate}
+                    onChange={(e) => setRoundForm({ ...roundForm, discount_rate: e.target.value })}
+                    placeholder="Discount %"
+                    className="p-2 border border-gray-300 rounded-md text-sm"
+                  />
+                  {roundForm.instrument === 'convertible_note' && (
+                    <input
+                      type="number"
+                      min="0"
+                      value={roundForm.interest_rate}
+                      onChange={(e) => setRoundForm({ ...roundForm, interest_rate: e.target.value })}
+                      placeholder="Interest % per year"
+                      className="p-2 border border-gray-300 rounded-md text-sm"
+                    />
+                  )}
+                </>
+              )}
+            </div>
+            <div className="flex space-x-3 pt-2">
+              <button type="submit" className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700">Save</button>
+              <button
+                type="button"
+                onClick={() => setShowRoundForm(false)}
+                className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
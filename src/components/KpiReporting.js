@@ -0,0 +1,219 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { toast } from 'react-hot-toast'
+import {
+  getKpiReports,
+  submitKpiReport,
+  deleteKpiReport,
+  computeRunway,
+  formatKpiValue,
+  kpiChartPoints,
+  kpiReportsCsv,
+  downloadCsv,
+  KPI_FIELDS
+} from '@/lib/api/portfolio'
+import KpiChart from '@/components/ui/KpiChart'
+
+const currentMonth = () => new Date().toISOString().slice(0, 7)
+
+const EMPTY_REPORT = { month: currentMonth(), mrr: '', monthlyBurn: '', cashBalance: '', headcount: '', notes: '' }
+
+// Startup-side monthly KPI reporting form, history and charts
+export default function KpiReporting({ startupId }) {
+  const [reports, setReports] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [form, setForm] = useState(EMPTY_REPORT)
+
+  useEffect(() => {
+    if (!startupId) return
+    getKpiReports(startupId).then((result) => {
+      if (result.error) toast.error(result.error)
+      else setReports(result.data)
+      setLoading(false)
+    })
+  }, [startupId])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    const result = await submitKpiReport({ ...form, periodStart: `${form.month}-01` })
+    setSaving(false)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setReports([...reports.filter((r) => r.period_start !== result.data.period_start), result.data]
+      .sort((a, b) => a.period_start.localeCompare(b.period_start)))
+    setForm({ ...EMPTY_REPORT, month: form.month })
+    toast.success('KPI report submitted')
+  }
+
+  const handleEdit = (report) => {
+    setForm({
+      month: report.period_start.slice(0, 7),
+      mrr: report.mrr ?? '',
+      monthlyBurn: report.monthly_burn ?? '',
+      cashBalance: report.cash_balance ?? '',
+      headcount: report.headcount ?? '',
+      notes: report.notes || ''
+    })
+  }
+
+  const handleDelete = async (reportId) => {
+    const result = await deleteKpiReport(reportId)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setReports(reports.filter((r) => r.id !== reportId))
+  }
+
+  const runwayPreview = computeRunway(form.cashBalance, form.monthlyBurn)
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h3 className="text-xl font-semibold text-gray-900 mb-1">Monthly KPI Report</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Shared with investors who have invested in you. Submitting a month again replaces that month&apos;s report.
+        </p>
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <label className="text-sm text-gray-700">
+            Month
+            <input
+              type="month"
+              value={form.month}
+              max={currentMonth()}
+              onChange={(e) => setForm({ ...form, month: e.target.value })}
+              className="mt-1 w-full p-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            MRR ($)
+            <input
+              type="number"
+              min="0"
+              value={form.mrr}
+              onChange={(e) => setForm({ ...form, mrr: e.target.value })}
+              className="mt-1 w-full p-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Monthly net burn ($)
+            <input
+              type="number"
+              min="0"
+              value={form.monthlyBurn}
+              onChange={(e) => setForm({ ...form, monthlyBurn: e.target.value })}
+              className="mt-1 w-full p-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Cash in bank ($)
+            <input
+              type="number"
+              min="0"
+              value={form.cashBalance}
+              onChange={(e) => setForm({ ...form, cashBalance: e.target.value })}
+              className="mt-1 w-full p-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Headcount
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={form.headcount}
+              onChange={(e) => setForm({ ...form, headcount: e.target.value })}
+              className="mt-1 w-full p-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <div className="text-sm text-gray-700">
+            Runway
+            <p className="mt-1 p-2 bg-gray-50 rounded-md text-gray-900">
+              {runwayPreview === null ? 'Enter cash and burn' : `${runwayPreview} months`}
+            </p>
+          </div>
+          <label className="text-sm text-gray-700 md:col-span-3">
+            Notes for investors (optional)
+            <textarea
+              value={form.notes}
+              onChange={(e) => setForm({ ...form, notes: e.target.value })}
+              rows={2}
+              className="mt-1 w-full p-2 border border-gray-300 rounded-md resize-none"
+            />
+          </label>
+          <div className="md:col-span-3">
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Submitting...' : 'Submit Report'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-semibold text-gray-900">KPI History</h3>
+          {reports.length > 0 && (
+            <button
+              onClick={() => downloadCsv('kpi-reports.csv', kpiReportsCsv(reports))}
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              Export CSV
+            </button>
+          )}
+        </div>
+        {loading ? (
+          <p className="text-gray-600">Loading reports...</p>
+        ) : reports.length === 0 ? (
+          <p className="text-gray-600">No reports submitted yet</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+              {KPI_FIELDS.filter((f) => f.key !== 'cash_balance').map((field) => (
+                <KpiChart
+                  key={field.key}
+                  title={field.label}
+                  points={kpiChartPoints(reports, field.key)}
+                  formatValue={(v) => formatKpiValue(field.format, v)}
+                />
+              ))}
+            </div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2">Month</th>
+                  {KPI_FIELDS.map((f) => (
+                    <th key={f.key} className="py-2 text-right">{f.label}</th>
+                  ))}
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {[...reports].reverse().map((r) => (
+                  <tr key={r.id} className="border-b border-gray-100">
+                    <td className="py-2 text-gray-900">{r.period_start.slice(0, 7)}</td>
+                    {KPI_FIELDS.map((f) => (
+                      <td key={f.key} className="py-2 text-right text-gray-700">{formatKpiValue(f.format, r[f.key])}</td>
+                    ))}
+                    <td className="py-2 text-right space-x-2 whitespace-nowrap">
+                      <button onClick={() => handleEdit(r)} className="text-blue-600 hover:text-blue-800">Edit</button>
+                      <button onClick={() => handleDelete(r.id)} className="text-red-600 hover:text-red-800">Delete</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
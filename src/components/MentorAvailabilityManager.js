@@ -0,0 +1,309 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { toast } from 'react-hot-toast'
+import {
+  getMentorSchedule,
+  updateScheduleSettings,
+  saveAvailabilityRules,
+  addAvailabilityException,
+  deleteAvailabilityException
+} from '@/lib/api/mentors'
+import { WEEKDAYS, DEFAULT_SCHEDULE_SETTINGS, localTimeZone, isValidTimeZone } from '@/lib/scheduling'
+
+const POLICY_FIELDS = [
+  { key: 'buffer_minutes', label: 'Buffer between sessions', unit: 'min' },
+  { key: 'min_notice_hours', label: 'Minimum notice', unit: 'hours' },
+  { key: 'booking_window_days', label: 'Bookable up to', unit: 'days ahead' },
+  { key: 'cancellation_notice_hours', label: 'Free cancellation until', unit: 'hours before' },
+  { key: 'max_reschedules', label: 'Reschedules per session', unit: 'max' }
+]
+
+const EMPTY_EXCEPTION = { date: '', is_available: false, start_time: '', end_time: '', reason: '' }
+
+const shortTime = (time) => (time ? time.slice(0, 5) : '')
+
+// Mentor-side weekly availability, date exceptions, and booking/cancellation policy
+export default function MentorAvailabilityManager({ mentorId }) {
+  const [loading, setLoading] = useState(true)
+  const [settings, setSettings] = useState(DEFAULT_SCHEDULE_SETTINGS)
+  const [durationsInput, setDurationsInput] = useState('')
+  const [rules, setRules] = useState([])
+  const [exceptions, setExceptions] = useState([])
+  const [exceptionForm, setExceptionForm] = useState(EMPTY_EXCEPTION)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (!mentorId) return
+    getMentorSchedule(mentorId).then((result) => {
+      if (result.error) toast.error(result.error)
+      else {
+        const { rules: savedRules, exceptions: savedExceptions, ...savedSettings } = result.data
+        setSettings(savedSettings)
+        setDurationsInput(savedSettings.session_durations.join(', '))
+        setRules(savedRules.map((r) => ({ weekday: r.weekday, start_time: shortTime(r.start_time), end_time: shortTime(r.end_time) })))
+        setExceptions(savedExceptions)
+      }
+      setLoading(false)
+    })
+  }, [mentorId])
+
+  const addRule = (weekday) => {
+    const sameDay = rules.filter((r) => r.weekday === weekday)
+    const start = sameDay.length ? sameDay[sameDay.length - 1].end_time : '09:00'
+    setRules([...rules, { weekday, start_time: start, end_time: start < '17:00' ? '17:00' : '23:59' }])
+  }
+
+  const updateRule = (index, field, value) => {
+    setRules(rules.map((r, i) => (i === index ? { ...r, [field]: value } : r)))
+  }
+
+  const handleSaveAvailability = async () => {
+    if (!isValidTimeZone(settings.time_zone)) {
+      toast.error('Unknown time zone')
+      return
+    }
+    setSaving(true)
+    const settingsResult = await updateScheduleSettings({
+      ...settings,
+      session_durations: durationsInput.split(',').map((d) => d.trim()).filter(Boolean)
+    })
+    if (settingsResult.error) {
+      setSaving(false)
+      toast.error(settingsResult.error)
+      return
+    }
+    setDurationsInput(settingsResult.data.session_durations.join(', '))
+
+    const rulesResult = await saveAvailabilityRules(rules)
+    setSaving(false)
+    if (rulesResult.error) {
+      toast.error(rulesResult.error)
+      return
+    }
+    toast.success('Availability saved')
+  }
+
+  const handleAddException = async (e) => {
+    e.preventDefault()
+    const result = await addAvailabilityException(exceptionForm)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setExceptions([...exceptions, result.data].sort((a, b) => a.date.localeCompare(b.date)))
+    setExceptionForm(EMPTY_EXCEPTION)
+  }
+
+  const handleDeleteException = async (exceptionId) => {
+    const result = await deleteAvailabilityException(exceptionId)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setExceptions(exceptions.filter((x) => x.id !== exceptionId))
+  }
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm p-6 text-center">
+        <p className="text-gray-600">Loading availability...</p>
+      </div>
+    )
+  }
+
+  const describeException = (x) => {
+    if (!x.start_time) return 'Unavailable all day'
+    return `${x.is_available ? 'Extra hours' : 'Unavailable'} ${shortTime(x.start_time)}–${shortTime(x.end_time)}`
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-semibold text-gray-900">Weekly Availability</h3>
+          <button
+            onClick={handleSaveAvailability}
+            disabled={saving}
+            className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-6">
+          <label className="text-sm text-gray-700">
+            Time zone
+            <div className="flex space-x-2 mt-1">
+              <input
+                type="text"
+                value={settings.time_zone}
+                onChange={(e) => setSettings({ ...settings, time_zone: e.target.value })}
+                className="flex-1 p-2 border border-gray-300 rounded-md"
+              />
+              {settings.time_zone !== localTimeZone() && (
+                <button
+                  type="button"
+                  onClick={() => setSettings({ ...settings, time_zone: localTimeZone() })}
+                  className="text-xs text-blue-600 hover:text-blue-800"
+                >
+                  Use {localTimeZone()}
+                </button>
+              )}
+            </div>
+          </label>
+          <label className="text-sm text-gray-700">
+            Session lengths (minutes, comma separated)
+            <input
+              type="text"
+              value={durationsInput}
+              onChange={(e) => setDurationsInput(e.target.value)}
+              className="mt-1 w-full p-2 border border-gray-300 rounded-md"
+            />
+          </label>
+        </div>
+
+        <div className="space-y-3">
+          {WEEKDAYS.map((dayName, weekday) => (
+            <div key={dayName} className="flex items-start py-2 border-b border-gray-100">
+              <span className="w-28 text-sm font-medium text-gray-700 pt-1">{dayName}</span>
+              <div className="flex-1 space-y-2">
+                {rules.map((rule, index) => rule.weekday === weekday && (
+                  <div key={index} className="flex items-center space-x-2 text-sm">
+                    <input
+                      type="time"
+                      value={rule.start_time}
+                      onChange={(e) => updateRule(index, 'start_time', e.target.value)}
+                      className="p-1 border border-gray-300 rounded"
+                    />
+                    <span className="text-gray-500">to</span>
+                    <input
+                      type="time"
+                      value={rule.end_time}
+                      onChange={(e) => updateRule(index, 'end_time', e.target.value)}
+                      className="p-1 border border-gray-300 rounded"
+                    />
+                    <button
+                      onClick={() => setRules(rules.filter((_, i) => i !== index))}
+                      className="text-red-600 hover:text-red-800"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+                {!rules.some((r) => r.weekday === weekday) && (
+                  <p className="text-sm text-gray-400 pt-1">Unavailable</p>
+                )}
+              </div>
+              <button onClick={() => addRule(weekday)} className="text-sm text-blue-600 hover:text-blue-800 pt-1">
+                + Hours
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h3 className="text-xl font-semibold text-gray-900 mb-1">Booking &amp; Cancellation Policy</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Mentees who cancel after the free cancellation cutoff are recorded as late cancellations and can no longer reschedule.
+          Saved together with your weekly availability.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          {POLICY_FIELDS.map((field) => (
+            <label key={field.key} className="text-sm text-gray-700">
+              {field.label}
+              <div className="flex items-center space-x-2 mt-1">
+                <input
+                  type="number"
+                  min="0"
+                  value={settings[field.key]}
+                  onChange={(e) => setSettings({ ...settings, [field.key]: Number(e.target.value) })}
+                  className="w-24 p-2 border border-gray-300 rounded-md"
+                />
+                <span className="text-gray-500">{field.unit}</span>
+              </div>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h3 className="text-xl font-semibold text-gray-900 mb-4">Date Exceptions</h3>
+        <form onSubmit={handleAddException} className="grid grid-cols-1 md:grid-cols-6 gap-3 items-end mb-4">
+          <label className="text-sm text-gray-700 md:col-span-1">
+            Date
+            <input
+              type="date"
+              required
+              value={exceptionForm.date}
+              min={new Date().toISOString().slice(0, 10)}
+              onChange={(e) => setExceptionForm({ ...exceptionForm, date: e.target.value })}
+              className="mt-1 w-full p-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="text-sm text-gray-700 md:col-span-1">
+            Type
+            <select
+              value={exceptionForm.is_available ? 'extra' : 'blocked'}
+              onChange={(e) => setExceptionForm({ ...exceptionForm, is_available: e.target.value === 'extra' })}
+              className="mt-1 w-full p-2 border border-gray-300 rounded-md"
+            >
+              <option value="blocked">Unavailable</option>
+              <option value="extra">Extra hours</option>
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            From
+            <input
+              type="time"
+              value={exceptionForm.start_time}
+              onChange={(e) => setExceptionForm({ ...exceptionForm, start_time: e.target.value })}
+              className="mt-1 w-full p-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            To
+            <input
+              type="time"
+              value={exceptionForm.end_time}
+              onChange={(e) => setExceptionForm({ ...exceptionForm, end_time: e.target.value })}
+              className="mt-1 w-full p-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Note
+            <input
+              type="text"
+              value={exceptionForm.reason}
+              onChange={(e) => setExceptionForm({ ...exceptionForm, reason: e.target.value })}
+              className="mt-1 w-full p-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700">
+            Add
+          </button>
+        </form>
+        <p className="text-xs text-gray-500 mb-4">Leave the times empty to block the whole day.</p>
+
+        {exceptions.length === 0 ? (
+          <p className="text-gray-600">No upcoming exceptions</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {exceptions.map((x) => (
+              <li key={x.id} className="flex items-center justify-between py-2 text-sm">
+                <span className="text-gray-900">
+                  {x.date} · <span className={x.is_available ? 'text-green-700' : 'text-red-700'}>{describeException(x)}</span>
+                  {x.reason && <span className="text-gray-500"> — {x.reason}</span>}
+                </span>
+                <button onClick={() => handleDeleteException(x.id)} className="text-red-600 hover:text-red-800">
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,119 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { toast } from 'react-hot-toast'
+import { getMentorEarnings } from '@/lib/api/payments'
+import { formatMoney, PLATFORM_FEE_RATE } from '@/lib/payments'
+
+const STATUS_STYLES = {
+  succeeded: 'bg-green-100 text-green-800',
+  pending: 'bg-blue-100 text-blue-800',
+  failed: 'bg-red-100 text-red-700',
+  cancelled: 'bg-gray-100 text-gray-700',
+  refunded: 'bg-yellow-100 text-yellow-800',
+  partially_refunded: 'bg-yellow-100 text-yellow-800'
+}
+
+const monthLabel = (month) => new Date(`${month}-01T00:00:00Z`).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+
+// Mentor earnings from paid sessions: totals after platform fees and refunds, by month and per payment
+export default function MentorEarnings() {
+  const [earnings, setEarnings] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    getMentorEarnings().then((result) => {
+      if (result.error) toast.error(result.error)
+      else setEarnings(result.data)
+      setLoading(false)
+    })
+  }, [])
+
+  if (loading) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">Loading earnings...</div>
+  }
+
+  if (!earnings) return null
+
+  const { summary, transactions, currency } = earnings
+  const money = (amount) => formatMoney(amount, currency)
+
+  const totals = [
+    { label: 'Net earnings', value: money(summary.net), hint: `After the ${PLATFORM_FEE_RATE * 100}% platform fee and refunds` },
+    { label: 'Earned from completed sessions', value: money(summary.available) },
+    { label: 'Awaiting payment', value: money(summary.pending) },
+    { label: 'Refunded', value: money(summary.refunded) }
+  ]
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        {totals.map((total) => (
+          <div key={total.label} className="bg-white rounded-lg shadow-sm p-4">
+            <p className="text-sm text-gray-600">{total.label}</p>
+            <p className="text-2xl font-bold text-gray-900">{total.value}</p>
+            {total.hint && <p className="text-xs text-gray-500 mt-1">{total.hint}</p>}
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h3 className="text-xl font-semibold text-gray-900 mb-4">By Month</h3>
+        {summary.months.length === 0 ? (
+          <p className="text-gray-600">No paid sessions yet</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">Month</th>
+                <th className="py-2">Sessions</th>
+                <th className="py-2 text-right">Net</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...summary.months].reverse().map((m) => (
+                <tr key={m.month} className="border-b last:border-0">
+                  <td className="py-2">{monthLabel(m.month)}</td>
+                  <td className="py-2">{m.sessions}</td>
+                  <td className="py-2 text-right font-medium">{money(m.net)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h3 className="text-xl font-semibold text-gray-900 mb-4">Payments</h3>
+        {transactions.length === 0 ? (
+          <p className="text-gray-600">No payments yet</p>
+        ) : (
+          <div className="space-y-3">
+            {transactions.map((tx) => (
+              <div key={tx.id} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {tx.session?.mentee?.full_name || 'Mentee'} · {tx.session_duration} min
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    {new Date(tx.session_date || tx.created_at).toLocaleDateString()}
+                    {tx.failure_reason && ` · ${tx.failure_reason}`}
+                  </p>
+                </div>
+                <div className="text-right">
+                  <p className="font-medium">{formatMoney(tx.amount, tx.currency)}</p>
+                  {Number(tx.refunded_amount) > 0 && (
+                    <p className="text-xs text-gray-500">−{formatMoney(tx.refunded_amount, tx.currency)} refunded</p>
+                  )}
+                  <span className={`inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[tx.status] || STATUS_STYLES.cancelled}`}>
+                    {tx.status.replace('_', ' ')}
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,199 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { toast } from 'react-hot-toast'
+import { getMySessions, cancelMentorshipSession } from '@/lib/api/mentors'
+import { formatTimeInZone, localTimeZone } from '@/lib/scheduling'
+import SessionBooking from '@/components/SessionBooking'
+import CalendarSubscription from '@/components/CalendarSubscription'
+import AddToCalendarButton from '@/components/ui/AddToCalendarButton'
+import StripePaymentForm from '@/components/StripePaymentForm'
+
+const STATUS_STYLES = {
+  pending_payment: 'bg-blue-100 text-blue-800',
+  scheduled: 'bg-green-100 text-green-800',
+  completed: 'bg-gray-100 text-gray-700',
+  cancelled: 'bg-red-100 text-red-700',
+  no_show: 'bg-yellow-100 text-yellow-800'
+}
+
+const SESSION_TIME = { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }
+
+// Upcoming and past mentorship sessions for the current user, with reschedule/cancel under the mentor's policy
+export default function MentorshipSessions({ title = 'Mentorship Sessions' }) {
+  const timeZone = localTimeZone()
+  const [sessions, setSessions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [rescheduling, setRescheduling] = useState(null)
+  const [cancelling, setCancelling] = useState(null)
+  const [cancelReason, setCancelReason] = useState('')
+  const [paying, setPaying] = useState(null)
+
+  const loadSessions = () => {
+    getMySessions().then((result) => {
+      if (result.error) toast.error(result.error)
+      else setSessions(result.data)
+      setLoading(false)
+    })
+  }
+
+  useEffect(() => {
+    loadSessions()
+  }, [])
+
+  const handleCancel = async (e) => {
+    e.preventDefault()
+    const result = await cancelMentorshipSession(cancelling.id, cancelReason)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    toast.success(cancelling.policy.isLate ? 'Session cancelled (late cancellation)' : 'Session cancelled')
+    if (result.data.refund?.refunded) toast.success('A refund has been issued')
+    setCancelling(null)
+    setCancelReason('')
+    loadSessions()
+  }
+
+  const handlePaid = () => {
+    toast.success('Payment received. Your session will be confirmed shortly.')
+    setPaying(null)
+    loadSessions()
+  }
+
+  const now = Date.now()
+  const isHeld = (s) => s.status === 'pending_payment' && new Date(s.payment_expires_at).getTime() > now
+  const upcoming = sessions.filter((s) => (s.status === 'scheduled' || isHeld(s)) && new Date(s.ends_at).getTime() > now)
+  const past = sessions.filter((s) => !upcoming.includes(s)).reverse()
+
+  const counterpartName = (s) => (s.role === 'mentee'
+    ? s.mentor_profiles?.profiles?.full_name || 'Mentor'
+    : s.mentee?.full_name || 'Mentee')
+
+  const renderSession = (s) => (
+    <div key={s.id} className="flex items-start justify-between p-4 border border-gray-200 rounded-lg">
+      <div>
+        <p className="font-medium text-gray-900">
+          {formatTimeInZone(s.scheduled_at, timeZone, SESSION_TIME)} · {s.duration_minutes} min
+        </p>
+        <p className="text-sm text-gray-600">
+          {s.role === 'mentee' ? 'With' : 'Mentee:'} {counterpartName(s)}
+        </p>
+        {s.notes && <p className="text-sm text-gray-500 mt-1">{s.notes}</p>}
+        {s.status === 'cancelled' && s.cancellation_reason && (
+          <p className="text-sm text-gray-500 mt-1">Reason: {s.cancellation_reason}</p>
+        )}
+        {s.status === 'scheduled' && s.policy.reason && (
+          <p className="text-xs text-yellow-700 mt-1">{s.policy.reason}</p>
+        )}
+      </div>
+      <div className="flex flex-col items-end space-y-2">
+        <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[s.status] || STATUS_STYLES.completed}`}>
+          {s.late_cancellation ? 'late cancellation' : s.status === 'pending_payment' ? 'awaiting payment' : s.status.replace('_', ' ')}
+        </span>
+        {isHeld(s) && s.role === 'mentee' && (
+          <button onClick={() => setPaying(s)} className="text-sm text-purple-600 hover:text-purple-800">
+            Pay now
+          </button>
+        )}
+        {s.status === 'scheduled' && (
+          <div className="flex space-x-3 text-sm">
+            <AddToCalendarButton sessionId={s.id} />
+            {s.policy.canReschedule && (
+              <button onClick={() => setRescheduling(s)} className="text-blue-600 hover:text-blue-800">
+                Reschedule
+              </button>
+            )}
+            {s.policy.canCancel && (
+              <button onClick={() => setCancelling(s)} className="text-red-600 hover:text-red-800">
+                Cancel
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <h3 className="text-xl font-semibold text-gray-900 mb-1">{title}</h3>
+      <p className="text-sm text-gray-500 mb-4">Times shown in {timeZone}</p>
+
+      <CalendarSubscription />
+
+      {loading ? (
+        <p className="text-gray-600">Loading sessions...</p>
+      ) : sessions.length === 0 ? (
+        <p className="text-gray-600">No sessions booked yet</p>
+      ) : (
+        <div className="space-y-6">
+          <div className="space-y-3">
+            <h4 className="text-sm font-medium text-gray-700">Upcoming</h4>
+            {upcoming.length === 0 ? <p className="text-sm text-gray-500">Nothing scheduled</p> : upcoming.map(renderSession)}
+          </div>
+          {past.length > 0 && (
+            <div className="space-y-3">
+              <h4 className="text-sm font-medium text-gray-700">Past &amp; cancelled</h4>
+              {past.map(renderSession)}
+            </div>
+          )}
+        </div>
+      )}
+
+      {rescheduling && (
+        <SessionBooking
+          mentor={rescheduling.mentor_profiles}
+          session={rescheduling}
+          onClose={() => setRescheduling(null)}
+          onBooked={loadSessions}
+        />
+      )}
+
+      {paying && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
+            <h3 className="text-xl font-bold text-gray-900 mb-2">Complete Payment</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              {formatTimeInZone(paying.scheduled_at, timeZone, SESSION_TIME)} with {counterpartName(paying)}
+            </p>
+            <StripePaymentForm sessionId={paying.id} onPaid={handlePaid} onCancel={() => setPaying(null)} />
+          </div>
+        </div>
+      )}
+
+      {cancelling && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <form onSubmit={handleCancel} className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
+            <h3 className="text-xl font-bold text-gray-900 mb-2">Cancel Session</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              {formatTimeInZone(cancelling.scheduled_at, timeZone, SESSION_TIME)} with {counterpartName(cancelling)}
+            </p>
+            {cancelling.policy.isLate && (
+              <p className="text-sm text-yellow-800 bg-yellow-50 p-3 rounded-md mb-4">{cancelling.policy.reason}</p>
+            )}
+            <textarea
+              value={cancelReason}
+              onChange={(e) => setCancelReason(e.target.value)}
+              rows={2}
+              placeholder="Reason (optional, shared with the other participant)"
+              className="w-full p-2 border border-gray-300 rounded-md resize-none mb-4 text-sm"
+            />
+            <div className="flex space-x-3">
+              <button
+                type="button"
+                onClick={() => setCancelling(null)}
+                className="flex-1 border border-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-50"
+              >
+                Keep Session
+              </button>
+              <button type="submit" className="flex-1 bg-red-600 text-white py-2 rounded-lg hover:bg-red-700">
+                Cancel Session
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
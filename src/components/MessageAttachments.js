@@ -0,0 +1,168 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import Image from 'next/image'
+import { toast } from 'react-hot-toast'
+import { getMessageAttachmentUrl } from '@/lib/api/messages'
+import { formatFileSize, isImageAttachment, messageAttachments, thumbnailSize } from '@/lib/messageAttachments'
+
+function ImageThumbnail({ attachment, onOpen }) {
+  const [url, setUrl] = useState(null)
+  const [failed, setFailed] = useState(false)
+
+  useEffect(() => {
+    let active = true
+    getMessageAttachmentUrl(attachment, { variant: 'thumbnail' }).then((result) => {
+      if (!active) return
+      if (result.error) setFailed(true)
+      else setUrl(result.data.url)
+    })
+    return () => {
+      active = false
+    }
+  }, [attachment])
+
+  const size = attachment.width && attachment.height
+    ? thumbnailSize(attachment.width, attachment.height, 240)
+    : { width: 240, height: 180 }
+
+  if (failed) {
+    return <div className="text-xs opacity-75">🖼 {attachment.name} is no longer available</div>
+  }
+
+  return (
+    <button type="button" onClick={() => onOpen(attachment)} className="block rounded overflow-hidden bg-black bg-opacity-10">
+      {url ? (
+        <Image src={url} alt={attachment.name} width={size.width} height={size.height} unoptimized className="object-cover" />
+      ) : (
+        <div style={{ width: size.width, height: size.height }} className="animate-pulse" />
+      )}
+    </button>
+  )
+}
+
+function FileChip({ attachment, own }) {
+  const [opening, setOpening] = useState(false)
+
+  const handleDownload = async () => {
+    setOpening(true)
+    const result = await getMessageAttachmentUrl(attachment, { variant: 'download' })
+    setOpening(false)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    window.open(result.data.url, '_blank', 'noopener,noreferrer')
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={handleDownload}
+      disabled={opening}
+      className={`flex items-center space-x-2 w-full text-left rounded px-3 py-2 text-sm disabled:opacity-50 ${
+        own ? 'bg-blue-700 hover:bg-blue-800' : 'bg-white hover:bg-gray-50'
+      }`}
+    >
+      <span>📎</span>
+      <span className="flex-1 min-w-0 truncate">{attachment.name}</span>
+      <span className={`text-xs ${own ? 'text-blue-100' : 'text-gray-500'}`}>{formatFileSize(attachment.size)}</span>
+    </button>
+  )
+}
+
+function ImagePreview({ attachment, onClose }) {
+  const [url, setUrl] = useState(null)
+
+  useEffect(() => {
+    getMessageAttachmentUrl(attachment).then((result) => {
+      if (result.error) {
+        toast.error(result.error)
+        onClose()
+        return
+      }
+      setUrl(result.data.url)
+    })
+  }, [attachment, onClose])
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="max-w-4xl w-full mx-4" onClick={(e) => e.stopPropagation()}>
+        {url ? (
+          <Image
+            src={url}
+            alt={attachment.name}
+            width={attachment.width || 1200}
+            height={attachment.height || 900}
+            unoptimized
+            className="max-h-[80vh] w-auto mx-auto object-contain rounded"
+          />
+        ) : (
+          <div className="w-12 h-12 mx-auto border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+        )}
+        <div className="flex items-center justify-between mt-3 text-sm text-white">
+          <span className="truncate">{attachment.name} · {formatFileSize(attachment.size)}</span>
+          <div className="space-x-4">
+            {url && (
+              <a href={url} target="_blank" rel="noopener noreferrer" className="hover:underline">
+                Open original
+              </a>
+            )}
+            <button onClick={onClose} className="hover:underline">Close</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Attachments of one message in a thread: image thumbnails that open a preview, and download chips for files
+export default function MessageAttachments({ message, own = false }) {
+  const [preview, setPreview] = useState(null)
+  const closePreview = useCallback(() => setPreview(null), [])
+  const attachments = messageAttachments(message)
+
+  if (!attachments.length) return null
+
+  const images = attachments.filter(isImageAttachment)
+  const files = attachments.filter((a) => !isImageAttachment(a))
+
+  return (
+    <div className="space-y-2 mb-1">
+      {images.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {images.map((attachment) => (
+            <ImageThumbnail key={attachment.path} attachment={attachment} onOpen={setPreview} />
+          ))}
+        </div>
+      )}
+      {files.map((attachment) => <FileChip key={attachment.path} attachment={attachment} own={own} />)}
+      {preview && <ImagePreview attachment={preview} onClose={closePreview} />}
+    </div>
+  )
+}
+
+// Files picked in the composer: uploaded ones can be removed before sending
+export function PendingAttachments({ attachments, uploading = 0, onRemove }) {
+  if (!attachments.length && !uploading) return null
+
+  return (
+    <div className="flex flex-wrap gap-2 mb-2">
+      {attachments.map((attachment) => (
+        <span key={attachment.path} className="flex items-center space-x-2 bg-gray-100 rounded-full px-3 py-1 text-sm text-gray-700">
+          <span>{isImageAttachment(attachment) ? '📷' : '📎'}</span>
+          <span className="max-w-[10rem] truncate">{attachment.name}</span>
+          <span className="text-xs text-gray-500">{formatFileSize(attachment.size)}</span>
+          <button type="button" onClick={() => onRemove(attachment)} className="text-gray-400 hover:text-red-600" aria-label={`Remove ${attachment.name}`}>
+            ✕
+          </button>
+        </span>
+      ))}
+      {uploading > 0 && (
+        <span className="bg-gray-100 rounded-full px-3 py-1 text-sm text-gray-500">
+          Uploading {uploading} {uploading === 1 ? 'file' : 'files'}...
+        </span>
+      )}
+    </div>
+  )
+}
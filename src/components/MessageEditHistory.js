@@ -0,0 +1,55 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { getMessageEditHistory } from '@/lib/api/messages'
+
+// Earlier versions of a message, shown to its sender and to admins reviewing a report
+export default function MessageEditHistory({ message, onClose }) {
+  const [versions, setVersions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    getMessageEditHistory(message.id).then((result) => {
+      if (result.error) setError(result.error)
+      else setVersions(result.data)
+      setLoading(false)
+    })
+  }, [message.id])
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4 space-y-4 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <h3 className="text-lg font-bold text-gray-900">Message history</h3>
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading...</p>
+        ) : error ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : (
+          <ol className="space-y-3">
+            {versions.map((version) => (
+              <li key={version.id} className="text-sm border-l-2 border-gray-200 pl-3">
+                <p className="text-gray-900 whitespace-pre-wrap">{version.previous_content || <em>No text</em>}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {version.edit_type === 'delete' ? 'Deleted' : 'Replaced'} {new Date(version.created_at).toLocaleString()}
+                  {version.editor?.full_name && ` by ${version.editor.full_name}`}
+                </p>
+              </li>
+            ))}
+            <li className="text-sm border-l-2 border-blue-400 pl-3">
+              <p className="text-gray-900 whitespace-pre-wrap">{message.content}</p>
+              <p className="text-xs text-gray-500 mt-1">Current version</p>
+            </li>
+          </ol>
+        )}
+
+        <div className="flex justify-end border-t border-gray-200 pt-4">
+          <button onClick={onClose} className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md text-sm hover:bg-gray-50">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,49 @@
+'use client'
+
+import { REACTION_EMOJIS, summariseReactions } from '@/lib/messageThreads'
+
+// Reaction chips under a message; clicking a chip adds or removes your own reaction
+export default function MessageReactions({ message, userId, onToggle, disabled }) {
+  const groups = summariseReactions(message.reactions, userId)
+  if (groups.length === 0) return null
+
+  return (
+    <div className="flex flex-wrap gap-1 mt-1">
+      {groups.map((group) => (
+        <button
+          key={group.emoji}
+          type="button"
+          onClick={() => onToggle(message, group.emoji)}
+          disabled={disabled}
+          className={`px-2 py-0.5 rounded-full text-xs border ${
+            group.mine ? 'bg-blue-50 border-blue-300 text-blue-800' : 'bg-white border-gray-200 text-gray-700'
+          } disabled:cursor-default`}
+        >
+          {group.emoji} {group.count}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+// Row of the available reactions, shown from a message's actions
+export function ReactionPicker({ message, onToggle, onClose }) {
+  return (
+    <div className="flex space-x-1 bg-white border border-gray-200 rounded-full shadow px-2 py-1">
+      {REACTION_EMOJIS.map((emoji) => (
+        <button
+          key={emoji}
+          type="button"
+          onClick={() => {
+            onToggle(message, emoji)
+            onClose()
+          }}
+          className="text-lg hover:scale-125 transition-transform"
+          aria-label={`React with ${emoji}`}
+        >
+          {emoji}
+        </button>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,206 @@
+'use client'
+
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { searchMessages } from '@/lib/api/messages'
+import {
+  SEARCH_MIN_LENGTH,
+  SEARCH_PAGE_SIZE,
+  SEARCH_DEBOUNCE_MS,
+  highlightParts,
+  dayRange,
+  hasSearchFilters
+} from '@/lib/messageSearch'
+import { attachmentSummary } from '@/lib/messageAttachments'
+
+const EMPTY_FILTERS = { conversationId: '', senderId: '', fromDate: '', toDate: '', hasAttachment: false }
+
+// Search panel for the messages sidebar; picking a result opens it in its conversation
+export default function MessageSearch({ userId, conversations, onSelect, onClose }) {
+  const [query, setQuery] = useState('')
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [showFilters, setShowFilters] = useState(false)
+  const [results, setResults] = useState([])
+  const [hasMore, setHasMore] = useState(false)
+  const [searching, setSearching] = useState(false)
+  const requestRef = useRef(0)
+
+  // Everyone the user has talked to, narrowed to one conversation when it is picked
+  const senders = Object.values(
+    conversations
+      .filter((conv) => !filters.conversationId || conv.id === filters.conversationId)
+      .flatMap((conv) => conv.members || [])
+      .reduce((all, member) => ({ ...all, [member.user_id]: member }), {})
+  ).sort((a, b) => (a.profile?.full_name || '').localeCompare(b.profile?.full_name || ''))
+
+  const runSearch = useCallback(async (offset) => {
+    const request = ++requestRef.current
+    setSearching(true)
+    const { sentAfter, sentBefore } = dayRange(filters.fromDate, filters.toDate)
+    const data = await searchMessages(userId, query, {
+      conversationId: filters.conversationId,
+      senderId: filters.senderId,
+      sentAfter,
+      sentBefore,
+      hasAttachment: filters.hasAttachment,
+      limit: SEARCH_PAGE_SIZE,
+      offset
+    })
+
+    // A newer search has started since; drop these results
+    if (request !== requestRef.current) return
+    setResults((prev) => (offset ? [...prev, ...data] : data))
+    setHasMore(data.length === SEARCH_PAGE_SIZE)
+    setSearching(false)
+  }, [userId, query, filters])
+
+  useEffect(() => {
+    if (query.trim().length < SEARCH_MIN_LENGTH) {
+      requestRef.current++
+      setResults([])
+      setHasMore(false)
+      setSearching(false)
+      return
+    }
+    const timer = setTimeout(() => runSearch(0), SEARCH_DEBOUNCE_MS)
+    return () => clearTimeout(timer)
+  }, [query, runSearch])
+
+  const updateFilter = (name, value) => {
+    setFilters((prev) => ({
+      ...prev,
+      [name]: value,
+      // The picked sender may not be in the newly picked conversation
+      ...(name === 'conversationId' ? { senderId: '' } : {})
+    }))
+  }
+
+  const conversationFor = (result) => conversations.find((conv) => conv.id === result.conversation_id)
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0">
+      <div className="p-3 border-b border-gray-200 space-y-2">
+        <div className="flex items-center space-x-2">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder='Search messages, e.g. "term sheet" -draft'
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            autoFocus
+          />
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close search">
+            ✕
+          </button>
+        </div>
+        <div className="flex items-center justify-between text-xs">
+          <button onClick={() => setShowFilters(!showFilters)} className="text-blue-600 hover:text-blue-800">
+            {showFilters ? 'Hide filters' : 'Filters'}{hasSearchFilters(filters) && ' •'}
+          </button>
+          {hasSearchFilters(filters) && (
+            <button onClick={() => setFilters(EMPTY_FILTERS)} className="text-gray-500 hover:text-gray-700">
+              Clear filters
+            </button>
+          )}
+        </div>
+        {showFilters && (
+          <div className="grid grid-cols-2 gap-2 text-sm">
+            <select
+              value={filters.conversationId}
+              onChange={(e) => updateFilter('conversationId', e.target.value)}
+              className="col-span-2 p-2 border border-gray-300 rounded-md"
+            >
+              <option value="">All conversations</option>
+              {conversations.map((conv) => <option key={conv.id} value={conv.id}>{conv.title}</option>)}
+            </select>
+            <select
+              value={filters.senderId}
+              onChange={(e) => updateFilter('senderId', e.target.value)}
+              className="col-span-2 p-2 border border-gray-300 rounded-md"
+            >
+              <option value="">Anyone</option>
+              {senders.map((member) => (
+                <option key={member.user_id} value={member.user_id}>
+                  {member.user_id === userId ? 'You' : member.profile?.full_name || 'Unknown'}
+                </option>
+              ))}
+            </select>
+            <label className="text-xs text-gray-600">
+              From
+              <input
+                type="date"
+                value={filters.fromDate}
+                max={filters.toDate || undefined}
+                onChange={(e) => updateFilter('fromDate', e.target.value)}
+                className="w-full p-1 border border-gray-300 rounded-md"
+              />
+            </label>
+            <label className="text-xs text-gray-600">
+              To
+              <input
+                type="date"
+                value={filters.toDate}
+                min={filters.fromDate || undefined}
+                onChange={(e) => updateFilter('toDate', e.target.value)}
+                className="w-full p-1 border border-gray-300 rounded-md"
+              />
+            </label>
+            <label className="col-span-2 flex items-center space-x-2 text-gray-700">
+              <input
+                type="checkbox"
+                checked={filters.hasAttachment}
+                onChange={(e) => updateFilter('hasAttachment', e.target.checked)}
+                className="rounded"
+              />
+              <span>Has attachments</span>
+            </label>
+          </div>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        {query.trim().length < SEARCH_MIN_LENGTH ? (
+          <p className="p-4 text-sm text-gray-500 text-center">Type at least {SEARCH_MIN_LENGTH} characters to search</p>
+        ) : results.length === 0 ? (
+          <p className="p-4 text-sm text-gray-500 text-center">{searching ? 'Searching...' : 'No messages found'}</p>
+        ) : (
+          <>
+            {results.map((result) => (
+              <button
+                key={result.id}
+                onClick={() => onSelect(result)}
+                className="block w-full text-left p-3 border-b border-gray-100 hover:bg-gray-50"
+              >
+                <div className="flex justify-between text-xs text-gray-500 mb-1">
+                  <span className="truncate">
+                    <span className="font-medium text-gray-700">{conversationFor(result)?.title || 'Conversation'}</span>
+                    {' · '}
+                    {result.sender_id === userId ? 'You' : result.sender?.full_name}
+                  </span>
+                  <span className="ml-2 whitespace-nowrap">{new Date(result.created_at).toLocaleDateString()}</span>
+                </div>
+                <p className="text-sm text-gray-800 line-clamp-2">
+                  {result.content
+                    ? highlightParts(result.headline).map((part, index) =>
+                        part.highlighted
+                          ? <mark key={index} className="bg-yellow-200 rounded-sm">{part.text}</mark>
+                          : <span key={index}>{part.text}</span>
+                      )
+                    : attachmentSummary(result)}
+                </p>
+              </button>
+            ))}
+            {hasMore && (
+              <button
+                onClick={() => runSearch(results.length)}
+                disabled={searching}
+                className="w-full p-3 text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+              >
+                {searching ? 'Loading...' : 'Load more'}
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,60 @@
+'use client'
+
+import { useState } from 'react'
+import { toast } from 'react-hot-toast'
+import { createGroupConversation } from '@/lib/api/messages'
+import { GROUP_NAME_MAX_LENGTH } from '@/lib/conversations'
+import ConnectionPicker from '@/components/ui/ConnectionPicker'
+
+// Dialog to start a named group conversation, e.g. a deal room with a lead investor and co-investors
+export default function NewGroupConversation({ userId, onCreated, onClose }) {
+  const [name, setName] = useState('')
+  const [memberIds, setMemberIds] = useState([])
+  const [creating, setCreating] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setCreating(true)
+    const result = await createGroupConversation(name, memberIds)
+    setCreating(false)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    toast.success('Group created')
+    onCreated(result.data)
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <form
+        onSubmit={handleSubmit}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white rounded-lg p-6 max-w-md w-full mx-4 space-y-4"
+      >
+        <h3 className="text-lg font-bold text-gray-900">New group</h3>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={GROUP_NAME_MAX_LENGTH}
+          placeholder="Group name, e.g. Seed round deal room"
+          className="w-full p-2 border border-gray-300 rounded-md text-sm"
+        />
+        <ConnectionPicker userId={userId} selected={memberIds} onChange={setMemberIds} />
+        <p className="text-xs text-gray-500">You will be the owner and can add or remove members later.</p>
+        <div className="flex justify-end space-x-2">
+          <button type="button" onClick={onClose} className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md text-sm hover:bg-gray-50">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={creating || !name.trim() || memberIds.length === 0}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            {creating ? 'Creating...' : `Create with ${memberIds.length + 1} members`}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,99 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { getOrganizerAnalytics } from '@/lib/api/eventFeedback'
+import { FeedbackSummary } from './EventAnalytics'
+
+// Attendance and feedback across every past event the current user organized
+export default function OrganizerAnalytics() {
+  const [analytics, setAnalytics] = useState(null)
+  const [loadError, setLoadError] = useState(null)
+
+  useEffect(() => {
+    getOrganizerAnalytics().then((result) => {
+      if (result.error) setLoadError(result.error)
+      else setAnalytics(result.data)
+    })
+  }, [])
+
+  if (loadError) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">{loadError}</div>
+  }
+
+  if (!analytics) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">Loading analytics...</div>
+  }
+
+  const { events, totals } = analytics
+
+  if (!events.length) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">
+        Analytics appear here once one of your events has started.
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-2xl font-bold text-gray-900">Event analytics</h1>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {[
+          ['Events', totals.events],
+          ['Registrations', totals.registered],
+          ['Attendees', totals.attended],
+          ['Show-up rate', totals.showUpRate === null ? '-' : `${totals.showUpRate}%`]
+        ].map(([label, value]) => (
+          <div key={label} className="bg-white rounded-lg shadow-sm p-4">
+            <p className="text-sm text-gray-500">{label}</p>
+            <p className="text-2xl font-semibold text-gray-900">{value}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Feedback across your events</h2>
+        <FeedbackSummary summary={totals.feedback} />
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-left text-gray-600">
+            <tr>
+              <th className="px-4 py-2 font-medium">Event</th>
+              <th className="px-4 py-2 font-medium text-right">Registered</th>
+              <th className="px-4 py-2 font-medium text-right">Attended</th>
+              <th className="px-4 py-2 font-medium text-right">Show-up</th>
+              <th className="px-4 py-2 font-medium text-right">Rating</th>
+              <th className="px-4 py-2 font-medium text-right">NPS</th>
+              <th className="px-4 py-2 font-medium text-right">Responses</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {events.map(({ event, funnel, feedback }) => (
+              <tr key={event.id}>
+                <td className="px-4 py-2">
+                  <Link href={`/events/${event.id}/analytics`} className="text-blue-600 hover:text-blue-800">
+                    {event.title}
+                  </Link>
+                  <div className="text-xs text-gray-500">
+                    {new Date(event.start_date).toLocaleDateString()}
+                    {event.status === 'cancelled' && <span className="ml-2 text-red-600">Cancelled</span>}
+                  </div>
+                </td>
+                <td className="px-4 py-2 text-right">{funnel.registered}</td>
+                <td className="px-4 py-2 text-right">{funnel.checkInUsed ? funnel.attended : '-'}</td>
+                <td className="px-4 py-2 text-right">{funnel.showUpRate === null ? '-' : `${funnel.showUpRate}%`}</td>
+                <td className="px-4 py-2 text-right">{feedback.averageRating ?? '-'}</td>
+                <td className="px-4 py-2 text-right">{feedback.nps ? feedback.nps.score : '-'}</td>
+                <td className="px-4 py-2 text-right">{feedback.responses}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,43 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { getPendingEventFeedback } from '@/lib/api/eventFeedback'
+import { eventEndsAt, FEEDBACK_WINDOW_DAYS } from '@/lib/eventAnalytics'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Prompts for feedback on events the user attended; renders nothing when there are none
+export default function PendingFeedback() {
+  const [events, setEvents] = useState([])
+
+  useEffect(() => {
+    getPendingEventFeedback().then((result) => {
+      if (!result.error) setEvents(result.data)
+    })
+  }, [])
+
+  if (!events.length) return null
+
+  return (
+    <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
+      <p className="font-medium text-gray-900">How did it go?</p>
+      <ul className="mt-2 space-y-2">
+        {events.map((event) => {
+          const daysLeft = Math.ceil((eventEndsAt(event).getTime() + FEEDBACK_WINDOW_DAYS * DAY_MS - Date.now()) / DAY_MS)
+          return (
+            <li key={event.id} className="flex items-center justify-between text-sm">
+              <span className="text-gray-700">
+                {event.title}
+                <span className="text-gray-500"> · closes in {daysLeft} day{daysLeft === 1 ? '' : 's'}</span>
+              </span>
+              <Link href={`/events/${event.id}/feedback`} className="text-blue-600 hover:text-blue-800 whitespace-nowrap ml-4">
+                Give feedback
+              </Link>
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
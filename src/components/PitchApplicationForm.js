@@ -0,0 +1,200 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/navigation'
+import { toast } from 'react-hot-toast'
+import { applyToPitchEvent } from '@/lib/api/events'
+import { getApplicationForm, uploadApplicationFile } from '@/lib/api/pitchApplications'
+import { validateAnswers, visibleFieldIds, APPLICATION_FILE_MAX_SIZE } from '@/lib/applicationForms'
+
+const inputClass = (hasError) =>
+  `w-full p-2 border rounded-md text-sm ${hasError ? 'border-red-400' : 'border-gray-300'}`
+
+// Also used by EventFeedbackForm for the organizer's feedback questions
+export function FieldInput({ eventId, field, value, error, onChange }) {
+  const [uploading, setUploading] = useState(false)
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    if (file.size > APPLICATION_FILE_MAX_SIZE) {
+      toast.error('Files must be 20 MB or smaller')
+      return
+    }
+    setUploading(true)
+    const result = await uploadApplicationFile(eventId, file)
+    setUploading(false)
+    if (result.error) toast.error(result.error)
+    else onChange(result.data)
+  }
+
+  switch (field.type) {
+    case 'long_text':
+      return (
+        <textarea
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          rows={5}
+          maxLength={field.maxLength}
+          className={inputClass(error)}
+        />
+      )
+    case 'select':
+      return (
+        <select value={value || ''} onChange={(e) => onChange(e.target.value)} className={inputClass(error)}>
+          <option value="">Choose...</option>
+          {field.options.map((option) => <option key={option} value={option}>{option}</option>)}
+        </select>
+      )
+    case 'number':
+      return (
+        <input
+          type="number"
+          value={value ?? ''}
+          min={field.min}
+          max={field.max}
+          onChange={(e) => onChange(e.target.value)}
+          className={inputClass(error)}
+        />
+      )
+    case 'url':
+      return (
+        <input
+          type="url"
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder="https://"
+          className={inputClass(error)}
+        />
+      )
+    case 'file':
+      return (
+        <div className="flex items-center space-x-3">
+          <input
+            type="file"
+            accept={field.accept?.map((ext) => `.${ext}`).join(',')}
+            onChange={handleFile}
+            disabled={uploading}
+            className="text-sm"
+          />
+          {uploading && <span className="text-sm text-gray-500">Uploading...</span>}
+          {!uploading && value?.name && <span className="text-sm text-green-700">{value.name}</span>}
+        </div>
+      )
+    default:
+      return (
+        <input
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          maxLength={field.maxLength}
+          className={inputClass(error)}
+        />
+      )
+  }
+}
+
+// Startup application for a pitch event, built from the organizer's form
+export default function PitchApplicationForm({ eventId }) {
+  const router = useRouter()
+  const [event, setEvent] = useState(null)
+  const [answers, setAnswers] = useState({})
+  const [pitchDeckUrl, setPitchDeckUrl] = useState('')
+  const [errors, setErrors] = useState({})
+  const [submitting, setSubmitting] = useState(false)
+  const [loadError, setLoadError] = useState(null)
+
+  useEffect(() => {
+    getApplicationForm(eventId).then((result) => {
+      if (result.error) setLoadError(result.error)
+      else setEvent(result.data)
+    })
+  }, [eventId])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    // Same checks the server runs, for instant feedback
+    const check = validateAnswers(event.application_form, answers)
+    if (check.errors) {
+      setErrors(check.errors)
+      toast.error('Please fix the highlighted answers')
+      return
+    }
+
+    setSubmitting(true)
+    const result = await applyToPitchEvent(eventId, { answers, pitchDeckUrl: pitchDeckUrl.trim() || null })
+    setSubmitting(false)
+
+    if (result.error) {
+      setErrors(result.errors || {})
+      toast.error(result.error)
+      return
+    }
+
+    toast.success('Application submitted')
+    router.push('/dashboard')
+  }
+
+  if (loadError) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">{loadError}</div>
+  }
+
+  if (!event) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">Loading application...</div>
+  }
+
+  const visible = visibleFieldIds(event.application_form, answers)
+  const closesAt = new Date(event.registration_deadline || event.start_date)
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm p-6 space-y-5">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Apply to pitch: {event.title}</h1>
+        <p className="text-sm text-gray-600">
+          Applications close {closesAt.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+        </p>
+      </div>
+
+      <label className="block">
+        <span className="text-sm font-medium text-gray-700">Pitch deck link</span>
+        <input
+          type="url"
+          value={pitchDeckUrl}
+          onChange={(e) => setPitchDeckUrl(e.target.value)}
+          placeholder="https://"
+          className={`mt-1 ${inputClass(false)}`}
+        />
+      </label>
+
+      {event.application_form.filter((field) => visible.has(field.id)).map((field) => (
+        <div key={field.id}>
+          <label className="block text-sm font-medium text-gray-700">
+            {field.label}{field.required && <span className="text-red-500"> *</span>}
+          </label>
+          {field.help && <p className="text-xs text-gray-500 mb-1">{field.help}</p>}
+          <div className="mt-1">
+            <FieldInput
+              eventId={eventId}
+              field={field}
+              value={answers[field.id]}
+              error={errors[field.id]}
+              onChange={(value) => {
+                setAnswers((prev) => ({ ...prev, [field.id]: value }))
+                setErrors((prev) => ({ ...prev, [field.id]: undefined }))
+              }}
+            />
+          </div>
+          {errors[field.id] && <p className="text-xs text-red-600 mt-1">{errors[field.id]}</p>}
+        </div>
+      ))}
+
+      <button
+        type="submit"
+        disabled={submitting || closesAt < new Date()}
+        className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+      >
+        {closesAt < new Date() ? 'Applications are closed' : submitting ? 'Submitting...' : 'Submit application'}
+      </button>
+    </form>
+  )
+}
@@ -0,0 +1,197 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { toast } from 'react-hot-toast'
+import { getPitchEventApplications, reviewPitchApplication } from '@/lib/api/investors'
+import { getApplicationForm, exportPitchApplicationsCsv } from '@/lib/api/pitchApplications'
+import { downloadCsv } from '@/lib/api/portfolio'
+import ApplicationAnswers from '@/components/ui/ApplicationAnswers'
+import ApplicationFormBuilder from '@/components/ApplicationFormBuilder'
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  accepted: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800'
+}
+
+function ApplicationCard({ application, form, onReviewed }) {
+  const [open, setOpen] = useState(false)
+  const [feedback, setFeedback] = useState(application.review_feedback || '')
+  const [saving, setSaving] = useState(false)
+
+  const handleReview = async (status) => {
+    setSaving(true)
+    const result = await reviewPitchApplication(application.id, status, feedback.trim())
+    setSaving(false)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    toast.success(`Application ${status}`)
+    onReviewed()
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">{application.startup?.company_name}</h3>
+          <p className="text-sm text-gray-600">
+            {application.startup?.stage && <span className="capitalize">{application.startup.stage.replace(/_/g, ' ')} · </span>}
+            Applied {new Date(application.applied_at).toLocaleDateString()}
+          </p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[application.status]}`}>
+            {application.status}
+          </span>
+          <button onClick={() => setOpen(!open)} className="text-sm text-blue-600 hover:text-blue-800">
+            {open ? 'Hide' : 'Review'}
+          </button>
+        </div>
+      </div>
+
+      {open && (
+        <div className="mt-4 border-t pt-4 space-y-4">
+          {application.pitch_deck_url && (
+            <a
+              href={application.pitch_deck_url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              Pitch deck
+            </a>
+          )}
+          <ApplicationAnswers form={form} answers={application.application_answers || {}} />
+
+          <textarea
+            value={feedback}
+            onChange={(e) => setFeedback(e.target.value)}
+            rows={2}
+            placeholder="Feedback for the startup (optional)"
+            className="w-full p-2 border border-gray-300 rounded-md text-sm"
+          />
+          <div className="flex justify-end space-x-3">
+            <button
+              onClick={() => handleReview('rejected')}
+              disabled={saving || application.status === 'rejected'}
+              className="px-4 py-2 border border-red-300 text-red-700 rounded-md text-sm hover:bg-red-50 disabled:opacity-50"
+            >
+              Reject
+            </button>
+            <button
+              onClick={() => handleReview('accepted')}
+              disabled={saving || application.status === 'accepted'}
+              className="px-4 py-2 bg-green-600 text-white rounded-md text-sm hover:bg-green-700 disabled:opacity-50"
+            >
+              Accept
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Organizer view of a pitch event's applications: form builder, structured review and CSV export
+export default function PitchApplicationsReview({ eventId }) {
+  const [event, setEvent] = useState(null)
+  const [applications, setApplications] = useState([])
+  const [statusFilter, setStatusFilter] = useState('all')
+  const [editingForm, setEditingForm] = useState(false)
+  const [loadError, setLoadError] = useState(null)
+
+  const loadApplications = useCallback(async () => {
+    setApplications(await getPitchEventApplications(eventId))
+  }, [eventId])
+
+  useEffect(() => {
+    getApplicationForm(eventId).then((result) => {
+      if (result.error) setLoadError(result.error)
+      else setEvent(result.data)
+    })
+    loadApplications()
+  }, [eventId, loadApplications])
+
+  const handleExport = async () => {
+    const result = await exportPitchApplicationsCsv(eventId)
+    if (result.error) toast.error(result.error)
+    else downloadCsv(result.data.filename, result.data.csv)
+  }
+
+  if (loadError) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">{loadError}</div>
+  }
+
+  if (!event) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">Loading applications...</div>
+  }
+
+  const shown = statusFilter === 'all' ? applications : applications.filter((a) => a.status === statusFilter)
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex items-start justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Applications: {event.title}</h1>
+            <p className="text-sm text-gray-600">
+              {applications.length} application{applications.length === 1 ? '' : 's'} ·{' '}
+              {applications.filter((a) => a.status === 'accepted').length} accepted
+            </p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <button onClick={() => setEditingForm(!editingForm)} className="text-sm text-blue-600 hover:text-blue-800">
+              {editingForm ? 'Close form editor' : 'Edit application form'}
+            </button>
+            <button
+              onClick={handleExport}
+              disabled={!applications.length}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md text-sm hover:bg-gray-50 disabled:opacity-50"
+            >
+              Export CSV
+            </button>
+          </div>
+        </div>
+
+        {editingForm && (
+          <div className="mt-6 border-t pt-6">
+            <ApplicationFormBuilder
+              eventId={eventId}
+              initialForm={event.application_form}
+              onSaved={(form) => setEvent({ ...event, application_form: form })}
+            />
+          </div>
+        )}
+      </div>
+
+      <div className="flex space-x-2">
+        {['all', 'pending', 'accepted', 'rejected'].map((status) => (
+          <button
+            key={status}
+            onClick={() => setStatusFilter(status)}
+            className={`px-3 py-1 rounded-full text-sm capitalize ${
+              statusFilter === status ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {status}
+          </button>
+        ))}
+      </div>
+
+      {shown.length ? (
+        shown.map((application) => (
+          <ApplicationCard
+            key={application.id}
+            application={application}
+            form={event.application_form}
+            onReviewed={loadApplications}
+          />
+        ))
+      ) : (
+        <p className="text-sm text-gray-500">No applications yet.</p>
+      )}
+    </div>
+  )
+}
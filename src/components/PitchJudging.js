@@ -0,0 +1,460 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { toast } from 'react-hot-toast'
+import {
+  getJudgingBoard,
+  searchJudgeCandidates,
+  assignJudge,
+  removeJudge,
+  updateJudgingRubric,
+  saveScorecard,
+  publishJudgingResults
+} from '@/lib/api/judging'
+import { SCORE_MIN, SCORE_MAX, scorecardTotal } from '@/lib/judging'
+import ApplicationAnswers from '@/components/ui/ApplicationAnswers'
+
+const SCORE_OPTIONS = Array.from({ length: SCORE_MAX - SCORE_MIN + 1 }, (_, i) => SCORE_MIN + i)
+
+function Leaderboard({ rubric, leaderboard }) {
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500 border-b">
+            <th className="py-2 pr-4">Rank</th>
+            <th className="py-2 pr-4">Startup</th>
+            <th className="py-2 pr-4">Score</th>
+            {rubric.map((criterion) => (
+              <th key={criterion.key} className="py-2 pr-4">{criterion.label}</th>
+            ))}
+            <th className="py-2 pr-4">Judges</th>
+          </tr>
+        </thead>
+        <tbody>
+          {leaderboard.map((row) => (
+            <tr key={row.id} className="border-b last:border-0">
+              <td className="py-2 pr-4 font-semibold text-gray-900">{row.rank ? `#${row.rank}` : '-'}</td>
+              <td className="py-2 pr-4">
+                <p className="text-gray-900">{row.startup?.company_name}</p>
+                {row.tieBreak && <p className="text-xs text-gray-500">Tie broken on {row.tieBreak}</p>}
+              </td>
+              <td className="py-2 pr-4 font-semibold text-gray-900">{row.score ?? 'Not scored'}</td>
+              {rubric.map((criterion) => (
+                <td key={criterion.key} className="py-2 pr-4 text-gray-700">{row.criteria[criterion.key] ?? '-'}</td>
+              ))}
+              <td className="py-2 pr-4 text-gray-700">{row.judgeCount}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+function ScorecardForm({ application, form, rubric, scorecard, otherScorecards, locked, onSaved }) {
+  const [showAnswers, setShowAnswers] = useState(false)
+  const [scores, setScores] = useState(scorecard?.scores || {})
+  const [feedback, setFeedback] = useState(scorecard?.feedback || '')
+  const [saving, setSaving] = useState(false)
+  const submitted = scorecard?.status === 'submitted'
+  const readOnly = submitted || locked
+  const total = scorecardTotal(rubric, scores)
+
+  const handleSave = async (submit) => {
+    if (submit && !confirm('Submit this scorecard? You will not be able to change it afterwards.')) return
+
+    setSaving(true)
+    const result = await saveScorecard(application.id, { scores, feedback }, { submit })
+    setSaving(false)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    toast.success(submit ? 'Scorecard submitted' : 'Draft saved')
+    onSaved()
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">{application.startup?.company_name}</h3>
+          <p className="text-sm text-gray-600">
+            {[application.startup?.industry, application.startup?.stage].filter(Boolean).join(' · ')}
+          </p>
+          {application.pitch_deck_url && (
+            <a
+              href={application.pitch_deck_url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              Pitch deck
+            </a>
+          )}
+          {form.length > 0 && (
+            <button onClick={() => setShowAnswers(!showAnswers)} className="text-sm text-blue-600 hover:text-blue-800 ml-3">
+              {showAnswers ? 'Hide application' : 'View application'}
+            </button>
+          )}
+        </div>
+        <div className="text-right">
+          <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+            submitted ? 'bg-green-100 text-green-800' : scorecard ? 'bg-yellow-100 text-yellow-800' : 'bg-gray-100 text-gray-700'
+          }`}>
+            {submitted ? 'Submitted' : scorecard ? 'Draft' : 'Not scored'}
+          </span>
+          {total !== null && <p className="text-sm font-semibold text-gray-900 mt-1">{total} / {SCORE_MAX}</p>}
+        </div>
+      </div>
+
+      {showAnswers && (
+        <div className="bg-gray-50 rounded-md p-4 mb-4">
+          <ApplicationAnswers form={form} answers={application.application_answers || {}} />
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+        {rubric.map((criterion) => (
+          <label key={criterion.key} className="block">
+            <span className="text-sm text-gray-700">{criterion.label} <span className="text-gray-400">({criterion.weight})</span></span>
+            <select
+              value={scores[criterion.key] ?? ''}
+              disabled={readOnly}
+              onChange={(e) => setScores({ ...scores, [criterion.key]: e.target.value === '' ? undefined : Number(e.target.value) })}
+              className="mt-1 w-full p-2 border border-gray-300 rounded-md text-sm disabled:bg-gray-50"
+            >
+              <option value="">-</option>
+              {SCORE_OPTIONS.map((n) => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <textarea
+        value={feedback}
+        disabled={readOnly}
+        onChange={(e) => setFeedback(e.target.value)}
+        rows={3}
+        placeholder="Feedback for the startup (shared once results are published)"
+        className="w-full p-2 border border-gray-300 rounded-md text-sm disabled:bg-gray-50"
+      />
+
+      {!readOnly && (
+        <div className="flex justify-end space-x-3 mt-3">
+          <button
+            onClick={() => handleSave(false)}
+            disabled={saving}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md text-sm hover:bg-gray-50 disabled:opacity-50"
+          >
+            Save draft
+          </button>
+          <button
+            onClick={() => handleSave(true)}
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            Submit scorecard
+          </button>
+        </div>
+      )}
+
+      {submitted && otherScorecards.length > 0 && (
+        <div className="mt-4 border-t pt-4">
+          <p className="text-sm font-medium text-gray-900 mb-2">Other judges</p>
+          <div className="space-y-2">
+            {otherScorecards.map((card) => (
+              <div key={card.id} className="text-sm">
+                <div className="flex justify-between">
+                  <span className="text-gray-700">{card.judge?.full_name}</span>
+                  <span className="font-semibold text-gray-900">{card.total ?? '-'}</span>
+                </div>
+                {card.feedback && <p className="text-gray-600">{card.feedback}</p>}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function RubricEditor({ eventId, rubric, locked, onSaved }) {
+  const [criteria, setCriteria] = useState(rubric)
+  const [saving, setSaving] = useState(false)
+
+  const updateCriterion = (index, changes) => {
+    setCriteria(criteria.map((criterion, i) => (i === index ? { ...criterion, ...changes } : criterion)))
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    const result = await updateJudgingRubric(eventId, criteria.map(({ key, label, weight }) => ({ key, label, weight })))
+    setSaving(false)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    toast.success('Rubric saved')
+    onSaved()
+  }
+
+  const totalWeight = criteria.reduce((sum, c) => sum + (Number(c.weight) || 0), 0)
+
+  return (
+    <div className="space-y-2">
+      {criteria.map((criterion, index) => (
+        <div key={criterion.key || index} className="flex items-center space-x-2">
+          <input
+            value={criterion.label}
+            disabled={locked}
+            onChange={(e) => updateCriterion(index, { label: e.target.value })}
+            className="flex-1 p-2 border border-gray-300 rounded-md text-sm disabled:bg-gray-50"
+          />
+          <input
+            type="number"
+            min="1"
+            value={criterion.weight}
+            disabled={locked}
+            onChange={(e) => updateCriterion(index, { weight: e.target.value })}
+            className="w-20 p-2 border border-gray-300 rounded-md text-sm disabled:bg-gray-50"
+          />
+          <span className="w-12 text-xs text-gray-500">
+            {totalWeight ? Math.round(((Number(criterion.weight) || 0) / totalWeight) * 100) : 0}%
+          </span>
+          {!locked && criteria.length > 1 && (
+            <button
+              onClick={() => setCriteria(criteria.filter((_, i) => i !== index))}
+              className="text-sm text-red-600 hover:text-red-800"
+            >
+              Remove
+            </button>
+          )}
+        </div>
+      ))}
+      {locked ? (
+        <p className="text-xs text-gray-500">The rubric is locked once a judge has submitted a scorecard.</p>
+      ) : (
+        <div className="flex justify-between pt-2">
+          <button
+            onClick={() => setCriteria([...criteria, { label: '', weight: 10 }])}
+            className="text-sm text-blue-600 hover:text-blue-800"
+          >
+            Add criterion
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save rubric'}
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function JudgePanel({ eventId, judges, applications, scorecards, locked, onChange }) {
+  const [query, setQuery] = useState('')
+  const [candidates, setCandidates] = useState([])
+
+  useEffect(() => {
+    if (query.trim().length < 2) {
+      setCandidates([])
+      return
+    }
+    const timer = setTimeout(async () => {
+      const result = await searchJudgeCandidates(query)
+      if (!result.error) setCandidates(result.data.filter((p) => !judges.some((j) => j.judge_id === p.id)))
+    }, 300)
+    return () => clearTimeout(timer)
+  }, [query, judges])
+
+  const handleAssign = async (profileId) => {
+    const result = await assignJudge(eventId, profileId)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setQuery('')
+    toast.success('Judge added')
+    onChange()
+  }
+
+  const handleRemove = async (judge) => {
+    if (!confirm(`Remove ${judge.judge?.full_name}? Their scorecards for this event will be deleted.`)) return
+    const result = await removeJudge(eventId, judge.judge_id)
+    if (result.error) toast.error(result.error)
+    else onChange()
+  }
+
+  return (
+    <div className="space-y-3">
+      {judges.length === 0 && <p className="text-sm text-gray-500">No judges yet.</p>}
+      {judges.map((judge) => {
+        const submitted = scorecards.filter((card) => card.judge_id === judge.judge_id && card.status === 'submitted').length
+        return (
+          <div key={judge.id} className="flex items-center justify-between text-sm">
+            <div>
+              <p className="text-gray-900">{judge.judge?.full_name}</p>
+              <p className="text-xs text-gray-500 capitalize">{judge.judge?.role}</p>
+            </div>
+            <div className="flex items-center space-x-3">
+              <span className="text-gray-600">{submitted} / {applications.length} submitted</span>
+              {!locked && (
+                <button onClick={() => handleRemove(judge)} className="text-red-600 hover:text-red-800">
+                  Remove
+                </button>
+              )}
+            </div>
+          </div>
+        )
+      })}
+
+      {!locked && (
+        <div className="relative">
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Add a mentor or investor as judge..."
+            className="w-full p-2 border border-gray-300 rounded-md text-sm"
+          />
+          {candidates.length > 0 && (
+            <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg">
+              {candidates.map((candidate) => (
+                <button
+                  key={candidate.id}
+                  onClick={() => handleAssign(candidate.id)}
+                  className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+                >
+                  {candidate.full_name} <span className="text-gray-500 capitalize">· {candidate.role}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Judging for a pitch event: organizers manage the panel, rubric and results; judges fill in scorecards
+export default function PitchJudging({ eventId, userId }) {
+  const [board, setBoard] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [publishing, setPublishing] = useState(false)
+
+  const loadBoard = useCallback(async () => {
+    const result = await getJudgingBoard(eventId)
+    if (result.error) setError(result.error)
+    else setBoard(result.data)
+    setLoading(false)
+  }, [eventId])
+
+  useEffect(() => {
+    loadBoard()
+  }, [loadBoard])
+
+  const handlePublish = async () => {
+    const pending = board.judges.length * board.applications.length -
+      board.scorecards.filter((card) => card.status === 'submitted').length
+    const warning = pending > 0 ? `${pending} scorecard(s) have not been submitted and will not count. ` : ''
+    if (!confirm(`${warning}Publish results? Scores are frozen and startups will see their placing and feedback.`)) return
+
+    setPublishing(true)
+    const result = await publishJudgingResults(eventId)
+    setPublishing(false)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    toast.success('Results published')
+    loadBoard()
+  }
+
+  if (loading) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">Loading judging...</div>
+  }
+
+  if (error) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">{error}</div>
+  }
+
+  const { event, rubric, role, judges, applications, scorecards, leaderboard } = board
+  const published = Boolean(event.results_published_at)
+  const anySubmitted = scorecards.some((card) => card.status === 'submitted')
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex items-start justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Judging: {event.title}</h1>
+            <p className="text-sm text-gray-600">
+              {new Date(event.start_date).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+              {' · '}{applications.length} accepted pitch{applications.length === 1 ? '' : 'es'}
+            </p>
+          </div>
+          {published ? (
+            <span className="px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">Results published</span>
+          ) : role === 'organizer' && (
+            <button
+              onClick={handlePublish}
+              disabled={publishing || !anySubmitted}
+              className="px-4 py-2 bg-green-600 text-white rounded-md text-sm hover:bg-green-700 disabled:opacity-50"
+            >
+              {publishing ? 'Publishing...' : 'Publish results'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {role === 'organizer' && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-3">Judges</h2>
+            <JudgePanel
+              eventId={eventId}
+              judges={judges}
+              applications={applications}
+              scorecards={scorecards}
+              locked={published}
+              onChange={loadBoard}
+            />
+          </div>
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-3">Rubric</h2>
+            <RubricEditor eventId={eventId} rubric={rubric} locked={anySubmitted || published} onSaved={loadBoard} />
+          </div>
+        </div>
+      )}
+
+      {leaderboard && (
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">Leaderboard</h2>
+          {leaderboard.length > 0 ? (
+            <Leaderboard rubric={rubric} leaderboard={leaderboard} />
+          ) : (
+            <p className="text-sm text-gray-500">No accepted pitches yet.</p>
+          )}
+        </div>
+      )}
+
+      {role === 'judge' && applications.map((application) => (
+        <ScorecardForm
+          key={application.id}
+          application={application}
+          form={event.application_form || []}
+          rubric={rubric}
+          scorecard={scorecards.find((card) => card.application_id === application.id && card.judge_id === userId)}
+          otherScorecards={scorecards.filter((card) => card.application_id === application.id && card.judge_id !== userId)}
+          locked={published}
+          onSaved={loadBoard}
+        />
+      ))}
+    </div>
+  )
+}
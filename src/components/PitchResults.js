@@ -0,0 +1,91 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { getMyPitchApplications } from '@/lib/api/judging'
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  accepted: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800'
+}
+
+// A startup's pitch applications, with their placing and the judges' feedback once results are published
+export default function PitchResults() {
+  const [applications, setApplications] = useState([])
+  const [expanded, setExpanded] = useState(null)
+
+  useEffect(() => {
+    getMyPitchApplications().then((result) => {
+      if (!result.error) setApplications(result.data)
+    })
+  }, [])
+
+  if (!applications.length) return null
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6">
+      <p className="font-medium text-gray-900 mb-3">Pitch applications</p>
+      <div className="space-y-3">
+        {applications.map((application) => {
+          const published = Boolean(application.event?.results_published_at)
+          return (
+            <div key={application.id} className="border-t border-gray-100 pt-3 first:border-0 first:pt-0">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{application.event?.title}</p>
+                  <p className="text-xs text-gray-500">
+                    Applied {new Date(application.applied_at).toLocaleDateString()}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-3">
+                  {published && application.final_rank && (
+                    <span className="text-sm font-semibold text-gray-900">
+                      #{application.final_rank} · {Number(application.final_score).toFixed(2)}
+                    </span>
+                  )}
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[application.status]}`}>
+                    {application.status}
+                  </span>
+                  {published && application.feedback && (
+                    <button
+                      onClick={() => setExpanded(expanded === application.id ? null : application.id)}
+                      className="text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      {expanded === application.id ? 'Hide feedback' : 'View feedback'}
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {application.review_feedback && (
+                <p className="text-sm text-gray-600 mt-1">{application.review_feedback}</p>
+              )}
+
+              {expanded === application.id && application.feedback && (
+                <div className="mt-3 bg-gray-50 rounded-md p-3 space-y-3">
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                    {application.feedback.criteria.map((criterion) => (
+                      <div key={criterion.key} className="text-center">
+                        <p className="text-lg font-semibold text-gray-900">{criterion.average ?? '-'}</p>
+                        <p className="text-xs text-gray-600">{criterion.label}</p>
+                      </div>
+                    ))}
+                  </div>
+                  {application.feedback.comments.length > 0 ? (
+                    <ul className="space-y-2">
+                      {application.feedback.comments.map((comment, index) => (
+                        <li key={index} className="text-sm text-gray-700 border-l-2 border-blue-200 pl-3">{comment}</li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className="text-sm text-gray-500">The judges did not leave written feedback.</p>
+                  )}
+                </div>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
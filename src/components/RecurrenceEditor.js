@@ -0,0 +1,132 @@
+'use client'
+
+import {
+  RECURRENCE_FREQUENCIES,
+  MAX_OCCURRENCES,
+  buildRule,
+  describeRule,
+  nthWeekdayOfMonth
+} from '@/lib/recurrence'
+import { dateInTimeZone } from '@/lib/scheduling'
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth']
+
+// Repeat options for an event series. `value` holds editor options (see defaultRecurrenceOptions).
+export default function RecurrenceEditor({ value, onChange, startDate, timeZone, allowNone = true }) {
+  const update = (changes) => onChange({ ...value, ...changes })
+  const start = startDate ? new Date(startDate) : null
+  const validStart = start && !Number.isNaN(start.getTime())
+  const monthDay = validStart ? nthWeekdayOfMonth(dateInTimeZone(start, timeZone)) : null
+  const frequencies = allowNone ? RECURRENCE_FREQUENCIES : RECURRENCE_FREQUENCIES.filter((f) => f.value !== 'none')
+
+  const preview = value.freq !== 'none' && validStart ? buildRule(value, start, timeZone) : null
+
+  const toggleWeekday = (weekday) => {
+    const weekdays = value.weekdays.includes(weekday)
+      ? value.weekdays.filter((d) => d !== weekday)
+      : [...value.weekdays, weekday]
+    update({ weekdays })
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center space-x-2 text-sm">
+        <select
+          value={value.freq}
+          onChange={(e) => update({ freq: e.target.value })}
+          className="p-2 border border-gray-300 rounded-md"
+        >
+          {frequencies.map((f) => <option key={f.value} value={f.value}>{f.label}</option>)}
+        </select>
+        {value.freq !== 'none' && (
+          <>
+            <span className="text-gray-600">every</span>
+            <input
+              type="number"
+              min="1"
+              max="12"
+              value={value.interval}
+              onChange={(e) => update({ interval: e.target.value })}
+              className="w-16 p-2 border border-gray-300 rounded-md"
+            />
+            <span className="text-gray-600">{value.freq === 'WEEKLY' ? 'week(s)' : 'month(s)'}</span>
+          </>
+        )}
+      </div>
+
+      {value.freq === 'WEEKLY' && (
+        <div className="flex space-x-1">
+          {WEEKDAY_LABELS.map((label, weekday) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => toggleWeekday(weekday)}
+              className={`px-2 py-1 rounded-md text-xs ${
+                value.weekdays.includes(weekday) ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {value.freq === 'MONTHLY' && monthDay && (
+        <select
+          value={value.monthlyBy}
+          onChange={(e) => update({ monthlyBy: e.target.value })}
+          className="p-2 border border-gray-300 rounded-md text-sm"
+        >
+          <option value="weekday">On the {ORDINALS[monthDay.nth - 1]} {WEEKDAY_NAMES[monthDay.weekday]}</option>
+          {monthDay.isLast && <option value="last_weekday">On the last {WEEKDAY_NAMES[monthDay.weekday]}</option>}
+          <option value="day">On day {Number(dateInTimeZone(start, timeZone).slice(8))}</option>
+        </select>
+      )}
+
+      {value.freq !== 'none' && (
+        <div className="flex items-center space-x-2 text-sm">
+          <span className="text-gray-600">Ends</span>
+          <select
+            value={value.ends}
+            onChange={(e) => update({ ends: e.target.value })}
+            className="p-2 border border-gray-300 rounded-md"
+          >
+            <option value="count">after</option>
+            <option value="until">on</option>
+          </select>
+          {value.ends === 'count' ? (
+            <>
+              <input
+                type="number"
+                min="1"
+                max={MAX_OCCURRENCES}
+                value={value.count}
+                onChange={(e) => update({ count: e.target.value })}
+                className="w-20 p-2 border border-gray-300 rounded-md"
+              />
+              <span className="text-gray-600">occurrences</span>
+            </>
+          ) : (
+            <input
+              type="date"
+              value={value.until}
+              onChange={(e) => update({ until: e.target.value })}
+              className="p-2 border border-gray-300 rounded-md"
+            />
+          )}
+        </div>
+      )}
+
+      {preview && (
+        <p className={`text-xs ${preview.error ? 'text-red-600' : 'text-gray-500'}`}>
+          {preview.error || `${describeRule(preview.rule, { timeZone })} (${timeZone})`}
+        </p>
+      )}
+      {value.freq !== 'none' && !validStart && (
+        <p className="text-xs text-gray-500">Choose a start time to preview the schedule.</p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,179 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { toast } from 'react-hot-toast'
+import { getAvailableSlots, bookMentorshipSession, rescheduleMentorshipSession } from '@/lib/api/mentors'
+import { groupSlotsByDay, formatTimeInZone, localTimeZone } from '@/lib/scheduling'
+import { sessionPrice, formatMoney } from '@/lib/payments'
+import StripePaymentForm from '@/components/StripePaymentForm'
+
+// Slot picker for booking (or moving) a mentorship session; times are shown in the viewer's time zone
+export default function SessionBooking({ mentor, session = null, onClose, onBooked }) {
+  const viewerTimeZone = localTimeZone()
+  const [durations, setDurations] = useState([])
+  const [duration, setDuration] = useState(session?.duration_minutes || null)
+  const [slots, setSlots] = useState([])
+  const [mentorTimeZone, setMentorTimeZone] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [selected, setSelected] = useState(null)
+  const [notes, setNotes] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [awaitingPayment, setAwaitingPayment] = useState(null)
+
+  useEffect(() => {
+    setLoading(true)
+    setSelected(null)
+    getAvailableSlots(mentor.id, { durationMinutes: duration }).then((result) => {
+      if (result.error) toast.error(result.error)
+      else {
+        setSlots(result.data.slots)
+        setMentorTimeZone(result.data.timeZone)
+        setDurations(result.data.durations || [])
+        if (!duration && result.data.durations?.length) setDuration(result.data.durations[0])
+      }
+      setLoading(false)
+    })
+  }, [mentor.id, duration])
+
+  const handleConfirm = async () => {
+    if (!selected) return
+    setSaving(true)
+    const result = session
+      ? await rescheduleMentorshipSession(session.id, selected.start)
+      : await bookMentorshipSession(mentor.id, {
+        scheduled_at: selected.start,
+        duration_minutes: duration,
+        notes,
+        time_zone: viewerTimeZone
+      })
+    setSaving(false)
+
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    onBooked?.(result.data)
+    if (result.data.status === 'pending_payment') {
+      setAwaitingPayment(result.data)
+      return
+    }
+    toast.success(session ? 'Session rescheduled' : 'Session booked')
+    onClose()
+  }
+
+  const handlePaid = () => {
+    toast.success('Payment received. Your session will be confirmed shortly.')
+    onBooked?.(awaitingPayment)
+    onClose()
+  }
+
+  const days = groupSlotsByDay(slots, viewerTimeZone)
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-xl font-bold text-gray-900">
+            {awaitingPayment ? 'Complete Payment' : session ? 'Reschedule Session' : 'Book a Session'}
+          </h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">✕</button>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          {mentor.profiles?.full_name ? `With ${mentor.profiles.full_name}. ` : ''}
+          Times are shown in your time zone ({viewerTimeZone})
+          {mentorTimeZone && mentorTimeZone !== viewerTimeZone ? `; the mentor is in ${mentorTimeZone}` : ''}.
+        </p>
+
+        {!session && !awaitingPayment && durations.length > 1 && (
+          <div className="flex space-x-2 mb-4">
+            {durations.map((d) => (
+              <button
+                key={d}
+                onClick={() => setDuration(d)}
+                className={`px-3 py-1 rounded-full text-sm border ${
+                  duration === d ? 'bg-purple-600 text-white border-purple-600' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {d} min
+              </button>
+            ))}
+          </div>
+        )}
+
+        {awaitingPayment ? (
+          <StripePaymentForm sessionId={awaitingPayment.id} onPaid={handlePaid} onCancel={onClose} />
+        ) : (
+          <>
+            {mentor.is_paid && mentor.hourly_rate && duration && (
+              <div className="bg-gray-50 p-3 rounded-lg mb-4 flex justify-between text-sm">
+                <span className="text-gray-600">Price</span>
+                <span className="font-semibold">
+                  {formatMoney(sessionPrice(mentor.hourly_rate, duration), mentor.currency || 'USD')}
+                </span>
+              </div>
+            )}
+
+            {loading ? (
+              <p className="text-gray-600 py-6 text-center">Loading open slots...</p>
+            ) : days.length === 0 ? (
+              <p className="text-gray-600 py-6 text-center">No open slots in the mentor&apos;s booking window</p>
+            ) : (
+              <div className="space-y-3 mb-4">
+                {days.map((day) => (
+                  <div key={day.date}>
+                    <p className="text-sm font-medium text-gray-700 mb-1">{day.label}</p>
+                    <div className="flex flex-wrap gap-2">
+                      {day.slots.map((slot) => (
+                        <button
+                          key={slot.start}
+                          onClick={() => setSelected(slot)}
+                          className={`px-3 py-1 rounded-md text-sm border ${
+                            selected?.start === slot.start
+                              ? 'bg-purple-600 text-white border-purple-600'
+                              : 'border-gray-300 text-gray-700 hover:bg-purple-50'
+                          }`}
+                        >
+                          {formatTimeInZone(slot.start, viewerTimeZone)}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {!session && (
+              <textarea
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                rows={2}
+                placeholder="What would you like to discuss? (optional)"
+                className="w-full p-2 border border-gray-300 rounded-md resize-none mb-4 text-sm"
+              />
+            )}
+
+            <div className="flex space-x-3">
+              <button
+                onClick={onClose}
+                className="flex-1 border border-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleConfirm}
+                disabled={!selected || saving}
+                className="flex-1 bg-purple-600 text-white py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+              >
+                {saving
+                  ? 'Saving...'
+                  : selected
+                    ? `${session ? 'Move to' : 'Book'} ${formatTimeInZone(selected.start, viewerTimeZone, { weekday: 'short', hour: 'numeric', minute: '2-digit' })}`
+                    : 'Select a time'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
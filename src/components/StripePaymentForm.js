@@ -0,0 +1,117 @@
+'use client'
+
+import { useState, useEffect, useRef } from 'react'
+import { loadStripe } from '@stripe/stripe-js'
+import { startSessionCheckout } from '@/lib/api/payments'
+import { formatMoney } from '@/lib/payments'
+
+let stripePromise = null
+const getStripeJs = () => {
+  if (!stripePromise) stripePromise = loadStripe(process.env.NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY)
+  return stripePromise
+}
+
+// Stripe Payment Element for a session awaiting payment; the webhook confirms the session once paid
+export default function StripePaymentForm({ sessionId, onPaid, onCancel }) {
+  const mountRef = useRef(null)
+  const [stripe, setStripe] = useState(null)
+  const [elements, setElements] = useState(null)
+  const [checkout, setCheckout] = useState(null)
+  const [error, setError] = useState(null)
+  const [paying, setPaying] = useState(false)
+
+  useEffect(() => {
+    let paymentElement = null
+    let cancelled = false
+
+    const setup = async () => {
+      const result = await startSessionCheckout(sessionId)
+      if (cancelled) return
+      if (result.error) {
+        setError(result.error)
+        return
+      }
+
+      const stripeJs = await getStripeJs()
+      if (cancelled) return
+      if (!stripeJs) {
+        setError('Payments are not configured')
+        return
+      }
+
+      const stripeElements = stripeJs.elements({ clientSecret: result.data.clientSecret })
+      paymentElement = stripeElements.create('payment')
+      paymentElement.mount(mountRef.current)
+
+      setStripe(stripeJs)
+      setElements(stripeElements)
+      setCheckout(result.data)
+    }
+
+    setup()
+    return () => {
+      cancelled = true
+      paymentElement?.destroy()
+    }
+  }, [sessionId])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!stripe || !elements) return
+
+    setPaying(true)
+    setError(null)
+    const { error: confirmError, paymentIntent } = await stripe.confirmPayment({
+      elements,
+      redirect: 'if_required',
+      confirmParams: { return_url: `${window.location.origin}/dashboard?payment=session` }
+    })
+    setPaying(false)
+
+    if (confirmError) {
+      setError(confirmError.message)
+      return
+    }
+    onPaid?.(paymentIntent)
+  }
+
+  return (
+    <form onSubmit={handleSubmit}>
+      {checkout && (
+        <div className="bg-gray-50 p-3 rounded-lg mb-4 text-sm">
+          <div className="flex justify-between">
+            <span className="text-gray-600">Total</span>
+            <span className="font-semibold">{formatMoney(checkout.amount, checkout.currency)}</span>
+          </div>
+          {checkout.expiresAt && (
+            <p className="text-xs text-gray-500 mt-1">
+              Your slot is held until {new Date(checkout.expiresAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+            </p>
+          )}
+        </div>
+      )}
+
+      {!checkout && !error && <p className="text-gray-600 text-sm mb-4">Loading payment form...</p>}
+      <div ref={mountRef} className="mb-4" />
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      <div className="flex space-x-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="flex-1 border border-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-50"
+        >
+          Pay Later
+        </button>
+        <button
+          type="submit"
+          disabled={!checkout || paying}
+          className="flex-1 bg-purple-600 text-white py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+        >
+          {paying ? 'Processing...' : checkout ? `Pay ${formatMoney(checkout.amount, checkout.currency)}` : 'Pay'}
+        </button>
+      </div>
+    </form>
+  )
+}
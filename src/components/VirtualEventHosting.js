@@ -0,0 +1,304 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { toast } from 'react-hot-toast'
+import {
+  getEventHosting,
+  saveEventHosting,
+  addEventRecording,
+  removeEventRecording
+} from '@/lib/api/virtualEvents'
+import {
+  MEETING_PROVIDERS,
+  RECORDING_VISIBILITY,
+  DEFAULT_LINK_REVEAL_MINUTES,
+  detectProvider,
+  jitsiRoomUrl,
+  providerLabel
+} from '@/lib/virtualEvents'
+
+const inputClass = 'p-2 border border-gray-300 rounded-md text-sm'
+
+const emptyMain = { provider: 'google_meet', url: '', passcode: '' }
+
+function toLocalInput(iso) {
+  if (!iso) return ''
+  const date = new Date(iso)
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+function LinkFields({ link, onChange, title }) {
+  const update = (changes) => onChange({ ...link, ...changes })
+  const provider = MEETING_PROVIDERS.find((p) => p.value === link.provider)
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      <select value={link.provider} onChange={(e) => update({ provider: e.target.value })} className={inputClass}>
+        {MEETING_PROVIDERS.map((p) => <option key={p.value} value={p.value}>{p.label}</option>)}
+      </select>
+      <input
+        type="url"
+        value={link.url}
+        onChange={(e) => {
+          const url = e.target.value
+          const detected = detectProvider(url)
+          update({ url, ...(detected !== 'custom' ? { provider: detected } : {}) })
+        }}
+        placeholder={provider?.placeholder}
+        className={`flex-1 min-w-[12rem] ${inputClass}`}
+      />
+      <input
+        value={link.passcode || ''}
+        onChange={(e) => update({ passcode: e.target.value })}
+        placeholder="Passcode (optional)"
+        className={`w-40 ${inputClass}`}
+      />
+      {link.provider === 'jitsi' && (
+        <button
+          type="button"
+          onClick={() => update({ url: jitsiRoomUrl(title) })}
+          className="text-sm text-blue-600 hover:text-blue-800"
+        >
+          Create room
+        </button>
+      )}
+    </div>
+  )
+}
+
+// Organizer settings for a virtual event: meeting links, when they are revealed, breakouts and recordings
+export default function VirtualEventHosting({ eventId }) {
+  const [event, setEvent] = useState(null)
+  const [main, setMain] = useState(emptyMain)
+  const [breakouts, setBreakouts] = useState([])
+  const [revealMinutes, setRevealMinutes] = useState(DEFAULT_LINK_REVEAL_MINUTES)
+  const [recordingVisibility, setRecordingVisibility] = useState('registrants')
+  const [recordings, setRecordings] = useState([])
+  const [newRecording, setNewRecording] = useState({ label: '', url: '' })
+  const [applyToSeries, setApplyToSeries] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [loadError, setLoadError] = useState(null)
+
+  useEffect(() => {
+    getEventHosting(eventId).then((result) => {
+      if (result.error) {
+        setLoadError(result.error)
+        return
+      }
+      const { event, main, breakouts, recordings } = result.data
+      setEvent(event)
+      setRevealMinutes(event.link_reveal_minutes ?? DEFAULT_LINK_REVEAL_MINUTES)
+      setRecordingVisibility(event.recording_visibility || 'registrants')
+      if (main) setMain({ provider: main.provider, url: main.url, passcode: main.passcode || '' })
+      setBreakouts(breakouts.map((b) => ({
+        key: b.id,
+        label: b.label,
+        provider: b.provider,
+        url: b.url,
+        passcode: b.passcode || '',
+        starts_at: toLocalInput(b.starts_at)
+      })))
+      setRecordings(recordings)
+    })
+  }, [eventId])
+
+  const updateBreakout = (index, changes) =>
+    setBreakouts(breakouts.map((b, i) => (i === index ? { ...b, ...changes } : b)))
+
+  const handleSave = async () => {
+    setSaving(true)
+    const result = await saveEventHosting(eventId, {
+      link_reveal_minutes: revealMinutes,
+      recording_visibility: recordingVisibility,
+      main,
+      breakouts: breakouts.map((b) => ({ ...b, starts_at: b.starts_at ? new Date(b.starts_at).toISOString() : null }))
+    }, { scope: applyToSeries ? 'series' : 'this' })
+    setSaving(false)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    toast.success(applyToSeries ? 'Saved for this and upcoming dates' : 'Hosting details saved')
+  }
+
+  const handleAddRecording = async (e) => {
+    e.preventDefault()
+    const result = await addEventRecording(eventId, newRecording)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setRecordings([...recordings, result.data])
+    setNewRecording({ label: '', url: '' })
+    toast.success('Recording added; registrants have been notified')
+  }
+
+  const handleRemoveRecording = async (recording) => {
+    if (!confirm(`Remove "${recording.label}"?`)) return
+    const result = await removeEventRecording(eventId, recording.id)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setRecordings(recordings.filter((r) => r.id !== recording.id))
+  }
+
+  if (loadError) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">{loadError}</div>
+  }
+
+  if (!event) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-gray-600">Loading hosting details...</div>
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Hosting: {event.title}</h1>
+          <p className="text-sm text-gray-600">
+            {new Date(event.start_date).toLocaleString([], { dateStyle: 'full', timeStyle: 'short' })}
+          </p>
+        </div>
+        <Link href={`/events/${event.id}/join`} className="text-sm text-blue-600 hover:text-blue-800">
+          Attendee view
+        </Link>
+      </div>
+
+      {!event.is_virtual && (
+        <p className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+          This event is marked as in person. Links saved here are still shared with confirmed registrants.
+        </p>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm p-6 space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900">Meeting</h2>
+        <LinkFields link={main} onChange={setMain} title={event.title} />
+
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <span>Show the link to confirmed registrants</span>
+          <input
+            type="number"
+            min="0"
+            max="1440"
+            value={revealMinutes}
+            onChange={(e) => setRevealMinutes(e.target.value)}
+            className={`w-20 ${inputClass}`}
+          />
+          <span>minutes before the start</span>
+        </label>
+
+        <div>
+          <div className="flex items-center justify-between">
+            <h3 className="text-sm font-medium text-gray-700">Breakout rooms</h3>
+            <button
+              type="button"
+              onClick={() => setBreakouts([...breakouts, { key: Date.now(), label: '', ...emptyMain, starts_at: '' }])}
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              Add breakout room
+            </button>
+          </div>
+          {breakouts.length === 0 && (
+            <p className="text-sm text-gray-500 mt-1">Add a room per session for workshops that split into groups.</p>
+          )}
+          <div className="space-y-3 mt-2">
+            {breakouts.map((breakout, index) => (
+              <div key={breakout.key} className="border border-gray-200 rounded-lg p-3 space-y-2">
+                <div className="flex flex-wrap gap-2">
+                  <input
+                    value={breakout.label}
+                    onChange={(e) => updateBreakout(index, { label: e.target.value })}
+                    placeholder="Session name"
+                    className={`flex-1 ${inputClass}`}
+                  />
+                  <input
+                    type="datetime-local"
+                    value={breakout.starts_at}
+                    onChange={(e) => updateBreakout(index, { starts_at: e.target.value })}
+                    className={inputClass}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setBreakouts(breakouts.filter((_, i) => i !== index))}
+                    className="text-sm text-red-600 hover:text-red-800"
+                  >
+                    Remove
+                  </button>
+                </div>
+                <LinkFields
+                  link={breakout}
+                  onChange={(link) => updateBreakout(index, link)}
+                  title={`${event.title} ${breakout.label}`}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <span>Recordings are available to</span>
+          <select value={recordingVisibility} onChange={(e) => setRecordingVisibility(e.target.value)} className={inputClass}>
+            {RECORDING_VISIBILITY.map((v) => <option key={v.value} value={v.value}>{v.label}</option>)}
+          </select>
+        </label>
+
+        <div className="flex items-center justify-between">
+          {event.series_id ? (
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input type="checkbox" checked={applyToSeries} onChange={(e) => setApplyToSeries(e.target.checked)} />
+              <span>Use for all upcoming dates in the series</span>
+            </label>
+          ) : <span />}
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm p-6 space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900">Recordings</h2>
+        {recordings.length === 0 ? (
+          <p className="text-sm text-gray-500">Add replay links after the event; registrants are notified.</p>
+        ) : (
+          <ul className="space-y-2">
+            {recordings.map((recording) => (
+              <li key={recording.id} className="flex items-center justify-between text-sm">
+                <a href={recording.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800">
+                  {recording.label}
+                </a>
+                <button onClick={() => handleRemoveRecording(recording)} className="text-red-600 hover:text-red-800">
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <form onSubmit={handleAddRecording} className="flex flex-wrap gap-2">
+          <input
+            value={newRecording.label}
+            onChange={(e) => setNewRecording({ ...newRecording, label: e.target.value })}
+            placeholder="Title, e.g. Full session"
+            className={`flex-1 ${inputClass}`}
+          />
+          <input
+            type="url"
+            value={newRecording.url}
+            onChange={(e) => setNewRecording({ ...newRecording, url: e.target.value })}
+            placeholder="https://"
+            className={`flex-1 ${inputClass}`}
+          />
+          <button type="submit" className="px-4 py-2 bg-gray-800 text-white rounded-md text-sm hover:bg-gray-900">
+            Add recording
+          </button>
+        </form>
+        <p className="text-xs text-gray-500">Any https link works, e.g. a {providerLabel('zoom')} cloud recording or a video page.</p>
+      </div>
+    </div>
+  )
+}
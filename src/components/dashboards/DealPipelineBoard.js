@@ -0,0 +1,314 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import Link from 'next/link'
+import { toast } from 'react-hot-toast'
+import {
+  getDealPipeline,
+  moveDeal,
+  assignDealOwner,
+  getDealOwnerOptions,
+  getDealActivity,
+  addDealNote,
+  deleteDealNote
+} from '@/lib/api/dealPipeline'
+
+const STAGE_TYPE_COLORS = {
+  open: 'border-blue-200',
+  won: 'border-green-300',
+  lost: 'border-gray-300'
+}
+
+const daysSince = (date) => Math.max(0, Math.floor((Date.now() - new Date(date).getTime()) / 86400000))
+
+// Kanban board of an investor's deals, followed by a board per investor who assigned deals to them;
+// drag a card onto a column to move it
+export default function DealPipelineBoard({ currentUserId }) {
+  const [stages, setStages] = useState([])
+  const [sharedBoards, setSharedBoards] = useState([])
+  const [deals, setDeals] = useState([])
+  const [owners, setOwners] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [draggingId, setDraggingId] = useState(null)
+  const [dropStage, setDropStage] = useState(null)
+  const [selectedDeal, setSelectedDeal] = useState(null)
+  const [activity, setActivity] = useState({ notes: [], history: [] })
+  const [noteText, setNoteText] = useState('')
+
+  const loadPipeline = useCallback(async () => {
+    setLoading(true)
+    const [pipeline, ownerOptions] = await Promise.all([getDealPipeline(), getDealOwnerOptions()])
+    if (pipeline.error) {
+      toast.error(pipeline.error)
+    } else {
+      setStages(pipeline.data.stages)
+      setSharedBoards(pipeline.data.sharedBoards)
+      setDeals(pipeline.data.deals)
+    }
+    if (!ownerOptions.error) setOwners(ownerOptions.data)
+    setLoading(false)
+  }, [])
+
+  useEffect(() => {
+    loadPipeline()
+  }, [loadPipeline])
+
+  const openDeal = async (deal) => {
+    setSelectedDeal(deal)
+    setActivity({ notes: [], history: [] })
+    const result = await getDealActivity(deal.id)
+    if (!result.error) setActivity(result.data)
+  }
+
+  const replaceDeal = (updated) => {
+    setDeals((prev) => prev.map((d) => (d.id === updated.id ? { ...d, ...updated, company: d.company } : d)))
+    setSelectedDeal((prev) => (prev?.id === updated.id ? { ...prev, ...updated, company: prev.company } : prev))
+  }
+
+  const handleDrop = async (investorId, stageKey) => {
+    const deal = deals.find((d) => d.id === draggingId)
+    setDraggingId(null)
+    setDropStage(null)
+    // Deals only move within their own investor's board
+    if (!deal || deal.investor_id !== investorId || deal.stage_key === stageKey) return
+
+    // Optimistic move; reverted if the server rejects it
+    const previous = deal
+    replaceDeal({ ...deal, stage_key: stageKey, stage_entered_at: new Date().toISOString() })
+
+    const result = await moveDeal(deal.id, stageKey, { position: 0 })
+    if (result.error) {
+      toast.error(result.error)
+      replaceDeal(previous)
+      return
+    }
+    replaceDeal(result.data)
+    if (selectedDeal?.id === deal.id) openDeal(result.data)
+  }
+
+  const handleOwnerChange = async (deal, ownerId) => {
+    const result = await assignDealOwner(deal.id, ownerId || null)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    replaceDeal(result.data)
+    toast.success('Deal owner updated')
+  }
+
+  const handleAddNote = async (e) => {
+    e.preventDefault()
+    if (!noteText.trim() || !selectedDeal) return
+    const result = await addDealNote(selectedDeal.id, noteText)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setActivity((prev) => ({ ...prev, notes: [result.data, ...prev.notes] }))
+    setNoteText('')
+  }
+
+  const handleDeleteNote = async (noteId) => {
+    const result = await deleteDealNote(noteId)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setActivity((prev) => ({ ...prev, notes: prev.notes.filter((n) => n.id !== noteId) }))
+  }
+
+  const stagesFor = (investorId) =>
+    investorId === currentUserId ? stages : sharedBoards.find((b) => b.investor.id === investorId)?.stages || []
+  const stageName = (key) => stagesFor(selectedDeal?.investor_id).find((s) => s.stage_key === key)?.name || key
+
+  const renderBoard = (investorId, boardStages) => (
+    <div className="flex space-x-4 overflow-x-auto pb-4">
+      {boardStages.map((stage) => {
+        const stageDeals = deals.filter((d) => d.investor_id === investorId && d.stage_key === stage.stage_key)
+        const dropKey = `${investorId}:${stage.stage_key}`
+        return (
+          <div
+            key={stage.stage_key}
+            onDragOver={(e) => {
+              e.preventDefault()
+              setDropStage(dropKey)
+            }}
+            onDragLeave={() => setDropStage((prev) => (prev === dropKey ? null : prev))}
+            onDrop={(e) => {
+              e.preventDefault()
+              handleDrop(investorId, stage.stage_key)
+            }}
+            className={`flex-shrink-0 w-64 bg-gray-50 rounded-lg border-t-4 ${STAGE_TYPE_COLORS[stage.stage_type]} ${
+              dropStage === dropKey ? 'ring-2 ring-blue-400' : ''
+            }`}
+          >
+            <div className="flex items-center justify-between px-3 py-2">
+              <h3 className="font-semibold text-gray-800 text-sm">{stage.name}</h3>
+              <span className="text-xs text-gray-500">{stageDeals.length}</span>
+            </div>
+            <div className="space-y-2 px-2 pb-3 min-h-[120px]">
+              {stageDeals.map((deal) => (
+                <div
+                  key={deal.id}
+                  draggable
+                  onDragStart={(e) => {
+                    e.dataTransfer.effectAllowed = 'move'
+                    setDraggingId(deal.id)
+                  }}
+                  onDragEnd={() => setDraggingId(null)}
+                  onClick={() => openDeal(deal)}
+                  className={`bg-white rounded-md shadow-sm p-3 cursor-move border ${
+                    selectedDeal?.id === deal.id ? 'border-blue-400' : 'border-transparent'
+                  } ${draggingId === deal.id ? 'opacity-50' : ''}`}
+                >
+                  <p className="font-medium text-gray-900 text-sm truncate">
+                    {deal.company?.company_name || deal.startup?.full_name || 'Startup'}
+                  </p>
+                  {deal.company?.industry && (
+                    <p className="text-xs text-gray-500 truncate">{deal.company.industry}</p>
+                  )}
+                  <div className="flex items-center justify-between mt-2 text-xs text-gray-500">
+                    <span>{daysSince(deal.stage_entered_at)}d in stage</span>
+                    <span className="truncate ml-2">{deal.owner?.full_name || 'Unassigned'}</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm p-6 text-center">
+        <p className="text-gray-600">Loading deal pipeline...</p>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Deal Pipeline</h2>
+          <p className="text-sm text-gray-600">
+            Drag deals between stages. Notes and stages are private — startups only see whether their request is in review.
+          </p>
+        </div>
+        <span className="text-sm text-gray-500">{deals.length} deals</span>
+      </div>
+
+      {renderBoard(currentUserId, stages)}
+
+      {sharedBoards.map((board) => (
+        <div key={board.investor.id} className="mt-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">Assigned by {board.investor.full_name}</h3>
+          {renderBoard(board.investor.id, board.stages)}
+        </div>
+      ))}
+
+      {selectedDeal && (
+        <div className="bg-white rounded-lg shadow-sm p-6 mt-4">
+          <div className="flex items-start justify-between mb-4">
+            <div>
+              <h3 className="text-xl font-semibold text-gray-900">
+                {selectedDeal.company?.company_name || selectedDeal.startup?.full_name || 'Startup'}
+              </h3>
+              <p className="text-sm text-gray-600">
+                {stageName(selectedDeal.stage_key)} · since {new Date(selectedDeal.stage_entered_at).toLocaleDateString()}
+              </p>
+              {selectedDeal.company?.slug && (
+                <Link href={`/startups/${selectedDeal.company.slug}`} className="text-sm text-blue-600 hover:underline">
+                  View startup profile
+                </Link>
+              )}
+            </div>
+            <button onClick={() => setSelectedDeal(null)} className="text-gray-500 hover:text-gray-700">
+              ✕
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Owner</label>
+              <select
+                value={selectedDeal.owner_id || ''}
+                onChange={(e) => handleOwnerChange(selectedDeal, e.target.value)}
+                disabled={selectedDeal.investor_id !== currentUserId}
+                className="w-full p-2 border border-gray-300 rounded-md text-sm"
+              >
+                <option value="">Unassigned</option>
+                {owners.map((o) => (
+                  <option key={o.id} value={o.id}>{o.full_name}</option>
+                ))}
+              </select>
+
+              {selectedDeal.request?.message && (
+                <div className="mt-4">
+                  <p className="text-sm font-medium text-gray-700">Request message</p>
+                  <p className="text-sm text-gray-600 mt-1">{selectedDeal.request.message}</p>
+                </div>
+              )}
+
+              <div className="mt-4">
+                <p className="text-sm font-medium text-gray-700 mb-2">Stage history</p>
+                {activity.history.length ? (
+                  <ul className="space-y-1 text-sm text-gray-600">
+                    {activity.history.map((h) => (
+                      <li key={h.id}>
+                        {h.from_stage === h.to_stage
+                          ? h.note
+                          : `${stageName(h.from_stage)} → ${stageName(h.to_stage)}`}
+                        <span className="text-xs text-gray-400 ml-2">
+                          {h.changed_by_profile?.full_name} · {new Date(h.changed_at).toLocaleString()}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-sm text-gray-500">No stage changes yet</p>
+                )}
+              </div>
+            </div>
+
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-2">Private notes</p>
+              <form onSubmit={handleAddNote} className="flex space-x-2 mb-3">
+                <input
+                  value={noteText}
+                  onChange={(e) => setNoteText(e.target.value)}
+                  placeholder="Add a note..."
+                  className="flex-1 p-2 border border-gray-300 rounded-md text-sm"
+                />
+                <button type="submit" className="bg-blue-600 text-white px-3 py-2 rounded-md text-sm hover:bg-blue-700">
+                  Add
+                </button>
+              </form>
+              {activity.notes.length ? (
+                <ul className="space-y-2">
+                  {activity.notes.map((n) => (
+                    <li key={n.id} className="p-2 bg-gray-50 rounded-md text-sm">
+                      <p className="text-gray-800 whitespace-pre-wrap">{n.content}</p>
+                      <div className="flex items-center justify-between mt-1 text-xs text-gray-500">
+                        <span>{n.author?.full_name} · {new Date(n.created_at).toLocaleString()}</span>
+                        {n.author_id === currentUserId && (
+                          <button onClick={() => handleDeleteNote(n.id)} className="text-red-500 hover:text-red-700">
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-500">No notes yet</p>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
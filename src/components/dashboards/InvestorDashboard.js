@@ -10,7 +10,17 @@ import { toast } from 'react-hot-toast'
 import { getInvestmentRequests, respondToInvestmentRequest } from '@/lib/api/requests'
 import { getUserConnections, getConnectionStats } from '@/lib/api/connections'
 import { getUserEventRegistrations, cancelEventRegistration } from '@/lib/api/eventRegistration'
+import CalendarSubscription from '@/components/CalendarSubscription'
+import PendingFeedback from '@/components/PendingFeedback'
+import AddToCalendarButton from '@/components/ui/AddToCalendarButton'
+import WaitlistStatus from '@/components/ui/WaitlistStatus'
+import EventTicketButton from '@/components/ui/EventTicketButton'
+import JoinEventLink from '@/components/ui/JoinEventLink'
 import { RecommendationCardSkeleton } from '@/components/ui/LoadingSkeleton'
+import RecommendationReasons from '@/components/ui/RecommendationReasons'
+import RecommendationFeedback from '@/components/ui/RecommendationFeedback'
+import DealPipelineBoard from '@/components/dashboards/DealPipelineBoard'
+import PortfolioManager from '@/components/dashboards/PortfolioManager'
 import { fetchEssentialData, fetchSecondaryData, fetchTertiaryData } from '@/lib/services/dashboardDataService'
 
 export default function InvestorDashboard({ profile }) {
@@ -347,17 +357,7 @@ export default function InvestorDashboard({ profile }) {
     </div>
   )
 
-  const renderPortfolio = () => (
-    <div className="bg-white rounded-lg shadow-sm p-6">
-      <h3 className="text-xl font-semibold text-gray-900 mb-4">Portfolio Management</h3>
-      <div className="text-center py-8">
-        <p className="text-gray-600">Portfolio management features coming soon</p>
-        <p className="text-sm text-gray-500 mt-1">
-          Track your investments and portfolio performance
-        </p>
-      </div>
-    </div>
-  )
+  const renderPortfolio = () => <PortfolioManager />
 
   const renderConnections = () => (
     <div className="bg-white rounded-lg shadow-sm p-6">
@@ -407,6 +407,8 @@ export default function InvestorDashboard({ profile }) {
   const renderEvents = () => (
     <div className="bg-white rounded-lg shadow-sm p-6">
       <h3 className="text-xl font-semibold text-gray-900 mb-4">My Events</h3>
+      <PendingFeedback />
+      <CalendarSubscription />
       {tertiaryLoading ? (
         <div className="space-y-4">
           {Array.from({ length: 3 }, (_, i) => (
@@ -448,22 +450,25 @@ export default function InvestorDashboard({ profile }) {
                       <span>🕒 {eventDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
                       {event.location && <span>📍 {event.location}</span>}
                     </div>
-                    {event.meeting_link && (isUpcoming || isToday) && (
-                      <a
-                        href={event.meeting_link}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="inline-block mt-2 px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700"
-                      >
-                        Join Meeting
-                      </a>
+                    {event.is_virtual && (
+                      <div className="mt-2">
+                        <JoinEventLink registration={registration} event={event} />
+                      </div>
                     )}
                   </div>
                   <div className="flex items-center gap-2">
                     <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusColor}`}>
                       {statusText}
                     </span>
-                    {isUpcoming && (
+                    {isUpcoming && registration.status === 'confirmed' && <AddToCalendarButton eventId={event.id} />}
+                    {(isUpcoming || isToday) && ['confirmed', 'attended'].includes(registration.status) && (
+                      <EventTicketButton registration={registration} event={event} />
+                    )}
+                    <WaitlistStatus
+                      registration={registration}
+                      onChange={async () => setTertiaryData(await fetchTertiaryData(user, profile))}
+                    />
+                    {isUpcoming && ['confirmed', 'pending', 'waitlisted'].includes(registration.status) && (
                       <button
                         onClick={async () => {
                           try {
@@ -506,6 +511,16 @@ export default function InvestorDashboard({ profile }) {
     </div>
   )
 
+  // Saved cards stay (marked as saved); dismissed / not-interested cards are removed
+  const handleRecommendationFeedback = (recommendation, action) => {
+    setTertiaryData((prev) => ({
+      ...prev,
+      recommendations: (prev?.recommendations || [])
+        .filter((r) => action === 'saved' || action === 'unsaved' || r.userId !== recommendation.userId)
+        .map((r) => (r.userId === recommendation.userId ? { ...r, saved: action === 'saved' } : r))
+    }))
+  }
+
   const handleContactRecommendation = (recommendation, e) => {
     e.preventDefault()
     e.stopPropagation()
@@ -554,6 +569,7 @@ export default function InvestorDashboard({ profile }) {
                     </div>
                   </div>
                 </Link>
+                <RecommendationReasons reasons={r.reasons} />
                 <div className="flex space-x-2 mt-3 pt-3 border-t border-gray-100">
                   <Link 
                     href={r.link || '#'} 
@@ -568,6 +584,7 @@ export default function InvestorDashboard({ profile }) {
                     📧 Contact
                   </button>
                 </div>
+                <RecommendationFeedback recommendation={r} onFeedback={handleRecommendationFeedback} />
               </div>
             )
           })}
@@ -594,6 +611,7 @@ export default function InvestorDashboard({ profile }) {
           {[
             { id: 'overview', name: 'Overview' },
             { id: 'requests', name: 'Investment Requests' },
+            { id: 'pipeline', name: 'Deal Pipeline' },
             { id: 'portfolio', name: 'Portfolio' },
             { id: 'connections', name: 'Connections' },
             { id: 'events', name: 'Events' },
@@ -617,6 +635,7 @@ export default function InvestorDashboard({ profile }) {
       {/* Tab Content */}
       {activeTab === 'overview' && renderOverview()}
       {activeTab === 'requests' && renderInvestmentRequests()}
+      {activeTab === 'pipeline' && <DealPipelineBoard currentUserId={user?.id} />}
       {activeTab === 'portfolio' && renderPortfolio()}
       {activeTab === 'connections' && renderConnections()}
       {activeTab === 'events' && renderEvents()}
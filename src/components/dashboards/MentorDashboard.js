@@ -11,7 +11,18 @@ import { fetchEssentialData, fetchSecondaryData, fetchTertiaryData } from '@/lib
 import { getMentorshipRequests, respondToMentorshipRequest } from '@/lib/api/requests'
 import { getUserConnections, getConnectionStats } from '@/lib/api/connections'
 import { getUserEventRegistrations, cancelEventRegistration } from '@/lib/api/eventRegistration'
+import CalendarSubscription from '@/components/CalendarSubscription'
+import PendingFeedback from '@/components/PendingFeedback'
+import AddToCalendarButton from '@/components/ui/AddToCalendarButton'
+import WaitlistStatus from '@/components/ui/WaitlistStatus'
+import EventTicketButton from '@/components/ui/EventTicketButton'
+import JoinEventLink from '@/components/ui/JoinEventLink'
 import { RecommendationCardSkeleton } from '@/components/ui/LoadingSkeleton'
+import RecommendationReasons from '@/components/ui/RecommendationReasons'
+import RecommendationFeedback from '@/components/ui/RecommendationFeedback'
+import MentorAvailabilityManager from '@/components/MentorAvailabilityManager'
+import MentorshipSessions from '@/components/MentorshipSessions'
+import MentorEarnings from '@/components/MentorEarnings'
 
 export default function MentorDashboard({ profile }) {
   const { user } = useAuth()
@@ -399,6 +410,10 @@ export default function MentorDashboard({ profile }) {
         </Link>
       </div>
 
+      <PendingFeedback />
+
+      <CalendarSubscription />
+
       {tertiaryLoading ? (
         <div className="space-y-4">
           {[...Array(3)].map((_, i) => (
@@ -448,25 +463,26 @@ export default function MentorDashboard({ profile }) {
                         <span className="capitalize">{event.event_type}</span>
                       </div>
                     </div>
-                    {event.google_meet_link && isUpcoming && (
+                    {event.is_virtual && (
                       <div className="mt-3">
-                        <a 
-                          href={event.google_meet_link} 
-                          target="_blank" 
-                          rel="noopener noreferrer"
-                          className="text-blue-600 hover:text-blue-800 text-sm"
-                        >
-                          🔗 Join Meeting
-                        </a>
+                        <JoinEventLink registration={registration} event={event} />
                       </div>
                     )}
                   </div>
-                  <div className="ml-4">
-                    {isUpcoming && (
+                  <div className="ml-4 flex flex-col items-end space-y-2">
+                    {isUpcoming && registration.status === 'confirmed' && <AddToCalendarButton eventId={event.id} />}
+                    {!isPast && ['confirmed', 'attended'].includes(registration.status) && (
+                      <EventTicketButton registration={registration} event={event} />
+                    )}
+                    <WaitlistStatus
+                      registration={registration}
+                      onChange={async () => setTertiaryData(await fetchTertiaryData(user, profile))}
+                    />
+                    {isUpcoming && ['confirmed', 'pending', 'waitlisted'].includes(registration.status) && (
                       <button
                         onClick={async () => {
                           try {
-                            const result = await cancelEventRegistration(event.id)
+                            const result = await cancelEventRegistration(registration.id)
                             if (result.error) {
                               toast.error(result.error)
                             } else {
@@ -506,6 +522,16 @@ export default function MentorDashboard({ profile }) {
     </div>
   )
 
+  // Saved cards stay (marked as saved); dismissed / not-interested cards are removed
+  const handleRecommendationFeedback = (recommendation, action) => {
+    setTertiaryData((prev) => ({
+      ...prev,
+      recommendations: (prev?.recommendations || [])
+        .filter((r) => action === 'saved' || action === 'unsaved' || r.userId !== recommendation.userId)
+        .map((r) => (r.userId === recommendation.userId ? { ...r, saved: action === 'saved' } : r))
+    }))
+  }
+
   const handleContactRecommendation = (recommendation, e) => {
     e.preventDefault()
     e.stopPropagation()
@@ -553,6 +579,7 @@ export default function MentorDashboard({ profile }) {
                   </div>
                 </div>
               </Link>
+              <RecommendationReasons reasons={r.reasons} />
               <div className="flex space-x-2 mt-3 pt-3 border-t border-gray-100">
                 <Link 
                   href={r.link || '#'} 
@@ -567,6 +594,7 @@ export default function MentorDashboard({ profile }) {
                   📧 Contact
                 </button>
               </div>
+              <RecommendationFeedback recommendation={r} onFeedback={handleRecommendationFeedback} />
             </div>
           ))}
         </div>
@@ -592,6 +620,9 @@ export default function MentorDashboard({ profile }) {
           {[
             { id: 'overview', name: 'Overview' },
             { id: 'requests', name: 'Mentorship Requests' },
+            { id: 'sessions', name: 'Sessions' },
+            { id: 'availability', name: 'Availability' },
+            { id: 'earnings', name: 'Earnings' },
             { id: 'connections', name: 'Connections' },
             { id: 'events', name: 'Events' },
             { id: 'recommendations', name: 'Recommendations' }
@@ -614,6 +645,9 @@ export default function MentorDashboard({ profile }) {
       {/* Tab Content */}
       {activeTab === 'overview' && renderOverview()}
       {activeTab === 'requests' && renderMentorshipRequests()}
+      {activeTab === 'sessions' && <MentorshipSessions />}
+      {activeTab === 'availability' && <MentorAvailabilityManager mentorId={profile?.roleSpecificData?.id} />}
+      {activeTab === 'earnings' && <MentorEarnings />}
       {activeTab === 'connections' && renderConnections()}
       {activeTab === 'events' && renderEvents()}
       {activeTab === 'recommendations' && renderRecommendations()}
@@ -0,0 +1,225 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { toast } from 'react-hot-toast'
+import {
+  getPortfolio,
+  getKpiReports,
+  updateRunwayAlertThreshold,
+  formatKpiValue,
+  kpiChartPoints,
+  kpiReportsCsv,
+  toCsv,
+  downloadCsv,
+  KPI_FIELDS
+} from '@/lib/api/portfolio'
+import KpiChart from '@/components/ui/KpiChart'
+
+const PORTFOLIO_CSV_COLUMNS = [
+  { key: 'company', label: 'Company' },
+  { key: 'invested', label: 'Invested' },
+  { key: 'rounds', label: 'Rounds' },
+  { key: 'status', label: 'Status' },
+  { key: 'period', label: 'Latest report' },
+  ...KPI_FIELDS
+]
+
+// Investor portfolio: companies funded through the platform, their latest KPIs and runway alerts
+export default function PortfolioManager() {
+  const [portfolio, setPortfolio] = useState({ companies: [], threshold: 6 })
+  const [loading, setLoading] = useState(true)
+  const [thresholdInput, setThresholdInput] = useState('')
+  const [selected, setSelected] = useState(null)
+  const [reports, setReports] = useState([])
+
+  useEffect(() => {
+    getPortfolio().then((result) => {
+      if (result.error) toast.error(result.error)
+      else {
+        setPortfolio(result.data)
+        setThresholdInput(String(result.data.threshold))
+      }
+      setLoading(false)
+    })
+  }, [])
+
+  const companyName = (c) => c.company?.company_name || 'Startup'
+  const companyStatus = (c) => c.dealStage || c.rounds[0]?.status || 'Invested'
+
+  const openCompany = async (company) => {
+    setSelected(company)
+    setReports([])
+    const result = await getKpiReports(company.startupId)
+    if (result.error) toast.error(result.error)
+    else setReports(result.data)
+  }
+
+  const handleThresholdSave = async (e) => {
+    e.preventDefault()
+    const result = await updateRunwayAlertThreshold(thresholdInput)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    const threshold = result.data.runway_alert_months
+    setPortfolio({
+      threshold,
+      companies: portfolio.companies.map((c) => ({
+        ...c,
+        runwayAlert: c.latestReport?.runway_months !== null && c.latestReport?.runway_months !== undefined &&
+          Number(c.latestReport.runway_months) < threshold
+      }))
+    })
+    toast.success('Alert threshold updated')
+  }
+
+  const exportPortfolio = () => {
+    const rows = portfolio.companies.map((c) => ({
+      company: companyName(c),
+      invested: c.invested,
+      rounds: c.rounds.map((r) => r.name).join('; '),
+      status: companyStatus(c),
+      period: c.latestReport?.period_start?.slice(0, 7) || '',
+      ...Object.fromEntries(KPI_FIELDS.map((f) => [f.key, c.latestReport?.[f.key] ?? '']))
+    }))
+    downloadCsv('portfolio.csv', toCsv(PORTFOLIO_CSV_COLUMNS, rows))
+  }
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm p-6 text-center">
+        <p className="text-gray-600">Loading portfolio...</p>
+      </div>
+    )
+  }
+
+  const totalInvested = portfolio.companies.reduce((sum, c) => sum + c.invested, 0)
+  const alerts = portfolio.companies.filter((c) => c.runwayAlert)
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-semibold text-gray-900">Portfolio Management</h3>
+          {portfolio.companies.length > 0 && (
+            <button onClick={exportPortfolio} className="text-sm text-blue-600 hover:text-blue-800">
+              Export CSV
+            </button>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+          <div className="p-4 bg-gray-50 rounded-lg">
+            <p className="text-sm text-gray-600">Companies</p>
+            <p className="text-2xl font-bold text-gray-900">{portfolio.companies.length}</p>
+          </div>
+          <div className="p-4 bg-gray-50 rounded-lg">
+            <p className="text-sm text-gray-600">Total invested</p>
+            <p className="text-2xl font-bold text-gray-900">{formatKpiValue('currency', totalInvested)}</p>
+          </div>
+          <div className={`p-4 rounded-lg ${alerts.length ? 'bg-red-50' : 'bg-gray-50'}`}>
+            <p className="text-sm text-gray-600">Runway alerts</p>
+            <p className={`text-2xl font-bold ${alerts.length ? 'text-red-600' : 'text-gray-900'}`}>{alerts.length}</p>
+            <form onSubmit={handleThresholdSave} className="flex items-center space-x-2 mt-2 text-xs text-gray-600">
+              <span>Alert below</span>
+              <input
+                type="number"
+                min="1"
+                max="60"
+                value={thresholdInput}
+                onChange={(e) => setThresholdInput(e.target.value)}
+                className="w-14 p-1 border border-gray-300 rounded"
+              />
+              <span>months</span>
+              <button type="submit" className="text-blue-600 hover:text-blue-800">Save</button>
+            </form>
+          </div>
+        </div>
+
+        {portfolio.companies.length === 0 ? (
+          <div className="text-center py-8">
+            <p className="text-gray-600">No portfolio companies yet</p>
+            <p className="text-sm text-gray-500 mt-1">
+              Companies appear here once you commit to one of their rounds or move a deal to a won stage
+            </p>
+          </div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-2">Company</th>
+                <th className="py-2 text-right">Invested</th>
+                <th className="py-2">Rounds</th>
+                <th className="py-2">Status</th>
+                <th className="py-2 text-right">MRR</th>
+                <th className="py-2 text-right">Runway</th>
+              </tr>
+            </thead>
+            <tbody>
+              {portfolio.companies.map((c) => (
+                <tr
+                  key={c.startupId}
+                  onClick={() => openCompany(c)}
+                  className={`border-b border-gray-100 cursor-pointer hover:bg-gray-50 ${selected?.startupId === c.startupId ? 'bg-blue-50' : ''}`}
+                >
+                  <td className="py-2 font-medium text-gray-900">{companyName(c)}</td>
+                  <td className="py-2 text-right text-gray-700">{c.invested ? formatKpiValue('currency', c.invested) : '—'}</td>
+                  <td className="py-2 text-gray-700">{c.rounds.map((r) => r.name).join(', ') || '—'}</td>
+                  <td className="py-2 text-gray-700 capitalize">{companyStatus(c)}</td>
+                  <td className="py-2 text-right text-gray-700">{formatKpiValue('currency', c.latestReport?.mrr)}</td>
+                  <td className="py-2 text-right">
+                    <span className={c.runwayAlert ? 'px-2 py-1 rounded-full text-xs font-medium text-red-600 bg-red-100' : 'text-gray-700'}>
+                      {formatKpiValue('months', c.latestReport?.runway_months)}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {selected && (
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h3 className="text-xl font-semibold text-gray-900">{companyName(selected)}</h3>
+              {selected.company?.slug && (
+                <Link href={`/startups/${selected.company.slug}`} className="text-sm text-blue-600 hover:underline">
+                  View profile
+                </Link>
+              )}
+            </div>
+            <div className="flex items-center space-x-4 text-sm">
+              {reports.length > 0 && (
+                <button
+                  onClick={() => downloadCsv(`${selected.company?.slug || 'startup'}-kpis.csv`, kpiReportsCsv(reports))}
+                  className="text-blue-600 hover:text-blue-800"
+                >
+                  Export KPIs
+                </button>
+              )}
+              <button onClick={() => setSelected(null)} className="text-gray-500 hover:text-gray-700">✕</button>
+            </div>
+          </div>
+          {reports.length === 0 ? (
+            <p className="text-gray-600">No KPI reports submitted yet</p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {KPI_FIELDS.filter((f) => f.key !== 'cash_balance').map((field) => (
+                <KpiChart
+                  key={field.key}
+                  title={field.label}
+                  points={kpiChartPoints(reports, field.key)}
+                  formatValue={(v) => formatKpiValue(field.format, v)}
+                  threshold={field.key === 'runway_months' ? portfolio.threshold : null}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -9,7 +9,20 @@ import Image from 'next/image'
 import { toast } from 'react-hot-toast'
 import { fetchEssentialData, fetchSecondaryData, fetchTertiaryData } from '@/lib/services/dashboardDataService'
 import { getUserEventRegistrations, cancelEventRegistration } from '@/lib/api/eventRegistration'
+import CalendarSubscription from '@/components/CalendarSubscription'
+import PendingFeedback from '@/components/PendingFeedback'
+import PitchResults from '@/components/PitchResults'
+import AddToCalendarButton from '@/components/ui/AddToCalendarButton'
+import WaitlistStatus from '@/components/ui/WaitlistStatus'
+import EventTicketButton from '@/components/ui/EventTicketButton'
+import JoinEventLink from '@/components/ui/JoinEventLink'
 import { RecommendationCardSkeleton, ListSkeleton } from '@/components/ui/LoadingSkeleton'
+import RecommendationReasons from '@/components/ui/RecommendationReasons'
+import RecommendationFeedback from '@/components/ui/RecommendationFeedback'
+import DataRoomManager from '@/components/DataRoomManager'
+import KpiReporting from '@/components/KpiReporting'
+import MentorshipSessions from '@/components/MentorshipSessions'
+import { getStartupFacingStatus, STARTUP_FACING_STATUS_LABELS } from '@/lib/api/dealPipeline'
 
 export default function StartupDashboard({ profile }) {
   const { user } = useAuth()
@@ -285,7 +298,7 @@ export default function StartupDashboard({ profile }) {
                     </p>
                   </div>
                   <span className={`px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(request.status)}`}>
-                    {request.status}
+                    {STARTUP_FACING_STATUS_LABELS[getStartupFacingStatus(request)]}
                   </span>
                 </div>
               </div>
@@ -341,6 +354,16 @@ export default function StartupDashboard({ profile }) {
     </div>
   )
 
+  // Saved cards stay (marked as saved); dismissed / not-interested cards are removed
+  const handleRecommendationFeedback = (recommendation, action) => {
+    setTertiaryData((prev) => ({
+      ...prev,
+      recommendations: (prev?.recommendations || [])
+        .filter((r) => action === 'saved' || action === 'unsaved' || r.userId !== recommendation.userId)
+        .map((r) => (r.userId === recommendation.userId ? { ...r, saved: action === 'saved' } : r))
+    }))
+  }
+
   const handleContactRecommendation = (recommendation, e) => {
     e.preventDefault()
     e.stopPropagation()
@@ -388,6 +411,7 @@ export default function StartupDashboard({ profile }) {
                   </div>
                 </div>
               </Link>
+              <RecommendationReasons reasons={r.reasons} />
               <div className="flex space-x-2 mt-3 pt-3 border-t border-gray-100">
                 <Link 
                   href={r.link || '#'} 
@@ -402,6 +426,7 @@ export default function StartupDashboard({ profile }) {
                   📧 Contact
                 </button>
               </div>
+              <RecommendationFeedback recommendation={r} onFeedback={handleRecommendationFeedback} />
             </div>
           ))}
         </div>
@@ -464,6 +489,12 @@ export default function StartupDashboard({ profile }) {
         </Link>
       </div>
 
+      <PendingFeedback />
+
+      <CalendarSubscription />
+
+      <PitchResults />
+
       {tertiaryLoading ? (
         <div className="space-y-4">
           {[...Array(3)].map((_, i) => (
@@ -513,25 +544,26 @@ export default function StartupDashboard({ profile }) {
                         <span className="capitalize">{event.event_type}</span>
                       </div>
                     </div>
-                    {event.google_meet_link && isUpcoming && (
+                    {event.is_virtual && (
                       <div className="mt-3">
-                        <a 
-                          href={event.google_meet_link} 
-                          target="_blank" 
-                          rel="noopener noreferrer"
-                          className="text-blue-600 hover:text-blue-800 text-sm"
-                        >
-                          🔗 Join Meeting
-                        </a>
+                        <JoinEventLink registration={registration} event={event} />
                       </div>
                     )}
                   </div>
-                  <div className="ml-4">
-                    {isUpcoming && (
+                  <div className="ml-4 flex flex-col items-end space-y-2">
+                    {isUpcoming && registration.status === 'confirmed' && <AddToCalendarButton eventId={event.id} />}
+                    {!isPast && ['confirmed', 'attended'].includes(registration.status) && (
+                      <EventTicketButton registration={registration} event={event} />
+                    )}
+                    <WaitlistStatus
+                      registration={registration}
+                      onChange={async () => setTertiaryData(await fetchTertiaryData(user, profile))}
+                    />
+                    {isUpcoming && ['confirmed', 'pending', 'waitlisted'].includes(registration.status) && (
                       <button
                         onClick={async () => {
                           try {
-                            const result = await cancelEventRegistration(event.id)
+                            const result = await cancelEventRegistration(registration.id)
                             if (result.error) {
                               toast.error(result.error)
                             } else {
@@ -587,6 +619,9 @@ export default function StartupDashboard({ profile }) {
           {[
             { id: 'overview', name: 'Overview' },
             { id: 'requests', name: 'Requests' },
+            { id: 'dataroom', name: 'Data Room' },
+            { id: 'kpis', name: 'KPI Reports' },
+            { id: 'sessions', name: 'Mentor Sessions' },
             { id: 'connections', name: 'Connections' },
             { id: 'messages', name: 'Messages' },
             { id: 'events', name: 'Events' },
@@ -610,6 +645,9 @@ export default function StartupDashboard({ profile }) {
       {/* Tab Content */}
       {activeTab === 'overview' && renderOverview()}
       {activeTab === 'requests' && renderRequests()}
+      {activeTab === 'dataroom' && <DataRoomManager startupId={user?.id} />}
+      {activeTab === 'kpis' && <KpiReporting startupId={user?.id} />}
+      {activeTab === 'sessions' && <MentorshipSessions />}
       {activeTab === 'connections' && renderConnections()}
       {activeTab === 'messages' && renderMessages()}
       {activeTab === 'events' && renderEvents()}
@@ -3,9 +3,11 @@ import { useState, useEffect } from 'react'
 import { supabase } from '@/lib/supabase'
 import { sendConnectionRequest } from '@/lib/api/connections'
 import { sendInvestmentRequest, cancelRequest } from '@/lib/api/requests'
+import { getInvestorParticipation, getPendingRoundCommitments, respondToRoundCommitment, ROUND_INSTRUMENTS } from '@/lib/api/fundingRounds'
 import { useAuth } from '@/hooks/useAuth'
 import { toast } from 'react-hot-toast'
 import Image from 'next/image'
+import Link from 'next/link'
 
 export default function InvestorProfile({ profile, investorProfile, isOwnProfile = false }) {
   const { user } = useAuth()
@@ -15,6 +17,8 @@ export default function InvestorProfile({ profile, investorProfile, isOwnProfile
   const [showInvestmentModal, setShowInvestmentModal] = useState(false)
   const [investmentMessage, setInvestmentMessage] = useState('')
   const [pitchDeckFile, setPitchDeckFile] = useState(null)
+  const [participation, setParticipation] = useState([])
+  const [pendingCommitments, setPendingCommitments] = useState([])
 
   useEffect(() => {
     if (user && !isOwnProfile) {
@@ -23,6 +27,22 @@ export default function InvestorProfile({ profile, investorProfile, isOwnProfile
     }
   }, [user, profile?.id, isOwnProfile])
 
+  useEffect(() => {
+    if (profile?.id) {
+      getInvestorParticipation(profile.id).then((result) => {
+        if (!result.error) setParticipation(result.data)
+      })
+    }
+  }, [profile?.id])
+
+  useEffect(() => {
+    if (isOwnProfile) {
+      getPendingRoundCommitments().then((result) => {
+        if (!result.error) setPendingCommitments(result.data)
+      })
+    }
+  }, [isOwnProfile])
+
   const fetchConnectionStatus = async () => {
     try {
       const { data } = await supabase
@@ -157,6 +177,17 @@ export default function InvestorProfile({ profile, investorProfile, isOwnProfile
     }
   }
 
+  const handleCommitmentResponse = async (commitment, accept) => {
+    const result = await respondToRoundCommitment(commitment.id, accept)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    setPendingCommitments(pendingCommitments.filter((c) => c.id !== commitment.id))
+    if (accept) setParticipation([commitment, ...participation])
+    toast.success(accept ? 'Commitment confirmed' : 'Commitment declined')
+  }
+
   const handleCancelRequest = async (requestId) => {
     setLoading(true)
     try {
@@ -430,6 +461,55 @@ export default function InvestorProfile({ profile, investorProfile, isOwnProfile
               </div>
             </div>
 
+            {pendingCommitments.length > 0 && (
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900 mb-3">Commitments to Confirm</h3>
+                <p className="text-sm text-gray-500 mb-2">Founders recorded these under your name. They appear on your profile once you confirm them.</p>
+                <ul className="divide-y divide-gray-100">
+                  {pendingCommitments.map((c) => (
+                    <li key={c.id} className="flex items-center justify-between py-2">
+                      <span className="text-gray-700">
+                        <span className="font-medium text-gray-900">{c.company?.company_name || 'Startup'}</span>
+                        {' · '}{c.round.name} · ${Number(c.amount).toLocaleString()}
+                      </span>
+                      <span className="flex space-x-2">
+                        <button onClick={() => handleCommitmentResponse(c, true)} className="text-sm text-green-700 hover:text-green-900">
+                          Confirm
+                        </button>
+                        <button onClick={() => handleCommitmentResponse(c, false)} className="text-sm text-red-600 hover:text-red-800">
+                          Decline
+                        </button>
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {participation.length > 0 && (
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900 mb-3">Round Participation</h3>
+                <ul className="divide-y divide-gray-100">
+                  {participation.map((c) => (
+                    <li key={c.id} className="flex justify-between py-2">
+                      <span className="text-gray-700">
+                        {c.company?.slug ? (
+                          <Link href={`/startups/${c.company.slug}`} className="font-medium text-gray-900 hover:underline">
+                            {c.company.company_name}
+                          </Link>
+                        ) : (
+                          <span className="font-medium text-gray-900">{c.company?.company_name || 'Startup'}</span>
+                        )}
+                        {' · '}{c.round.name} ({ROUND_INSTRUMENTS.find((i) => i.value === c.round.instrument)?.label})
+                        {c.is_lead && <span className="ml-2 text-xs text-purple-600">Lead</span>}
+                      </span>
+                      <span className="text-gray-900 font-medium">${Number(c.amount).toLocaleString()}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             {investorProfile?.investment_criteria && (
               <div>
                 <h3 className="text-lg font-semibold text-gray-900 mb-3">Investment Criteria</h3>
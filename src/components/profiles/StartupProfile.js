@@ -6,6 +6,7 @@ import { sendMentorshipRequest, sendInvestmentRequest, cancelRequest } from '@/l
 import { useAuth } from '@/hooks/useAuth'
 import { toast } from 'react-hot-toast'
 import Image from 'next/image'
+import FundingRounds from '@/components/FundingRounds'
 
 export default function StartupProfile({ profile, startupProfile, isOwnProfile = false }) {
   const { user } = useAuth()
@@ -390,6 +391,18 @@ export default function StartupProfile({ profile, startupProfile, isOwnProfile =
         </div>
       </div>
 
+      {/* Funding Rounds & Cap Table */}
+      {profile?.role === 'startup' && (
+        <div className="px-6 pb-6">
+          <FundingRounds
+            startupId={profile.id}
+            isOwner={isOwnProfile}
+            founderShares={startupProfile?.founder_shares}
+            optionPoolShares={startupProfile?.option_pool_shares}
+          />
+        </div>
+      )}
+
       {/* Mentorship Request Modal */}
       {showMentorshipModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
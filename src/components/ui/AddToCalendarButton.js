@@ -0,0 +1,28 @@
+'use client'
+
+import { useState } from 'react'
+import { toast } from 'react-hot-toast'
+import { getEventCalendarFile, getSessionCalendarFile } from '@/lib/api/calendar'
+import { downloadIcs } from '@/lib/ical'
+
+// Downloads an .ics file for one event registration or mentorship session
+export default function AddToCalendarButton({ eventId, sessionId, className = 'text-blue-600 hover:text-blue-800 text-sm' }) {
+  const [loading, setLoading] = useState(false)
+
+  const handleClick = async () => {
+    setLoading(true)
+    const result = eventId ? await getEventCalendarFile(eventId) : await getSessionCalendarFile(sessionId)
+    setLoading(false)
+    if (result.error) {
+      toast.error(result.error)
+      return
+    }
+    downloadIcs(result.data.filename, result.data.content)
+  }
+
+  return (
+    <button onClick={handleClick} disabled={loading} className={`${className} disabled:opacity-50`}>
+      {loading ? 'Preparing...' : 'Add to calendar'}
+    </button>
+  )
+}
@@ -0,0 +1,50 @@
+'use client'
+
+import { toast } from 'react-hot-toast'
+import { getApplicationFileUrl } from '@/lib/api/pitchApplications'
+import { formatAnswer, visibleFieldIds } from '@/lib/applicationForms'
+
+// Answers to an event's application form, laid out field by field for reviewers and judges
+export default function ApplicationAnswers({ form = [], answers = {} }) {
+  const visible = visibleFieldIds(form, answers)
+  const fields = form.filter((field) => visible.has(field.id))
+
+  const openFile = async (file) => {
+    const result = await getApplicationFileUrl(file)
+    if (result.error) toast.error(result.error)
+    else window.open(result.data.url, '_blank', 'noopener,noreferrer')
+  }
+
+  if (!fields.length) {
+    return <p className="text-sm text-gray-500">No application questions for this event.</p>
+  }
+
+  return (
+    <dl className="space-y-3">
+      {fields.map((field) => {
+        const value = answers[field.id]
+        const text = formatAnswer(field, value)
+        return (
+          <div key={field.id}>
+            <dt className="text-xs font-medium text-gray-500 uppercase tracking-wide">{field.label}</dt>
+            <dd className="text-sm text-gray-900 mt-1">
+              {!text ? (
+                <span className="text-gray-400">No answer</span>
+              ) : field.type === 'file' ? (
+                <button onClick={() => openFile(value)} className="text-blue-600 hover:text-blue-800">
+                  {text}
+                </button>
+              ) : field.type === 'url' ? (
+                <a href={value} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800 break-all">
+                  {text}
+                </a>
+              ) : (
+                <span className="whitespace-pre-wrap">{text}</span>
+              )}
+            </dd>
+          </div>
+        )
+      })}
+    </dl>
+  )
+}
@@ -0,0 +1,57 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { getUserConnections } from '@/lib/api/connections'
+
+// Pick people from the user's accepted connections, e.g. to add them to a group conversation
+export default function ConnectionPicker({ userId, selected, onChange, exclude = [] }) {
+  const [connections, setConnections] = useState(null)
+  const [search, setSearch] = useState('')
+
+  useEffect(() => {
+    getUserConnections(userId).then((list) => {
+      const people = new Map()
+      list.forEach((c) => {
+        if (c.connected_user?.id) people.set(c.connected_user.id, c.connected_user)
+      })
+      setConnections(Array.from(people.values()))
+    })
+  }, [userId])
+
+  if (!connections) {
+    return <p className="text-sm text-gray-500">Loading connections...</p>
+  }
+
+  const term = search.trim().toLowerCase()
+  const available = connections
+    .filter((person) => !exclude.includes(person.id))
+    .filter((person) => !term || person.full_name?.toLowerCase().includes(term))
+
+  const toggle = (id) => onChange(selected.includes(id) ? selected.filter((s) => s !== id) : [...selected, id])
+
+  return (
+    <div className="space-y-2">
+      <input
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        placeholder="Search your connections"
+        className="w-full p-2 border border-gray-300 rounded-md text-sm"
+      />
+      <div className="max-h-56 overflow-y-auto border border-gray-200 rounded-md divide-y divide-gray-100">
+        {available.length === 0 ? (
+          <p className="p-3 text-sm text-gray-500">
+            {connections.length === 0 ? 'Connect with people first to add them here.' : 'Nobody else to add.'}
+          </p>
+        ) : (
+          available.map((person) => (
+            <label key={person.id} className="flex items-center space-x-3 p-2 hover:bg-gray-50 cursor-pointer">
+              <input type="checkbox" checked={selected.includes(person.id)} onChange={() => toggle(person.id)} />
+              <span className="flex-1 text-sm text-gray-900">{person.full_name}</span>
+              <span className="text-xs text-gray-400 capitalize">{person.role}</span>
+            </label>
+          ))
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,58 @@
+'use client'
+
+import { useState } from 'react'
+import Image from 'next/image'
+import { toast } from 'react-hot-toast'
+import QRCode from 'qrcode'
+import { getEventTicket } from '@/lib/api/tickets'
+
+// Shows the signed QR ticket for a confirmed registration, to be scanned at the door
+export default function EventTicketButton({ registration, event, className = 'text-blue-600 hover:text-blue-800 text-sm' }) {
+  const [loading, setLoading] = useState(false)
+  const [ticket, setTicket] = useState(null)
+
+  const handleOpen = async () => {
+    setLoading(true)
+    const result = await getEventTicket(registration.id)
+    if (result.error) {
+      setLoading(false)
+      toast.error(result.error)
+      return
+    }
+    const qr = await QRCode.toDataURL(result.data.token, { width: 288, margin: 1, errorCorrectionLevel: 'M' })
+    setLoading(false)
+    setTicket({ ...result.data, qr })
+  }
+
+  return (
+    <>
+      <button onClick={handleOpen} disabled={loading} className={`${className} disabled:opacity-50`}>
+        {loading ? 'Loading ticket...' : 'Show ticket'}
+      </button>
+
+      {ticket && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={() => setTicket(null)}>
+          <div className="bg-white rounded-lg p-6 max-w-sm w-full mx-4 text-center" onClick={(e) => e.stopPropagation()}>
+            <h3 className="text-lg font-bold text-gray-900">{event?.title || 'Event ticket'}</h3>
+            {event?.start_date && (
+              <p className="text-sm text-gray-600 mb-4">
+                {new Date(event.start_date).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+                {event.location ? ` · ${event.location}` : ''}
+              </p>
+            )}
+            <Image src={ticket.qr} alt="Ticket QR code" width={288} height={288} unoptimized className="mx-auto" />
+            <p className="text-xs text-gray-500 mt-3">
+              {registration.status === 'attended' ? 'Checked in' : 'Show this code at the entrance'}
+            </p>
+            <button
+              onClick={() => setTicket(null)}
+              className="mt-4 w-full border border-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-50"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,40 @@
+'use client'
+
+import Link from 'next/link'
+import { joinWindowState, linkRevealAt } from '@/lib/virtualEvents'
+
+// Join entry for a virtual event on a registration card; the links themselves load on the join page
+export default function JoinEventLink({ registration, event, className = 'text-blue-600 hover:text-blue-800 text-sm' }) {
+  if (!event.is_virtual || !['confirmed', 'attended'].includes(registration.status)) return null
+
+  const state = joinWindowState(event)
+
+  if (state === 'early') {
+    const revealAt = linkRevealAt(event)
+    const sameDay = revealAt.toDateString() === new Date().toDateString()
+    return (
+      <span className="text-gray-500 text-sm">
+        🔗 Join link available {sameDay ? 'at' : 'on'}{' '}
+        {revealAt.toLocaleString([], sameDay ? { timeStyle: 'short' } : { dateStyle: 'medium', timeStyle: 'short' })}
+      </span>
+    )
+  }
+
+  if (state === 'open') {
+    return (
+      <Link href={`/events/${event.id}/join`} className={className}>
+        🔗 Join Meeting
+      </Link>
+    )
+  }
+
+  if (state === 'ended') {
+    return (
+      <Link href={`/events/${event.id}/join`} className={className}>
+        ▶ Recordings
+      </Link>
+    )
+  }
+
+  return null
+}
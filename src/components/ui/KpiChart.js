@@ -0,0 +1,66 @@
+'use client'
+
+// Small SVG line chart for one KPI over time; points are { label, value } in chronological order
+export default function KpiChart({ title, points, formatValue = (v) => v, threshold = null, color = '#2563eb' }) {
+  const values = points.filter((p) => p.value !== null && p.value !== undefined)
+
+  if (values.length === 0) {
+    return (
+      <div className="border border-gray-200 rounded-lg p-4">
+        <p className="text-sm font-medium text-gray-700">{title}</p>
+        <p className="text-xs text-gray-500 mt-2">No data reported</p>
+      </div>
+    )
+  }
+
+  const width = 320
+  const height = 120
+  const pad = 8
+  const numbers = values.map((p) => Number(p.value))
+  if (threshold !== null) numbers.push(threshold)
+  const max = Math.max(...numbers)
+  const min = Math.min(0, ...numbers)
+  const range = max - min || 1
+
+  const x = (i) => (points.length === 1 ? width / 2 : pad + (i * (width - pad * 2)) / (points.length - 1))
+  const y = (v) => height - pad - ((Number(v) - min) / range) * (height - pad * 2)
+
+  const path = points
+    .map((p, i) => (p.value === null || p.value === undefined ? null : `${x(i)},${y(p.value)}`))
+    .filter(Boolean)
+    .join(' ')
+
+  const latest = values[values.length - 1]
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <div className="flex items-baseline justify-between">
+        <p className="text-sm font-medium text-gray-700">{title}</p>
+        <p className="text-lg font-semibold text-gray-900">{formatValue(latest.value)}</p>
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-28 mt-2" role="img" aria-label={`${title} over time`}>
+        {threshold !== null && (
+          <line
+            x1={pad}
+            x2={width - pad}
+            y1={y(threshold)}
+            y2={y(threshold)}
+            stroke="#dc2626"
+            strokeDasharray="4 4"
+            strokeWidth="1"
+          />
+        )}
+        <polyline points={path} fill="none" stroke={color} strokeWidth="2" />
+        {points.map((p, i) => (p.value === null || p.value === undefined ? null : (
+          <circle key={i} cx={x(i)} cy={y(p.value)} r="3" fill={color}>
+            <title>{`${p.label}: ${formatValue(p.value)}`}</title>
+          </circle>
+        )))}
+      </svg>
+      <div className="flex justify-between text-xs text-gray-400 mt-1">
+        <span>{points[0].label}</span>
+        {points.length > 1 && <span>{points[points.length - 1].label}</span>}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,87 @@
+'use client'
+
+import { useState } from 'react'
+import { toast } from 'react-hot-toast'
+import {
+  submitRecommendationFeedback,
+  removeRecommendationFeedback,
+  NOT_INTERESTED_REASONS
+} from '@/lib/api/recommendations'
+
+// Save / dismiss / "not interested because…" actions for a dashboard recommendation card
+export default function RecommendationFeedback({ recommendation, onFeedback }) {
+  const [saving, setSaving] = useState(false)
+  const [showReasons, setShowReasons] = useState(false)
+
+  if (!recommendation?.userId) return null
+
+  const submit = async (action, reason = null) => {
+    setSaving(true)
+    try {
+      const result = action === 'unsaved'
+        ? await removeRecommendationFeedback(recommendation.userId)
+        : await submitRecommendationFeedback(recommendation.userId, action, {
+            reason,
+            source: recommendation.source
+          })
+
+      if (result.error) {
+        toast.error(result.error)
+        return
+      }
+
+      if (action === 'saved') toast.success('Saved — we\'ll show you more like this')
+      if (action === 'not_interested') toast.success('Thanks — we\'ll show fewer like this')
+      setShowReasons(false)
+      onFeedback?.(recommendation, action)
+    } catch (error) {
+      console.error('Error sending recommendation feedback:', error)
+      toast.error('Failed to save feedback')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="mt-2">
+      <div className="flex items-center justify-end space-x-3 text-xs">
+        <button
+          onClick={() => submit(recommendation.saved ? 'unsaved' : 'saved')}
+          disabled={saving}
+          className={`${recommendation.saved ? 'text-blue-600' : 'text-gray-500 hover:text-blue-600'} disabled:opacity-50`}
+        >
+          {recommendation.saved ? '★ Saved' : '☆ Save'}
+        </button>
+        <button
+          onClick={() => setShowReasons((v) => !v)}
+          disabled={saving}
+          className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+        >
+          Not interested
+        </button>
+        <button
+          onClick={() => submit('dismissed')}
+          disabled={saving}
+          className="text-gray-500 hover:text-red-600 disabled:opacity-50"
+          title="Dismiss"
+        >
+          ✕ Dismiss
+        </button>
+      </div>
+      {showReasons && (
+        <div className="mt-2 flex flex-wrap gap-1">
+          {NOT_INTERESTED_REASONS.map((reason) => (
+            <button
+              key={reason.value}
+              onClick={() => submit('not_interested', reason.value)}
+              disabled={saving}
+              className="px-2 py-1 bg-gray-100 text-gray-700 rounded-full text-xs hover:bg-gray-200 disabled:opacity-50"
+            >
+              {reason.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
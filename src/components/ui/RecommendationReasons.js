@@ -0,0 +1,38 @@
+'use client'
+
+// Icon per structured reason type returned by /api/recommendations
+const REASON_ICONS = {
+  graph_path: '🔗',
+  mutual_connections: '🤝',
+  co_attended_events: '📅',
+  shared_sector: '🏷️',
+  stage_fit: '📈',
+  ticket_overlap: '💰',
+  same_region: '📍',
+  experience: '⭐',
+  network_proximity: '🧭'
+}
+
+// "Why recommended" list shown on dashboard recommendation cards
+export default function RecommendationReasons({ reasons = [], limit = 3 }) {
+  if (!reasons?.length) return null
+
+  return (
+    <div className="mt-3">
+      <p className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">Why recommended</p>
+      <ul className="space-y-1">
+        {reasons.slice(0, limit).map((reason, index) => {
+          // Older cached results carry plain strings
+          const label = typeof reason === 'string' ? reason : reason.label
+          const icon = typeof reason === 'string' ? '✨' : REASON_ICONS[reason.type] || '✨'
+          return (
+            <li key={`${label}-${index}`} className="flex items-start text-xs text-gray-700">
+              <span className="mr-1.5">{icon}</span>
+              <span>{label}</span>
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
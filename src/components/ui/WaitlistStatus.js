@@ -0,0 +1,67 @@
+'use client'
+
+import { useState } from 'react'
+import { toast } from 'react-hot-toast'
+import { confirmWaitlistOffer, cancelEventRegistration } from '@/lib/api/eventRegistration'
+import { isOfferOpen } from '@/lib/waitlist'
+
+// Waitlist place, or the confirm/decline prompt for a seat offered from the waitlist
+export default function WaitlistStatus({ registration, onChange }) {
+  const [saving, setSaving] = useState(false)
+
+  if (registration.status === 'waitlisted') {
+    return (
+      <span className="px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+        Waitlist{registration.waitlist_position ? ` #${registration.waitlist_position}` : ''}
+      </span>
+    )
+  }
+
+  if (registration.status === 'expired' || (registration.status === 'offered' && !isOfferOpen(registration))) {
+    return (
+      <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-600">Offer expired</span>
+    )
+  }
+
+  if (registration.status !== 'offered') return null
+
+  const respond = async (accept) => {
+    setSaving(true)
+    const result = accept
+      ? await confirmWaitlistOffer(registration.id)
+      : await cancelEventRegistration(registration.id)
+    setSaving(false)
+
+    if (result.error) {
+      toast.error(result.error)
+    } else {
+      toast.success(accept ? 'Seat confirmed' : 'Seat released to the next person')
+    }
+    onChange?.()
+  }
+
+  return (
+    <div className="bg-green-50 border border-green-200 rounded-md p-3 text-sm">
+      <p className="text-green-800 font-medium">A seat opened up for you</p>
+      <p className="text-green-700 text-xs mb-2">
+        Confirm by {new Date(registration.offer_expires_at).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+      </p>
+      <div className="flex space-x-2">
+        <button
+          onClick={() => respond(true)}
+          disabled={saving}
+          className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50"
+        >
+          Confirm Seat
+        </button>
+        <button
+          onClick={() => respond(false)}
+          disabled={saving}
+          className="px-3 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 disabled:opacity-50"
+        >
+          Decline
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -1,7 +1,17 @@
 'use client'
 
-import { useEffect, useRef } from 'react'
+import { useState, useEffect, useRef, useCallback } from 'react'
 import { supabase } from '@/lib/supabase'
+import { getMessage, touchLastSeen } from '@/lib/api/messages'
+import {
+  PRESENCE_CHANNEL,
+  AWAY_AFTER_MS,
+  LAST_SEEN_INTERVAL_MS,
+  TYPING_THROTTLE_MS,
+  conversationChannel,
+  presenceStatuses,
+  pruneTyping
+} from '@/lib/messagePresence'
 
 /**
  * Hook for managing real-time subscriptions to Supabase tables
@@ -80,41 +90,253 @@ export const useRealtime = (table, options = {}, dependencies = []) => {
 }
 
 /**
- * Hook for subscribing to messages in real-time
- * @param {string} conversationId - The conversation ID to subscribe to
- * @param {Function} onMessage - Callback when new message is received
+ * Hook for subscribing to messages in real-time, in direct and group conversations alike.
+ * Realtime applies the messages RLS policies, so members only receive what their history allows.
+ * Edits and deletions arrive as UPDATE events with the full message, reactions and reply quote included.
+ * @param {string} conversationId - The conversation ID to subscribe to; all of the user's conversations when empty
+ * @param {Function} onMessage - Callback (message, eventType) when a message is sent, edited or deleted
  * @param {string} userId - Current user ID
  */
 export const useRealtimeMessages = (conversationId, onMessage, userId) => {
-  const callback = async (payload) => {
-    if (payload.eventType === 'INSERT') {
-      // Fetch the complete message with sender info
-      const { data: newMessage } = await supabase
-        .from('messages')
-        .select(`
-          *,
-          sender:profiles!messages_sender_id_fkey(id, full_name, avatar_url)
-        `)
-        .eq('id', payload.new.id)
-        .single()
+  // Keep the subscription stable while the caller re-renders with a new handler
+  const onMessageRef = useRef(onMessage)
+  useEffect(() => {
+    onMessageRef.current = onMessage
+  }, [onMessage])
 
-      if (newMessage && onMessage) {
-        onMessage(newMessage)
-      }
+  const callback = useCallback(async (payload) => {
+    if (payload.eventType !== 'INSERT' && payload.eventType !== 'UPDATE') return
+
+    // Fetch the complete message with sender, reply quote and reactions
+    const message = await getMessage(payload.new.id)
+
+    if (message && onMessageRef.current) {
+      onMessageRef.current(message, payload.eventType)
     }
-  }
+  }, [])
 
-  const filter = conversationId ? 
-    `or(and(sender_id.eq.${conversationId.split('-')[0]},recipient_id.eq.${conversationId.split('-')[1]}),and(sender_id.eq.${conversationId.split('-')[1]},recipient_id.eq.${conversationId.split('-')[0]}))` 
-    : undefined
+  const filter = conversationId ? `conversation_id=eq.${conversationId}` : undefined
 
-  return useRealtime('messages', {
-    event: 'INSERT',
+  return useRealtime(userId ? 'messages' : null, {
+    event: '*',
     filter,
     callback
   }, [conversationId, userId])
 }
 
+/**
+ * Hook for subscribing to message reactions in a conversation
+ * @param {string} conversationId - The conversation ID to subscribe to
+ * @param {Function} onChange - Callback (reaction, eventType); DELETE events only carry the reaction id
+ */
+export const useRealtimeReactions = (conversationId, onChange) => {
+  const onChangeRef = useRef(onChange)
+  useEffect(() => {
+    onChangeRef.current = onChange
+  }, [onChange])
+
+  const callback = useCallback((payload) => {
+    if (!onChangeRef.current) return
+    if (payload.eventType === 'INSERT') {
+      onChangeRef.current(payload.new, 'INSERT')
+    } else if (payload.eventType === 'DELETE') {
+      onChangeRef.current(payload.old, 'DELETE')
+    }
+  }, [])
+
+  // Deletes carry only the primary key, so they cannot be filtered by conversation
+  useRealtime(conversationId ? 'message_reactions' : null, {
+    event: 'INSERT',
+    filter: `conversation_id=eq.${conversationId}`,
+    callback
+  }, [conversationId])
+
+  return useRealtime(conversationId ? 'message_reactions' : null, {
+    event: 'DELETE',
+    callback
+  }, [conversationId])
+}
+
+/**
+ * Hook for subscribing to delivered/read receipts of messages in a conversation.
+ * RLS limits these to receipts of the user's own messages and their own receipts.
+ * @param {string} conversationId - The conversation ID to subscribe to
+ * @param {Function} onReceipt - Callback with the receipt ({ message_id, user_id, delivered_at, read_at })
+ */
+export const useRealtimeReceipts = (conversationId, onReceipt) => {
+  const onReceiptRef = useRef(onReceipt)
+  useEffect(() => {
+    onReceiptRef.current = onReceipt
+  }, [onReceipt])
+
+  const callback = useCallback((payload) => {
+    if ((payload.eventType === 'INSERT' || payload.eventType === 'UPDATE') && onReceiptRef.current) {
+      onReceiptRef.current(payload.new)
+    }
+  }, [])
+
+  return useRealtime(conversationId ? 'message_receipts' : null, {
+    event: '*',
+    filter: `conversation_id=eq.${conversationId}`,
+    callback
+  }, [conversationId])
+}
+
+/**
+ * Hook for online presence. Tracks the current user as online or away (after AWAY_AFTER_MS without
+ * activity or while the tab is hidden) and keeps their last seen up to date, unless they hide their presence.
+ * @param {string} userId - Current user ID
+ * @param {boolean} shareOwn - Whether to publish the current user's own presence
+ * @returns {Object} { [userId]: 'online' | 'away' } for everyone currently sharing presence
+ */
+export const useOnlinePresence = (userId, shareOwn = true) => {
+  const [statuses, setStatuses] = useState({})
+  const channelRef = useRef(null)
+  const [joined, setJoined] = useState(false)
+  const [ownStatus, setOwnStatus] = useState('online')
+
+  useEffect(() => {
+    if (!userId) return
+
+    const channel = supabase.channel(PRESENCE_CHANNEL, {
+      config: { private: true, presence: { key: userId } }
+    })
+    channelRef.current = channel
+
+    channel.on('presence', { event: 'sync' }, () => {
+      setStatuses(presenceStatuses(channel.presenceState()))
+    })
+
+    channel.subscribe((status) => {
+      if (status === 'SUBSCRIBED') {
+        setJoined(true)
+      } else if (status === 'CHANNEL_ERROR') {
+        console.error('Error subscribing to presence')
+      }
+    })
+
+    return () => {
+      channel.unsubscribe()
+      channelRef.current = null
+      setJoined(false)
+      setStatuses({})
+    }
+  }, [userId])
+
+  // Away after a while without input or while the tab is in the background
+  useEffect(() => {
+    if (!userId || !shareOwn) return
+
+    let idleTimer
+    const markActive = () => {
+      clearTimeout(idleTimer)
+      if (document.hidden) {
+        setOwnStatus('away')
+        return
+      }
+      setOwnStatus('online')
+      idleTimer = setTimeout(() => setOwnStatus('away'), AWAY_AFTER_MS)
+    }
+
+    const events = ['mousemove', 'keydown', 'touchstart', 'focus']
+    events.forEach((name) => window.addEventListener(name, markActive))
+    document.addEventListener('visibilitychange', markActive)
+    markActive()
+
+    return () => {
+      clearTimeout(idleTimer)
+      events.forEach((name) => window.removeEventListener(name, markActive))
+      document.removeEventListener('visibilitychange', markActive)
+    }
+  }, [userId, shareOwn])
+
+  // Publish our status, or withdraw it when presence is turned off
+  useEffect(() => {
+    const channel = channelRef.current
+    if (!channel || !joined) return
+
+    if (shareOwn) channel.track({ status: ownStatus, online_at: new Date().toISOString() })
+    else channel.untrack()
+  }, [joined, shareOwn, ownStatus])
+
+  // Last seen moves on while the user is around
+  useEffect(() => {
+    if (!userId || !shareOwn || ownStatus !== 'online') return
+
+    touchLastSeen()
+    const interval = setInterval(touchLastSeen, LAST_SEEN_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [userId, shareOwn, ownStatus])
+
+  return statuses
+}
+
+/**
+ * Hook for typing indicators in a conversation, over a broadcast channel
+ * @param {string} conversationId - The open conversation
+ * @param {Object} user - Current user { id, full_name }
+ * @param {boolean} shareOwn - Whether to tell others when the current user types
+ * @returns {Object} { typingUsers: [{ user_id, name }], sendTyping(isTyping) }
+ */
+export const useTypingIndicator = (conversationId, user, shareOwn = true) => {
+  const [typing, setTyping] = useState({})
+  const channelRef = useRef(null)
+  const lastSentRef = useRef(0)
+  const userId = user?.id
+  const name = user?.full_name
+
+  useEffect(() => {
+    setTyping({})
+    if (!conversationId || !userId) return
+
+    const channel = supabase.channel(conversationChannel(conversationId), {
+      config: { private: true, broadcast: { self: false } }
+    })
+    channelRef.current = channel
+
+    channel.on('broadcast', { event: 'typing' }, ({ payload }) => {
+      setTyping((prev) => {
+        const next = { ...prev }
+        if (payload.typing) next[payload.user_id] = { name: payload.name, at: Date.now() }
+        else delete next[payload.user_id]
+        return next
+      })
+    })
+
+    channel.subscribe()
+
+    // Someone who stops sending typing events has stopped typing
+    const interval = setInterval(() => setTyping((prev) => pruneTyping(prev)), 1000)
+
+    return () => {
+      clearInterval(interval)
+      channel.unsubscribe()
+      channelRef.current = null
+      lastSentRef.current = 0
+    }
+  }, [conversationId, userId])
+
+  const sendTyping = useCallback((isTyping = true) => {
+    const channel = channelRef.current
+    if (!shareOwn || !channel) return
+
+    const now = Date.now()
+    if (isTyping && now - lastSentRef.current < TYPING_THROTTLE_MS) return
+    if (!isTyping && lastSentRef.current === 0) return
+    lastSentRef.current = isTyping ? now : 0
+
+    channel.send({
+      type: 'broadcast',
+      event: 'typing',
+      payload: { user_id: userId, name, typing: isTyping }
+    })
+  }, [shareOwn, userId, name])
+
+  const typingUsers = Object.entries(typing).map(([id, entry]) => ({ user_id: id, name: entry.name }))
+
+  return { typingUsers, sendTyping }
+}
+
 /**
  * Hook for subscribing to notifications in real-time
  * @param {string} userId - User ID to subscribe to notifications for
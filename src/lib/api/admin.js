@@ -1,5 +1,9 @@
 import { supabase } from '@/lib/supabase'
 import { requireAuth, sendNotification, logActivity } from './auth'
+import { withWaitlistPositions } from '@/lib/waitlist'
+import { insertEventSeries } from './eventSeries'
+import { replaceJoinLinks } from './virtualEvents'
+import { normaliseMeetingLink } from '@/lib/virtualEvents'
 
 /**
  * Get platform statistics for admin dashboard
@@ -718,11 +722,12 @@ export async function deleteUserAccount(userId, reason = '') {
 
 /**
  * Create event as admin (bypasses regular auth)
- * @param {Object} eventData - Event data
+ * @param {Object} eventData - Event data; meeting_provider and meeting_url set the join link of a virtual event
  * @param {string} adminId - Admin user ID
- * @returns {Object} Result object
+ * @param {Object} recurrence - Optional { rrule, timezone } to create a recurring series instead
+ * @returns {Object} Result object; for a series, data is the first occurrence with `series`
  */
-export async function createEventAsAdmin(eventData, adminId) {
+export async function createEventAsAdmin(eventData, adminId, recurrence = null) {
   try {
     // Verify admin session
     const { data: admin, error: adminError } = await supabase
@@ -762,6 +767,16 @@ export async function createEventAsAdmin(eventData, adminId) {
       adminProfile = newProfile
     }
 
+    // Join links are only handed out to confirmed registrants, so they are stored apart from the event
+    let meetingLink = null
+    if (eventData.is_virtual && eventData.meeting_url) {
+      const checked = normaliseMeetingLink({ provider: eventData.meeting_provider, url: eventData.meeting_url })
+      if (checked.error) {
+        return { error: checked.error, status: 400 }
+      }
+      meetingLink = checked.link
+    }
+
     // Format dates properly for database
     const formattedEventData = {
       ...eventData,
@@ -770,6 +785,33 @@ export async function createEventAsAdmin(eventData, adminId) {
       registration_deadline: eventData.registration_deadline ? new Date(eventData.registration_deadline).toISOString() : null
     }
 
+    if (recurrence) {
+      const result = await insertEventSeries(adminProfile.id, formattedEventData, recurrence)
+      if (result.error) return result
+
+      if (meetingLink) {
+        await replaceJoinLinks({
+          eventIds: result.data.occurrences.map((occurrence) => occurrence.id),
+          seriesId: result.data.series.id
+        }, [meetingLink])
+      }
+
+      await supabase
+        .from('activity_logs')
+        .insert({
+          user_id: adminId,
+          action: 'admin_event_series_created',
+          metadata: {
+            series_id: result.data.series.id,
+            occurrences: result.data.occurrences.length,
+            admin_action: true
+          },
+          created_at: new Date().toISOString()
+        })
+
+      return { data: { ...result.data.occurrences[0], series: result.data.series }, error: null }
+    }
+
     // Create event with admin profile as organizer
     const { data, error } = await supabase
       .from('events')
@@ -782,7 +824,6 @@ export async function createEventAsAdmin(eventData, adminId) {
         end_date: formattedEventData.end_date,
         location: eventData.location,
         is_virtual: eventData.is_virtual,
-        google_meet_link: eventData.google_meet_link || null,
         max_participants: eventData.max_participants,
         registration_deadline: formattedEventData.registration_deadline,
         is_public: eventData.is_public,
@@ -804,7 +845,6 @@ export async function createEventAsAdmin(eventData, adminId) {
         end_date: formattedEventData.end_date,
         location: eventData.location,
         is_virtual: eventData.is_virtual,
-        google_meet_link: eventData.google_meet_link || null,
         max_participants: eventData.max_participants,
         registration_deadline: formattedEventData.registration_deadline,
         is_public: eventData.is_public,
@@ -813,6 +853,10 @@ export async function createEventAsAdmin(eventData, adminId) {
       throw error
     }
 
+    if (meetingLink) {
+      await replaceJoinLinks({ eventIds: [data.id] }, [meetingLink])
+    }
+
     // Log activity in admin context
     await supabase
       .from('activity_logs')
@@ -827,7 +871,7 @@ export async function createEventAsAdmin(eventData, adminId) {
         created_at: new Date().toISOString()
       })
 
-    return { data: newEvent, error: null }
+    return { data, error: null }
   } catch (error) {
     console.error('Error creating event as admin:', error)
     return { error: 'Failed to create event', status: 500 }
@@ -885,7 +929,7 @@ export async function getEventDetailsAsAdmin(eventId, adminId) {
     return {
       data: {
         ...event,
-        registrations: registrations || [],
+        registrations: withWaitlistPositions(registrations || []),
         registrationCount: registrations?.length || 0
       },
       error: null
@@ -1076,4 +1120,35 @@ export async function getEvents(filters = {}) {
     console.error('Error getting events:', error)
     return { error: 'Failed to get events', status: 500 }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Get recommendation acceptance rates per recommendation source
+ * @returns {Object} Per-source impressions, feedback counts and acceptance rates
+ */
+export async function getRecommendationSourceStats() {
+  try {
+    // Admin-only RPC; the view itself is not exposed to API roles
+    const { data, error } = await supabase.rpc('get_recommendation_source_stats')
+
+    if (error) throw error
+
+    return {
+      data: {
+        sources: (data || []).map((row) => ({
+          source: row.source,
+          impressions: row.impressions || 0,
+          saved: row.saved || 0,
+          dismissed: row.dismissed || 0,
+          notInterested: row.not_interested || 0,
+          acceptanceRate: row.acceptance_rate === null ? null : Number(row.acceptance_rate),
+          feedbackAcceptanceRate: row.feedback_acceptance_rate === null ? null : Number(row.feedback_acceptance_rate)
+        }))
+      },
+      status: 200
+    }
+  } catch (error) {
+    console.error('Error getting recommendation source stats:', error)
+    return { error: 'Failed to get recommendation statistics', status: 500 }
+  }
+}
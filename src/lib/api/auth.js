@@ -19,6 +19,25 @@ export async function getServerSession() {
   }
 }
 
+/**
+ * Authenticate an API route request from its `Authorization: Bearer <access token>` header
+ * @param {Request} request - Incoming request
+ * @returns {Object} { user } or { error, status }
+ */
+export async function getRequestUser(request) {
+  const token = request.headers.get('authorization')?.replace(/^Bearer\s+/i, '')
+  if (!token) {
+    return { error: 'Authentication required', status: 401 }
+  }
+
+  const { data, error } = await supabase.auth.getUser(token)
+  if (error || !data?.user) {
+    return { error: 'Invalid or expired session', status: 401 }
+  }
+
+  return { user: data.user }
+}
+
 /**
  * Get user profile by ID
  * @param {string} userId - User ID
@@ -135,22 +154,22 @@ export async function requireAuth(requiredRoles = null) {
 }
 
 /**
- * Send notification to user
- * @param {string} userId - User ID
- * @param {Object} notificationData - Notification data
- * @returns {Object|null} Created notification or null
+ * Send notification to one or more users
+ * Goes through create_notifications, since users cannot insert notifications for each other directly
+ * @param {string|string[]} userIds - Recipient user ID(s)
+ * @param {Object} notificationData - Notification data (type, title, content, related_id)
+ * @param {Object} client - Supabase client; server code passes its service role client
+ * @returns {Object[]|null} Created notifications or null
  */
-export async function sendNotification(userId, notificationData) {
+export async function sendNotification(userIds, notificationData, client = supabase) {
   try {
-    const { data, error } = await supabase
-      .from('notifications')
-      .insert({
-        user_id: userId,
-        ...notificationData,
-        read: false
-      })
-      .select()
-      .single()
+    const { data, error } = await client.rpc('create_notifications', {
+      target_user_ids: [].concat(userIds),
+      notification_type: notificationData.type,
+      notification_title: notificationData.title,
+      notification_content: notificationData.content ?? null,
+      notification_related_id: notificationData.related_id ?? null
+    })
 
     if (error) throw error
     return data
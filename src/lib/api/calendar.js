@@ -0,0 +1,246 @@
+import { supabase } from '@/lib/supabase'
+import { requireAuth } from './auth'
+import { buildCalendar, eventToCalendarItem, sessionToCalendarItem } from '@/lib/ical'
+
+const FEED_PATH = '/api/calendar/feed'
+
+// Cancelled and past items stay in the feed this long so subscribed calendars pick up the change
+const FEED_HISTORY_DAYS = 30
+
+const EVENT_CALENDAR_FIELDS = `
+  id,
+  title,
+  description,
+  start_date,
+  end_date,
+  location,
+  is_virtual,
+  status,
+  cancellation_reason,
+  ical_sequence,
+  updated_at
+`
+
+const SESSION_CALENDAR_FIELDS = `
+  *,
+  mentor_profiles(user_id, profiles!mentor_profiles_user_id_fkey(full_name)),
+  mentee:profiles!mentorship_sessions_mentee_id_fkey(full_name)
+`
+
+function appBaseUrl() {
+  if (process.env.NEXT_PUBLIC_APP_URL) return process.env.NEXT_PUBLIC_APP_URL.replace(/\/$/, '')
+  return typeof window !== 'undefined' ? window.location.origin : ''
+}
+
+function generateFeedToken() {
+  const bytes = new Uint8Array(24)
+  crypto.getRandomValues(bytes)
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('')
+}
+
+function sessionCounterpartName(session, userId) {
+  return session.mentee_id === userId
+    ? session.mentor_profiles?.profiles?.full_name || 'your mentor'
+    : session.mentee?.full_name || 'your mentee'
+}
+
+function feedResult(row) {
+  return { token: row.token, url: `${appBaseUrl()}${FEED_PATH}?token=${row.token}`, createdAt: row.created_at }
+}
+
+/**
+ * Build the iCal feed for a user: confirmed event registrations and mentorship sessions, plus
+ * recently cancelled ones so subscribers see the cancellation
+ * @param {Object} client - Supabase client (the feed route passes the service-role client)
+ * @param {string} userId - User ID
+ * @param {Object} options - { baseUrl }
+ * @returns {string} iCalendar document
+ */
+export async function buildUserCalendar(client, userId, { baseUrl = '' } = {}) {
+  const sinceDate = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000)
+  const since = sinceDate.toISOString()
+
+  const { data: mentorProfile } = await client
+    .from('mentor_profiles')
+    .select('id')
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  let sessionsQuery = client
+    .from('mentorship_sessions')
+    .select(SESSION_CALENDAR_FIELDS)
+    .gte('ends_at', since)
+    .in('status', ['scheduled', 'completed', 'cancelled'])
+
+  sessionsQuery = mentorProfile
+    ? sessionsQuery.or(`mentee_id.eq.${userId},mentor_id.eq.${mentorProfile.id}`)
+    : sessionsQuery.eq('mentee_id', userId)
+
+  const [registrationsResult, sessionsResult] = await Promise.all([
+    client
+      .from('event_registrations')
+      .select(`id, status, ical_sequence, event:events(${EVENT_CALENDAR_FIELDS})`)
+      .eq('user_id', userId)
+      .in('status', ['confirmed', 'attended', 'cancelled']),
+    sessionsQuery
+  ])
+
+  if (registrationsResult.error) throw registrationsResult.error
+  if (sessionsResult.error) throw sessionsResult.error
+
+  const items = [
+    ...(registrationsResult.data || [])
+      .filter((r) => r.event && new Date(r.event.end_date || r.event.start_date) >= sinceDate)
+      .map((r) => eventToCalendarItem(r, r.event, baseUrl)),
+    ...(sessionsResult.data || [])
+      // Unpaid holds that lapsed were never on anyone's calendar
+      .filter((s) => s.status !== 'cancelled' || s.cancelled_by)
+      .map((s) => sessionToCalendarItem(s, sessionCounterpartName(s, userId), baseUrl))
+  ].sort((a, b) => new Date(a.start) - new Date(b.start))
+
+  return buildCalendar(items, { name: 'Startup Platform' })
+}
+
+/**
+ * Get (creating on first use) the current user's private calendar feed URL
+ * @returns {Object} Result object with { token, url }
+ */
+export async function getCalendarFeed() {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('calendar_feed_tokens')
+      .select('*')
+      .eq('user_id', user.id)
+      .maybeSingle()
+
+    if (fetchError) throw fetchError
+    if (existing) {
+      return { data: feedResult(existing), status: 200 }
+    }
+
+    const { data, error } = await supabase
+      .from('calendar_feed_tokens')
+      .insert({ user_id: user.id, token: generateFeedToken() })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return { data: feedResult(data), status: 201 }
+  } catch (error) {
+    console.error('Error getting calendar feed:', error)
+    return { error: 'Failed to load calendar feed', status: 500 }
+  }
+}
+
+/**
+ * Replace the current user's feed token; the old URL stops working immediately
+ * @returns {Object} Result object with the new { token, url }
+ */
+export async function resetCalendarFeed() {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { data, error } = await supabase
+      .from('calendar_feed_tokens')
+      .upsert({
+        user_id: authResult.user.id,
+        token: generateFeedToken(),
+        created_at: new Date().toISOString(),
+        last_accessed_at: null
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return { data: feedResult(data), status: 200 }
+  } catch (error) {
+    console.error('Error resetting calendar feed:', error)
+    return { error: 'Failed to reset calendar feed', status: 500 }
+  }
+}
+
+/**
+ * .ics file for one of the current user's event registrations
+ * @param {string} eventId - Event ID
+ * @returns {Object} Result object with { filename, content }
+ */
+export async function getEventCalendarFile(eventId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { data: registration } = await supabase
+      .from('event_registrations')
+      .select(`id, status, ical_sequence, event:events(${EVENT_CALENDAR_FIELDS})`)
+      .eq('event_id', eventId)
+      .eq('user_id', authResult.user.id)
+      .maybeSingle()
+
+    if (!registration?.event) {
+      return { error: 'Registration not found', status: 404 }
+    }
+
+    return {
+      data: {
+        filename: `event-${eventId}.ics`,
+        content: buildCalendar([eventToCalendarItem(registration, registration.event, appBaseUrl())])
+      },
+      status: 200
+    }
+  } catch (error) {
+    console.error('Error building event calendar file:', error)
+    return { error: 'Failed to create calendar file', status: 500 }
+  }
+}
+
+/**
+ * .ics file for one of the current user's mentorship sessions
+ * @param {string} sessionId - Session ID
+ * @returns {Object} Result object with { filename, content }
+ */
+export async function getSessionCalendarFile(sessionId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+
+    // RLS limits this to sessions the user takes part in
+    const { data: session } = await supabase
+      .from('mentorship_sessions')
+      .select(SESSION_CALENDAR_FIELDS)
+      .eq('id', sessionId)
+      .maybeSingle()
+
+    if (!session) {
+      return { error: 'Session not found', status: 404 }
+    }
+
+    return {
+      data: {
+        filename: `mentorship-session-${sessionId}.ics`,
+        content: buildCalendar([sessionToCalendarItem(session, sessionCounterpartName(session, user.id), appBaseUrl())])
+      },
+      status: 200
+    }
+  } catch (error) {
+    console.error('Error building session calendar file:', error)
+    return { error: 'Failed to create calendar file', status: 500 }
+  }
+}
@@ -0,0 +1,490 @@
+import { supabase, uploadFile, deleteFile } from '@/lib/supabase'
+import { requireAuth, logActivity } from './auth'
+
+export const DATA_ROOM_BUCKET = 'data-room'
+
+/** Signed links expire quickly; investors request a fresh one for every open */
+export const DATA_ROOM_LINK_TTL_SECONDS = 60
+
+export const DATA_ROOM_MAX_FILE_SIZE = 50 * 1024 * 1024
+
+export const DATA_ROOM_CATEGORIES = [
+  { value: 'financials', label: 'Financials' },
+  { value: 'cap_table', label: 'Cap Table' },
+  { value: 'legal', label: 'Legal' },
+  { value: 'product', label: 'Product' },
+  { value: 'team', label: 'Team' },
+  { value: 'other', label: 'Other' }
+]
+
+const isGrantActive = (grant) =>
+  !!grant && !grant.revoked_at && (!grant.expires_at || new Date(grant.expires_at) > new Date())
+
+/**
+ * Get a startup's data room (folders with their documents).
+ * Founders always see their own room; investors need an active grant.
+ * @param {string} startupId - Startup user ID
+ * @returns {Object} Result object with { folders, grant }
+ */
+export async function getDataRoom(startupId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+    let grant = null
+
+    if (user.id !== startupId) {
+      const { data } = await supabase
+        .from('data_room_grants')
+        .select('*')
+        .eq('startup_id', startupId)
+        .eq('investor_id', user.id)
+        .maybeSingle()
+
+      if (!isGrantActive(data)) {
+        return { error: 'You do not have access to this data room', status: 403 }
+      }
+      grant = data
+    }
+
+    const { data: folders, error } = await supabase
+      .from('data_room_folders')
+      .select('*, documents:data_room_documents(id, name, file_size, mime_type, created_at)')
+      .eq('startup_id', startupId)
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+
+    return { data: { folders: folders || [], grant }, status: 200 }
+  } catch (error) {
+    console.error('Error getting data room:', error)
+    return { error: 'Failed to load data room', status: 500 }
+  }
+}
+
+/**
+ * Create a folder in the current founder's data room
+ * @param {Object} folderData - { name, category }
+ * @returns {Object} Result object
+ */
+export async function createDataRoomFolder({ name, category = 'other' }) {
+  try {
+    const authResult = await requireAuth(['startup'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    if (!name?.trim()) {
+      return { error: 'Folder name is required', status: 400 }
+    }
+
+    const { user } = authResult
+
+    const { count } = await supabase
+      .from('data_room_folders')
+      .select('*', { count: 'exact', head: true })
+      .eq('startup_id', user.id)
+
+    const { data, error } = await supabase
+      .from('data_room_folders')
+      .insert({
+        startup_id: user.id,
+        name: name.trim(),
+        category,
+        position: count || 0
+      })
+      .select()
+      .single()
+
+    if (error) {
+      if (error.code === '23505') {
+        return { error: 'A folder with this name already exists', status: 400 }
+      }
+      throw error
+    }
+
+    return { data: { ...data, documents: [] }, status: 201 }
+  } catch (error) {
+    console.error('Error creating data room folder:', error)
+    return { error: 'Failed to create folder', status: 500 }
+  }
+}
+
+/**
+ * Delete a folder and all of its files
+ * @param {string} folderId - Folder ID
+ * @returns {Object} Result object
+ */
+export async function deleteDataRoomFolder(folderId) {
+  try {
+    const authResult = await requireAuth(['startup'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+
+    const { data: documents } = await supabase
+      .from('data_room_documents')
+      .select('file_path')
+      .eq('folder_id', folderId)
+      .eq('startup_id', user.id)
+
+    if (documents?.length) {
+      const { error: storageError } = await supabase.storage
+        .from(DATA_ROOM_BUCKET)
+        .remove(documents.map((d) => d.file_path))
+
+      if (storageError) throw storageError
+    }
+
+    const { error } = await supabase
+      .from('data_room_folders')
+      .delete()
+      .eq('id', folderId)
+      .eq('startup_id', user.id)
+
+    if (error) throw error
+
+    return { data: { id: folderId }, status: 200 }
+  } catch (error) {
+    console.error('Error deleting data room folder:', error)
+    return { error: 'Failed to delete folder', status: 500 }
+  }
+}
+
+/**
+ * Upload a document into a data room folder
+ * @param {string} folderId - Folder ID
+ * @param {File} file - File to upload
+ * @returns {Object} Result object
+ */
+export async function uploadDataRoomDocument(folderId, file) {
+  try {
+    const authResult = await requireAuth(['startup'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    if (!file) {
+      return { error: 'Choose a file to upload', status: 400 }
+    }
+
+    if (file.size > DATA_ROOM_MAX_FILE_SIZE) {
+      return { error: 'Files must be 50 MB or smaller', status: 400 }
+    }
+
+    const { user } = authResult
+
+    const { data: folder } = await supabase
+      .from('data_room_folders')
+      .select('id')
+      .eq('id', folderId)
+      .eq('startup_id', user.id)
+      .maybeSingle()
+
+    if (!folder) {
+      return { error: 'Folder not found', status: 404 }
+    }
+
+    const safeName = file.name.replace(/[^a-zA-Z0-9._-]/g, '_')
+    const path = `${user.id}/${folderId}/${Date.now()}-${safeName}`
+
+    const { data: upload, error: uploadError } = await uploadFile(DATA_ROOM_BUCKET, path, file, {
+      contentType: file.type || undefined
+    })
+
+    if (uploadError) {
+      return { error: 'Failed to upload file', status: 500 }
+    }
+
+    const { data, error } = await supabase
+      .from('data_room_documents')
+      .insert({
+        startup_id: user.id,
+        folder_id: folderId,
+        name: file.name,
+        file_path: upload.path,
+        file_size: file.size,
+        mime_type: file.type || null,
+        uploaded_by: user.id
+      })
+      .select('id, name, file_size, mime_type, created_at')
+      .single()
+
+    if (error) {
+      await deleteFile(DATA_ROOM_BUCKET, upload.path)
+      throw error
+    }
+
+    return { data, status: 201 }
+  } catch (error) {
+    console.error('Error uploading data room document:', error)
+    return { error: 'Failed to upload document', status: 500 }
+  }
+}
+
+/**
+ * Delete a document from the data room
+ * @param {string} documentId - Document ID
+ * @returns {Object} Result object
+ */
+export async function deleteDataRoomDocument(documentId) {
+  try {
+    const authResult = await requireAuth(['startup'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+
+    const { data: document } = await supabase
+      .from('data_room_documents')
+      .select('file_path')
+      .eq('id', documentId)
+      .eq('startup_id', user.id)
+      .maybeSingle()
+
+    if (!document) {
+      return { error: 'Document not found', status: 404 }
+    }
+
+    const { error: storageError } = await deleteFile(DATA_ROOM_BUCKET, document.file_path)
+    if (storageError) throw storageError
+
+    const { error } = await supabase
+      .from('data_room_documents')
+      .delete()
+      .eq('id', documentId)
+
+    if (error) throw error
+
+    return { data: { id: documentId }, status: 200 }
+  } catch (error) {
+    console.error('Error deleting data room document:', error)
+    return { error: 'Failed to delete document', status: 500 }
+  }
+}
+
+/**
+ * Get a short-lived signed link to a document. Links are issued by /api/data-room/link, which logs
+ * investor access before signing, so every view and download is recorded.
+ * @param {string} documentId - Document ID
+ * @param {Object} options - Link options
+ * @param {boolean} options.download - Force a download instead of opening inline
+ * @returns {Object} Result object with { url, expiresIn }
+ */
+export async function getDataRoomDocumentLink(documentId, { download = false } = {}) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { data: { session } } = await supabase.auth.getSession()
+    const response = await fetch('/api/data-room/link', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${session?.access_token}`
+      },
+      body: JSON.stringify({ documentId, download })
+    })
+    const json = await response.json().catch(() => ({}))
+
+    if (!response.ok) {
+      return { error: json.error || 'Failed to open document', status: response.status }
+    }
+    return { data: json.data, status: 200 }
+  } catch (error) {
+    console.error('Error getting data room document link:', error)
+    return { error: 'Failed to open document', status: 500 }
+  }
+}
+
+/**
+ * Get the current founder's access grants, with investor details
+ * @returns {Object} Result object
+ */
+export async function getDataRoomGrants() {
+  try {
+    const authResult = await requireAuth(['startup'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { data, error } = await supabase
+      .from('data_room_grants')
+      .select('*, investor:profiles!investor_id(id, full_name, avatar_url)')
+      .eq('startup_id', authResult.user.id)
+      .order('granted_at', { ascending: false })
+
+    if (error) throw error
+
+    return {
+      data: (data || []).map((g) => ({ ...g, active: isGrantActive(g) })),
+      status: 200
+    }
+  } catch (error) {
+    console.error('Error getting data room grants:', error)
+    return { error: 'Failed to load access list', status: 500 }
+  }
+}
+
+/**
+ * Grant an investor access to the current founder's data room
+ * @param {string} investorId - Investor user ID
+ * @param {Object} options - Grant options
+ * @param {string|null} options.expiresAt - ISO date when access ends (null for no expiry)
+ * @returns {Object} Result object
+ */
+export async function grantDataRoomAccess(investorId, { expiresAt = null } = {}) {
+  try {
+    const authResult = await requireAuth(['startup'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+
+    const { data: investor } = await supabase
+      .from('profiles')
+      .select('role')
+      .eq('id', investorId)
+      .single()
+
+    if (investor?.role !== 'investor') {
+      return { error: 'Data room access can only be granted to investors', status: 400 }
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return { error: 'Expiry must be in the future', status: 400 }
+    }
+
+    const { data, error } = await supabase
+      .from('data_room_grants')
+      .upsert({
+        startup_id: user.id,
+        investor_id: investorId,
+        granted_at: new Date().toISOString(),
+        expires_at: expiresAt,
+        revoked_at: null
+      }, { onConflict: 'startup_id,investor_id' })
+      .select('*, investor:profiles!investor_id(id, full_name, avatar_url)')
+      .single()
+
+    if (error) throw error
+
+    await logActivity(user.id, 'data_room_access_granted', { investor_id: investorId, expires_at: expiresAt })
+
+    return { data: { ...data, active: true }, status: 200 }
+  } catch (error) {
+    console.error('Error granting data room access:', error)
+    return { error: 'Failed to grant access', status: 500 }
+  }
+}
+
+/**
+ * Revoke an investor's access to the current founder's data room
+ * @param {string} investorId - Investor user ID
+ * @returns {Object} Result object
+ */
+export async function revokeDataRoomAccess(investorId) {
+  try {
+    const authResult = await requireAuth(['startup'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+
+    const { data, error } = await supabase
+      .from('data_room_grants')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('startup_id', user.id)
+      .eq('investor_id', investorId)
+      .select('*, investor:profiles!investor_id(id, full_name, avatar_url)')
+      .single()
+
+    if (error) throw error
+
+    await logActivity(user.id, 'data_room_access_revoked', { investor_id: investorId })
+
+    return { data: { ...data, active: false }, status: 200 }
+  } catch (error) {
+    console.error('Error revoking data room access:', error)
+    return { error: 'Failed to revoke access', status: 500 }
+  }
+}
+
+/**
+ * Get who opened what in the current founder's data room
+ * @param {Object} filters - { investorId, documentId, limit }
+ * @returns {Object} Result object
+ */
+export async function getDataRoomAccessLog(filters = {}) {
+  try {
+    const authResult = await requireAuth(['startup'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    let query = supabase
+      .from('data_room_access_logs')
+      .select(`
+        *,
+        viewer:profiles!viewer_id(id, full_name),
+        document:data_room_documents!document_id(id, name)
+      `)
+      .eq('startup_id', authResult.user.id)
+      .order('created_at', { ascending: false })
+      .limit(filters.limit || 100)
+
+    if (filters.investorId) {
+      query = query.eq('viewer_id', filters.investorId)
+    }
+
+    if (filters.documentId) {
+      query = query.eq('document_id', filters.documentId)
+    }
+
+    const { data, error } = await query
+
+    if (error) throw error
+
+    return { data: data || [], status: 200 }
+  } catch (error) {
+    console.error('Error getting data room access log:', error)
+    return { error: 'Failed to load access log', status: 500 }
+  }
+}
+
+/**
+ * Investors the current founder can share the data room with (those they've sent investment requests to)
+ * @returns {Object} Result object
+ */
+export async function getDataRoomInvestorOptions() {
+  try {
+    const authResult = await requireAuth(['startup'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { data, error } = await supabase
+      .from('investment_requests')
+      .select('investor:profiles!investor_id(id, full_name, avatar_url)')
+      .eq('startup_id', authResult.user.id)
+      .neq('status', 'cancelled')
+
+    if (error) throw error
+
+    return { data: (data || []).map((r) => r.investor).filter(Boolean), status: 200 }
+  } catch (error) {
+    console.error('Error getting data room investor options:', error)
+    return { error: 'Failed to load investors', status: 500 }
+  }
+}
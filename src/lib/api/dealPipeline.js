@@ -0,0 +1,522 @@
+import { supabase } from '@/lib/supabase'
+import { requireAuth, sendNotification, logActivity } from './auth'
+
+/**
+ * Default deal pipeline, used until an investor configures their own.
+ * 'won' and 'lost' stages close the deal; every other stage is open.
+ */
+export const DEFAULT_PIPELINE_STAGES = [
+  { stage_key: 'sourced', name: 'Sourced', stage_type: 'open' },
+  { stage_key: 'first_call', name: 'First Call', stage_type: 'open' },
+  { stage_key: 'due_diligence', name: 'Due Diligence', stage_type: 'open' },
+  { stage_key: 'term_sheet', name: 'Term Sheet', stage_type: 'open' },
+  { stage_key: 'invested', name: 'Invested', stage_type: 'won' },
+  { stage_key: 'passed', name: 'Passed', stage_type: 'lost' }
+]
+
+/** Labels for the coarse status startups see instead of the pipeline stage */
+export const STARTUP_FACING_STATUS_LABELS = {
+  submitted: 'Submitted',
+  in_review: 'In review',
+  accepted: 'Accepted',
+  declined: 'Declined',
+  cancelled: 'Cancelled'
+}
+
+const DEAL_SELECT = `
+  *,
+  request:investment_requests!investment_request_id(id, message, pitch_deck_url, status, created_at),
+  startup:profiles!startup_id(id, full_name, avatar_url),
+  owner:profiles!owner_id(id, full_name, avatar_url),
+  investor:profiles!investor_id(id, full_name)
+`
+
+/**
+ * Coarse status of an investment request as shown to the startup.
+ * Never exposes the investor's pipeline stage.
+ * @param {Object} request - investment_requests row
+ * @returns {string} One of the STARTUP_FACING_STATUS_LABELS keys
+ */
+export function getStartupFacingStatus(request) {
+  if (!request) return 'submitted'
+  if (request.status === 'accepted') return 'accepted'
+  if (request.status === 'rejected') return 'declined'
+  if (request.status === 'cancelled') return 'cancelled'
+  return request.review_stage === 'in_review' ? 'in_review' : 'submitted'
+}
+
+/**
+ * Get an investor's pipeline stages (their configuration or the default pipeline)
+ * @param {string} investorId - Investor user ID
+ * @returns {Array} Stages ordered by position
+ */
+export async function getPipelineStages(investorId) {
+  try {
+    const { data, error } = await supabase
+      .from('deal_pipeline_stages')
+      .select('stage_key, name, stage_type, position')
+      .eq('investor_id', investorId)
+      .order('position', { ascending: true })
+
+    if (error) throw error
+    if (data?.length) return data
+  } catch (error) {
+    console.error('Error getting pipeline stages:', error)
+  }
+  return DEFAULT_PIPELINE_STAGES.map((stage, position) => ({ ...stage, position }))
+}
+
+/**
+ * Save the current investor's pipeline configuration
+ * @param {Array} stages - Ordered stages { stage_key, name, stage_type }
+ * @returns {Object} Result object
+ */
+export async function savePipelineStages(stages) {
+  try {
+    const authResult = await requireAuth(['investor'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+
+    const keys = stages.map((s) => s.stage_key)
+    if (new Set(keys).size !== keys.length || keys.some((k) => !/^[a-z0-9_]+$/.test(k || ''))) {
+      return { error: 'Stage keys must be unique and use lowercase letters, numbers and underscores', status: 400 }
+    }
+    if (stages.some((s) => !s.name?.trim())) {
+      return { error: 'Every stage needs a name', status: 400 }
+    }
+    for (const type of ['open', 'won', 'lost']) {
+      if (!stages.some((s) => s.stage_type === type)) {
+        return { error: `Pipeline needs at least one ${type} stage`, status: 400 }
+      }
+    }
+
+    // Stages that still hold deals can't be removed
+    const { data: deals } = await supabase
+      .from('investment_deals')
+      .select('stage_key')
+      .eq('investor_id', user.id)
+
+    const orphaned = Array.from(new Set((deals || []).map((d) => d.stage_key))).filter((k) => !keys.includes(k))
+    if (orphaned.length) {
+      return { error: `Move deals out of ${orphaned.join(', ')} before removing the stage`, status: 400 }
+    }
+
+    const { error: deleteError } = await supabase
+      .from('deal_pipeline_stages')
+      .delete()
+      .eq('investor_id', user.id)
+
+    if (deleteError) throw deleteError
+
+    const { data, error } = await supabase
+      .from('deal_pipeline_stages')
+      .insert(stages.map((s, position) => ({
+        investor_id: user.id,
+        stage_key: s.stage_key,
+        name: s.name.trim(),
+        stage_type: s.stage_type,
+        position
+      })))
+      .select('stage_key, name, stage_type, position')
+
+    if (error) throw error
+
+    return { data, status: 200 }
+  } catch (error) {
+    console.error('Error saving pipeline stages:', error)
+    return { error: 'Failed to save pipeline stages', status: 500 }
+  }
+}
+
+/**
+ * Get the current investor's deal pipeline, plus deals other investors assigned to them.
+ * Investment requests without a deal yet (e.g. new requests) are added to the first stage.
+ * @returns {Object} { stages, deals, sharedBoards } where deals (own and assigned) are ordered by stage
+ *   position and sharedBoards lists { investor, stages } for each investor who assigned deals
+ */
+export async function getDealPipeline() {
+  try {
+    const authResult = await requireAuth(['investor'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+    const stages = await getPipelineStages(user.id)
+
+    const [{ data: requests, error: requestsError }, { data: existing, error: dealsError }] = await Promise.all([
+      supabase
+        .from('investment_requests')
+        .select('id, startup_id, created_at')
+        .eq('investor_id', user.id)
+        .neq('status', 'cancelled'),
+      supabase
+        .from('investment_deals')
+        .select('investment_request_id')
+        .eq('investor_id', user.id)
+    ])
+
+    if (requestsError) throw requestsError
+    if (dealsError) throw dealsError
+
+    const tracked = new Set((existing || []).map((d) => d.investment_request_id))
+    const firstStage = stages.find((s) => s.stage_type === 'open') || stages[0]
+    const missing = (requests || []).filter((r) => !tracked.has(r.id))
+
+    if (missing.length) {
+      const now = new Date().toISOString()
+      const { error: insertError } = await supabase
+        .from('investment_deals')
+        .upsert(missing.map((r) => ({
+          investment_request_id: r.id,
+          investor_id: user.id,
+          startup_id: r.startup_id,
+          owner_id: user.id,
+          stage_key: firstStage.stage_key,
+          stage_entered_at: now,
+          stage_timestamps: { [firstStage.stage_key]: now }
+        })), { onConflict: 'investment_request_id', ignoreDuplicates: true })
+
+      if (insertError) throw insertError
+    }
+
+    const { data: deals, error } = await supabase
+      .from('investment_deals')
+      .select(DEAL_SELECT)
+      .or(`investor_id.eq.${user.id},owner_id.eq.${user.id}`)
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: false })
+
+    if (error) throw error
+
+    // Startup company names for the cards
+    const startupIds = Array.from(new Set((deals || []).map((d) => d.startup_id)))
+    const { data: companies } = startupIds.length
+      ? await supabase
+          .from('startup_profiles')
+          .select('user_id, company_name, industry, funding_stage, funding_goal, slug, logo_url')
+          .in('user_id', startupIds)
+      : { data: [] }
+    const companyByUser = new Map((companies || []).map((c) => [c.user_id, c]))
+
+    // Assigned deals are moved within their investor's stages
+    const sharedInvestors = new Map(
+      (deals || []).filter((d) => d.investor_id !== user.id).map((d) => [d.investor_id, d.investor])
+    )
+    const sharedBoards = await Promise.all(
+      Array.from(sharedInvestors, async ([investorId, investor]) => ({
+        investor: investor || { id: investorId, full_name: 'Investor' },
+        stages: await getPipelineStages(investorId)
+      }))
+    )
+
+    return {
+      data: {
+        stages,
+        deals: (deals || []).map((d) => ({ ...d, company: companyByUser.get(d.startup_id) || null })),
+        sharedBoards
+      },
+      status: 200
+    }
+  } catch (error) {
+    console.error('Error getting deal pipeline:', error)
+    return { error: 'Failed to load deal pipeline', status: 500 }
+  }
+}
+
+/**
+ * Move a deal to another stage (drag and drop on the pipeline board).
+ * Renumbers both columns, records the change in the stage history and updates the startup's coarse status.
+ * @param {string} dealId - Deal ID
+ * @param {string} toStageKey - Target stage key
+ * @param {Object} options - Move options
+ * @param {number} options.position - Position within the target column
+ * @param {string} options.note - Optional note stored with the history entry
+ * @returns {Object} Result object
+ */
+export async function moveDeal(dealId, toStageKey, options = {}) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+
+    const { data: deal, error: fetchError } = await supabase
+      .from('investment_deals')
+      .select('*')
+      .eq('id', dealId)
+      .single()
+
+    if (fetchError || !deal) {
+      return { error: 'Deal not found', status: 404 }
+    }
+
+    const stages = await getPipelineStages(deal.investor_id)
+    const target = stages.find((s) => s.stage_key === toStageKey)
+    if (!target) {
+      return { error: 'Unknown pipeline stage', status: 400 }
+    }
+
+    // The database renumbers both columns and syncs the request in one transaction
+    const { data: move, error: moveError } = await supabase.rpc('move_deal', {
+      target_deal_id: dealId,
+      to_stage_key: toStageKey,
+      target_position: options.position ?? 0,
+      stage_note: options.note || null
+    })
+
+    if (moveError) throw moveError
+
+    const { data, error } = await supabase
+      .from('investment_deals')
+      .select(DEAL_SELECT)
+      .eq('id', dealId)
+      .single()
+
+    if (error) throw error
+
+    if (move.stage_changed) {
+      await notifyStartupFacingStatus(deal, move)
+
+      await logActivity(user.id, 'deal_stage_changed', {
+        deal_id: dealId,
+        from_stage: deal.stage_key,
+        to_stage: toStageKey
+      })
+    }
+
+    return { data, status: 200 }
+  } catch (error) {
+    console.error('Error moving deal:', error)
+    return { error: 'Failed to move deal', status: 500 }
+  }
+}
+
+/**
+ * Tell the startup when a move changed the coarse status of their investment request.
+ * move_deal has already updated the request; this compares its before and after rows.
+ */
+async function notifyStartupFacingStatus(deal, move) {
+  if (!move.request) return
+
+  const before = getStartupFacingStatus(move.request)
+  const after = getStartupFacingStatus(move.updated_request)
+  if (before !== after) {
+    await sendNotification(deal.startup_id, {
+      type: 'application_status',
+      title: 'Investment request update',
+      content: `Your investment request is now: ${STARTUP_FACING_STATUS_LABELS[after]}`,
+      related_id: move.request.id
+    })
+  }
+}
+
+/**
+ * Assign a deal to an owner
+ * @param {string} dealId - Deal ID
+ * @param {string|null} ownerId - Owner user ID (null to unassign)
+ * @returns {Object} Result object
+ */
+export async function assignDealOwner(dealId, ownerId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+
+    const { data: deal, error: fetchError } = await supabase
+      .from('investment_deals')
+      .select('id, investor_id, owner_id, stage_key')
+      .eq('id', dealId)
+      .single()
+
+    if (fetchError || !deal) {
+      return { error: 'Deal not found', status: 404 }
+    }
+
+    if (deal.investor_id !== user.id) {
+      return { error: 'Only the investor can reassign a deal', status: 403 }
+    }
+
+    if (ownerId) {
+      const { data: owner } = await supabase
+        .from('profiles')
+        .select('role')
+        .eq('id', ownerId)
+        .single()
+
+      if (owner?.role !== 'investor') {
+        return { error: 'Deal owners must be investors', status: 400 }
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('investment_deals')
+      .update({ owner_id: ownerId || null })
+      .eq('id', dealId)
+      .select(DEAL_SELECT)
+      .single()
+
+    if (error) throw error
+
+    await supabase
+      .from('deal_stage_history')
+      .insert({
+        deal_id: dealId,
+        from_stage: deal.stage_key,
+        to_stage: deal.stage_key,
+        changed_by: user.id,
+        note: ownerId ? 'Owner changed' : 'Owner removed'
+      })
+
+    return { data, status: 200 }
+  } catch (error) {
+    console.error('Error assigning deal owner:', error)
+    return { error: 'Failed to assign deal owner', status: 500 }
+  }
+}
+
+/**
+ * People a deal can be assigned to: the investor and their connected investors
+ * @returns {Object} Result object with an array of profiles
+ */
+export async function getDealOwnerOptions() {
+  try {
+    const authResult = await requireAuth(['investor'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user, profile } = authResult
+
+    const { data: connections, error } = await supabase
+      .from('connections')
+      .select('requester_id, target_id')
+      .eq('status', 'accepted')
+      .or(`requester_id.eq.${user.id},target_id.eq.${user.id}`)
+
+    if (error) throw error
+
+    const connectedIds = (connections || []).map((c) => (c.requester_id === user.id ? c.target_id : c.requester_id))
+    const { data: investors } = connectedIds.length
+      ? await supabase
+          .from('profiles')
+          .select('id, full_name, avatar_url')
+          .in('id', connectedIds)
+          .eq('role', 'investor')
+      : { data: [] }
+
+    return {
+      data: [{ id: user.id, full_name: profile?.full_name || 'Me', avatar_url: profile?.avatar_url }, ...(investors || [])],
+      status: 200
+    }
+  } catch (error) {
+    console.error('Error getting deal owner options:', error)
+    return { error: 'Failed to get deal owners', status: 500 }
+  }
+}
+
+/**
+ * Get private notes and stage history for a deal
+ * @param {string} dealId - Deal ID
+ * @returns {Object} Result object with { notes, history }
+ */
+export async function getDealActivity(dealId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const [{ data: notes, error: notesError }, { data: history, error: historyError }] = await Promise.all([
+      supabase
+        .from('deal_notes')
+        .select('*, author:profiles!author_id(id, full_name)')
+        .eq('deal_id', dealId)
+        .order('created_at', { ascending: false }),
+      supabase
+        .from('deal_stage_history')
+        .select('*, changed_by_profile:profiles!changed_by(id, full_name)')
+        .eq('deal_id', dealId)
+        .order('changed_at', { ascending: false })
+    ])
+
+    if (notesError) throw notesError
+    if (historyError) throw historyError
+
+    return { data: { notes: notes || [], history: history || [] }, status: 200 }
+  } catch (error) {
+    console.error('Error getting deal activity:', error)
+    return { error: 'Failed to load deal activity', status: 500 }
+  }
+}
+
+/**
+ * Add a private note to a deal
+ * @param {string} dealId - Deal ID
+ * @param {string} content - Note text
+ * @returns {Object} Result object
+ */
+export async function addDealNote(dealId, content) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    if (!content?.trim()) {
+      return { error: 'Note cannot be empty', status: 400 }
+    }
+
+    const { data, error } = await supabase
+      .from('deal_notes')
+      .insert({
+        deal_id: dealId,
+        author_id: authResult.user.id,
+        content: content.trim()
+      })
+      .select('*, author:profiles!author_id(id, full_name)')
+      .single()
+
+    if (error) throw error
+
+    return { data, status: 201 }
+  } catch (error) {
+    console.error('Error adding deal note:', error)
+    return { error: 'Failed to add note', status: 500 }
+  }
+}
+
+/**
+ * Delete one of your notes on a deal
+ * @param {string} noteId - Note ID
+ * @returns {Object} Result object
+ */
+export async function deleteDealNote(noteId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { error } = await supabase
+      .from('deal_notes')
+      .delete()
+      .eq('id', noteId)
+      .eq('author_id', authResult.user.id)
+
+    if (error) throw error
+
+    return { data: { id: noteId }, status: 200 }
+  } catch (error) {
+    console.error('Error deleting deal note:', error)
+    return { error: 'Failed to delete note', status: 500 }
+  }
+}
@@ -0,0 +1,298 @@
+import { supabase } from '@/lib/supabase'
+import { requireAuth } from './auth'
+import {
+  isFeedbackOpen,
+  normaliseFeedbackQuestions,
+  validateFeedback,
+  summariseFeedback,
+  registrationFunnel,
+  organizerTotals
+} from '@/lib/eventAnalytics'
+
+const FEEDBACK_EVENT_COLUMNS = 'id, title, start_date, end_date, status, organizer_id, feedback_questions'
+
+/**
+ * Get an event's feedback form with the current user's response, if any
+ * @param {string} eventId - Event ID
+ * @returns {Object} Result object with { event, feedback, open }
+ */
+export async function getEventFeedbackForm(eventId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const [eventResult, feedbackResult] = await Promise.all([
+      supabase.from('events').select(FEEDBACK_EVENT_COLUMNS).eq('id', eventId).single(),
+      supabase
+        .from('event_feedback')
+        .select('rating, nps, comment, answers, updated_at')
+        .eq('event_id', eventId)
+        .eq('user_id', authResult.user.id)
+        .maybeSingle()
+    ])
+
+    const event = eventResult.data
+    if (!event) {
+      return { error: 'Event not found', status: 404 }
+    }
+
+    return {
+      data: {
+        event: { ...event, feedback_questions: event.feedback_questions || [] },
+        feedback: feedbackResult.data || null,
+        open: isFeedbackOpen(event)
+      },
+      status: 200
+    }
+  } catch (error) {
+    console.error('Error getting event feedback form:', error)
+    return { error: 'Failed to load feedback form', status: 500 }
+  }
+}
+
+/**
+ * Leave or update feedback for an event the current user attended
+ * @param {string} eventId - Event ID
+ * @param {Object} response - { rating, nps, comment, answers }
+ * @returns {Object} Result object with the saved feedback, or field errors under `errors`
+ */
+export async function submitEventFeedback(eventId, response) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { data: event } = await supabase
+      .from('events')
+      .select(FEEDBACK_EVENT_COLUMNS)
+      .eq('id', eventId)
+      .single()
+
+    if (!event) {
+      return { error: 'Event not found', status: 404 }
+    }
+
+    if (!isFeedbackOpen(event)) {
+      return { error: 'Feedback for this event is closed', status: 400 }
+    }
+
+    const { feedback, errors } = validateFeedback(event.feedback_questions || [], response)
+    if (errors) {
+      return { error: 'Please check your answers', errors, status: 400 }
+    }
+
+    const { data, error } = await supabase
+      .from('event_feedback')
+      .upsert(
+        { event_id: eventId, user_id: authResult.user.id, ...feedback },
+        { onConflict: 'event_id,user_id' }
+      )
+      .select()
+      .single()
+
+    // Row level security only lets attendees write feedback
+    if (error?.code === '42501') {
+      return { error: 'Only attendees can leave feedback for this event', status: 403 }
+    }
+    if (error) throw error
+
+    return { data, status: 200 }
+  } catch (error) {
+    console.error('Error submitting event feedback:', error)
+    return { error: 'Failed to save feedback', status: 500 }
+  }
+}
+
+/**
+ * Save the organizer's own feedback questions for an event
+ * @param {string} eventId - Event ID
+ * @param {Object[]} fields - Questions from the form builder
+ * @returns {Object} Result object with the saved questions
+ */
+export async function updateFeedbackQuestions(eventId, fields) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { form, error: formError } = normaliseFeedbackQuestions(fields)
+    if (formError) {
+      return { error: formError, status: 400 }
+    }
+
+    const { data, error } = await supabase
+      .from('events')
+      .update({ feedback_questions: form })
+      .eq('id', eventId)
+      .eq('organizer_id', authResult.user.id)
+      .select('id')
+
+    if (error) throw error
+    if (!data?.length) {
+      return { error: 'Only the event organizer can edit the feedback questions', status: 403 }
+    }
+
+    return { data: form, status: 200 }
+  } catch (error) {
+    console.error('Error updating feedback questions:', error)
+    return { error: 'Failed to save feedback questions', status: 500 }
+  }
+}
+
+/**
+ * Events the current user has been asked about and not yet reviewed. Sends any feedback
+ * requests that are due first, so requests go out even without a scheduled job.
+ * @returns {Object} Result object with events, soonest to close first
+ */
+export async function getPendingEventFeedback() {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { error: requestError } = await supabase.rpc('request_event_feedback')
+    if (requestError) {
+      console.error('Error sending feedback requests:', requestError)
+    }
+
+    const userId = authResult.user.id
+    const { data: requests, error } = await supabase
+      .from('notifications')
+      .select('related_id')
+      .eq('user_id', userId)
+      .eq('type', 'feedback_request')
+
+    if (error) throw error
+
+    const eventIds = [...new Set((requests || []).map((n) => n.related_id).filter(Boolean))]
+    if (!eventIds.length) {
+      return { data: [], status: 200 }
+    }
+
+    const [eventsResult, feedbackResult] = await Promise.all([
+      supabase.from('events').select(FEEDBACK_EVENT_COLUMNS).in('id', eventIds),
+      supabase.from('event_feedback').select('event_id').eq('user_id', userId).in('event_id', eventIds)
+    ])
+
+    if (eventsResult.error) throw eventsResult.error
+    if (feedbackResult.error) throw feedbackResult.error
+
+    const answered = new Set((feedbackResult.data || []).map((f) => f.event_id))
+    const pending = (eventsResult.data || [])
+      .filter((event) => !answered.has(event.id) && isFeedbackOpen(event))
+      .sort((a, b) => new Date(a.end_date || a.start_date) - new Date(b.end_date || b.start_date))
+
+    return { data: pending, status: 200 }
+  } catch (error) {
+    console.error('Error getting pending event feedback:', error)
+    return { error: 'Failed to load feedback requests', status: 500 }
+  }
+}
+
+/**
+ * Aggregated feedback for one event, for its organizer
+ * @param {string} eventId - Event ID
+ * @returns {Object} Result object with { event, summary }
+ */
+export async function getEventFeedbackSummary(eventId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { data: event } = await supabase
+      .from('events')
+      .select(FEEDBACK_EVENT_COLUMNS)
+      .eq('id', eventId)
+      .single()
+
+    if (!event || (event.organizer_id !== authResult.user.id && authResult.profile.role !== 'admin')) {
+      return { error: 'Only the event organizer can view feedback', status: 403 }
+    }
+
+    const { data: responses, error } = await supabase
+      .from('event_feedback')
+      .select('rating, nps, comment, answers, created_at')
+      .eq('event_id', eventId)
+
+    if (error) throw error
+
+    return {
+      data: { event, summary: summariseFeedback(event.feedback_questions || [], responses || []) },
+      status: 200
+    }
+  } catch (error) {
+    console.error('Error getting event feedback summary:', error)
+    return { error: 'Failed to load feedback', status: 500 }
+  }
+}
+
+/**
+ * Attendance and feedback across every event the current user has organized
+ * @returns {Object} Result object with { events, totals }; events are most recent first
+ */
+export async function getOrganizerAnalytics() {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { data: events, error } = await supabase
+      .from('events')
+      .select('id, title, event_type, start_date, end_date, status')
+      .eq('organizer_id', authResult.user.id)
+      .lte('start_date', new Date().toISOString())
+      .order('start_date', { ascending: false })
+
+    if (error) throw error
+    if (!events?.length) {
+      return { data: { events: [], totals: organizerTotals() }, status: 200 }
+    }
+
+    const eventIds = events.map((e) => e.id)
+    const [registrationsResult, feedbackResult] = await Promise.all([
+      supabase
+        .from('event_registrations')
+        .select('event_id, status, waitlisted_at, checked_in_at')
+        .in('event_id', eventIds),
+      supabase
+        .from('event_feedback')
+        .select('event_id, rating, nps, comment, created_at')
+        .in('event_id', eventIds)
+    ])
+
+    if (registrationsResult.error) throw registrationsResult.error
+    if (feedbackResult.error) throw feedbackResult.error
+
+    const registrations = registrationsResult.data || []
+    const responses = feedbackResult.data || []
+
+    const rows = events.map((event) => {
+      const eventRegistrations = registrations.filter((r) => r.event_id === event.id)
+      return {
+        event,
+        registrations: eventRegistrations,
+        funnel: registrationFunnel(eventRegistrations),
+        feedback: summariseFeedback([], responses.filter((r) => r.event_id === event.id))
+      }
+    })
+
+    return {
+      data: {
+        events: rows.map(({ event, funnel, feedback }) => ({ event, funnel, feedback })),
+        totals: organizerTotals(rows, responses)
+      },
+      status: 200
+    }
+  } catch (error) {
+    console.error('Error getting organizer analytics:', error)
+    return { error: 'Failed to load analytics', status: 500 }
+  }
+}
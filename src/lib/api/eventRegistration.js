@@ -1,8 +1,44 @@
 import { supabase } from '@/lib/supabase'
 import { requireAuth, sendNotification, logActivity } from './auth'
+import { SEAT_STATUSES, withWaitlistPositions } from '@/lib/waitlist'
 
 /**
- * Register for an event
+ * Offer freed seats to the head of an event's waitlist and notify the people promoted
+ * @param {Object} event - Event with id and title
+ * @returns {Array} New offers ({ registration_id, user_id, offer_expires_at })
+ */
+export async function promoteWaitlist(event) {
+  const { data: offers, error } = await supabase.rpc('promote_event_waitlist', { target_event_id: event.id })
+  if (error) {
+    console.error('Error promoting event waitlist:', error)
+    return []
+  }
+
+  for (const offer of offers || []) {
+    await sendNotification(offer.user_id, {
+      type: 'waitlist_offer',
+      title: 'A seat opened up',
+      content: `A seat is available for "${event.title}". Confirm it by ${new Date(offer.offer_expires_at).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })} or it goes to the next person on the waitlist.`,
+      related_id: offer.registration_id
+    })
+  }
+
+  return offers || []
+}
+
+/**
+ * Current 1-based waitlist position of a registration
+ * @param {string} registrationId - Registration ID
+ * @returns {number|null} Position, or null when not waitlisted
+ */
+async function getWaitlistPosition(registrationId) {
+  const { data } = await supabase.rpc('get_waitlist_position', { target_registration_id: registrationId })
+  return data || null
+}
+
+/**
+ * Register for an event. When the event is full the registration joins the waitlist instead
+ * (status 'waitlisted', with waitlist_position).
  * @param {string} eventId - Event ID
  * @param {Object} registrationData - Registration data
  * @returns {Object} Result object
@@ -36,17 +72,9 @@ export async function registerForEvent(eventId, registrationData = {}) {
       return { error: 'Registration deadline has passed', status: 400 }
     }
 
-    // Check if event is full
+    // Hand lapsed offers on before looking at capacity
     if (event.max_participants) {
-      const { count } = await supabase
-        .from('event_registrations')
-        .select('id', { count: 'exact' })
-        .eq('event_id', eventId)
-        .eq('status', 'confirmed')
-
-      if (count >= event.max_participants) {
-        return { error: 'Event is full', status: 400 }
-      }
+      await promoteWaitlist(event)
     }
 
     // Check if user is already registered
@@ -58,24 +86,37 @@ export async function registerForEvent(eventId, registrationData = {}) {
       .single()
 
     if (existing) {
-      if (existing.status === 'confirmed') {
+      if (existing.status === 'confirmed' || existing.status === 'registered') {
         return { error: 'Already registered for this event', status: 400 }
       } else if (existing.status === 'pending') {
         return { error: 'Registration is pending approval', status: 400 }
+      } else if (existing.status === 'waitlisted') {
+        return { error: 'You are already on the waitlist for this event', status: 400 }
+      } else if (existing.status === 'offered') {
+        return { error: 'A seat is being held for you. Confirm it from your dashboard.', status: 400 }
+      } else if (existing.status === 'rejected') {
+        return { error: 'Your registration for this event was not approved', status: 400 }
       }
     }
 
-    // Create registration
-    const { data, error } = await supabase
-      .from('event_registrations')
-      .insert({
-        event_id: eventId,
-        user_id: user.id,
-        status: event.requires_approval ? 'pending' : 'confirmed',
-        registration_type: registrationData.registration_type || 'attendee',
-        notes: registrationData.notes || '',
-        metadata: registrationData.metadata || {}
-      })
+    const registration = {
+      status: event.requires_approval ? 'pending' : 'confirmed',
+      registration_type: registrationData.registration_type || 'attendee',
+      notes: registrationData.notes || '',
+      metadata: registrationData.metadata || {}
+    }
+
+    // Create registration (or renew a cancelled / expired one). Over capacity, the database puts it on the waitlist.
+    const registrationQuery = existing
+      ? supabase
+        .from('event_registrations')
+        .update({ ...registration, cancelled_at: null })
+        .eq('id', existing.id)
+      : supabase
+        .from('event_registrations')
+        .insert({ event_id: eventId, user_id: user.id, ...registration })
+
+    const { data, error } = await registrationQuery
       .select(`
         *,
         event:events(
@@ -89,6 +130,17 @@ export async function registerForEvent(eventId, registrationData = {}) {
 
     if (error) throw error
 
+    if (data.status === 'waitlisted') {
+      data.waitlist_position = await getWaitlistPosition(data.id)
+
+      await logActivity(user.id, 'event_waitlisted', {
+        event_id: eventId,
+        registration_id: data.id
+      })
+
+      return { data, status: 201 }
+    }
+
     // Send notification to event organizer
     if (data.event?.organizer_id) {
       await sendNotification(data.event.organizer_id, {
@@ -128,7 +180,8 @@ export async function registerForEvent(eventId, registrationData = {}) {
 }
 
 /**
- * Cancel event registration
+ * Cancel event registration (also leaves the waitlist or declines an offered seat).
+ * A freed seat is offered to the next person on the waitlist.
  * @param {string} registrationId - Registration ID
  * @returns {Object} Result object
  */
@@ -171,6 +224,10 @@ export async function cancelEventRegistration(registrationId) {
     }
 
     // Update registration status to cancelled
+    if (registration.status === 'cancelled') {
+      return { error: 'Registration is already cancelled', status: 400 }
+    }
+
     const { data, error } = await supabase
       .from('event_registrations')
       .update({
@@ -183,8 +240,12 @@ export async function cancelEventRegistration(registrationId) {
 
     if (error) throw error
 
+    if (SEAT_STATUSES.includes(registration.status) && registration.event) {
+      await promoteWaitlist(registration.event)
+    }
+
     // Send notification to event organizer
-    if (registration.event?.organizer_id) {
+    if (registration.event?.organizer_id && registration.status !== 'waitlisted') {
       await sendNotification(registration.event.organizer_id, {
         type: 'registration_cancelled',
         title: 'Event Registration Cancelled',
@@ -210,6 +271,62 @@ export async function cancelEventRegistration(registrationId) {
   }
 }
 
+/**
+ * Accept a seat offered from the waitlist before the offer expires
+ * @param {string} registrationId - Registration ID
+ * @returns {Object} Result object
+ */
+export async function confirmWaitlistOffer(registrationId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+
+    const { data: registration } = await supabase
+      .from('event_registrations')
+      .select('*, event:events(*)')
+      .eq('id', registrationId)
+      .single()
+
+    if (!registration || registration.user_id !== user.id) {
+      return { error: 'Registration not found', status: 404 }
+    }
+
+    if (registration.status !== 'offered') {
+      return { error: 'There is no seat offer to confirm', status: 400 }
+    }
+
+    if (new Date(registration.offer_expires_at) <= new Date()) {
+      // Let the seat move on to the next person
+      await promoteWaitlist(registration.event)
+      return { error: 'This seat offer has expired', status: 410 }
+    }
+
+    const { data, error } = await supabase
+      .from('event_registrations')
+      .update({ status: registration.event?.requires_approval ? 'pending' : 'confirmed' })
+      .eq('id', registrationId)
+      .eq('status', 'offered')
+      .select()
+      .single()
+
+    if (error) throw error
+
+    await logActivity(user.id, 'event_waitlist_offer_confirmed', {
+      event_id: registration.event_id,
+      registration_id: registrationId
+    })
+
+    return { data, status: 200 }
+  } catch (error) {
+    console.error('Error confirming waitlist offer:', error)
+    return { error: 'Failed to confirm seat', status: 500 }
+  }
+}
+
 /**
  * Get user's event registrations
  * @param {string} userId - User ID
@@ -252,6 +369,7 @@ export async function getUserEventRegistrations(userId, filters = {}) {
         end_date,
         location,
         is_virtual,
+        link_reveal_minutes,
         status,
         organizer_id
       `)
@@ -268,10 +386,11 @@ export async function getUserEventRegistrations(userId, filters = {}) {
       return acc
     }, {}) || {}
 
-    let combinedData = registrations.map(reg => ({
+    let combinedData = await Promise.all(registrations.map(async (reg) => ({
       ...reg,
-      event: eventsMap[reg.event_id] || null
-    }))
+      event: eventsMap[reg.event_id] || null,
+      waitlist_position: reg.status === 'waitlisted' ? await getWaitlistPosition(reg.id) : null
+    })))
 
     // Apply upcoming filter if needed
     if (filters.upcoming) {
@@ -336,10 +455,10 @@ export async function getUserEventRegistrations(userId, filters = {}) {
 }
 
 /**
- * Get event registrations (for event organizers)
+ * Get event registrations (for event organizers), seat holders first, then the waitlist in order
  * @param {string} eventId - Event ID
  * @param {Object} filters - Filter options
- * @returns {Array} Array of registrations
+ * @returns {Array} Array of registrations, waitlisted ones with waitlist_position
  */
 export async function getEventRegistrations(eventId, filters = {}) {
   try {
@@ -353,7 +472,7 @@ export async function getEventRegistrations(eventId, filters = {}) {
     // Check if user is the event organizer
     const { data: event } = await supabase
       .from('events')
-      .select('organizer_id')
+      .select('id, title, organizer_id, max_participants')
       .eq('id', eventId)
       .single()
 
@@ -361,6 +480,10 @@ export async function getEventRegistrations(eventId, filters = {}) {
       return { error: 'Unauthorized', status: 403 }
     }
 
+    if (event.max_participants) {
+      await promoteWaitlist(event)
+    }
+
     let query = supabase
       .from('event_registrations')
       .select(`
@@ -382,7 +505,7 @@ export async function getEventRegistrations(eventId, filters = {}) {
     const { data, error } = await query.order('created_at', { ascending: false })
     
     if (error) throw error
-    return { data: data || [], status: 200 }
+    return { data: withWaitlistPositions(data || []), status: 200 }
   } catch (error) {
     console.error('Error getting event registrations:', error)
     return { error: 'Failed to get event registrations', status: 500 }
@@ -445,6 +568,11 @@ export async function moderateEventRegistration(registrationId, action, message
 
     if (error) throw error
 
+    // A rejected request gives its seat to the waitlist
+    if (newStatus === 'rejected' && SEAT_STATUSES.includes(registration.status)) {
+      await promoteWaitlist(registration.event)
+    }
+
     // Send notification to user
     await sendNotification(registration.user_id, {
       type: 'registration_moderated',
@@ -0,0 +1,739 @@
+import { supabase } from '@/lib/supabase'
+import { requireAuth, sendNotification, logActivity } from './auth'
+import { promoteWaitlist } from './eventRegistration'
+import { copySeriesJoinLinks } from './virtualEvents'
+import { SEAT_STATUSES } from '@/lib/waitlist'
+import { isValidTimeZone } from '@/lib/scheduling'
+import {
+  parseRRule,
+  formatRRule,
+  expandOccurrences,
+  splitRule,
+  MAX_OCCURRENCES
+} from '@/lib/recurrence'
+
+// Event fields shared by every occurrence of a series
+const TEMPLATE_FIELDS = [
+  'title',
+  'description',
+  'event_type',
+  'location',
+  'is_virtual',
+  'link_reveal_minutes',
+  'recording_visibility',
+  'max_participants',
+  'is_public',
+  'tags',
+  'target_audience'
+]
+
+// Registrations that still expect to attend, and so hear about changes
+const ACTIVE_REGISTRATION_STATUSES = ['registered', 'confirmed', 'pending', 'waitlisted', 'offered']
+
+// A series splits on every "this and all future" edit; lineages deeper than this are not followed
+const MAX_LINEAGE = 50
+
+const MINUTE_MS = 60 * 1000
+
+function pickTemplate(eventData) {
+  const template = {}
+  for (const field of TEMPLATE_FIELDS) {
+    if (eventData[field] !== undefined) template[field] = eventData[field]
+  }
+  return template
+}
+
+function minutesBetween(from, to) {
+  return Math.round((new Date(to) - new Date(from)) / MINUTE_MS)
+}
+
+// Dated fields of an occurrence starting at `start`
+function occurrenceTimes(series, start) {
+  return {
+    start_date: start.toISOString(),
+    end_date: series.duration_minutes
+      ? new Date(start.getTime() + series.duration_minutes * MINUTE_MS).toISOString()
+      : null,
+    registration_deadline: series.registration_lead_minutes !== null && series.registration_lead_minutes !== undefined
+      ? new Date(start.getTime() - series.registration_lead_minutes * MINUTE_MS).toISOString()
+      : null
+  }
+}
+
+function occurrenceRow(series, start) {
+  return {
+    organizer_id: series.organizer_id,
+    ...series.template,
+    ...occurrenceTimes(series, start),
+    series_id: series.id,
+    occurrence_start: start.toISOString(),
+    status: 'active'
+  }
+}
+
+/**
+ * Ids of every series in a lineage (the original and the halves later split from it), oldest first
+ * @param {string} seriesId - Any series in the lineage
+ * @returns {Array<string>} Series IDs
+ */
+async function getSeriesLineage(seriesId) {
+  const ids = [seriesId]
+
+  let current = seriesId
+  while (ids.length < MAX_LINEAGE) {
+    const { data } = await supabase.from('event_series').select('previous_series_id').eq('id', current).single()
+    if (!data?.previous_series_id) break
+    current = data.previous_series_id
+    ids.unshift(current)
+  }
+
+  current = seriesId
+  while (ids.length < MAX_LINEAGE) {
+    const { data } = await supabase.from('event_series').select('id').eq('previous_series_id', current).limit(1)
+    if (!data?.length) break
+    current = data[0].id
+    ids.push(current)
+  }
+
+  return ids
+}
+
+/**
+ * Send one notification to everyone still registered for any of the given events
+ * @param {Array<string>} eventIds - Occurrence IDs
+ * @param {Object} notification - { type, title, content, related_id }
+ * @param {string} actorId - User who made the change, left out
+ */
+async function notifyRegistrants(eventIds, notification, actorId) {
+  if (!eventIds.length) return
+
+  const { data: registrations } = await supabase
+    .from('event_registrations')
+    .select('user_id')
+    .in('event_id', eventIds)
+    .in('status', ACTIVE_REGISTRATION_STATUSES)
+
+  const userIds = [...new Set((registrations || []).map((r) => r.user_id))].filter((id) => id !== actorId)
+  if (!userIds.length) return
+
+  await sendNotification(userIds, notification)
+}
+
+/**
+ * Load an occurrence and its series for someone allowed to manage it (organizer or admin)
+ * @param {string} eventId - Occurrence ID
+ * @returns {Object} { user, occurrence } or an error result
+ */
+async function getManagedOccurrence(eventId) {
+  const authResult = await requireAuth()
+  if (authResult.error) {
+    return { error: authResult.error, status: authResult.status }
+  }
+
+  const { user, profile } = authResult
+
+  const { data: occurrence } = await supabase
+    .from('events')
+    .select('*, series:event_series(*)')
+    .eq('id', eventId)
+    .single()
+
+  if (!occurrence) {
+    return { error: 'Event not found', status: 404 }
+  }
+
+  if (occurrence.organizer_id !== user.id && profile?.role !== 'admin') {
+    return { error: 'Only the organizer can change this event', status: 403 }
+  }
+
+  if (!occurrence.series) {
+    return { error: 'This event is not part of a series', status: 400 }
+  }
+
+  return { user, occurrence }
+}
+
+/**
+ * Create a series and all of its occurrences. Callers check who may organize events.
+ * @param {string} organizerId - Organizer profile ID
+ * @param {Object} eventData - Event fields for the first occurrence (start_date, end_date, registration_deadline, ...)
+ * @param {Object} recurrence - { rrule, timezone }
+ * @returns {Object} Result object with { series, occurrences }
+ */
+export async function insertEventSeries(organizerId, eventData, { rrule, timezone } = {}) {
+  try {
+    const rule = parseRRule(rrule)
+    if (!rule) {
+      return { error: 'Invalid recurrence rule', status: 400 }
+    }
+
+    if (!isValidTimeZone(timezone)) {
+      return { error: 'Invalid time zone', status: 400 }
+    }
+
+    if (!eventData.title || !eventData.start_date) {
+      return { error: 'Title and start date are required', status: 400 }
+    }
+
+    const startsAt = new Date(eventData.start_date)
+    const starts = expandOccurrences(rule, startsAt, timezone, { limit: MAX_OCCURRENCES + 1 })
+    if (!starts.length) {
+      return { error: 'The recurrence rule has no occurrences', status: 400 }
+    }
+    if (starts.length > MAX_OCCURRENCES) {
+      return { error: `A series can have at most ${MAX_OCCURRENCES} occurrences`, status: 400 }
+    }
+
+    const durationMinutes = eventData.end_date ? minutesBetween(startsAt, eventData.end_date) : null
+    if (durationMinutes !== null && durationMinutes <= 0) {
+      return { error: 'The event must end after it starts', status: 400 }
+    }
+
+    const { data: series, error } = await supabase
+      .from('event_series')
+      .insert({
+        organizer_id: organizerId,
+        title: eventData.title,
+        recurrence_rule: formatRRule(rule),
+        timezone,
+        starts_at: startsAt.toISOString(),
+        duration_minutes: durationMinutes,
+        registration_lead_minutes: eventData.registration_deadline
+          ? Math.max(minutesBetween(eventData.registration_deadline, startsAt), 0)
+          : null,
+        template: pickTemplate(eventData)
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    const { data: occurrences, error: occurrencesError } = await supabase
+      .from('events')
+      .insert(starts.map((start) => occurrenceRow(series, start)))
+      .select()
+
+    if (occurrencesError) {
+      await supabase.from('event_series').delete().eq('id', series.id)
+      throw occurrencesError
+    }
+
+    return { data: { series, occurrences }, status: 201 }
+  } catch (error) {
+    console.error('Error creating event series:', error)
+    return { error: 'Failed to create event series', status: 500 }
+  }
+}
+
+/**
+ * Create a recurring event series organized by the current user
+ * @param {Object} eventData - Event fields for the first occurrence
+ * @param {Object} recurrence - { rrule, timezone }
+ * @returns {Object} Result object with { series, occurrences }
+ */
+export async function createEventSeries(eventData, recurrence) {
+  const authResult = await requireAuth(['admin', 'mentor', 'investor'])
+  if (authResult.error) {
+    return { error: authResult.error, status: authResult.status }
+  }
+
+  const result = await insertEventSeries(authResult.user.id, eventData, recurrence)
+  if (result.data) {
+    await logActivity(authResult.user.id, 'event_series_created', {
+      series_id: result.data.series.id,
+      occurrences: result.data.occurrences.length
+    })
+  }
+  return result
+}
+
+/**
+ * Get a series with every occurrence in its lineage and the current user's series registration
+ * @param {string} seriesId - Series ID
+ * @returns {Object} Result object with { series, lineage, occurrences, registration }; series is the latest in the lineage
+ */
+export async function getEventSeries(seriesId) {
+  try {
+    const lineage = await getSeriesLineage(seriesId)
+    const currentId = lineage[lineage.length - 1]
+
+    const [{ data: series, error }, { data: lineageSeries }, { data: occurrences }, { data: { user } }] = await Promise.all([
+      supabase
+        .from('event_series')
+        .select(`
+          *,
+          organizer:profiles!event_series_organizer_id_fkey(
+            id,
+            full_name
+          )
+        `)
+        .eq('id', currentId)
+        .single(),
+      supabase
+        .from('event_series')
+        .select('id, title, recurrence_rule, timezone, starts_at')
+        .in('id', lineage),
+      supabase
+        .from('events')
+        .select(`
+          id,
+          series_id,
+          title,
+          location,
+          start_date,
+          end_date,
+          status,
+          cancellation_reason,
+          is_override,
+          occurrence_start,
+          max_participants,
+          registrations:event_registrations(count)
+        `)
+        .in('series_id', lineage)
+        .order('start_date', { ascending: true }),
+      supabase.auth.getUser()
+    ])
+
+    if (error || !series) {
+      return { error: 'Event series not found', status: 404 }
+    }
+
+    let registration = null
+    if (user) {
+      const { data } = await supabase
+        .from('event_series_registrations')
+        .select('id, series_id, status, registered_at')
+        .in('series_id', lineage)
+        .eq('user_id', user.id)
+        .eq('status', 'active')
+        .limit(1)
+      registration = data?.[0] || null
+    }
+
+    return {
+      data: { series, lineage: lineageSeries || [], occurrences: occurrences || [], registration },
+      status: 200
+    }
+  } catch (error) {
+    console.error('Error getting event series:', error)
+    return { error: 'Failed to load event series', status: 500 }
+  }
+}
+
+/**
+ * Register for a whole series: every upcoming occurrence now, and any added later.
+ * Full occurrences put the user on their waitlist.
+ * @param {string} seriesId - Any series in the lineage
+ * @returns {Object} Result object with { confirmed, waitlisted } occurrence counts
+ */
+export async function registerForEventSeries(seriesId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user, profile } = authResult
+    const lineage = await getSeriesLineage(seriesId)
+    const currentId = lineage[lineage.length - 1]
+
+    const { data: series } = await supabase
+      .from('event_series')
+      .select('id, title, template')
+      .eq('id', currentId)
+      .single()
+
+    if (!series) {
+      return { error: 'Event series not found', status: 404 }
+    }
+
+    const audience = series.template?.target_audience
+    if (audience?.length && !audience.includes('all') && !audience.includes(profile?.role)) {
+      return { error: 'This event is not open to your user type', status: 403 }
+    }
+
+    const { data: registrations, error } = await supabase.rpc('join_event_series', { target_series_id: currentId })
+    if (error) throw error
+
+    const waitlisted = (registrations || []).filter((r) => r.status === 'waitlisted').length
+
+    await logActivity(user.id, 'event_series_registered', {
+      series_id: currentId,
+      occurrences: registrations?.length || 0
+    })
+
+    return {
+      data: { confirmed: (registrations?.length || 0) - waitlisted, waitlisted },
+      status: 201
+    }
+  } catch (error) {
+    console.error('Error registering for event series:', error)
+    return { error: 'Failed to register for series', status: 500 }
+  }
+}
+
+/**
+ * Leave a series: cancels the series registration and the user's upcoming occurrence registrations,
+ * handing freed seats to each occurrence's waitlist
+ * @param {string} seriesId - Any series in the lineage
+ * @returns {Object} Result object with the number of cancelled occurrence registrations
+ */
+export async function leaveEventSeries(seriesId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+    const lineage = await getSeriesLineage(seriesId)
+    const now = new Date().toISOString()
+
+    const { error: seriesError } = await supabase
+      .from('event_series_registrations')
+      .update({ status: 'cancelled', cancelled_at: now })
+      .in('series_id', lineage)
+      .eq('user_id', user.id)
+      .eq('status', 'active')
+
+    if (seriesError) throw seriesError
+
+    const { data: upcoming } = await supabase
+      .from('events')
+      .select('id, title')
+      .in('series_id', lineage)
+      .gt('start_date', now)
+
+    const eventsById = new Map((upcoming || []).map((event) => [event.id, event]))
+    if (!eventsById.size) {
+      return { data: { cancelled: 0 }, status: 200 }
+    }
+
+    const { data: registrations } = await supabase
+      .from('event_registrations')
+      .select('id, event_id, status')
+      .in('event_id', [...eventsById.keys()])
+      .eq('user_id', user.id)
+      .in('status', ACTIVE_REGISTRATION_STATUSES)
+
+    const cancelled = registrations || []
+    if (cancelled.length) {
+      const { error } = await supabase
+        .from('event_registrations')
+        .update({ status: 'cancelled', cancelled_at: now })
+        .in('id', cancelled.map((r) => r.id))
+
+      if (error) throw error
+    }
+
+    for (const registration of cancelled.filter((r) => SEAT_STATUSES.includes(r.status))) {
+      await promoteWaitlist(eventsById.get(registration.event_id))
+    }
+
+    await logActivity(user.id, 'event_series_left', { series_id: seriesId, cancelled: cancelled.length })
+
+    return { data: { cancelled: cancelled.length }, status: 200 }
+  } catch (error) {
+    console.error('Error leaving event series:', error)
+    return { error: 'Failed to leave series', status: 500 }
+  }
+}
+
+/**
+ * Cancel a single occurrence. Registrations are kept so it can be restored; calendar feeds show it cancelled.
+ * @param {string} eventId - Occurrence ID
+ * @param {string} reason - Shown to registrants
+ * @returns {Object} Result object with the updated occurrence
+ */
+export async function cancelOccurrence(eventId, reason = '') {
+  try {
+    const managed = await getManagedOccurrence(eventId)
+    if (managed.error) return managed
+
+    const { user, occurrence } = managed
+
+    if (occurrence.status === 'cancelled') {
+      return { error: 'This occurrence is already cancelled', status: 400 }
+    }
+
+    const { data, error } = await supabase
+      .from('events')
+      .update({ status: 'cancelled', cancellation_reason: reason || null, cancelled_at: new Date().toISOString() })
+      .eq('id', eventId)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    const date = new Date(occurrence.start_date).toLocaleDateString('en-US', { dateStyle: 'medium', timeZone: occurrence.series.timezone })
+    await notifyRegistrants([eventId], {
+      type: 'event_cancelled',
+      title: 'Event cancelled',
+      content: `"${occurrence.title}" on ${date} has been cancelled${reason ? `: ${reason}` : ''}. Other dates in the series are unchanged.`,
+      related_id: eventId
+    }, user.id)
+
+    await logActivity(user.id, 'event_occurrence_cancelled', { event_id: eventId, series_id: occurrence.series_id })
+
+    return { data, status: 200 }
+  } catch (error) {
+    console.error('Error cancelling occurrence:', error)
+    return { error: 'Failed to cancel occurrence', status: 500 }
+  }
+}
+
+/**
+ * Put a cancelled occurrence back on
+ * @param {string} eventId - Occurrence ID
+ * @returns {Object} Result object with the updated occurrence
+ */
+export async function restoreOccurrence(eventId) {
+  try {
+    const managed = await getManagedOccurrence(eventId)
+    if (managed.error) return managed
+
+    const { user, occurrence } = managed
+
+    if (occurrence.status !== 'cancelled') {
+      return { error: 'This occurrence is not cancelled', status: 400 }
+    }
+
+    if (new Date(occurrence.start_date) <= new Date()) {
+      return { error: 'This occurrence has already passed', status: 400 }
+    }
+
+    const { data, error } = await supabase
+      .from('events')
+      .update({ status: 'active', cancellation_reason: null, cancelled_at: null })
+      .eq('id', eventId)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    const date = new Date(occurrence.start_date).toLocaleDateString('en-US', { dateStyle: 'medium', timeZone: occurrence.series.timezone })
+    await notifyRegistrants([eventId], {
+      type: 'event_updated',
+      title: 'Event back on',
+      content: `"${occurrence.title}" on ${date} is going ahead after all.`,
+      related_id: eventId
+    }, user.id)
+
+    await logActivity(user.id, 'event_occurrence_restored', { event_id: eventId, series_id: occurrence.series_id })
+
+    return { data, status: 200 }
+  } catch (error) {
+    console.error('Error restoring occurrence:', error)
+    return { error: 'Failed to restore occurrence', status: 500 }
+  }
+}
+
+/**
+ * Edit one occurrence ('this') or this and every later occurrence ('future').
+ * 'this' marks the occurrence as an override. 'future' splits the series at this occurrence: the
+ * earlier half ends just before it and a new series (optionally with a new rule) takes over. Later
+ * occurrences are moved onto the new series in order, keeping their registrations and cancellations;
+ * their one-off changes are replaced by the edit. Occurrences the new rule no longer produces are
+ * deleted, or cancelled when people are registered.
+ * @param {string} eventId - Occurrence ID
+ * @param {Object} updates - Event fields; start_date / end_date / registration_deadline move the edited occurrence
+ * @param {Object} options - { scope: 'this' | 'future', rrule } where rrule replaces the rule from here on
+ * @returns {Object} Result object with the updated occurrence (and the new series for 'future')
+ */
+export async function updateOccurrence(eventId, updates, { scope = 'this', rrule } = {}) {
+  try {
+    const managed = await getManagedOccurrence(eventId)
+    if (managed.error) return managed
+
+    const { user, occurrence } = managed
+    const series = occurrence.series
+    const template = pickTemplate(updates)
+
+    const start = new Date(updates.start_date || occurrence.start_date)
+    const end = updates.end_date !== undefined ? updates.end_date : occurrence.end_date
+    if (end && new Date(end) <= start) {
+      return { error: 'The event must end after it starts', status: 400 }
+    }
+
+    const timingChanged = start.getTime() !== new Date(occurrence.start_date).getTime() ||
+      (end ? new Date(end).getTime() : null) !== (occurrence.end_date ? new Date(occurrence.end_date).getTime() : null) ||
+      (template.location !== undefined && template.location !== occurrence.location)
+
+    if (scope === 'this') {
+      const { data, error } = await supabase
+        .from('events')
+        .update({
+          ...template,
+          start_date: start.toISOString(),
+          end_date: end ? new Date(end).toISOString() : null,
+          ...(updates.registration_deadline !== undefined
+            ? { registration_deadline: updates.registration_deadline ? new Date(updates.registration_deadline).toISOString() : null }
+            : {}),
+          is_override: true
+        })
+        .eq('id', eventId)
+        .select()
+        .single()
+
+      if (error) throw error
+
+      if (timingChanged) {
+        await notifyRegistrants([eventId], {
+          type: 'event_updated',
+          title: 'Event updated',
+          content: `The time or place of "${data.title}" has changed. Other dates in the series are unchanged.`,
+          related_id: eventId
+        }, user.id)
+      }
+
+      await logActivity(user.id, 'event_occurrence_updated', { event_id: eventId, series_id: series.id, scope })
+
+      return { data: { occurrence: data }, status: 200 }
+    }
+
+    if (scope !== 'future') {
+      return { error: 'Choose this event or this and all future events', status: 400 }
+    }
+
+    const rule = parseRRule(series.recurrence_rule)
+    const newRule = rrule ? parseRRule(rrule) : null
+    if (rrule && !newRule) {
+      return { error: 'Invalid recurrence rule', status: 400 }
+    }
+
+    // An untouched start keeps the series pattern, even if this occurrence was moved on its own before
+    const splitAt = new Date(occurrence.occurrence_start || occurrence.start_date)
+    const startsAt = updates.start_date && start.getTime() !== new Date(occurrence.start_date).getTime() ? start : splitAt
+    const isFirst = splitAt <= new Date(series.starts_at)
+    const { before, after } = splitRule(rule, series.starts_at, series.timezone, splitAt)
+
+    const nextSeries = {
+      organizer_id: series.organizer_id,
+      title: template.title || series.title,
+      recurrence_rule: formatRRule(newRule || after),
+      timezone: series.timezone,
+      starts_at: startsAt.toISOString(),
+      duration_minutes: updates.end_date !== undefined
+        ? (end ? minutesBetween(start, end) : null)
+        : series.duration_minutes,
+      registration_lead_minutes: updates.registration_deadline !== undefined
+        ? (updates.registration_deadline ? Math.max(minutesBetween(updates.registration_deadline, start), 0) : null)
+        : series.registration_lead_minutes,
+      template: { ...series.template, ...template },
+      previous_series_id: isFirst ? series.previous_series_id : series.id
+    }
+
+    const starts = expandOccurrences(newRule || after, startsAt, series.timezone, { limit: MAX_OCCURRENCES + 1 })
+    if (!starts.length) {
+      return { error: 'The new rule has no occurrences from this date', status: 400 }
+    }
+    if (starts.length > MAX_OCCURRENCES) {
+      return { error: `A series can have at most ${MAX_OCCURRENCES} occurrences`, status: 400 }
+    }
+
+    const { data: created, error: seriesError } = await supabase
+      .from('event_series')
+      .insert(nextSeries)
+      .select()
+      .single()
+
+    if (seriesError) throw seriesError
+
+    // Meeting links saved for the whole series carry over to dates created from here on
+    await copySeriesJoinLinks(series.id, created.id)
+
+    // Series registrants stay registered for the rest of the series
+    const { data: seriesRegistrations } = await supabase
+      .from('event_series_registrations')
+      .select('user_id, registered_at')
+      .eq('series_id', series.id)
+      .eq('status', 'active')
+
+    if (seriesRegistrations?.length) {
+      const { error } = await supabase
+        .from('event_series_registrations')
+        .insert(seriesRegistrations.map((r) => ({ series_id: created.id, user_id: r.user_id, registered_at: r.registered_at })))
+      if (error) throw error
+    }
+
+    const { data: later } = await supabase
+      .from('events')
+      .select('id, start_date, status, registrations:event_registrations(count)')
+      .eq('series_id', series.id)
+      .gte('occurrence_start', splitAt.toISOString())
+      .order('occurrence_start', { ascending: true })
+
+    const rows = later || []
+    const moved = []
+    for (let i = 0; i < Math.min(rows.length, starts.length); i++) {
+      const { error } = await supabase
+        .from('events')
+        .update({
+          ...created.template,
+          ...occurrenceTimes(created, starts[i]),
+          series_id: created.id,
+          occurrence_start: starts[i].toISOString(),
+          is_override: false
+        })
+        .eq('id', rows[i].id)
+      if (error) throw error
+      moved.push(rows[i].id)
+    }
+
+    const dropped = rows.slice(starts.length)
+    const emptyIds = dropped.filter((row) => !row.registrations?.[0]?.count).map((row) => row.id)
+    const attendedIds = dropped.filter((row) => row.registrations?.[0]?.count).map((row) => row.id)
+
+    if (emptyIds.length) {
+      await supabase.from('events').delete().in('id', emptyIds)
+    }
+    if (attendedIds.length) {
+      await supabase
+        .from('events')
+        .update({
+          status: 'cancelled',
+          cancellation_reason: 'No longer part of the series',
+          cancelled_at: new Date().toISOString(),
+          series_id: null,
+          occurrence_start: null
+        })
+        .in('id', attendedIds)
+    }
+
+    if (starts.length > rows.length) {
+      const { error } = await supabase
+        .from('events')
+        .insert(starts.slice(rows.length).map((s) => occurrenceRow(created, s)))
+      if (error) throw error
+    }
+
+    if (isFirst) {
+      // Nothing is left before the edit, so the new series replaces the old one outright
+      await supabase.from('event_series').update({ previous_series_id: created.id }).eq('previous_series_id', series.id)
+      await supabase.from('event_series').delete().eq('id', series.id)
+    } else {
+      await supabase.from('event_series').update({ recurrence_rule: formatRRule(before) }).eq('id', series.id)
+    }
+
+    await notifyRegistrants([...moved, ...attendedIds], {
+      type: 'event_updated',
+      title: 'Event series updated',
+      content: `Upcoming dates of "${created.title}" have changed${attendedIds.length ? ` and ${attendedIds.length} date${attendedIds.length === 1 ? ' was' : 's were'} cancelled` : ''}. Check the series for the new schedule.`,
+      related_id: eventId
+    }, user.id)
+
+    await logActivity(user.id, 'event_occurrence_updated', {
+      event_id: eventId,
+      series_id: created.id,
+      previous_series_id: series.id,
+      scope
+    })
+
+    const { data: updated } = await supabase.from('events').select('*').eq('id', eventId).single()
+
+    return { data: { occurrence: updated, series: created }, status: 200 }
+  } catch (error) {
+    console.error('Error updating occurrence:', error)
+    return { error: 'Failed to update event', status: 500 }
+  }
+}
@@ -1,5 +1,6 @@
 import { supabase } from '@/lib/supabase'
 import { requireAuth, sendNotification, logActivity } from './auth'
+import { registrationFunnel, roleBreakdown, summariseFeedback } from '@/lib/eventAnalytics'
 
 /**
  * Get all events with optional filtering
@@ -407,90 +408,33 @@ export async function unregisterFromEvent(eventId) {
 }
 
 /**
- * Apply to pitch at event
+ * Apply to pitch at event. Answers are validated against the event's application form on the server.
  * @param {string} eventId - Event ID
- * @param {Object} applicationData - Application data
- * @returns {Object} Result object
+ * @param {Object} applicationData - { answers, pitchDeckUrl }
+ * @returns {Object} Result object; validation failures include per-field `errors`
  */
-export async function applyToPitchEvent(eventId, applicationData) {
+export async function applyToPitchEvent(eventId, { answers = {}, pitchDeckUrl = null } = {}) {
   try {
     const authResult = await requireAuth(['startup'])
     if (authResult.error) {
       return { error: authResult.error, status: authResult.status }
     }
 
-    const { user } = authResult
-
-    // Get startup profile
-    const { data: startup } = await supabase
-      .from('startup_profiles')
-      .select('id')
-      .eq('user_id', user.id)
-      .single()
-
-    if (!startup) {
-      return { error: 'Startup profile not found', status: 404 }
-    }
-
-    // Check if event exists and is a pitch event
-    const { data: event } = await supabase
-      .from('events')
-      .select('*')
-      .eq('id', eventId)
-      .eq('event_type', 'pitch')
-      .single()
-
-    if (!event) {
-      return { error: 'Pitch event not found', status: 404 }
-    }
-
-    if (event.status !== 'upcoming') {
-      return { error: 'Event is not accepting applications', status: 400 }
-    }
-
-    // Check if already applied
-    const { data: existing } = await supabase
-      .from('event_registrations')
-      .select('id')
-      .eq('event_id', eventId)
-      .eq('startup_id', startup.id)
-      .eq('registration_type', 'pitch_application')
-      .single()
-
-    if (existing) {
-      return { error: 'Already applied to this pitch event', status: 400 }
-    }
-
-    const { data, error } = await supabase
-      .from('event_registrations')
-      .insert({
-        event_id: eventId,
-        user_id: user.id,
-        startup_id: startup.id,
-        registration_type: 'pitch_application',
-        application_data: applicationData,
-        status: 'pending'
-      })
-      .select()
-      .single()
-
-    if (error) throw error
-
-    // Send notification to event organizer
-    await sendNotification(event.organizer_id, {
-      type: 'pitch_application',
-      title: 'New Pitch Application',
-      message: `A startup applied to pitch at your event: ${event.title}`,
-      metadata: { event_id: eventId, application_id: data.id, startup_id: startup.id }
+    const { data: { session } } = await supabase.auth.getSession()
+    const response = await fetch('/api/events/apply', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${session?.access_token}`
+      },
+      body: JSON.stringify({ eventId, answers, pitchDeckUrl })
     })
+    const json = await response.json().catch(() => ({}))
 
-    // Log activity
-    await logActivity(user.id, 'pitch_application_submitted', { 
-      event_id: eventId,
-      application_id: data.id 
-    })
-
-    return { data, status: 201 }
+    if (!response.ok) {
+      return { error: json.error || 'Failed to apply to pitch event', errors: json.errors, status: response.status }
+    }
+    return { data: json.data, status: response.status }
   } catch (error) {
     console.error('Error applying to pitch event:', error)
     return { error: 'Failed to apply to pitch event', status: 500 }
@@ -544,39 +488,124 @@ export async function getUserEventRegistrations(userId, filters = {}) {
 }
 
 /**
- * Get event statistics
+ * Get event statistics, including live check-in counts for the event day
  * @param {string} eventId - Event ID
  * @returns {Object} Event statistics
  */
 export async function getEventStats(eventId) {
   try {
-    const [registrationsResult, applicationsResult] = await Promise.all([
+    const [registrationsResult, applicationsResult, confirmedResult, checkedInResult] = await Promise.all([
       supabase
         .from('event_registrations')
         .select('id', { count: 'exact' })
         .eq('event_id', eventId)
         .eq('registration_type', 'attendee'),
       
+      supabase
+        .from('pitch_applications')
+        .select('id', { count: 'exact', head: true })
+        .eq('event_id', eventId),
+
       supabase
         .from('event_registrations')
-        .select('id', { count: 'exact' })
+        .select('id', { count: 'exact', head: true })
         .eq('event_id', eventId)
-        .eq('registration_type', 'pitch_application')
+        .in('status', ['confirmed', 'attended']),
+
+      supabase
+        .from('event_registrations')
+        .select('id', { count: 'exact', head: true })
+        .eq('event_id', eventId)
+        .not('checked_in_at', 'is', null)
     ])
 
+    const expected = confirmedResult.count || 0
+    const checkedIn = checkedInResult.count || 0
+
     return {
       totalRegistrations: registrationsResult.count || 0,
-      pitchApplications: applicationsResult.count || 0
+      pitchApplications: applicationsResult.count || 0,
+      expectedAttendees: expected,
+      checkedIn,
+      notCheckedIn: Math.max(expected - checkedIn, 0),
+      checkInRate: expected ? Math.round((checkedIn / expected) * 100) : 0
     }
   } catch (error) {
     console.error('Error getting event stats:', error)
     return {
       totalRegistrations: 0,
-      pitchApplications: 0
+      pitchApplications: 0,
+      expectedAttendees: 0,
+      checkedIn: 0,
+      notCheckedIn: 0,
+      checkInRate: 0
     }
   }
 }
 
+/**
+ * Organizer analytics for one event: getEventStats plus the registration funnel, show-up rate,
+ * attendee roles, connections made between attendees and the feedback summary
+ * @param {string} eventId - Event ID
+ * @returns {Object} Result object with { event, stats, funnel, roles, connections, feedback }
+ */
+export async function getEventAnalytics(eventId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { data: event } = await supabase
+      .from('events')
+      .select('id, title, event_type, start_date, end_date, status, organizer_id, max_participants, feedback_questions')
+      .eq('id', eventId)
+      .single()
+
+    if (!event) {
+      return { error: 'Event not found', status: 404 }
+    }
+
+    if (event.organizer_id !== authResult.user.id && authResult.profile.role !== 'admin') {
+      return { error: 'Only the event organizer can view analytics', status: 403 }
+    }
+
+    const [stats, registrationsResult, connectionsResult, feedbackResult] = await Promise.all([
+      getEventStats(eventId),
+      supabase
+        .from('event_registrations')
+        .select('status, waitlisted_at, checked_in_at, user:profiles!event_registrations_user_id_fkey(role)')
+        .eq('event_id', eventId),
+      supabase.rpc('count_attendee_connections', { target_event_id: eventId }),
+      supabase
+        .from('event_feedback')
+        .select('rating, nps, comment, answers, created_at')
+        .eq('event_id', eventId)
+    ])
+
+    if (registrationsResult.error) throw registrationsResult.error
+    if (feedbackResult.error) throw feedbackResult.error
+
+    const registrations = registrationsResult.data || []
+    const questions = event.feedback_questions || []
+
+    return {
+      data: {
+        event: { ...event, feedback_questions: questions },
+        stats,
+        funnel: registrationFunnel(registrations),
+        roles: roleBreakdown(registrations),
+        connections: connectionsResult.data ?? 0,
+        feedback: summariseFeedback(questions, feedbackResult.data || [])
+      },
+      status: 200
+    }
+  } catch (error) {
+    console.error('Error getting event analytics:', error)
+    return { error: 'Failed to load event analytics', status: 500 }
+  }
+}
+
 /**
  * Search events with advanced filters
  * @param {Object} searchParams - Search parameters
@@ -0,0 +1,428 @@
+import { supabase } from '@/lib/supabase'
+import { requireAuth, logActivity } from './auth'
+
+export const ROUND_INSTRUMENTS = [
+  { value: 'safe', label: 'SAFE' },
+  { value: 'priced', label: 'Priced equity' },
+  { value: 'convertible_note', label: 'Convertible note' }
+]
+
+export const ROUND_STATUSES = ['planned', 'open', 'closed']
+
+const ROUND_SELECT = `
+  *,
+  commitments:funding_round_commitments(
+    id, investor_id, investor_name, amount, committed_at, is_lead, confirmed_at,
+    investor:profiles!investor_id(id, full_name, avatar_url)
+  )
+`
+
+const NUMERIC_FIELDS = ['target_amount', 'pre_money_valuation', 'option_pool_increase', 'valuation_cap', 'discount_rate', 'interest_rate']
+
+/**
+ * Validate and normalise round fields from the editor.
+ * Returns { round } or { error }.
+ */
+function normaliseRound(roundData) {
+  const round = {}
+  for (const key of ['name', 'instrument', 'status', 'close_date', 'is_public', ...NUMERIC_FIELDS]) {
+    if (roundData[key] === undefined) continue
+    round[key] = roundData[key] === '' ? null : roundData[key]
+  }
+  for (const key of NUMERIC_FIELDS) {
+    if (round[key] === undefined || round[key] === null) continue
+    const n = Number(round[key])
+    if (!Number.isFinite(n) || n < 0) return { error: `${key.replace(/_/g, ' ')} must be a positive number` }
+    round[key] = n
+  }
+
+  if (round.name !== undefined && !round.name?.trim()) return { error: 'Round name is required' }
+  if (round.instrument !== undefined && !ROUND_INSTRUMENTS.some((i) => i.value === round.instrument)) {
+    return { error: 'Invalid instrument type' }
+  }
+  if (round.status !== undefined && !ROUND_STATUSES.includes(round.status)) return { error: 'Invalid round status' }
+  if (round.discount_rate !== undefined && round.discount_rate !== null && round.discount_rate >= 1) {
+    return { error: 'Discount must be below 100%' }
+  }
+  if (round.name) round.name = round.name.trim()
+
+  return { round }
+}
+
+/**
+ * Keep the startup_profiles summary fields in line with the confirmed commitments of closed rounds
+ */
+async function syncFundingRaised(startupId) {
+  const { data: rounds } = await supabase
+    .from('funding_rounds')
+    .select('status, commitments:funding_round_commitments(amount, confirmed_at)')
+    .eq('startup_id', startupId)
+    .eq('status', 'closed')
+
+  const raised = (rounds || []).reduce(
+    (sum, r) => sum + (r.commitments || [])
+      .filter((c) => c.confirmed_at)
+      .reduce((s, c) => s + Number(c.amount || 0), 0),
+    0
+  )
+
+  await supabase
+    .from('startup_profiles')
+    .update({ funding_raised: raised })
+    .eq('user_id', startupId)
+}
+
+/**
+ * Get a startup's funding rounds with commitments
+ * @param {string} startupId - Startup user ID
+ * @returns {Object} Result object
+ */
+export async function getFundingRounds(startupId) {
+  try {
+    const { data, error } = await supabase
+      .from('funding_rounds')
+      .select(ROUND_SELECT)
+      .eq('startup_id', startupId)
+      .order('close_date', { ascending: true, nullsFirst: false })
+
+    if (error) throw error
+
+    return {
+      data: (data || []).map((r) => ({
+        ...r,
+        commitments: (r.commitments || []).map((c) => ({
+          ...c,
+          investor_name: c.investor?.full_name || c.investor_name
+        }))
+      })),
+      status: 200
+    }
+  } catch (error) {
+    console.error('Error getting funding rounds:', error)
+    return { error: 'Failed to load funding rounds', status: 500 }
+  }
+}
+
+/**
+ * Create a funding round for the current startup
+ * @param {Object} roundData - Round fields
+ * @returns {Object} Result object
+ */
+export async function createFundingRound(roundData) {
+  try {
+    const authResult = await requireAuth(['startup'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { round, error: validationError } = normaliseRound(roundData)
+    if (validationError) {
+      return { error: validationError, status: 400 }
+    }
+    if (!round.name || !round.instrument) {
+      return { error: 'Round name and instrument are required', status: 400 }
+    }
+
+    const { data, error } = await supabase
+      .from('funding_rounds')
+      .insert({ ...round, startup_id: authResult.user.id })
+      .select(ROUND_SELECT)
+      .single()
+
+    if (error) throw error
+
+    await logActivity(authResult.user.id, 'funding_round_created', { round_id: data.id, instrument: data.instrument })
+
+    return { data, status: 201 }
+  } catch (error) {
+    console.error('Error creating funding round:', error)
+    return { error: 'Failed to create funding round', status: 500 }
+  }
+}
+
+/**
+ * Update a funding round
+ * @param {string} roundId - Round ID
+ * @param {Object} updates - Fields to update
+ * @returns {Object} Result object
+ */
+export async function updateFundingRound(roundId, updates) {
+  try {
+    const authResult = await requireAuth(['startup'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { round, error: validationError } = normaliseRound(updates)
+    if (validationError) {
+      return { error: validationError, status: 400 }
+    }
+
+    const { data, error } = await supabase
+      .from('funding_rounds')
+      .update(round)
+      .eq('id', roundId)
+      .eq('startup_id', authResult.user.id)
+      .select(ROUND_SELECT)
+      .single()
+
+    if (error) throw error
+
+    await syncFundingRaised(authResult.user.id)
+
+    return { data, status: 200 }
+  } catch (error) {
+    console.error('Error updating funding round:', error)
+    return { error: 'Failed to update funding round', status: 500 }
+  }
+}
+
+/**
+ * Delete a funding round and its commitments
+ * @param {string} roundId - Round ID
+ * @returns {Object} Result object
+ */
+export async function deleteFundingRound(roundId) {
+  try {
+    const authResult = await requireAuth(['startup'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { error } = await supabase
+      .from('funding_rounds')
+      .delete()
+      .eq('id', roundId)
+      .eq('startup_id', authResult.user.id)
+
+    if (error) throw error
+
+    await syncFundingRaised(authResult.user.id)
+
+    return { data: { id: roundId }, status: 200 }
+  } catch (error) {
+    console.error('Error deleting funding round:', error)
+    return { error: 'Failed to delete funding round', status: 500 }
+  }
+}
+
+/**
+ * Record an investor's commitment to a round. Commitments naming a platform investor count only once
+ * that investor confirms them (see respondToRoundCommitment).
+ * @param {string} roundId - Round ID
+ * @param {Object} commitment - { investorId, investorName, amount, committedAt, isLead }
+ * @returns {Object} Result object
+ */
+export async function addRoundCommitment(roundId, { investorId = null, investorName = '', amount, committedAt = null, isLead = false }) {
+  try {
+    const authResult = await requireAuth(['startup'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const value = Number(amount)
+    if (!Number.isFinite(value) || value <= 0) {
+      return { error: 'Commitment amount must be greater than zero', status: 400 }
+    }
+    if (!investorId && !investorName.trim()) {
+      return { error: 'Choose an investor or enter a name', status: 400 }
+    }
+
+    const { data: round } = await supabase
+      .from('funding_rounds')
+      .select('id')
+      .eq('id', roundId)
+      .eq('startup_id', authResult.user.id)
+      .maybeSingle()
+
+    if (!round) {
+      return { error: 'Funding round not found', status: 404 }
+    }
+
+    const { data, error } = await supabase
+      .from('funding_round_commitments')
+      .insert({
+        round_id: roundId,
+        investor_id: investorId,
+        investor_name: investorName.trim() || null,
+        amount: value,
+        committed_at: committedAt || new Date().toISOString().slice(0, 10),
+        is_lead: isLead
+      })
+      .select('id, investor_id, investor_name, amount, committed_at, is_lead, confirmed_at, investor:profiles!investor_id(id, full_name, avatar_url)')
+      .single()
+
+    if (error) throw error
+
+    await syncFundingRaised(authResult.user.id)
+
+    return { data: { ...data, investor_name: data.investor?.full_name || data.investor_name }, status: 201 }
+  } catch (error) {
+    console.error('Error adding round commitment:', error)
+    return { error: 'Failed to add commitment', status: 500 }
+  }
+}
+
+/**
+ * Remove a commitment from a round
+ * @param {string} commitmentId - Commitment ID
+ * @returns {Object} Result object
+ */
+export async function removeRoundCommitment(commitmentId) {
+  try {
+    const authResult = await requireAuth(['startup'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { error } = await supabase
+      .from('funding_round_commitments')
+      .delete()
+      .eq('id', commitmentId)
+
+    if (error) throw error
+
+    await syncFundingRaised(authResult.user.id)
+
+    return { data: { id: commitmentId }, status: 200 }
+  } catch (error) {
+    console.error('Error removing round commitment:', error)
+    return { error: 'Failed to remove commitment', status: 500 }
+  }
+}
+
+/**
+ * Commitments with their round and the startup's company details
+ * @param {Object[]} commitments - Rows selected with `round:funding_rounds!round_id(...)`
+ * @returns {Promise<Object[]>}
+ */
+async function withCompanies(commitments) {
+  const startupIds = Array.from(new Set((commitments || []).map((c) => c.round?.startup_id).filter(Boolean)))
+  const { data: companies } = startupIds.length
+    ? await supabase
+        .from('startup_profiles')
+        .select('user_id, company_name, slug, logo_url')
+        .in('user_id', startupIds)
+    : { data: [] }
+  const companyByUser = new Map((companies || []).map((c) => [c.user_id, c]))
+
+  return (commitments || [])
+    .filter((c) => c.round)
+    .map((c) => ({ ...c, company: companyByUser.get(c.round.startup_id) || null }))
+}
+
+/**
+ * Rounds an investor has confirmed commitments to, for their profile
+ * @param {string} investorId - Investor user ID
+ * @returns {Object} Result object
+ */
+export async function getInvestorParticipation(investorId) {
+  try {
+    const { data, error } = await supabase
+      .from('funding_round_commitments')
+      .select(`
+        id, amount, committed_at, is_lead,
+        round:funding_rounds!round_id(id, name, instrument, status, close_date, startup_id)
+      `)
+      .eq('investor_id', investorId)
+      .not('confirmed_at', 'is', null)
+      .order('committed_at', { ascending: false })
+
+    if (error) throw error
+
+    return { data: await withCompanies(data), status: 200 }
+  } catch (error) {
+    console.error('Error getting investor participation:', error)
+    return { error: 'Failed to load investments', status: 500 }
+  }
+}
+
+/**
+ * Commitments founders recorded for the current investor that still await confirmation
+ * @returns {Object} Result object
+ */
+export async function getPendingRoundCommitments() {
+  try {
+    const authResult = await requireAuth(['investor'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { data, error } = await supabase
+      .from('funding_round_commitments')
+      .select(`
+        id, amount, committed_at, is_lead,
+        round:funding_rounds!round_id(id, name, instrument, status, close_date, startup_id)
+      `)
+      .eq('investor_id', authResult.user.id)
+      .is('confirmed_at', null)
+      .order('committed_at', { ascending: false })
+
+    if (error) throw error
+
+    return { data: await withCompanies(data), status: 200 }
+  } catch (error) {
+    console.error('Error getting pending round commitments:', error)
+    return { error: 'Failed to load pending commitments', status: 500 }
+  }
+}
+
+/**
+ * Confirm a commitment recorded under the current investor, or decline it (which removes it)
+ * @param {string} commitmentId - Commitment ID
+ * @param {boolean} accept - Whether the investor confirms the commitment
+ * @returns {Object} Result object
+ */
+export async function respondToRoundCommitment(commitmentId, accept) {
+  try {
+    const authResult = await requireAuth(['investor'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { data, error } = await supabase.rpc('respond_to_round_commitment', {
+      target_commitment_id: commitmentId,
+      accept: Boolean(accept)
+    })
+
+    if (error?.code === 'P0002') {
+      return { error: 'Commitment not found', status: 404 }
+    }
+    if (error) throw error
+
+    await logActivity(authResult.user.id, accept ? 'round_commitment_confirmed' : 'round_commitment_declined', {
+      commitment_id: commitmentId
+    })
+
+    return { data, status: 200 }
+  } catch (error) {
+    console.error('Error responding to round commitment:', error)
+    return { error: 'Failed to update commitment', status: 500 }
+  }
+}
+
+/**
+ * Platform investors the current startup can record commitments from (those it has sent requests to)
+ * @returns {Object} Result object
+ */
+export async function getRoundInvestorOptions() {
+  try {
+    const authResult = await requireAuth(['startup'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { data, error } = await supabase
+      .from('investment_requests')
+      .select('investor:profiles!investor_id(id, full_name)')
+      .eq('startup_id', authResult.user.id)
+      .neq('status', 'cancelled')
+
+    if (error) throw error
+
+    return { data: (data || []).map((r) => r.investor).filter(Boolean), status: 200 }
+  } catch (error) {
+    console.error('Error getting round investor options:', error)
+    return { error: 'Failed to load investors', status: 500 }
+  }
+}
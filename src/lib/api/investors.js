@@ -1,5 +1,12 @@
 import { supabase } from '@/lib/supabase'
 import { requireAuth, sendNotification, logActivity } from './auth'
+import { getRecommendationFeedback, getRecommendationProfiles, toFeedbackSignals } from './recommendations'
+import { buildPortfolio } from './portfolio'
+import hybridRecommendation from '@/app/recommendation_engine/hybridRecommendation'
+import graphRecommendation from '@/app/recommendation_engine/graphRecommendation'
+
+const { toProfileFeatures, peerSimilarity } = hybridRecommendation
+const { feedbackAdjustment } = graphRecommendation
 
 /**
  * Get all investors with optional filtering
@@ -331,7 +338,7 @@ export async function createPitchEvent(eventData) {
       .from('events')
       .insert({
         organizer_id: user.id,
-        event_type: 'pitch',
+        event_type: 'pitch_event',
         ...eventData
       })
       .select()
@@ -356,7 +363,7 @@ export async function createPitchEvent(eventData) {
  */
 export async function getPitchEventApplications(eventId) {
   try {
-    const authResult = await requireAuth(['investor', 'admin'])
+    const authResult = await requireAuth()
     if (authResult.error) {
       return { error: authResult.error, status: authResult.status }
     }
@@ -375,7 +382,7 @@ export async function getPitchEventApplications(eventId) {
     }
 
     const { data, error } = await supabase
-      .from('event_registrations')
+      .from('pitch_applications')
       .select(`
         *,
         startup:startup_profiles!inner(
@@ -385,8 +392,7 @@ export async function getPitchEventApplications(eventId) {
         )
       `)
       .eq('event_id', eventId)
-      .eq('registration_type', 'pitch_application')
-      .order('created_at', { ascending: false })
+      .order('applied_at', { ascending: false })
 
     if (error) throw error
     return data || []
@@ -405,7 +411,7 @@ export async function getPitchEventApplications(eventId) {
  */
 export async function reviewPitchApplication(applicationId, status, feedback = '') {
   try {
-    const authResult = await requireAuth(['investor', 'admin'])
+    const authResult = await requireAuth()
     if (authResult.error) {
       return { error: authResult.error, status: authResult.status }
     }
@@ -414,13 +420,14 @@ export async function reviewPitchApplication(applicationId, status, feedback = '
 
     // Get application details
     const { data: application } = await supabase
-      .from('event_registrations')
+      .from('pitch_applications')
       .select(`
         *,
         event:events!inner(
           title,
           start_date,
-          event_type
+          event_type,
+          organizer_id
         )
       `)
       .eq('id', applicationId)
@@ -437,7 +444,7 @@ export async function reviewPitchApplication(applicationId, status, feedback = '
 
     // Update application status
     const { data, error } = await supabase
-      .from('event_registrations')
+      .from('pitch_applications')
       .update({
         status,
         review_feedback: feedback,
@@ -460,14 +467,10 @@ export async function reviewPitchApplication(applicationId, status, feedback = '
     if (startup) {
       // Send notification to startup
       await sendNotification(startup.user_id, {
-        type: 'pitch_application_reviewed',
+        type: 'application_status',
         title: `Pitch Application ${status === 'accepted' ? 'Accepted' : 'Rejected'}`,
-        message: `Your pitch application has been ${status}`,
-        metadata: { 
-          application_id: applicationId, 
-          event_id: application.event_id,
-          status 
-        }
+        content: `Your pitch application for ${application.event.title} has been ${status}`,
+        related_id: application.event_id
       })
     }
 
@@ -491,7 +494,7 @@ export async function reviewPitchApplication(applicationId, status, feedback = '
  */
 export async function getInvestorStats(investorId) {
   try {
-    const [inquiriesResult, eventsResult, viewsResult] = await Promise.all([
+    const [inquiriesResult, eventsResult, viewsResult, portfolio] = await Promise.all([
       supabase
         .from('connections')
         .select('id', { count: 'exact' })
@@ -508,20 +511,28 @@ export async function getInvestorStats(investorId) {
         .from('profile_views')
         .select('id', { count: 'exact' })
         .eq('profile_id', investorId)
-        .eq('profile_type', 'investor')
+        .eq('profile_type', 'investor'),
+
+      buildPortfolio(investorId)
     ])
 
     return {
       inquiriesSent: inquiriesResult.count || 0,
       eventsCreated: eventsResult.count || 0,
-      views: viewsResult.count || 0
+      views: viewsResult.count || 0,
+      portfolioCompanies: portfolio.companies.length,
+      totalInvested: portfolio.companies.reduce((sum, c) => sum + c.invested, 0),
+      runwayAlerts: portfolio.companies.filter((c) => c.runwayAlert).length
     }
   } catch (error) {
     console.error('Error getting investor stats:', error)
     return {
       inquiriesSent: 0,
       eventsCreated: 0,
-      views: 0
+      views: 0,
+      portfolioCompanies: 0,
+      totalInvested: 0,
+      runwayAlerts: 0
     }
   }
 }
@@ -618,6 +629,8 @@ export async function searchInvestors(searchParams) {
 
 /**
  * Get recommended startups for investor
+ * Startups the investor dismissed are excluded; startups similar to saved ones rank higher
+ * and startups similar to dismissed / not-interested ones rank lower.
  * @param {string} investorId - Investor ID
  * @param {number} limit - Number of recommendations
  * @returns {Array} Array of recommended startups
@@ -627,7 +640,7 @@ export async function getRecommendedStartups(investorId, limit = 10) {
     // Get investor preferences
     const { data: investor } = await supabase
       .from('investor_profiles')
-      .select('sectors, investment_stages, min_ticket_size, max_ticket_size')
+      .select('user_id, sectors, investment_stage, ticket_size_min, ticket_size_max')
       .eq('id', investorId)
       .single()
 
@@ -635,6 +648,8 @@ export async function getRecommendedStartups(investorId, limit = 10) {
       return []
     }
 
+    const feedback = toFeedbackSignals(await getRecommendationFeedback(investor.user_id))
+
     let query = supabase
       .from('startup_profiles')
       .select(`
@@ -645,31 +660,56 @@ export async function getRecommendedStartups(investorId, limit = 10) {
           avatar_url
         )
       `)
-      .limit(limit)
+      // Over-fetch so that excluded startups don't leave the list short
+      .limit(limit * 2 + feedback.excludeIds.length)
 
     // Filter by investor preferences
     if (investor.sectors && investor.sectors.length > 0) {
       query = query.in('industry', investor.sectors)
     }
 
-    if (investor.investment_stages && investor.investment_stages.length > 0) {
-      query = query.in('stage', investor.investment_stages)
+    if (investor.investment_stage && investor.investment_stage.length > 0) {
+      query = query.in('funding_stage', investor.investment_stage)
     }
 
-    if (investor.min_ticket_size) {
-      query = query.gte('funding_goal', investor.min_ticket_size)
+    if (investor.ticket_size_min) {
+      query = query.gte('funding_goal', investor.ticket_size_min)
     }
 
-    if (investor.max_ticket_size) {
-      query = query.lte('funding_goal', investor.max_ticket_size)
+    if (investor.ticket_size_max) {
+      query = query.lte('funding_goal', investor.ticket_size_max)
     }
 
     const { data, error } = await query.order('created_at', { ascending: false })
     
     if (error) throw error
-    return data || []
+
+    const excluded = new Set(feedback.excludeIds)
+    const startups = (data || []).filter((s) => !excluded.has(s.user_id))
+
+    // Features of saved / rejected startups to compare against
+    const feedbackProfiles = await getRecommendationProfiles([...feedback.savedIds, ...feedback.rejectedIds])
+    const savedIds = new Set(feedback.savedIds)
+
+    // Stable sort: startups with equal feedback scores keep the newest-first order
+    return startups
+      .map((startup) => {
+        const features = toProfileFeatures('startup', startup)
+        const feedbackScore = feedbackAdjustment((otherId) => {
+          const other = feedbackProfiles.get(otherId)
+          return other && otherId !== startup.user_id ? peerSimilarity(features, other.features) : null
+        }, feedback)
+        return {
+          ...startup,
+          saved: savedIds.has(startup.user_id),
+          recommendation_source: 'preference_match',
+          feedback_score: feedbackScore
+        }
+      })
+      .sort((a, b) => b.feedback_score - a.feedback_score)
+      .slice(0, limit)
   } catch (error) {
     console.error('Error getting recommended startups:', error)
     return []
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,506 @@
+import { supabase } from '@/lib/supabase'
+import { requireAuth, sendNotification, logActivity } from './auth'
+import { rubricFor, normaliseRubric, validateScores, scorecardTotal, buildLeaderboard } from '@/lib/judging'
+
+const EVENT_SELECT = 'id, title, start_date, organizer_id, event_type, judging_rubric, results_published_at, application_form'
+
+const APPLICATION_SELECT = `
+  id, event_id, startup_id, pitch_deck_url, application_answers, status, applied_at, final_score, final_rank,
+  startup:startup_profiles(id, company_name, logo_url, stage, industry, user_id)
+`
+
+async function getPitchEvent(eventId) {
+  const { data: event } = await supabase
+    .from('events')
+    .select(EVENT_SELECT)
+    .eq('id', eventId)
+    .eq('event_type', 'pitch_event')
+    .single()
+  return event
+}
+
+async function getSubmittedScorecards(eventId) {
+  const { data, error } = await supabase
+    .from('pitch_scorecards')
+    .select('id, application_id, judge_id, scores, feedback, submitted_at, judge:profiles!judge_id(full_name)')
+    .eq('event_id', eventId)
+    .eq('status', 'submitted')
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Everything the judging screen needs. Organizers get the panel, progress and live leaderboard;
+ * judges get their own scorecards plus other judges' submitted cards for pitches they have scored.
+ * @param {string} eventId - Event ID
+ * @returns {Object} Result object with { event, rubric, role, judges, applications, scorecards, leaderboard }
+ */
+export async function getJudgingBoard(eventId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+    const event = await getPitchEvent(eventId)
+    if (!event) {
+      return { error: 'Pitch event not found', status: 404 }
+    }
+
+    const { data: judges, error: judgesError } = await supabase
+      .from('pitch_judges')
+      .select('id, judge_id, created_at, judge:profiles!judge_id(id, full_name, avatar_url, role)')
+      .eq('event_id', eventId)
+      .order('created_at', { ascending: true })
+
+    if (judgesError) throw judgesError
+
+    const isOrganizer = event.organizer_id === user.id
+    const isJudge = (judges || []).some((j) => j.judge_id === user.id)
+    if (!isOrganizer && !isJudge) {
+      return { error: 'Only the organizer and judges can view judging', status: 403 }
+    }
+
+    const [applicationsResult, scorecardsResult] = await Promise.all([
+      supabase
+        .from('pitch_applications')
+        .select(APPLICATION_SELECT)
+        .eq('event_id', eventId)
+        .eq('status', 'accepted')
+        .order('applied_at', { ascending: true }),
+      // RLS limits this to the caller's cards and the submitted cards they may see
+      supabase
+        .from('pitch_scorecards')
+        .select('id, application_id, judge_id, scores, feedback, status, submitted_at, updated_at, judge:profiles!judge_id(full_name)')
+        .eq('event_id', eventId)
+    ])
+
+    if (applicationsResult.error) throw applicationsResult.error
+    if (scorecardsResult.error) throw scorecardsResult.error
+
+    const rubric = rubricFor(event)
+    const applications = applicationsResult.data || []
+    const scorecards = (scorecardsResult.data || []).map((card) => ({
+      ...card,
+      total: scorecardTotal(rubric, card.scores)
+    }))
+
+    const showLeaderboard = isOrganizer || Boolean(event.results_published_at)
+    const leaderboard = showLeaderboard
+      ? buildLeaderboard(rubric, applications, scorecards.filter((card) => card.status === 'submitted'))
+      : null
+
+    return {
+      data: {
+        event,
+        rubric,
+        role: isOrganizer ? 'organizer' : 'judge',
+        judges: judges || [],
+        applications,
+        scorecards,
+        leaderboard
+      },
+      status: 200
+    }
+  } catch (error) {
+    console.error('Error loading judging board:', error)
+    return { error: 'Failed to load judging', status: 500 }
+  }
+}
+
+/**
+ * Mentors and investors who can be invited to judge
+ * @param {string} query - Name search
+ * @returns {Object} Result object with profiles
+ */
+export async function searchJudgeCandidates(query) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('id, full_name, avatar_url, role')
+      .in('role', ['mentor', 'investor'])
+      .ilike('full_name', `%${query.trim()}%`)
+      .order('full_name', { ascending: true })
+      .limit(10)
+
+    if (error) throw error
+    return { data: data || [], status: 200 }
+  } catch (error) {
+    console.error('Error searching judges:', error)
+    return { error: 'Failed to search judges', status: 500 }
+  }
+}
+
+/**
+ * Add a judge to a pitch event
+ * @param {string} eventId - Event ID
+ * @param {string} judgeId - Profile ID of the judge
+ * @returns {Object} Result object
+ */
+export async function assignJudge(eventId, judgeId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+    const event = await getPitchEvent(eventId)
+    if (!event) {
+      return { error: 'Pitch event not found', status: 404 }
+    }
+    if (event.organizer_id !== user.id) {
+      return { error: 'Only the event organizer can assign judges', status: 403 }
+    }
+    if (event.results_published_at) {
+      return { error: 'Results have already been published', status: 409 }
+    }
+
+    const { data, error } = await supabase
+      .from('pitch_judges')
+      .insert({ event_id: eventId, judge_id: judgeId, assigned_by: user.id })
+      .select('id, judge_id, created_at, judge:profiles!judge_id(id, full_name, avatar_url, role)')
+      .single()
+
+    if (error?.code === '23505') {
+      return { error: 'Already a judge for this event', status: 409 }
+    }
+    if (error) throw error
+
+    await sendNotification(judgeId, {
+      type: 'judging_assigned',
+      title: 'You have been invited to judge',
+      content: `You are on the judging panel for ${event.title}`,
+      related_id: eventId
+    })
+
+    await logActivity(user.id, 'pitch_judge_assigned', { event_id: eventId, judge_id: judgeId })
+
+    return { data, status: 201 }
+  } catch (error) {
+    console.error('Error assigning judge:', error)
+    return { error: 'Failed to assign judge', status: 500 }
+  }
+}
+
+/**
+ * Remove a judge from a pitch event. Their scorecards for the event are removed with them.
+ * @param {string} eventId - Event ID
+ * @param {string} judgeId - Profile ID of the judge
+ * @returns {Object} Result object
+ */
+export async function removeJudge(eventId, judgeId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const event = await getPitchEvent(eventId)
+    if (!event || event.organizer_id !== authResult.user.id) {
+      return { error: 'Only the event organizer can remove judges', status: 403 }
+    }
+    if (event.results_published_at) {
+      return { error: 'Results have already been published', status: 409 }
+    }
+
+    const { error } = await supabase
+      .from('pitch_judges')
+      .delete()
+      .eq('event_id', eventId)
+      .eq('judge_id', judgeId)
+
+    if (error) throw error
+
+    return { data: { judgeId }, status: 200 }
+  } catch (error) {
+    console.error('Error removing judge:', error)
+    return { error: 'Failed to remove judge', status: 500 }
+  }
+}
+
+/**
+ * Replace the event's rubric. Locked once any scorecard has been submitted.
+ * @param {string} eventId - Event ID
+ * @param {Object[]} criteria - [{ key?, label, weight }]
+ * @returns {Object} Result object with the saved rubric
+ */
+export async function updateJudgingRubric(eventId, criteria) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const event = await getPitchEvent(eventId)
+    if (!event || event.organizer_id !== authResult.user.id) {
+      return { error: 'Only the event organizer can change the rubric', status: 403 }
+    }
+
+    const { rubric, error: rubricError } = normaliseRubric(criteria)
+    if (rubricError) {
+      return { error: rubricError, status: 400 }
+    }
+
+    const { count } = await supabase
+      .from('pitch_scorecards')
+      .select('id', { count: 'exact', head: true })
+      .eq('event_id', eventId)
+      .eq('status', 'submitted')
+
+    if (count) {
+      return { error: 'The rubric cannot change after judges have submitted scores', status: 409 }
+    }
+
+    const { error } = await supabase
+      .from('events')
+      .update({ judging_rubric: rubric })
+      .eq('id', eventId)
+
+    if (error) throw error
+    return { data: rubric, status: 200 }
+  } catch (error) {
+    console.error('Error updating rubric:', error)
+    return { error: 'Failed to update rubric', status: 500 }
+  }
+}
+
+/**
+ * Save the current judge's scorecard for an application. Submitted scorecards are final.
+ * @param {string} applicationId - Pitch application ID
+ * @param {Object} scorecard - { scores, feedback }
+ * @param {Object} options - { submit }
+ * @returns {Object} Result object with the scorecard
+ */
+export async function saveScorecard(applicationId, { scores = {}, feedback = '' } = {}, { submit = false } = {}) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+
+    const { data: application } = await supabase
+      .from('pitch_applications')
+      .select(`id, event:events!inner(${EVENT_SELECT})`)
+      .eq('id', applicationId)
+      .single()
+
+    if (!application) {
+      return { error: 'Application not found', status: 404 }
+    }
+    if (application.event.results_published_at) {
+      return { error: 'Results for this event have been published', status: 409 }
+    }
+
+    const { data: existing } = await supabase
+      .from('pitch_scorecards')
+      .select('id, status')
+      .eq('application_id', applicationId)
+      .eq('judge_id', user.id)
+      .maybeSingle()
+
+    if (existing?.status === 'submitted') {
+      return { error: 'This scorecard has already been submitted', status: 409 }
+    }
+
+    const validation = validateScores(rubricFor(application.event), scores, { complete: submit })
+    if (validation.error) {
+      return { error: validation.error, status: 400 }
+    }
+
+    const { data, error } = await supabase
+      .from('pitch_scorecards')
+      .upsert({
+        application_id: applicationId,
+        judge_id: user.id,
+        scores: validation.scores,
+        feedback: feedback?.trim() || null,
+        status: submit ? 'submitted' : 'draft'
+      }, { onConflict: 'application_id,judge_id' })
+      .select()
+      .single()
+
+    if (error?.code === '42501') {
+      return { error: 'Only assigned judges can score accepted pitches', status: 403 }
+    }
+    if (error?.code === '22023') {
+      return { error: error.message, status: 400 }
+    }
+    if (error) throw error
+
+    if (submit) {
+      await logActivity(user.id, 'pitch_scorecard_submitted', {
+        event_id: application.event.id,
+        application_id: applicationId
+      })
+    }
+
+    return { data, status: 200 }
+  } catch (error) {
+    console.error('Error saving scorecard:', error)
+    return { error: 'Failed to save scorecard', status: 500 }
+  }
+}
+
+/**
+ * Freeze the leaderboard, store each startup's final rank and release judge feedback
+ * @param {string} eventId - Event ID
+ * @returns {Object} Result object with the final leaderboard
+ */
+export async function publishJudgingResults(eventId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+    const event = await getPitchEvent(eventId)
+    if (!event || event.organizer_id !== user.id) {
+      return { error: 'Only the event organizer can publish results', status: 403 }
+    }
+    if (event.results_published_at) {
+      return { error: 'Results have already been published', status: 409 }
+    }
+
+    const [{ data: applications, error: applicationsError }, scorecards] = await Promise.all([
+      supabase
+        .from('pitch_applications')
+        .select(APPLICATION_SELECT)
+        .eq('event_id', eventId)
+        .eq('status', 'accepted'),
+      getSubmittedScorecards(eventId)
+    ])
+
+    if (applicationsError) throw applicationsError
+    if (!scorecards.length) {
+      return { error: 'No scorecards have been submitted yet', status: 400 }
+    }
+
+    const leaderboard = buildLeaderboard(rubricFor(event), applications || [], scorecards)
+
+    // Ranks and the publish flag are written together, so a failure publishes nothing
+    const { error } = await supabase.rpc('publish_pitch_results', {
+      target_event_id: eventId,
+      final_results: leaderboard.map((row) => ({ id: row.id, score: row.score, rank: row.rank }))
+    })
+
+    if (error?.code === '22023') {
+      return { error: error.message, status: 409 }
+    }
+    if (error) throw error
+
+    await Promise.all(leaderboard
+      .filter((row) => row.startup?.user_id)
+      .map((row) => sendNotification(row.startup.user_id, {
+        type: 'pitch_results',
+        title: 'Pitch results are in',
+        content: row.rank
+          ? `You placed #${row.rank} of ${leaderboard.filter((r) => r.rank).length} at ${event.title}. Judge feedback is now available.`
+          : `Results for ${event.title} have been published.`,
+        related_id: eventId
+      })))
+
+    await logActivity(user.id, 'pitch_results_published', { event_id: eventId })
+
+    return { data: leaderboard, status: 200 }
+  } catch (error) {
+    console.error('Error publishing results:', error)
+    return { error: 'Failed to publish results', status: 500 }
+  }
+}
+
+/**
+ * The current startup's pitch applications, with results and judge feedback once published
+ * @returns {Object} Result object with applications
+ */
+export async function getMyPitchApplications() {
+  try {
+    const authResult = await requireAuth(['startup'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { data: startup } = await supabase
+      .from('startup_profiles')
+      .select('id')
+      .eq('user_id', authResult.user.id)
+      .single()
+
+    if (!startup) {
+      return { data: [], status: 200 }
+    }
+
+    const { data: applications, error } = await supabase
+      .from('pitch_applications')
+      .select(`id, status, applied_at, review_feedback, final_score, final_rank, event:events(${EVENT_SELECT})`)
+      .eq('startup_id', startup.id)
+      .order('applied_at', { ascending: false })
+
+    if (error) throw error
+
+    const withFeedback = await Promise.all((applications || []).map(async (application) => {
+      if (!application.event?.results_published_at) return { ...application, feedback: null }
+
+      const { data: feedback } = await supabase.rpc('get_pitch_feedback', {
+        target_application_id: application.id
+      })
+      const rubric = rubricFor(application.event)
+      const cards = feedback || []
+      const criteria = rubric.map(({ key, label }) => {
+        const values = cards.map((card) => card.scores?.[key]).filter((v) => typeof v === 'number')
+        return {
+          key,
+          label,
+          average: values.length ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10 : null
+        }
+      })
+
+      return {
+        ...application,
+        feedback: {
+          criteria,
+          comments: cards.map((card) => card.feedback).filter(Boolean)
+        }
+      }
+    }))
+
+    return { data: withFeedback, status: 200 }
+  } catch (error) {
+    console.error('Error getting pitch applications:', error)
+    return { error: 'Failed to load pitch applications', status: 500 }
+  }
+}
+
+/**
+ * IDs of the pitch events the current user judges
+ * @returns {Object} Result object with event IDs
+ */
+export async function getMyJudgingEventIds() {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { data, error } = await supabase
+      .from('pitch_judges')
+      .select('event_id')
+      .eq('judge_id', authResult.user.id)
+
+    if (error) throw error
+    return { data: (data || []).map((row) => row.event_id), status: 200 }
+  } catch (error) {
+    console.error('Error getting judging assignments:', error)
+    return { error: 'Failed to load judging assignments', status: 500 }
+  }
+}
@@ -1,5 +1,17 @@
 import { supabase } from '@/lib/supabase'
 import { requireAuth, sendNotification, logActivity } from './auth'
+import {
+  DEFAULT_SCHEDULE_SETTINGS,
+  WEEKDAYS,
+  generateSlots,
+  validateSlot,
+  getSessionPolicy,
+  isValidTimeZone,
+  timeToMinutes,
+  formatTimeInZone
+} from '@/lib/scheduling'
+import { sessionPrice } from '@/lib/payments'
+import { requestSessionRefund } from './payments'
 
 /**
  * Get all mentors with optional filtering
@@ -509,10 +521,339 @@ export async function searchMentors(searchParams) {
   }
 }
 
+const SCHEDULE_SETTING_FIELDS = Object.keys(DEFAULT_SCHEDULE_SETTINGS)
+const SESSION_TIME_FORMAT = { dateStyle: 'medium', timeStyle: 'short', timeZoneName: 'short' }
+
+/**
+ * Load a mentor's scheduling settings, weekly rules and upcoming exceptions
+ * @param {string} mentorId - Mentor profile ID
+ * @returns {Object|null} Mentor row and schedule, or null when the mentor does not exist
+ */
+async function loadMentorSchedule(mentorId) {
+  const today = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+
+  const [mentorResult, rulesResult, exceptionsResult] = await Promise.all([
+    supabase.from('mentor_profiles').select('*').eq('id', mentorId).single(),
+    supabase
+      .from('mentor_availability_rules')
+      .select('*')
+      .eq('mentor_id', mentorId)
+      .order('weekday')
+      .order('start_time'),
+    supabase
+      .from('mentor_availability_exceptions')
+      .select('*')
+      .eq('mentor_id', mentorId)
+      .gte('date', today)
+      .order('date')
+  ])
+
+  if (!mentorResult.data) return null
+  if (rulesResult.error) throw rulesResult.error
+  if (exceptionsResult.error) throw exceptionsResult.error
+
+  const mentor = mentorResult.data
+  const settings = Object.fromEntries(
+    SCHEDULE_SETTING_FIELDS.map((field) => [field, mentor[field] ?? DEFAULT_SCHEDULE_SETTINGS[field]])
+  )
+
+  return {
+    mentor,
+    schedule: { ...settings, rules: rulesResult.data || [], exceptions: exceptionsResult.data || [] }
+  }
+}
+
+/**
+ * Busy intervals for a mentor (sessions only, without mentee details)
+ * @param {string} mentorId - Mentor profile ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array} Array of { start, end }
+ */
+async function loadMentorBusyTimes(mentorId, from, to) {
+  const { data, error } = await supabase.rpc('get_mentor_busy_times', {
+    busy_mentor_id: mentorId,
+    range_start: new Date(from).toISOString(),
+    range_end: new Date(to).toISOString()
+  })
+
+  if (error) throw error
+  return (data || []).map((b) => ({ start: b.starts_at, end: b.ends_at }))
+}
+
+/**
+ * Busy range wide enough to cover buffers around a candidate session
+ */
+function busyRangeAround(start, durationMinutes, bufferMinutes) {
+  const padding = (bufferMinutes + durationMinutes) * 60 * 1000
+  const time = new Date(start).getTime()
+  return [new Date(time - padding), new Date(time + padding)]
+}
+
+/**
+ * Get the current user's mentor profile
+ * @param {string} userId - User ID
+ * @returns {Object|null} Mentor profile or null
+ */
+async function getOwnMentorProfile(userId) {
+  const { data } = await supabase
+    .from('mentor_profiles')
+    .select('id, user_id')
+    .eq('user_id', userId)
+    .single()
+
+  return data || null
+}
+
+/**
+ * Get a mentor's availability rules, upcoming exceptions and scheduling settings
+ * @param {string} mentorId - Mentor profile ID
+ * @returns {Object} Result object with schedule
+ */
+export async function getMentorSchedule(mentorId) {
+  try {
+    const loaded = await loadMentorSchedule(mentorId)
+    if (!loaded) {
+      return { error: 'Mentor not found', status: 404 }
+    }
+
+    return { data: loaded.schedule, status: 200 }
+  } catch (error) {
+    console.error('Error getting mentor schedule:', error)
+    return { error: 'Failed to load mentor schedule', status: 500 }
+  }
+}
+
+/**
+ * Update the current mentor's scheduling settings and cancellation policy
+ * @param {Object} settings - Any of time_zone, session_durations, buffer_minutes, min_notice_hours,
+ *   booking_window_days, cancellation_notice_hours, max_reschedules
+ * @returns {Object} Result object
+ */
+export async function updateScheduleSettings(settings) {
+  try {
+    const authResult = await requireAuth(['mentor'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const mentorProfile = await getOwnMentorProfile(authResult.user.id)
+    if (!mentorProfile) {
+      return { error: 'Mentor profile not found', status: 404 }
+    }
+
+    const updates = {}
+    for (const field of SCHEDULE_SETTING_FIELDS) {
+      if (settings[field] !== undefined) updates[field] = settings[field]
+    }
+
+    if (updates.time_zone !== undefined && !isValidTimeZone(updates.time_zone)) {
+      return { error: 'Unknown time zone', status: 400 }
+    }
+
+    if (updates.session_durations !== undefined) {
+      const durations = [...new Set(updates.session_durations.map(Number))]
+        .filter((d) => Number.isInteger(d) && d >= 15 && d <= 240)
+        .sort((a, b) => a - b)
+      if (durations.length === 0) {
+        return { error: 'Offer at least one session length between 15 and 240 minutes', status: 400 }
+      }
+      updates.session_durations = durations
+    }
+
+    const { data, error } = await supabase
+      .from('mentor_profiles')
+      .update(updates)
+      .eq('id', mentorProfile.id)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return { data, status: 200 }
+  } catch (error) {
+    console.error('Error updating schedule settings:', error)
+    return { error: 'Failed to update schedule settings', status: 500 }
+  }
+}
+
+/**
+ * Replace the current mentor's weekly availability rules
+ * @param {Array} rules - Array of { weekday, start_time, end_time } in the mentor's time zone
+ * @returns {Object} Result object with saved rules
+ */
+export async function saveAvailabilityRules(rules) {
+  try {
+    const authResult = await requireAuth(['mentor'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const mentorProfile = await getOwnMentorProfile(authResult.user.id)
+    if (!mentorProfile) {
+      return { error: 'Mentor profile not found', status: 404 }
+    }
+
+    for (const rule of rules) {
+      if (!(rule.weekday >= 0 && rule.weekday <= 6) || !rule.start_time || !rule.end_time) {
+        return { error: 'Each rule needs a weekday, start and end time', status: 400 }
+      }
+      if (timeToMinutes(rule.end_time) <= timeToMinutes(rule.start_time)) {
+        return { error: `${WEEKDAYS[rule.weekday]}: end time must be after start time`, status: 400 }
+      }
+    }
+
+    const { error: deleteError } = await supabase
+      .from('mentor_availability_rules')
+      .delete()
+      .eq('mentor_id', mentorProfile.id)
+
+    if (deleteError) throw deleteError
+
+    if (rules.length === 0) {
+      return { data: [], status: 200 }
+    }
+
+    const { data, error } = await supabase
+      .from('mentor_availability_rules')
+      .insert(rules.map((rule) => ({
+        mentor_id: mentorProfile.id,
+        weekday: rule.weekday,
+        start_time: rule.start_time,
+        end_time: rule.end_time
+      })))
+      .select()
+
+    if (error) throw error
+
+    return { data, status: 200 }
+  } catch (error) {
+    console.error('Error saving availability rules:', error)
+    return { error: 'Failed to save availability', status: 500 }
+  }
+}
+
+/**
+ * Add a dated availability exception for the current mentor
+ * @param {Object} exception - { date, is_available, start_time, end_time, reason }; omit the times
+ *   with is_available false to block the whole day
+ * @returns {Object} Result object
+ */
+export async function addAvailabilityException(exception) {
+  try {
+    const authResult = await requireAuth(['mentor'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const mentorProfile = await getOwnMentorProfile(authResult.user.id)
+    if (!mentorProfile) {
+      return { error: 'Mentor profile not found', status: 404 }
+    }
+
+    const hasTimes = Boolean(exception.start_time && exception.end_time)
+    if (!exception.date) {
+      return { error: 'Date is required', status: 400 }
+    }
+    if (exception.is_available && !hasTimes) {
+      return { error: 'Extra availability needs a start and end time', status: 400 }
+    }
+    if (hasTimes && timeToMinutes(exception.end_time) <= timeToMinutes(exception.start_time)) {
+      return { error: 'End time must be after start time', status: 400 }
+    }
+
+    const { data, error } = await supabase
+      .from('mentor_availability_exceptions')
+      .insert({
+        mentor_id: mentorProfile.id,
+        date: exception.date,
+        is_available: Boolean(exception.is_available),
+        start_time: hasTimes ? exception.start_time : null,
+        end_time: hasTimes ? exception.end_time : null,
+        reason: exception.reason || null
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return { data, status: 201 }
+  } catch (error) {
+    console.error('Error adding availability exception:', error)
+    return { error: 'Failed to add exception', status: 500 }
+  }
+}
+
+/**
+ * Delete one of the current mentor's availability exceptions
+ * @param {string} exceptionId - Exception ID
+ * @returns {Object} Result object
+ */
+export async function deleteAvailabilityException(exceptionId) {
+  try {
+    const authResult = await requireAuth(['mentor'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { error } = await supabase
+      .from('mentor_availability_exceptions')
+      .delete()
+      .eq('id', exceptionId)
+
+    if (error) throw error
+
+    return { data: { id: exceptionId }, status: 200 }
+  } catch (error) {
+    console.error('Error deleting availability exception:', error)
+    return { error: 'Failed to delete exception', status: 500 }
+  }
+}
+
+/**
+ * Get bookable slots for a mentor
+ * @param {string} mentorId - Mentor profile ID
+ * @param {Object} options - { durationMinutes, from, to }
+ * @returns {Object} Result object with slots as UTC ISO { start, end } and the mentor's time zone
+ */
+export async function getAvailableSlots(mentorId, options = {}) {
+  try {
+    const loaded = await loadMentorSchedule(mentorId)
+    if (!loaded) {
+      return { error: 'Mentor not found', status: 404 }
+    }
+
+    const { mentor, schedule } = loaded
+    if (mentor.availability !== 'available') {
+      return { data: { slots: [], timeZone: schedule.time_zone }, status: 200 }
+    }
+
+    const durationMinutes = Number(options.durationMinutes) || schedule.session_durations[0]
+    const now = new Date()
+    const to = options.to || new Date(now.getTime() + schedule.booking_window_days * 24 * 60 * 60 * 1000)
+    const busy = await loadMentorBusyTimes(mentorId, options.from || now, new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000))
+
+    const slots = generateSlots(schedule, {
+      durationMinutes,
+      busy,
+      from: options.from,
+      to,
+      now
+    })
+
+    return { data: { slots, timeZone: schedule.time_zone, durations: schedule.session_durations }, status: 200 }
+  } catch (error) {
+    console.error('Error getting available slots:', error)
+    return { error: 'Failed to load available slots', status: 500 }
+  }
+}
+
 /**
- * Book mentorship session
+ * Book mentorship session. Sessions with paid mentors start as `pending_payment` and hold their slot
+ * for PAYMENT_HOLD_MINUTES; the payment webhook confirms them and notifies the mentor.
  * @param {string} mentorId - Mentor ID
- * @param {Object} sessionData - Session booking data
+ * @param {Object} sessionData - Session booking data (scheduled_at as an ISO instant, duration_minutes,
+ *   session_type, notes, time_zone of the mentee)
  * @returns {Object} Result object
  */
 export async function bookMentorshipSession(mentorId, sessionData) {
@@ -525,58 +866,83 @@ export async function bookMentorshipSession(mentorId, sessionData) {
     const { user } = authResult
 
     // Check if mentor exists and is available
-    const { data: mentor } = await supabase
-      .from('mentor_profiles')
-      .select('*')
-      .eq('id', mentorId)
-      .single()
-
-    if (!mentor) {
+    const loaded = await loadMentorSchedule(mentorId)
+    if (!loaded) {
       return { error: 'Mentor not found', status: 404 }
     }
 
+    const { mentor, schedule } = loaded
+
     if (mentor.availability !== 'available') {
       return { error: 'Mentor is not available for booking', status: 400 }
     }
 
+    if (mentor.user_id === user.id) {
+      return { error: 'You cannot book a session with yourself', status: 400 }
+    }
+
+    const durationMinutes = Number(sessionData.duration_minutes) || schedule.session_durations[0]
+    if (!schedule.session_durations.includes(durationMinutes)) {
+      return { error: `Session length must be one of ${schedule.session_durations.join(', ')} minutes`, status: 400 }
+    }
+
+    // Free slots whose payment window passed before checking availability
+    await supabase.rpc('release_expired_session_holds')
+
+    // Check the requested time against availability, notice period, and other sessions plus buffers
+    const busy = await loadMentorBusyTimes(
+      mentorId,
+      ...busyRangeAround(sessionData.scheduled_at, durationMinutes, schedule.buffer_minutes)
+    )
+    const slotError = validateSlot(schedule, { start: sessionData.scheduled_at, durationMinutes, busy })
+    if (slotError) {
+      return { error: slotError, status: 409 }
+    }
+
+    const scheduledAt = new Date(sessionData.scheduled_at)
+    const requiresPayment = mentor.is_paid && sessionPrice(mentor.hourly_rate, durationMinutes) > 0
+
     // Create session booking
     const { data, error } = await supabase
       .from('mentorship_sessions')
       .insert({
         mentor_id: mentorId,
         mentee_id: user.id,
-        scheduled_at: sessionData.scheduled_at,
-        duration_minutes: sessionData.duration_minutes || 60,
+        scheduled_at: scheduledAt.toISOString(),
+        ends_at: new Date(scheduledAt.getTime() + durationMinutes * 60 * 1000).toISOString(),
+        duration_minutes: durationMinutes,
         session_type: sessionData.session_type || 'video_call',
         notes: sessionData.notes,
-        status: 'scheduled'
+        mentee_time_zone: isValidTimeZone(sessionData.time_zone) ? sessionData.time_zone : null,
+        status: requiresPayment ? 'pending_payment' : 'scheduled'
       })
       .select()
       .single()
 
+    // Exclusion constraint: someone else booked an overlapping session in the meantime
+    if (error?.code === '23P01') {
+      return { error: 'That time was just booked by someone else. Please pick another slot.', status: 409 }
+    }
+    // The booking trigger re-checks notice, booking window, availability and buffers
+    if (error?.code === '22023') {
+      return { error: error.message, status: 409 }
+    }
     if (error) throw error
 
-    // Get mentor user ID for notification
-    const { data: mentorProfile } = await supabase
-      .from('mentor_profiles')
-      .select('user_id')
-      .eq('id', mentorId)
-      .single()
-
-    if (mentorProfile) {
-      // Send notification to mentor
-      await sendNotification(mentorProfile.user_id, {
+    // Send notification to mentor (paid sessions are announced once the payment succeeds)
+    if (!requiresPayment) {
+      await sendNotification(mentor.user_id, {
         type: 'session_booked',
         title: 'New Session Booked',
-        message: `A new mentorship session has been booked`,
-        metadata: { session_id: data.id, mentee_id: user.id }
+        content: `A ${durationMinutes}-minute mentorship session was booked for ${formatTimeInZone(scheduledAt, schedule.time_zone, SESSION_TIME_FORMAT)}`,
+        related_id: data.id
       })
     }
 
     // Log activity
-    await logActivity(user.id, 'mentorship_session_booked', { 
+    await logActivity(user.id, 'mentorship_session_booked', {
       mentor_id: mentorId,
-      session_id: data.id 
+      session_id: data.id
     })
 
     return { data, status: 201 }
@@ -584,4 +950,219 @@ export async function bookMentorshipSession(mentorId, sessionData) {
     console.error('Error booking mentorship session:', error)
     return { error: 'Failed to book mentorship session', status: 500 }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Load a session together with its mentor and work out which side the current user is on
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - Current user ID
+ * @returns {Object|null} { session, actor, counterpartId } or null when not a participant
+ */
+async function loadSessionForParticipant(sessionId, userId) {
+  const { data: session } = await supabase
+    .from('mentorship_sessions')
+    .select('*, mentor_profiles(*)')
+    .eq('id', sessionId)
+    .single()
+
+  if (!session) return null
+
+  const mentorUserId = session.mentor_profiles?.user_id
+  if (userId === mentorUserId) {
+    return { session, actor: 'mentor', counterpartId: session.mentee_id }
+  }
+  if (userId === session.mentee_id) {
+    return { session, actor: 'mentee', counterpartId: mentorUserId }
+  }
+  return null
+}
+
+/**
+ * Get the current user's mentorship sessions, as mentee and (for mentors) as mentor
+ * @param {Object} options - { upcomingOnly }
+ * @returns {Object} Result object with sessions, each flagged with `role` and its policy for the user
+ */
+export async function getMySessions(options = {}) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+    const mentorProfile = await getOwnMentorProfile(user.id)
+
+    let query = supabase
+      .from('mentorship_sessions')
+      .select(`
+        *,
+        mentor_profiles(id, user_id, time_zone, cancellation_notice_hours, max_reschedules, is_paid, hourly_rate, currency, profiles!mentor_profiles_user_id_fkey(full_name, avatar_url)),
+        mentee:profiles!mentorship_sessions_mentee_id_fkey(id, full_name, avatar_url)
+      `)
+      .order('scheduled_at', { ascending: true })
+
+    query = mentorProfile
+      ? query.or(`mentee_id.eq.${user.id},mentor_id.eq.${mentorProfile.id}`)
+      : query.eq('mentee_id', user.id)
+
+    if (options.upcomingOnly) {
+      query = query.gte('ends_at', new Date().toISOString())
+    }
+
+    const { data, error } = await query
+    if (error) throw error
+
+    const sessions = (data || []).map((session) => {
+      const role = session.mentee_id === user.id ? 'mentee' : 'mentor'
+      return { ...session, role, policy: getSessionPolicy(session, session.mentor_profiles || {}, role) }
+    })
+
+    return { data: sessions, status: 200 }
+  } catch (error) {
+    console.error('Error getting sessions:', error)
+    return { error: 'Failed to load sessions', status: 500 }
+  }
+}
+
+/**
+ * Move a scheduled session to a new time, subject to the cancellation policy
+ * @param {string} sessionId - Session ID
+ * @param {string} newStart - New start as an ISO instant
+ * @returns {Object} Result object
+ */
+export async function rescheduleMentorshipSession(sessionId, newStart) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+    const participant = await loadSessionForParticipant(sessionId, user.id)
+    if (!participant) {
+      return { error: 'Session not found', status: 404 }
+    }
+
+    const { session, actor, counterpartId } = participant
+    const loaded = await loadMentorSchedule(session.mentor_id)
+    const { schedule } = loaded
+
+    const policy = getSessionPolicy(session, schedule, actor)
+    if (!policy.canReschedule) {
+      return { error: policy.reason || 'This session can no longer be rescheduled', status: 403 }
+    }
+
+    // The session's own slot must not count as busy
+    const busy = (await loadMentorBusyTimes(
+      session.mentor_id,
+      ...busyRangeAround(newStart, session.duration_minutes, schedule.buffer_minutes)
+    )).filter((b) => new Date(b.start).getTime() !== new Date(session.scheduled_at).getTime())
+
+    const slotError = validateSlot(schedule, { start: newStart, durationMinutes: session.duration_minutes, busy })
+    if (slotError) {
+      return { error: slotError, status: 409 }
+    }
+
+    // The database re-checks the policy and the slot and counts mentee reschedules
+    const scheduledAt = new Date(newStart)
+    const { data, error } = await supabase.rpc('reschedule_mentorship_session', {
+      target_session_id: sessionId,
+      new_start: scheduledAt.toISOString()
+    })
+
+    if (error?.code === '23P01') {
+      return { error: 'That time was just booked by someone else. Please pick another slot.', status: 409 }
+    }
+    if (error?.code === '22023') {
+      return { error: error.message, status: 409 }
+    }
+    if (error?.code === '42501') {
+      return { error: error.message, status: 403 }
+    }
+    if (error?.code === 'P0002') {
+      return { error: 'Session not found', status: 404 }
+    }
+    if (error) throw error
+
+    await sendNotification(counterpartId, {
+      type: 'session_rescheduled',
+      title: 'Session Rescheduled',
+      content: `Your mentorship session was moved to ${formatTimeInZone(scheduledAt, actor === 'mentor' ? session.mentee_time_zone || 'UTC' : schedule.time_zone, SESSION_TIME_FORMAT)}`,
+      related_id: sessionId
+    })
+
+    await logActivity(user.id, 'mentorship_session_rescheduled', {
+      session_id: sessionId,
+      from: session.scheduled_at,
+      to: data.scheduled_at
+    })
+
+    return { data, status: 200 }
+  } catch (error) {
+    console.error('Error rescheduling mentorship session:', error)
+    return { error: 'Failed to reschedule session', status: 500 }
+  }
+}
+
+/**
+ * Cancel a scheduled session; mentee cancellations inside the notice period are recorded as late.
+ * Paid sessions are refunded unless the cancellation was late.
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Optional reason shown to the other participant
+ * @returns {Object} Result object with the session and, for paid sessions, `refund`
+ */
+export async function cancelMentorshipSession(sessionId, reason = '') {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+    const participant = await loadSessionForParticipant(sessionId, user.id)
+    if (!participant) {
+      return { error: 'Session not found', status: 404 }
+    }
+
+    const { session, actor, counterpartId } = participant
+    const policy = getSessionPolicy(session, session.mentor_profiles || {}, actor)
+    if (!policy.canCancel) {
+      return { error: policy.reason || 'This session can no longer be cancelled', status: 403 }
+    }
+
+    // The database decides whether the cancellation is late; clients cannot set status themselves
+    const { data, error } = await supabase.rpc('cancel_mentorship_session', {
+      target_session_id: sessionId,
+      reason: reason || null
+    })
+
+    if (error?.code === '22023') {
+      return { error: error.message, status: 409 }
+    }
+    if (error) throw error
+
+    await sendNotification(counterpartId, {
+      type: 'session_cancelled',
+      title: 'Session Cancelled',
+      content: reason
+        ? `Your mentorship session was cancelled: ${reason}`
+        : 'Your mentorship session was cancelled',
+      related_id: sessionId
+    })
+
+    await logActivity(user.id, 'mentorship_session_cancelled', {
+      session_id: sessionId,
+      late: data.late_cancellation
+    })
+
+    if (session.mentor_profiles?.is_paid) {
+      const refundResult = await requestSessionRefund(sessionId)
+      return { data: { ...data, refund: refundResult.data || { refunded: false, reason: refundResult.error } }, status: 200 }
+    }
+
+    return { data, status: 200 }
+  } catch (error) {
+    console.error('Error cancelling mentorship session:', error)
+    return { error: 'Failed to cancel session', status: 500 }
+  }
+}
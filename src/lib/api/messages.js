@@ -1,58 +1,134 @@
-import { supabase } from '@/lib/supabase'
+import { supabase, uploadFile, createSignedUrl } from '@/lib/supabase'
 import { requireAuth, sendNotification, logActivity, checkRateLimit } from './auth'
+import {
+  MESSAGE_ATTACHMENTS_BUCKET,
+  THUMBNAIL_MAX_DIMENSION,
+  checkAttachmentFile,
+  normaliseAttachments,
+  messageTypeFor,
+  safeFileName,
+  thumbnailSize
+} from '@/lib/messageAttachments'
+import {
+  HISTORY_OPTIONS,
+  MAX_GROUP_MEMBERS,
+  MEMBER_ROLES,
+  activeMembers,
+  conversationTitle,
+  normaliseGroupName,
+  otherParticipant,
+  ownersAfter,
+  visibleFromFor
+} from '@/lib/conversations'
+import { EDIT_WINDOW_MINUTES, REACTION_EMOJIS, canEditMessage } from '@/lib/messageThreads'
+import { SEARCH_MIN_LENGTH, SEARCH_PAGE_SIZE } from '@/lib/messageSearch'
+
+const MESSAGE_COLUMNS = `
+  *,
+  sender:profiles!messages_sender_id_fkey(
+    id,
+    full_name,
+    avatar_url
+  ),
+  reply_to:messages!messages_reply_to_id_fkey(
+    id,
+    sender_id,
+    content,
+    message_type,
+    metadata,
+    deleted,
+    sender:profiles!messages_sender_id_fkey(
+      id,
+      full_name
+    )
+  ),
+  reactions:message_reactions(
+    id,
+    user_id,
+    emoji
+  ),
+  receipts:message_receipts(
+    user_id,
+    delivered_at,
+    read_at
+  )
+`
+
+const CONVERSATION_COLUMNS = `
+  id,
+  name,
+  is_group,
+  created_by,
+  created_at,
+  last_message_at,
+  members:conversation_members(
+    user_id,
+    role,
+    joined_at,
+    visible_from,
+    removed_at,
+    profile:profiles!conversation_members_user_id_fkey(
+      id,
+      full_name,
+      avatar_url,
+      role
+    )
+  )
+`
+
+/** Thumbnails and previews stay on screen while a thread is open */
+const PREVIEW_LINK_TTL_SECONDS = 10 * 60
+
+/** Downloads get a fresh short-lived link for every click */
+const DOWNLOAD_LINK_TTL_SECONDS = 60
 
 /**
- * Get user's conversations
+ * Get user's conversations, direct and group, newest activity first
  * @param {string} userId - User ID
  * @param {Object} options - Query options
- * @returns {Array} Array of conversations
+ * @returns {Array} Array of conversations with members, latest_message and unread_count
  */
 export async function getConversations(userId, options = {}) {
   try {
-    let query = supabase
-      .from('conversations')
-      .select(`
-        *,
-        participant1:profiles!conversations_participant1_id_fkey(
-          id,
-          full_name,
-          avatar_url
-        ),
-        participant2:profiles!conversations_participant2_id_fkey(
-          id,
-          full_name,
-          avatar_url
-        ),
-        last_message:messages(
-          id,
-          content,
-          created_at,
-          sender_id
-        )
-      `)
-      .or(`participant1_id.eq.${userId},participant2_id.eq.${userId}`)
-      .order('updated_at', { ascending: false })
-
-    if (options.limit) {
-      query = query.limit(options.limit)
-    }
+    const [{ data, error }, { data: summaries, error: summaryError }] = await Promise.all([
+      supabase
+        .from('conversation_members')
+        .select(`
+          role,
+          removed_at,
+          conversation:conversations(
+            ${CONVERSATION_COLUMNS}
+          )
+        `)
+        .eq('user_id', userId),
+      supabase.rpc('get_my_conversations')
+    ])
 
-    const { data, error } = await query
-    
     if (error) throw error
+    if (summaryError) throw summaryError
+
+    const summaryById = new Map((summaries || []).map(s => [s.conversation_id, s]))
+
+    // Process conversations to get the other participant, title and latest message
+    let processedConversations = (data || [])
+      .filter(membership => membership.conversation)
+      .map(({ role, removed_at: removedAt, conversation }) => {
+        const summary = summaryById.get(conversation.id)
+        return {
+          ...conversation,
+          my_role: role,
+          removed: !!removedAt,
+          other_participant: otherParticipant(conversation, userId),
+          title: conversationTitle(conversation, userId),
+          latest_message: summary?.last_message || null,
+          unread_count: Number(summary?.unread_count) || 0
+        }
+      })
+      .sort((a, b) => new Date(b.latest_message?.created_at || b.created_at) - new Date(a.latest_message?.created_at || a.created_at))
 
-    // Process conversations to get the other participant and latest message
-    const processedConversations = (data || []).map(conversation => {
-      const otherParticipant = conversation.participant1_id === userId 
-        ? conversation.participant2 
-        : conversation.participant1
-      
-      return {
-        ...conversation,
-        other_participant: otherParticipant,
-        latest_message: conversation.last_message?.[0] || null
-      }
-    })
+    if (options.limit) {
+      processedConversations = processedConversations.slice(0, options.limit)
+    }
 
     return processedConversations
   } catch (error) {
@@ -62,45 +138,398 @@ export async function getConversations(userId, options = {}) {
 }
 
 /**
- * Get or create conversation between two users
- * @param {string} userId1 - First user ID
- * @param {string} userId2 - Second user ID
+ * Get one conversation with its members
+ * @param {string} conversationId - Conversation ID
  * @returns {Object|null} Conversation data or null
  */
-export async function getOrCreateConversation(userId1, userId2) {
+export async function getConversation(conversationId) {
   try {
-    // Check if conversation already exists
-    const { data: existing } = await supabase
+    const { data, error } = await supabase
       .from('conversations')
-      .select('*')
-      .or(`
-        and(participant1_id.eq.${userId1},participant2_id.eq.${userId2}),
-        and(participant1_id.eq.${userId2},participant2_id.eq.${userId1})
-      `)
+      .select(CONVERSATION_COLUMNS)
+      .eq('id', conversationId)
       .single()
 
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error getting conversation:', error)
+    return null
+  }
+}
+
+/**
+ * Get or create the direct conversation between two users
+ * @param {string} userId1 - First user ID (the signed-in user, who creates it if needed)
+ * @param {string} userId2 - Second user ID
+ * @returns {Object|null} Conversation data or null
+ */
+export async function getOrCreateConversation(userId1, userId2) {
+  try {
+    const findExisting = async () => {
+      const { data } = await supabase
+        .from('conversations')
+        .select(CONVERSATION_COLUMNS)
+        .eq('is_group', false)
+        .or(`and(participant_1.eq.${userId1},participant_2.eq.${userId2}),and(participant_1.eq.${userId2},participant_2.eq.${userId1})`)
+        .maybeSingle()
+      return data
+    }
+
+    // Check if conversation already exists
+    const existing = await findExisting()
     if (existing) {
       return existing
     }
 
-    // Create new conversation
-    const { data, error } = await supabase
+    // Create new conversation; the pair is stored in a fixed order so it stays unique
+    const [participant1, participant2] = [userId1, userId2].sort()
+    const { data: conversation, error } = await supabase
       .from('conversations')
       .insert({
-        participant1_id: userId1,
-        participant2_id: userId2
+        participant_1: participant1,
+        participant_2: participant2,
+        created_by: userId1
       })
-      .select()
+      .select('id')
       .single()
 
-    if (error) throw error
-    return data
+    if (error) {
+      // Created by the other side in the meantime
+      if (error.code === '23505') return await findExisting()
+      throw error
+    }
+
+    const { error: membersError } = await supabase
+      .from('conversation_members')
+      .insert([userId1, userId2].map(id => ({
+        conversation_id: conversation.id,
+        user_id: id,
+        added_by: userId1
+      })))
+
+    if (membersError) throw membersError
+
+    return await getConversation(conversation.id)
   } catch (error) {
     console.error('Error getting or creating conversation:', error)
     return null
   }
 }
 
+/**
+ * Create a named group conversation, e.g. a deal room with a lead investor and co-investors
+ * @param {string} name - Group name
+ * @param {Array} memberIds - User IDs to add besides the creator, who becomes owner
+ * @returns {Object} Result object with the conversation
+ */
+export async function createGroupConversation(name, memberIds = []) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+
+    const { name: groupName, error: nameError } = normaliseGroupName(name)
+    if (nameError) {
+      return { error: nameError, status: 400 }
+    }
+
+    const others = [...new Set(memberIds)].filter(id => id && id !== user.id)
+    if (others.length === 0) {
+      return { error: 'Add at least one other member', status: 400 }
+    }
+
+    if (others.length + 1 > MAX_GROUP_MEMBERS) {
+      return { error: `Groups are limited to ${MAX_GROUP_MEMBERS} members`, status: 400 }
+    }
+
+    const { data: conversation, error } = await supabase
+      .from('conversations')
+      .insert({ is_group: true, name: groupName, created_by: user.id })
+      .select('id')
+      .single()
+
+    if (error) throw error
+
+    const { error: membersError } = await supabase
+      .from('conversation_members')
+      .insert([
+        { conversation_id: conversation.id, user_id: user.id, role: 'owner', added_by: user.id },
+        ...others.map(id => ({ conversation_id: conversation.id, user_id: id, role: 'member', added_by: user.id }))
+      ])
+
+    if (membersError) throw membersError
+
+    await notifyAddedMembers(others, groupName, conversation.id, authResult.profile)
+
+    await logActivity(user.id, 'group_conversation_created', {
+      conversation_id: conversation.id,
+      members: others.length + 1
+    })
+
+    return { data: await getConversation(conversation.id), status: 201 }
+  } catch (error) {
+    console.error('Error creating group conversation:', error)
+    return { error: 'Failed to create group', status: 500 }
+  }
+}
+
+async function notifyAddedMembers(userIds, groupName, conversationId, addedBy) {
+  if (!userIds.length) return
+
+  await sendNotification(userIds, {
+    type: 'message',
+    title: `Added to ${groupName}`,
+    content: `${addedBy.full_name || 'Someone'} added you to the group "${groupName}".`,
+    related_id: conversationId
+  })
+}
+
+/**
+ * Load a group conversation for one of its owners
+ * @returns {Object} { user, profile, conversation } or an error result
+ */
+async function getOwnedGroup(conversationId) {
+  const authResult = await requireAuth()
+  if (authResult.error) {
+    return { error: authResult.error, status: authResult.status }
+  }
+
+  const conversation = await getConversation(conversationId)
+  if (!conversation) {
+    return { error: 'Conversation not found', status: 404 }
+  }
+
+  if (!conversation.is_group) {
+    return { error: 'Only group conversations have members to manage', status: 400 }
+  }
+
+  const me = activeMembers(conversation).find(m => m.user_id === authResult.user.id)
+  if (me?.role !== 'owner') {
+    return { error: 'Only group owners can manage members', status: 403 }
+  }
+
+  return { user: authResult.user, profile: authResult.profile, conversation }
+}
+
+/**
+ * Add members to a group conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {Array} userIds - User IDs to add
+ * @param {Object} options - { history: 'full' | 'from_now' }, whether they see earlier messages
+ * @returns {Object} Result object with the updated conversation
+ */
+export async function addConversationMembers(conversationId, userIds = [], { history = 'full' } = {}) {
+  try {
+    const owned = await getOwnedGroup(conversationId)
+    if (owned.error) return owned
+
+    const { user, profile, conversation } = owned
+
+    if (!HISTORY_OPTIONS.some(option => option.value === history)) {
+      return { error: 'Choose what history new members can see', status: 400 }
+    }
+
+    const activeIds = new Set(activeMembers(conversation).map(m => m.user_id))
+    const newIds = [...new Set(userIds)].filter(id => id && !activeIds.has(id))
+    if (newIds.length === 0) {
+      return { error: 'Everyone selected is already in the group', status: 400 }
+    }
+
+    if (activeIds.size + newIds.length > MAX_GROUP_MEMBERS) {
+      return { error: `Groups are limited to ${MAX_GROUP_MEMBERS} members`, status: 400 }
+    }
+
+    const now = new Date()
+    const formerIds = new Set(conversation.members.filter(m => m.removed_at).map(m => m.user_id))
+    const rejoining = newIds.filter(id => formerIds.has(id))
+    const joining = newIds.filter(id => !formerIds.has(id))
+
+    const memberChanges = {
+      role: 'member',
+      added_by: user.id,
+      joined_at: now.toISOString(),
+      visible_from: visibleFromFor(history, now),
+      removed_at: null,
+      last_read_at: null
+    }
+
+    if (joining.length) {
+      const { error } = await supabase
+        .from('conversation_members')
+        .insert(joining.map(id => ({ conversation_id: conversationId, user_id: id, ...memberChanges })))
+      if (error) throw error
+    }
+
+    if (rejoining.length) {
+      const { error } = await supabase
+        .from('conversation_members')
+        .update(memberChanges)
+        .eq('conversation_id', conversationId)
+        .in('user_id', rejoining)
+      if (error) throw error
+    }
+
+    await notifyAddedMembers(newIds, conversation.name, conversationId, profile)
+
+    await logActivity(user.id, 'conversation_members_added', {
+      conversation_id: conversationId,
+      members: newIds.length,
+      history
+    })
+
+    return { data: await getConversation(conversationId), status: 200 }
+  } catch (error) {
+    console.error('Error adding conversation members:', error)
+    return { error: 'Failed to add members', status: 500 }
+  }
+}
+
+/**
+ * Remove a member from a group conversation; they keep read-only access to what they could already see
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Member to remove
+ * @returns {Object} Result object with the updated conversation
+ */
+export async function removeConversationMember(conversationId, userId) {
+  try {
+    const owned = await getOwnedGroup(conversationId)
+    if (owned.error) return owned
+
+    const { user, conversation } = owned
+
+    if (userId === user.id) {
+      return { error: 'Leave the group instead of removing yourself', status: 400 }
+    }
+
+    const member = activeMembers(conversation).find(m => m.user_id === userId)
+    if (!member) {
+      return { error: 'Member not found', status: 404 }
+    }
+
+    if (member.role === 'owner') {
+      return { error: 'Make an owner a member before removing them', status: 400 }
+    }
+
+    const { error } = await supabase
+      .from('conversation_members')
+      .update({ removed_at: new Date().toISOString() })
+      .eq('conversation_id', conversationId)
+      .eq('user_id', userId)
+
+    if (error) throw error
+
+    await logActivity(user.id, 'conversation_member_removed', { conversation_id: conversationId, member_id: userId })
+
+    return { data: await getConversation(conversationId), status: 200 }
+  } catch (error) {
+    console.error('Error removing conversation member:', error)
+    return { error: 'Failed to remove member', status: 500 }
+  }
+}
+
+/**
+ * Make a group member an owner, or an owner a member again
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Member to change
+ * @param {string} role - 'owner' or 'member'
+ * @returns {Object} Result object with the updated conversation
+ */
+export async function setConversationMemberRole(conversationId, userId, role) {
+  try {
+    if (!MEMBER_ROLES.includes(role)) {
+      return { error: 'Invalid role', status: 400 }
+    }
+
+    const owned = await getOwnedGroup(conversationId)
+    if (owned.error) return owned
+
+    const { user, conversation } = owned
+    const members = activeMembers(conversation)
+
+    if (!members.some(m => m.user_id === userId)) {
+      return { error: 'Member not found', status: 404 }
+    }
+
+    if (ownersAfter(members, { userId, role }) === 0) {
+      return { error: 'A group needs at least one owner', status: 400 }
+    }
+
+    const { error } = await supabase
+      .from('conversation_members')
+      .update({ role })
+      .eq('conversation_id', conversationId)
+      .eq('user_id', userId)
+
+    if (error) throw error
+
+    await logActivity(user.id, 'conversation_member_role_changed', { conversation_id: conversationId, member_id: userId, role })
+
+    return { data: await getConversation(conversationId), status: 200 }
+  } catch (error) {
+    console.error('Error changing conversation member role:', error)
+    return { error: 'Failed to change role', status: 500 }
+  }
+}
+
+/**
+ * Rename a group conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {string} name - New name
+ * @returns {Object} Result object with the updated conversation
+ */
+export async function renameConversation(conversationId, name) {
+  try {
+    const owned = await getOwnedGroup(conversationId)
+    if (owned.error) return owned
+
+    const { name: groupName, error: nameError } = normaliseGroupName(name)
+    if (nameError) {
+      return { error: nameError, status: 400 }
+    }
+
+    const { error } = await supabase
+      .from('conversations')
+      .update({ name: groupName })
+      .eq('id', conversationId)
+
+    if (error) throw error
+
+    return { data: await getConversation(conversationId), status: 200 }
+  } catch (error) {
+    console.error('Error renaming conversation:', error)
+    return { error: 'Failed to rename group', status: 500 }
+  }
+}
+
+/**
+ * Leave a group conversation. When the last owner leaves, the longest-standing member takes over.
+ * @param {string} conversationId - Conversation ID
+ * @returns {Object} Result object
+ */
+export async function leaveConversation(conversationId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { error } = await supabase.rpc('leave_conversation', { target_conversation_id: conversationId })
+
+    if (error) throw error
+
+    await logActivity(authResult.user.id, 'conversation_left', { conversation_id: conversationId })
+
+    return { success: true, status: 200 }
+  } catch (error) {
+    console.error('Error leaving conversation:', error)
+    return { error: 'Failed to leave group', status: 500 }
+  }
+}
+
 /**
  * Get messages in a conversation
  * @param {string} conversationId - Conversation ID
@@ -111,14 +540,7 @@ export async function getMessages(conversationId, options = {}) {
   try {
     let query = supabase
       .from('messages')
-      .select(`
-        *,
-        sender:profiles!messages_sender_id_fkey(
-          id,
-          full_name,
-          avatar_url
-        )
-      `)
+      .select(MESSAGE_COLUMNS)
       .eq('conversation_id', conversationId)
       .order('created_at', { ascending: true })
 
@@ -144,11 +566,32 @@ export async function getMessages(conversationId, options = {}) {
   }
 }
 
+/**
+ * Get one message with its sender, the message it replies to and its reactions
+ * @param {string} messageId - Message ID
+ * @returns {Object|null} Message data or null when it is not visible to the user
+ */
+export async function getMessage(messageId) {
+  try {
+    const { data, error } = await supabase
+      .from('messages')
+      .select(MESSAGE_COLUMNS)
+      .eq('id', messageId)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error getting message:', error)
+    return null
+  }
+}
+
 /**
  * Send a message
  * @param {string} conversationId - Conversation ID
- * @param {string} content - Message content
- * @param {Object} options - Additional options
+ * @param {string} content - Message content; may be empty when there are attachments
+ * @param {Object} options - Additional options { message_type, metadata, attachments, reply_to_id }
  * @returns {Object} Result object
  */
 export async function sendMessage(conversationId, content, options = {}) {
@@ -166,79 +609,74 @@ export async function sendMessage(conversationId, content, options = {}) {
       return { error: 'Rate limit exceeded. Please slow down.', status: 429 }
     }
 
-    // Validate conversation exists and user is participant
-    const { data: conversation } = await supabase
-      .from('conversations')
-      .select('*')
-      .eq('id', conversationId)
-      .single()
+    // Validate conversation exists and user is a current member
+    const conversation = await getConversation(conversationId)
 
     if (!conversation) {
       return { error: 'Conversation not found', status: 404 }
     }
 
-    if (conversation.participant1_id !== user.id && conversation.participant2_id !== user.id) {
+    const members = activeMembers(conversation)
+    if (!members.some(m => m.user_id === user.id)) {
       return { error: 'Unauthorized', status: 403 }
     }
 
-    // Validate content
-    if (!content || content.trim().length === 0) {
+    const { attachments, error: attachmentError } = normaliseAttachments(options.attachments || [], user.id)
+    if (attachmentError) {
+      return { error: attachmentError, status: 400 }
+    }
+
+    // Validate content; a message with attachments may have no text
+    const text = (content || '').trim()
+    if (text.length === 0 && attachments.length === 0) {
       return { error: 'Message content is required', status: 400 }
     }
 
-    if (content.length > 2000) {
+    if (text.length > 2000) {
       return { error: 'Message too long (max 2000 characters)', status: 400 }
     }
 
+    // Replies must point at a message of this conversation the sender can see
+    if (options.reply_to_id) {
+      const { data: original } = await supabase
+        .from('messages')
+        .select('id')
+        .eq('id', options.reply_to_id)
+        .eq('conversation_id', conversationId)
+        .maybeSingle()
+
+      if (!original) {
+        return { error: 'The message you are replying to is not available', status: 400 }
+      }
+    }
+
+    const recipientIds = members.map(m => m.user_id).filter(id => id !== user.id)
+
     // Create message
     const { data, error } = await supabase
       .from('messages')
       .insert({
         conversation_id: conversationId,
         sender_id: user.id,
-        content: content.trim(),
-        message_type: options.message_type || 'text',
-        metadata: options.metadata || {}
+        recipient_id: conversation.is_group ? null : recipientIds[0],
+        content: text,
+        message_type: attachments.length ? messageTypeFor(attachments) : options.message_type || 'text',
+        metadata: attachments.length ? { ...options.metadata, attachments } : options.metadata || {},
+        reply_to_id: options.reply_to_id || null
       })
-      .select(`
-        *,
-        sender:profiles!messages_sender_id_fkey(
-          id,
-          full_name,
-          avatar_url
-        )
-      `)
+      .select(MESSAGE_COLUMNS)
       .single()
 
     if (error) throw error
 
-    // Update conversation's last activity
-    await supabase
-      .from('conversations')
-      .update({ updated_at: new Date().toISOString() })
-      .eq('id', conversationId)
-
-    // Send notification to other participant
-    const otherParticipantId = conversation.participant1_id === user.id 
-      ? conversation.participant2_id 
-      : conversation.participant1_id
-
-    await sendNotification(otherParticipantId, {
-      type: 'new_message',
-      title: 'New Message',
-      message: `You have a new message from ${authResult.profile.full_name || 'someone'}`,
-      metadata: { 
-        conversation_id: conversationId, 
-        message_id: data.id,
-        sender_id: user.id
-      }
-    })
+    // Notify the other members, once per conversation until they have seen it
+    await notifyNewMessage(conversation, recipientIds, authResult.profile)
 
     // Log activity
     await logActivity(user.id, 'message_sent', { 
       conversation_id: conversationId,
       message_id: data.id,
-      recipient_id: otherParticipantId
+      recipients: recipientIds.length
     })
 
     return { data, status: 201 }
@@ -248,6 +686,174 @@ export async function sendMessage(conversationId, content, options = {}) {
   }
 }
 
+async function notifyNewMessage(conversation, recipientIds, sender) {
+  if (!recipientIds.length) return
+
+  const { data: pending } = await supabase
+    .from('notifications')
+    .select('user_id')
+    .eq('type', 'message')
+    .eq('related_id', conversation.id)
+    .eq('is_read', false)
+    .in('user_id', recipientIds)
+
+  const alreadyNotified = new Set((pending || []).map(n => n.user_id))
+  const userIds = recipientIds.filter(id => !alreadyNotified.has(id))
+  if (!userIds.length) return
+
+  const senderName = sender.full_name || 'Someone'
+  await sendNotification(userIds, {
+    type: 'message',
+    title: conversation.is_group ? `New message in ${conversation.name}` : `New message from ${senderName}`,
+    content: conversation.is_group ? `${senderName} wrote in ${conversation.name}.` : `${senderName} sent you a message.`,
+    related_id: conversation.id
+  })
+}
+
+/**
+ * Remove the uploaded files of some attachments, thumbnails included
+ * @param {Object[]} attachments - Attachments from messages.metadata.attachments
+ */
+async function removeAttachmentFiles(attachments = []) {
+  const paths = attachments.flatMap((a) => [a.path, a.thumbnail_path]).filter(Boolean)
+  if (!paths.length) return
+
+  const { error } = await supabase.storage.from(MESSAGE_ATTACHMENTS_BUCKET).remove(paths)
+  if (error) {
+    console.error('Error removing message attachments:', error)
+  }
+}
+
+/**
+ * Dimensions of an image file and a JPEG thumbnail of it, drawn in the browser
+ * @param {File} file - Image file
+ * @returns {Object} { width, height, thumbnail } or null when the browser cannot decode it
+ */
+async function createThumbnail(file) {
+  if (typeof createImageBitmap !== 'function' || typeof document === 'undefined') return null
+
+  try {
+    const bitmap = await createImageBitmap(file)
+    const size = thumbnailSize(bitmap.width, bitmap.height, THUMBNAIL_MAX_DIMENSION)
+    const canvas = document.createElement('canvas')
+    canvas.width = size.width
+    canvas.height = size.height
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, size.width, size.height)
+
+    const thumbnail = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.8))
+    const result = { width: bitmap.width, height: bitmap.height, thumbnail }
+    bitmap.close()
+    return result
+  } catch (error) {
+    console.error('Error creating thumbnail:', error)
+    return null
+  }
+}
+
+/**
+ * Upload a file for a message that is about to be sent; images also get a thumbnail
+ * @param {File} file - File picked in the composer
+ * @returns {Object} Result object with the attachment to pass to sendMessage
+ */
+export async function uploadMessageAttachment(file) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { kind, error: fileError } = checkAttachmentFile(file)
+    if (fileError) {
+      return { error: fileError, status: 400 }
+    }
+
+    const folder = `${authResult.user.id}/${Date.now()}-${Math.random().toString(36).slice(2, 10)}`
+    const path = `${folder}/${safeFileName(file.name)}`
+
+    const { error } = await uploadFile(MESSAGE_ATTACHMENTS_BUCKET, path, file, { contentType: file.type })
+    if (error) {
+      return { error: 'Failed to upload file', status: 500 }
+    }
+
+    const attachment = { path, thumbnail_path: null, name: file.name, type: file.type, size: file.size, width: null, height: null }
+
+    if (kind === 'image') {
+      const image = await createThumbnail(file)
+      if (image) {
+        attachment.width = image.width
+        attachment.height = image.height
+        // A missing thumbnail is not fatal; the thread falls back to the full image
+        if (image.thumbnail) {
+          const thumbnailPath = `${folder}/thumbnail.jpg`
+          const { error: thumbnailError } = await uploadFile(MESSAGE_ATTACHMENTS_BUCKET, thumbnailPath, image.thumbnail, {
+            contentType: 'image/jpeg'
+          })
+          if (!thumbnailError) attachment.thumbnail_path = thumbnailPath
+        }
+      }
+    }
+
+    return { data: attachment, status: 201 }
+  } catch (error) {
+    console.error('Error uploading message attachment:', error)
+    return { error: 'Failed to upload file', status: 500 }
+  }
+}
+
+/**
+ * Remove an uploaded attachment that was taken out of the composer before sending
+ * @param {Object} attachment - Attachment returned by uploadMessageAttachment
+ * @returns {Object} Result object
+ */
+export async function discardMessageAttachment(attachment) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { attachments, error } = normaliseAttachments([attachment], authResult.user.id)
+    if (error) {
+      return { error, status: 400 }
+    }
+
+    await removeAttachmentFiles(attachments)
+
+    return { success: true, status: 200 }
+  } catch (error) {
+    console.error('Error discarding message attachment:', error)
+    return { error: 'Failed to remove file', status: 500 }
+  }
+}
+
+/**
+ * Signed link to a message attachment. Storage only signs it for the sender and the recipient.
+ * @param {Object} attachment - Attachment from messages.metadata.attachments
+ * @param {Object} options - { variant: 'thumbnail' | 'preview' | 'download' }
+ * @returns {Object} Result object with { url }
+ */
+export async function getMessageAttachmentUrl(attachment, { variant = 'preview' } = {}) {
+  try {
+    const path = variant === 'thumbnail' ? attachment.thumbnail_path || attachment.path : attachment.path
+    const download = variant === 'download'
+
+    const { data, error } = await createSignedUrl(
+      MESSAGE_ATTACHMENTS_BUCKET,
+      path,
+      download ? DOWNLOAD_LINK_TTL_SECONDS : PREVIEW_LINK_TTL_SECONDS,
+      download ? { download: attachment.name } : {}
+    )
+    if (error || !data?.signedUrl) {
+      return { error: 'File not available', status: 403 }
+    }
+
+    return { data: { url: data.signedUrl }, status: 200 }
+  } catch (error) {
+    console.error('Error creating message attachment link:', error)
+    return { error: 'File not available', status: 500 }
+  }
+}
+
 /**
  * Start a new conversation
  * @param {string} recipientId - Recipient user ID
@@ -309,7 +915,8 @@ export async function startConversation(recipientId, initialMessage) {
 }
 
 /**
- * Mark messages as read
+ * Mark messages as read for the current member. Read state is a per-member marker, so this reads
+ * everything up to the newest of messageIds, or up to now without them.
  * @param {string} conversationId - Conversation ID
  * @param {Array} messageIds - Array of message IDs to mark as read
  * @returns {Object} Result object
@@ -323,35 +930,55 @@ export async function markMessagesAsRead(conversationId, messageIds = []) {
 
     const { user } = authResult
 
-    // Validate conversation and user participation
-    const { data: conversation } = await supabase
-      .from('conversations')
-      .select('*')
-      .eq('id', conversationId)
-      .single()
+    // Validate conversation and user membership
+    const { data: membership } = await supabase
+      .from('conversation_members')
+      .select('removed_at')
+      .eq('conversation_id', conversationId)
+      .eq('user_id', user.id)
+      .maybeSingle()
 
-    if (!conversation) {
+    if (!membership) {
       return { error: 'Conversation not found', status: 404 }
     }
 
-    if (conversation.participant1_id !== user.id && conversation.participant2_id !== user.id) {
-      return { error: 'Unauthorized', status: 403 }
+    if (membership.removed_at) {
+      return { success: true, status: 200 }
     }
 
-    let query = supabase
-      .from('messages')
-      .update({ read: true, read_at: new Date().toISOString() })
-      .eq('conversation_id', conversationId)
-      .neq('sender_id', user.id) // Don't mark own messages as read
-
+    let readUntil = new Date().toISOString()
     if (messageIds.length > 0) {
-      query = query.in('id', messageIds)
+      const { data: newest } = await supabase
+        .from('messages')
+        .select('created_at')
+        .eq('conversation_id', conversationId)
+        .in('id', messageIds)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle()
+
+      if (!newest) {
+        return { success: true, status: 200 }
+      }
+      readUntil = newest.created_at
     }
 
-    const { error } = await query
+    const { error } = await supabase.rpc('mark_conversation_read', {
+      target_conversation_id: conversationId,
+      read_until: readUntil
+    })
 
     if (error) throw error
 
+    // The conversation's message notification is no longer news
+    await supabase
+      .from('notifications')
+      .update({ is_read: true })
+      .eq('user_id', user.id)
+      .eq('type', 'message')
+      .eq('related_id', conversationId)
+      .eq('is_read', false)
+
     return { success: true, status: 200 }
   } catch (error) {
     console.error('Error marking messages as read:', error)
@@ -395,12 +1022,16 @@ export async function deleteMessage(messageId) {
       .update({ 
         deleted: true, 
         deleted_at: new Date().toISOString(),
-        content: '[Message deleted]'
+        content: '[Message deleted]',
+        metadata: { ...message.metadata, attachments: [] }
       })
       .eq('id', messageId)
 
     if (error) throw error
 
+    // Attachments are removed for good; the recipient loses access with the message
+    await removeAttachmentFiles(message.metadata?.attachments)
+
     // Log activity
     await logActivity(user.id, 'message_deleted', { 
       message_id: messageId,
@@ -415,92 +1046,265 @@ export async function deleteMessage(messageId) {
 }
 
 /**
- * Get unread message count for user
- * @param {string} userId - User ID
- * @returns {number} Unread message count
+ * Edit the text of a message. Only the sender can, within the edit window; earlier versions are kept.
+ * @param {string} messageId - Message ID
+ * @param {string} content - New content
+ * @returns {Object} Result object with the updated message
  */
-export async function getUnreadMessageCount(userId) {
+export async function editMessage(messageId, content) {
   try {
-    // Get all conversations where user is a participant
-    const { data: conversations } = await supabase
-      .from('conversations')
-      .select('id')
-      .or(`participant1_id.eq.${userId},participant2_id.eq.${userId}`)
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
 
-    if (!conversations || conversations.length === 0) {
-      return 0
+    const { user } = authResult
+
+    const { data: message } = await supabase
+      .from('messages')
+      .select('id, sender_id, content, metadata, deleted, created_at, conversation_id')
+      .eq('id', messageId)
+      .single()
+
+    if (!message) {
+      return { error: 'Message not found', status: 404 }
     }
 
-    const conversationIds = conversations.map(c => c.id)
+    if (message.sender_id !== user.id) {
+      return { error: 'Can only edit your own messages', status: 403 }
+    }
 
-    // Count unread messages in these conversations
-    const { count, error } = await supabase
+    if (!canEditMessage(message, user.id)) {
+      return { error: `Messages can only be edited for ${EDIT_WINDOW_MINUTES} minutes after sending`, status: 400 }
+    }
+
+    const text = (content || '').trim()
+    if (text.length === 0 && !message.metadata?.attachments?.length) {
+      return { error: 'Message content is required', status: 400 }
+    }
+
+    if (text.length > 2000) {
+      return { error: 'Message too long (max 2000 characters)', status: 400 }
+    }
+
+    if (text === message.content) {
+      return { data: await getMessage(messageId), status: 200 }
+    }
+
+    // The database keeps the previous version and sets edited_at
+    const { error } = await supabase
       .from('messages')
-      .select('id', { count: 'exact' })
-      .in('conversation_id', conversationIds)
-      .neq('sender_id', userId) // Not sent by the user
-      .eq('read', false)
-      .eq('deleted', false)
+      .update({ content: text })
+      .eq('id', messageId)
 
     if (error) throw error
-    return count || 0
+
+    await logActivity(user.id, 'message_edited', {
+      message_id: messageId,
+      conversation_id: message.conversation_id
+    })
+
+    return { data: await getMessage(messageId), status: 200 }
   } catch (error) {
-    console.error('Error getting unread message count:', error)
-    return 0
+    console.error('Error editing message:', error)
+    return { error: 'Failed to edit message', status: 500 }
   }
 }
 
 /**
- * Search messages
- * @param {string} userId - User ID
- * @param {string} query - Search query
- * @param {Object} options - Search options
- * @returns {Array} Array of matching messages
+ * Earlier versions of a message, oldest first. Visible to its sender and to platform admins for moderation.
+ * @param {string} messageId - Message ID
+ * @returns {Object} Result object with the versions
  */
-export async function searchMessages(userId, query, options = {}) {
+export async function getMessageEditHistory(messageId) {
   try {
-    if (!query || query.trim().length < 2) {
-      return []
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
     }
 
-    // Get user's conversations
-    const { data: conversations } = await supabase
-      .from('conversations')
+    const { data, error } = await supabase
+      .from('message_edits')
+      .select(`
+        id,
+        previous_content,
+        edit_type,
+        created_at,
+        editor:profiles!message_edits_edited_by_fkey(
+          id,
+          full_name
+        )
+      `)
+      .eq('message_id', messageId)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+
+    return { data: data || [], status: 200 }
+  } catch (error) {
+    console.error('Error getting message edit history:', error)
+    return { error: 'Failed to load message history', status: 500 }
+  }
+}
+
+/**
+ * Add or remove the current user's reaction to a message
+ * @param {string} messageId - Message ID
+ * @param {string} emoji - One of REACTION_EMOJIS
+ * @returns {Object} Result object with { reaction, removed }
+ */
+export async function toggleReaction(messageId, emoji) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+
+    if (!REACTION_EMOJIS.includes(emoji)) {
+      return { error: 'Unsupported reaction', status: 400 }
+    }
+
+    const { data: existing } = await supabase
+      .from('message_reactions')
       .select('id')
-      .or(`participant1_id.eq.${userId},participant2_id.eq.${userId}`)
+      .eq('message_id', messageId)
+      .eq('user_id', user.id)
+      .eq('emoji', emoji)
+      .maybeSingle()
 
-    if (!conversations || conversations.length === 0) {
-      return []
+    if (existing) {
+      const { error } = await supabase.from('message_reactions').delete().eq('id', existing.id)
+      if (error) throw error
+      return { data: { reaction: existing, removed: true }, status: 200 }
     }
 
-    const conversationIds = conversations.map(c => c.id)
+    // conversation_id is filled in by the database from the message
+    const { data, error } = await supabase
+      .from('message_reactions')
+      .insert({ message_id: messageId, user_id: user.id, emoji })
+      .select('id, message_id, user_id, emoji')
+      .single()
 
-    let supabaseQuery = supabase
-      .from('messages')
-      .select(`
-        *,
-        sender:profiles!messages_sender_id_fkey(
-          id,
-          full_name,
-          avatar_url
-        ),
-        conversation:conversations(
-          id,
-          participant1_id,
-          participant2_id
-        )
-      `)
-      .in('conversation_id', conversationIds)
-      .ilike('content', `%${query.trim()}%`)
-      .eq('deleted', false)
-      .order('created_at', { ascending: false })
+    if (error) {
+      if (error.code === '42501') {
+        return { error: 'Only current members can react', status: 403 }
+      }
+      throw error
+    }
 
-    if (options.limit) {
-      supabaseQuery = supabaseQuery.limit(options.limit)
+    return { data: { reaction: data, removed: false }, status: 201 }
+  } catch (error) {
+    console.error('Error toggling reaction:', error)
+    return { error: 'Failed to update reaction', status: 500 }
+  }
+}
+
+/**
+ * Mark messages waiting for the current user as delivered
+ * @param {string} conversationId - Conversation ID; every conversation when omitted
+ * @returns {Object} Result object
+ */
+export async function markMessagesDelivered(conversationId = null) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
     }
 
-    const { data, error } = await supabaseQuery
-    
+    const { error } = await supabase.rpc('mark_messages_delivered', {
+      target_conversation_id: conversationId
+    })
+
+    if (error) throw error
+
+    return { success: true, status: 200 }
+  } catch (error) {
+    console.error('Error marking messages as delivered:', error)
+    return { error: 'Failed to mark messages as delivered', status: 500 }
+  }
+}
+
+/**
+ * Record that the current user is active now. Does nothing while they hide their presence.
+ * @returns {Object} Result object
+ */
+export async function touchLastSeen() {
+  try {
+    const { error } = await supabase.rpc('touch_last_seen')
+    if (error) throw error
+    return { success: true, status: 200 }
+  } catch (error) {
+    console.error('Error updating last seen:', error)
+    return { error: 'Failed to update last seen', status: 500 }
+  }
+}
+
+/**
+ * When people were last active, for those who share their presence and a conversation with the current user
+ * @param {string[]} userIds - User IDs
+ * @returns {Object} Map of user ID to last seen timestamp
+ */
+export async function getLastSeen(userIds = []) {
+  try {
+    if (userIds.length === 0) return {}
+
+    const { data, error } = await supabase.rpc('get_last_seen', { target_user_ids: userIds })
+    if (error) throw error
+
+    return Object.fromEntries((data || []).map(row => [row.user_id, row.last_seen_at]))
+  } catch (error) {
+    console.error('Error getting last seen:', error)
+    return {}
+  }
+}
+
+/**
+ * Get unread message count for user, across direct and group conversations
+ * @param {string} userId - User ID (the signed-in user; counts follow their read markers)
+ * @returns {number} Unread message count
+ */
+export async function getUnreadMessageCount(userId) {
+  try {
+    if (!userId) {
+      return 0
+    }
+
+    const { data, error } = await supabase.rpc('get_my_conversations')
+
+    if (error) throw error
+    return (data || []).reduce((sum, c) => sum + (Number(c.unread_count) || 0), 0)
+  } catch (error) {
+    console.error('Error getting unread message count:', error)
+    return 0
+  }
+}
+
+/**
+ * Full-text search across the messages the user can see, best matches first
+ * @param {string} userId - User ID
+ * @param {string} query - Search query (web search syntax: words, "phrase", OR, -word)
+ * @param {Object} options - { conversationId, senderId, sentAfter, sentBefore, hasAttachment, limit, offset }
+ * @returns {Array} Matching messages with rank, a highlighted headline and the sender
+ */
+export async function searchMessages(userId, query, options = {}) {
+  try {
+    if (!userId || !query || query.trim().length < SEARCH_MIN_LENGTH) {
+      return []
+    }
+
+    const { data, error } = await supabase.rpc('search_messages', {
+      search_query: query.trim(),
+      target_conversation_id: options.conversationId || null,
+      target_sender_id: options.senderId || null,
+      sent_after: options.sentAfter || null,
+      sent_before: options.sentBefore || null,
+      with_attachments: Boolean(options.hasAttachment),
+      result_limit: options.limit || SEARCH_PAGE_SIZE,
+      result_offset: options.offset || 0
+    })
+
     if (error) throw error
     return data || []
   } catch (error) {
@@ -608,17 +1412,14 @@ export async function getConversationStats(conversationId) {
         .eq('conversation_id', conversationId)
         .eq('deleted', false),
       
-      supabase
-        .from('messages')
-        .select('id', { count: 'exact' })
-        .eq('conversation_id', conversationId)
-        .eq('read', false)
-        .eq('deleted', false)
+      supabase.rpc('get_my_conversations')
     ])
 
+    const summary = (unreadResult.data || []).find(c => c.conversation_id === conversationId)
+
     return {
       totalMessages: totalResult.count || 0,
-      unreadMessages: unreadResult.count || 0
+      unreadMessages: Number(summary?.unread_count) || 0
     }
   } catch (error) {
     console.error('Error getting conversation stats:', error)
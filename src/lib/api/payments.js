@@ -0,0 +1,105 @@
+import { supabase } from '@/lib/supabase'
+import { requireAuth } from './auth'
+import { summarizeEarnings } from '@/lib/payments'
+
+/**
+ * Call one of the payment API routes with the current user's access token
+ * @param {string} path - Route path
+ * @param {Object} body - JSON body
+ * @returns {Object} Result object
+ */
+async function postPaymentRoute(path, body) {
+  const { data: { session } } = await supabase.auth.getSession()
+  if (!session) {
+    return { error: 'Authentication required', status: 401 }
+  }
+
+  const response = await fetch(path, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${session.access_token}`
+    },
+    body: JSON.stringify(body)
+  })
+  const json = await response.json().catch(() => ({}))
+
+  if (!response.ok) {
+    return { error: json.error || 'Payment request failed', status: response.status }
+  }
+  return { data: json.data, status: response.status }
+}
+
+/**
+ * Start checkout for a session awaiting payment
+ * @param {string} sessionId - Session ID
+ * @returns {Object} Result object with { clientSecret, amount, currency, expiresAt }
+ */
+export async function startSessionCheckout(sessionId) {
+  try {
+    return await postPaymentRoute('/api/payments/intent', { sessionId })
+  } catch (error) {
+    console.error('Error starting checkout:', error)
+    return { error: 'Failed to start payment', status: 500 }
+  }
+}
+
+/**
+ * Ask for the refund a cancelled session is entitled to under the cancellation policy
+ * @param {string} sessionId - Session ID
+ * @returns {Object} Result object with { refunded, refundId | reason }
+ */
+export async function requestSessionRefund(sessionId) {
+  try {
+    return await postPaymentRoute('/api/payments/refund', { sessionId })
+  } catch (error) {
+    console.error('Error requesting refund:', error)
+    return { error: 'Failed to request refund', status: 500 }
+  }
+}
+
+/**
+ * Get the current mentor's paid sessions and earnings summary
+ * @returns {Object} Result object with { transactions, summary, currency }
+ */
+export async function getMentorEarnings() {
+  try {
+    const authResult = await requireAuth(['mentor'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { data: mentorProfile } = await supabase
+      .from('mentor_profiles')
+      .select('id, currency')
+      .eq('user_id', authResult.user.id)
+      .single()
+
+    if (!mentorProfile) {
+      return { error: 'Mentor profile not found', status: 404 }
+    }
+
+    const { data, error } = await supabase
+      .from('transactions')
+      .select(`
+        *,
+        session:mentorship_sessions(id, scheduled_at, ends_at, status, mentee:profiles!mentorship_sessions_mentee_id_fkey(full_name))
+      `)
+      .eq('mentor_id', mentorProfile.id)
+      .order('created_at', { ascending: false })
+
+    if (error) throw error
+
+    return {
+      data: {
+        transactions: data || [],
+        summary: summarizeEarnings(data || []),
+        currency: mentorProfile.currency || 'USD'
+      },
+      status: 200
+    }
+  } catch (error) {
+    console.error('Error getting mentor earnings:', error)
+    return { error: 'Failed to load earnings', status: 500 }
+  }
+}
@@ -0,0 +1,168 @@
+import { supabase, uploadFile, createSignedUrl } from '@/lib/supabase'
+import { requireAuth } from './auth'
+import { toCsv } from './portfolio'
+import {
+  normaliseForm,
+  applicationCsvTable,
+  APPLICATION_FILES_BUCKET,
+  APPLICATION_FILE_MAX_SIZE
+} from '@/lib/applicationForms'
+
+/** Reviewers get a fresh short-lived link for every open */
+const FILE_LINK_TTL_SECONDS = 60
+
+/**
+ * Get a pitch event with its application form
+ * @param {string} eventId - Event ID
+ * @returns {Object} Result object with the event
+ */
+export async function getApplicationForm(eventId) {
+  try {
+    const { data: event, error } = await supabase
+      .from('events')
+      .select('id, title, description, start_date, registration_deadline, organizer_id, application_form')
+      .eq('id', eventId)
+      .eq('event_type', 'pitch_event')
+      .single()
+
+    if (error || !event) {
+      return { error: 'Pitch event not found', status: 404 }
+    }
+
+    return { data: { ...event, application_form: event.application_form || [] }, status: 200 }
+  } catch (error) {
+    console.error('Error getting application form:', error)
+    return { error: 'Failed to load application form', status: 500 }
+  }
+}
+
+/**
+ * Save the event's application form. Existing answers keep their field ids, so relabelling
+ * a field is safe; removed fields simply stop appearing for reviewers.
+ * @param {string} eventId - Event ID
+ * @param {Object[]} fields - Form fields from the builder
+ * @returns {Object} Result object with the saved form
+ */
+export async function updateApplicationForm(eventId, fields) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { form, error: formError } = normaliseForm(fields)
+    if (formError) {
+      return { error: formError, status: 400 }
+    }
+
+    const { data, error } = await supabase
+      .from('events')
+      .update({ application_form: form })
+      .eq('id', eventId)
+      .eq('organizer_id', authResult.user.id)
+      .select('id')
+
+    if (error) throw error
+    if (!data?.length) {
+      return { error: 'Only the event organizer can edit the application form', status: 403 }
+    }
+
+    return { data: form, status: 200 }
+  } catch (error) {
+    console.error('Error updating application form:', error)
+    return { error: 'Failed to save application form', status: 500 }
+  }
+}
+
+/**
+ * Upload a file for a file field before submitting the application
+ * @param {string} eventId - Event ID
+ * @param {File} file - File to upload
+ * @returns {Object} Result object with the answer value { path, name, size, type }
+ */
+export async function uploadApplicationFile(eventId, file) {
+  try {
+    const authResult = await requireAuth(['startup'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    if (file.size > APPLICATION_FILE_MAX_SIZE) {
+      return { error: 'Files must be 20 MB or smaller', status: 400 }
+    }
+
+    const safeName = file.name.replace(/[^a-zA-Z0-9._-]/g, '_')
+    const path = `${authResult.user.id}/${eventId}/${Date.now()}-${safeName}`
+
+    const { error } = await uploadFile(APPLICATION_FILES_BUCKET, path, file, {
+      contentType: file.type || undefined
+    })
+
+    if (error) {
+      return { error: 'Failed to upload file', status: 500 }
+    }
+
+    return { data: { path, name: file.name, size: file.size, type: file.type || null }, status: 201 }
+  } catch (error) {
+    console.error('Error uploading application file:', error)
+    return { error: 'Failed to upload file', status: 500 }
+  }
+}
+
+/**
+ * Short-lived link to an uploaded application file, for the applicant, organizer and judges
+ * @param {Object} file - File answer { path, name }
+ * @returns {Object} Result object with { url }
+ */
+export async function getApplicationFileUrl(file) {
+  try {
+    const { data, error } = await createSignedUrl(APPLICATION_FILES_BUCKET, file.path, FILE_LINK_TTL_SECONDS)
+    if (error || !data?.signedUrl) {
+      return { error: 'Failed to open file', status: 403 }
+    }
+    return { data: { url: data.signedUrl }, status: 200 }
+  } catch (error) {
+    console.error('Error creating application file link:', error)
+    return { error: 'Failed to open file', status: 500 }
+  }
+}
+
+/**
+ * All applications for an event as CSV, one column per form field
+ * @param {string} eventId - Event ID
+ * @returns {Object} Result object with { filename, csv }
+ */
+export async function exportPitchApplicationsCsv(eventId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { data: event } = await supabase
+      .from('events')
+      .select('id, title, organizer_id, application_form')
+      .eq('id', eventId)
+      .single()
+
+    if (!event || (event.organizer_id !== authResult.user.id && authResult.profile.role !== 'admin')) {
+      return { error: 'Unauthorized', status: 403 }
+    }
+
+    const { data: applications, error } = await supabase
+      .from('pitch_applications')
+      .select('id, status, applied_at, pitch_deck_url, application_answers, startup:startup_profiles(company_name)')
+      .eq('event_id', eventId)
+      .order('applied_at', { ascending: true })
+
+    if (error) throw error
+
+    const { columns, rows } = applicationCsvTable(event.application_form || [], applications || [])
+    const slug = event.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+
+    return { data: { filename: `${slug || 'pitch'}-applications.csv`, csv: toCsv(columns, rows) }, status: 200 }
+  } catch (error) {
+    console.error('Error exporting pitch applications:', error)
+    return { error: 'Failed to export applications', status: 500 }
+  }
+}
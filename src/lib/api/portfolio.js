@@ -0,0 +1,373 @@
+import { supabase } from '@/lib/supabase'
+import { requireAuth, sendNotification, logActivity } from './auth'
+import { getPipelineStages } from './dealPipeline'
+
+export const DEFAULT_RUNWAY_ALERT_MONTHS = 6
+
+/** Numeric KPIs a startup reports each month, in display order */
+export const KPI_FIELDS = [
+  { key: 'mrr', label: 'MRR', format: 'currency' },
+  { key: 'monthly_burn', label: 'Monthly burn', format: 'currency' },
+  { key: 'cash_balance', label: 'Cash balance', format: 'currency' },
+  { key: 'runway_months', label: 'Runway (months)', format: 'months' },
+  { key: 'headcount', label: 'Headcount', format: 'number' }
+]
+
+/**
+ * Months of runway left at the current burn (null when the company isn't burning cash)
+ * Mirrors the generated runway_months column on startup_kpi_reports.
+ */
+export function computeRunway(cashBalance, monthlyBurn) {
+  const cash = Number(cashBalance)
+  const burn = Number(monthlyBurn)
+  if (!Number.isFinite(cash) || !Number.isFinite(burn) || burn <= 0) return null
+  return Math.round((cash / burn) * 10) / 10
+}
+
+/** First day of the month a date falls in, as YYYY-MM-DD */
+export function toPeriodStart(date) {
+  const d = new Date(date)
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-01`
+}
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Serialise rows to CSV
+ * @param {Array<{key:string, label:string}>} columns - Columns in output order
+ * @param {Array<Object>} rows - Rows keyed by column key
+ * @returns {string} CSV text with a header row
+ */
+export function toCsv(columns, rows) {
+  return [
+    columns.map((c) => csvCell(c.label)).join(','),
+    ...rows.map((row) => columns.map((c) => csvCell(row[c.key])).join(','))
+  ].join('\n')
+}
+
+/** Chart points ({ label, value }) for one KPI from reports in chronological order */
+export function kpiChartPoints(reports, key) {
+  return reports.map((r) => ({ label: r.period_start.slice(0, 7), value: r[key] }))
+}
+
+/** KPI reports as CSV, one row per month */
+export function kpiReportsCsv(reports) {
+  return toCsv([{ key: 'period_start', label: 'Month' }, ...KPI_FIELDS, { key: 'notes', label: 'Notes' }], reports)
+}
+
+/**
+ * Format a KPI value for display
+ * @param {string} format - 'currency', 'months' or 'number' (see KPI_FIELDS)
+ * @param {number|null} value - Raw value
+ * @returns {string}
+ */
+export function formatKpiValue(format, value) {
+  if (value === null || value === undefined || value === '') return '—'
+  const n = Number(value)
+  if (format === 'currency') return `$${Math.round(n).toLocaleString()}`
+  if (format === 'months') return `${n.toFixed(1)} mo`
+  return n.toLocaleString()
+}
+
+/**
+ * Trigger a browser download of CSV text
+ * @param {string} filename - File name including .csv
+ * @param {string} csv - CSV content
+ */
+export function downloadCsv(filename, csv) {
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Submit (or replace) the current startup's KPI report for a month.
+ * Portfolio investors whose runway threshold is crossed are notified.
+ * @param {Object} report - { periodStart, mrr, monthlyBurn, cashBalance, headcount, notes }
+ * @returns {Object} Result object
+ */
+export async function submitKpiReport(report) {
+  try {
+    const authResult = await requireAuth(['startup'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user, profile } = authResult
+
+    if (!report.periodStart) {
+      return { error: 'Choose the month this report covers', status: 400 }
+    }
+
+    const values = {
+      mrr: report.mrr,
+      monthly_burn: report.monthlyBurn,
+      cash_balance: report.cashBalance,
+      headcount: report.headcount
+    }
+    for (const [key, value] of Object.entries(values)) {
+      if (value === '' || value === null || value === undefined) {
+        values[key] = null
+        continue
+      }
+      const n = Number(value)
+      if (!Number.isFinite(n) || n < 0) {
+        return { error: `${KPI_FIELDS.find((f) => f.key === key).label} must be a positive number`, status: 400 }
+      }
+      values[key] = key === 'headcount' ? Math.round(n) : n
+    }
+
+    const periodStart = toPeriodStart(report.periodStart)
+    if (new Date(periodStart) > new Date()) {
+      return { error: 'Reports can only cover the current or past months', status: 400 }
+    }
+
+    const { data, error } = await supabase
+      .from('startup_kpi_reports')
+      .upsert({
+        startup_id: user.id,
+        period_start: periodStart,
+        ...values,
+        notes: report.notes?.trim() || null,
+        submitted_by: user.id
+      }, { onConflict: 'startup_id,period_start' })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    await logActivity(user.id, 'kpi_report_submitted', { period_start: periodStart })
+
+    if (data.runway_months !== null) {
+      await notifyRunwayAlerts(profile?.full_name, data)
+    }
+
+    return { data, status: 200 }
+  } catch (error) {
+    console.error('Error submitting KPI report:', error)
+    return { error: 'Failed to submit KPI report', status: 500 }
+  }
+}
+
+/**
+ * Notify portfolio investors whose runway threshold the report falls below.
+ * Only the most recent report alerts; get_runway_alert_recipients resolves the investors.
+ */
+async function notifyRunwayAlerts(startupName, report) {
+  const { data: recipients, error } = await supabase.rpc('get_runway_alert_recipients', {
+    target_report_id: report.id
+  })
+
+  // The report is already saved; a failed lookup only skips the alerts
+  if (error) {
+    console.error('Error resolving runway alert recipients:', error)
+    return
+  }
+
+  for (const { investor_id: investorId, runway_alert_months: threshold } of recipients || []) {
+    await sendNotification(investorId, {
+      type: 'portfolio_alert',
+      title: 'Portfolio runway alert',
+      content: `${startupName || 'A portfolio company'} reported ${report.runway_months} months of runway (your alert threshold is ${threshold}).`,
+      related_id: report.id
+    })
+  }
+}
+
+/**
+ * Get a startup's KPI reports, oldest first
+ * @param {string} startupId - Startup user ID
+ * @returns {Object} Result object
+ */
+export async function getKpiReports(startupId) {
+  try {
+    const { data, error } = await supabase
+      .from('startup_kpi_reports')
+      .select('*')
+      .eq('startup_id', startupId)
+      .order('period_start', { ascending: true })
+
+    if (error) throw error
+
+    return { data: data || [], status: 200 }
+  } catch (error) {
+    console.error('Error getting KPI reports:', error)
+    return { error: 'Failed to load KPI reports', status: 500 }
+  }
+}
+
+/**
+ * Delete one of the current startup's KPI reports
+ * @param {string} reportId - Report ID
+ * @returns {Object} Result object
+ */
+export async function deleteKpiReport(reportId) {
+  try {
+    const authResult = await requireAuth(['startup'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { error } = await supabase
+      .from('startup_kpi_reports')
+      .delete()
+      .eq('id', reportId)
+      .eq('startup_id', authResult.user.id)
+
+    if (error) throw error
+
+    return { data: { id: reportId }, status: 200 }
+  } catch (error) {
+    console.error('Error deleting KPI report:', error)
+    return { error: 'Failed to delete KPI report', status: 500 }
+  }
+}
+
+/**
+ * Build an investor's portfolio: companies funded through the platform with amount invested,
+ * rounds, current status and latest KPIs.
+ * @param {string} investorId - Investor user ID
+ * @returns {Object} { companies, threshold }
+ */
+export async function buildPortfolio(investorId) {
+  const [{ data: commitments }, { data: deals }, { data: investorProfile }] = await Promise.all([
+    supabase
+      .from('funding_round_commitments')
+      .select('amount, committed_at, is_lead, round:funding_rounds!round_id(id, name, instrument, status, startup_id)')
+      .eq('investor_id', investorId)
+      .not('confirmed_at', 'is', null),
+    supabase
+      .from('investment_deals')
+      .select('startup_id, stage_key, closed_at')
+      .eq('investor_id', investorId),
+    supabase
+      .from('investor_profiles')
+      .select('runway_alert_months')
+      .eq('user_id', investorId)
+      .maybeSingle()
+  ])
+
+  const stages = await getPipelineStages(investorId)
+  const stageByKey = new Map(stages.map((s) => [s.stage_key, s]))
+  const threshold = investorProfile?.runway_alert_months || DEFAULT_RUNWAY_ALERT_MONTHS
+
+  const companies = new Map()
+  const companyFor = (startupId) => {
+    if (!companies.has(startupId)) {
+      companies.set(startupId, { startupId, invested: 0, rounds: [], firstInvestedAt: null, dealStage: null })
+    }
+    return companies.get(startupId)
+  }
+
+  for (const c of commitments || []) {
+    if (!c.round) continue
+    const company = companyFor(c.round.startup_id)
+    company.invested += Number(c.amount || 0)
+    company.rounds.push({ ...c.round, amount: Number(c.amount || 0), committedAt: c.committed_at, isLead: c.is_lead })
+    if (c.committed_at && (!company.firstInvestedAt || c.committed_at < company.firstInvestedAt)) {
+      company.firstInvestedAt = c.committed_at
+    }
+  }
+
+  for (const deal of deals || []) {
+    const stage = stageByKey.get(deal.stage_key)
+    if (stage?.stage_type === 'won') {
+      companyFor(deal.startup_id).dealStage = stage.name
+    } else if (companies.has(deal.startup_id) && stage) {
+      companies.get(deal.startup_id).dealStage = stage.name
+    }
+  }
+
+  const startupIds = Array.from(companies.keys())
+  if (!startupIds.length) return { companies: [], threshold }
+
+  const [{ data: startupProfiles }, { data: reports }] = await Promise.all([
+    supabase
+      .from('startup_profiles')
+      .select('user_id, company_name, slug, logo_url, industry, funding_stage')
+      .in('user_id', startupIds),
+    supabase
+      .from('startup_kpi_reports')
+      .select('*')
+      .in('startup_id', startupIds)
+      .order('period_start', { ascending: false })
+  ])
+
+  const profileByUser = new Map((startupProfiles || []).map((p) => [p.user_id, p]))
+  const latestByStartup = new Map()
+  for (const report of reports || []) {
+    if (!latestByStartup.has(report.startup_id)) latestByStartup.set(report.startup_id, report)
+  }
+
+  return {
+    companies: Array.from(companies.values())
+      .map((company) => {
+        const latestReport = latestByStartup.get(company.startupId) || null
+        const runway = latestReport?.runway_months
+        return {
+          ...company,
+          company: profileByUser.get(company.startupId) || null,
+          latestReport,
+          runwayAlert: runway !== null && runway !== undefined && Number(runway) < threshold
+        }
+      })
+      .sort((a, b) => b.invested - a.invested),
+    threshold
+  }
+}
+
+/**
+ * Get the current investor's portfolio
+ * @returns {Object} Result object with { companies, threshold }
+ */
+export async function getPortfolio() {
+  try {
+    const authResult = await requireAuth(['investor'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    return { data: await buildPortfolio(authResult.user.id), status: 200 }
+  } catch (error) {
+    console.error('Error getting portfolio:', error)
+    return { error: 'Failed to load portfolio', status: 500 }
+  }
+}
+
+/**
+ * Set the runway (months) below which the current investor is alerted
+ * @param {number} months - Threshold in months
+ * @returns {Object} Result object
+ */
+export async function updateRunwayAlertThreshold(months) {
+  try {
+    const authResult = await requireAuth(['investor'])
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const value = Math.round(Number(months))
+    if (!Number.isFinite(value) || value < 1 || value > 60) {
+      return { error: 'Threshold must be between 1 and 60 months', status: 400 }
+    }
+
+    const { error } = await supabase
+      .from('investor_profiles')
+      .update({ runway_alert_months: value })
+      .eq('user_id', authResult.user.id)
+
+    if (error) throw error
+
+    return { data: { runway_alert_months: value }, status: 200 }
+  } catch (error) {
+    console.error('Error updating runway alert threshold:', error)
+    return { error: 'Failed to update alert threshold', status: 500 }
+  }
+}
@@ -0,0 +1,354 @@
+import { supabase, supabaseAdmin } from '@/lib/supabase'
+import { requireAuth, logActivity } from './auth'
+import hybridRecommendation from '@/app/recommendation_engine/hybridRecommendation'
+import recommendationQuery from '@/app/recommendation_engine/recommendationQuery'
+
+const { toProfileFeatures, rankHybrid } = hybridRecommendation
+const { passesRoleMatch, matchesFilters, paginateRanked } = recommendationQuery
+
+// Role-specific tables and the columns the hybrid recommender needs from them
+const ROLE_PROFILE_SOURCES = {
+  startup: {
+    table: 'startup_profiles',
+    columns: 'id, user_id, company_name, industry, stage, funding_stage, funding_goal, location, slug, logo_url'
+  },
+  mentor: {
+    table: 'mentor_profiles',
+    columns: 'id, user_id, expertise_tags, years_experience, availability, is_paid, hourly_rate, company, job_title'
+  },
+  investor: {
+    table: 'investor_profiles',
+    columns: 'id, user_id, sectors, investment_stage, geographic_focus, ticket_size_min, ticket_size_max, fund_name'
+  }
+}
+
+/** Candidate profiles read (and given features) per query when walking the pool */
+const CANDIDATE_PAGE_SIZE = 300
+
+/** Feedback actions a user can take on a recommendation card */
+export const RECOMMENDATION_FEEDBACK_ACTIONS = ['saved', 'dismissed', 'not_interested']
+
+/** Reasons offered for "not interested" */
+export const NOT_INTERESTED_REASONS = [
+  { value: 'wrong_sector', label: 'Wrong sector' },
+  { value: 'wrong_stage', label: 'Wrong stage' },
+  { value: 'wrong_location', label: 'Wrong location' },
+  { value: 'outside_ticket_size', label: 'Outside ticket size' },
+  { value: 'already_know', label: 'Already know them' },
+  { value: 'not_relevant', label: 'Not relevant' },
+  { value: 'other', label: 'Other' }
+]
+
+/**
+ * Attach role profiles and comparable features to base profile rows
+ * @param {Array} profiles - Rows from the profiles table
+ * @returns {Array} Profiles with roleProfile and features
+ */
+async function withFeatures(profiles) {
+  const idsByRole = {}
+  profiles.forEach((p) => {
+    if (!ROLE_PROFILE_SOURCES[p.role]) return
+    if (!idsByRole[p.role]) idsByRole[p.role] = []
+    idsByRole[p.role].push(p.id)
+  })
+
+  const roleRows = await Promise.all(
+    Object.entries(idsByRole).map(async ([role, ids]) => {
+      const { table, columns } = ROLE_PROFILE_SOURCES[role]
+      const { data, error } = await supabase
+        .from(table)
+        .select(columns)
+        .in('user_id', ids)
+
+      if (error) throw error
+      return data || []
+    })
+  )
+
+  const roleProfileByUser = new Map(roleRows.flat().map((row) => [row.user_id, row]))
+
+  return profiles
+    .filter((p) => ROLE_PROFILE_SOURCES[p.role])
+    .map((p) => {
+      const roleProfile = roleProfileByUser.get(p.id) || null
+      return {
+        ...p,
+        roleProfile,
+        features: toProfileFeatures(p.role, roleProfile, p)
+      }
+    })
+}
+
+/**
+ * Every user with one of the target roles, with features, read a page at a time so no part of the
+ * pool is cut off
+ * @param {string} userId - User to recommend for (left out of the pool)
+ * @param {string[]} targetRoles - Roles to recommend
+ * @returns {Promise<Array>} Profiles with roleProfile and features
+ */
+async function loadCandidatePool(userId, targetRoles) {
+  const candidates = []
+  for (let from = 0; ; from += CANDIDATE_PAGE_SIZE) {
+    // Ordered so pages neither overlap nor skip rows
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('id, role, full_name, avatar_url, location')
+      .in('role', targetRoles)
+      .neq('id', userId)
+      .order('id')
+      .range(from, from + CANDIDATE_PAGE_SIZE - 1)
+
+    if (error) throw error
+    candidates.push(...await withFeatures(data || []))
+    if (!data || data.length < CANDIDATE_PAGE_SIZE) return candidates
+  }
+}
+
+/**
+ * Get recommendation features for specific users
+ * @param {string[]} userIds - User IDs
+ * @returns {Map<string, Object>} Map of user ID to profile with features
+ */
+export async function getRecommendationProfiles(userIds) {
+  try {
+    if (!userIds?.length) return new Map()
+
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('id, role, full_name, avatar_url, location')
+      .in('id', userIds)
+
+    if (error) throw error
+
+    const profiles = await withFeatures(data || [])
+    return new Map(profiles.map((p) => [p.id, p]))
+  } catch (error) {
+    console.error('Error getting recommendation profiles:', error)
+    return new Map()
+  }
+}
+
+/**
+ * Rank users for a recommendation target with the hybrid (graph + content) recommender.
+ * Users without graph history are ranked on profile content alone.
+ * Role match rules and hard filters are applied after scoring, then the list is paginated
+ * with a stable cursor.
+ * @param {string} userId - User to recommend for
+ * @param {Object} options - Ranking options
+ * @param {string[]} options.targetRoles - Roles to recommend
+ * @param {number} options.topK - Number of results (page size)
+ * @param {Object} options.embeddings - Node2Vec embeddings (optional)
+ * @param {Object} options.weights - Hybrid weights { graph, content }
+ * @param {Object} options.featureWeights - Per-feature content weights
+ * @param {Object} options.feedback - Feedback signals from toFeedbackSignals (optional)
+ * @param {Object} options.filters - Hard filters (see parseRecommendationFilters)
+ * @param {boolean} options.roleMatch - Apply role match rules, e.g. investors must fit the startup's stage (default true)
+ * @param {string} options.cursor - Cursor from a previous page
+ * @returns {Object} { source, data, nextCursor, total } where data is the ranked candidates with scores
+ */
+export async function getHybridRecommendations(userId, options = {}) {
+  const {
+    targetRoles = [],
+    topK = 8,
+    embeddings = {},
+    weights,
+    featureWeights,
+    feedback = null,
+    filters = {},
+    roleMatch = true,
+    cursor = null
+  } = options
+
+  try {
+    const sourceProfiles = await getRecommendationProfiles([userId])
+    const source = sourceProfiles.get(userId)
+    if (!source) {
+      return { source: null, data: [], nextCursor: null, total: 0 }
+    }
+
+    const candidates = targetRoles.length ? await loadCandidatePool(userId, targetRoles) : []
+    const candidateById = new Map(candidates.map((c) => [c.id, c]))
+
+    // Features of saved / rejected profiles, to compare candidates without embeddings against
+    const feedbackProfiles = new Map()
+    if (feedback) {
+      const feedbackIds = [...(feedback.savedIds || []), ...(feedback.rejectedIds || [])]
+      const missing = feedbackIds.filter((id) => !candidateById.has(id))
+      const fetched = await getRecommendationProfiles(missing)
+      feedbackIds.forEach((id) => {
+        const profile = candidateById.get(id) || fetched.get(id)
+        if (profile) feedbackProfiles.set(id, profile.features)
+      })
+    }
+
+    const ranked = rankHybrid(userId, source.features, candidates, embeddings, {
+      weights,
+      featureWeights,
+      feedback,
+      feedbackProfiles
+    })
+      .map((r) => ({ ...candidateById.get(r.id), ...r }))
+      .filter((r) => (!roleMatch || passesRoleMatch(source.features, r)) && matchesFilters(r, filters))
+
+    const { items, nextCursor } = paginateRanked(ranked, { limit: topK, cursor })
+
+    return {
+      source,
+      data: items,
+      nextCursor,
+      total: ranked.length
+    }
+  } catch (error) {
+    console.error('Error getting hybrid recommendations:', error)
+    return { source: null, data: [], nextCursor: null, total: 0 }
+  }
+}
+
+/**
+ * Save, dismiss or mark a recommendation as not interested for the current user.
+ * Only the latest action per recommended user is kept.
+ * @param {string} targetUserId - Recommended user ID
+ * @param {string} action - One of RECOMMENDATION_FEEDBACK_ACTIONS
+ * @param {Object} options - Feedback details
+ * @param {string} options.reason - Reason for not_interested (see NOT_INTERESTED_REASONS)
+ * @param {string} options.reasonDetails - Free-text details
+ * @param {string} options.source - Recommendation source the card came from
+ * @returns {Object} Result object
+ */
+export async function submitRecommendationFeedback(targetUserId, action, options = {}) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { user } = authResult
+
+    if (!RECOMMENDATION_FEEDBACK_ACTIONS.includes(action)) {
+      return { error: 'Invalid feedback action', status: 400 }
+    }
+
+    if (user.id === targetUserId) {
+      return { error: 'Cannot give feedback on yourself', status: 400 }
+    }
+
+    const reason = action === 'not_interested' ? options.reason || 'not_relevant' : null
+    if (reason && !NOT_INTERESTED_REASONS.some((r) => r.value === reason)) {
+      return { error: 'Invalid reason', status: 400 }
+    }
+
+    const { data, error } = await supabase
+      .from('recommendation_feedback')
+      .upsert({
+        user_id: user.id,
+        target_user_id: targetUserId,
+        action,
+        reason,
+        reason_details: reason ? options.reasonDetails || null : null,
+        source: options.source || null
+      }, { onConflict: 'user_id,target_user_id' })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    await logActivity(user.id, 'recommendation_feedback', {
+      target_id: targetUserId,
+      action,
+      reason,
+      source: options.source || null
+    })
+
+    return { data, status: 200 }
+  } catch (error) {
+    console.error('Error submitting recommendation feedback:', error)
+    return { error: 'Failed to save recommendation feedback', status: 500 }
+  }
+}
+
+/**
+ * Undo feedback on a recommendation (e.g. unsave)
+ * @param {string} targetUserId - Recommended user ID
+ * @returns {Object} Result object
+ */
+export async function removeRecommendationFeedback(targetUserId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { error } = await supabase
+      .from('recommendation_feedback')
+      .delete()
+      .eq('user_id', authResult.user.id)
+      .eq('target_user_id', targetUserId)
+
+    if (error) throw error
+    return { data: { target_user_id: targetUserId }, status: 200 }
+  } catch (error) {
+    console.error('Error removing recommendation feedback:', error)
+    return { error: 'Failed to remove recommendation feedback', status: 500 }
+  }
+}
+
+/**
+ * Get a user's recommendation feedback
+ * @param {string} userId - User ID
+ * @returns {Array} Feedback rows
+ */
+export async function getRecommendationFeedback(userId) {
+  try {
+    const { data, error } = await (supabaseAdmin || supabase)
+      .from('recommendation_feedback')
+      .select('target_user_id, action, reason, source, updated_at')
+      .eq('user_id', userId)
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error getting recommendation feedback:', error)
+    return []
+  }
+}
+
+/**
+ * Turn feedback rows into the signals used by the ranking functions
+ * @param {Array} feedbackRows - Rows from getRecommendationFeedback
+ * @returns {Object} { excludeIds, savedIds, rejectedIds }
+ */
+export function toFeedbackSignals(feedbackRows = []) {
+  const signals = { excludeIds: [], savedIds: [], rejectedIds: [] }
+  feedbackRows.forEach((row) => {
+    if (row.action === 'saved') {
+      signals.savedIds.push(row.target_user_id)
+    } else {
+      signals.excludeIds.push(row.target_user_id)
+      signals.rejectedIds.push(row.target_user_id)
+    }
+  })
+  return signals
+}
+
+/**
+ * Record which recommendations were shown, for acceptance rates per source.
+ * Only the first impression per (user, recommended user, source) is kept.
+ * @param {string} userId - User the recommendations were shown to
+ * @param {Array} items - Recommendations with id and source
+ */
+export async function recordRecommendationImpressions(userId, items = []) {
+  try {
+    const rows = items
+      .filter((item) => item.id && item.source)
+      .map((item) => ({ user_id: userId, target_user_id: item.id, source: item.source }))
+    if (!rows.length) return
+
+    const { error } = await (supabaseAdmin || supabase)
+      .from('recommendation_impressions')
+      .upsert(rows, { onConflict: 'user_id,target_user_id,source', ignoreDuplicates: true })
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error recording recommendation impressions:', error)
+  }
+}
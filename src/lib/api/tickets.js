@@ -0,0 +1,120 @@
+import { supabase } from '@/lib/supabase'
+import { requireAuth, logActivity } from './auth'
+
+/**
+ * Get the signed ticket for one of the current user's confirmed registrations
+ * @param {string} registrationId - Registration ID
+ * @returns {Object} Result object with { token }
+ */
+export async function getEventTicket(registrationId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { data: token, error } = await supabase.rpc('issue_event_ticket', {
+      target_registration_id: registrationId
+    })
+
+    if (error) throw error
+    if (!token) {
+      return { error: 'Tickets are only available for confirmed registrations', status: 403 }
+    }
+
+    return { data: { token }, status: 200 }
+  } catch (error) {
+    console.error('Error getting event ticket:', error)
+    return { error: 'Failed to load ticket', status: 500 }
+  }
+}
+
+/**
+ * Everything the organizer's check-in screen needs to keep working offline:
+ * the event, its ticket signing secret and the roster of confirmed attendees
+ * @param {string} eventId - Event ID
+ * @returns {Object} Result object with { event, key, roster }
+ */
+export async function getCheckInData(eventId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { data: event } = await supabase
+      .from('events')
+      .select('id, title, start_date, end_date, location, organizer_id, max_participants')
+      .eq('id', eventId)
+      .single()
+
+    if (!event) {
+      return { error: 'Event not found', status: 404 }
+    }
+
+    if (event.organizer_id !== authResult.user.id) {
+      return { error: 'Only the event organizer can check in attendees', status: 403 }
+    }
+
+    const [keyResult, rosterResult] = await Promise.all([
+      supabase.rpc('get_event_ticket_key', { target_event_id: eventId }),
+      supabase
+        .from('event_registrations')
+        .select('id, status, checked_in_at, user:profiles!event_registrations_user_id_fkey(full_name, role)')
+        .eq('event_id', eventId)
+        .in('status', ['confirmed', 'attended'])
+    ])
+
+    if (keyResult.error) throw keyResult.error
+    if (rosterResult.error) throw rosterResult.error
+
+    return {
+      data: { event, key: keyResult.data, roster: rosterResult.data || [] },
+      status: 200
+    }
+  } catch (error) {
+    console.error('Error loading check-in data:', error)
+    return { error: 'Failed to load check-in data', status: 500 }
+  }
+}
+
+/**
+ * Check in a scanned ticket. Offline scans pass the time they were scanned when synced.
+ * @param {string} eventId - Event ID
+ * @param {string} token - Scanned ticket token
+ * @param {string} scannedAt - ISO time of the scan (defaults to now)
+ * @returns {Object} Result object with { result, registration_id, attendee_name, checked_in_at }
+ */
+export async function checkInTicket(eventId, token, scannedAt = new Date().toISOString()) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const { data, error } = await supabase
+      .rpc('check_in_event_ticket', {
+        ticket: token,
+        target_event_id: eventId,
+        scanned_at: scannedAt
+      })
+      .single()
+
+    if (error?.code === '42501') {
+      return { error: 'Only the event organizer can check in attendees', status: 403 }
+    }
+    if (error) throw error
+
+    if (data.result === 'checked_in') {
+      await logActivity(authResult.user.id, 'event_attendee_checked_in', {
+        event_id: eventId,
+        registration_id: data.registration_id
+      })
+    }
+
+    return { data, status: 200 }
+  } catch (error) {
+    console.error('Error checking in ticket:', error)
+    return { error: 'Failed to check in ticket', status: 500 }
+  }
+}
@@ -0,0 +1,338 @@
+import { supabase } from '@/lib/supabase'
+import { requireAuth, sendNotification, logActivity } from './auth'
+import { normaliseHosting, normaliseMeetingLink, joinWindowState, linkRevealAt } from '@/lib/virtualEvents'
+
+const HOSTING_EVENT_COLUMNS = 'id, title, start_date, end_date, status, is_virtual, organizer_id, series_id, link_reveal_minutes, recording_visibility'
+
+const JOIN_LINK_KINDS = ['main', 'breakout']
+
+/**
+ * Replace the main and breakout links of some events or of a series. Callers check who may host them.
+ * @param {Object} target - { eventIds, seriesId }
+ * @param {Object[]} links - Normalised links (see normaliseMeetingLink)
+ */
+export async function replaceJoinLinks({ eventIds = [], seriesId = null }, links) {
+  const targets = [
+    ...eventIds.map((id) => ({ event_id: id })),
+    ...(seriesId ? [{ series_id: seriesId }] : [])
+  ]
+
+  if (eventIds.length) {
+    const { error } = await supabase
+      .from('event_meeting_links')
+      .delete()
+      .in('event_id', eventIds)
+      .in('kind', JOIN_LINK_KINDS)
+    if (error) throw error
+  }
+
+  if (seriesId) {
+    const { error } = await supabase.from('event_meeting_links').delete().eq('series_id', seriesId)
+    if (error) throw error
+  }
+
+  const rows = targets.flatMap((target) => links.map((link) => ({
+    ...target,
+    ...link,
+    // Session times belong to one date, not to every occurrence of a series
+    starts_at: target.series_id ? null : link.starts_at
+  })))
+
+  if (rows.length) {
+    const { error } = await supabase.from('event_meeting_links').insert(rows)
+    if (error) throw error
+  }
+}
+
+/**
+ * Carry a series' links over to the series that replaces it from a split onwards
+ * @param {string} fromSeriesId - Series being split
+ * @param {string} toSeriesId - New series
+ */
+export async function copySeriesJoinLinks(fromSeriesId, toSeriesId) {
+  const { data: links, error } = await supabase
+    .from('event_meeting_links')
+    .select('kind, provider, label, url, passcode, sort_order')
+    .eq('series_id', fromSeriesId)
+
+  if (error) throw error
+  if (!links?.length) return
+
+  const { error: insertError } = await supabase
+    .from('event_meeting_links')
+    .insert(links.map((link) => ({ ...link, series_id: toSeriesId })))
+  if (insertError) throw insertError
+}
+
+async function getHostedEvent(eventId) {
+  const authResult = await requireAuth()
+  if (authResult.error) {
+    return { error: authResult.error, status: authResult.status }
+  }
+
+  const { data: event } = await supabase
+    .from('events')
+    .select(HOSTING_EVENT_COLUMNS)
+    .eq('id', eventId)
+    .single()
+
+  if (!event) {
+    return { error: 'Event not found', status: 404 }
+  }
+
+  if (event.organizer_id !== authResult.user.id && authResult.profile.role !== 'admin') {
+    return { error: 'Only the event organizer can manage hosting details', status: 403 }
+  }
+
+  return { user: authResult.user, event }
+}
+
+/**
+ * Hosting details of an event for its organizer: settings, join links and recordings
+ * @param {string} eventId - Event ID
+ * @returns {Object} Result object with { event, main, breakouts, recordings }
+ */
+export async function getEventHosting(eventId) {
+  try {
+    const hosted = await getHostedEvent(eventId)
+    if (hosted.error) return hosted
+
+    const { data: links, error } = await supabase
+      .from('event_meeting_links')
+      .select('*')
+      .eq('event_id', eventId)
+      .order('sort_order', { ascending: true })
+
+    if (error) throw error
+
+    const all = links || []
+    return {
+      data: {
+        event: hosted.event,
+        main: all.find((l) => l.kind === 'main') || null,
+        breakouts: all.filter((l) => l.kind === 'breakout'),
+        recordings: all.filter((l) => l.kind === 'recording')
+      },
+      status: 200
+    }
+  } catch (error) {
+    console.error('Error getting event hosting:', error)
+    return { error: 'Failed to load hosting details', status: 500 }
+  }
+}
+
+/**
+ * Save an event's meeting links and when they are revealed
+ * @param {string} eventId - Event ID
+ * @param {Object} hosting - { link_reveal_minutes, recording_visibility, main, breakouts }
+ * @param {Object} options - { scope: 'this' | 'series' }; 'series' also updates the series and its upcoming dates
+ * @returns {Object} Result object with the saved settings
+ */
+export async function saveEventHosting(eventId, hosting, { scope = 'this' } = {}) {
+  try {
+    const hosted = await getHostedEvent(eventId)
+    if (hosted.error) return hosted
+
+    const { user, event } = hosted
+
+    const { hosting: checked, error: hostingError } = normaliseHosting(hosting)
+    if (hostingError) {
+      return { error: hostingError, status: 400 }
+    }
+
+    if (scope === 'series' && !event.series_id) {
+      return { error: 'This event is not part of a series', status: 400 }
+    }
+
+    const settings = {
+      link_reveal_minutes: checked.link_reveal_minutes,
+      recording_visibility: checked.recording_visibility
+    }
+    const links = [...(checked.main ? [checked.main] : []), ...checked.breakouts]
+
+    let eventIds = [eventId]
+    if (scope === 'series') {
+      const { data: upcoming, error } = await supabase
+        .from('events')
+        .select('id')
+        .eq('series_id', event.series_id)
+        .gt('start_date', new Date().toISOString())
+
+      if (error) throw error
+      eventIds = [...new Set([eventId, ...(upcoming || []).map((e) => e.id)])]
+
+      const { data: series } = await supabase
+        .from('event_series')
+        .select('template')
+        .eq('id', event.series_id)
+        .single()
+
+      await supabase
+        .from('event_series')
+        .update({ template: { ...series?.template, ...settings } })
+        .eq('id', event.series_id)
+    }
+
+    const { error } = await supabase.from('events').update(settings).in('id', eventIds)
+    if (error) throw error
+
+    await replaceJoinLinks({ eventIds, seriesId: scope === 'series' ? event.series_id : null }, links)
+
+    await logActivity(user.id, 'event_hosting_updated', { event_id: eventId, scope, events: eventIds.length })
+
+    return { data: { ...settings, main: checked.main, breakouts: checked.breakouts }, status: 200 }
+  } catch (error) {
+    console.error('Error saving event hosting:', error)
+    return { error: 'Failed to save hosting details', status: 500 }
+  }
+}
+
+/**
+ * Add a recording or replay link to an event and let its registrants know
+ * @param {string} eventId - Event ID
+ * @param {Object} recording - { label, url, provider }
+ * @returns {Object} Result object with the saved recording
+ */
+export async function addEventRecording(eventId, recording) {
+  try {
+    const hosted = await getHostedEvent(eventId)
+    if (hosted.error) return hosted
+
+    const { user, event } = hosted
+
+    const { link, error: linkError } = normaliseMeetingLink({ ...recording, kind: 'recording', provider: 'custom' })
+    if (linkError) {
+      return { error: linkError, status: 400 }
+    }
+
+    const { count } = await supabase
+      .from('event_meeting_links')
+      .select('id', { count: 'exact', head: true })
+      .eq('event_id', eventId)
+      .eq('kind', 'recording')
+
+    const { data, error } = await supabase
+      .from('event_meeting_links')
+      .insert({ ...link, event_id: eventId, sort_order: count || 0 })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    const { data: registrations } = await supabase
+      .from('event_registrations')
+      .select('user_id')
+      .eq('event_id', eventId)
+      .in('status', ['confirmed', 'attended'])
+
+    if (registrations?.length) {
+      await sendNotification(registrations.map((r) => r.user_id), {
+        type: 'event_recording',
+        title: 'Recording available',
+        content: `"${link.label}" from ${event.title} is ready to watch.`,
+        related_id: eventId
+      })
+    }
+
+    await logActivity(user.id, 'event_recording_added', { event_id: eventId, recording_id: data.id })
+
+    return { data, status: 201 }
+  } catch (error) {
+    console.error('Error adding event recording:', error)
+    return { error: 'Failed to add recording', status: 500 }
+  }
+}
+
+/**
+ * Remove a recording from an event
+ * @param {string} eventId - Event ID
+ * @param {string} recordingId - Meeting link ID of the recording
+ * @returns {Object} Result object
+ */
+export async function removeEventRecording(eventId, recordingId) {
+  try {
+    const hosted = await getHostedEvent(eventId)
+    if (hosted.error) return hosted
+
+    const { error } = await supabase
+      .from('event_meeting_links')
+      .delete()
+      .eq('id', recordingId)
+      .eq('event_id', eventId)
+      .eq('kind', 'recording')
+
+    if (error) throw error
+
+    return { data: { id: recordingId }, status: 200 }
+  } catch (error) {
+    console.error('Error removing event recording:', error)
+    return { error: 'Failed to remove recording', status: 500 }
+  }
+}
+
+/**
+ * Join links of a virtual event for the current user. Links only come back for the organizer, or for
+ * confirmed registrants once the join window is open; otherwise revealAt says when to come back.
+ * @param {string} eventId - Event ID
+ * @returns {Object} Result object with { event, state, revealAt, registered, main, breakouts }
+ */
+export async function getEventJoinLinks(eventId) {
+  try {
+    const authResult = await requireAuth()
+    if (authResult.error) {
+      return { error: authResult.error, status: authResult.status }
+    }
+
+    const [eventResult, registrationResult, linksResult] = await Promise.all([
+      supabase.from('events').select(HOSTING_EVENT_COLUMNS).eq('id', eventId).single(),
+      supabase
+        .from('event_registrations')
+        .select('status')
+        .eq('event_id', eventId)
+        .eq('user_id', authResult.user.id)
+        .maybeSingle(),
+      supabase.rpc('get_event_join_links', { target_event_id: eventId })
+    ])
+
+    const event = eventResult.data
+    if (!event) {
+      return { error: 'Event not found', status: 404 }
+    }
+
+    if (linksResult.error) throw linksResult.error
+
+    const links = linksResult.data || []
+    return {
+      data: {
+        event,
+        state: joinWindowState(event),
+        revealAt: linkRevealAt(event).toISOString(),
+        registered: ['confirmed', 'attended'].includes(registrationResult.data?.status),
+        main: links.find((l) => l.kind === 'main') || null,
+        breakouts: links.filter((l) => l.kind === 'breakout')
+      },
+      status: 200
+    }
+  } catch (error) {
+    console.error('Error getting event join links:', error)
+    return { error: 'Failed to load meeting links', status: 500 }
+  }
+}
+
+/**
+ * Recordings of an event the current visitor may watch
+ * @param {string} eventId - Event ID
+ * @returns {Object} Result object with the recordings
+ */
+export async function getEventRecordings(eventId) {
+  try {
+    const { data, error } = await supabase.rpc('get_event_recordings', { target_event_id: eventId })
+
+    if (error) throw error
+
+    return { data: data || [], status: 200 }
+  } catch (error) {
+    console.error('Error getting event recordings:', error)
+    return { error: 'Failed to load recordings', status: 500 }
+  }
+}
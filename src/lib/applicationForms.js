@@ -0,0 +1,248 @@
+/*
+  Pitch application forms
+  - Organizers define a form per pitch event (events.application_form): an ordered list of fields
+    { id, label, type, required, help, options, min, max, maxLength, accept, visibleIf }
+  - visibleIf = { field, operator: 'equals' | 'not_equals' | 'answered', value } and may only point at
+    an earlier field, so visibility resolves in one pass; a field is hidden whenever its source is hidden
+  - Answers are keyed by field id. Hidden and unknown fields are dropped before saving.
+  - File answers are { path, name, size, type } for an object already uploaded to the
+    `pitch-applications` bucket under `<startup user id>/<event id>/`
+  - Pure functions only, shared by the form builder, the apply route and the reviewer view
+*/
+
+export const APPLICATION_FILES_BUCKET = 'pitch-applications'
+
+export const APPLICATION_FILE_MAX_SIZE = 20 * 1024 * 1024
+
+export const FIELD_TYPES = [
+  { value: 'short_text', label: 'Short text' },
+  { value: 'long_text', label: 'Long text' },
+  { value: 'select', label: 'Select' },
+  { value: 'number', label: 'Number' },
+  { value: 'file', label: 'File upload' },
+  { value: 'url', label: 'URL' }
+]
+
+export const VISIBILITY_OPERATORS = [
+  { value: 'equals', label: 'is' },
+  { value: 'not_equals', label: 'is not' },
+  { value: 'answered', label: 'is answered' }
+]
+
+const DEFAULT_MAX_LENGTH = { short_text: 200, long_text: 5000 }
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim())
+
+const newFieldId = () => `f_${Math.random().toString(36).slice(2, 10)}`
+
+export function emptyField(type = 'short_text') {
+  return { id: newFieldId(), label: '', type, required: false, ...(type === 'select' ? { options: [] } : {}) }
+}
+
+/**
+ * Validate a form definition from the builder
+ * @param {Object[]} fields
+ * @returns {{form: Object[]}|{error: string}}
+ */
+export function normaliseForm(fields) {
+  if (!Array.isArray(fields)) return { error: 'Invalid form' }
+
+  const form = []
+  for (const field of fields) {
+    const label = String(field.label || '').trim()
+    if (!label) return { error: 'Every field needs a label' }
+    if (!FIELD_TYPES.some((t) => t.value === field.type)) return { error: `Unknown field type for ${label}` }
+
+    const id = field.id || newFieldId()
+    if (form.some((f) => f.id === id)) return { error: `Duplicate field id for ${label}` }
+
+    const clean = { id, label, type: field.type, required: Boolean(field.required) }
+    if (field.help?.trim()) clean.help = field.help.trim()
+
+    if (field.type === 'select') {
+      const options = [...new Set((field.options || []).map((o) => String(o).trim()).filter(Boolean))]
+      if (!options.length) return { error: `Add at least one option to ${label}` }
+      clean.options = options
+    }
+    if (field.type === 'number') {
+      for (const bound of ['min', 'max']) {
+        if (isBlank(field[bound])) continue
+        const n = Number(field[bound])
+        if (!Number.isFinite(n)) return { error: `${label}: ${bound} must be a number` }
+        clean[bound] = n
+      }
+      if (clean.min !== undefined && clean.max !== undefined && clean.min > clean.max) {
+        return { error: `${label}: min is greater than max` }
+      }
+    }
+    if ((field.type === 'short_text' || field.type === 'long_text') && !isBlank(field.maxLength)) {
+      const n = Number(field.maxLength)
+      if (!Number.isInteger(n) || n < 1) return { error: `${label}: max length must be a whole number` }
+      clean.maxLength = n
+    }
+    if (field.type === 'file' && field.accept?.length) {
+      const accept = (Array.isArray(field.accept) ? field.accept : String(field.accept).split(','))
+        .map((ext) => ext.trim().replace(/^\./, '').toLowerCase())
+        .filter(Boolean)
+      if (accept.length) clean.accept = accept
+    }
+
+    if (field.visibleIf?.field) {
+      const source = form.find((f) => f.id === field.visibleIf.field)
+      if (!source) return { error: `${label} can only depend on a field above it` }
+      const operator = field.visibleIf.operator || 'equals'
+      if (!VISIBILITY_OPERATORS.some((o) => o.value === operator)) return { error: `${label}: unknown condition` }
+      clean.visibleIf = { field: source.id, operator }
+      if (operator !== 'answered') clean.visibleIf.value = String(field.visibleIf.value ?? '')
+    }
+
+    form.push(clean)
+  }
+  return { form }
+}
+
+const answerText = (value) => (value && typeof value === 'object' ? value.name : String(value ?? ''))
+
+/**
+ * Ids of the fields shown for the current answers
+ * @returns {Set<string>}
+ */
+export function visibleFieldIds(form, answers = {}) {
+  const visible = new Set()
+  for (const field of form) {
+    const condition = field.visibleIf
+    if (!condition) {
+      visible.add(field.id)
+      continue
+    }
+    if (!visible.has(condition.field)) continue
+
+    const value = answers[condition.field]
+    const shown = condition.operator === 'answered'
+      ? !isBlank(value)
+      : condition.operator === 'not_equals'
+        ? answerText(value) !== condition.value
+        : answerText(value) === condition.value
+    if (shown) visible.add(field.id)
+  }
+  return visible
+}
+
+function validateField(field, value, { uploadPrefix }) {
+  switch (field.type) {
+    case 'short_text':
+    case 'long_text': {
+      const text = String(value).trim()
+      const maxLength = field.maxLength || DEFAULT_MAX_LENGTH[field.type]
+      if (text.length > maxLength) return { error: `Keep this under ${maxLength} characters` }
+      return { value: text }
+    }
+    case 'select':
+      if (!field.options.includes(value)) return { error: 'Choose one of the options' }
+      return { value }
+    case 'number': {
+      const n = Number(value)
+      if (!Number.isFinite(n)) return { error: 'Enter a number' }
+      if (field.min !== undefined && n < field.min) return { error: `Must be at least ${field.min}` }
+      if (field.max !== undefined && n > field.max) return { error: `Must be at most ${field.max}` }
+      return { value: n }
+    }
+    case 'url': {
+      try {
+        const url = new URL(String(value).trim())
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error('protocol')
+        return { value: url.toString() }
+      } catch {
+        return { error: 'Enter a full link starting with https://' }
+      }
+    }
+    case 'file': {
+      if (!value || typeof value !== 'object' || typeof value.path !== 'string' || typeof value.name !== 'string' ||
+        !value.path || !value.name) {
+        return { error: 'Upload a file' }
+      }
+      if (uploadPrefix && (!value.path.startsWith(uploadPrefix) || value.path.includes('..'))) {
+        return { error: 'Upload the file again' }
+      }
+      if (Number(value.size) > APPLICATION_FILE_MAX_SIZE) {
+        return { error: `Files must be under ${APPLICATION_FILE_MAX_SIZE / 1024 / 1024} MB` }
+      }
+      const extension = value.name.split('.').pop().toLowerCase()
+      if (field.accept && !field.accept.includes(extension)) {
+        return { error: `Allowed file types: ${field.accept.join(', ')}` }
+      }
+      return { value: { path: value.path, name: value.name, size: Number(value.size) || null, type: typeof value.type === 'string' ? value.type : null } }
+    }
+    default:
+      return { error: 'Unsupported field' }
+  }
+}
+
+/**
+ * Check answers against a form. Hidden and unknown fields are dropped.
+ * @param {Object[]} form
+ * @param {Object} answers - { fieldId: value }
+ * @param {Object} options - { uploadPrefix } that file paths must start with
+ * @returns {{answers: Object}|{errors: Object}} errors are keyed by field id
+ */
+export function validateAnswers(form, answers = {}, { uploadPrefix } = {}) {
+  const visible = visibleFieldIds(form, answers)
+  const clean = {}
+  const errors = {}
+
+  for (const field of form) {
+    if (!visible.has(field.id)) continue
+    const value = answers[field.id]
+    if (isBlank(value)) {
+      if (field.required) errors[field.id] = 'This field is required'
+      continue
+    }
+    const result = validateField(field, value, { uploadPrefix })
+    if (result.error) errors[field.id] = result.error
+    else clean[field.id] = result.value
+  }
+
+  return Object.keys(errors).length ? { errors } : { answers: clean }
+}
+
+/**
+ * Answer as plain text for reviewers and exports
+ */
+export function formatAnswer(field, value) {
+  if (isBlank(value)) return ''
+  if (field.type === 'file') return value.name
+  if (field.type === 'number') return Number(value).toLocaleString()
+  return String(value)
+}
+
+/**
+ * Columns and rows for a CSV export of applications, one column per form field
+ * @param {Object[]} form
+ * @param {Object[]} applications - with startup, status, applied_at, pitch_deck_url, application_answers
+ * @returns {{columns: Object[], rows: Object[]}}
+ */
+export function applicationCsvTable(form, applications) {
+  const columns = [
+    { key: 'startup', label: 'Startup' },
+    { key: 'status', label: 'Status' },
+    { key: 'applied_at', label: 'Applied at' },
+    { key: 'pitch_deck_url', label: 'Pitch deck' },
+    ...form.map((field) => ({ key: field.id, label: field.label }))
+  ]
+
+  const rows = applications.map((application) => {
+    const answers = application.application_answers || {}
+    const row = {
+      startup: application.startup?.company_name,
+      status: application.status,
+      applied_at: application.applied_at,
+      pitch_deck_url: application.pitch_deck_url
+    }
+    for (const field of form) {
+      row[field.id] = field.type === 'number' ? answers[field.id] : formatAnswer(field, answers[field.id])
+    }
+    return row
+  })
+
+  return { columns, rows }
+}
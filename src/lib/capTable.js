@@ -0,0 +1,226 @@
+/*
+  Cap-table calculator for funding rounds
+  - Priced rounds issue shares at pre-money valuation / pre-money fully diluted shares
+  - SAFEs and convertible notes convert at the next priced round, at the lower of the cap price and
+    the discounted round price; notes accrue simple interest until conversion
+  - Option pool increases in a priced round are created pre-money (they dilute existing holders only)
+  - Convertibles still outstanding after the last priced round are estimated as converting at their cap
+  - Pure functions only, shared by the founder's editor and the public profile view
+*/
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * @typedef {Object} Commitment
+ * @property {string|null} investor_id
+ * @property {string|null} investor_name
+ * @property {number} amount
+ * @property {string|null} committed_at
+ */
+
+/**
+ * @typedef {Object} FundingRound
+ * @property {string} id
+ * @property {string} name
+ * @property {'safe'|'priced'|'convertible_note'} instrument
+ * @property {string|null} close_date
+ * @property {number|null} pre_money_valuation
+ * @property {number|null} option_pool_increase
+ * @property {number|null} valuation_cap
+ * @property {number|null} discount_rate    0.2 = 20%
+ * @property {number|null} interest_rate    simple annual rate, notes only
+ * @property {Commitment[]} commitments
+ */
+
+/**
+ * @typedef {Object} Holder
+ * @property {string} key
+ * @property {string} name
+ * @property {'founders'|'option_pool'|'investor'} type
+ * @property {string|null} investorId
+ * @property {number} shares
+ * @property {number} invested
+ * @property {number} ownership   share of fully diluted total, 0..1
+ * @property {boolean} estimated  includes shares from convertibles that haven't converted yet
+ */
+
+const toNumber = (value) => {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : 0
+}
+
+const sumShares = (holders) => Array.from(holders.values()).reduce((sum, h) => sum + h.shares, 0)
+
+/** Total a round has raised from its commitments. */
+export function roundRaised(round) {
+  return (round.commitments || []).reduce((sum, c) => sum + toNumber(c.amount), 0)
+}
+
+/**
+ * Amount a convertible converts with: the principal plus simple interest for notes.
+ * @param {FundingRound} round
+ * @param {Commitment} commitment
+ * @param {Date} conversionDate
+ * @returns {number}
+ */
+export function conversionAmount(round, commitment, conversionDate) {
+  const principal = toNumber(commitment.amount)
+  if (round.instrument !== 'convertible_note' || !round.interest_rate) return principal
+  const start = new Date(commitment.committed_at || round.close_date || conversionDate)
+  const years = Math.max(0, (conversionDate - start) / (365.25 * DAY_MS))
+  return principal * (1 + toNumber(round.interest_rate) * years)
+}
+
+/**
+ * Price per share a convertible converts at.
+ * @param {FundingRound} convertible
+ * @param {number} roundPrice        price per share of the priced round
+ * @param {number} preMoneyShares    fully diluted shares before the priced round's new money
+ * @returns {number}
+ */
+export function conversionPrice(convertible, roundPrice, preMoneyShares) {
+  const capPrice = convertible.valuation_cap ? toNumber(convertible.valuation_cap) / preMoneyShares : Infinity
+  const discountPrice = convertible.discount_rate ? roundPrice * (1 - toNumber(convertible.discount_rate)) : Infinity
+  return Math.min(roundPrice, capPrice, discountPrice)
+}
+
+/** Rounds in the order they happened; undated rounds go last. */
+export function sortRounds(rounds) {
+  return [...rounds].sort((a, b) => {
+    if (a.close_date && b.close_date) return new Date(a.close_date) - new Date(b.close_date)
+    if (a.close_date) return -1
+    if (b.close_date) return 1
+    return String(a.created_at || '').localeCompare(String(b.created_at || ''))
+  })
+}
+
+/**
+ * Model the cap table round by round.
+ * @param {{founderShares?:number, optionPoolShares?:number}} base   pre-financing share structure
+ * @param {FundingRound[]} rounds
+ * @returns {{rounds:Array<Object>, holders:Holder[], totalShares:number, unconverted:Array<Object>}}
+ */
+export function modelCapTable(base, rounds) {
+  const holders = new Map()
+  const addShares = (key, fields, shares, invested = 0, estimated = false) => {
+    const holder = holders.get(key) || { key, shares: 0, invested: 0, estimated: false, investorId: null, ...fields }
+    holder.shares += shares
+    holder.invested += invested
+    holder.estimated = holder.estimated || estimated
+    holders.set(key, holder)
+  }
+  const investorKey = (c) => (c.investor_id ? c.investor_id : `name:${c.investor_name}`)
+  const investorFields = (c) => ({ name: c.investor_name || 'Investor', type: 'investor', investorId: c.investor_id || null })
+
+  addShares('founders', { name: 'Founders', type: 'founders' }, toNumber(base?.founderShares ?? 10000000))
+  if (toNumber(base?.optionPoolShares) > 0) {
+    addShares('option_pool', { name: 'Option pool', type: 'option_pool' }, toNumber(base.optionPoolShares))
+  }
+
+  const results = []
+  const resultById = new Map()
+  let pending = []
+
+  for (const round of sortRounds(rounds)) {
+    const raised = roundRaised(round)
+    const sharesBefore = sumShares(holders)
+    const result = {
+      id: round.id,
+      name: round.name,
+      instrument: round.instrument,
+      closeDate: round.close_date || null,
+      raised,
+      sharesBefore,
+      sharesAfter: sharesBefore,
+      newShares: 0,
+      pricePerShare: null,
+      postMoneyValuation: null,
+      dilution: null,
+      convertsIn: null,
+      convertedRounds: [],
+      estimated: false,
+      warning: null
+    }
+    results.push(result)
+    resultById.set(round.id, result)
+
+    if (round.instrument !== 'priced') {
+      pending.push(round)
+      continue
+    }
+
+    if (!round.pre_money_valuation) {
+      result.warning = 'Add a pre-money valuation to model this round'
+      continue
+    }
+
+    const poolIncrease = toNumber(round.option_pool_increase)
+    if (poolIncrease > 0) addShares('option_pool', { name: 'Option pool', type: 'option_pool' }, poolIncrease)
+
+    const preMoneyShares = sharesBefore + poolIncrease
+    const price = toNumber(round.pre_money_valuation) / preMoneyShares
+    const conversionDate = new Date(round.close_date || Date.now())
+    result.pricePerShare = price
+
+    for (const convertible of pending) {
+      const convertPrice = conversionPrice(convertible, price, preMoneyShares)
+      let converted = 0
+      for (const c of convertible.commitments || []) {
+        const shares = Math.floor(conversionAmount(convertible, c, conversionDate) / convertPrice)
+        addShares(investorKey(c), investorFields(c), shares, toNumber(c.amount))
+        converted += shares
+      }
+      const convertibleResult = resultById.get(convertible.id)
+      convertibleResult.convertsIn = round.name
+      convertibleResult.pricePerShare = convertPrice
+      convertibleResult.newShares = converted
+      result.convertedRounds.push(convertible.name)
+    }
+    pending = []
+
+    for (const c of round.commitments || []) {
+      addShares(investorKey(c), investorFields(c), Math.floor(toNumber(c.amount) / price), toNumber(c.amount))
+    }
+
+    result.sharesAfter = sumShares(holders)
+    result.newShares = result.sharesAfter - sharesBefore
+    result.postMoneyValuation = price * result.sharesAfter
+    result.dilution = result.sharesAfter > 0 ? 1 - sharesBefore / result.sharesAfter : 0
+  }
+
+  // Outstanding convertibles: estimate conversion at the cap against today's share count
+  const unconverted = []
+  for (const convertible of pending) {
+    const convertibleResult = resultById.get(convertible.id)
+    if (!convertible.valuation_cap) {
+      convertibleResult.warning = 'Uncapped — converts at the next priced round'
+      unconverted.push({ id: convertible.id, name: convertible.name, amount: roundRaised(convertible) })
+      continue
+    }
+
+    const sharesBefore = sumShares(holders)
+    const capPrice = toNumber(convertible.valuation_cap) / sharesBefore
+    let converted = 0
+    for (const c of convertible.commitments || []) {
+      const shares = Math.floor(conversionAmount(convertible, c, new Date()) / capPrice)
+      addShares(investorKey(c), investorFields(c), shares, toNumber(c.amount), true)
+      converted += shares
+    }
+    const sharesAfter = sumShares(holders)
+    Object.assign(convertibleResult, {
+      pricePerShare: capPrice,
+      newShares: converted,
+      sharesBefore,
+      sharesAfter,
+      dilution: sharesAfter > 0 ? 1 - sharesBefore / sharesAfter : 0,
+      estimated: true
+    })
+  }
+
+  const totalShares = sumShares(holders)
+  const holderList = Array.from(holders.values())
+    .map((h) => ({ ...h, ownership: totalShares > 0 ? h.shares / totalShares : 0 }))
+    .sort((a, b) => b.shares - a.shares)
+
+  return { rounds: results, holders: holderList, totalShares, unconverted }
+}
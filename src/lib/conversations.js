@@ -0,0 +1,69 @@
+/*
+  Conversations
+  - Every conversation has members { user_id, role, visible_from, removed_at, last_read_at }; direct
+    conversations always have exactly two, groups (deal rooms, mentor circles) have a name and an owner
+  - Owners add, remove and promote members and rename the group; members can leave
+  - History: members added with 'full' see every earlier message, with 'from_now' only what is sent after
+    they join; removed members keep read-only access to messages up to their removal
+    (the database enforces this, see sql/add_group_conversations.sql)
+  - Pure functions only, shared by messages.js and the messaging UI
+*/
+
+export const MEMBER_ROLES = ['owner', 'member']
+
+export const HISTORY_OPTIONS = [
+  { value: 'full', label: 'Share earlier messages' },
+  { value: 'from_now', label: 'Only new messages' }
+]
+
+export const GROUP_NAME_MAX_LENGTH = 100
+
+export const MAX_GROUP_MEMBERS = 50
+
+export function normaliseGroupName(name) {
+  const value = String(name ?? '').trim().replace(/\s+/g, ' ')
+  if (!value) return { error: 'Give the group a name' }
+  if (value.length > GROUP_NAME_MAX_LENGTH) {
+    return { error: `Keep group names under ${GROUP_NAME_MAX_LENGTH} characters` }
+  }
+  return { name: value }
+}
+
+/** visible_from for a member added now with one of HISTORY_OPTIONS */
+export function visibleFromFor(history, now = new Date()) {
+  return history === 'from_now' ? now.toISOString() : null
+}
+
+export function activeMembers(conversation) {
+  return (conversation?.members || []).filter((m) => !m.removed_at)
+}
+
+/** The other person in a direct conversation */
+export function otherParticipant(conversation, userId) {
+  if (!conversation || conversation.is_group) return null
+  return (conversation.members || []).find((m) => m.user_id !== userId)?.profile || null
+}
+
+export function conversationTitle(conversation, userId) {
+  if (conversation?.is_group) return conversation.name
+  return otherParticipant(conversation, userId)?.full_name || 'Conversation'
+}
+
+/** "Ana, Ben and 3 others" for a group's subtitle */
+export function memberSummary(conversation, userId, shown = 2) {
+  const others = activeMembers(conversation).filter((m) => m.user_id !== userId)
+  if (!others.length) return 'Only you'
+  const names = others.slice(0, shown).map((m) => m.profile?.full_name?.split(' ')[0] || 'Someone')
+  const rest = others.length - names.length
+  if (rest > 0) return `You, ${names.join(', ')} and ${rest} ${rest === 1 ? 'other' : 'others'}`
+  return `You and ${names.join(' and ')}`
+}
+
+/** Owners left after a change of roles or members; a group must keep at least one */
+export function ownersAfter(members, { userId, role, removed = false }) {
+  return members.filter((m) => {
+    if (m.removed_at) return false
+    if (m.user_id !== userId) return m.role === 'owner'
+    return !removed && (role ?? m.role) === 'owner'
+  }).length
+}
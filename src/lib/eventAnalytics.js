@@ -0,0 +1,212 @@
+/*
+  Post-event feedback and organizer analytics
+  - A feedback response is { rating: 1-5, nps: 0-10 or null, comment, answers }. answers follow the event's
+    feedback_questions, which use the application form field format (src/lib/applicationForms.js)
+    without file uploads.
+  - Feedback opens when the event ends (end_date, or start_date without one) and closes
+    FEEDBACK_WINDOW_DAYS later; sql/add_event_feedback.sql enforces the same window
+  - Attendees are checked-in registrants; for events that never used check-in, confirmed registrants
+  - NPS is the share of promoters (9-10) minus the share of detractors (0-6), from -100 to 100
+  - Pure functions only, shared by the feedback form, the feedback API and the analytics views
+*/
+
+import { FIELD_TYPES, normaliseForm, validateAnswers, formatAnswer } from './applicationForms'
+
+export const FEEDBACK_WINDOW_DAYS = 30
+
+export const RATING_MAX = 5
+
+export const NPS_MAX = 10
+
+export const COMMENT_MAX_LENGTH = 2000
+
+export const FEEDBACK_FIELD_TYPES = FIELD_TYPES.filter((type) => type.value !== 'file')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const round1 = (n) => Math.round(n * 10) / 10
+
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 100) : null)
+
+export function eventEndsAt(event) {
+  return new Date(event.end_date || event.start_date)
+}
+
+/** Whether attendees can still leave feedback for an event */
+export function isFeedbackOpen(event, now = new Date()) {
+  const endsAt = eventEndsAt(event)
+  return event.status !== 'cancelled' && endsAt <= now && now - endsAt < FEEDBACK_WINDOW_DAYS * DAY_MS
+}
+
+/**
+ * Clean an organizer's feedback questions
+ * @returns {{form: Object[]}|{error: string}}
+ */
+export function normaliseFeedbackQuestions(fields) {
+  if (Array.isArray(fields) && fields.some((field) => !FEEDBACK_FIELD_TYPES.some((t) => t.value === field.type))) {
+    return { error: 'Feedback questions cannot ask for file uploads' }
+  }
+  return normaliseForm(fields)
+}
+
+/**
+ * Check a feedback response
+ * @param {Object[]} questions - The event's feedback_questions
+ * @param {Object} response - { rating, nps, comment, answers }
+ * @returns {{feedback: Object}|{errors: Object}} errors are keyed by 'rating', 'nps', 'comment' or question id
+ */
+export function validateFeedback(questions = [], { rating, nps, comment, answers } = {}) {
+  const errors = {}
+
+  const stars = Number(rating)
+  if (!Number.isInteger(stars) || stars < 1 || stars > RATING_MAX) {
+    errors.rating = 'Choose a rating'
+  }
+
+  let score = null
+  if (nps !== undefined && nps !== null && nps !== '') {
+    score = Number(nps)
+    if (!Number.isInteger(score) || score < 0 || score > NPS_MAX) errors.nps = `Choose a score from 0 to ${NPS_MAX}`
+  }
+
+  const text = String(comment ?? '').trim()
+  if (text.length > COMMENT_MAX_LENGTH) {
+    errors.comment = `Keep this under ${COMMENT_MAX_LENGTH} characters`
+  }
+
+  const checked = validateAnswers(questions, answers || {})
+  Object.assign(errors, checked.errors)
+
+  if (Object.keys(errors).length) return { errors }
+  return { feedback: { rating: stars, nps: score, comment: text || null, answers: checked.answers } }
+}
+
+/**
+ * Net Promoter Score of 0-10 answers
+ * @param {number[]} scores
+ * @returns {Object|null} { score, promoters, passives, detractors, responses }, or null without answers
+ */
+export function npsBreakdown(scores) {
+  const answered = scores.filter((s) => s !== null && s !== undefined)
+  if (!answered.length) return null
+
+  const promoters = answered.filter((s) => s >= 9).length
+  const detractors = answered.filter((s) => s <= 6).length
+  return {
+    score: Math.round(((promoters - detractors) / answered.length) * 100),
+    promoters,
+    passives: answered.length - promoters - detractors,
+    detractors,
+    responses: answered.length
+  }
+}
+
+function summariseQuestion(question, responses) {
+  const values = responses
+    .map((response) => response.answers?.[question.id])
+    .filter((value) => value !== undefined && value !== null && value !== '')
+  const summary = { id: question.id, label: question.label, type: question.type, answered: values.length }
+
+  if (question.type === 'select') {
+    summary.options = question.options.map((option) => ({
+      option,
+      count: values.filter((value) => value === option).length
+    }))
+  } else if (question.type === 'number') {
+    summary.average = values.length ? round1(values.reduce((sum, n) => sum + Number(n), 0) / values.length) : null
+  } else {
+    summary.answers = values.map((value) => formatAnswer(question, value))
+  }
+  return summary
+}
+
+/**
+ * Aggregate feedback responses
+ * @param {Object[]} questions - feedback_questions; pass [] to summarise only rating, NPS and comments
+ * @param {Object[]} responses - event_feedback rows
+ * @returns {Object} { responses, averageRating, ratingCounts, nps, comments, questions }
+ */
+export function summariseFeedback(questions = [], responses = []) {
+  const ratingCounts = Array.from({ length: RATING_MAX }, (_, i) => responses.filter((r) => r.rating === i + 1).length)
+
+  return {
+    responses: responses.length,
+    averageRating: responses.length
+      ? round1(responses.reduce((sum, r) => sum + r.rating, 0) / responses.length)
+      : null,
+    ratingCounts,
+    nps: npsBreakdown(responses.map((r) => r.nps)),
+    comments: responses
+      .filter((r) => r.comment)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .map((r) => ({ text: r.comment, rating: r.rating, created_at: r.created_at })),
+    questions: questions.map((question) => summariseQuestion(question, responses))
+  }
+}
+
+/**
+ * Registration funnel of one event
+ * @param {Object[]} registrations - with status, waitlisted_at and checked_in_at
+ * @returns {Object} { registered, waitlisted, confirmed, cancelled, attended, checkInUsed, showUpRate }
+ *   showUpRate is attended / confirmed as a percentage, or null when nobody was checked in
+ */
+export function registrationFunnel(registrations = []) {
+  const attended = registrations.filter((r) => r.status === 'attended' || r.checked_in_at).length
+  const confirmed = registrations.filter((r) => ['confirmed', 'attended'].includes(r.status)).length
+  const checkInUsed = attended > 0
+
+  return {
+    registered: registrations.length,
+    waitlisted: registrations.filter((r) => r.waitlisted_at).length,
+    confirmed,
+    cancelled: registrations.filter((r) => r.status === 'cancelled').length,
+    attended,
+    checkInUsed,
+    showUpRate: checkInUsed ? percent(attended, confirmed) : null
+  }
+}
+
+/** Registrations that count as attendees, by the same rule as the database */
+export function attendeesOf(registrations = []) {
+  const checkInUsed = registrations.some((r) => r.checked_in_at)
+  return registrations.filter((r) => (
+    r.status === 'attended' || (!checkInUsed && r.status === 'confirmed')
+  ))
+}
+
+/**
+ * Attendees per platform role
+ * @param {Object[]} registrations - with status, checked_in_at and user.role
+ * @returns {Object[]} [{ role, count, share }] largest first
+ */
+export function roleBreakdown(registrations = []) {
+  const attendees = attendeesOf(registrations)
+  const counts = {}
+  for (const registration of attendees) {
+    const role = registration.user?.role || 'unknown'
+    counts[role] = (counts[role] || 0) + 1
+  }
+  return Object.entries(counts)
+    .map(([role, count]) => ({ role, count, share: percent(count, attendees.length) }))
+    .sort((a, b) => b.count - a.count)
+}
+
+/**
+ * Totals across an organizer's events
+ * @param {Object[]} rows - per event { registrations, funnel } as built by getOrganizerAnalytics
+ * @param {Object[]} responses - every feedback response across those events
+ * @returns {Object} { events, registered, attended, showUpRate, feedback }
+ */
+export function organizerTotals(rows = [], responses = []) {
+  const withCheckIn = rows.filter((row) => row.funnel.checkInUsed)
+  const attended = withCheckIn.reduce((sum, row) => sum + row.funnel.attended, 0)
+  const confirmed = withCheckIn.reduce((sum, row) => sum + row.funnel.confirmed, 0)
+
+  return {
+    events: rows.length,
+    registered: rows.reduce((sum, row) => sum + row.funnel.registered, 0),
+    attended: rows.reduce((sum, row) => sum + attendeesOf(row.registrations).length, 0),
+    showUpRate: percent(attended, confirmed),
+    feedback: summariseFeedback([], responses)
+  }
+}
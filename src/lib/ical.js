@@ -0,0 +1,172 @@
+/*
+  iCalendar (RFC 5545) writer for event registrations and mentorship sessions
+  - UIDs are stable per event/session so re-downloads and feed refreshes update the same entry
+  - SEQUENCE comes from the rows' ical_sequence counters (bumped in the database on every change);
+    an attendee's own cancellation adds the registration's counter on top of the event's
+  - Cancelled items stay in the feed with STATUS:CANCELLED so subscribed calendars remove them
+  - Pure functions only, used by the download buttons and the feed route
+*/
+
+const PRODID = '-//Startup Platform//Calendar//EN'
+const UID_DOMAIN = 'startup-platform'
+const HOUR_MS = 60 * 60 * 1000
+
+/**
+ * @typedef {Object} CalendarItem
+ * @property {string} uid
+ * @property {number} sequence
+ * @property {'CONFIRMED'|'CANCELLED'} status
+ * @property {Date|string} start
+ * @property {Date|string} end
+ * @property {string} summary
+ * @property {string} [description]
+ * @property {string} [location]
+ * @property {string} [url]
+ * @property {Date|string} [updated]
+ */
+
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+/** UTC date-time in iCalendar basic format, e.g. 20261019T140000Z */
+export function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+// Lines longer than 75 octets are folded with CRLF + space, without splitting UTF-8 characters
+const encoder = new TextEncoder()
+function foldLine(line) {
+  if (encoder.encode(line).length <= 75) return line
+  const parts = []
+  let current = ''
+  let size = 0
+  for (const char of line) {
+    const charSize = encoder.encode(char).length
+    if (size + charSize > (parts.length ? 74 : 75)) {
+      parts.push(current)
+      current = ''
+      size = 0
+    }
+    current += char
+    size += charSize
+  }
+  parts.push(current)
+  return parts.join('\r\n ')
+}
+
+function itemLines(item, now) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${item.uid}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `SEQUENCE:${item.sequence || 0}`,
+    `STATUS:${item.status}`,
+    `DTSTART:${formatDateTime(item.start)}`,
+    `DTEND:${formatDateTime(item.end)}`,
+    `SUMMARY:${escapeText(item.status === 'CANCELLED' ? `Cancelled: ${item.summary}` : item.summary)}`
+  ]
+  if (item.description) lines.push(`DESCRIPTION:${escapeText(item.description)}`)
+  if (item.location) lines.push(`LOCATION:${escapeText(item.location)}`)
+  if (item.url) lines.push(`URL:${item.url}`)
+  if (item.updated) lines.push(`LAST-MODIFIED:${formatDateTime(item.updated)}`)
+  if (item.status === 'CANCELLED') lines.push('TRANSP:TRANSPARENT')
+  lines.push('END:VEVENT')
+  return lines
+}
+
+/**
+ * Serialize items into a VCALENDAR document
+ * @param {CalendarItem[]} items
+ * @param {Object} [options]
+ * @param {string} [options.name]            calendar name shown by subscribing clients
+ * @param {Date} [options.now]
+ * @returns {string}
+ */
+export function buildCalendar(items, { name, now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ]
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`, 'REFRESH-INTERVAL;VALUE=DURATION:PT1H', 'X-PUBLISHED-TTL:PT1H')
+  }
+  for (const item of items) lines.push(...itemLines(item, now))
+  lines.push('END:VCALENDAR')
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
+
+/**
+ * Calendar item for a user's registration to an event
+ * @param {Object} registration   event_registrations row
+ * @param {Object} event          events row
+ * @param {string} [baseUrl]      app origin for links
+ * @returns {CalendarItem}
+ */
+export function eventToCalendarItem(registration, event, baseUrl = '') {
+  const cancelled = event.status === 'cancelled' || registration.status === 'cancelled'
+  const start = new Date(event.start_date)
+  return {
+    uid: `event-${event.id}@${UID_DOMAIN}`,
+    sequence: (event.ical_sequence || 0) + (registration.ical_sequence || 0),
+    status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+    start,
+    end: event.end_date ? new Date(event.end_date) : new Date(start.getTime() + HOUR_MS),
+    summary: event.title,
+    description: [
+      event.description,
+      // Meeting links are only revealed close to the start, so the feed points at the join page
+      event.is_virtual && baseUrl ? `Join online: ${baseUrl}/events/${event.id}/join` : null,
+      event.status === 'cancelled' && event.cancellation_reason ? `Cancelled: ${event.cancellation_reason}` : null
+    ].filter(Boolean).join('\n\n'),
+    location: event.is_virtual ? 'Online' : event.location,
+    url: baseUrl ? `${baseUrl}/events/${event.id}` : undefined,
+    updated: event.updated_at
+  }
+}
+
+/**
+ * Calendar item for a mentorship session
+ * @param {Object} session          mentorship_sessions row
+ * @param {string} counterpartName  the other participant
+ * @param {string} [baseUrl]        app origin for links
+ * @returns {CalendarItem}
+ */
+export function sessionToCalendarItem(session, counterpartName, baseUrl = '') {
+  return {
+    uid: `session-${session.id}@${UID_DOMAIN}`,
+    sequence: session.ical_sequence || 0,
+    status: session.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+    start: session.scheduled_at,
+    end: session.ends_at || new Date(new Date(session.scheduled_at).getTime() + session.duration_minutes * 60 * 1000),
+    summary: `Mentorship session with ${counterpartName}`,
+    description: [
+      session.notes,
+      session.status === 'cancelled' && session.cancellation_reason ? `Cancelled: ${session.cancellation_reason}` : null
+    ].filter(Boolean).join('\n\n'),
+    location: session.session_type === 'video_call' ? 'Video call' : undefined,
+    url: baseUrl ? `${baseUrl}/dashboard` : undefined,
+    updated: session.updated_at
+  }
+}
+
+/**
+ * Trigger a browser download of an .ics file
+ * @param {string} filename
+ * @param {string} content
+ */
+export function downloadIcs(filename, content) {
+  const url = URL.createObjectURL(new Blob([content], { type: 'text/calendar;charset=utf-8' }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,149 @@
+/*
+  Pitch judging helpers
+  - Each pitch event has a rubric of weighted criteria (events.judging_rubric); judges score every
+    criterion from SCORE_MIN to SCORE_MAX on a scorecard per accepted application
+  - A scorecard's total is the weighted mean of its criteria; an application's score is the mean total
+    of its submitted scorecards
+  - Leaderboard ties are broken by the criterion averages in order of weight, then by the number of
+    submitted scorecards, then by who applied first
+  - Pure functions only, shared by the judging API and the scorecard UI
+*/
+
+export const SCORE_MIN = 1
+export const SCORE_MAX = 10
+
+export const DEFAULT_RUBRIC = [
+  { key: 'team', label: 'Team', weight: 30 },
+  { key: 'market', label: 'Market', weight: 25 },
+  { key: 'traction', label: 'Traction', weight: 25 },
+  { key: 'product', label: 'Product', weight: 20 }
+]
+
+const round2 = (value) => Math.round(value * 100) / 100
+
+export function rubricFor(event) {
+  return Array.isArray(event?.judging_rubric) && event.judging_rubric.length ? event.judging_rubric : DEFAULT_RUBRIC
+}
+
+/**
+ * Validate a rubric from the editor. Keys are derived from labels when missing.
+ * @param {Object[]} criteria - [{ key?, label, weight }]
+ * @returns {{rubric: Object[]}|{error: string}}
+ */
+export function normaliseRubric(criteria) {
+  if (!Array.isArray(criteria) || !criteria.length) return { error: 'Add at least one criterion' }
+
+  const rubric = []
+  for (const criterion of criteria) {
+    const label = String(criterion.label || '').trim()
+    const weight = Number(criterion.weight)
+    if (!label) return { error: 'Every criterion needs a name' }
+    if (!Number.isFinite(weight) || weight <= 0) return { error: `Weight for ${label} must be a positive number` }
+
+    const key = criterion.key || label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')
+    if (!key || rubric.some((c) => c.key === key)) return { error: `Criterion names must be unique (${label})` }
+    rubric.push({ key, label, weight })
+  }
+  return { rubric }
+}
+
+/**
+ * Check a scorecard's scores against the rubric. Drafts may leave criteria blank; submitted cards may not.
+ * @returns {{scores: Object}|{error: string}}
+ */
+export function validateScores(rubric, scores = {}, { complete = false } = {}) {
+  const clean = {}
+  for (const { key, label } of rubric) {
+    const value = scores[key]
+    if (value === undefined || value === null || value === '') {
+      if (complete) return { error: `Score ${label} before submitting` }
+      continue
+    }
+    const n = Number(value)
+    if (!Number.isInteger(n) || n < SCORE_MIN || n > SCORE_MAX) {
+      return { error: `${label} must be a whole number from ${SCORE_MIN} to ${SCORE_MAX}` }
+    }
+    clean[key] = n
+  }
+  return { scores: clean }
+}
+
+/**
+ * Weighted total of one scorecard, or null while any criterion is unscored
+ */
+export function scorecardTotal(rubric, scores = {}) {
+  let total = 0
+  let weights = 0
+  for (const { key, weight } of rubric) {
+    if (typeof scores[key] !== 'number') return null
+    total += scores[key] * weight
+    weights += weight
+  }
+  return weights ? round2(total / weights) : null
+}
+
+function compareRows(rubricByWeight) {
+  return (a, b) => {
+    if (b.score !== a.score) return b.score - a.score
+    for (const { key } of rubricByWeight) {
+      const diff = (b.criteria[key] ?? 0) - (a.criteria[key] ?? 0)
+      if (diff) return diff
+    }
+    if (b.judgeCount !== a.judgeCount) return b.judgeCount - a.judgeCount
+    return new Date(a.applied_at) - new Date(b.applied_at)
+  }
+}
+
+function tieBreakReason(rubricByWeight, a, b) {
+  const criterion = rubricByWeight.find(({ key }) => (a.criteria[key] ?? 0) !== (b.criteria[key] ?? 0))
+  if (criterion) return `${criterion.label} score`
+  if (a.judgeCount !== b.judgeCount) return 'more judges'
+  return 'earlier application'
+}
+
+/**
+ * Rank applications by their submitted scorecards
+ * @param {Object[]} rubric
+ * @param {Object[]} applications - [{ id, applied_at, ... }]
+ * @param {Object[]} scorecards - submitted scorecards [{ application_id, scores }]
+ * @returns {Object[]} applications with { rank, score, criteria, judgeCount, tieBreak }, unscored last
+ */
+export function buildLeaderboard(rubric, applications, scorecards) {
+  const rubricByWeight = [...rubric].sort((a, b) => b.weight - a.weight)
+
+  const rows = applications.map((application) => {
+    const cards = scorecards.filter((card) => card.application_id === application.id)
+    const totals = cards.map((card) => scorecardTotal(rubric, card.scores)).filter((total) => total !== null)
+    const criteria = {}
+    for (const { key } of rubric) {
+      const values = cards.map((card) => card.scores?.[key]).filter((v) => typeof v === 'number')
+      criteria[key] = values.length ? round2(values.reduce((sum, v) => sum + v, 0) / values.length) : null
+    }
+    return {
+      ...application,
+      criteria,
+      judgeCount: totals.length,
+      score: totals.length ? round2(totals.reduce((sum, t) => sum + t, 0) / totals.length) : null
+    }
+  })
+
+  const scored = rows.filter((row) => row.score !== null).sort(compareRows(rubricByWeight))
+  const unscored = rows.filter((row) => row.score === null)
+
+  scored.forEach((row, index) => {
+    row.rank = index + 1
+    row.tieBreak = null
+    const previous = scored[index - 1]
+    if (previous && previous.score === row.score) {
+      const reason = tieBreakReason(rubricByWeight, previous, row)
+      previous.tieBreak = previous.tieBreak || reason
+      row.tieBreak = reason
+    }
+  })
+  unscored.forEach((row) => {
+    row.rank = null
+    row.tieBreak = null
+  })
+
+  return [...scored, ...unscored]
+}
@@ -0,0 +1,153 @@
+/*
+  Direct message attachments
+  - Files are uploaded to the private `message-attachments` bucket under `<sender id>/<upload id>/`
+    before the message is sent; images also get a small JPEG thumbnail in the same folder
+  - The message keeps them in metadata.attachments as { path, thumbnail_path, name, type, size, width, height }
+    and its message_type becomes 'image' when every attachment is an image, 'file' otherwise
+  - Only the sender and the recipient of a message that lists a file can read it (see
+    sql/add_message_attachments.sql), so links are always short-lived signed URLs
+  - Pure functions only, shared by the composer, messages.js and the thread view
+*/
+
+export const MESSAGE_ATTACHMENTS_BUCKET = 'message-attachments'
+
+export const MAX_ATTACHMENTS_PER_MESSAGE = 5
+
+export const IMAGE_MAX_SIZE = 10 * 1024 * 1024
+
+export const FILE_MAX_SIZE = 25 * 1024 * 1024
+
+export const THUMBNAIL_MAX_DIMENSION = 320
+
+// SVG is left out on purpose: it can carry scripts and is served from our storage domain
+export const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
+
+export const FILE_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'text/csv',
+  'text/plain',
+  'application/zip'
+]
+
+/** Value for the accept attribute of the composer's file input */
+export const ATTACHMENT_ACCEPT = [...IMAGE_TYPES, ...FILE_TYPES].join(',')
+
+const NAME_MAX_LENGTH = 200
+
+export function isImageAttachment(attachment) {
+  return IMAGE_TYPES.includes(attachment?.type)
+}
+
+export function formatFileSize(bytes) {
+  const size = Number(bytes) || 0
+  if (size < 1024) return `${size} B`
+  if (size < 1024 * 1024) return `${Math.round(size / 1024)} KB`
+  return `${Number((size / 1024 / 1024).toFixed(1))} MB`
+}
+
+export function safeFileName(name) {
+  return String(name || 'file').replace(/[^a-zA-Z0-9._-]/g, '_').slice(-100)
+}
+
+/**
+ * Check a file picked in the composer before it is uploaded
+ * @param {Object} file - { name, type, size }
+ * @returns {{kind: 'image'|'file'}|{error: string}}
+ */
+export function checkAttachmentFile({ name, type, size } = {}) {
+  const image = IMAGE_TYPES.includes(type)
+  if (!image && !FILE_TYPES.includes(type)) {
+    return { error: `${name || 'This file'} is not a supported type. Send images, PDFs, Office documents, CSV, text or ZIP files.` }
+  }
+
+  const limit = image ? IMAGE_MAX_SIZE : FILE_MAX_SIZE
+  if (!(Number(size) > 0)) {
+    return { error: `${name || 'This file'} is empty` }
+  }
+  if (Number(size) > limit) {
+    return { error: `${image ? 'Images' : 'Files'} must be ${formatFileSize(limit)} or smaller` }
+  }
+
+  return { kind: image ? 'image' : 'file' }
+}
+
+/**
+ * Check the attachments of a message about to be sent
+ * @param {Object[]} attachments - Uploaded attachments, see uploadMessageAttachment
+ * @param {string} senderId - Sender user ID; every path must be in the sender's folder
+ * @returns {{attachments: Object[]}|{error: string}}
+ */
+export function normaliseAttachments(attachments = [], senderId) {
+  if (!Array.isArray(attachments)) {
+    return { error: 'Invalid attachments' }
+  }
+  if (attachments.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    return { error: `Attach up to ${MAX_ATTACHMENTS_PER_MESSAGE} files per message` }
+  }
+
+  const folder = `${senderId}/`
+  const checked = []
+  for (const attachment of attachments) {
+    const { path, thumbnail_path: thumbnailPath, name, type, size, width, height } = attachment || {}
+    if (typeof path !== 'string' || !path.startsWith(folder) || path.includes('..')) {
+      return { error: 'Attachments must be uploaded before sending' }
+    }
+    if (thumbnailPath && (typeof thumbnailPath !== 'string' || !thumbnailPath.startsWith(folder) || thumbnailPath.includes('..'))) {
+      return { error: 'Attachments must be uploaded before sending' }
+    }
+
+    const fileCheck = checkAttachmentFile({ name, type, size })
+    if (fileCheck.error) return fileCheck
+
+    const image = fileCheck.kind === 'image'
+    checked.push({
+      path,
+      thumbnail_path: image && thumbnailPath ? thumbnailPath : null,
+      name: String(name || 'file').slice(0, NAME_MAX_LENGTH),
+      type,
+      size: Number(size),
+      width: image && Number.isInteger(width) ? width : null,
+      height: image && Number.isInteger(height) ? height : null
+    })
+  }
+
+  return { attachments: checked }
+}
+
+/** message_type for a message with these attachments */
+export function messageTypeFor(attachments = []) {
+  if (!attachments.length) return 'text'
+  return attachments.every(isImageAttachment) ? 'image' : 'file'
+}
+
+export function messageAttachments(message) {
+  return message?.deleted ? [] : message?.metadata?.attachments || []
+}
+
+/** Stand-in text for conversation lists when a message has no text of its own */
+export function attachmentSummary(message) {
+  const attachments = messageAttachments(message)
+  if (!attachments.length) return ''
+  if (attachments.length > 1) {
+    return attachments.every(isImageAttachment) ? `📷 ${attachments.length} photos` : `📎 ${attachments.length} files`
+  }
+  return isImageAttachment(attachments[0]) ? '📷 Photo' : `📎 ${attachments[0].name}`
+}
+
+/**
+ * Size of a thumbnail that fits in a square of maxDimension, never upscaled
+ * @returns {{width: number, height: number}}
+ */
+export function thumbnailSize(width, height, maxDimension = THUMBNAIL_MAX_DIMENSION) {
+  const scale = Math.min(1, maxDimension / Math.max(width, height, 1))
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  }
+}
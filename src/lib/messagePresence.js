@@ -0,0 +1,96 @@
+/*
+  Presence, typing indicators and read receipts
+  - Online/away status is tracked on the private "presence:online" realtime channel, keyed by user id;
+    last seen is stored by touch_last_seen (see sql/add_message_receipts.sql)
+  - Typing is broadcast on each conversation's private "conversation:<id>" channel
+  - Users who turn off show_presence are not tracked, send no typing events and have no last seen;
+    users who turn off show_read_receipts only ever show as delivered
+  - Pure functions only, shared by useRealtime.js and the messaging UI
+*/
+
+export const PRESENCE_CHANNEL = 'presence:online'
+
+export const AWAY_AFTER_MS = 5 * 60 * 1000
+
+export const LAST_SEEN_INTERVAL_MS = 60 * 1000
+
+// Typing events are sent at most this often, and expire if not repeated
+export const TYPING_THROTTLE_MS = 2000
+export const TYPING_TIMEOUT_MS = 5000
+
+const MINUTE_MS = 60 * 1000
+
+export function conversationChannel(conversationId) {
+  return `conversation:${conversationId}`
+}
+
+/**
+ * Status per user from a realtime presence state ({ [userId]: [{ status }] })
+ * A user with several open tabs is online if any of them is.
+ * @returns {Object} { [userId]: 'online' | 'away' }
+ */
+export function presenceStatuses(presenceState = {}) {
+  return Object.fromEntries(
+    Object.entries(presenceState).map(([userId, metas]) => [
+      userId,
+      metas.some((meta) => meta.status === 'online') ? 'online' : 'away'
+    ])
+  )
+}
+
+export function presenceLabel(status, lastSeenAt, now = new Date()) {
+  if (status === 'online') return 'Online'
+  if (status === 'away') return 'Away'
+  if (!lastSeenAt) return ''
+
+  const minutes = Math.floor((now - new Date(lastSeenAt)) / MINUTE_MS)
+  if (minutes < 1) return 'Last seen just now'
+  if (minutes < 60) return `Last seen ${minutes} min ago`
+  if (minutes < 24 * 60) return `Last seen ${Math.floor(minutes / 60)} h ago`
+  return `Last seen ${new Date(lastSeenAt).toLocaleDateString()}`
+}
+
+/** Drop typing entries that have not been repeated; returns the same object when nothing expired */
+export function pruneTyping(typing, now = Date.now()) {
+  const expired = Object.keys(typing).filter((userId) => now - typing[userId].at > TYPING_TIMEOUT_MS)
+  if (expired.length === 0) return typing
+  const next = { ...typing }
+  expired.forEach((userId) => delete next[userId])
+  return next
+}
+
+export function typingLabel(names = []) {
+  if (names.length === 0) return ''
+  if (names.length === 1) return `${names[0]} is typing…`
+  if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`
+  return 'Several people are typing…'
+}
+
+/**
+ * Delivery state of one of your own messages from its receipts (one per recipient)
+ * @param {Object} message - Message with receipts: [{ user_id, delivered_at, read_at }]
+ * @returns {Object} { status: 'sent' | 'delivered' | 'read', total, delivered, read, readAt }
+ */
+export function receiptSummary(message) {
+  const receipts = (message.receipts || []).filter((r) => r.user_id !== message.sender_id)
+  const delivered = receipts.filter((r) => r.delivered_at || r.read_at).length
+  const read = receipts.filter((r) => r.read_at).length
+  const total = receipts.length
+
+  let status = 'sent'
+  if (total > 0 && read === total) status = 'read'
+  else if (total > 0 && delivered === total) status = 'delivered'
+
+  const readAt = read ? receipts.map((r) => r.read_at).filter(Boolean).sort().pop() : null
+  return { status, total, delivered, read, readAt }
+}
+
+export function receiptLabel(summary, isGroup) {
+  if (isGroup && summary.total > 1) {
+    if (summary.read > 0) return `Read by ${summary.read} of ${summary.total}`
+    if (summary.delivered > 0) return `Delivered to ${summary.delivered} of ${summary.total}`
+    return 'Sent'
+  }
+  if (summary.status === 'read') return `Read ${new Date(summary.readAt).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}`
+  return summary.status === 'delivered' ? 'Delivered' : 'Sent'
+}
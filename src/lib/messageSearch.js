@@ -0,0 +1,56 @@
+/*
+  Full-text message search
+  - Queries use web search syntax: words, "exact phrase", OR, -excluded (websearch_to_tsquery)
+  - Results are ranked by search_messages (see sql/add_message_search.sql); its snippets mark matches
+    with <mark></mark>, which highlightParts turns into plain text parts so nothing is rendered as HTML
+  - Pure functions only, shared by messages.js and the search UI
+*/
+
+export const SEARCH_MIN_LENGTH = 2
+
+export const SEARCH_PAGE_SIZE = 20
+
+export const SEARCH_DEBOUNCE_MS = 300
+
+const HIGHLIGHT_PATTERN = /<mark>(.*?)<\/mark>/g
+
+/**
+ * Split a search snippet into text parts, marking the matches
+ * @param {string} headline - Snippet from search_messages
+ * @returns {Object[]} { text, highlighted }
+ */
+export function highlightParts(headline = '') {
+  const parts = []
+  let lastIndex = 0
+  for (const match of headline.matchAll(HIGHLIGHT_PATTERN)) {
+    if (match.index > lastIndex) parts.push({ text: headline.slice(lastIndex, match.index), highlighted: false })
+    parts.push({ text: match[1], highlighted: true })
+    lastIndex = match.index + match[0].length
+  }
+  if (lastIndex < headline.length) parts.push({ text: headline.slice(lastIndex), highlighted: false })
+  return parts
+}
+
+/**
+ * Timestamps for a date range picked as calendar days in the user's time zone; both days are included
+ * @param {string} fromDate - YYYY-MM-DD or empty
+ * @param {string} toDate - YYYY-MM-DD or empty
+ * @returns {Object} { sentAfter, sentBefore } as ISO strings or null
+ */
+export function dayRange(fromDate, toDate) {
+  const startOfDay = (value) => new Date(`${value}T00:00:00`)
+  let sentBefore = null
+  if (toDate) {
+    const end = startOfDay(toDate)
+    end.setDate(end.getDate() + 1)
+    sentBefore = end.toISOString()
+  }
+  return {
+    sentAfter: fromDate ? startOfDay(fromDate).toISOString() : null,
+    sentBefore
+  }
+}
+
+export function hasSearchFilters(filters = {}) {
+  return Boolean(filters.conversationId || filters.senderId || filters.fromDate || filters.toDate || filters.hasAttachment)
+}
@@ -0,0 +1,58 @@
+/*
+  Replies, reactions and edits
+  - A message may reply to an earlier message of the same conversation (messages.reply_to_id)
+  - Reactions are one of REACTION_EMOJIS, at most once per emoji per member
+  - Senders can edit a message for EDIT_WINDOW_MINUTES after sending it; every earlier version is kept in
+    message_edits for moderation and the message gets edited_at (see sql/add_message_threads.sql,
+    which enforces the same window)
+  - Pure functions only, shared by messages.js and the messaging UI
+*/
+
+export const EDIT_WINDOW_MINUTES = 15
+
+export const REACTION_EMOJIS = ['👍', '❤️', '😂', '🎉', '👀', '🙏']
+
+const MINUTE_MS = 60 * 1000
+
+const SNIPPET_LENGTH = 80
+
+export function editWindowEndsAt(message) {
+  return new Date(new Date(message.created_at).getTime() + EDIT_WINDOW_MINUTES * MINUTE_MS)
+}
+
+export function canEditMessage(message, userId, now = new Date()) {
+  if (!message || message.deleted || message.sender_id !== userId) return false
+  return now <= editWindowEndsAt(message)
+}
+
+/**
+ * Reactions grouped by emoji, in REACTION_EMOJIS order
+ * @param {Object[]} reactions - { id, user_id, emoji }
+ * @param {string} userId - Current user, to mark their own reactions
+ * @returns {Object[]} { emoji, count, mine, userIds }
+ */
+export function summariseReactions(reactions = [], userId) {
+  return REACTION_EMOJIS
+    .map((emoji) => {
+      const matching = reactions.filter((r) => r.emoji === emoji)
+      return {
+        emoji,
+        count: matching.length,
+        mine: matching.some((r) => r.user_id === userId),
+        userIds: matching.map((r) => r.user_id)
+      }
+    })
+    .filter((group) => group.count > 0)
+}
+
+/** One-line preview of a message for reply quotes */
+export function messageSnippet(message, length = SNIPPET_LENGTH) {
+  if (!message) return 'Original message unavailable'
+  if (message.deleted) return 'Message deleted'
+  const text = String(message.content || '').replace(/\s+/g, ' ').trim()
+  if (!text) {
+    const count = message.metadata?.attachments?.length || 0
+    return message.message_type === 'image' ? '📷 Photo' : count ? '📎 Attachment' : ''
+  }
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text
+}
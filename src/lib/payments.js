@@ -0,0 +1,90 @@
+/*
+  Pricing helpers for paid mentorship
+  - A session costs the mentor's hourly rate pro-rated to its length, rounded to the cent
+  - The platform keeps PLATFORM_FEE_RATE of each payment; refunds return the fee proportionally
+  - Stripe amounts are integers in the currency's minor unit (zero-decimal currencies have none)
+  - Pure functions only, shared by the checkout UI, the payment routes and the earnings view
+*/
+
+export const PLATFORM_FEE_RATE = 0.1
+
+// Minutes a pending_payment session holds its slot (set by set_session_payment_hold in SQL)
+export const PAYMENT_HOLD_MINUTES = 15
+
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF']
+
+const roundCents = (value) => Math.round(value * 100) / 100
+
+export function sessionPrice(hourlyRate, durationMinutes) {
+  return roundCents((Number(hourlyRate) || 0) * (durationMinutes / 60))
+}
+
+export function platformFee(amount) {
+  return roundCents(amount * PLATFORM_FEE_RATE)
+}
+
+export function toMinorUnits(amount, currency = 'USD') {
+  return ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase())
+    ? Math.round(amount)
+    : Math.round(amount * 100)
+}
+
+export function fromMinorUnits(amount, currency = 'USD') {
+  return ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase()) ? amount : amount / 100
+}
+
+export function formatMoney(amount, currency = 'USD') {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0)
+  } catch {
+    return `${(amount || 0).toFixed(2)} ${currency}`
+  }
+}
+
+/**
+ * Earnings summary for a mentor from their transactions
+ * @param {Object[]} transactions  rows with amount, platform_fee, refunded_amount, status, created_at,
+ *   and the session's ends_at (as `session`)
+ * @param {Date} [now]
+ * @returns {{gross: number, fees: number, refunded: number, net: number, pending: number,
+ *   available: number, months: {month: string, net: number, sessions: number}[]}}
+ */
+export function summarizeEarnings(transactions, now = new Date()) {
+  const summary = { gross: 0, fees: 0, refunded: 0, net: 0, pending: 0, available: 0, months: [] }
+  const months = {}
+
+  for (const tx of transactions) {
+    const amount = Number(tx.amount) || 0
+    if (tx.status === 'pending') {
+      summary.pending += amount
+      continue
+    }
+    if (!['succeeded', 'refunded', 'partially_refunded'].includes(tx.status)) continue
+
+    const refunded = Number(tx.refunded_amount) || 0
+    const fee = amount > 0 ? roundCents(Number(tx.platform_fee) * (1 - refunded / amount)) : 0
+    const net = roundCents(amount - refunded - fee)
+
+    summary.gross += amount
+    summary.refunded += refunded
+    summary.fees += fee
+    summary.net += net
+
+    // Earned once the session has taken place
+    if (tx.session?.ends_at && new Date(tx.session.ends_at) <= now) summary.available += net
+
+    const month = (tx.session_date || tx.created_at).slice(0, 7)
+    months[month] = months[month] || { month, net: 0, sessions: 0 }
+    months[month].net += net
+    if (tx.status !== 'refunded') months[month].sessions += 1
+  }
+
+  for (const key of ['gross', 'fees', 'refunded', 'net', 'pending', 'available']) {
+    summary[key] = roundCents(summary[key])
+  }
+  summary.months = Object.values(months)
+    .map((m) => ({ ...m, net: roundCents(m.net) }))
+    .sort((a, b) => a.month.localeCompare(b.month))
+
+  return summary
+}
@@ -0,0 +1,342 @@
+/*
+  Recurrence rules for event series
+  - A subset of RFC 5545 RRULE: FREQ=WEEKLY|MONTHLY with INTERVAL, BYDAY, BYMONTHDAY, UNTIL and COUNT,
+    e.g. FREQ=WEEKLY;BYDAY=TU,TH;COUNT=10 or FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20271231T235959Z
+  - Rules are parsed into { freq, interval, byDay: [{ weekday, nth }], byMonthDay: [day], until, count }
+    where weekday is 0 (Sunday) - 6, nth is 0 (every) or ±1-5, and until is an ISO instant
+  - Occurrences keep the wall-clock time of DTSTART in the series time zone, so a 6pm meetup stays at
+    6pm across daylight saving changes. Weeks start on Monday.
+  - Every series must end (UNTIL or COUNT) and is capped at MAX_OCCURRENCES
+  - Pure functions only, shared by the recurrence editor and the event series API
+*/
+
+import { zonedParts, zonedTimeToUtc, addDaysToDate, dateInTimeZone } from './scheduling'
+
+export const MAX_OCCURRENCES = 104
+
+export const RECURRENCE_FREQUENCIES = [
+  { value: 'none', label: 'Does not repeat' },
+  { value: 'WEEKLY', label: 'Weekly' },
+  { value: 'MONTHLY', label: 'Monthly' }
+]
+
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+const ORDINALS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last', '-2': 'second to last' }
+
+// Guards against rules that never produce an occurrence
+const MAX_PERIODS = 1200
+
+const pad = (n) => String(n).padStart(2, '0')
+
+const toDateStr = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate()
+
+const weekdayOf = (year, month, day) => new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+
+// Monday-first position of a weekday, for ordering days within a week
+const weekOrder = (weekday) => (weekday + 6) % 7
+
+function parseUntil(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value)
+  if (!match) return null
+  const [, year, month, day, hour = '23', minute = '59', second = '59'] = match
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second)).toISOString()
+}
+
+function formatUntil(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+/**
+ * Parse an RRULE string
+ * @param {string} value - e.g. 'FREQ=MONTHLY;BYDAY=2TU;COUNT=12', with or without the 'RRULE:' prefix
+ * @returns {Object|null} Rule, or null when the string is not a supported rule
+ */
+export function parseRRule(value) {
+  if (!value) return null
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], until: null, count: null }
+
+  for (const part of String(value).replace(/^RRULE:/i, '').split(';')) {
+    const [key, raw = ''] = part.split('=')
+    const val = raw.trim().toUpperCase()
+    switch (key.trim().toUpperCase()) {
+      case 'FREQ':
+        rule.freq = val
+        break
+      case 'INTERVAL':
+        rule.interval = Number(val)
+        break
+      case 'BYDAY':
+        for (const day of val.split(',')) {
+          const match = /^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day)
+          if (!match) return null
+          rule.byDay.push({ weekday: WEEKDAY_CODES.indexOf(match[2]), nth: Number(match[1] || 0) })
+        }
+        break
+      case 'BYMONTHDAY':
+        rule.byMonthDay = val.split(',').map(Number)
+        break
+      case 'UNTIL':
+        rule.until = parseUntil(val)
+        if (!rule.until) return null
+        break
+      case 'COUNT':
+        rule.count = Number(val)
+        break
+      case 'WKST':
+      case '':
+        break
+      default:
+        return null
+    }
+  }
+
+  return validateRule(rule) ? null : rule
+}
+
+/**
+ * Serialise a rule back to an RRULE string
+ * @param {Object} rule - Parsed rule
+ * @returns {string} RRULE value without the 'RRULE:' prefix
+ */
+export function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`]
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`)
+  if (rule.byDay?.length) {
+    parts.push(`BYDAY=${rule.byDay.map(({ weekday, nth }) => `${nth || ''}${WEEKDAY_CODES[weekday]}`).join(',')}`)
+  }
+  if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`)
+  if (rule.until) parts.push(`UNTIL=${formatUntil(rule.until)}`)
+  else if (rule.count) parts.push(`COUNT=${rule.count}`)
+  return parts.join(';')
+}
+
+/**
+ * Check a parsed rule is one this app can expand
+ * @param {Object} rule - Parsed rule
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateRule(rule) {
+  if (!rule || !['WEEKLY', 'MONTHLY'].includes(rule.freq)) return 'Series repeat weekly or monthly'
+  if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 12) {
+    return 'Repeat every 1 to 12 weeks or months'
+  }
+  if (rule.byDay.some(({ weekday, nth }) => weekday < 0 || !Number.isInteger(nth) || Math.abs(nth) > 5)) {
+    return 'Invalid weekday in recurrence rule'
+  }
+  if (rule.freq === 'WEEKLY' && (rule.byDay.some(({ nth }) => nth) || rule.byMonthDay.length)) {
+    return 'Weekly series repeat on weekdays only'
+  }
+  if (rule.byMonthDay.some((day) => !Number.isInteger(day) || day === 0 || Math.abs(day) > 31)) {
+    return 'Invalid day of month in recurrence rule'
+  }
+  if (rule.freq === 'MONTHLY' && rule.byDay.length && rule.byMonthDay.length) {
+    return 'Repeat on a weekday or a day of the month, not both'
+  }
+  if (!rule.until && !rule.count) return 'Set an end date or a number of occurrences'
+  if (rule.count && (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_OCCURRENCES)) {
+    return `A series can have 1 to ${MAX_OCCURRENCES} occurrences`
+  }
+  return null
+}
+
+// Candidate dates in one week or month of the series, in order
+function periodDates(rule, start, index) {
+  if (rule.freq === 'WEEKLY') {
+    const weekdays = rule.byDay.length ? rule.byDay.map((d) => d.weekday) : [start.weekday]
+    const weekStart = addDaysToDate(start.date, -weekOrder(start.weekday) + index * rule.interval * 7)
+    return [...new Set(weekdays)]
+      .sort((a, b) => weekOrder(a) - weekOrder(b))
+      .map((weekday) => addDaysToDate(weekStart, weekOrder(weekday)))
+  }
+
+  const monthIndex = start.month - 1 + index * rule.interval
+  const year = start.year + Math.floor(monthIndex / 12)
+  const month = (monthIndex % 12) + 1
+  const length = daysInMonth(year, month)
+  const days = []
+
+  if (rule.byDay.length) {
+    for (const { weekday, nth } of rule.byDay) {
+      const first = ((weekday - weekdayOf(year, month, 1) + 7) % 7) + 1
+      const matches = []
+      for (let day = first; day <= length; day += 7) matches.push(day)
+      if (!nth) days.push(...matches)
+      else if (matches[nth > 0 ? nth - 1 : matches.length + nth]) days.push(matches[nth > 0 ? nth - 1 : matches.length + nth])
+    }
+  } else {
+    // Months without the day are skipped, as RFC 5545 does
+    for (const day of rule.byMonthDay.length ? rule.byMonthDay : [start.day]) {
+      const resolved = day > 0 ? day : length + day + 1
+      if (resolved >= 1 && resolved <= length) days.push(resolved)
+    }
+  }
+
+  return [...new Set(days)].sort((a, b) => a - b).map((day) => toDateStr(year, month, day))
+}
+
+/**
+ * Start instants of a series, keeping DTSTART's wall-clock time in the series time zone.
+ * DTSTART is always the first occurrence, as in RFC 5545, even when it does not match the rule.
+ * @param {Object} rule - Parsed rule
+ * @param {string|Date} dtstart - First start of the series
+ * @param {string} timeZone - IANA time zone the series is scheduled in
+ * @param {Object} options - { limit }
+ * @returns {Array<Date>} Occurrence starts in order
+ */
+export function expandOccurrences(rule, dtstart, timeZone, { limit = MAX_OCCURRENCES } = {}) {
+  const parts = zonedParts(dtstart, timeZone)
+  const start = { ...parts, date: toDateStr(parts.year, parts.month, parts.day) }
+  const time = `${pad(parts.hour)}:${pad(parts.minute)}`
+  const until = rule.until ? new Date(rule.until) : null
+  const max = Math.min(rule.count || Infinity, limit)
+  const first = zonedTimeToUtc(start.date, time, timeZone)
+  if (until && first > until) return []
+  const occurrences = [first]
+
+  for (let index = 0; index < MAX_PERIODS && occurrences.length < max; index++) {
+    for (const date of periodDates(rule, start, index)) {
+      if (date <= start.date) continue
+      const instant = zonedTimeToUtc(date, time, timeZone)
+      if (until && instant > until) return occurrences
+      occurrences.push(instant)
+      if (occurrences.length >= max) break
+    }
+  }
+
+  return occurrences
+}
+
+/**
+ * Rules for the two halves of a series split at an occurrence ("this and all future" edits).
+ * The earlier half ends just before the split; a COUNT is shared out between the halves.
+ * @param {Object} rule - Parsed rule
+ * @param {string|Date} dtstart - First start of the series
+ * @param {string} timeZone - Series time zone
+ * @param {string|Date} at - Original start of the first occurrence in the later half
+ * @returns {Object} { before, after } rules
+ */
+export function splitRule(rule, dtstart, timeZone, at) {
+  const splitAt = new Date(at)
+  const before = { ...rule, count: null, until: new Date(splitAt.getTime() - 1000).toISOString() }
+  if (!rule.count) return { before, after: { ...rule } }
+
+  const earlier = expandOccurrences(rule, dtstart, timeZone).filter((start) => start < splitAt).length
+  return { before, after: { ...rule, count: Math.max(rule.count - earlier, 1) } }
+}
+
+/** Weekday of a date and which one of the month it is, e.g. the 2nd Tuesday */
+export function nthWeekdayOfMonth(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number)
+  return {
+    weekday: weekdayOf(year, month, day),
+    nth: Math.ceil(day / 7),
+    isLast: day + 7 > daysInMonth(year, month)
+  }
+}
+
+/**
+ * Editor options for a new series starting at dtstart
+ * @param {string|Date} dtstart - First start
+ * @param {string} timeZone - Series time zone
+ * @returns {Object} { freq, interval, weekdays, monthlyBy, ends, count, until }
+ */
+export function defaultRecurrenceOptions(dtstart, timeZone) {
+  const weekday = dtstart ? zonedParts(dtstart, timeZone).weekday : 1
+  return { freq: 'none', interval: 1, weekdays: [weekday], monthlyBy: 'weekday', ends: 'count', count: 10, until: '' }
+}
+
+/**
+ * Build a rule from recurrence editor options
+ * @param {Object} options - { freq, interval, weekdays, monthlyBy: 'weekday' | 'last_weekday' | 'day', ends: 'count' | 'until', count, until: 'YYYY-MM-DD' }
+ * @param {string|Date} dtstart - First start of the series
+ * @param {string} timeZone - Series time zone
+ * @returns {Object} { rule } or { error }
+ */
+export function buildRule(options, dtstart, timeZone) {
+  if (!dtstart) return { error: 'Choose a start time first' }
+  const startDate = dateInTimeZone(dtstart, timeZone)
+  const rule = {
+    freq: options.freq,
+    interval: Number(options.interval) || 1,
+    byDay: [],
+    byMonthDay: [],
+    until: null,
+    count: null
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    rule.byDay = (options.weekdays || []).map((weekday) => ({ weekday: Number(weekday), nth: 0 }))
+    if (!rule.byDay.length) return { error: 'Choose at least one weekday' }
+  } else if (rule.freq === 'MONTHLY') {
+    const { weekday, nth } = nthWeekdayOfMonth(startDate)
+    if (options.monthlyBy === 'day') rule.byMonthDay = [Number(startDate.slice(8))]
+    else rule.byDay = [{ weekday, nth: options.monthlyBy === 'last_weekday' ? -1 : nth }]
+  }
+
+  if (options.ends === 'until') {
+    if (!options.until) return { error: 'Choose when the series ends' }
+    if (options.until < startDate) return { error: 'The series must end after it starts' }
+    rule.until = new Date(zonedTimeToUtc(options.until, '23:59', timeZone).getTime() + 59 * 1000).toISOString()
+  } else {
+    rule.count = Number(options.count)
+  }
+
+  const error = validateRule(rule)
+  if (error) return { error }
+  if (expandOccurrences(rule, dtstart, timeZone, { limit: MAX_OCCURRENCES + 1 }).length > MAX_OCCURRENCES) {
+    return { error: `A series can have at most ${MAX_OCCURRENCES} occurrences` }
+  }
+  return { rule }
+}
+
+/**
+ * Editor options for an existing rule, the inverse of buildRule
+ * @param {Object} rule - Parsed rule
+ * @param {string} timeZone - Series time zone
+ * @returns {Object} Recurrence editor options
+ */
+export function ruleToOptions(rule, timeZone) {
+  return {
+    freq: rule.freq,
+    interval: rule.interval,
+    weekdays: rule.byDay.map((d) => d.weekday),
+    monthlyBy: rule.byMonthDay.length ? 'day' : rule.byDay[0]?.nth === -1 ? 'last_weekday' : 'weekday',
+    ends: rule.until ? 'until' : 'count',
+    count: rule.count || 10,
+    until: rule.until ? dateInTimeZone(rule.until, timeZone) : ''
+  }
+}
+
+/**
+ * Human readable summary, e.g. 'Every 2 weeks on Tuesday and Thursday, 10 times'
+ * @param {Object} rule - Parsed rule
+ * @param {Object} options - { timeZone } used to show UNTIL as a date
+ * @returns {string} Description
+ */
+export function describeRule(rule, { timeZone = 'UTC' } = {}) {
+  if (!rule) return ''
+  const unit = rule.freq === 'WEEKLY' ? 'week' : 'month'
+  let text = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : rule.freq === 'WEEKLY' ? 'Weekly' : 'Monthly'
+
+  const days = rule.byDay.map(({ weekday, nth }) => (
+    nth ? `the ${ORDINALS[nth] || `${nth}th`} ${WEEKDAY_NAMES[weekday]}` : WEEKDAY_NAMES[weekday]
+  ))
+  if (days.length) {
+    text += ` on ${days.length > 1 ? `${days.slice(0, -1).join(', ')} and ${days[days.length - 1]}` : days[0]}`
+  } else if (rule.byMonthDay.length) {
+    text += ` on day ${rule.byMonthDay.map((day) => (day === -1 ? 'last' : day)).join(', ')}`
+  }
+
+  if (rule.until) {
+    const until = new Date(`${dateInTimeZone(rule.until, timeZone)}T12:00:00Z`)
+    text += `, until ${until.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })}`
+  } else if (rule.count) {
+    text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`
+  }
+  return text
+}
@@ -0,0 +1,353 @@
+/*
+  Mentor availability and slot calculator
+  - Weekly rules and dated exceptions are wall-clock times in the mentor's time zone; they are turned
+    into UTC instants per calendar day, so DST changes move the slots rather than the mentor's hours
+  - Exceptions either block a whole day (no times), block a window, or add extra hours
+  - Existing sessions are padded by the mentor's buffer on both sides before slots are cut
+  - Minimum notice and the booking window bound which slots are offered or accepted
+  - Pure functions only (Intl for time zones), shared by the booking API and the calendar UI
+*/
+
+const MINUTE_MS = 60 * 1000
+const HOUR_MS = 60 * MINUTE_MS
+const DAY_MS = 24 * HOUR_MS
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+export const DEFAULT_SCHEDULE_SETTINGS = {
+  time_zone: 'UTC',
+  session_durations: [30, 60],
+  buffer_minutes: 15,
+  min_notice_hours: 24,
+  booking_window_days: 30,
+  cancellation_notice_hours: 24,
+  max_reschedules: 2
+}
+
+/**
+ * @typedef {Object} AvailabilityRule
+ * @property {number} weekday      0 = Sunday
+ * @property {string} start_time   'HH:MM' or 'HH:MM:SS'
+ * @property {string} end_time
+ */
+
+/**
+ * @typedef {Object} AvailabilityException
+ * @property {string} date         'YYYY-MM-DD' in the mentor's time zone
+ * @property {boolean} is_available
+ * @property {string|null} start_time
+ * @property {string|null} end_time
+ */
+
+/**
+ * @typedef {Object} Schedule
+ * @property {string} time_zone
+ * @property {AvailabilityRule[]} rules
+ * @property {AvailabilityException[]} exceptions
+ * @property {number} buffer_minutes
+ * @property {number} min_notice_hours
+ * @property {number} booking_window_days
+ */
+
+const formatters = {}
+
+function partsFormatter(timeZone) {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    })
+  }
+  return formatters[timeZone]
+}
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false
+  try {
+    partsFormatter(timeZone)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/** The browser's time zone, falling back to UTC */
+export function localTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+  } catch {
+    return 'UTC'
+  }
+}
+
+/** Wall-clock parts of an instant in a time zone */
+export function zonedParts(date, timeZone) {
+  const parts = {}
+  for (const { type, value } of partsFormatter(timeZone).formatToParts(new Date(date))) {
+    if (type !== 'literal') parts[type] = Number(value)
+  }
+  const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+  return { ...parts, weekday }
+}
+
+/** Offset of a time zone from UTC at an instant, in minutes (positive east of Greenwich) */
+export function timeZoneOffset(date, timeZone) {
+  const time = Math.floor(new Date(date).getTime() / 1000) * 1000
+  const p = zonedParts(time, timeZone)
+  return Math.round((Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - time) / MINUTE_MS)
+}
+
+export function timeToMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number)
+  return hours * 60 + (minutes || 0)
+}
+
+export function minutesToTime(total) {
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`
+}
+
+export function addDaysToDate(dateStr, days) {
+  const [year, month, day] = dateStr.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().slice(0, 10)
+}
+
+/** Calendar date ('YYYY-MM-DD') of an instant in a time zone */
+export function dateInTimeZone(date, timeZone) {
+  const p = zonedParts(date, timeZone)
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`
+}
+
+/**
+ * Instant for a wall-clock date and time in a time zone.
+ * Times skipped by a DST jump move forward by the jump; repeated times resolve to one of the two.
+ */
+export function zonedTimeToUtc(dateStr, time, timeZone) {
+  const [year, month, day] = dateStr.split('-').map(Number)
+  const wall = Date.UTC(year, month - 1, day) + timeToMinutes(time) * MINUTE_MS
+  const guess = wall - timeZoneOffset(wall, timeZone) * MINUTE_MS
+  const offset = timeZoneOffset(guess, timeZone)
+  return new Date(wall - offset * MINUTE_MS)
+}
+
+function mergeIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start)
+  const merged = []
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1]
+    if (last && interval.start <= last.end) last.end = Math.max(last.end, interval.end)
+    else merged.push({ ...interval })
+  }
+  return merged
+}
+
+function subtractIntervals(intervals, blocks) {
+  return blocks.reduce((remaining, block) => remaining.flatMap((interval) => {
+    if (block.end <= interval.start || block.start >= interval.end) return [interval]
+    const pieces = []
+    if (block.start > interval.start) pieces.push({ start: interval.start, end: block.start })
+    if (block.end < interval.end) pieces.push({ start: block.end, end: interval.end })
+    return pieces
+  }), intervals)
+}
+
+/**
+ * Available windows on one mentor-local date, as minutes since midnight
+ * @param {string} dateStr
+ * @param {AvailabilityRule[]} rules
+ * @param {AvailabilityException[]} exceptions
+ * @returns {{start: number, end: number}[]}
+ */
+export function windowsForDate(dateStr, rules, exceptions) {
+  const dayExceptions = (exceptions || []).filter((e) => e.date === dateStr)
+  if (dayExceptions.some((e) => !e.is_available && !e.start_time)) return []
+
+  const weekday = new Date(`${dateStr}T00:00:00Z`).getUTCDay()
+  const toInterval = (item) => ({ start: timeToMinutes(item.start_time), end: timeToMinutes(item.end_time) })
+
+  const open = mergeIntervals([
+    ...(rules || []).filter((r) => Number(r.weekday) === weekday).map(toInterval),
+    ...dayExceptions.filter((e) => e.is_available).map(toInterval)
+  ])
+  const blocked = dayExceptions.filter((e) => !e.is_available).map(toInterval)
+
+  return subtractIntervals(open, blocked).filter((w) => w.end > w.start)
+}
+
+function utcWindowsForDate(dateStr, schedule) {
+  return windowsForDate(dateStr, schedule.rules, schedule.exceptions).map((w) => ({
+    start: zonedTimeToUtc(dateStr, minutesToTime(w.start), schedule.time_zone).getTime(),
+    end: zonedTimeToUtc(dateStr, minutesToTime(w.end), schedule.time_zone).getTime()
+  }))
+}
+
+function paddedBusy(busy, bufferMinutes) {
+  const pad = (bufferMinutes || 0) * MINUTE_MS
+  return (busy || []).map((b) => ({
+    start: new Date(b.start).getTime() - pad,
+    end: new Date(b.end).getTime() + pad
+  }))
+}
+
+function bookingBounds(schedule, now) {
+  const time = new Date(now).getTime()
+  return {
+    earliest: time + (schedule.min_notice_hours || 0) * HOUR_MS,
+    latest: time + (schedule.booking_window_days || DEFAULT_SCHEDULE_SETTINGS.booking_window_days) * DAY_MS
+  }
+}
+
+/**
+ * Open slots for a session length
+ * @param {Schedule} schedule
+ * @param {Object} options
+ * @param {number} options.durationMinutes
+ * @param {{start: string, end: string}[]} [options.busy]   existing sessions (unpadded)
+ * @param {Date|string} [options.from]
+ * @param {Date|string} [options.to]
+ * @param {Date|string} [options.now]
+ * @param {number} [options.stepMinutes]                     spacing between slot starts
+ * @returns {{start: string, end: string}[]}
+ */
+export function generateSlots(schedule, { durationMinutes, busy = [], from, to, now = new Date(), stepMinutes = 30 }) {
+  const { earliest, latest } = bookingBounds(schedule, now)
+  const rangeStart = Math.max(from ? new Date(from).getTime() : earliest, earliest)
+  const rangeEnd = Math.min(to ? new Date(to).getTime() : latest, latest)
+  if (rangeEnd <= rangeStart) return []
+
+  const length = durationMinutes * MINUTE_MS
+  const step = stepMinutes * MINUTE_MS
+  const blocked = paddedBusy(busy, schedule.buffer_minutes)
+  const lastDate = dateInTimeZone(rangeEnd, schedule.time_zone)
+  const slots = []
+
+  for (let date = dateInTimeZone(rangeStart, schedule.time_zone); date <= lastDate; date = addDaysToDate(date, 1)) {
+    for (const window of utcWindowsForDate(date, schedule)) {
+      for (let start = window.start; start + length <= window.end && start <= rangeEnd; start += step) {
+        if (start < rangeStart) continue
+        const end = start + length
+        if (blocked.some((b) => start < b.end && end > b.start)) continue
+        slots.push({ start: new Date(start).toISOString(), end: new Date(end).toISOString() })
+      }
+    }
+  }
+
+  return slots
+}
+
+/**
+ * Why a requested time cannot be booked, or null when it can
+ * @param {Schedule} schedule
+ * @param {Object} request
+ * @param {Date|string} request.start
+ * @param {number} request.durationMinutes
+ * @param {{start: string, end: string}[]} [request.busy]
+ * @param {Date|string} [request.now]
+ * @returns {string|null}
+ */
+export function validateSlot(schedule, { start, durationMinutes, busy = [], now = new Date() }) {
+  const startTime = new Date(start).getTime()
+  if (Number.isNaN(startTime)) return 'Invalid session time'
+  const endTime = startTime + durationMinutes * MINUTE_MS
+
+  const { earliest, latest } = bookingBounds(schedule, now)
+  if (startTime < earliest) {
+    return `Sessions must be booked at least ${schedule.min_notice_hours} hours in advance`
+  }
+  if (startTime > latest) {
+    return `Sessions can be booked at most ${schedule.booking_window_days} days ahead`
+  }
+
+  const date = dateInTimeZone(startTime, schedule.time_zone)
+  const inWindow = utcWindowsForDate(date, schedule).some((w) => startTime >= w.start && endTime <= w.end)
+  if (!inWindow) return 'Selected time is outside the mentor\'s availability'
+
+  if (paddedBusy(busy, schedule.buffer_minutes).some((b) => startTime < b.end && endTime > b.start)) {
+    return 'Selected time overlaps another session or its buffer'
+  }
+
+  return null
+}
+
+/**
+ * What a participant may still do with a session under the mentor's cancellation policy.
+ * Mentors can always cancel or move an upcoming session; mentees can reschedule only before the
+ * notice cutoff and up to the reschedule limit, and cancellations after the cutoff are marked late.
+ * @param {Object} session          mentorship_sessions row
+ * @param {Object} policy           cancellation_notice_hours, max_reschedules
+ * @param {'mentor'|'mentee'} actor
+ * @param {Date|string} [now]
+ * @returns {{canCancel: boolean, canReschedule: boolean, isLate: boolean, reason: string|null}}
+ */
+export function getSessionPolicy(session, policy, actor, now = new Date()) {
+  if (session.status !== 'scheduled') {
+    return { canCancel: false, canReschedule: false, isLate: false, reason: 'Only scheduled sessions can be changed' }
+  }
+
+  const msUntil = new Date(session.scheduled_at).getTime() - new Date(now).getTime()
+  if (msUntil <= 0) {
+    return { canCancel: false, canReschedule: false, isLate: false, reason: 'Session has already started' }
+  }
+
+  if (actor === 'mentor') {
+    return { canCancel: true, canReschedule: true, isLate: false, reason: null }
+  }
+
+  const noticeHours = policy.cancellation_notice_hours ?? DEFAULT_SCHEDULE_SETTINGS.cancellation_notice_hours
+  const maxReschedules = policy.max_reschedules ?? DEFAULT_SCHEDULE_SETTINGS.max_reschedules
+  const isLate = msUntil < noticeHours * HOUR_MS
+
+  let reason = null
+  if (isLate) reason = `Changes within ${noticeHours} hours of the session count as late cancellations`
+  else if ((session.reschedule_count || 0) >= maxReschedules) reason = 'This session has been rescheduled the maximum number of times'
+
+  return {
+    canCancel: true,
+    canReschedule: !isLate && (session.reschedule_count || 0) < maxReschedules,
+    isLate,
+    reason
+  }
+}
+
+/**
+ * Whether a cancelled session was cancelled late, worked out from the session itself rather than its
+ * stored late_cancellation flag: the mentee cancelled within the mentor's notice period
+ * @param {Object} session          mentorship_sessions row with cancelled_at and cancelled_by
+ * @param {Object} policy           cancellation_notice_hours
+ * @param {string} mentorUserId     The mentor's user ID
+ * @returns {boolean}
+ */
+export function isLateCancellation(session, policy, mentorUserId) {
+  if (session.status !== 'cancelled' || !session.cancelled_at) return false
+  // Released payment holds and mentor cancellations are never the mentee's fault
+  if (!session.cancelled_by || session.cancelled_by === mentorUserId) return false
+
+  const noticeHours = policy.cancellation_notice_hours ?? DEFAULT_SCHEDULE_SETTINGS.cancellation_notice_hours
+  const msBefore = new Date(session.scheduled_at).getTime() - new Date(session.cancelled_at).getTime()
+  return msBefore < noticeHours * HOUR_MS
+}
+
+/** Slots grouped by calendar day in the viewer's time zone */
+export function groupSlotsByDay(slots, timeZone) {
+  const dayLabel = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', month: 'short', day: 'numeric' })
+  const groups = []
+  for (const slot of slots) {
+    const date = dateInTimeZone(slot.start, timeZone)
+    let group = groups[groups.length - 1]
+    if (!group || group.date !== date) {
+      group = { date, label: dayLabel.format(new Date(slot.start)), slots: [] }
+      groups.push(group)
+    }
+    group.slots.push(slot)
+  }
+  return groups
+}
+
+export function formatTimeInZone(date, timeZone, options = { hour: 'numeric', minute: '2-digit' }) {
+  return new Intl.DateTimeFormat('en-US', { timeZone, ...options }).format(new Date(date))
+}
@@ -3,6 +3,7 @@ import { supabase } from '@/lib/supabase'
 import { getUserConnections } from '@/lib/api/connections'
 import { getMentorshipRequests, getInvestmentRequests } from '@/lib/api/requests'
 import { getUserEventRegistrations } from '@/lib/api/eventRegistration'
+import { getHybridRecommendations, getRecommendationFeedback, toFeedbackSignals } from '@/lib/api/recommendations'
 
 // Simple cache to avoid redundant API calls
 const cache = new Map()
@@ -252,7 +253,7 @@ const fetchUserRequests = async (user, profile) => {
             .limit(10),
           supabase
             .from('investment_requests')
-            .select('id, status, created_at, investor_id')
+            .select('id, status, review_stage, created_at, investor_id')
             .eq('startup_id', user.id)
             .order('created_at', { ascending: false })
             .limit(10)
@@ -405,91 +406,76 @@ const fetchRecommendations = async (user, profile) => {
   }
 }
 
+// Ranked recommendations from the hybrid recommender (graph + profile content), with
+// structured reasons. Users without graph history yet still get content-based matches.
+const fetchRankedRecommendations = async (user, targetRoles, topK = 5) => {
+  try {
+    const { data: { session } } = await supabase.auth.getSession()
+    const response = await fetch(`/api/recommendations?userId=${user.id}&targetRole=${targetRoles.join(',')}&topK=${topK}`, {
+      headers: session ? { Authorization: `Bearer ${session.access_token}` } : {}
+    })
+    if (!response.ok) throw new Error('Failed to fetch recommendations')
+    const result = await response.json()
+    return result.data || []
+  } catch (apiError) {
+    // Rank on profile content alone when the graph service is unavailable
+    console.error('Recommendations API unavailable, using content-only ranking:', apiError)
+    const feedback = toFeedbackSignals(await getRecommendationFeedback(user.id))
+    const { data } = await getHybridRecommendations(user.id, { targetRoles, topK, feedback })
+    return data.map((r) => ({ ...r, role_profile: r.roleProfile, reasons: [], source: 'content_fallback' }))
+  }
+}
+
+// Map a ranked recommendation to the card shape used by the dashboards
+const toRecommendationCard = (rec) => {
+  const rp = rec.role_profile || {}
+  const base = {
+    id: rp.id || rec.id,
+    userId: rec.id,
+    type: rec.role,
+    image: rec.avatar_url,
+    location: rec.location,
+    score: rec.score,
+    reasons: rec.reasons || [],
+    source: rec.source,
+    saved: !!rec.saved
+  }
+
+  switch (rec.role) {
+    case 'mentor':
+      return {
+        ...base,
+        title: rec.full_name || 'Mentor',
+        description: `${rp.expertise_tags?.join(', ') || 'Mentor'} • ${rp.years_experience || 0} years experience`,
+        rate: rp.hourly_rate,
+        link: `/mentors/${rp.id || rec.id}`
+      }
+    case 'investor':
+      return {
+        ...base,
+        title: rp.fund_name || rec.full_name || 'Investor',
+        description: `${rp.sectors?.join(', ') || 'Investor'} • ${rp.investment_stage?.join(', ') || 'All stages'}`,
+        link: `/investors/${rp.id || rec.id}`
+      }
+    default:
+      return {
+        ...base,
+        title: rp.company_name || rec.full_name || 'Startup',
+        description: `${rp.industry || 'Startup'} • ${rp.stage || 'Early'} stage`,
+        image: rp.logo_url || rec.avatar_url,
+        location: rp.location || rec.location,
+        stage: rp.stage,
+        fundingGoal: rp.funding_goal,
+        link: rp.slug ? `/startups/${rp.slug}` : '#'
+      }
+  }
+}
+
 // Fetch startup-specific recommendations
 const fetchStartupRecommendations = async (user, startupData) => {
   try {
-    const { data: mentors, error } = await supabase
-      .from('mentor_profiles')
-      .select(`
-        id,
-        user_id,
-        expertise_tags,
-        years_experience,
-        hourly_rate,
-        profiles(
-          id,
-          full_name,
-          avatar_url,
-          location
-        )
-      `)
-      .limit(5)
-
-    if (error) {
-      console.error('Supabase error in fetchStartupRecommendations:', error)
-      // Return fallback recommendations for testing
-      return [
-        {
-          id: 'test-1',
-          type: 'mentor',
-          title: 'Jennifer Smith',
-          description: 'Engineering, Scaling Teams • 15 years experience',
-          image: null,
-          location: 'San Francisco, CA',
-          rate: 250,
-          link: '/mentors/test-1'
-        },
-        {
-          id: 'test-2',
-          type: 'mentor',
-          title: 'Mark Thompson',
-          description: 'B2B SaaS, Fundraising • 12 years experience',
-          image: null,
-          location: 'New York, NY',
-          rate: 300,
-          link: '/mentors/test-2'
-        }
-      ]
-    }
-
-    const recommendations = mentors?.map(mentor => ({
-      id: mentor.id,
-      type: 'mentor',
-      title: mentor.profiles?.full_name || 'Mentor',
-      description: `${mentor.expertise_tags?.join(', ') || 'Mentor'} • ${mentor.years_experience || 0} years experience`,
-      image: mentor.profiles?.avatar_url,
-      location: mentor.profiles?.location,
-      rate: mentor.hourly_rate,
-      link: `/mentors/${mentor.id}`
-    })) || []
-    
-    // If no data returned, provide fallback
-    if (recommendations.length === 0) {
-      return [
-        {
-          id: 'fallback-1',
-          type: 'mentor',
-          title: 'Jennifer Smith',
-          description: 'Engineering, Scaling Teams • 15 years experience',
-          image: null,
-          location: 'San Francisco, CA',
-          rate: 250,
-          link: '/mentors/fallback-1'
-        },
-        {
-          id: 'fallback-2',
-          type: 'mentor',
-          title: 'Mark Thompson',
-          description: 'B2B SaaS, Fundraising • 12 years experience',
-          image: null,
-          location: 'New York, NY',
-          rate: 300,
-          link: '/mentors/fallback-2'
-        }
-      ]
-    }
-    
-    return recommendations
+    const ranked = await fetchRankedRecommendations(user, ['mentor', 'investor'], 6)
+    return ranked.map(toRecommendationCard)
   } catch (error) {
     console.error('Error fetching startup recommendations:', error)
     return []
@@ -499,37 +485,8 @@ const fetchStartupRecommendations = async (user, startupData) => {
 // Fetch mentor-specific recommendations
 const fetchMentorRecommendations = async (user, mentorData) => {
   try {
-    const { data: startups, error } = await supabase
-      .from('startup_profiles')
-      .select(`
-        id,
-        user_id,
-        company_name,
-        industry,
-        stage,
-        description,
-        slug,
-        profiles(
-          id,
-          full_name,
-          avatar_url,
-          location
-        )
-      `)
-      .limit(5)
-
-    if (error) throw error
-
-    return startups?.map(startup => ({
-      id: startup.id,
-      type: 'startup',
-      title: startup.company_name,
-      description: `${startup.industry || 'Startup'} • ${startup.stage || 'Early'} stage`,
-      image: startup.profiles.avatar_url,
-      location: startup.profiles.location,
-      stage: startup.stage,
-      link: `/startups/${startup.slug}`
-    })) || []
+    const ranked = await fetchRankedRecommendations(user, ['startup'], 6)
+    return ranked.map(toRecommendationCard)
   } catch (error) {
     console.error('Error fetching mentor recommendations:', error)
     return []
@@ -539,39 +496,8 @@ const fetchMentorRecommendations = async (user, mentorData) => {
 // Fetch investor-specific recommendations
 const fetchInvestorRecommendations = async (user, investorData) => {
   try {
-    const { data: startups, error } = await supabase
-      .from('startup_profiles')
-      .select(`
-        id,
-        user_id,
-        company_name,
-        industry,
-        stage,
-        funding_goal,
-        description,
-        slug,
-        profiles(
-          id,
-          full_name,
-          avatar_url,
-          location
-        )
-      `)
-      .in('stage', ['idea', 'prototype', 'mvp'])
-      .limit(5)
-
-    if (error) throw error
-
-    return startups?.map(startup => ({
-      id: startup.id,
-      type: 'startup',
-      title: startup.company_name,
-      description: `${startup.industry || 'Startup'} • Seeking $${startup.funding_goal?.toLocaleString() || 'TBD'}`,
-      image: startup.profiles.avatar_url,
-      location: startup.profiles.location,
-      fundingGoal: startup.funding_goal,
-      link: `/startups/${startup.slug}`
-    })) || []
+    const ranked = await fetchRankedRecommendations(user, ['startup'], 6)
+    return ranked.map(toRecommendationCard)
   } catch (error) {
     console.error('Error fetching investor recommendations:', error)
     return []
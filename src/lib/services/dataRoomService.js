@@ -0,0 +1,69 @@
+import { DATA_ROOM_BUCKET, DATA_ROOM_LINK_TTL_SECONDS } from '@/lib/api/dataRoom'
+
+/**
+ * Data Room Service
+ * Server-side document links for the due-diligence data room. Investors cannot sign storage URLs
+ * themselves: the access log row is written with the service-role client passed in as `db` first,
+ * and no link is issued if that fails.
+ */
+
+async function hasActiveGrant(db, startupId, investorId) {
+  const { data: grant } = await db
+    .from('data_room_grants')
+    .select('revoked_at, expires_at')
+    .eq('startup_id', startupId)
+    .eq('investor_id', investorId)
+    .maybeSingle()
+
+  return !!grant && !grant.revoked_at && (!grant.expires_at || new Date(grant.expires_at) > new Date())
+}
+
+/**
+ * Create a short-lived signed link to a data room document, logging investor access
+ * @param {Object} params - { db, documentId, userId, download }
+ * @returns {Object} Result object with { url, expiresIn }
+ */
+export async function createDocumentLink({ db, documentId, userId, download = false }) {
+  try {
+    const { data: document } = await db
+      .from('data_room_documents')
+      .select('id, startup_id, name, file_path')
+      .eq('id', documentId)
+      .maybeSingle()
+
+    const isFounder = document?.startup_id === userId
+    if (!document || (!isFounder && !(await hasActiveGrant(db, document.startup_id, userId)))) {
+      return { error: 'Document not found or access has expired', status: 404 }
+    }
+
+    // The founder's own opens aren't interesting to them
+    if (!isFounder) {
+      const { error: logError } = await db
+        .from('data_room_access_logs')
+        .insert({
+          startup_id: document.startup_id,
+          document_id: document.id,
+          viewer_id: userId,
+          action: download ? 'download' : 'view'
+        })
+
+      if (logError) {
+        console.error('Error logging data room access:', logError)
+        return { error: 'Failed to open document', status: 500 }
+      }
+    }
+
+    const { data: signed, error: signError } = await db.storage
+      .from(DATA_ROOM_BUCKET)
+      .createSignedUrl(document.file_path, DATA_ROOM_LINK_TTL_SECONDS, download ? { download: document.name } : {})
+
+    if (signError || !signed?.signedUrl) {
+      return { error: 'Failed to create document link', status: 500 }
+    }
+
+    return { data: { url: signed.signedUrl, expiresIn: DATA_ROOM_LINK_TTL_SECONDS }, status: 200 }
+  } catch (error) {
+    console.error('Error creating data room document link:', error)
+    return { error: 'Failed to open document', status: 500 }
+  }
+}
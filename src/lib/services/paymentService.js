@@ -0,0 +1,310 @@
+import { sessionPrice, platformFee, toMinorUnits, fromMinorUnits } from '@/lib/payments'
+import { isLateCancellation } from '@/lib/scheduling'
+import { sendNotification } from '@/lib/api/auth'
+
+/**
+ * Payment Service
+ * Server-side Stripe flows for paid mentorship sessions. The database client (service role) and the
+ * Stripe client are passed in, so the same code runs against stripe-mock or recorded webhook fixtures.
+ */
+
+async function loadSession(db, sessionId) {
+  const { data } = await db
+    .from('mentorship_sessions')
+    .select('*, mentor_profiles(id, user_id, is_paid, hourly_rate, currency, cancellation_notice_hours)')
+    .eq('id', sessionId)
+    .maybeSingle()
+
+  return data
+}
+
+/**
+ * Create (or reuse) the PaymentIntent for a session awaiting payment
+ * @param {Object} params - { db, stripe, sessionId, userId }
+ * @returns {Object} Result object with { clientSecret, amount, currency, expiresAt }
+ */
+export async function createSessionPaymentIntent({ db, stripe, sessionId, userId }) {
+  try {
+    const session = await loadSession(db, sessionId)
+    if (!session || session.mentee_id !== userId) {
+      return { error: 'Session not found', status: 404 }
+    }
+
+    if (session.status !== 'pending_payment' || new Date(session.payment_expires_at) < new Date()) {
+      return { error: 'This booking is no longer awaiting payment. Please book a new slot.', status: 409 }
+    }
+
+    const mentor = session.mentor_profiles
+    const currency = (mentor?.currency || 'USD').toUpperCase()
+    const amount = sessionPrice(mentor?.hourly_rate, session.duration_minutes)
+    if (!mentor?.is_paid || amount <= 0) {
+      return { error: 'This mentor does not charge for sessions', status: 400 }
+    }
+
+    const { data: existing } = await db
+      .from('transactions')
+      .select('*')
+      .eq('session_id', sessionId)
+      .maybeSingle()
+
+    // Same session, same intent: retries and page reloads must not create a second charge
+    const paymentIntent = existing?.stripe_payment_intent_id
+      ? await stripe.paymentIntents.retrieve(existing.stripe_payment_intent_id)
+      : await stripe.paymentIntents.create({
+        amount: toMinorUnits(amount, currency),
+        currency: currency.toLowerCase(),
+        automatic_payment_methods: { enabled: true },
+        description: `Mentorship session (${session.duration_minutes} min)`,
+        metadata: { session_id: sessionId, mentor_id: session.mentor_id, payer_id: userId }
+      }, { idempotencyKey: `mentorship-session-${sessionId}` })
+
+    if (!existing) {
+      const { error } = await db.from('transactions').insert({
+        mentor_id: session.mentor_id,
+        session_id: sessionId,
+        payer_id: userId,
+        stripe_payment_intent_id: paymentIntent.id,
+        amount,
+        currency,
+        platform_fee: platformFee(amount),
+        status: 'pending',
+        session_duration: session.duration_minutes,
+        session_date: session.scheduled_at
+      })
+      if (error) throw error
+    }
+
+    return {
+      data: {
+        clientSecret: paymentIntent.client_secret,
+        amount,
+        currency,
+        expiresAt: session.payment_expires_at
+      },
+      status: 200
+    }
+  } catch (error) {
+    console.error('Error creating payment intent:', error)
+    return { error: 'Failed to start payment', status: 500 }
+  }
+}
+
+/**
+ * Refund a cancelled session when the cancellation policy allows it: always when the mentor cancelled,
+ * and for mentees only when they cancelled before the notice cutoff
+ * @param {Object} params - { db, stripe, sessionId, userId }
+ * @returns {Object} Result object with { refundId } or { refunded: false, reason }
+ */
+export async function refundCancelledSession({ db, stripe, sessionId, userId }) {
+  try {
+    const session = await loadSession(db, sessionId)
+    const isParticipant = session && (session.mentee_id === userId || session.mentor_profiles?.user_id === userId)
+    if (!isParticipant) {
+      return { error: 'Session not found', status: 404 }
+    }
+
+    if (session.status !== 'cancelled') {
+      return { error: 'Only cancelled sessions can be refunded', status: 400 }
+    }
+
+    // Recomputed from the session times: the stored flag is not trusted for money
+    if (isLateCancellation(session, session.mentor_profiles || {}, session.mentor_profiles?.user_id)) {
+      return { data: { refunded: false, reason: 'Late cancellations are not refunded' }, status: 200 }
+    }
+
+    const { data: transaction } = await db
+      .from('transactions')
+      .select('*')
+      .eq('session_id', sessionId)
+      .maybeSingle()
+
+    if (!transaction || transaction.status !== 'succeeded') {
+      return { data: { refunded: false, reason: 'No completed payment for this session' }, status: 200 }
+    }
+
+    const refund = await stripe.refunds.create({
+      payment_intent: transaction.stripe_payment_intent_id,
+      metadata: { session_id: sessionId, requested_by: userId }
+    }, { idempotencyKey: `mentorship-refund-${sessionId}` })
+
+    // The transaction itself is updated by the charge.refunded webhook
+    return { data: { refunded: true, refundId: refund.id }, status: 200 }
+  } catch (error) {
+    console.error('Error refunding session:', error)
+    return { error: 'Failed to refund session', status: 500 }
+  }
+}
+
+async function findTransaction(db, paymentIntentId) {
+  const { data } = await db
+    .from('transactions')
+    .select('*, mentorship_sessions(id, mentee_id, status, scheduled_at, duration_minutes), mentor_profiles(user_id)')
+    .eq('stripe_payment_intent_id', paymentIntentId)
+    .maybeSingle()
+
+  return data
+}
+
+async function handlePaymentSucceeded(db, stripe, paymentIntent) {
+  const transaction = await findTransaction(db, paymentIntent.id)
+  if (!transaction) return false
+
+  await db
+    .from('transactions')
+    .update({ status: 'succeeded', stripe_charge_id: paymentIntent.latest_charge || null, failure_reason: null })
+    .eq('id', transaction.id)
+
+  const session = transaction.mentorship_sessions
+  if (!session) return true
+
+  // Confirm the held slot; a lapsed hold is revived if nobody else took the time meanwhile
+  const { data: confirmed, error } = await db
+    .from('mentorship_sessions')
+    .update({ status: 'scheduled', payment_expires_at: null, cancelled_at: null, cancellation_reason: null })
+    .eq('id', session.id)
+    .or('status.eq.pending_payment,and(status.eq.cancelled,cancelled_by.is.null)')
+    .select('id')
+
+  // The slot was taken meanwhile, or a participant cancelled before the payment went through
+  const slotLost = error?.code === '23P01' || (!error && !confirmed?.length && session.status !== 'scheduled')
+  if (slotLost) {
+    await stripe.refunds.create({
+      payment_intent: paymentIntent.id,
+      metadata: { session_id: session.id, reason: 'slot_taken' }
+    }, { idempotencyKey: `mentorship-refund-${session.id}` })
+    await sendNotification(session.mentee_id, {
+      type: 'session_cancelled',
+      title: 'Booking could not be completed',
+      content: 'Your payment arrived after the booking was released, so the session could not be confirmed. You will be refunded in full.',
+      related_id: session.id
+    }, db)
+    return true
+  }
+  if (error) throw error
+
+  if (transaction.mentor_profiles?.user_id) {
+    await sendNotification(transaction.mentor_profiles.user_id, {
+      type: 'session_booked',
+      title: 'New Paid Session Booked',
+      content: `A paid ${session.duration_minutes}-minute mentorship session was booked`,
+      related_id: session.id
+    }, db)
+  }
+  await sendNotification(session.mentee_id, {
+    type: 'session_booked',
+    title: 'Payment received',
+    content: 'Your mentorship session is confirmed',
+    related_id: session.id
+  }, db)
+
+  return true
+}
+
+async function handlePaymentFailed(db, paymentIntent) {
+  const transaction = await findTransaction(db, paymentIntent.id)
+  if (!transaction) return false
+
+  // The mentee can retry with the same intent while the hold lasts
+  await db
+    .from('transactions')
+    .update({ status: 'failed', failure_reason: paymentIntent.last_payment_error?.message || 'Payment failed' })
+    .eq('id', transaction.id)
+
+  return true
+}
+
+async function handlePaymentCanceled(db, paymentIntent) {
+  const transaction = await findTransaction(db, paymentIntent.id)
+  if (!transaction) return false
+
+  await db.from('transactions').update({ status: 'cancelled' }).eq('id', transaction.id)
+
+  if (transaction.session_id) {
+    await db
+      .from('mentorship_sessions')
+      .update({ status: 'cancelled', cancelled_at: new Date().toISOString(), cancellation_reason: 'Payment cancelled' })
+      .eq('id', transaction.session_id)
+      .eq('status', 'pending_payment')
+  }
+
+  return true
+}
+
+async function handleChargeRefunded(db, charge) {
+  if (!charge.payment_intent) return false
+  const transaction = await findTransaction(db, charge.payment_intent)
+  if (!transaction) return false
+
+  const refunded = fromMinorUnits(charge.amount_refunded, charge.currency)
+  const fullyRefunded = charge.refunded || refunded >= Number(transaction.amount)
+
+  await db
+    .from('transactions')
+    .update({
+      status: fullyRefunded ? 'refunded' : 'partially_refunded',
+      refunded_amount: refunded,
+      refunded_at: new Date().toISOString()
+    })
+    .eq('id', transaction.id)
+
+  if (transaction.payer_id) {
+    await sendNotification(transaction.payer_id, {
+      type: 'session_cancelled',
+      title: 'Refund issued',
+      content: `A refund of ${refunded} ${transaction.currency} for your mentorship session is on its way`,
+      related_id: transaction.session_id
+    }, db)
+  }
+
+  return true
+}
+
+/**
+ * Apply a verified Stripe webhook event. Each event id is processed once.
+ * @param {Object} event - Stripe event (from stripe.webhooks.constructEvent, or a recorded fixture)
+ * @param {Object} clients - { db, stripe }
+ * @returns {Object} Result object with { handled, duplicate }
+ */
+export async function handleStripeEvent(event, { db, stripe }) {
+  try {
+    const { error: seenError } = await db
+      .from('stripe_webhook_events')
+      .insert({ id: event.id, type: event.type })
+
+    if (seenError?.code === '23505') {
+      return { data: { handled: false, duplicate: true }, status: 200 }
+    }
+    if (seenError) throw seenError
+
+    const object = event.data.object
+    let handled = false
+
+    try {
+      switch (event.type) {
+        case 'payment_intent.succeeded':
+          handled = await handlePaymentSucceeded(db, stripe, object)
+          break
+        case 'payment_intent.payment_failed':
+          handled = await handlePaymentFailed(db, object)
+          break
+        case 'payment_intent.canceled':
+          handled = await handlePaymentCanceled(db, object)
+          break
+        case 'charge.refunded':
+          handled = await handleChargeRefunded(db, object)
+          break
+        default:
+          handled = false
+      }
+    } catch (error) {
+      // Let Stripe retry the event
+      await db.from('stripe_webhook_events').delete().eq('id', event.id)
+      throw error
+    }
+
+    return { data: { handled, duplicate: false }, status: 200 }
+  } catch (error) {
+    console.error('Error handling Stripe event:', error)
+    return { error: 'Failed to process webhook', status: 500 }
+  }
+}
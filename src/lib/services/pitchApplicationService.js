@@ -0,0 +1,108 @@
+import { validateAnswers, APPLICATION_FILES_BUCKET } from '@/lib/applicationForms'
+import { sendNotification } from '@/lib/api/auth'
+
+/**
+ * Pitch Application Service
+ * Server-side submission of pitch applications. Answers are checked against the event's form with the
+ * service-role client passed in as `db`, so the rules cannot be skipped from the browser.
+ */
+
+async function fileExists(db, path) {
+  const folder = path.split('/').slice(0, -1).join('/')
+  const name = path.split('/').pop()
+  const { data } = await db.storage.from(APPLICATION_FILES_BUCKET).list(folder, { search: name })
+  return (data || []).some((file) => file.name === name)
+}
+
+/**
+ * Submit a startup's application to a pitch event
+ * @param {Object} params - { db, eventId, userId, answers, pitchDeckUrl }
+ * @returns {Object} Result object with the application, or { error, errors } with per-field messages
+ */
+export async function submitPitchApplication({ db, eventId, userId, answers = {}, pitchDeckUrl = null }) {
+  try {
+    const { data: startup } = await db
+      .from('startup_profiles')
+      .select('id, company_name')
+      .eq('user_id', userId)
+      .maybeSingle()
+
+    if (!startup) {
+      return { error: 'Startup profile not found', status: 404 }
+    }
+
+    const { data: event } = await db
+      .from('events')
+      .select('id, title, organizer_id, start_date, registration_deadline, application_form')
+      .eq('id', eventId)
+      .eq('event_type', 'pitch_event')
+      .maybeSingle()
+
+    if (!event) {
+      return { error: 'Pitch event not found', status: 404 }
+    }
+
+    if (new Date(event.registration_deadline || event.start_date) < new Date()) {
+      return { error: 'Event is not accepting applications', status: 400 }
+    }
+
+    const { data: existing } = await db
+      .from('pitch_applications')
+      .select('id')
+      .eq('event_id', eventId)
+      .eq('startup_id', startup.id)
+      .maybeSingle()
+
+    if (existing) {
+      return { error: 'Already applied to this pitch event', status: 400 }
+    }
+
+    const form = event.application_form || []
+    const validation = validateAnswers(form, answers, { uploadPrefix: `${userId}/${eventId}/` })
+    if (validation.errors) {
+      return { error: 'Please fix the highlighted answers', errors: validation.errors, status: 400 }
+    }
+
+    for (const field of form) {
+      const file = field.type === 'file' && validation.answers[field.id]
+      if (file && !(await fileExists(db, file.path))) {
+        return { error: 'Please fix the highlighted answers', errors: { [field.id]: 'Upload the file again' }, status: 400 }
+      }
+    }
+
+    const { data, error } = await db
+      .from('pitch_applications')
+      .insert({
+        event_id: eventId,
+        startup_id: startup.id,
+        pitch_deck_url: pitchDeckUrl,
+        application_answers: validation.answers,
+        status: 'pending'
+      })
+      .select()
+      .single()
+
+    if (error?.code === '23505') {
+      return { error: 'Already applied to this pitch event', status: 400 }
+    }
+    if (error) throw error
+
+    await sendNotification(event.organizer_id, {
+      type: 'application_status',
+      title: 'New Pitch Application',
+      content: `${startup.company_name} applied to pitch at your event: ${event.title}`,
+      related_id: eventId
+    }, db)
+
+    await db.from('activity_logs').insert({
+      user_id: userId,
+      action: 'pitch_application_submitted',
+      metadata: { event_id: eventId, application_id: data.id }
+    })
+
+    return { data, status: 201 }
+  } catch (error) {
+    console.error('Error submitting pitch application:', error)
+    return { error: 'Failed to apply to pitch event', status: 500 }
+  }
+}
@@ -0,0 +1,82 @@
+/*
+  Replays a recorded Stripe webhook event against the local webhook route
+  - Signs the fixture with STRIPE_WEBHOOK_SECRET exactly like Stripe does, so the route's signature check runs
+  - Points the event at a real PaymentIntent / charge from your database with --payment-intent / --charge
+  - Gives each replay a fresh event id unless --keep-id is passed (use it to check duplicate handling)
+  - Example, with `npm run dev` running:
+      npm run stripe:replay -- payment_intent.succeeded --payment-intent pi_123
+      npm run stripe:replay -- charge.refunded --payment-intent pi_123 --amount-refunded 2500
+*/
+
+const path = require('path')
+const fs = require('fs')
+const Stripe = require('stripe')
+
+const FIXTURE_DIR = path.join(__dirname, 'stripeFixtures')
+
+function parseArgs(argv) {
+  const args = { fixture: null, url: 'http://localhost:3000/api/payments/webhook' }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (!arg.startsWith('--')) args.fixture = arg
+    else if (arg === '--keep-id') args.keepId = true
+    else args[arg.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase())] = argv[++i]
+  }
+  return args
+}
+
+function loadFixture(name) {
+  const file = fs.existsSync(name) ? name : path.join(FIXTURE_DIR, `${name.replace(/\.json$/, '')}.json`)
+  if (!fs.existsSync(file)) {
+    const available = fs.readdirSync(FIXTURE_DIR).map((f) => f.replace(/\.json$/, ''))
+    throw new Error(`Unknown fixture "${name}". Available: ${available.join(', ')}`)
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+function applyOverrides(event, args) {
+  const object = event.data.object
+  if (!args.keepId) event.id = `evt_replay_${Date.now()}`
+  event.created = Math.floor(Date.now() / 1000)
+
+  if (args.paymentIntent) {
+    if (object.object === 'charge') object.payment_intent = args.paymentIntent
+    else object.id = args.paymentIntent
+  }
+  if (args.charge) {
+    if (object.object === 'charge') object.id = args.charge
+    else object.latest_charge = args.charge
+  }
+  if (args.amountRefunded !== undefined) {
+    object.amount_refunded = Number(args.amountRefunded)
+    object.refunded = object.amount_refunded >= object.amount
+  }
+  return event
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (!args.fixture) {
+    throw new Error('Usage: replayStripeWebhook.js <fixture> [--payment-intent pi_...] [--charge ch_...] [--amount-refunded n] [--keep-id] [--url ...]')
+  }
+
+  const secret = process.env.STRIPE_WEBHOOK_SECRET
+  if (!secret) throw new Error('STRIPE_WEBHOOK_SECRET must be set to the secret the dev server uses')
+
+  const payload = JSON.stringify(applyOverrides(loadFixture(args.fixture), args), null, 2)
+  const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret })
+
+  const response = await fetch(args.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload
+  })
+
+  console.log(`${JSON.parse(payload).type} -> ${response.status} ${await response.text()}`)
+  if (!response.ok) process.exitCode = 1
+}
+
+main().catch((error) => {
+  console.error(error.message)
+  process.exitCode = 1
+})
@@ -655,7 +655,11 @@ export const useStore = create(
     setCacheEntry('recommendations', cacheKey, createLoadingEntry())
 
     try {
-      const response = await fetch(`/api/recommendations?userId=${userId}&topK=${topK}`)
+      // Signed-in requests get the user's own saved/dismissed feedback applied
+      const { data: { session } } = await supabase.auth.getSession()
+      const response = await fetch(`/api/recommendations?userId=${userId}&topK=${topK}`, {
+        headers: session ? { Authorization: `Bearer ${session.access_token}` } : {}
+      })
       if (!response.ok) throw new Error('Failed to fetch recommendations')
       
       const result = await response.json()
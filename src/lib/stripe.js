@@ -0,0 +1,26 @@
+import Stripe from 'stripe'
+
+/*
+  Server-only Stripe client.
+  Point it at stripe-mock (https://github.com/stripe/stripe-mock) for local runs with
+  STRIPE_API_HOST=localhost STRIPE_API_PORT=12111 STRIPE_API_PROTOCOL=http and any sk_test_ key.
+*/
+
+let client = null
+
+export function getStripe() {
+  if (!process.env.STRIPE_SECRET_KEY) return null
+
+  if (!client) {
+    client = new Stripe(process.env.STRIPE_SECRET_KEY, {
+      apiVersion: '2023-10-16',
+      ...(process.env.STRIPE_API_HOST && {
+        host: process.env.STRIPE_API_HOST,
+        port: process.env.STRIPE_API_PORT || 443,
+        protocol: process.env.STRIPE_API_PROTOCOL || 'https'
+      })
+    })
+  }
+
+  return client
+}
@@ -245,11 +245,11 @@ export function getFileUrl(bucket, path) {
 }
 
 // Helper function to create signed URL for private files
-export async function createSignedUrl(bucket, path, expiresIn = 3600) {
+export async function createSignedUrl(bucket, path, expiresIn = 3600, options = {}) {
   try {
     const { data, error } = await supabase.storage
       .from(bucket)
-      .createSignedUrl(path, expiresIn)
+      .createSignedUrl(path, expiresIn, options)
     
     return { data, error }
   } catch (error) {
@@ -0,0 +1,54 @@
+/*
+  Event ticket tokens
+  - Format: t1.<event_id>.<registration_id>.<signature>, shown to attendees as a QR code
+  - signature = base64url(HMAC-SHA256("t1.<event_id>.<registration_id>", per-event secret))
+  - Tickets are issued and checked in by the database (sql/add_event_ticketing.sql); the same
+    signature check runs here with Web Crypto so the check-in screen keeps working offline
+*/
+
+export const TICKET_VERSION = 't1'
+
+const UUID_PATTERN = /^[0-9a-f-]{36}$/
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '')
+
+const hexToBytes = (hex) => new Uint8Array(hex.match(/.{2}/g).map((byte) => parseInt(byte, 16)))
+
+/**
+ * Split a scanned ticket into its parts
+ * @param {string} token
+ * @returns {{eventId: string, registrationId: string, signature: string, message: string}|null}
+ */
+export function parseTicket(token) {
+  const parts = String(token || '').trim().split('.')
+  if (parts.length !== 4 || parts[0] !== TICKET_VERSION) return null
+
+  const [, eventId, registrationId, signature] = parts
+  if (!UUID_PATTERN.test(eventId) || !UUID_PATTERN.test(registrationId) || !signature) return null
+
+  return { eventId, registrationId, signature, message: parts.slice(0, 3).join('.') }
+}
+
+/**
+ * Check a ticket's signature against the event's secret without a network round trip
+ * @param {string} token
+ * @param {string} secretHex - Event signing secret (hex)
+ * @returns {Promise<boolean>}
+ */
+export async function verifyTicketSignature(token, secretHex) {
+  const ticket = parseTicket(token)
+  if (!ticket || !secretHex) return false
+
+  const key = await crypto.subtle.importKey('raw', hexToBytes(secretHex), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+  const expected = toBase64Url(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(ticket.message)))
+
+  // Compare without an early exit
+  let diff = expected.length ^ ticket.signature.length
+  for (let i = 0; i < expected.length; i++) {
+    diff |= expected.charCodeAt(i) ^ (ticket.signature.charCodeAt(i) || 0)
+  }
+  return diff === 0
+}
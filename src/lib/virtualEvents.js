@@ -0,0 +1,186 @@
+/*
+  Virtual event hosting helpers
+  - Meeting links are { kind, provider, label, url, passcode, starts_at }; kind is 'main', 'breakout'
+    (one room per workshop session) or 'recording' (a replay added after the event)
+  - Google Meet and Zoom links must point at their own hosts; Jitsi may be self-hosted, so any https
+    URL is accepted for it, as for custom links
+  - Confirmed registrants see the join links from link_reveal_minutes before the start until the
+    event ends (DEFAULT_EVENT_HOURS after the start without an end date); the database enforces the
+    same window in get_event_join_links() (see sql/add_virtual_event_hosting.sql)
+*/
+
+export const MEETING_PROVIDERS = [
+  { value: 'google_meet', label: 'Google Meet', hosts: ['meet.google.com'], placeholder: 'https://meet.google.com/abc-defg-hij' },
+  { value: 'zoom', label: 'Zoom', hosts: ['zoom.us', 'zoom.com'], placeholder: 'https://us02web.zoom.us/j/1234567890' },
+  { value: 'jitsi', label: 'Jitsi Meet', hosts: null, placeholder: 'https://meet.jit.si/your-room' },
+  { value: 'custom', label: 'Other link', hosts: null, placeholder: 'https://' }
+]
+
+export const RECORDING_VISIBILITY = [
+  { value: 'registrants', label: 'Registrants only' },
+  { value: 'public', label: 'Everyone' }
+]
+
+export const DEFAULT_LINK_REVEAL_MINUTES = 15
+
+export const MAX_LINK_REVEAL_MINUTES = 24 * 60
+
+export const DEFAULT_EVENT_HOURS = 4
+
+const LABEL_MAX_LENGTH = 100
+
+const PASSCODE_MAX_LENGTH = 50
+
+const MINUTE_MS = 60 * 1000
+
+const JITSI_HOST = 'https://meet.jit.si'
+
+export function providerLabel(value) {
+  return MEETING_PROVIDERS.find((p) => p.value === value)?.label || 'Meeting link'
+}
+
+function hostMatches(hostname, hosts) {
+  return hosts.some((host) => hostname === host || hostname.endsWith(`.${host}`))
+}
+
+/** Provider of a meeting URL, 'custom' when it is not a known one */
+export function detectProvider(url) {
+  let hostname
+  try {
+    hostname = new URL(url).hostname.toLowerCase()
+  } catch {
+    return 'custom'
+  }
+  if (hostname === 'meet.jit.si') return 'jitsi'
+  const known = MEETING_PROVIDERS.find((p) => p.hosts && hostMatches(hostname, p.hosts))
+  return known ? known.value : 'custom'
+}
+
+/**
+ * Check one link from the hosting editor
+ * @param {Object} link - { kind, provider, label, url, passcode, starts_at }
+ * @returns {{link: Object}|{error: string}}
+ */
+export function normaliseMeetingLink({ kind = 'main', provider, label, url, passcode, starts_at: startsAt } = {}) {
+  const name = String(label ?? '').trim()
+  const value = String(url ?? '').trim()
+
+  if (kind !== 'main' && !name) {
+    return { error: kind === 'breakout' ? 'Give each breakout room a name' : 'Give each recording a title' }
+  }
+  if (name.length > LABEL_MAX_LENGTH) {
+    return { error: `Keep names under ${LABEL_MAX_LENGTH} characters` }
+  }
+
+  let parsed
+  try {
+    parsed = new URL(value)
+  } catch {
+    return { error: `${name || 'The meeting link'} is not a valid URL` }
+  }
+  if (parsed.protocol !== 'https:') {
+    return { error: 'Links must start with https://' }
+  }
+
+  const chosen = provider || detectProvider(value)
+  const spec = MEETING_PROVIDERS.find((p) => p.value === chosen)
+  if (!spec) {
+    return { error: 'Choose a meeting provider' }
+  }
+  if (spec.hosts && !hostMatches(parsed.hostname.toLowerCase(), spec.hosts)) {
+    return { error: `That is not a ${spec.label} link` }
+  }
+
+  const code = String(passcode ?? '').trim()
+  if (code.length > PASSCODE_MAX_LENGTH) {
+    return { error: `Passcodes are limited to ${PASSCODE_MAX_LENGTH} characters` }
+  }
+
+  let start = null
+  if (kind === 'breakout' && startsAt) {
+    start = new Date(startsAt)
+    if (Number.isNaN(start.getTime())) return { error: `Invalid start time for ${name}` }
+  }
+
+  return {
+    link: {
+      kind,
+      provider: chosen,
+      label: name || null,
+      url: parsed.toString(),
+      passcode: code || null,
+      starts_at: start ? start.toISOString() : null
+    }
+  }
+}
+
+/**
+ * Check the hosting settings of an event
+ * @param {Object} hosting - { link_reveal_minutes, recording_visibility, main, breakouts }
+ * @returns {{hosting: Object}|{error: string}} main is a link or null; breakouts keep their order
+ */
+export function normaliseHosting({ link_reveal_minutes: reveal, recording_visibility: visibility, main, breakouts = [] } = {}) {
+  const minutes = reveal === undefined || reveal === '' ? DEFAULT_LINK_REVEAL_MINUTES : Number(reveal)
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_LINK_REVEAL_MINUTES) {
+    return { error: 'Links can be shown from 0 minutes to 24 hours before the start' }
+  }
+
+  const recordingVisibility = visibility || 'registrants'
+  if (!RECORDING_VISIBILITY.some((v) => v.value === recordingVisibility)) {
+    return { error: 'Choose who can watch recordings' }
+  }
+
+  let mainLink = null
+  if (main?.url?.trim()) {
+    const checked = normaliseMeetingLink({ ...main, kind: 'main' })
+    if (checked.error) return checked
+    mainLink = checked.link
+  }
+
+  const rooms = []
+  for (const [index, breakout] of breakouts.entries()) {
+    const checked = normaliseMeetingLink({ ...breakout, kind: 'breakout' })
+    if (checked.error) return checked
+    rooms.push({ ...checked.link, sort_order: index })
+  }
+
+  return {
+    hosting: {
+      link_reveal_minutes: minutes,
+      recording_visibility: recordingVisibility,
+      main: mainLink,
+      breakouts: rooms
+    }
+  }
+}
+
+/** A fresh, hard-to-guess room on the public Jitsi server */
+export function jitsiRoomUrl(title = '') {
+  const slug = String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40)
+  const bytes = new Uint8Array(6)
+  crypto.getRandomValues(bytes)
+  const suffix = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('')
+  return `${JITSI_HOST}/${slug ? `${slug}-` : ''}${suffix}`
+}
+
+export function linkRevealAt(event) {
+  const minutes = event.link_reveal_minutes ?? DEFAULT_LINK_REVEAL_MINUTES
+  return new Date(new Date(event.start_date).getTime() - minutes * MINUTE_MS)
+}
+
+export function joinClosesAt(event) {
+  return event.end_date
+    ? new Date(event.end_date)
+    : new Date(new Date(event.start_date).getTime() + DEFAULT_EVENT_HOURS * 60 * MINUTE_MS)
+}
+
+/**
+ * Where an event is relative to its join window
+ * @returns {'cancelled'|'early'|'open'|'ended'}
+ */
+export function joinWindowState(event, now = new Date()) {
+  if (event.status === 'cancelled') return 'cancelled'
+  if (now < linkRevealAt(event)) return 'early'
+  if (now > joinClosesAt(event)) return 'ended'
+  return 'open'
+}
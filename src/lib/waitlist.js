@@ -0,0 +1,44 @@
+/*
+  Event waitlist helpers
+  - Registrations past max_participants are queued as `waitlisted`, ordered by waitlisted_at
+  - A freed seat is `offered` to the head of the queue until offer_expires_at, then lapses to `expired`
+  - The queueing and promotion themselves happen in the database (see sql/add_event_waitlist.sql)
+*/
+
+export const SEAT_STATUSES = ['confirmed', 'pending', 'attended', 'offered']
+
+export const WAITLIST_STATUSES = ['waitlisted', 'offered']
+
+export const REGISTRATION_STATUS_LABELS = {
+  confirmed: 'Confirmed',
+  pending: 'Pending approval',
+  waitlisted: 'Waitlisted',
+  offered: 'Seat offered',
+  expired: 'Offer expired',
+  cancelled: 'Cancelled',
+  rejected: 'Rejected',
+  attended: 'Attended'
+}
+
+export function isOfferOpen(registration, now = new Date()) {
+  return registration?.status === 'offered' && new Date(registration.offer_expires_at) > now
+}
+
+/**
+ * Attach the 1-based waitlist_position to each waitlisted registration of one event and order the list:
+ * seat holders first (newest first), then the queue in order, then everyone else
+ * @param {Object[]} registrations
+ * @returns {Object[]}
+ */
+export function withWaitlistPositions(registrations) {
+  const queue = registrations
+    .filter((r) => r.status === 'waitlisted')
+    .sort((a, b) => new Date(a.waitlisted_at) - new Date(b.waitlisted_at) || String(a.id).localeCompare(String(b.id)))
+  const positions = new Map(queue.map((r, index) => [r.id, index + 1]))
+
+  const rank = (r) => (SEAT_STATUSES.includes(r.status) ? 0 : r.status === 'waitlisted' ? 1 : 2)
+
+  return registrations
+    .map((r) => ({ ...r, waitlist_position: positions.get(r.id) || null }))
+    .sort((a, b) => rank(a) - rank(b) || (a.waitlist_position || 0) - (b.waitlist_position || 0))
+}